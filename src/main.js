@@ -42,17 +42,28 @@ const GoogleContacts = require('./main/integrations/GoogleContacts');
 const SpeakerMatcher = require('./main/integrations/SpeakerMatcher');
 const TemplateManager = require('./main/templates/TemplateManager');
 const VaultStructure = require('./main/storage/VaultStructure');
+const VaultWatcher = require('./main/storage/VaultWatcher');
 const RoutingEngine = require('./main/routing/RoutingEngine');
+const { parseConditions, formatCondition, folderError } = require('./main/routing/routingRules');
+const { planRelocations, toNoteLink } = require('./main/routing/meetingRelocation');
 const slugify = require('./main/utils/slugify');
-const { buildYoutubeRoute } = require('./main/routing/youtubeRoute');
 const ImportManager = require('./main/import/ImportManager');
+const FolderWatcher = require('./main/import/FolderWatcher');
 const TranscriptParser = require('./main/import/TranscriptParser');
 const PatternConfigLoader = require('./main/import/PatternConfigLoader');
-const { formatTranscriptForExport, generateExportFilename } = require('./main/export/transcriptExporter');
+const {
+  EXPORT_FORMATS,
+  listExportFormats,
+  formatForPath,
+  exportTranscript,
+  generateExportFilename,
+} = require('./main/export/transcriptExporter');
 const {
   createLLMServiceFromCredentials,
   fetchLocalModels,
+  fetchLocalEmbeddings,
 } = require('./main/services/llmService');
+const { DEFAULT_EMBEDDING_MODEL } = require('./main/services/semanticSearch');
 const transcriptionService = require('./main/services/transcriptionService');
 const keyManagementService = require('./main/services/keyManagementService');
 const speakerMappingService = require('./main/services/speakerMappingService');
@@ -79,6 +90,43 @@ const { computeTrackAnchor } = require('./main/services/trackAnchorService');
 const { runBackfill } = require('./main/services/voiceProfileBackfill');
 const { reembedCorrections } = require('./main/services/correctionReembed');
 const { runContentAwarePass } = require('./main/services/contentAwarePass');
+const { extractActionItems } = require('./main/services/actionItems');
+const {
+  buildPreviousMeetingContext,
+  buildSeriesNav,
+  replaceSeriesNav,
+} = require('./main/services/meetingSeries');
+const {
+  DEFAULT_RETENTION_DAYS,
+  planTrashMoves,
+  moveFilesToTrash,
+  restoreFiles,
+  removeTrashFolder,
+} = require('./main/services/meetingTrash');
+const { obsidianTag, customFieldsFrontmatter } = require('./main/services/meetingFields');
+const { hashContent, planNoteEdits, mergeText } = require('./main/services/vaultSync');
+const {
+  INDEX_FILENAME,
+  meetingsForClient,
+  buildClientIndexData,
+  summarizeRelationship,
+  readRelationshipSummary,
+} = require('./main/services/clientIndex');
+const {
+  estimateTokens,
+  transcriptBudget,
+  condenseTranscript,
+} = require('./main/services/transcriptChunking');
+const { monthKey } = require('./main/services/llmUsage');
+const { renderStructured } = require('./main/services/structuredOutput');
+const { summaryCacheKey } = require('./main/services/summaryCache');
+const {
+  BUNDLE_EXTENSION,
+  writeMeetingBundle,
+  readMeetingBundle,
+  resolveContactResources,
+  saveBundleAudio,
+} = require('./main/services/meetingBundle');
 
 // Wire up keyManagementService to transcriptionService for API key retrieval in packaged builds
 transcriptionService.setKeyManagementService(keyManagementService);
@@ -94,6 +142,7 @@ const {
   SERVER_PORT,
   SERVER_HOST,
   WS_STREAMDECK_ENDPOINT,
+  MCP_HTTP_ENDPOINT,
   // Timeouts
   IPC_RESPONSE_TIMEOUT_MS,
   RECALL_API_TIMEOUT_MS,
@@ -107,6 +156,8 @@ const {
   FILE_WRITE_GRACE_MS,
   TRANSCRIPT_POLL_INTERVAL_MS,
   UPCOMING_MEETINGS_CHECK_MS,
+  EXTERNAL_WRITES_POLL_MS,
+  TRASH_PURGE_INTERVAL_MS,
   BACKUP_IPC_DELAY_MS,
   // Limits & Sizes
   LLM_SECTION_MAX_TOKENS,
@@ -147,8 +198,11 @@ const {
   templatesGenerateSummariesSchema,
   templatesCreateSchema,
   templatesSaveSchema,
+  templatesStructuredDataSchema,
   // LLM schemas
   llmSwitchProviderSchema,
+  llmListEndpointModelsSchema,
+  summaryCacheClearSchema,
   // Vocabulary schemas
   vocabularySpellingSchema,
   vocabularyKeywordSchema,
@@ -165,6 +219,7 @@ const {
   importTranscribeAudioSchema,
   importAudioFileSchema,
   youtubeImportSchema,
+  meetingBundleImportSchema,
   // v1.2: Widget schemas
   widgetStartRecordingSchema,
   widgetToggleAlwaysOnTopSchema,
@@ -203,6 +258,25 @@ const {
   voiceProfileIdSchema,
   voiceProfileAssignSchema,
   voiceProfileBackfillSchema,
+  // v6: Full-text search schema
+  searchFullTextSchema,
+  semanticFindSchema,
+  semanticIndexSchema,
+  // v9: Action items
+  actionItemsListSchema,
+  actionItemStatusUpdateSchema,
+  revisionsListSchema,
+  revisionIdSchema,
+  meetingTagsSetSchema,
+  customFieldDefinitionSchema,
+  customFieldIdSchema,
+  customFieldValuesSetSchema,
+  duplicatePairSchema,
+  routingRulesSaveSchema,
+  relocateMeetingsSchema,
+  vaultSyncResolveSchema,
+  clientIndexRefreshSchema,
+  llmUsageReportSchema,
 } = require('./main/validation/ipcSchemas');
 require('dotenv').config();
 
@@ -401,9 +475,11 @@ let templateManager = null;
 // Obsidian export system (Phase 5)
 let vaultStructure = null;
 let routingEngine = null;
+let vaultWatcher = null; // Pulls edits to exported notes back in, see startVaultWatcher
 
 // Import system (Phase 8)
 let importManager = null;
+let folderWatcher = null; // Watched-folder auto-import, see applyWatchFolderSettings
 
 // Speaker recognition system (Phase 6)
 let googleContacts = null;
@@ -447,6 +523,8 @@ const notifiedMeetings = new Set(); // Track meetings we've shown notifications
 const autoStartedMeetings = new Set(); // Track meetings we've auto-started recording
 const meetingAutoStartOverrides = new Map(); // v1.2: Per-meeting auto-start overrides (meetingId -> boolean)
 let meetingMonitorInterval = null;
+let externalWritesInterval = null;
+let trashPurgeInterval = null;
 
 // ===================================================================
 // Speech Timeline Tracking (SM-1: Speaker Matching)
@@ -475,6 +553,51 @@ let appSettings = {
   streamDeck: {
     enabled: false, // v1.2: Enable Stream Deck WebSocket integration
   },
+  mcp: {
+    allowWrites: false, // MCP write tools (config snippet + HTTP endpoint)
+    httpEnabled: false, // Serve MCP at 127.0.0.1:13373/mcp (needs MCP_HTTP_TOKEN)
+  },
+  trash: {
+    retentionDays: DEFAULT_RETENTION_DAYS, // Deleted meetings are purged after this many days (0 = never)
+  },
+  watchFolders: {
+    folders: [], // [{ path, enabled, addedAt }]; new transcripts/recordings here are imported
+    generateAutoSummary: false,
+    autoExport: false,
+  },
+  routingRules: {
+    rules: [], // Ordered; see main/routing/routingRules.js. Checked before client routing
+    internalDomains: [], // The user's own email domains ("attendees internal only")
+  },
+  llmFallback: {
+    chain: [], // Model preferences tried in order when the provider fails, e.g. ['ollama-llama3', 'gemini-3.1-flash-lite']
+    retry: {}, // Overrides for DEFAULT_RETRY_POLICY in llmService.js, by kind of failure
+  },
+  llmBudget: {
+    monthlyCapUsd: 0, // Spend on cloud models per calendar month; 0 = no cap
+    whenReached: 'local', // 'local' = answer with the local model, 'refuse' = fail the call
+  },
+  // Server URLs and API keys are stored with the other keys (Security settings)
+  llmEndpoints: {
+    openai: {
+      headers: {}, // Sent with every request, e.g. OpenRouter's HTTP-Referer
+      capabilities: {}, // Overrides for { streaming, jsonMode, caching }
+      contextWindow: null, // Tokens; null uses the model's known window (transcriptChunking.js)
+      pricing: null, // { input, output } USD per 1M tokens; null prices at the dearest known model
+    },
+    azure: {
+      apiVersion: '2024-10-21',
+      deployments: [], // Deployment names offered in the model pickers
+      capabilities: {},
+      contextWindow: null,
+      pricing: null,
+    },
+  },
+  summaryCache: {
+    enabled: true, // Reuse summaries of an unchanged transcript (see summaryCache.js)
+    maxEntries: 500, // Least recently used beyond this are evicted
+    maxAgeDays: 90, // Entries unused for longer are evicted at startup
+  },
 };
 
 // Settings file path (Phase 10.7) - stored in config/ directory
@@ -507,6 +630,17 @@ function loadAppSettings() {
         notifications: { ...appSettings.notifications, ...savedSettings.notifications },
         shortcuts: { ...appSettings.shortcuts, ...savedSettings.shortcuts },
         streamDeck: { ...appSettings.streamDeck, ...savedSettings.streamDeck },
+        mcp: { ...appSettings.mcp, ...savedSettings.mcp },
+        trash: { ...appSettings.trash, ...savedSettings.trash },
+        watchFolders: { ...appSettings.watchFolders, ...savedSettings.watchFolders },
+        routingRules: { ...appSettings.routingRules, ...savedSettings.routingRules },
+        llmFallback: { ...appSettings.llmFallback, ...savedSettings.llmFallback },
+        llmBudget: { ...appSettings.llmBudget, ...savedSettings.llmBudget },
+        llmEndpoints: {
+          openai: { ...appSettings.llmEndpoints.openai, ...savedSettings.llmEndpoints?.openai },
+          azure: { ...appSettings.llmEndpoints.azure, ...savedSettings.llmEndpoints?.azure },
+        },
+        summaryCache: { ...appSettings.summaryCache, ...savedSettings.summaryCache },
       };
       logger.main.info('App settings loaded successfully');
     }
@@ -914,6 +1048,41 @@ function startMeetingMonitor() {
   }, UPCOMING_MEETINGS_CHECK_MS); // 60 seconds
 }
 
+/**
+ * Watch audit_log for edits made outside the app (the MCP server in
+ * --allow-writes mode writes straight to meetings.db) and tell the renderer to
+ * reload each affected meeting, so its in-memory copy can't overwrite them.
+ */
+function startExternalWriteWatcher() {
+  let lastAuditId;
+  try {
+    lastAuditId = databaseService.getLatestAuditId();
+  } catch (error) {
+    console.warn('[ExternalWrites] Audit log unavailable, not watching:', error.message);
+    return;
+  }
+
+  externalWritesInterval = setInterval(() => {
+    try {
+      const entries = databaseService.getAuditEntriesSince(lastAuditId);
+      if (entries.length === 0) return;
+      lastAuditId = entries[entries.length - 1].id;
+
+      const meetingIds = new Set(
+        entries.filter(e => e.source === 'mcp' && e.meetingId).map(e => e.meetingId)
+      );
+      for (const meetingId of meetingIds) {
+        console.log(`[ExternalWrites] Meeting ${meetingId} changed via MCP, refreshing`);
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('meeting-updated', meetingId);
+        }
+      }
+    } catch (error) {
+      console.warn('[ExternalWrites] Poll failed:', error.message);
+    }
+  }, EXTERNAL_WRITES_POLL_MS);
+}
+
 /**
  * Check for upcoming meetings and auto-start recording if needed
  */
@@ -1763,6 +1932,12 @@ app.whenReady().then(async () => {
     databaseService.migrateFromJson(meetingsFilePath);
     logger.main.info('Database service initialized');
 
+    const evicted = databaseService.evictSummaryCache({
+      maxAgeDays: appSettings.summaryCache.maxAgeDays,
+      maxEntries: appSettings.summaryCache.maxEntries,
+    });
+    if (evicted > 0) logger.main.info(`[SummaryCache] Evicted ${evicted} stale entries`);
+
     // v2.0: Initialize voice profile service
     voiceProfileService = new VoiceProfileService(databaseService);
     logger.main.info('Voice profile service initialized');
@@ -1772,7 +1947,15 @@ app.whenReady().then(async () => {
 
   // Initialize LLM service from Windows Credential Manager (with .env fallback)
   try {
-    llmService = await createLLMServiceFromCredentials(keyManagementService);
+    llmService = await createLLMServiceFromCredentials(
+      keyManagementService,
+      appSettings.llmEndpoints
+    );
+    llmService.setFallbackPolicy(appSettings.llmFallback);
+    llmService.setUsageTracking({
+      record: entry => databaseService.recordLlmUsage(entry),
+      budget: checkLlmBudget,
+    });
     logger.main.info(`LLM Service initialized with provider: ${llmService.getProviderName()}`);
   } catch (error) {
     logger.main.warn('LLM Service not initialized - no API keys configured yet:', error.message);
@@ -1887,6 +2070,7 @@ app.whenReady().then(async () => {
       },
       // v1.1: Google Contacts for participant name lookup
       googleContacts,
+      findDuplicates: meeting => databaseService.findDuplicatesForMeeting(meeting),
     });
     console.log('[Import] Import manager initialized successfully');
 
@@ -1916,6 +2100,19 @@ app.whenReady().then(async () => {
   // Start meeting monitor for auto-recording (only after all services initialized)
   startMeetingMonitor();
 
+  // Pick up meeting edits made by the MCP server (--allow-writes)
+  startExternalWriteWatcher();
+
+  // Delete meetings that have been in the Trash past the retention period
+  purgeExpiredTrash();
+  trashPurgeInterval = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+
+  // Auto-import from watched folders
+  applyWatchFolderSettings();
+
+  // Pull edits made to exported notes in the vault
+  startVaultWatcher();
+
   // Start Express server for Stream Deck WebSocket support
   // Security: explicitly bind to localhost only (not 0.0.0.0)
   expressServer = expressApp.listen(SERVER_PORT, SERVER_HOST, () => {
@@ -1981,6 +2178,24 @@ app.whenReady().then(async () => {
     logger.main.info('[v1.2] Stream Deck WebSocket integration enabled');
   }
 
+  // MCP over HTTP: sessions share the app's database connection
+  expressApp.configureMcpHttp({
+    getDb: () => databaseService.db,
+    getServerOptions: async () => {
+      const { baseUrl, model } = await getLocalEmbedder();
+      return {
+        allowWrites: !!appSettings.mcp?.allowWrites,
+        ollamaUrl: baseUrl,
+        embedModel: model,
+        templatesPaths: [templateManager?.templatesPath],
+        log: message => logger.main.warn('[MCP HTTP]', message),
+      };
+    },
+  });
+  applyMcpHttpSettings().catch(error => {
+    logger.main.error('[MCP HTTP] Failed to apply settings:', error);
+  });
+
   // v1.1: Load user profile
   loadUserProfile();
   logger.main.info('[v1.1] User profile loaded');
@@ -2223,11 +2438,25 @@ app.on('before-quit', async event => {
     clearInterval(meetingMonitorInterval);
     console.log('[Meeting Monitor] Stopped meeting monitor');
   }
+  if (externalWritesInterval) {
+    clearInterval(externalWritesInterval);
+  }
+  if (trashPurgeInterval) {
+    clearInterval(trashPurgeInterval);
+  }
+  if (folderWatcher) {
+    folderWatcher.stop();
+  }
+  if (vaultWatcher) {
+    vaultWatcher.stop();
+  }
+  clearTimeout(clientIndexTimer);
 
   // Stop tunnel
   await tunnelManager.stop();
 
-  // Close Express server
+  // Close Express server (MCP sessions hold open SSE streams)
+  await expressApp.closeMcpHttpSessions();
   if (expressServer) {
     expressServer.close(() => {
       console.log('[Webhook Server] Server closed');
@@ -2277,14 +2506,15 @@ const fileOperationManager = {
     }
   },
 
-  // Schedule an operation: read current data, pass to operationFn, write result back
-  scheduleOperation: async function (operationFn) {
+  // Schedule an operation: read current data, pass to operationFn, write result back.
+  // options attribute any overwritten fields in the meeting history (see saveMeeting).
+  scheduleOperation: async function (operationFn, options = {}) {
     try {
       const currentData = databaseService.getAllMeetings();
       const updatedData = await operationFn(currentData);
 
       if (updatedData) {
-        databaseService.saveAllMeetings(updatedData);
+        databaseService.saveAllMeetings(updatedData, options);
       }
 
       return { success: true };
@@ -2295,9 +2525,9 @@ const fileOperationManager = {
   },
 
   // Write data directly to the database
-  writeData: async function (data) {
+  writeData: async function (data, options = {}) {
     try {
-      databaseService.saveAllMeetings(data);
+      databaseService.saveAllMeetings(data, options);
       return { success: true };
     } catch (error) {
       console.error('Error writing meetings data to database:', error);
@@ -2949,12 +3179,15 @@ async function initSDK() {
               let clientSlug = null;
               let meetingOrganization = null;
               if (participantEmails.length > 0 && routingEngine) {
-                const routingDecision = routingEngine.route({
-                  participantEmails,
-                  participants: [],
-                  meetingTitle: 'Vocabulary Lookup',
-                  meetingDate: new Date(),
-                });
+                const routingDecision = routingEngine.route(
+                  {
+                    participantEmails,
+                    participants: [],
+                    meetingTitle: 'Vocabulary Lookup',
+                    meetingDate: new Date(),
+                  },
+                  { applyRules: false }
+                );
                 // Get client slug from first route if it's a client type
                 const clientRoute = routingDecision.routes.find(r => r.type === 'client');
                 if (clientRoute) {
@@ -3131,6 +3364,7 @@ async function initSDK() {
               console.log(
                 `[Transcription] ✓ Transcript saved with ${meetingsData.pastMeetings[meetingIndex].transcript.length} total entries`
               );
+              notifyPossibleDuplicates(meetingsData.pastMeetings[meetingIndex].id);
 
               // SM-1: Apply speaker matching immediately after transcription
               backgroundTaskManager.updateTask(recordingTaskId, 70, 'Matching speakers...');
@@ -3841,22 +4075,7 @@ async function exportMeetingToObsidian(meeting, routingOverride = null, options
       console.log(`[ObsidianExport] Using manual override path: ${meeting.obsidianLink}`);
     }
 
-    // Extract participant emails for routing. Local recordings have no SDK
-    // participant roster, so also draw identities from the speaker mapping
-    // (voice profiles / user corrections) — but skip low-confidence positional
-    // guesses so a wrong guess can't route a meeting to the wrong client.
-    const participantEmails = [...(meeting.participantEmails || [])];
-    for (const entry of Object.values(meeting.speakerMapping || {})) {
-      if (
-        entry &&
-        entry.email &&
-        entry.confidence !== 'low' &&
-        entry.confidence !== 'none' &&
-        !participantEmails.includes(entry.email)
-      ) {
-        participantEmails.push(entry.email);
-      }
-    }
+    const participantEmails = collectRoutingEmails(meeting);
     if (participantEmails.length === 0 && !meeting.obsidianLink) {
       console.warn('[ObsidianExport] No participant emails found - routing to unfiled');
     }
@@ -4017,20 +4236,9 @@ async function exportMeetingToObsidian(meeting, routingOverride = null, options
         },
       ];
       console.log(`[ObsidianExport] Using manual override path: ${meeting.obsidianLink}`);
-    } else if (meeting.platform === 'youtube') {
-      // spec §5: channel content routes to a fixed content/youtube/ folder
-      // (vault-relative — resolved by vaultStructure.getAbsolutePath in the loop
-      // below, same as _unfiled).
-      routes = [buildYoutubeRoute(meeting)];
-      console.log(`[ObsidianExport] YouTube content route: ${routes[0].fullPath}`);
     } else {
-      // Use routing engine
-      const routingDecision = routingEngine.route({
-        participantEmails,
-        participants: meeting.participants || [],
-        meetingTitle: meeting.title || 'Untitled Meeting',
-        meetingDate: meeting.date ? new Date(meeting.date) : new Date(),
-      });
+      // Use routing engine (user rules first; YouTube content goes to content/youtube/)
+      const routingDecision = routingEngine.route(buildRoutingData(meeting, participantEmails));
       routes = routingDecision.routes;
       console.log(`[ObsidianExport] Found ${routes.length} routing destination(s)`);
 
@@ -4038,12 +4246,26 @@ async function exportMeetingToObsidian(meeting, routingOverride = null, options
       if (routingDecision.routedClientIds) {
         meeting.routedClients = routingDecision.routedClientIds;
       }
+
+      // Record the routing rule that fired, and run the templates it asks for
+      if (routingDecision.rule) {
+        meeting.routingRule = { id: routingDecision.rule.id, name: routingDecision.rule.name };
+        console.log(`[ObsidianExport] Routed by rule "${routingDecision.rule.name}"`);
+      } else {
+        delete meeting.routingRule;
+      }
+      if (routingDecision.templateIds.length > 0) {
+        await runRuleTemplates(meeting, routingDecision.templateIds);
+      }
     }
 
     const createdPaths = [];
+    const series = databaseService.getSeriesNeighbors(meeting.id);
+    const syncedNote = syncedNotePath(meeting.id);
+    let syncConflict = null;
 
     // Process each route (may have multiple for multi-org meetings)
-    for (const route of routes) {
+    for (const [routeIndex, route] of routes.entries()) {
       console.log(`[ObsidianExport] Exporting to: ${route.fullPath}`);
 
       // Generate file slug from title and date
@@ -4081,7 +4303,9 @@ async function exportMeetingToObsidian(meeting, routingOverride = null, options
       let summaryPath = path.join(meetingFolder, `${baseFilename}.md`);
       let transcriptPath = path.join(meetingFolder, `${baseFilename}-transcript.md`);
 
-      if (fs.existsSync(summaryPath) || fs.existsSync(transcriptPath)) {
+      // The meeting's own synced note is updated in place (merging vault edits)
+      const ownNote = syncedNote && path.resolve(summaryPath) === syncedNote;
+      if (!ownNote && (fs.existsSync(summaryPath) || fs.existsSync(transcriptPath))) {
         console.log(`[ObsidianExport] File already exists: ${baseFilename}.md`);
 
         // Find next available number
@@ -4100,9 +4324,14 @@ async function exportMeetingToObsidian(meeting, routingOverride = null, options
 
       // Generate summary markdown (primary file)
       // Pass route info for company linking (CRM Phase 1)
-      const summaryContent = generateSummaryMarkdown(meeting, baseFilename, route);
-      fs.writeFileSync(summaryPath, summaryContent, 'utf8');
-      console.log(`[ObsidianExport] Created summary: ${summaryPath}`);
+      const summaryContent = generateSummaryMarkdown(meeting, baseFilename, route, series);
+      if (routeIndex === 0) {
+        // Only the primary note (obsidianLink) is synced
+        syncConflict = writeSummaryNote(meeting, summaryPath, summaryContent).conflict;
+      } else {
+        fs.writeFileSync(summaryPath, summaryContent, 'utf8');
+      }
+      console.log(`[ObsidianExport] ${syncConflict ? 'Kept' : 'Created'} summary: ${summaryPath}`);
 
       // Generate transcript markdown (secondary file)
       const transcriptContent = generateTranscriptMarkdown(meeting, baseFilename);
@@ -4129,11 +4358,22 @@ async function exportMeetingToObsidian(meeting, routingOverride = null, options
             .replace(/^\//, '')
         : null;
 
+    if (series.previous?.obsidianLink && obsidianLink) {
+      updateSeriesNavInNote(series.previous, { ...meeting, obsidianLink });
+    }
+
+    // The clients' hub pages list this meeting
+    scheduleClientIndexRefresh([
+      ...routes.filter(route => route.type === 'client').map(route => route.slug),
+      ...(meeting.routedClients || []),
+    ]);
+
     return {
       success: true,
       paths: createdPaths,
       routeCount: routes.length,
       obsidianLink, // Return the vault-relative path to save in meeting object
+      syncConflict, // Set when vault edits clash with the new note, which was not written
     };
   } catch (error) {
     console.error('[ObsidianExport] Export failed:', error);
@@ -4144,14 +4384,104 @@ async function exportMeetingToObsidian(meeting, routingOverride = null, options
   }
 }
 
+/**
+ * Participant emails to route a meeting by. Local recordings have no SDK
+ * participant roster, so also draw identities from the speaker mapping
+ * (voice profiles / user corrections) — but skip low-confidence positional
+ * guesses so a wrong guess can't route a meeting to the wrong client.
+ * @param {Object} meeting
+ * @returns {string[]}
+ */
+function collectRoutingEmails(meeting) {
+  const participantEmails = [...(meeting.participantEmails || [])];
+  for (const entry of Object.values(meeting.speakerMapping || {})) {
+    if (
+      entry &&
+      entry.email &&
+      entry.confidence !== 'low' &&
+      entry.confidence !== 'none' &&
+      !participantEmails.includes(entry.email)
+    ) {
+      participantEmails.push(entry.email);
+    }
+  }
+  return participantEmails;
+}
+
+/**
+ * What the routing engine (and the user's routing rules) see of a meeting.
+ * @param {Object} meeting
+ * @param {string[]} participantEmails
+ * @returns {Object} meetingData for routingEngine.route
+ */
+function buildRoutingData(meeting, participantEmails) {
+  return {
+    participantEmails,
+    participants: meeting.participants || [],
+    meetingTitle: meeting.title || 'Untitled Meeting',
+    meetingDate: meeting.date ? new Date(meeting.date) : new Date(),
+    platform: meeting.platform || null,
+    tags: meeting.tags || [],
+    calendarEventId: meeting.calendarEventId || null,
+    calendarDescription: meeting.calendarDescription || null,
+    calendarAttendees: meeting.calendarAttendees || [],
+  };
+}
+
+/**
+ * Generate the summaries a routing rule asks for that the meeting doesn't
+ * have yet. Failures are logged; the export goes ahead without them.
+ * @param {Object} meeting
+ * @param {string[]} templateIds
+ */
+async function runRuleTemplates(meeting, templateIds) {
+  const existing = new Set((meeting.summaries || []).map(s => s.templateId));
+  const missing = templateIds.filter(id => !existing.has(id) && templateManager?.getTemplate(id));
+  if (missing.length === 0 || !meeting.transcript || meeting.transcript.length === 0) return;
+
+  try {
+    console.log(`[ObsidianExport] Routing rule templates: ${missing.join(', ')}`);
+    const summaries = await generateTemplateSummaries(meeting, missing);
+    meeting.summaries = [...(meeting.summaries || []), ...summaries];
+  } catch (error) {
+    console.warn('[ObsidianExport] Routing rule templates failed:', error.message);
+  }
+}
+
+/**
+ * Point the previous meeting's exported note at the meeting just exported,
+ * rewriting its "previous / next in series" block in place.
+ * @param {Object} previous - Series neighbor with obsidianLink
+ * @param {Object} meeting - The newly exported meeting (with obsidianLink)
+ */
+function updateSeriesNavInNote(previous, meeting) {
+  try {
+    const notePath = vaultStructure.getAbsolutePath(previous.obsidianLink);
+    if (!fs.existsSync(notePath)) return;
+    const block = buildSeriesNav({
+      previous: databaseService.getSeriesNeighbors(previous.id).previous,
+      next: meeting,
+    });
+    const markdown = fs.readFileSync(notePath, 'utf8');
+    const updated = replaceSeriesNav(markdown, block);
+    if (updated !== markdown) {
+      fs.writeFileSync(notePath, updated, 'utf8');
+      console.log(`[ObsidianExport] Linked previous meeting in series: ${previous.obsidianLink}`);
+    }
+  } catch (error) {
+    console.warn('[ObsidianExport] Could not update previous meeting in series:', error.message);
+  }
+}
+
 /**
  * Generate summary markdown file with rich frontmatter
  * CRM Phase 1: Enhanced frontmatter with structured attendees and company linking
  * @param {Object} meeting - Meeting data
  * @param {string} baseFilename - Base filename for the meeting
  * @param {Object} route - Optional routing decision with organization info
+ * @param {Object} [series] - Recurring series neighbors ({ seriesId, previous, next })
  */
-function generateSummaryMarkdown(meeting, baseFilename, route = null) {
+function generateSummaryMarkdown(meeting, baseFilename, route = null, series = null) {
   const meetingDate = meeting.date ? new Date(meeting.date) : new Date();
   const dateStr = meetingDate.toISOString().split('T')[0];
   const title = meeting.title || 'Untitled Meeting';
@@ -4225,9 +4555,12 @@ function generateSummaryMarkdown(meeting, baseFilename, route = null) {
     }
   }
 
-  // Extract tags from meeting metadata
+  // Extract tags from meeting metadata, then the user's own tags
   const tags = ['meeting'];
   if (meeting.platform) tags.push(meeting.platform.toLowerCase());
+  for (const tag of (meeting.tags || []).map(obsidianTag)) {
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  }
 
   // CRM Phase 1: Determine company info from route
   let companyName = null;
@@ -4249,6 +4582,9 @@ function generateSummaryMarkdown(meeting, baseFilename, route = null) {
   markdown += `platform: "${meeting.platform || 'unknown'}"\n`;
   markdown += `meeting_type: "${meetingType}"\n`;
   markdown += `meeting_id: "${meeting.id || ''}"\n`;
+  if (series?.seriesId) {
+    markdown += `series_id: "${series.seriesId}"\n`;
+  }
 
   // Company linking (if available)
   if (companyName) {
@@ -4277,6 +4613,15 @@ function generateSummaryMarkdown(meeting, baseFilename, route = null) {
   markdown += `participants: [${participantNames.join(', ')}]\n`;
   markdown += `participant_emails: [${participantEmails.join(', ')}]\n`;
 
+  // User-defined custom fields
+  const fieldsYaml = customFieldsFrontmatter(
+    meeting.customFields,
+    databaseService.listFieldDefinitions()
+  );
+  if (fieldsYaml) {
+    markdown += `\n# Custom fields\n${fieldsYaml}`;
+  }
+
   markdown += `\ntranscript_file: "${baseFilename}-transcript.md"\n`;
   markdown += `tags: [${tags.join(', ')}]\n`;
   markdown += `---\n\n`;
@@ -4284,6 +4629,9 @@ function generateSummaryMarkdown(meeting, baseFilename, route = null) {
   markdown += `# ${title}\n\n`;
   markdown += `**Date:** ${meetingDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}\n`;
   markdown += `**Platform:** ${meeting.platform || 'Unknown'}\n`;
+  if (series) {
+    markdown += buildSeriesNav(series);
+  }
 
   markdown += `\n---\n\n## Meeting Summary\n\n`;
 
@@ -4397,6 +4745,125 @@ summary_file: "${baseFilename}.md"
   return markdown;
 }
 
+const SECTION_SYSTEM_PROMPT =
+  'You are a helpful assistant that analyzes meeting transcripts and creates structured summaries.';
+
+/**
+ * Fit a transcript into the current model's context window for a summary call,
+ * condensing it part by part when it is too long (see services/transcriptChunking.js).
+ * The summary prompts then run over the condensed notes unchanged.
+ * @param {string} transcriptText
+ * @param {Object} call - The summary call the transcript is for
+ * @param {string} call.promptText - Everything sent besides the transcript
+ * @param {number} call.maxTokens - Answer length the call asks for
+ * @param {Object} [call.usageTag] - Usage ledger tag for the condensing calls
+ * @param {string} logPrefix
+ * @returns {Promise<string>} The transcript, or the notes standing in for it
+ */
+async function fitTranscriptToModel(
+  transcriptText,
+  { promptText, maxTokens, usageTag },
+  logPrefix
+) {
+  const provider = llmService.config.provider;
+  const model = llmService.getCurrentModel();
+  // Set in settings for an endpoint serving a model we don't know
+  const configuredWindow = llmService.config[provider]?.contextWindow;
+  // The buffer covers how adapters frame the transcript in the request
+  const budget =
+    transcriptBudget({ provider, model, maxTokens, promptText, window: configuredWindow }) -
+    LLM_PROMPT_TOKEN_BUFFER;
+  const tokens = estimateTokens(transcriptText, provider, model);
+  console.log(`${logPrefix} Transcript: ~${tokens} tokens (est.), budget ${budget} for ${model}`);
+  if (tokens <= budget) return transcriptText;
+
+  const { text, parts, rounds } = await condenseTranscript(
+    {
+      generateCompletion: taggedCompletion({ ...usageTag, purpose: 'condense-transcript' }),
+      log: message => console.log(`${logPrefix} ${message}`),
+    },
+    transcriptText,
+    { provider, model, budget, window: configuredWindow }
+  );
+  console.log(
+    `${logPrefix} Summarizing from notes on ${parts} part(s) after ${rounds} round(s): ~${estimateTokens(text, provider, model)} tokens`
+  );
+  return text;
+}
+
+/**
+ * llmService.generateCompletion for a service's deps, with each call tagged in
+ * the usage ledger (see services/llmUsage.js).
+ * @param {{meetingId?: string, clientId?: string, templateId?: string, purpose: string}} usageTag
+ * @returns {Function}
+ */
+function taggedCompletion(usageTag) {
+  return options => llmService.generateCompletion({ ...options, usageTag });
+}
+
+// Summary cache hits and misses since launch, for the settings page
+const summaryCacheSession = { hits: 0, misses: 0 };
+
+/**
+ * The model summary calls currently go to, as part of a summary cache key.
+ * @returns {string} 'provider/model'
+ */
+function currentModelKey() {
+  return `${llmService.config.provider}/${llmService.getCurrentModel()}`;
+}
+
+/**
+ * A cached summary result (see summaryCache.js), unless the cache is off or
+ * the user asked for a fresh run. A cache that can't be read means a fresh run.
+ * @param {string} key - From summaryCacheKey
+ * @param {{force?: boolean}} [options]
+ * @returns {Object|null}
+ */
+function readSummaryCache(key, { force = false } = {}) {
+  if (force || !appSettings.summaryCache.enabled) return null;
+  try {
+    const result = databaseService.getCachedSummary(key);
+    summaryCacheSession[result ? 'hits' : 'misses']++;
+    return result;
+  } catch (error) {
+    logger.main.warn('[SummaryCache] Read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Cache a summary result, evicting the least recently used beyond the limit.
+ * Not when a fallback model answered any of it: the key names the configured
+ * model, which would then never get to answer.
+ * @param {Object} entry - See summaryCache.putCachedSummary
+ * @param {Object|Array<Object>} [entry.result.generatedBy] - Who answered (see addGeneratedBy)
+ */
+function writeSummaryCache(entry) {
+  if (!appSettings.summaryCache.enabled) return;
+  if ([].concat(entry.result.generatedBy || []).some(answer => answer?.fallback)) {
+    logger.main.info('[SummaryCache] Not caching a summary a fallback model answered');
+    return;
+  }
+  try {
+    databaseService.putCachedSummary(entry);
+    databaseService.evictSummaryCache({ maxEntries: appSettings.summaryCache.maxEntries });
+  } catch (error) {
+    logger.main.warn('[SummaryCache] Write failed:', error.message);
+  }
+}
+
+/**
+ * Record which provider/model answered a summary call, once per model. Stored
+ * with the summary so fallbacks (see llmService setFallbackPolicy) are visible.
+ * @param {Array<{provider: string, model: string, fallback: boolean}>} generatedBy
+ * @param {{provider: string, model: string, fallback: boolean}|null} answer - A section task's answeredBy
+ */
+function addGeneratedBy(generatedBy, answer) {
+  if (!answer) return;
+  if (generatedBy.some(g => g.provider === answer.provider && g.model === answer.model)) return;
+  generatedBy.push({ ...answer });
+}
+
 /**
  * Execute a single section task with LLM call
  * Defined at module level to avoid closure memory issues
@@ -4408,14 +4875,30 @@ async function executeTemplateSectionTask(llmService, task, transcriptText) {
     // Example savings: 20 sections × 37k tokens = 740k tokens
     //   Without caching: 740k × $0.25/1M = $0.185
     //   With caching: 37k × $0.25/1M + (19 × 37k × $0.025/1M) = $0.027 (~85% savings)
-    const result = await llmService.generateCompletion({
-      systemPrompt:
-        'You are a helpful assistant that analyzes meeting transcripts and creates structured summaries.',
+    const request = {
+      systemPrompt: SECTION_SYSTEM_PROMPT,
       userPrompt: task.sectionPrompt,
       cacheableContext: transcriptText, // This will be cached across all section calls
       temperature: 0.7,
       maxTokens: LLM_SECTION_MAX_TOKENS, // Safe limit for all models (Anthropic/Gemini/Ollama)
-    });
+      usageTag: { meetingId: task.meetingId, templateId: task.templateId, purpose: 'template-section' },
+    };
+
+    // Sections with an output_schema answer in JSON; the markdown is rendered from it
+    if (task.outputSchema) {
+      const result = await llmService.generateStructured({
+        ...request,
+        outputSchema: task.outputSchema,
+      });
+      return {
+        success: true,
+        content: renderStructured(result.data, task.outputSchema),
+        data: result.data,
+        answeredBy: { provider: result.provider, model: result.model, fallback: result.fallback },
+      };
+    }
+
+    const result = await llmService.generateCompletion(request);
 
     console.log(
       `[TemplateSummary] LLM result type: ${typeof result}, content type: ${typeof result?.content}`
@@ -4438,10 +4921,11 @@ async function executeTemplateSectionTask(llmService, task, transcriptText) {
     return {
       success: true,
       content: result.content,
+      answeredBy: { provider: result.provider, model: result.model, fallback: result.fallback },
     };
   } catch (error) {
     console.error(`[TemplateSummary] Error generating section ${task.sectionTitle}:`, error);
-    throw error; // Re-throw for retry logic
+    throw error;
   }
 }
 
@@ -4449,9 +4933,11 @@ async function executeTemplateSectionTask(llmService, task, transcriptText) {
  * Generate template-based summaries for a meeting (shared function)
  * @param {Object} meeting - Meeting object with transcript
  * @param {Array<string>} templateIds - Template IDs to use (or null for all)
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Don't reuse cached summaries (new ones are still cached)
  * @returns {Promise<Array>} Generated summaries
  */
-async function generateTemplateSummaries(meeting, templateIds = null) {
+async function generateTemplateSummaries(meeting, templateIds = null, { force = false } = {}) {
   if (!templateManager || !llmService) {
     throw new Error('Template manager or LLM service not available');
   }
@@ -4494,6 +4980,7 @@ async function generateTemplateSummaries(meeting, templateIds = null) {
       console.log(`[TemplateSummary] Transcript length: ${transcriptText.length} characters`);
 
       // v1.1: Add user profile context to transcript for personalized summaries
+      let userContextText = '';
       if (userProfile?.name) {
         const contextParts = [];
         contextParts.push(`The person reading this summary is ${userProfile.name}.`);
@@ -4506,11 +4993,15 @@ async function generateTemplateSummaries(meeting, templateIds = null) {
         if (userProfile.context) {
           contextParts.push(userProfile.context);
         }
-        const userContextText = 'User Context: ' + contextParts.join(' ');
-        transcriptText = userContextText + '\n\n' + transcriptText;
+        userContextText = 'User Context: ' + contextParts.join(' ') + '\n\n';
         logger.main.debug('[TemplateSummary] Including user profile context');
       }
 
+      // Templates already run on this transcript with this model are reused
+      const model = currentModelKey();
+      const cacheKeys = new Map();
+      const cachedTemplates = new Map();
+
       // Collect section metadata only - NO FUNCTIONS to avoid memory issues
       const sectionTasks = [];
 
@@ -4521,6 +5012,22 @@ async function generateTemplateSummaries(meeting, templateIds = null) {
           continue;
         }
 
+        const cacheKey = summaryCacheKey({
+          kind: 'template',
+          transcript: transcriptText,
+          speakerMapping: meeting.speakerMapping,
+          template: template.sections,
+          model,
+          context: userContextText,
+        });
+        cacheKeys.set(template.id, cacheKey);
+        const cached = readSummaryCache(cacheKey, { force });
+        if (cached) {
+          console.log('[TemplateSummary] Using cached summary for template:', template.name);
+          cachedTemplates.set(template.id, cached);
+          continue;
+        }
+
         console.log('[TemplateSummary] Generating summary with template:', template.name);
 
         for (const section of template.sections) {
@@ -4528,17 +5035,36 @@ async function generateTemplateSummaries(meeting, templateIds = null) {
 
           // Store ONLY data - no functions (functions capture context and cause OOM)
           sectionTasks.push({
+            meetingId: meeting.id,
             templateId: template.id,
             templateName: template.name,
             sectionTitle: section.title,
             sectionPrompt: section.prompt,
+            outputSchema: section.output_schema || null,
             name: `${template.name} - ${section.title}`,
           });
         }
       }
 
-      // Estimate tokens per request (rough estimate: 1 token ≈ 4 chars)
-      console.log(`[TemplateSummary] Transcript: ~${Math.ceil(transcriptText.length / 4) + LLM_PROMPT_TOKEN_BUFFER} tokens/request (est.)`);
+      // Long transcripts are condensed once, then every section reads the notes
+      if (sectionTasks.length > 0) {
+        const longestPrompt = sectionTasks.reduce(
+          (longest, task) =>
+            task.sectionPrompt.length > longest.length ? task.sectionPrompt : longest,
+          ''
+        );
+        transcriptText =
+          userContextText +
+          (await fitTranscriptToModel(
+            transcriptText,
+            {
+              promptText: `${SECTION_SYSTEM_PROMPT}\n${userContextText}${longestPrompt}`,
+              maxTokens: LLM_SECTION_MAX_TOKENS,
+              usageTag: { meetingId: meeting.id },
+            },
+            '[TemplateSummary]'
+          ));
+      }
       console.log(
         `[TemplateSummary] Processing ${sectionTasks.length} sections SEQUENTIALLY to avoid memory issues...`
       );
@@ -4550,31 +5076,15 @@ async function generateTemplateSummaries(meeting, templateIds = null) {
 
       for (let i = 0; i < sectionTasks.length; i++) {
         const task = sectionTasks[i];
-        let retries = 0;
-        const maxRetries = 3;
 
         console.log(`[TemplateSummary] Processing ${i + 1}/${sectionTasks.length}: ${task.name}`);
 
-        while (retries <= maxRetries) {
-          try {
-            const result = await executeTemplateSectionTask(llmService, task, transcriptText);
-            sectionResults[i] = result;
-            break; // Success, move to next task
-          } catch (error) {
-            if (error.status === 429 && retries < maxRetries) {
-              const retryAfter = error.headers?.get?.('retry-after') || 60;
-              const delayMs = (parseInt(retryAfter) + 1) * 1000;
-              console.log(
-                `[RateLimit] Hit rate limit. Retry ${retries + 1}/${maxRetries} after ${delayMs}ms`
-              );
-              await new Promise(resolve => setTimeout(resolve, delayMs));
-              retries++;
-            } else {
-              console.error(`[RateLimit] Failed after ${retries} retries:`, error.message);
-              sectionResults[i] = { success: false, content: '*Error generating this section*' };
-              break; // Give up, move to next task
-            }
-          }
+        // Retries and provider fallback happen in llmService (see setFallbackPolicy)
+        try {
+          sectionResults[i] = await executeTemplateSectionTask(llmService, task, transcriptText);
+        } catch (error) {
+          console.error(`[TemplateSummary] Giving up on ${task.name}:`, error.message);
+          sectionResults[i] = { success: false, content: '*Error generating this section*' };
         }
       }
 
@@ -4590,10 +5100,14 @@ async function generateTemplateSummaries(meeting, templateIds = null) {
         const template = templateManager.getTemplate(templateId);
         if (!template) continue;
 
+        const cached = cachedTemplates.get(template.id);
         templateMap.set(template.id, {
           templateId: template.id,
           templateName: template.name,
-          sections: [],
+          sections: cached ? cached.sections : [],
+          generatedBy: cached ? cached.generatedBy : [],
+          cached: !!cached,
+          complete: true,
         });
       }
 
@@ -4606,10 +5120,26 @@ async function generateTemplateSummaries(meeting, templateIds = null) {
           templateData.sections.push({
             title: task.sectionTitle,
             content: result.content,
+            data: result.data,
           });
+          addGeneratedBy(templateData.generatedBy, result.answeredBy);
+          if (!result.success) templateData.complete = false;
         }
       });
 
+      // A template with a failed section isn't cached, so the next run retries it
+      for (const templateData of templateMap.values()) {
+        if (templateData.cached || !templateData.complete) continue;
+        writeSummaryCache({
+          key: cacheKeys.get(templateData.templateId),
+          kind: 'template',
+          meetingId: meeting.id,
+          templateId: templateData.templateId,
+          model,
+          result: { sections: templateData.sections, generatedBy: templateData.generatedBy },
+        });
+      }
+
       // Build final markdown for each template
       for (const [_templateId, templateData] of templateMap) {
         let summaryMarkdown = `# ${meeting.title}\n\n`;
@@ -4620,10 +5150,16 @@ async function generateTemplateSummaries(meeting, templateIds = null) {
           summaryMarkdown += `## ${section.title}\n\n${section.content}\n\n`;
         }
 
+        // Parsed answers of output_schema sections, by section title
+        const structured = templateData.sections.filter(section => section.data);
         summaries.push({
           templateId: templateData.templateId,
           templateName: templateData.templateName,
           content: summaryMarkdown,
+          generatedBy: templateData.generatedBy,
+          ...(structured.length > 0 && {
+            data: Object.fromEntries(structured.map(section => [section.title, section.data])),
+          }),
         });
       }
 
@@ -4694,7 +5230,7 @@ ipcMain.handle('saveMeetingsData', async (event, data) => {
 
       console.log('[IPC] Merge complete');
       return mergedData;
-    });
+    }, { source: 'user' });
 
     console.log('[IPC] File write complete');
     return { success: true };
@@ -4744,7 +5280,7 @@ ipcMain.handle('updateMeetingField', async (event, meetingId, field, value) => {
       console.log(`[IPC] Updated meeting ${meetingId} field '${field}' to '${value}'`);
 
       return currentData;
-    });
+    }, { source: 'user' });
 
     return { success: true };
   } catch (error) {
@@ -5235,67 +5771,332 @@ ipcMain.handle('db:getMeetingsForOrganization', async (event, organization) => {
   }
 });
 
-// ===================================================================
-// v1.3.0: Gmail IPC Handlers
-// ===================================================================
-
-// Get email threads for a contact
-ipcMain.handle('gmail:getThreadsByContact', async (event, email, maxResults = 10) => {
-  try {
-    if (!gmail || !gmail.isAuthenticated()) {
-      return { success: false, error: 'Gmail not authenticated' };
+// Full-text search (FTS5): ranked hits over transcripts, titles, summaries,
+// notes and template outputs. Query syntax errors can't happen — buildFtsQuery
+// quotes every term — so an empty result just means no match.
+ipcMain.handle(
+  'search:fullText',
+  withValidation(searchFullTextSchema, async (_event, { query, options }) => {
+    try {
+      const results = databaseService.searchFullText(query, options || {});
+      return { success: true, results };
+    } catch (error) {
+      console.error('[Search] Full-text search failed:', error);
+      return { success: false, error: error.message };
     }
-    const threads = await gmail.getThreadsByContact(email, maxResults);
-    return { success: true, threads };
-  } catch (error) {
-    console.error('[Gmail IPC] Failed to get threads:', error.message);
-    return { success: false, error: error.message };
-  }
-});
+  })
+);
 
-// ===================================================================
-// v1.3.0: Google Contacts Write IPC Handlers
-// ===================================================================
+// Semantic search (schema v7): embeddings come from the same local
+// Ollama-compatible server LocalLLMAdapter uses, so nothing leaves the machine.
+async function getLocalEmbedder() {
+  const baseUrl =
+    (await keyManagementService.getKey('OLLAMA_BASE_URL')) ||
+    process.env.OLLAMA_BASE_URL ||
+    'http://localhost:11434';
+  const model =
+    (await keyManagementService.getKey('OLLAMA_EMBED_MODEL')) ||
+    process.env.OLLAMA_EMBED_MODEL ||
+    DEFAULT_EMBEDDING_MODEL;
+  return { baseUrl, model, embed: texts => fetchLocalEmbeddings(baseUrl, model, texts) };
+}
 
-// Create a new Google Contact
-ipcMain.handle('contacts:createContact', async (event, contactData) => {
-  try {
-    if (!googleContacts || !googleContacts.isAuthenticated()) {
-      return { success: false, error: 'Google Contacts not authenticated' };
+// Embeds every new/changed meeting. Long-running on first use (whole history),
+// so progress goes through backgroundTaskManager; `limit` stages a partial run.
+let semanticIndexInFlight = null;
+function runSemanticIndex(limit) {
+  if (semanticIndexInFlight) return semanticIndexInFlight;
+  semanticIndexInFlight = (async () => {
+    const taskId = backgroundTaskManager.addTask({
+      type: 'semantic-index',
+      description: 'Indexing meetings for semantic search',
+    });
+    try {
+      const { model, embed } = await getLocalEmbedder();
+      const summary = await databaseService.indexSemanticPending(embed, {
+        model,
+        limit,
+        log: msg => console.warn(msg),
+        onProgress: (done, total) =>
+          backgroundTaskManager.updateTask(
+            taskId,
+            Math.round((done / total) * 100),
+            `Embedding meeting ${done}/${total}`
+          ),
+      });
+      if (summary.failed > 0 && summary.indexed === 0 && summary.skipped === 0) {
+        backgroundTaskManager.failTask(taskId, 'Local embedding server unavailable');
+      } else {
+        backgroundTaskManager.completeTask(taskId, summary);
+      }
+      return summary;
+    } catch (error) {
+      backgroundTaskManager.failTask(taskId, error.message);
+      throw error;
+    } finally {
+      semanticIndexInFlight = null;
     }
-    const contact = await googleContacts.createContact(contactData);
-    return { success: true, contact };
-  } catch (error) {
-    console.error('[Contacts IPC] Failed to create contact:', error.message);
-    return { success: false, error: error.message };
-  }
-});
+  })();
+  return semanticIndexInFlight;
+}
 
-// Resolve contact from cache by email (display-time lookup for renderer)
-ipcMain.handle('contacts:getByEmail', async (event, email) => {
-  try {
-    if (!googleContacts || !googleContacts.isAuthenticated()) {
-      return { success: false };
+ipcMain.handle(
+  'semantic:index',
+  withValidation(semanticIndexSchema, async (_event, args) => {
+    try {
+      const summary = await runSemanticIndex(args?.limit);
+      return { success: true, summary };
+    } catch (error) {
+      console.error('[Semantic] Indexing failed:', error);
+      return { success: false, error: error.message };
     }
-    const contact = await googleContacts.findContactByEmail(email);
-    return { success: true, contact: contact || null };
+  })
+);
+
+ipcMain.handle('semantic:getStatus', async () => {
+  try {
+    const { model } = await getLocalEmbedder();
+    const stats = databaseService.getSemanticIndexStats(model);
+    return { success: true, model, indexing: !!semanticIndexInFlight, ...stats };
   } catch (error) {
-    console.error('[Contacts IPC] getByEmail failed:', error.message);
     return { success: false, error: error.message };
   }
 });
 
-
-// Google Contacts & Speaker Matching Service-Specific IPC Handlers
-// ===================================================================
-
-// Fetch/refresh contacts from Google
+// "Find meetings about X": ranked by embedding similarity, transcript hits
+// pinned to the closest utterance + timestamp. Searches whatever is indexed,
+// then tops the index up in the background so the next query sees new meetings.
 ipcMain.handle(
-  'contacts:fetchContacts',
-  withValidation(optionalBooleanSchema, async (event, forceRefresh = false) => {
+  'semantic:find',
+  withValidation(semanticFindSchema, async (_event, { query, options }) => {
     try {
-      console.log('[Contacts IPC] Fetching contacts (forceRefresh:', forceRefresh, ')');
-      if (!googleContacts || !googleContacts.isAuthenticated()) {
+      const { model, embed } = await getLocalEmbedder();
+      const results = await databaseService.findMeetingsAbout(query, embed, {
+        ...(options || {}),
+        model,
+      });
+      const { pendingMeetings } = databaseService.getSemanticIndexStats(model);
+      if (pendingMeetings > 0 && !semanticIndexInFlight) {
+        runSemanticIndex().catch(err => console.warn('[Semantic] Background index failed:', err.message));
+      }
+      return { success: true, results, pendingMeetings };
+    } catch (error) {
+      console.error('[Semantic] Search failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// Action items (schema v9): extracted after each summary, listed across
+// meetings. Each item carries the entry_order of the utterance it came from.
+ipcMain.handle(
+  'actionItems:list',
+  withValidation(actionItemsListSchema, async (_event, filters) => {
+    try {
+      const items = databaseService.listActionItems(filters || {});
+      const facets = databaseService.getActionItemFacets(filters?.status || 'open');
+      return { success: true, items, ...facets };
+    } catch (error) {
+      console.error('[ActionItems] List failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+ipcMain.handle(
+  'actionItems:updateStatus',
+  withValidation(actionItemStatusUpdateSchema, async (_event, { id, status }) => {
+    try {
+      if (!databaseService.updateActionItemStatus(id, status)) {
+        return { success: false, error: `Action item ${id} not found` };
+      }
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// Meeting edit history (schema v11): overwritten titles, notes, summaries and
+// speaker mappings, recorded by databaseService.saveMeeting.
+ipcMain.handle(
+  'revisions:list',
+  withValidation(revisionsListSchema, async (_event, { meetingId, ...options }) => {
+    try {
+      return { success: true, revisions: databaseService.listMeetingRevisions(meetingId, options) };
+    } catch (error) {
+      console.error('[Revisions] List failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+ipcMain.handle(
+  'revisions:get',
+  withValidation(revisionIdSchema, async (_event, revisionId) => {
+    try {
+      const revision = databaseService.getMeetingRevision(revisionId);
+      if (!revision) return { success: false, error: `Revision ${revisionId} not found` };
+      return { success: true, revision };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+ipcMain.handle(
+  'revisions:revert',
+  withValidation(revisionIdSchema, async (_event, revisionId) => {
+    try {
+      const meeting = databaseService.revertMeetingRevision(revisionId);
+      if (!meeting) return { success: false, error: `Revision ${revisionId} or its meeting no longer exists` };
+      console.log(`[Revisions] Reverted revision #${revisionId} on meeting ${meeting.id}`);
+      return { success: true, meeting };
+    } catch (error) {
+      console.error('[Revisions] Revert failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// ===================================================================
+// Tags and custom fields (v13)
+// ===================================================================
+
+ipcMain.handle('tags:list', async () => {
+  try {
+    return { success: true, tags: databaseService.listTags() };
+  } catch (error) {
+    console.error('[Tags] List failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle(
+  'tags:set',
+  withValidation(meetingTagsSetSchema, async (_event, { meetingId, tags }) => {
+    try {
+      const stored = databaseService.setMeetingTags(meetingId, tags);
+      if (!stored) return { success: false, error: 'Meeting not found' };
+      return { success: true, tags: stored };
+    } catch (error) {
+      console.error('[Tags] Update failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+ipcMain.handle('customFields:list', async () => {
+  try {
+    return { success: true, fields: databaseService.listFieldDefinitions() };
+  } catch (error) {
+    console.error('[CustomFields] List failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle(
+  'customFields:save',
+  withValidation(customFieldDefinitionSchema, async (_event, definition) => {
+    try {
+      return { success: true, field: databaseService.saveFieldDefinition(definition) };
+    } catch (error) {
+      console.error('[CustomFields] Save failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+ipcMain.handle(
+  'customFields:delete',
+  withValidation(customFieldIdSchema, async (_event, id) => {
+    try {
+      if (!databaseService.deleteFieldDefinition(id)) {
+        return { success: false, error: 'Field not found' };
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('[CustomFields] Delete failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+ipcMain.handle(
+  'customFields:setValues',
+  withValidation(customFieldValuesSetSchema, async (_event, { meetingId, values }) => {
+    try {
+      const stored = databaseService.setMeetingFieldValues(meetingId, values);
+      if (!stored) return { success: false, error: 'Meeting not found' };
+      return { success: true, values: stored };
+    } catch (error) {
+      console.error('[CustomFields] Update failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// ===================================================================
+// v1.3.0: Gmail IPC Handlers
+// ===================================================================
+
+// Get email threads for a contact
+ipcMain.handle('gmail:getThreadsByContact', async (event, email, maxResults = 10) => {
+  try {
+    if (!gmail || !gmail.isAuthenticated()) {
+      return { success: false, error: 'Gmail not authenticated' };
+    }
+    const threads = await gmail.getThreadsByContact(email, maxResults);
+    return { success: true, threads };
+  } catch (error) {
+    console.error('[Gmail IPC] Failed to get threads:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// ===================================================================
+// v1.3.0: Google Contacts Write IPC Handlers
+// ===================================================================
+
+// Create a new Google Contact
+ipcMain.handle('contacts:createContact', async (event, contactData) => {
+  try {
+    if (!googleContacts || !googleContacts.isAuthenticated()) {
+      return { success: false, error: 'Google Contacts not authenticated' };
+    }
+    const contact = await googleContacts.createContact(contactData);
+    return { success: true, contact };
+  } catch (error) {
+    console.error('[Contacts IPC] Failed to create contact:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// Resolve contact from cache by email (display-time lookup for renderer)
+ipcMain.handle('contacts:getByEmail', async (event, email) => {
+  try {
+    if (!googleContacts || !googleContacts.isAuthenticated()) {
+      return { success: false };
+    }
+    const contact = await googleContacts.findContactByEmail(email);
+    return { success: true, contact: contact || null };
+  } catch (error) {
+    console.error('[Contacts IPC] getByEmail failed:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+
+// Google Contacts & Speaker Matching Service-Specific IPC Handlers
+// ===================================================================
+
+// Fetch/refresh contacts from Google
+ipcMain.handle(
+  'contacts:fetchContacts',
+  withValidation(optionalBooleanSchema, async (event, forceRefresh = false) => {
+    try {
+      console.log('[Contacts IPC] Fetching contacts (forceRefresh:', forceRefresh, ')');
+      if (!googleContacts || !googleContacts.isAuthenticated()) {
         throw new Error('Google Contacts not authenticated');
       }
 
@@ -5729,7 +6530,7 @@ ipcMain.handle(
       }
 
       // Save updated meeting data
-      await fileOperationManager.writeData(data);
+      await fileOperationManager.writeData(data, { source: 'user', reason: 'Speaker edit' });
 
       return { success: true, speakerMapping: meeting.speakerMapping };
     } catch (error) {
@@ -6163,7 +6964,7 @@ ipcMain.handle(
     }
 
     // Save updated meeting data
-    await fileOperationManager.writeData(data);
+    await fileOperationManager.writeData(data, { source: 'user', reason: 'Fix Speakers' });
 
     // Persist each mapping to the service for future auto-suggest
     // But skip generic speaker IDs like "Speaker A", "Speaker B" which are not consistent across transcripts
@@ -6209,9 +7010,13 @@ ipcMain.handle(
         // Check if files exist before updating
         if (fs.existsSync(summaryPath)) {
           console.log(`[SpeakerMapping IPC] Updating Obsidian summary: ${summaryPath}`);
-          const summaryContent = generateSummaryMarkdown(meeting, baseFilename);
-          fs.writeFileSync(summaryPath, summaryContent, 'utf8');
-          obsidianUpdated = true;
+          const summaryContent = generateSummaryMarkdown(
+            meeting,
+            baseFilename,
+            null,
+            databaseService.getSeriesNeighbors(meeting.id)
+          );
+          obsidianUpdated = writeSummaryNote(meeting, summaryPath, summaryContent).written;
         }
 
         if (fs.existsSync(transcriptPath)) {
@@ -6365,7 +7170,10 @@ ipcMain.handle(
   'templates:generateSummaries',
   withValidation(
     templatesGenerateSummariesSchema,
-    async (event, { meetingId, templateIds, routingOverride, mode = 'replace', model = null }) => {
+    async (
+      event,
+      { meetingId, templateIds, routingOverride, mode = 'replace', model = null, force = false }
+    ) => {
       // Create background task for progress tracking (v1.2.5 Phase 7)
       const taskId = backgroundTaskManager.addTask({
         type: 'template-summaries',
@@ -6421,7 +7229,7 @@ ipcMain.handle(
           llmService.switchToPreference(model);
 
           try {
-            summaries = await generateTemplateSummaries(meeting, templateIds);
+            summaries = await generateTemplateSummaries(meeting, templateIds, { force });
           } finally {
             // Restore original provider/model
             console.log(
@@ -6433,7 +7241,7 @@ ipcMain.handle(
           // Use default model via withProviderSwitch
           summaries = await withProviderSwitch(
             'auto',
-            async () => generateTemplateSummaries(meeting, templateIds),
+            async () => generateTemplateSummaries(meeting, templateIds, { force }),
             '[Template IPC]'
           );
         }
@@ -6452,7 +7260,7 @@ ipcMain.handle(
 
         // Save summaries to meeting object
         meeting.summaries = summaries;
-        await fileOperationManager.writeData(data);
+        await fileOperationManager.writeData(data, { source: 'llm', reason: 'Template summaries' });
         console.log('[Template IPC] Saved summaries to meeting object');
 
         backgroundTaskManager.updateTask(taskId, 85, 'Exporting to Obsidian...');
@@ -6501,6 +7309,19 @@ ipcMain.handle('templates:reload', async () => {
   }
 });
 
+// Structured answers of template sections with an output_schema
+ipcMain.handle(
+  'templates:getStructuredData',
+  withValidation(templatesStructuredDataSchema, async (_event, filters = {}) => {
+    try {
+      return { success: true, results: databaseService.listStructuredData(filters) };
+    } catch (error) {
+      console.error('[Template IPC] Failed to get structured data:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
 // Create a new template file (Phase 10.3 completion)
 ipcMain.handle(
   'templates:create',
@@ -6640,16 +7461,8 @@ ipcMain.handle(
 
     console.log('[Routing IPC] Found participant emails:', participantEmails);
 
-    // Create meeting data for routing
-    const routingData = {
-      participantEmails,
-      participants: meeting.participants || [],
-      meetingTitle: meeting.title,
-      meetingDate: new Date(meeting.date),
-    };
-
     // Get routing decision
-    const decision = routingEngine.route(routingData);
+    const decision = routingEngine.route(buildRoutingData(meeting, participantEmails));
 
     // Helper to get organization name from route
     const getOrgName = route => {
@@ -6672,6 +7485,7 @@ ipcMain.handle(
       }),
       multiOrg: decision.multiOrg,
       orgCount: decision.orgCount,
+      rule: decision.rule,
       participantEmails,
       matchResults: {
         clients: Object.keys(decision.matchResults.clients || {}),
@@ -6767,6 +7581,12 @@ ipcMain.handle('routing:getAllMappedDomains', async () => {
 
 // Helper function to build human-readable routing reason
 function buildRoutingReason(route, matchResults, participantEmails, orgName) {
+  if (route.rule) {
+    const because = route.rule.matched.join(', ');
+    return route.copy
+      ? `Copy from rule "${route.rule.name}" (${because})`
+      : `Rule "${route.rule.name}" matched: ${because}`;
+  }
   switch (route.type) {
     case 'client': {
       const clientEmails = matchResults.clients[route.slug] || [];
@@ -6780,6 +7600,8 @@ function buildRoutingReason(route, matchResults, participantEmails, orgName) {
       const internalEmails = matchResults.internal || [];
       return `Internal meeting: ${internalEmails.join(', ')} are internal team members`;
     }
+    case 'youtube':
+      return 'YouTube content - routing to content/youtube';
     case 'unfiled':
       if (participantEmails.length === 0) {
         return 'No participants found - routing to unfiled';
@@ -6790,6 +7612,158 @@ function buildRoutingReason(route, matchResults, participantEmails, orgName) {
   }
 }
 
+// Routing rules, with their conditions as editable text
+ipcMain.handle('routingRules:get', async () => {
+  const { rules, internalDomains } = appSettings.routingRules;
+  const ownDomain = userProfile.email?.split('@')[1]?.toLowerCase();
+  return {
+    success: true,
+    rules: rules.map(({ conditions, ...rule }) => ({
+      ...rule,
+      conditionsText: conditions.map(formatCondition).join('\n'),
+    })),
+    internalDomains,
+    suggestedInternalDomains: ownDomain ? [ownDomain] : [],
+  };
+});
+
+// Parse and save the routing rules (replaces the whole list, in order)
+ipcMain.handle(
+  'routingRules:save',
+  withValidation(routingRulesSaveSchema, async (_event, { rules, internalDomains }) => {
+    const problems = [];
+    const parsed = rules.map(({ conditionsText, ...rule }) => {
+      const { conditions, errors } = parseConditions(conditionsText);
+      for (const error of errors) {
+        problems.push(`Rule "${rule.name}", line ${error.line}: ${error.message}`);
+      }
+      if (conditions.length === 0 && errors.length === 0) {
+        problems.push(`Rule "${rule.name}" has no conditions`);
+      }
+      const copies = (rule.copies || []).map(c => c.trim()).filter(Boolean);
+      for (const folder of [rule.destination, ...copies].filter(f => f != null && f !== '')) {
+        const error = folderError(folder);
+        if (error) problems.push(`Rule "${rule.name}": folder "${folder}" ${error}`);
+      }
+      return {
+        id: rule.id || `rule-${crypto.randomUUID()}`,
+        name: rule.name,
+        enabled: rule.enabled !== false,
+        match: rule.match || 'all',
+        conditions,
+        destination: rule.destination?.trim() || null,
+        copies,
+        templates: rule.templates || [],
+      };
+    });
+    if (problems.length > 0) {
+      return { success: false, error: problems.join('\n'), problems };
+    }
+
+    appSettings.routingRules = {
+      rules: parsed,
+      internalDomains: (internalDomains ?? appSettings.routingRules.internalDomains)
+        .map(d => d.trim().toLowerCase().replace(/^@/, ''))
+        .filter(Boolean),
+    };
+    saveAppSettings();
+    console.log(`[Routing IPC] Saved ${parsed.length} routing rule(s)`);
+    return { success: true, count: parsed.length };
+  })
+);
+
+/**
+ * Where routing would now put each exported meeting that isn't there already.
+ * @param {Set<string>|null} [onlyIds] - Limit to these meetings
+ * @returns {Array<Object>} Planned moves, see planRelocations
+ */
+function planMeetingRelocations(onlyIds = null) {
+  const { upcomingMeetings, pastMeetings } = databaseService.getAllMeetings();
+  const meetings = [...upcomingMeetings, ...pastMeetings].filter(
+    m => m.obsidianLink && (!onlyIds || onlyIds.has(m.id))
+  );
+  return planRelocations(
+    meetings,
+    meeting => routingEngine.route(buildRoutingData(meeting, collectRoutingEmails(meeting))),
+    vaultStructure.getAbsolutePath('')
+  );
+}
+
+// Dry run: exported meetings whose notes routing would now put elsewhere
+ipcMain.handle('routing:planRelocation', async () => {
+  if (!vaultStructure || !routingEngine) {
+    return { success: false, error: 'Vault not configured' };
+  }
+  try {
+    const moves = planMeetingRelocations().map(({ route, routedClientIds: _ids, ...move }) => ({
+      ...move,
+      destination: route.organizationName || (route.type === 'unfiled' ? 'Unfiled' : route.type),
+      rule: route.rule?.name || null,
+    }));
+    console.log(`[Routing IPC] Re-routing would move ${moves.length} meeting(s)`);
+    return { success: true, moves };
+  } catch (error) {
+    console.error('[Routing IPC] Re-routing plan failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Move the approved meetings' notes and repair links to them
+ipcMain.handle(
+  'routing:relocateMeetings',
+  withValidation(relocateMeetingsSchema, async (_event, { meetingIds }) => {
+    if (!vaultStructure || !routingEngine) {
+      return { success: false, error: 'Vault not configured' };
+    }
+    try {
+      // Plan again rather than trusting paths from the renderer
+      const moves = planMeetingRelocations(new Set(meetingIds));
+      const renames = [];
+      const failed = [];
+
+      for (const move of moves) {
+        try {
+          if (move.conflict) throw new Error(move.conflict);
+          vaultStructure.moveMeetingNote(move.from, move.to);
+        } catch (error) {
+          failed.push({ meetingId: move.meetingId, title: move.title, error: error.message });
+          continue;
+        }
+
+        const meeting = databaseService.getMeeting(move.meetingId);
+        meeting.obsidianLink = move.to;
+        meeting.vaultPath = move.toFolder;
+        if (move.routedClientIds.length > 0) meeting.routedClients = move.routedClientIds;
+        databaseService.saveMeeting(meeting, null, {
+          source: 'user',
+          reason: `Notes moved to ${move.toFolder}`,
+        });
+        databaseService.moveNoteSync(move.meetingId, move.to);
+
+        const transcript = link => link.replace(/\.md$/, '-transcript.md');
+        renames.push(
+          { from: move.from, to: move.to },
+          { from: transcript(move.from), to: transcript(move.to) }
+        );
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('meeting-updated', move.meetingId);
+        }
+      }
+
+      const { filesChanged, linksRepaired } = vaultStructure.repairLinks(renames);
+      const moved = renames.length / 2;
+      console.log(
+        `[Routing IPC] Re-routed ${moved} meeting(s), ${failed.length} failed, ` +
+          `${linksRepaired} link(s) repaired`
+      );
+      return { success: true, moved, failed, filesChanged, linksRepaired };
+    } catch (error) {
+      console.error('[Routing IPC] Re-routing failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
 // Add new organization to routing (database-driven, replaces YAML)
 ipcMain.handle(
   'routing:addOrganization',
@@ -7084,6 +8058,50 @@ ipcMain.handle('local:listModels', async (_event, baseUrl) => {
   }
 });
 
+/**
+ * Give the LLM service the current OpenAI-compatible and Azure settings:
+ * URLs and keys from key management, the rest from appSettings.llmEndpoints.
+ * Keys saved in Security settings take effect without a restart.
+ */
+async function refreshLlmEndpoints() {
+  if (!llmService) return;
+  const key = async name => (await keyManagementService.getKey(name)) || process.env[name];
+  llmService.setEndpointOptions({
+    openai: {
+      ...appSettings.llmEndpoints.openai,
+      baseUrl: await key('OPENAI_COMPATIBLE_BASE_URL'),
+      apiKey: await key('OPENAI_COMPATIBLE_API_KEY'),
+    },
+    azure: {
+      ...appSettings.llmEndpoints.azure,
+      endpoint: await key('AZURE_OPENAI_ENDPOINT'),
+      apiKey: await key('AZURE_OPENAI_API_KEY'),
+    },
+  });
+}
+
+// Models of the OpenAI-compatible server (GET /v1/models), or the Azure deployments
+ipcMain.handle(
+  'llm:listEndpointModels',
+  withValidation(llmListEndpointModelsSchema, async (_event, { provider }) => {
+    try {
+      if (!llmService) {
+        return {
+          success: false,
+          error: 'LLM service not configured - please add API keys in settings',
+          models: [],
+        };
+      }
+      await refreshLlmEndpoints();
+      const models = await llmService.listModels(provider);
+      return { success: true, models };
+    } catch (error) {
+      console.error(`[LLM] Error listing ${provider} models:`, error.message);
+      return { success: false, error: error.message, models: [] };
+    }
+  })
+);
+
 // ===================================================================
 // v2.0: Voice Profile IPC Handlers
 // ===================================================================
@@ -7451,6 +8469,7 @@ ipcMain.handle(
     // If successful, save meeting to database
     if (result.success) {
       databaseService.saveMeeting(result.meeting, 'past');
+      notifyDuplicates(result.meeting, result.duplicates);
     }
 
     return result;
@@ -7493,6 +8512,7 @@ ipcMain.handle(
         for (const meeting of result.meetings) {
           databaseService.saveMeeting(meeting, 'past');
         }
+        notifyBatchDuplicates(result);
 
         return result;
       },
@@ -7529,6 +8549,7 @@ ipcMain.handle(
         });
         await fileOperationManager.writeData(data);
       }
+      notifyBatchDuplicates(result);
 
       return result;
     } catch (error) {
@@ -7551,7 +8572,7 @@ ipcMain.handle(
 ipcMain.handle('import:getStatus', async () => {
   return {
     initialized: !!importManager,
-    supportedFormats: ['.txt', '.md', '.vtt', '.srt'],
+    supportedFormats: ['.txt', '.md', '.vtt', '.srt', '.json', '.docx'],
     audioFormats: ['.mp3', '.wav', '.m4a', '.ogg', '.webm', '.flac', '.aac'],
   };
 });
@@ -7655,9 +8676,25 @@ ipcMain.handle(
 ipcMain.handle(
   'import:importAudioFile',
   withValidation(importAudioFileSchema, async (event, { filePath, provider, options = {} }) => {
-  console.log(`[Import] Importing audio file: ${filePath}`);
-
-  // Create background task for full import progress tracking (v1.2.5 Phase 7)
+    return importAudioFile(filePath, provider, options, progress =>
+      event.sender.send('import:progress', progress)
+    );
+  })
+);
+
+/**
+ * Transcribe an audio file and save it as a meeting (import:importAudioFile,
+ * watched folders). Progress shows in the background tasks panel.
+ * @param {string} filePath
+ * @param {string} provider - Transcription provider
+ * @param {Object} [options] - generateAutoSummary, templateIds, autoExport, clientSlug, platform
+ * @param {Function} [onProgress] - Receives import:progress payloads
+ * @returns {Promise<Object>} { success, meeting, metadata } or { success: false, error }
+ */
+async function importAudioFile(filePath, provider, options = {}, onProgress = () => {}) {
+  console.log(`[Import] Importing audio file: ${filePath}`);
+
+  // Create background task for full import progress tracking (v1.2.5 Phase 7)
   const taskId = backgroundTaskManager.addTask({
     type: 'import-audio',
     description: `Importing audio: ${path.basename(filePath)}`,
@@ -7685,7 +8722,7 @@ ipcMain.handle(
   try {
     // Step 1: Transcribe the audio file
     backgroundTaskManager.updateTask(taskId, 5, 'Starting transcription...');
-    event.sender.send('import:progress', {
+    onProgress({
       step: 'transcribing',
       file: path.basename(filePath),
       provider,
@@ -7726,7 +8763,7 @@ ipcMain.handle(
     backgroundTaskManager.updateTask(taskId, 40, 'Transcription complete, creating meeting...');
 
     // Step 2: Create a meeting object from the transcription
-    event.sender.send('import:progress', {
+    onProgress({
       step: 'creating-meeting',
       file: path.basename(filePath),
     });
@@ -7822,7 +8859,7 @@ ipcMain.handle(
     // Step 4: Generate auto-summary if requested
     if (generateAutoSummary && meeting.transcript.length > 0) {
       backgroundTaskManager.updateTask(taskId, 50, 'Generating auto-summary...');
-      event.sender.send('import:progress', {
+      onProgress({
         step: 'generating-auto-summary',
         file: path.basename(filePath),
       });
@@ -7836,7 +8873,7 @@ ipcMain.handle(
     // Step 5: Generate template summaries if requested
     if (templateIds && templateIds.length > 0 && meeting.transcript.length > 0) {
       backgroundTaskManager.updateTask(taskId, 65, 'Generating template summaries...');
-      event.sender.send('import:progress', {
+      onProgress({
         step: 'generating-template-summaries',
         file: path.basename(filePath),
       });
@@ -7850,7 +8887,7 @@ ipcMain.handle(
     // Step 6: Export to Obsidian if requested
     if (autoExport) {
       backgroundTaskManager.updateTask(taskId, 80, 'Exporting to Obsidian...');
-      event.sender.send('import:progress', { step: 'exporting', file: path.basename(filePath) });
+      onProgress({ step: 'exporting', file: path.basename(filePath) });
       try {
         await importManager.exportToObsidian(meeting);
       } catch (err) {
@@ -7860,10 +8897,11 @@ ipcMain.handle(
 
     // Step 7: Save to database
     backgroundTaskManager.updateTask(taskId, 90, 'Saving meeting data...');
-    event.sender.send('import:progress', { step: 'saving', file: path.basename(filePath) });
+    onProgress({ step: 'saving', file: path.basename(filePath) });
     const data = await fileOperationManager.readMeetingsData();
     data.pastMeetings.unshift(meeting);
     await fileOperationManager.writeData(data);
+    notifyPossibleDuplicates(meeting.id);
 
     // Complete the background task (Phase 7)
     backgroundTaskManager.completeTask(taskId, {
@@ -7887,8 +8925,7 @@ ipcMain.handle(
     backgroundTaskManager.failTask(taskId, error.message);
     return { success: false, error: error.message };
   }
-  })
-);
+}
 
 /**
  * Format seconds to HH:MM:SS timestamp
@@ -8051,7 +9088,7 @@ async function resolveSpeakerNames(zoomParticipants, calendarAttendees, googleCo
 
 // IM-1: Audio file extensions for import
 const AUDIO_EXTENSIONS = ['mp3', 'wav', 'm4a', 'ogg', 'webm', 'flac', 'aac'];
-const TRANSCRIPT_EXTENSIONS = ['txt', 'md', 'vtt', 'srt'];
+const TRANSCRIPT_EXTENSIONS = ['txt', 'md', 'vtt', 'srt', 'json', 'docx'];
 
 /**
  * Check if a file is an audio file based on extension
@@ -8127,7 +9164,8 @@ ipcMain.handle('import:selectFolder', async () => {
   }
 
   const folderPath = result.filePaths[0];
-  const supportedExtensions = ['.txt', '.md', '.vtt', '.srt'];
+  // .json is left out: folders often hold JSON that isn't a transcript export
+  const supportedExtensions = ['.txt', '.md', '.vtt', '.srt', '.docx'];
 
   // Recursively find all transcript files in folder
   async function findTranscriptFiles(dir) {
@@ -8522,6 +9560,122 @@ ipcMain.handle(
   })
 );
 
+// ===================================================================
+// Watched Folders (auto-import, see import/FolderWatcher.js)
+// ===================================================================
+
+/**
+ * Import a transcript file found in a watched folder, as import:importFile
+ * does, with a background task for progress.
+ * @param {string} filePath
+ * @returns {Promise<{meetingId: string}>}
+ * @throws {Error} If the import fails
+ */
+async function importWatchedTranscript(filePath) {
+  const taskId = backgroundTaskManager.addTask({
+    type: 'folder-import',
+    description: `Importing: ${path.basename(filePath)}`,
+    metadata: { filePath },
+  });
+  try {
+    if (!importManager) throw new Error('Import manager not initialized');
+    const { generateAutoSummary, autoExport } = appSettings.watchFolders;
+    const steps = { parsing: 10, 'extracting-metadata': 20, 'creating-meeting': 30 };
+    const result = await importManager.importFile(filePath, {
+      generateAutoSummary,
+      autoExport,
+      onProgress: progress => {
+        const message = `${progress.step.replace(/-/g, ' ')}...`;
+        backgroundTaskManager.updateTask(taskId, steps[progress.step] || 60, message);
+      },
+    });
+    if (!result.success) throw new Error(result.error || 'Import failed');
+
+    databaseService.saveMeeting(result.meeting, 'past');
+    backgroundTaskManager.completeTask(taskId, { meetingId: result.meeting.id });
+    notifyMeetingImported(result.meeting.id);
+    notifyDuplicates(result.meeting, result.duplicates);
+    return { meetingId: result.meeting.id };
+  } catch (error) {
+    backgroundTaskManager.failTask(taskId, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Transcribe a recording found in a watched folder with the default provider.
+ * importAudioFile adds its own background task.
+ * @param {string} filePath
+ * @returns {Promise<{meetingId: string}>}
+ * @throws {Error} If the import fails
+ */
+async function importWatchedAudio(filePath) {
+  const { generateAutoSummary, autoExport } = appSettings.watchFolders;
+  const provider = appSettings.transcriptionProvider || 'local';
+  const result = await importAudioFile(filePath, provider, { generateAutoSummary, autoExport });
+  if (!result.success) throw new Error(result.error || 'Import failed');
+  notifyMeetingImported(result.meeting.id);
+  return { meetingId: result.meeting.id };
+}
+
+function notifyMeetingImported(meetingId) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('meeting-updated', meetingId);
+  }
+}
+
+/**
+ * (Re)start watching the enabled folders in appSettings.watchFolders.
+ */
+function applyWatchFolderSettings() {
+  // Files older than the folder's addedAt were there before it was watched
+  const folders = (appSettings.watchFolders?.folders || [])
+    .filter(folder => folder.enabled !== false && folder.path)
+    .map(folder => ({ path: folder.path, since: Date.parse(folder.addedAt) || 0 }));
+
+  if (folders.length === 0) {
+    if (folderWatcher) folderWatcher.stop();
+    return;
+  }
+  if (!folderWatcher) {
+    folderWatcher = new FolderWatcher({
+      importTranscript: importWatchedTranscript,
+      importAudio: importWatchedAudio,
+      isImported: file => databaseService.isFileImported(file),
+      recordImport: entry => databaseService.recordFileImport(entry),
+    });
+  }
+  folderWatcher.start(folders);
+}
+
+// Watched-folder settings, which folders are being watched and recent imports
+ipcMain.handle('watchFolders:get', async () => {
+  try {
+    return {
+      success: true,
+      settings: appSettings.watchFolders,
+      watching: folderWatcher ? folderWatcher.getWatchedFolders() : [],
+      recent: databaseService.listRecentFileImports(20),
+    };
+  } catch (error) {
+    console.error('[FolderWatch] Failed to load status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Pick a folder to watch (saved through app:updateSettings)
+ipcMain.handle('watchFolders:chooseFolder', async () => {
+  const { dialog } = require('electron');
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select Folder to Watch',
+    properties: ['openDirectory'],
+  });
+  if (result.canceled || !result.filePaths.length) {
+    return { success: false, canceled: true };
+  }
+  return { success: true, path: result.filePaths[0] };
+});
+
 // ===================================================================
 // End Import IPC Handlers
 // ===================================================================
@@ -8530,9 +9684,18 @@ ipcMain.handle(
 // Transcript Export IPC Handlers
 // ===================================================================
 
-// Export a single meeting's transcript to a user-chosen file
-ipcMain.handle('transcript:exportSingle', async (event, meetingId) => {
+// Formats for the export format picker
+ipcMain.handle('transcript:exportFormats', async () => {
+  return { success: true, formats: listExportFormats() };
+});
+
+// Export a single meeting's transcript to a user-chosen file. The save dialog
+// offers the requested format first; picking another file type switches to it.
+ipcMain.handle('transcript:exportSingle', async (event, meetingId, format = 'txt') => {
   try {
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return { success: false, error: `Unknown export format: ${format}` };
+    }
     const meeting = databaseService.getMeeting(meetingId);
     if (!meeting) {
       return { success: false, error: 'Meeting not found' };
@@ -8541,33 +9704,35 @@ ipcMain.handle('transcript:exportSingle', async (event, meetingId) => {
       return { success: false, error: 'Meeting has no transcript' };
     }
 
-    const content = formatTranscriptForExport(meeting.transcript);
-    if (!content) {
-      return { success: false, error: 'Transcript has no exportable entries' };
-    }
-
-    const defaultFilename = generateExportFilename(meeting);
+    const defaultFilename = generateExportFilename(meeting, format);
+    const formats = listExportFormats();
     const { dialog } = require('electron');
     const result = await dialog.showSaveDialog(mainWindow, {
       title: 'Export Transcript',
       defaultPath: defaultFilename,
       filters: [
-        { name: 'Text Files', extensions: ['txt'] },
-        { name: 'Markdown Files', extensions: ['md'] },
-        { name: 'All Files', extensions: ['*'] },
-      ],
+        ...formats.filter(f => f.id === format),
+        ...formats.filter(f => f.id !== format),
+      ].map(f => ({ name: f.label, extensions: f.extensions })),
     });
 
     if (result.canceled || !result.filePath) {
       return { success: false, error: 'Export cancelled' };
     }
 
+    const chosenFormat = formatForPath(result.filePath) || format;
+    const { content, entryCount } = exportTranscript(meeting, chosenFormat);
+    if (!content) {
+      return { success: false, error: 'Transcript has no exportable entries' };
+    }
+
     const fsPromises = require('fs').promises;
     await fsPromises.writeFile(result.filePath, content, 'utf8');
 
-    const entryCount = content.split('\n').length;
-    console.log(`[Export] Exported ${entryCount} transcript entries to: ${result.filePath}`);
-    return { success: true, filePath: result.filePath, entryCount };
+    console.log(
+      `[Export] Exported ${entryCount} transcript entries (${chosenFormat}) to: ${result.filePath}`
+    );
+    return { success: true, filePath: result.filePath, entryCount, format: chosenFormat };
   } catch (error) {
     console.error('[Export] Single export failed:', error);
     return { success: false, error: error.message };
@@ -8575,7 +9740,7 @@ ipcMain.handle('transcript:exportSingle', async (event, meetingId) => {
 });
 
 // Batch export multiple meeting transcripts to a user-chosen directory
-ipcMain.handle('transcript:exportBatch', async (event, meetingIds) => {
+ipcMain.handle('transcript:exportBatch', async (event, meetingIds, format = 'txt') => {
   const exported = [];
   const skipped = [];
   const errors = [];
@@ -8584,6 +9749,10 @@ ipcMain.handle('transcript:exportBatch', async (event, meetingIds) => {
     if (!Array.isArray(meetingIds) || meetingIds.length === 0) {
       return { success: false, error: 'No meeting IDs provided', exported, skipped, errors };
     }
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      const error = `Unknown export format: ${format}`;
+      return { success: false, error, exported, skipped, errors };
+    }
 
     const { dialog } = require('electron');
     const result = await dialog.showOpenDialog(mainWindow, {
@@ -8611,14 +9780,14 @@ ipcMain.handle('transcript:exportBatch', async (event, meetingIds) => {
           continue;
         }
 
-        const content = formatTranscriptForExport(meeting.transcript);
+        const { content, entryCount } = exportTranscript(meeting, format);
         if (!content) {
           skipped.push({ meetingId, title: meeting.title, reason: 'No exportable entries' });
           continue;
         }
 
         // Generate unique filename, appending counter for collisions
-        const baseName = generateExportFilename(meeting);
+        const baseName = generateExportFilename(meeting, format);
         let filename = baseName;
         let counter = 2;
         while (usedFilenames.has(filename)) {
@@ -8632,7 +9801,6 @@ ipcMain.handle('transcript:exportBatch', async (event, meetingIds) => {
         const filePath = path.join(outputDir, filename);
         await fsPromises.writeFile(filePath, content, 'utf8');
 
-        const entryCount = content.split('\n').length;
         exported.push({ meetingId, title: meeting.title, filePath, entryCount });
       } catch (error) {
         errors.push({ meetingId, error: error.message });
@@ -8653,6 +9821,113 @@ ipcMain.handle('transcript:exportBatch', async (event, meetingIds) => {
 // End Transcript Export IPC Handlers
 // ===================================================================
 
+// ===================================================================
+// Meeting Bundle IPC Handlers (.jdmeeting, see meetingBundle.js)
+// ===================================================================
+
+// Pack one meeting (rows, tags, custom fields and audio) into a .jdmeeting file
+ipcMain.handle(
+  'meetingBundle:export',
+  withValidation(stringIdSchema, async (event, meetingId) => {
+    try {
+      const data = databaseService.collectMeetingBundle(meetingId);
+      if (!data) {
+        return { success: false, error: 'Meeting not found' };
+      }
+
+      const datePart = String(data.meeting.date || '').slice(0, 10);
+      const { dialog } = require('electron');
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Meeting Bundle',
+        defaultPath: `${datePart}-${slugify(data.meeting.title)}.${BUNDLE_EXTENSION}`,
+        filters: [{ name: 'Meeting Bundle', extensions: [BUNDLE_EXTENSION] }],
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, error: 'Export cancelled' };
+      }
+
+      const { size, hasAudio } = await writeMeetingBundle(
+        result.filePath,
+        data,
+        data.meeting.video_file
+      );
+      console.log(
+        `[MeetingBundle] Exported ${meetingId} (${size} bytes, audio: ${hasAudio}) to: ${result.filePath}`
+      );
+      return { success: true, filePath: result.filePath, hasAudio };
+    } catch (error) {
+      console.error('[MeetingBundle] Export failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// Import a .jdmeeting file under the meeting's own id. If the meeting is here
+// and has been edited since, nothing is imported and the renderer gets
+// `existing: true` with the file path, to call again with the user's choice
+// ({ filePath, onExisting: 'replace' | 'copy' | 'skip' }).
+ipcMain.handle(
+  'meetingBundle:import',
+  withValidation(meetingBundleImportSchema, async (event, choice) => {
+    let audioFile = null;
+    try {
+      let filePath = choice?.filePath;
+      if (!filePath) {
+        const { dialog } = require('electron');
+        const result = await dialog.showOpenDialog(mainWindow, {
+          title: 'Import Meeting Bundle',
+          filters: [{ name: 'Meeting Bundle', extensions: [BUNDLE_EXTENSION] }],
+          properties: ['openFile'],
+        });
+        if (result.canceled || !result.filePaths?.length) {
+          return { success: false, error: 'Import cancelled' };
+        }
+        filePath = result.filePaths[0];
+      }
+
+      const { data, audio } = await readMeetingBundle(filePath);
+      const status = databaseService.bundleMeetingStatus(data);
+      if (status === 'changed' && !choice) {
+        return { success: false, existing: true, filePath, title: data.meeting.title };
+      }
+      const onExisting = choice?.onExisting || 'skip';
+      if (status === 'unchanged' || (status === 'changed' && onExisting === 'skip')) {
+        return { success: true, alreadyImported: true, title: data.meeting.title };
+      }
+
+      const contactResources =
+        googleContacts && googleContacts.isAuthenticated()
+          ? await resolveContactResources(data, email => googleContacts.findContactByEmail(email))
+          : new Map();
+      if (audio) audioFile = saveBundleAudio(audio, RECORDING_PATH);
+
+      const imported = databaseService.importMeetingBundle(data, {
+        audioFile,
+        contactResources,
+        onExisting,
+      });
+
+      linkMeetingSeries({ id: imported.meetingId });
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('meeting-updated', imported.meetingId);
+      }
+      console.log(
+        `[MeetingBundle] Imported ${imported.originalId} as ${imported.meetingId}` +
+          ` (${contactResources.size} contacts linked, ${imported.skippedFields.length} fields skipped)`
+      );
+      return { success: true, ...imported, title: data.meeting.title };
+    } catch (error) {
+      if (audioFile && fs.existsSync(audioFile)) fs.unlinkSync(audioFile);
+      console.error('[MeetingBundle] Import failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// ===================================================================
+// End Meeting Bundle IPC Handlers
+// ===================================================================
+
 // ===================================================================
 // Pattern Testing IPC Handlers (Phase 10.8.2)
 // ===================================================================
@@ -9011,6 +10286,7 @@ ipcMain.handle('settings:chooseVaultPath', async () => {
     // Save to app settings
     appSettings.vaultPath = selectedPath;
     saveAppSettings();
+    startVaultWatcher();
 
     logger.main.info(`[Settings] Vault path updated to: ${selectedPath}`);
     return { success: true, path: selectedPath };
@@ -9143,6 +10419,50 @@ ipcMain.handle(
       );
     }
 
+    if (updates.mcp) {
+      const writesChanged =
+        updates.mcp.allowWrites !== undefined && updates.mcp.allowWrites !== appSettings.mcp?.allowWrites;
+      appSettings.mcp = { ...appSettings.mcp, ...updates.mcp };
+      // Open HTTP sessions were built with the old tool set
+      if (writesChanged) await expressApp.closeMcpHttpSessions();
+      await applyMcpHttpSettings();
+    }
+
+    if (updates.trash) {
+      appSettings.trash = { ...appSettings.trash, ...updates.trash };
+      purgeExpiredTrash();
+    }
+
+    if (updates.watchFolders) {
+      appSettings.watchFolders = { ...appSettings.watchFolders, ...updates.watchFolders };
+      applyWatchFolderSettings();
+    }
+
+    if (updates.llmFallback) {
+      appSettings.llmFallback = { ...appSettings.llmFallback, ...updates.llmFallback };
+      llmService?.setFallbackPolicy(appSettings.llmFallback);
+    }
+
+    if (updates.llmBudget) {
+      appSettings.llmBudget = { ...appSettings.llmBudget, ...updates.llmBudget };
+    }
+
+    if (updates.summaryCache) {
+      appSettings.summaryCache = { ...appSettings.summaryCache, ...updates.summaryCache };
+    }
+
+    if (updates.llmEndpoints) {
+      appSettings.llmEndpoints = {
+        openai: { ...appSettings.llmEndpoints.openai, ...updates.llmEndpoints.openai },
+        azure: { ...appSettings.llmEndpoints.azure, ...updates.llmEndpoints.azure },
+      };
+      try {
+        await refreshLlmEndpoints();
+      } catch (error) {
+        logger.main.warn('[LLM] Could not apply endpoint settings:', error.message);
+      }
+    }
+
     // v1.2: Top-level boolean settings (from General settings tab)
     if (updates.showRecordingWidget !== undefined) {
       appSettings.showRecordingWidget = updates.showRecordingWidget;
@@ -10106,6 +11426,15 @@ ipcMain.handle('companies:syncContacts', async (_event, companyName) => {
 // MCP Server Config IPC Handler (v1.4)
 // ===================================================================
 
+/**
+ * Enable/disable the HTTP MCP endpoint from appSettings.mcp. It stays off
+ * until a bearer token exists; a new token drops open sessions.
+ */
+async function applyMcpHttpSettings() {
+  const token = await keyManagementService.getKey('MCP_HTTP_TOKEN');
+  await expressApp.setMcpHttpEnabled(!!appSettings.mcp?.httpEnabled, token);
+}
+
 ipcMain.handle(
   'mcp:getConfig',
   createIpcHandler(async () => {
@@ -10114,24 +11443,59 @@ ipcMain.handle(
     // In production, the path is different
     const prodMcpPath = path.join(process.resourcesPath || __dirname, 'src', 'mcp-server.js');
     const actualPath = fs.existsSync(mcpServerPath) ? mcpServerPath : prodMcpPath;
+    const allowWrites = !!appSettings.mcp?.allowWrites;
 
     const configSnippet = JSON.stringify({
       mcpServers: {
         'jd-notes': {
           command: 'node',
-          args: [actualPath, '--db-path', dbPath],
+          args: [actualPath, '--db-path', dbPath, ...(allowWrites ? ['--allow-writes'] : [])],
         },
       },
     }, null, 2);
 
+    // Clients that speak Streamable HTTP connect to the running app instead
+    const httpToken = await keyManagementService.getKey('MCP_HTTP_TOKEN');
+    const httpConfigSnippet = httpToken
+      ? JSON.stringify({
+          mcpServers: {
+            'jd-notes': {
+              type: 'http',
+              url: MCP_HTTP_ENDPOINT,
+              headers: { Authorization: `Bearer ${httpToken}` },
+            },
+          },
+        }, null, 2)
+      : null;
+
     return {
       dbPath,
       mcpServerPath: actualPath,
       configSnippet,
+      allowWrites,
+      httpEnabled: !!appSettings.mcp?.httpEnabled,
+      httpUrl: MCP_HTTP_ENDPOINT,
+      httpToken,
+      httpConfigSnippet,
+      httpStatus: expressApp.getMcpHttpStatus(),
     };
   })
 );
 
+// Create (or rotate) the HTTP bearer token and turn the endpoint on
+ipcMain.handle(
+  'mcp:createHttpToken',
+  createIpcHandler(async () => {
+    const token = expressApp.generateMcpHttpToken();
+    await keyManagementService.setKey('MCP_HTTP_TOKEN', token);
+    appSettings.mcp = { ...appSettings.mcp, httpEnabled: true };
+    saveAppSettings();
+    await applyMcpHttpSettings();
+    logger.ipc.info('[IPC] MCP HTTP token created');
+    return { token };
+  })
+);
+
 // ===================================================================
 // End MCP Server Config IPC Handler
 // ===================================================================
@@ -10399,161 +11763,831 @@ ipcMain.handle('widget:toggleAlwaysOnTop', (event, enabled) => {
       type: 'always-on-top-changed',
       enabled: newState,
     });
-
-    return { success: true, alwaysOnTop: newState };
+
+    return { success: true, alwaysOnTop: newState };
+  }
+  return { success: false, error: 'Widget not available' };
+});
+
+// v1.2: Get widget state (visibility, always-on-top)
+ipcMain.handle('widget:getState', () => {
+  if (recordingWidget && !recordingWidget.isDestroyed()) {
+    return {
+      success: true,
+      visible: recordingWidget.isVisible(),
+      alwaysOnTop: recordingWidget.isAlwaysOnTop(),
+    };
+  }
+  return { success: true, visible: false, alwaysOnTop: true };
+});
+
+// v1.2 fix: Track which meeting the user is currently viewing in the app
+ipcMain.on('renderer:current-meeting-changed', (_event, meetingInfo) => {
+  if (meetingInfo) {
+    currentViewedMeetingId = meetingInfo.id || null;
+    currentViewedMeetingInfo = meetingInfo;
+    logger.main.info('[Widget] Current viewed meeting changed:', currentViewedMeetingId, meetingInfo.title);
+
+    // Update the widget with the new meeting info if it's visible
+    if (recordingWidget && !recordingWidget.isDestroyed()) {
+      recordingWidget.webContents.send('widget:update', {
+        type: 'meeting-info-update',
+        meetingInfo: meetingInfo,
+        currentViewedMeeting: meetingInfo,
+      });
+    }
+  } else {
+    currentViewedMeetingId = null;
+    currentViewedMeetingInfo = null;
+    logger.main.info('[Widget] Current viewed meeting cleared');
+  }
+});
+
+// v1.2 fix: Get recording context for widget options dialog
+ipcMain.handle('widget:get-recording-context', async () => {
+  try {
+    const context = {
+      // Current state
+      isRecording: recordingManager?.isRecording ?? false,
+      currentRecordingMeetingId: recordingManager?.currentMeetingId ?? null,
+      currentRecordingMeetingTitle: recordingManager?.currentMeetingTitle ?? null,
+
+      // Detected platform meeting
+      detectedMeeting: detectedMeeting ? {
+        id: `detected-${detectedMeeting.window?.id}`,
+        platform: detectedMeeting.window?.platform || 'unknown',
+        title: detectedMeeting.window?.title || 'Meeting',
+        isDetectedMeeting: true,
+      } : null,
+
+      // Currently viewed meeting in app (with transcript info)
+      currentViewedMeeting: currentViewedMeetingInfo,
+
+      // Upcoming calendar events (within next 10 minutes)
+      upcomingCalendarEvents: [],
+    };
+
+    // Get upcoming calendar events if authenticated
+    if (googleCalendar && googleCalendar.isAuthenticated()) {
+      try {
+        const meetings = await googleCalendar.getUpcomingMeetings(0.25); // Next 15 minutes
+        const now = new Date();
+
+        // Filter to events starting within 10 minutes (or already started within last 5 min)
+        context.upcomingCalendarEvents = meetings.filter(m => {
+          const startTime = new Date(m.startTime);
+          const minutesUntilStart = (startTime - now) / (1000 * 60);
+          return minutesUntilStart >= -5 && minutesUntilStart <= 10;
+        }).map(m => ({
+          id: m.id,
+          title: m.title,
+          startTime: m.startTime,
+          endTime: m.endTime,
+          platform: m.platform || 'calendar',
+          participants: m.participants || [],
+          isCalendarEvent: true,
+        }));
+      } catch (calendarError) {
+        logger.main.warn('[Widget] Failed to fetch calendar events:', calendarError.message);
+      }
+    }
+
+    return { success: true, context };
+  } catch (error) {
+    logger.main.error('[Widget] Failed to get recording context:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Handler to get active recording ID for a note
+ipcMain.handle(
+  'getActiveRecordingId',
+  withValidation(optionalStringSchema, async (event, noteId) => {
+    console.log(`getActiveRecordingId called for note: ${noteId}`);
+
+    try {
+      // If noteId is provided, get recording for that specific note
+      if (noteId) {
+        const recordingInfo = recordingManager.getForNote(noteId);
+        return {
+          success: true,
+          data: recordingInfo,
+        };
+      }
+
+      // Otherwise return all active recordings
+      return {
+        success: true,
+        data: recordingManager.getActiveRecordings(),
+      };
+    } catch (error) {
+      console.error('Error getting active recording ID:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// ===================================================================
+// Trash: deleting a meeting moves it (and its vault notes and audio) to the
+// Trash; it's deleted for good after appSettings.trash.retentionDays.
+// ===================================================================
+
+/**
+ * Vault root, or null when no vault is configured
+ * @returns {string|null}
+ */
+function getVaultRoot() {
+  try {
+    return vaultStructure ? vaultStructure.getAbsolutePath('') : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The files that belong to a meeting: its exported note and transcript note
+ * and any other note carrying its meeting_id, wherever they have been moved
+ * (vault-relative), and its recording (absolute).
+ * @param {Object} meeting
+ * @returns {{notes: string[], media: string[]}}
+ */
+function collectMeetingFiles(meeting) {
+  const notes = new Set();
+  if (meeting.obsidianLink) {
+    const link = meeting.obsidianLink.replace(/\\/g, '/');
+    notes.add(link);
+    notes.add(link.replace(/\.md$/, '-transcript.md'));
+  }
+  if (vaultStructure) {
+    for (const note of vaultStructure.findFilesByMeetingIds([meeting.id]).get(meeting.id) || []) {
+      notes.add(note.relativePath);
+    }
+  }
+
+  const media = new Set([meeting.videoFile, meeting.videoPath].filter(Boolean));
+  if (meeting.recordingId) {
+    for (const name of [
+      `windows-desktop-${meeting.recordingId}.mp3`,
+      `${meeting.recordingId}.mp4`,
+      `macos-desktop-${meeting.recordingId}.mp4`,
+      `desktop-${meeting.recordingId}.mp4`,
+    ]) {
+      media.add(path.join(RECORDING_PATH, name));
+    }
+  }
+  return { notes: [...notes], media: [...media] };
+}
+
+/**
+ * Delete trashed meetings for good, with their Trash folders and any of their
+ * notes still in the vault (written after the meeting was trashed, or left
+ * behind by an older version).
+ * @param {string[]} meetingIds
+ */
+function deleteTrashedMeetings(meetingIds) {
+  const vaultRoot = getVaultRoot();
+  const leftovers =
+    vaultRoot && vaultStructure ? vaultStructure.findFilesByMeetingIds(meetingIds) : new Map();
+  for (const meetingId of meetingIds) {
+    databaseService.deleteMeeting(meetingId);
+    if (!vaultRoot) continue;
+    removeTrashFolder(vaultRoot, meetingId);
+    for (const note of leftovers.get(meetingId) || []) {
+      fs.rmSync(note.absolutePath, { force: true });
+    }
+  }
+}
+
+/**
+ * Delete trashed meetings past the retention period, with their files.
+ */
+function purgeExpiredTrash() {
+  try {
+    const expired = databaseService.getExpiredTrash(appSettings.trash?.retentionDays);
+    if (expired.length === 0) return;
+
+    deleteTrashedMeetings(expired);
+    console.log(`[Trash] Purged ${expired.length} meeting(s) past the retention period`);
+  } catch (error) {
+    console.warn('[Trash] Purge failed:', error.message);
+  }
+}
+
+/**
+ * Move a meeting and its files to the Trash.
+ * @param {Object} meeting
+ * @param {Object} [options]
+ * @param {{notes: string[], media: string[]}} [options.keepFiles] - Files another meeting still uses
+ * @returns {{trashed: boolean, filesMoved: number}}
+ */
+function moveMeetingToTrash(meeting, { keepFiles = { notes: [], media: [] } } = {}) {
+  // Without a vault there's nowhere to keep the files, so they stay put
+  const vaultRoot = getVaultRoot();
+  const files = collectMeetingFiles(meeting);
+  files.notes = files.notes.filter(file => !keepFiles.notes.includes(file));
+  files.media = files.media.filter(file => !keepFiles.media.includes(file));
+  const moved = vaultRoot
+    ? moveFilesToTrash(planTrashMoves(vaultRoot, meeting.id, files), msg =>
+        console.warn(`[Trash] ${msg}`)
+      )
+    : [];
+
+  const { trashed, recordingId } = databaseService.trashMeeting(meeting.id, moved);
+  if (!trashed) {
+    restoreFiles(moved);
+    return { trashed: false, filesMoved: 0 };
+  }
+
+  // If the meeting had a recording, cleanup the reference in the global tracking
+  if (recordingId && global.activeMeetingIds && global.activeMeetingIds[recordingId]) {
+    console.log(`Cleaning up tracking for deleted meeting with recording ID: ${recordingId}`);
+    delete global.activeMeetingIds[recordingId];
+  }
+
+  console.log(`Moved meeting ${meeting.id} to Trash (${moved.length} file(s))`);
+  return { trashed: true, filesMoved: moved.length };
+}
+
+// Handle deleting a meeting (moves it to the Trash)
+ipcMain.handle('deleteMeeting', async (event, meetingId) => {
+  try {
+    // Validate meetingId
+    const validatedId = MeetingIdSchema.parse(meetingId);
+    console.log(`Moving meeting to Trash: ${validatedId}`);
+
+    const meeting = databaseService.getMeeting(validatedId);
+    if (!meeting) {
+      return { success: false, error: 'Meeting not found' };
+    }
+
+    const { trashed, filesMoved } = moveMeetingToTrash(meeting);
+    if (!trashed) {
+      return { success: false, error: 'Meeting is already in the Trash' };
+    }
+    return { success: true, filesMoved };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      console.error('Invalid meeting ID format:', error.message);
+      return { success: false, error: `Invalid meeting ID format: ${error.message}` };
+    }
+    console.error('Error deleting meeting:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List trashed meetings
+ipcMain.handle('trash:list', async () => {
+  try {
+    const retentionDays = appSettings.trash?.retentionDays ?? DEFAULT_RETENTION_DAYS;
+    return { success: true, meetings: databaseService.listTrashedMeetings(retentionDays), retentionDays };
+  } catch (error) {
+    console.error('[Trash] List failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Restore a meeting and move its files back
+ipcMain.handle(
+  'trash:restore',
+  withValidation(stringIdSchema, async (_event, meetingId) => {
+    try {
+      const info = databaseService.restoreTrashedMeeting(meetingId);
+      if (!info) return { success: false, error: 'Meeting is not in the Trash' };
+
+      const { restored, skipped } = restoreFiles(info.files, msg => console.warn(`[Trash] ${msg}`));
+      // Keep the folder if a file couldn't go back (it's still in there)
+      const vaultRoot = getVaultRoot();
+      if (vaultRoot && info.files.every(f => !fs.existsSync(f.to))) removeTrashFolder(vaultRoot, meetingId);
+
+      console.log(`[Trash] Restored meeting ${meetingId} (${restored.length} file(s))`);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('meeting-updated', meetingId);
+      }
+      return { success: true, restored, skipped };
+    } catch (error) {
+      console.error('[Trash] Restore failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// Delete one trashed meeting for good
+ipcMain.handle(
+  'trash:deleteForever',
+  withValidation(stringIdSchema, async (_event, meetingId) => {
+    try {
+      if (!databaseService.getTrashInfo(meetingId)) {
+        return { success: false, error: 'Meeting is not in the Trash' };
+      }
+      deleteTrashedMeetings([meetingId]);
+      console.log(`[Trash] Deleted meeting ${meetingId} for good`);
+      return { success: true };
+    } catch (error) {
+      console.error('[Trash] Delete failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// Delete everything in the Trash
+ipcMain.handle('trash:empty', async () => {
+  try {
+    const meetings = databaseService.listTrashedMeetings(0);
+    deleteTrashedMeetings(meetings.map(m => m.id));
+    console.log(`[Trash] Emptied (${meetings.length} meeting(s))`);
+    return { success: true, deleted: meetings.length };
+  } catch (error) {
+    console.error('[Trash] Empty failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ===================================================================
+// Duplicate meetings: a new import or recording that looks like a meeting
+// already in the database is offered for review (merge or keep both).
+// ===================================================================
+
+/**
+ * Offer a new meeting's likely duplicates to the user for review
+ * @param {Object} meeting
+ * @param {Array<Object>} candidates - From databaseService.findDuplicatesForMeeting
+ */
+function notifyDuplicates(meeting, candidates) {
+  if (!candidates || candidates.length === 0) return;
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  const a = { id: meeting.id, title: meeting.title, date: meeting.date };
+  mainWindow.webContents.send('meeting-duplicates', {
+    pairs: candidates.map(({ score, reasons, ...b }) => ({ a, b, score, reasons })),
+  });
+}
+
+/**
+ * Look up and offer the likely duplicates of a saved meeting. Never throws;
+ * a failed check only means no prompt.
+ * @param {string} meetingId
+ */
+function notifyPossibleDuplicates(meetingId) {
+  try {
+    const meeting = databaseService.getMeeting(meetingId);
+    if (meeting) notifyDuplicates(meeting, databaseService.findDuplicatesOf(meetingId));
+  } catch (error) {
+    console.warn('[Duplicates] Check failed:', error.message);
+  }
+}
+
+function notifyBatchDuplicates(result) {
+  const meetings = new Map(result.meetings.map(m => [m.id, m]));
+  for (const { meetingId, candidates } of result.duplicates || []) {
+    notifyDuplicates(meetings.get(meetingId), candidates);
+  }
+}
+
+// Scan the whole database for likely duplicate pairs
+ipcMain.handle('duplicates:scan', async () => {
+  try {
+    return { success: true, pairs: databaseService.scanDuplicateMeetings() };
+  } catch (error) {
+    console.error('[Duplicates] Scan failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Merge a pair: the better-linked meeting keeps the best of both, the other
+// goes to the Trash (so a wrong merge can be undone from there)
+ipcMain.handle(
+  'duplicates:merge',
+  withValidation(duplicatePairSchema, async (_event, { meetingIds: [idA, idB] }) => {
+    try {
+      const result = databaseService.mergeDuplicateMeetings(idA, idB);
+      const kept = databaseService.getMeeting(result.keptId);
+      const merged = databaseService.getMeeting(result.mergedId);
+      const { filesMoved } = moveMeetingToTrash(merged, { keepFiles: collectMeetingFiles(kept) });
+
+      if (kept.obsidianLink && vaultStructure) {
+        try {
+          await exportMeetingToObsidian(kept);
+        } catch (exportError) {
+          console.warn('[Duplicates] Re-export after merge failed:', exportError.message);
+        }
+      }
+
+      console.log(`[Duplicates] Merged ${result.mergedId} into ${result.keptId}`);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('meeting-updated', result.keptId);
+      }
+      return { success: true, ...result, filesMoved };
+    } catch (error) {
+      console.error('[Duplicates] Merge failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// Keep both meetings and stop offering the pair
+ipcMain.handle(
+  'duplicates:dismiss',
+  withValidation(duplicatePairSchema, async (_event, { meetingIds: [idA, idB] }) => {
+    try {
+      databaseService.dismissDuplicateMeetings(idA, idB);
+      return { success: true };
+    } catch (error) {
+      console.error('[Duplicates] Dismiss failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
+// ===================================================================
+// Vault sync: edits to exported summary notes are pulled back into the
+// meeting, and re-exports merge with them (see services/vaultSync.js)
+// ===================================================================
+
+/**
+ * Absolute path of a meeting's synced summary note, or null if it has none.
+ * @param {string} meetingId
+ * @returns {string|null}
+ */
+function syncedNotePath(meetingId) {
+  const sync = databaseService.getNoteSync(meetingId);
+  return sync ? path.resolve(vaultStructure.getAbsolutePath(''), sync.notePath) : null;
+}
+
+/**
+ * Write a meeting's summary note. If it was edited in the vault since the app
+ * last wrote it, the edits are merged into the new note; where both changed
+ * the same lines the file is left alone and the conflict recorded.
+ * @param {Object} meeting
+ * @param {string} summaryPath - Absolute
+ * @param {string} generated - From generateSummaryMarkdown
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite=false] - Replace vault edits (resolving a conflict)
+ * @returns {{written: boolean, conflict: string|null}}
+ */
+function writeSummaryNote(meeting, summaryPath, generated, { overwrite = false } = {}) {
+  const sync = databaseService.getNoteSync(meeting.id);
+  let written = generated;
+
+  if (sync && !overwrite && fs.existsSync(summaryPath)) {
+    const current = fs.readFileSync(summaryPath, 'utf8');
+    if (hashContent(current) !== sync.seenHash) {
+      const merged = mergeText(sync.baseContent, current, generated);
+      if (merged.conflicts > 0) {
+        const conflict = 'The note was edited in the vault where the app also changed it';
+        console.warn(`[VaultSync] Not updating ${summaryPath}: ${merged.conflicts} conflict(s)`);
+        databaseService.setNoteConflict(meeting.id, conflict);
+        notifyNoteConflict(meeting);
+        return { written: false, conflict };
+      }
+      written = merged.text;
+      console.log(`[VaultSync] Merged vault edits into ${summaryPath}`);
+    }
+  }
+
+  fs.writeFileSync(summaryPath, written, 'utf8');
+  const notePath = toNoteLink(vaultStructure.getAbsolutePath(''), summaryPath);
+  databaseService.recordNoteWrite(meeting.id, notePath, { generated, written });
+  return { written: true, conflict: null };
+}
+
+function notifyNoteConflict(meeting) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('vault-sync-conflict', {
+      meetingId: meeting.id,
+      title: meeting.title,
+    });
+  }
+}
+
+/**
+ * A synced note changed in the vault: take its title and summary edits,
+ * unless the app changed the same part since.
+ * @param {{meetingId: string, content: string}} edit
+ */
+function pullNoteEdits({ meetingId, content }) {
+  const meeting = databaseService.getMeeting(meetingId);
+  const sync = databaseService.getNoteSync(meetingId);
+  if (!meeting || !sync) return;
+
+  const { changes, conflicts } = planNoteEdits(meeting, sync.seenContent, content);
+  if (Object.keys(changes).length > 0) {
+    databaseService.saveMeeting({ ...meeting, ...changes }, null, {
+      source: 'user',
+      reason: 'Edited in the vault',
+    });
+    console.log(`[VaultSync] Pulled vault edits into ${meetingId}: ${Object.keys(changes)}`);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('meeting-updated', meetingId);
+    }
+  }
+
+  databaseService.recordNoteSeen(meetingId, content);
+  if (conflicts.length > 0) {
+    databaseService.setNoteConflict(meetingId, conflicts.join('; '));
+    notifyNoteConflict(meeting);
+  }
+}
+
+/**
+ * A synced note was found somewhere else in the vault.
+ * @param {string} meetingId
+ * @param {string} absolutePath
+ * @returns {string} The note's new obsidianLink
+ */
+function followMovedNote(meetingId, absolutePath) {
+  const notePath = toNoteLink(vaultStructure.getAbsolutePath(''), absolutePath);
+  const meeting = databaseService.getMeeting(meetingId);
+  if (meeting && meeting.obsidianLink !== notePath) {
+    meeting.obsidianLink = notePath;
+    databaseService.saveMeeting(meeting, null, {
+      source: 'user',
+      reason: 'Note moved in the vault',
+    });
+  }
+  databaseService.moveNoteSync(meetingId, notePath);
+  console.log(`[VaultSync] Note for ${meetingId} moved to ${notePath}`);
+  return notePath;
+}
+
+/**
+ * (Re)start watching the vault for edits to exported notes.
+ */
+function startVaultWatcher() {
+  if (!vaultStructure) return;
+  if (!vaultWatcher) {
+    vaultWatcher = new VaultWatcher({
+      listNotes: () => databaseService.listSyncedNotes(),
+      resolveNote: notePath => path.resolve(vaultStructure.getAbsolutePath(''), notePath),
+      findNote: meetingId =>
+        vaultStructure.findFileByMeetingId(meetingId, { summaryOnly: true })?.absolutePath ||
+        null,
+      readMeetingId: content => vaultStructure.readSummaryNoteId(content),
+      onEdited: pullNoteEdits,
+      onMoved: followMovedNote,
+    });
   }
-  return { success: false, error: 'Widget not available' };
-});
+  vaultWatcher.start(vaultStructure.getAbsolutePath('')).catch(error => {
+    console.warn('[VaultSync] Vault check failed:', error.message);
+  });
+}
 
-// v1.2: Get widget state (visibility, always-on-top)
-ipcMain.handle('widget:getState', () => {
-  if (recordingWidget && !recordingWidget.isDestroyed()) {
-    return {
-      success: true,
-      visible: recordingWidget.isVisible(),
-      alwaysOnTop: recordingWidget.isAlwaysOnTop(),
-    };
+// Notes whose vault edits clash with the app's
+ipcMain.handle('vaultSync:getConflicts', async () => {
+  try {
+    return { success: true, conflicts: databaseService.listNoteConflicts() };
+  } catch (error) {
+    console.error('[VaultSync] Listing conflicts failed:', error);
+    return { success: false, error: error.message };
   }
-  return { success: true, visible: false, alwaysOnTop: true };
 });
 
-// v1.2 fix: Track which meeting the user is currently viewing in the app
-ipcMain.on('renderer:current-meeting-changed', (_event, meetingInfo) => {
-  if (meetingInfo) {
-    currentViewedMeetingId = meetingInfo.id || null;
-    currentViewedMeetingInfo = meetingInfo;
-    logger.main.info('[Widget] Current viewed meeting changed:', currentViewedMeetingId, meetingInfo.title);
+// Settle a conflict: keep the vault's note (its edits go into the meeting)
+// or the app's (the note is rewritten from the meeting)
+ipcMain.handle(
+  'vaultSync:resolve',
+  withValidation(vaultSyncResolveSchema, async (_event, { meetingId, keep }) => {
+    try {
+      const meeting = databaseService.getMeeting(meetingId);
+      const summaryPath = syncedNotePath(meetingId);
+      if (!meeting || !summaryPath) return { success: false, error: 'Meeting note not found' };
+      if (!fs.existsSync(summaryPath)) {
+        return { success: false, error: 'The note is missing from the vault' };
+      }
 
-    // Update the widget with the new meeting info if it's visible
-    if (recordingWidget && !recordingWidget.isDestroyed()) {
-      recordingWidget.webContents.send('widget:update', {
-        type: 'meeting-info-update',
-        meetingInfo: meetingInfo,
-        currentViewedMeeting: meetingInfo,
-      });
+      const baseFilename = path.basename(summaryPath, '.md');
+      const series = databaseService.getSeriesNeighbors(meetingId);
+      if (keep === 'app') {
+        const generated = generateSummaryMarkdown(meeting, baseFilename, null, series);
+        writeSummaryNote(meeting, summaryPath, generated, { overwrite: true });
+      } else {
+        // Compared with the note as the app would write it, every edited part is the vault's
+        const content = fs.readFileSync(summaryPath, 'utf8');
+        const ownNote = generateSummaryMarkdown(meeting, baseFilename, null, series);
+        const { changes } = planNoteEdits(meeting, ownNote, content);
+        const updated = { ...meeting, ...changes };
+        if (Object.keys(changes).length > 0) {
+          databaseService.saveMeeting(updated, null, {
+            source: 'user',
+            reason: 'Edited in the vault',
+          });
+        }
+        // Later exports merge against what the app now generates, so the file's other edits stay
+        const notePath = toNoteLink(vaultStructure.getAbsolutePath(''), summaryPath);
+        databaseService.recordNoteWrite(meetingId, notePath, {
+          generated: generateSummaryMarkdown(updated, baseFilename, null, series),
+          written: content,
+        });
+      }
+
+      console.log(`[VaultSync] Resolved conflict for ${meetingId}, kept the ${keep} version`);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('meeting-updated', meetingId);
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('[VaultSync] Resolving conflict failed:', error);
+      return { success: false, error: error.message };
     }
-  } else {
-    currentViewedMeetingId = null;
-    currentViewedMeetingInfo = null;
-    logger.main.info('[Widget] Current viewed meeting cleared');
-  }
-});
+  })
+);
 
-// v1.2 fix: Get recording context for widget options dialog
-ipcMain.handle('widget:get-recording-context', async () => {
-  try {
-    const context = {
-      // Current state
-      isRecording: recordingManager?.isRecording ?? false,
-      currentRecordingMeetingId: recordingManager?.currentMeetingId ?? null,
-      currentRecordingMeetingTitle: recordingManager?.currentMeetingTitle ?? null,
+// ===================================================================
+// Client index notes: an _index.md hub page in each client's folder
+// (see services/clientIndex.js)
+// ===================================================================
 
-      // Detected platform meeting
-      detectedMeeting: detectedMeeting ? {
-        id: `detected-${detectedMeeting.window?.id}`,
-        platform: detectedMeeting.window?.platform || 'unknown',
-        title: detectedMeeting.window?.title || 'Meeting',
-        isDetectedMeeting: true,
-      } : null,
+const CLIENT_INDEX_DELAY_MS = 5000;
+let clientIndexQueue = Promise.resolve();
+const pendingClientIndexes = new Set();
+let clientIndexTimer = null;
 
-      // Currently viewed meeting in app (with transcript info)
-      currentViewedMeeting: currentViewedMeetingInfo,
+/**
+ * Rewrite a client's _index.md. The relationship summary is only regenerated
+ * when the client's recent meetings changed; if that fails the previous one
+ * is kept.
+ * @param {string} clientId
+ * @returns {Promise<string|null>} Path of the index, or null if the client has no folder
+ */
+async function refreshClientIndex(clientId) {
+  const client = databaseService.getClient(clientId);
+  if (!client?.vault_path || !vaultStructure) return null;
+
+  const vaultRoot = vaultStructure.getAbsolutePath('');
+  const { upcomingMeetings, pastMeetings } = databaseService.getAllMeetings();
+  const meetings = meetingsForClient([...upcomingMeetings, ...pastMeetings], client, vaultRoot);
+  const meetingIds = new Set(meetings.map(m => m.id));
+  const actionItems = databaseService
+    .listActionItems({ status: 'open', limit: 100000 })
+    .filter(item => meetingIds.has(item.meetingId));
+
+  const indexPath = path.join(path.resolve(vaultRoot, client.vault_path), INDEX_FILENAME);
+  const previous = readRelationshipSummary(
+    fs.existsSync(indexPath) ? fs.readFileSync(indexPath, 'utf8') : null
+  );
+  let relationship = previous;
+  try {
+    relationship = await summarizeRelationship(
+      { generateCompletion: taggedCompletion({ clientId: client.id, purpose: 'client-index' }) },
+      client,
+      meetings,
+      previous
+    );
+  } catch (error) {
+    console.warn(`[ClientIndex] Relationship summary for ${client.name} failed:`, error.message);
+  }
 
-      // Upcoming calendar events (within next 10 minutes)
-      upcomingCalendarEvents: [],
-    };
+  return vaultStructure.saveClientIndex(
+    client.vault_path,
+    buildClientIndexData({ client, meetings, actionItems, vaultRoot, relationship })
+  );
+}
 
-    // Get upcoming calendar events if authenticated
-    if (googleCalendar && googleCalendar.isAuthenticated()) {
+/**
+ * Refresh client indexes one at a time (each may call the LLM). Never rejects.
+ * @param {Iterable<string>} clientIds
+ * @returns {Promise<{refreshed: number, failed: Array<{clientId: string, error: string}>}>}
+ */
+function refreshClientIndexes(clientIds) {
+  const ids = [...new Set(clientIds)];
+  clientIndexQueue = clientIndexQueue.then(async () => {
+    const result = { refreshed: 0, failed: [] };
+    for (const clientId of ids) {
       try {
-        const meetings = await googleCalendar.getUpcomingMeetings(0.25); // Next 15 minutes
-        const now = new Date();
-
-        // Filter to events starting within 10 minutes (or already started within last 5 min)
-        context.upcomingCalendarEvents = meetings.filter(m => {
-          const startTime = new Date(m.startTime);
-          const minutesUntilStart = (startTime - now) / (1000 * 60);
-          return minutesUntilStart >= -5 && minutesUntilStart <= 10;
-        }).map(m => ({
-          id: m.id,
-          title: m.title,
-          startTime: m.startTime,
-          endTime: m.endTime,
-          platform: m.platform || 'calendar',
-          participants: m.participants || [],
-          isCalendarEvent: true,
-        }));
-      } catch (calendarError) {
-        logger.main.warn('[Widget] Failed to fetch calendar events:', calendarError.message);
+        if (await refreshClientIndex(clientId)) result.refreshed++;
+      } catch (error) {
+        console.error(`[ClientIndex] Refresh failed for ${clientId}:`, error.message);
+        result.failed.push({ clientId, error: error.message });
       }
     }
+    return result;
+  });
+  return clientIndexQueue;
+}
 
-    return { success: true, context };
-  } catch (error) {
-    logger.main.error('[Widget] Failed to get recording context:', error);
-    return { success: false, error: error.message };
-  }
-});
+/**
+ * Refresh client indexes shortly after an export. Export callers save the
+ * meeting's new obsidianLink after exportMeetingToObsidian returns, and a
+ * batch import exports many meetings for the same client, so this waits and
+ * refreshes each client once.
+ * @param {Array<string>} clientIds
+ */
+function scheduleClientIndexRefresh(clientIds) {
+  for (const clientId of clientIds) if (clientId) pendingClientIndexes.add(clientId);
+  if (pendingClientIndexes.size === 0) return;
+  clearTimeout(clientIndexTimer);
+  clientIndexTimer = setTimeout(() => {
+    const ids = [...pendingClientIndexes];
+    pendingClientIndexes.clear();
+    refreshClientIndexes(ids);
+  }, CLIENT_INDEX_DELAY_MS);
+}
 
-// Handler to get active recording ID for a note
+// Rebuild the index note of one company (by name), or of every company with a folder
 ipcMain.handle(
-  'getActiveRecordingId',
-  withValidation(optionalStringSchema, async (event, noteId) => {
-    console.log(`getActiveRecordingId called for note: ${noteId}`);
-
+  'companies:refreshIndex',
+  withValidation(clientIndexRefreshSchema, async (_event, { name } = {}) => {
+    if (!vaultStructure) return { success: false, error: 'Vault not configured' };
     try {
-      // If noteId is provided, get recording for that specific note
-      if (noteId) {
-        const recordingInfo = recordingManager.getForNote(noteId);
-        return {
-          success: true,
-          data: recordingInfo,
-        };
+      const clients = databaseService
+        .getAllClients()
+        .filter(c =>
+          name ? c.name.toLowerCase() === name.toLowerCase() : c.status === 'active'
+        )
+        .filter(c => c.vault_path);
+      if (name && clients.length === 0) {
+        return { success: false, error: `${name} has no folder for meeting notes` };
       }
-
-      // Otherwise return all active recordings
-      return {
-        success: true,
-        data: recordingManager.getActiveRecordings(),
-      };
+      const result = await refreshClientIndexes(clients.map(c => c.id));
+      return { success: true, ...result };
     } catch (error) {
-      console.error('Error getting active recording ID:', error);
+      console.error('[ClientIndex] Refresh failed:', error);
       return { success: false, error: error.message };
     }
   })
 );
 
-// Handle deleting a meeting
-ipcMain.handle('deleteMeeting', async (event, meetingId) => {
-  try {
-    // Validate meetingId
-    const validatedId = MeetingIdSchema.parse(meetingId);
-    console.log(`Deleting meeting with ID: ${validatedId}`);
+// Month whose budget-reached notice was last shown, so it shows once a month
+let llmBudgetNoticeMonth = null;
 
-    const { deleted, recordingId } = databaseService.deleteMeeting(validatedId);
+/**
+ * This month's LLM spend against the cap in settings (see services/llmUsage.js).
+ * @returns {{month: string, spentUsd: number, capUsd: number, reached: boolean, action: string}}
+ */
+function llmBudgetStatus() {
+  const { monthlyCapUsd, whenReached } = appSettings.llmBudget;
+  const month = monthKey();
+  const spentUsd = databaseService.getLlmMonthSpend(month);
+  return {
+    month,
+    spentUsd,
+    capUsd: monthlyCapUsd,
+    reached: monthlyCapUsd > 0 && spentUsd >= monthlyCapUsd,
+    action: whenReached,
+  };
+}
 
-    if (!deleted) {
-      return { success: false, error: 'Meeting not found' };
+/**
+ * Budget check run by llmService before each call. Tells the user the first
+ * time in a month that the cap was reached.
+ */
+function checkLlmBudget() {
+  const status = llmBudgetStatus();
+  if (status.reached && llmBudgetNoticeMonth !== status.month) {
+    llmBudgetNoticeMonth = status.month;
+    console.warn(`[LLMUsage] Monthly budget of $${status.capUsd} reached`);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('llm-budget-reached', status);
     }
+  }
+  return status;
+}
 
-    // If the meeting had a recording, cleanup the reference in the global tracking
-    if (recordingId && global.activeMeetingIds && global.activeMeetingIds[recordingId]) {
-      console.log(`Cleaning up tracking for deleted meeting with recording ID: ${recordingId}`);
-      delete global.activeMeetingIds[recordingId];
+// LLM usage and cost for a month, by client, template and model
+ipcMain.handle(
+  'llmUsage:getReport',
+  withValidation(llmUsageReportSchema, async (_event, { month } = {}) => {
+    try {
+      const report = databaseService.getLlmUsageReport({ month });
+      report.byTemplate = report.byTemplate.map(row => ({
+        ...row,
+        templateName: (row.templateId && templateManager.getTemplate(row.templateId)?.name) || null,
+      }));
+      return { success: true, report, budget: llmBudgetStatus() };
+    } catch (error) {
+      console.error('[LLMUsage] Report failed:', error);
+      return { success: false, error: error.message };
     }
+  })
+);
 
-    console.log(`Successfully deleted meeting: ${validatedId}`);
-    return { success: true };
+// What the summary cache holds, with hits and misses since launch
+ipcMain.handle('summaryCache:getStats', async () => {
+  try {
+    return {
+      success: true,
+      stats: { ...databaseService.getSummaryCacheStats(), session: { ...summaryCacheSession } },
+      settings: appSettings.summaryCache,
+    };
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      console.error('Invalid meeting ID format:', error.message);
-      return { success: false, error: `Invalid meeting ID format: ${error.message}` };
-    }
-    console.error('Error deleting meeting:', error);
+    console.error('[SummaryCache] Stats failed:', error);
     return { success: false, error: error.message };
   }
 });
 
+// Empty the summary cache, or drop the entries one meeting stored
+ipcMain.handle(
+  'summaryCache:clear',
+  withValidation(summaryCacheClearSchema, async (_event, { meetingId } = {}) => {
+    try {
+      const removed = databaseService.evictSummaryCache(meetingId ? { meetingId } : { all: true });
+      console.log(`[SummaryCache] Cleared ${removed} entries`);
+      return { success: true, removed };
+    } catch (error) {
+      console.error('[SummaryCache] Clear failed:', error);
+      return { success: false, error: error.message };
+    }
+  })
+);
+
 // Handle generating AI summary for a meeting (non-blocking background task)
 ipcMain.handle('generateMeetingSummary', async (event, meetingId, options = {}) => {
   // Validate meetingId
@@ -10564,7 +12598,7 @@ ipcMain.handle('generateMeetingSummary', async (event, meetingId, options = {})
   }
 
   // Extract options with defaults
-  const { mode = 'replace', model = null } = options || {};
+  const { mode = 'replace', model = null, force = false } = options || {};
   console.log(`Manual summary generation requested for meeting: ${meetingId}`);
   console.log(`[RegenerateSummary] Mode: ${mode}, Custom model: ${model || 'default'}`);
 
@@ -10618,8 +12652,8 @@ ipcMain.handle('generateMeetingSummary', async (event, meetingId, options = {})
       // Log summary generation to console instead of showing a notification
       console.log('Generating AI summary for meeting: ' + meetingId);
 
-      // Generate the summary
-      const summary = await generateMeetingSummary(meeting);
+      // Generate the summary (a cached one unless the user asked for a fresh run)
+      const summary = await generateMeetingSummary(meeting, null, { force });
 
       // Progress: Processing result
       backgroundTaskManager.updateTask(taskId, 80, 'Saving summary...');
@@ -10683,7 +12717,7 @@ ipcMain.handle('generateMeetingSummary', async (event, meetingId, options = {})
       backgroundTaskManager.updateTask(taskId, 90, 'Finalizing...');
 
       // Save the updated meeting to database
-      databaseService.saveMeeting(meeting);
+      databaseService.saveMeeting(meeting, null, summaryRevisionOptions(meeting, 'Regenerated summary'));
 
       console.log('Updated meeting note with AI summary');
 
@@ -10692,6 +12726,8 @@ ipcMain.handle('generateMeetingSummary', async (event, meetingId, options = {})
         mainWindow.webContents.send('summary-generated', meetingId);
       }
 
+      await runPostSummaryPasses(meeting, '[RegenerateSummary]');
+
       return { success: true, summary };
     };
 
@@ -11287,13 +13323,15 @@ ipcMain.handle(
       meeting.hasSummary = true;
 
       // Save the updated meeting to database
-      databaseService.saveMeeting(meeting);
+      databaseService.saveMeeting(meeting, null, summaryRevisionOptions(meeting, 'Generated summary'));
 
       console.log('Updated meeting note with AI summary (streaming)');
 
       // Final notification to renderer
       mainWindow.webContents.send('summary-generated', meetingId);
 
+      await runPostSummaryPasses(meeting, '[StreamingSummary]');
+
       return {
         success: true,
         summary,
@@ -12479,13 +14517,15 @@ async function processRecallAITranscript(transcript, meetingId, _windowId) {
 
 /**
  * Map provider preference value to simple provider name
- * @param {string} providerValue - Value from settings (e.g., 'claude-haiku-4-5', 'gemini-3.1-flash-lite', 'ollama-llama3')
- * @returns {string} Provider name for llmService.switchProvider() (e.g., 'anthropic', 'gemini', 'ollama')
+ * @param {string} providerValue - Value from settings (e.g., 'claude-haiku-4-5', 'gemini-3.1-flash-lite', 'ollama-llama3', 'openai-gpt-4o-mini', 'azure-<deployment>')
+ * @returns {string} Provider name for llmService.switchProvider() (e.g., 'anthropic', 'gemini', 'ollama', 'openai', 'azure')
  */
 function mapProviderValue(providerValue) {
   if (providerValue.startsWith('claude-')) return 'anthropic';
   if (providerValue.startsWith('gemini-')) return 'gemini';
   if (providerValue.startsWith('ollama-')) return 'ollama';
+  if (providerValue.startsWith('openai-')) return 'openai';
+  if (providerValue.startsWith('azure-')) return 'azure';
 
   // Fallback to anthropic if unknown (v1.3.2)
   console.warn(`[LLM] Unknown provider value: ${providerValue}, falling back to anthropic`);
@@ -12521,7 +14561,14 @@ async function withProviderSwitch(providerType, callback, logContext = '[LLM]')
       `${logContext} Switching LLM to ${preferenceValue} (provider: ${desiredProvider})`
     );
 
-    llmService.switchToPreference(preferenceValue);
+    try {
+      llmService.switchToPreference(preferenceValue);
+    } catch (error) {
+      // e.g. no API key for the preferred provider: stay on the current one,
+      // and let the fallback chain take over from there
+      console.warn(`${logContext} Could not switch to ${preferenceValue}: ${error.message}`);
+      llmService.switchProvider(originalProvider, originalModel);
+    }
   }
 
   try {
@@ -12622,6 +14669,7 @@ async function generateAndSaveAutoSummary(meetingId, logPrefix = '[Auto-Summary]
           data.pastMeetings[idx].content = `# ${meeting.title}\n\n${summary}`;
           data.pastMeetings[idx].title = meeting.title; // May have been updated by generateMeetingSummary
           data.pastMeetings[idx].summaryGenerated = true;
+          data.pastMeetings[idx].summaryGeneratedBy = meeting.summaryGeneratedBy;
           // Stage 3 (content pass) may have reassigned speakers during summary
           // generation — persist those alongside the title/content.
           if (meeting.speakerMapping) {
@@ -12634,13 +14682,15 @@ async function generateAndSaveAutoSummary(meetingId, logPrefix = '[Auto-Summary]
           console.log(`${logPrefix} ✓ Title: "${data.pastMeetings[idx].title}"`);
         }
         return data;
-      });
+      }, summaryRevisionOptions(meeting, 'Generated summary'));
 
       // Notify renderer to refresh UI
       if (mainWindow && !mainWindow.isDestroyed()) {
         mainWindow.webContents.send('summary-generated', meetingId);
       }
 
+      await runPostSummaryPasses(meeting, logPrefix);
+
       console.log(`${logPrefix} ✓ AI summary generation complete`);
       return { success: true };
     },
@@ -12652,6 +14702,89 @@ async function generateAndSaveAutoSummary(meetingId, logPrefix = '[Auto-Summary]
   });
 }
 
+// Fields the content-aware pass changed during summary generation, per meeting
+// object, so the save that follows attributes them to 'content-pass' rather
+// than 'llm' in the meeting history.
+const contentPassFields = new WeakMap();
+
+function markContentPassField(meeting, field) {
+  if (!contentPassFields.has(meeting)) contentPassFields.set(meeting, new Set());
+  contentPassFields.get(meeting).add(field);
+}
+
+/**
+ * Revision attribution for saving a freshly generated summary.
+ * @param {Object} meeting - The object generateMeetingSummary ran on
+ * @param {string} reason
+ * @returns {{source: string, fieldSources: Object<string, string>, reason: string}}
+ */
+function summaryRevisionOptions(meeting, reason) {
+  const fieldSources = {};
+  for (const field of contentPassFields.get(meeting) || []) {
+    fieldSources[field] = 'content-pass';
+  }
+  return { source: 'llm', fieldSources, reason };
+}
+
+/**
+ * Link a meeting to its recurring series if it isn't already (see
+ * meetingSeries.js). Never throws.
+ * @param {Object} meeting - Saved meeting; seriesId is set on it when found
+ * @returns {string|null} Series id
+ */
+function linkMeetingSeries(meeting) {
+  try {
+    const seriesId = databaseService.assignMeetingSeries(meeting.id);
+    if (seriesId) meeting.seriesId = seriesId;
+    return seriesId;
+  } catch (error) {
+    console.warn('[Series] Could not link meeting to a series:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Work that runs once a fresh summary has been saved. The series link is
+ * retried here because a generic title may only just have been replaced.
+ * @param {Object} meeting
+ * @param {string} [logPrefix]
+ */
+async function runPostSummaryPasses(meeting, logPrefix) {
+  linkMeetingSeries(meeting);
+  await extractAndSaveActionItems(meeting, logPrefix);
+}
+
+/**
+ * Structured pass after the summary: extract action items from the transcript
+ * and store them in action_items. Runs with whichever provider produced the
+ * summary. Never throws — a failed extraction must not fail the summary.
+ * @param {Object} meeting - Meeting with transcript (already saved)
+ * @param {string} [logPrefix]
+ */
+async function extractAndSaveActionItems(meeting, logPrefix = '[ActionItems]') {
+  try {
+    const items = await extractActionItems(
+      {
+        generateCompletion: taggedCompletion({ meetingId: meeting.id, purpose: 'action-items' }),
+        log: msg => console.log(msg),
+      },
+      meeting,
+      { name: userProfile?.name, email: userProfile?.email }
+    );
+    if (!items) return;
+
+    const counts = databaseService.saveExtractedActionItems(meeting.id, items);
+    console.log(
+      `${logPrefix} Action items: ${counts.added} added, ${counts.updated} kept, ${counts.removed} removed`
+    );
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('action-items-updated', meeting.id);
+    }
+  } catch (error) {
+    console.warn(`${logPrefix} Action item extraction failed:`, error.message);
+  }
+}
+
 /**
  * Process an auto-summary template string, resolving {{#if needsTitleSuggestion}} conditionals.
  * @param {string} templateContent - Raw template with handlebars conditionals
@@ -12728,8 +14861,9 @@ function loadAutoSummaryPrompt(needsTitleSuggestion) {
   return fallback;
 }
 
-// Function to generate AI summary from transcript with streaming support
-async function generateMeetingSummary(meeting, progressCallback = null) {
+// Function to generate AI summary from transcript with streaming support.
+// options.force skips the summary cache; the fresh summary is still cached.
+async function generateMeetingSummary(meeting, progressCallback = null, { force = false } = {}) {
   try {
     if (!meeting.transcript || meeting.transcript.length === 0) {
       console.log('No transcript available to summarize');
@@ -12776,7 +14910,19 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
       logger.main.debug('[AutoSummary] Including user profile context:', userContextText);
     }
 
-    // Build cacheable content: participants + user context + transcript
+    // Recurring series: last occurrence's summary, so the summary can report
+    // what changed since then
+    let previousMeetingText = '';
+    if (linkMeetingSeries(meeting)) {
+      previousMeetingText = buildPreviousMeetingContext(
+        databaseService.getSeriesNeighbors(meeting.id).previous
+      );
+      if (previousMeetingText) {
+        console.log('[AutoSummary] Including previous meeting in series as context');
+      }
+    }
+
+    // Build cacheable content: participants + user context + previous meeting + transcript
     // This entire block will be cached across multiple LLM calls (90% cost savings)
     const buildCacheableContent = () => {
       const cacheableParts = [];
@@ -12786,6 +14932,9 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
       if (userContextText) {
         cacheableParts.push(userContextText);
       }
+      if (previousMeetingText) {
+        cacheableParts.push(previousMeetingText);
+      }
       cacheableParts.push(transcriptText);
       return cacheableParts.join('\n\n');
     };
@@ -12802,7 +14951,10 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
         roster.push({ name: userProfile.name, email: userProfile.email || null, organization: null });
       }
       const pass = await runContentAwarePass(
-        { generateCompletion: opts => llmService.generateCompletion(opts), log: msg => console.log(msg) },
+        {
+          generateCompletion: taggedCompletion({ meetingId: meeting.id, purpose: 'content-pass' }),
+          log: msg => console.log(msg),
+        },
         {
           transcript: meeting.transcript,
           speakerMapping: meeting.speakerMapping || {},
@@ -12812,6 +14964,7 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
         }
       );
       if (pass.changed.length > 0) {
+        markContentPassField(meeting, 'speakerMapping');
         meeting.speakerMapping = pass.updatedMapping;
         if (speakerMatcher) {
           meeting.transcript = speakerMatcher.applyMappingToTranscript(meeting.transcript, pass.updatedMapping);
@@ -12828,6 +14981,7 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
         console.log(`[ContentPass] Renaming meeting: "${meeting.title}" -> "${pass.title}"`);
         meeting.title = pass.title;
         renamedByContentPass = true;
+        markContentPassField(meeting, 'title');
       }
     } catch (stage3Err) {
       console.warn('[ContentPass] Stage 3 skipped:', stage3Err.message);
@@ -12852,8 +15006,76 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
     // Load system prompt from template file or use hardcoded fallback (Phase 10.3)
     const systemMessage = loadAutoSummaryPrompt(needsTitleSuggestion);
 
+    // Take the "# Suggested Title" section out of the summary and onto the meeting
+    const applySuggestedTitle = content => {
+      if (!needsTitleSuggestion || !content) return content;
+      const titleMatch = content.match(/# Suggested Title\s*\n([^\n]+)/i);
+      if (!titleMatch || !titleMatch[1]) return content;
+      const suggestedTitle = titleMatch[1].trim();
+      console.log(`[AutoSummary] Extracted suggested title: "${suggestedTitle}"`);
+      meeting.title = suggestedTitle;
+      console.log(`[AutoSummary] Updated meeting title to: "${meeting.title}"`);
+
+      // Remove the "# Suggested Title" section from the content
+      console.log(`[AutoSummary] Removed suggested title section from content`);
+      return content.replace(/# Suggested Title\s*\n[^\n]+\n+/i, '');
+    };
+
+    // Same transcript (after the content pass), context, prompt and model as a
+    // previous run: reuse its summary. Entries keep any suggested title section,
+    // so a hit still retitles the meeting.
+    const model = currentModelKey();
+    const cacheKey = summaryCacheKey({
+      kind: 'meeting',
+      transcript: cacheableContent,
+      speakerMapping: meeting.speakerMapping,
+      template: systemMessage,
+      model,
+    });
+    const cached = readSummaryCache(cacheKey, { force });
+    if (cached) {
+      console.log(`[AutoSummary] Using cached summary for meeting: ${meeting.id}`);
+      meeting.summaryGeneratedBy = cached.generatedBy;
+      const content = applySuggestedTitle(cached.content);
+      if (progressCallback) progressCallback(content);
+      return content;
+    }
+    const rememberSummary = content => {
+      if (content) {
+        writeSummaryCache({
+          key: cacheKey,
+          kind: 'meeting',
+          meetingId: meeting.id,
+          model,
+          result: { content, generatedBy: meeting.summaryGeneratedBy },
+        });
+      }
+      return applySuggestedTitle(content);
+    };
+
     // Dynamic user prompt - only the instruction (changes per call type)
-    const userPrompt = 'Summarize the following meeting transcript with the EXACT format specified in your instructions.';
+    let userPrompt = 'Summarize the following meeting transcript with the EXACT format specified in your instructions.';
+    if (previousMeetingText) {
+      userPrompt +=
+        ' The context also contains the summary of the previous meeting in this recurring series.' +
+        ' After the required sections, add a "# Changes Since Last Meeting" section: what progressed,' +
+        ' what is new, and which items from last time are still open.';
+    }
+
+    // Too long for the model: summarize from notes on each part of it instead
+    const fittedTranscript = await fitTranscriptToModel(
+      transcriptText,
+      {
+        promptText: [systemMessage, userPrompt, participantsText, userContextText, previousMeetingText].join('\n\n'),
+        maxTokens: LLM_SECTION_MAX_TOKENS,
+        usageTag: { meetingId: meeting.id },
+      },
+      '[AutoSummary]'
+    );
+    if (fittedTranscript !== transcriptText) {
+      transcriptText = fittedTranscript;
+      cacheableContent = buildCacheableContent();
+    }
 
     console.log(
       `[AutoSummary] Using prompt caching: ${cacheableContent.length} chars cacheable, ${userPrompt.length} chars dynamic`
@@ -12867,34 +15089,24 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
         cacheableContext: cacheableContent, // This will be cached across all section calls
         maxTokens: LLM_SECTION_MAX_TOKENS, // Safe limit for all models (Anthropic/Gemini/Ollama)
         temperature: 0.7,
+        usageTag: { meetingId: meeting.id, purpose: 'auto-summary' },
       });
 
       console.log(
         `AI summary generated successfully using ${llmService.getProviderName()} (${result.model})`
       );
+      meeting.summaryGeneratedBy = {
+        provider: result.provider,
+        model: result.model,
+        fallback: result.fallback,
+      };
       console.log(
         `[AutoSummary] Returning content:`,
         typeof result.content,
         result.content ? `${result.content.length} chars` : 'empty/null'
       );
 
-      // Extract suggested title if present and update meeting
-      let finalContent = result.content;
-      if (needsTitleSuggestion && result.content) {
-        const titleMatch = result.content.match(/# Suggested Title\s*\n([^\n]+)/i);
-        if (titleMatch && titleMatch[1]) {
-          const suggestedTitle = titleMatch[1].trim();
-          console.log(`[AutoSummary] Extracted suggested title: "${suggestedTitle}"`);
-          meeting.title = suggestedTitle;
-          console.log(`[AutoSummary] Updated meeting title to: "${meeting.title}"`);
-
-          // Remove the "# Suggested Title" section from the content
-          finalContent = finalContent.replace(/# Suggested Title\s*\n[^\n]+\n+/i, '');
-          console.log(`[AutoSummary] Removed suggested title section from content`);
-        }
-      }
-
-      return finalContent;
+      return rememberSummary(result.content);
     } else {
       // Use streaming version with progress callback
       const fullText = await llmService.streamCompletion({
@@ -12903,11 +15115,13 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
         cacheableContext: cacheableContent, // This will be cached across all section calls
         maxTokens: LLM_SECTION_MAX_TOKENS, // Safe limit for all models (Anthropic/Gemini/Ollama)
         temperature: 0.7,
+        usageTag: { meetingId: meeting.id, purpose: 'auto-summary' },
         onChunk: cumulativeText => {
           if (progressCallback) {
             progressCallback(cumulativeText);
           }
         },
+        onAnswer: answer => (meeting.summaryGeneratedBy = answer),
       });
 
       console.log(`AI summary completed - ${fullText.length} characters`);
@@ -12916,23 +15130,7 @@ async function generateMeetingSummary(meeting, progressCallback = null) {
         console.warn('WARNING: AI returned empty summary!');
       }
 
-      // Extract suggested title if present and update meeting
-      let finalContent = fullText;
-      if (needsTitleSuggestion && fullText) {
-        const titleMatch = fullText.match(/# Suggested Title\s*\n([^\n]+)/i);
-        if (titleMatch && titleMatch[1]) {
-          const suggestedTitle = titleMatch[1].trim();
-          console.log(`[AutoSummary] Extracted suggested title: "${suggestedTitle}"`);
-          meeting.title = suggestedTitle;
-          console.log(`[AutoSummary] Updated meeting title to: "${meeting.title}"`);
-
-          // Remove the "# Suggested Title" section from the content
-          finalContent = finalContent.replace(/# Suggested Title\s*\n[^\n]+\n+/i, '');
-          console.log(`[AutoSummary] Removed suggested title section from content`);
-        }
-      }
-
-      return finalContent;
+      return rememberSummary(fullText);
     }
   } catch (error) {
     console.error('Error generating meeting summary:', error);
@@ -3,13 +3,133 @@
 const slugify = require('../utils/slugify');
 
 /**
- * Transcript Exporter — converts DB transcript entries to importable text files.
+ * Transcript Exporter — converts DB transcript entries to files in one of
+ * several formats (see EXPORT_FORMATS):
  *
- * Uses the "inline-basic" format (`Speaker Name: dialogue text`) which round-trips
- * perfectly through TranscriptParser's inline pattern.  Timestamps are deliberately
- * omitted because bracketed timestamps would match the lower-priority timestamp
- * pattern and break speaker/text separation on re-import.
+ *   txt   "inline-basic" (`Speaker Name: dialogue text`), which round-trips
+ *         perfectly through TranscriptParser's inline pattern. Timestamps are
+ *         deliberately omitted because bracketed timestamps would match the
+ *         lower-priority timestamp pattern and break speaker/text separation
+ *         on re-import.
+ *   srt   SubRip captions, speaker as a `Speaker:` prefix. Every line of an SRT
+ *         cue is shown on screen, so emails and confidence are left out.
+ *   vtt   WebVTT captions with `<v Speaker>` voice tags. Speaker emails go in
+ *         a header NOTE and confidence in a NOTE before each cue, so the file
+ *         round-trips through TranscriptParser.parseVTT.
+ *   json  Every stored field, unchanged (TranscriptParser.parseJSON reads it).
+ *   html  A styled, self-contained page that Word opens as a document.
+ *
+ * Recorded transcripts store timestamps in milliseconds; imported and legacy
+ * Deepgram ones store seconds. The timed formats work out which per transcript.
+ */
+
+const JSON_FORMAT_ID = 'jd-notes-transcript';
+const JSON_FORMAT_VERSION = 1;
+
+// Same cut-off the meeting detail view uses: values this small are seconds
+const MS_THRESHOLD = 100000;
+
+// Cues with no end time last until the next one starts, capped at this
+const MAX_CUE_SECONDS = 10;
+
+// HTML export greys out utterances the transcription provider was unsure of
+const LOW_CONFIDENCE = 0.6;
+
+function speakerOf(entry) {
+  // Prefer matched real name, fall back to raw speaker label
+  return (entry.speakerName || entry.speaker_name || entry.speaker || 'Unknown Speaker').trim();
+}
+
+function emailOf(entry) {
+  return entry.speakerEmail || entry.speaker_email || null;
+}
+
+function flatten(text) {
+  // Flatten any embedded newlines so each utterance stays on one line
+  return text.replace(/\r?\n/g, ' ').replace(/\s{2,}/g, ' ');
+}
+
+/**
+ * Entries with usable text, normalized for the exporters.
+ * @param {Array<Object>} transcript
+ * @returns {Array<{speaker: string, email: string|null, text: string, entry: Object}>}
+ */
+function exportableEntries(transcript) {
+  return (transcript || [])
+    .filter(entry => (entry.text || '').trim())
+    .map(entry => ({
+      speaker: speakerOf(entry),
+      email: emailOf(entry),
+      text: flatten(entry.text.trim()),
+      entry,
+    }));
+}
+
+/**
+ * Whether a transcript's timestamps are in milliseconds.
+ * @param {Array<Object>} transcript
+ * @returns {boolean}
+ */
+function usesMilliseconds(transcript) {
+  return (transcript || []).some(
+    e => typeof e.timestamp === 'number' && e.timestamp >= MS_THRESHOLD
+  );
+}
+
+/**
+ * Start and end times in seconds for each entry. An entry without a start
+ * continues from the previous one; an entry without an end runs until the
+ * next start (at most MAX_CUE_SECONDS).
+ * @param {Array<Object>} entries - From exportableEntries
+ * @param {boolean} inMs
+ * @returns {Array<{start: number, end: number}>|null} Null if nothing is timed
  */
+function cueTimes(entries, inMs) {
+  const scale = inMs ? 1000 : 1;
+  const toSeconds = value =>
+    typeof value === 'number' && Number.isFinite(value) ? value / scale : null;
+
+  const starts = entries.map(({ entry }) => toSeconds(entry.timestamp));
+  if (starts.every(s => s === null)) return null;
+
+  let previousEnd = 0;
+  return entries.map(({ entry }, i) => {
+    const start = starts[i] ?? previousEnd;
+    const nextStart = starts.slice(i + 1).find(s => s !== null && s > start);
+    let end = toSeconds(entry.endTimestamp ?? entry.end_timestamp);
+    if (end === null || end <= start) {
+      end =
+        nextStart !== undefined
+          ? Math.min(nextStart, start + MAX_CUE_SECONDS)
+          : start + MAX_CUE_SECONDS;
+    }
+    previousEnd = end;
+    return { start, end };
+  });
+}
+
+/**
+ * @param {number} seconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string} HH:MM:SS,mmm
+ */
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+function requireTimes(entries, transcript, formatLabel) {
+  const times = cueTimes(entries, usesMilliseconds(transcript));
+  if (!times) {
+    throw new Error(`Transcript has no timestamps, so it can't be exported as ${formatLabel}`);
+  }
+  return times;
+}
 
 /**
  * Format an array of transcript entries into the inline-basic export format.
@@ -21,33 +141,230 @@ const slugify = require('../utils/slugify');
 function formatTranscriptForExport(transcript) {
   if (!transcript || transcript.length === 0) return '';
 
-  const lines = [];
+  return exportableEntries(transcript)
+    .map(({ speaker, text }) => `${speaker}: ${text}`)
+    .join('\n');
+}
 
-  for (const entry of transcript) {
-    // Skip entries with no usable text
-    const text = (entry.text || '').trim();
-    if (!text) continue;
+/**
+ * SubRip (.srt) captions.
+ * @param {Array<Object>} transcript
+ * @returns {string}
+ */
+function formatSRT(transcript) {
+  const entries = exportableEntries(transcript);
+  if (entries.length === 0) return '';
+  const times = requireTimes(entries, transcript, 'SRT');
 
-    // Prefer matched real name, fall back to raw speaker label
-    const speaker = (entry.speakerName || entry.speaker_name || entry.speaker || 'Unknown Speaker').trim();
+  return entries
+    .map(({ speaker, text }, i) => {
+      const { start, end } = times[i];
+      return `${i + 1}\n${formatCueTime(start, ',')} --> ${formatCueTime(end, ',')}\n${speaker}: ${text}\n`;
+    })
+    .join('\n');
+}
 
-    // Flatten any embedded newlines so each utterance stays on one line
-    const flatText = text.replace(/\r?\n/g, ' ').replace(/\s{2,}/g, ' ');
+function escapeVttText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
 
-    lines.push(`${speaker}: ${flatText}`);
+/**
+ * WebVTT (.vtt) captions with voice tags.
+ * @param {Array<Object>} transcript
+ * @param {Object} [meeting] - Title and date go in the header NOTE
+ * @returns {string}
+ */
+function formatVTT(transcript, meeting = {}) {
+  const entries = exportableEntries(transcript);
+  if (entries.length === 0) return '';
+  const times = requireTimes(entries, transcript, 'WebVTT');
+
+  const blocks = ['WEBVTT'];
+
+  const header = [];
+  if (meeting.title) header.push(`Title: ${flatten(meeting.title)}`);
+  if (meeting.date) header.push(`Date: ${meeting.date}`);
+  const emails = new Map();
+  for (const { speaker, email } of entries) {
+    if (email && !emails.has(speaker)) emails.set(speaker, email);
   }
+  if (emails.size > 0) {
+    header.push('Speakers:');
+    for (const [speaker, email] of emails) header.push(`${speaker} <${email}>`);
+  }
+  if (header.length > 0) blocks.push(`NOTE\n${header.join('\n').replace(/-->/g, '->')}`);
+
+  entries.forEach(({ speaker, text, entry }, i) => {
+    if (typeof entry.confidence === 'number') blocks.push(`NOTE confidence ${entry.confidence}`);
+    // Voice annotations end at the first '>'
+    const voice = speaker.replace(/[<>]/g, '');
+    const { start, end } = times[i];
+    blocks.push(
+      `${i + 1}\n${formatCueTime(start, '.')} --> ${formatCueTime(end, '.')}\n<v ${voice}>${escapeVttText(text)}</v>`
+    );
+  });
 
-  return lines.join('\n');
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Lossless JSON: every entry field as stored, plus the timestamp unit.
+ * @param {Array<Object>} transcript
+ * @param {Object} [meeting]
+ * @returns {string}
+ */
+function formatJSON(transcript, meeting = {}) {
+  if (!transcript || transcript.length === 0) return '';
+
+  const document = {
+    format: JSON_FORMAT_ID,
+    version: JSON_FORMAT_VERSION,
+    meeting: {
+      id: meeting.id,
+      title: meeting.title,
+      date: meeting.date,
+      duration: meeting.duration,
+      participants: (meeting.participants || []).map(p => ({ name: p.name, email: p.email })),
+    },
+    timestampUnit: usesMilliseconds(transcript) ? 'ms' : 's',
+    entries: transcript,
+  };
+  return JSON.stringify(document, null, 2) + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatClock(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const mmss = `${String(m).padStart(h > 0 ? 2 : 1, '0')}:${String(s).padStart(2, '0')}`;
+  return h > 0 ? `${h}:${mmss}` : mmss;
+}
+
+/**
+ * Styled HTML document (Word opens .html files as documents).
+ * @param {Array<Object>} transcript
+ * @param {Object} [meeting]
+ * @returns {string}
+ */
+function formatHTML(transcript, meeting = {}) {
+  const entries = exportableEntries(transcript);
+  if (entries.length === 0) return '';
+  const times = cueTimes(entries, usesMilliseconds(transcript));
+  const title = meeting.title || 'Transcript';
+
+  const rows = entries.map(({ speaker, email, text, entry }, i) => {
+    const lowConfidence = typeof entry.confidence === 'number' && entry.confidence < LOW_CONFIDENCE;
+    const time = times ? `<td class="time">${formatClock(times[i].start)}</td>` : '';
+    const who = email
+      ? `<a href="mailto:${escapeHtml(email)}">${escapeHtml(speaker)}</a>`
+      : escapeHtml(speaker);
+    const confidence =
+      typeof entry.confidence === 'number'
+        ? ` title="Confidence ${Math.round(entry.confidence * 100)}%"`
+        : '';
+    return `      <tr${lowConfidence ? ' class="low-confidence"' : ''}>${time}<td class="speaker">${who}</td><td class="text"${confidence}>${escapeHtml(text)}</td></tr>`;
+  });
+
+  const date = meeting.date ? new Date(meeting.date) : null;
+  const subtitle =
+    date && !isNaN(date.getTime()) ? `<p class="meta">${escapeHtml(date.toDateString())}</p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Calibri, Arial, sans-serif; font-size: 11pt; color: #222; max-width: 800px; margin: 2em auto; }
+    h1 { font-size: 18pt; margin-bottom: 0; }
+    .meta { color: #666; margin-top: 4px; }
+    table { border-collapse: collapse; width: 100%; }
+    td { vertical-align: top; padding: 4px 8px; border-bottom: 1px solid #eee; }
+    .time { color: #888; font-family: Consolas, monospace; white-space: nowrap; }
+    .speaker { font-weight: bold; white-space: nowrap; }
+    .speaker a { color: inherit; text-decoration: none; }
+    .low-confidence .text { color: #999; font-style: italic; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${subtitle}
+  <table>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Available formats, keyed by id. `extensions[0]` is used for new files.
+ */
+const EXPORT_FORMATS = {
+  txt: { label: 'Plain text', extensions: ['txt', 'md'], format: formatTranscriptForExport },
+  srt: { label: 'SubRip captions (SRT)', extensions: ['srt'], format: formatSRT },
+  vtt: { label: 'WebVTT captions', extensions: ['vtt'], format: formatVTT },
+  json: { label: 'JSON (lossless)', extensions: ['json'], format: formatJSON },
+  html: { label: 'HTML document (opens in Word)', extensions: ['html'], format: formatHTML },
+};
+
+/**
+ * @returns {Array<{id: string, label: string, extensions: string[]}>}
+ */
+function listExportFormats() {
+  return Object.entries(EXPORT_FORMATS).map(([id, { label, extensions }]) => ({
+    id,
+    label,
+    extensions,
+  }));
+}
+
+/**
+ * Export format for a file path, by extension.
+ * @param {string} filePath
+ * @returns {string|null} Format id
+ */
+function formatForPath(filePath) {
+  const ext = (filePath.match(/\.([^./\\]+)$/) || [])[1]?.toLowerCase();
+  const match = Object.entries(EXPORT_FORMATS).find(([, f]) => f.extensions.includes(ext));
+  return match ? match[0] : null;
+}
+
+/**
+ * Render a meeting's transcript in the given format.
+ * @param {Object} meeting - Needs `transcript`; title, date etc. are used when present
+ * @param {string} [format='txt']
+ * @returns {{content: string, entryCount: number}} Empty content when nothing is exportable
+ * @throws {Error} Unknown format, or a timed format for an untimed transcript
+ */
+function exportTranscript(meeting, format = 'txt') {
+  const exporter = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!exporter) throw new Error(`Unknown export format: ${format}`);
+  const content = exporter.format(meeting.transcript, meeting);
+  return { content, entryCount: content ? exportableEntries(meeting.transcript).length : 0 };
 }
 
 /**
  * Generate a filename for an exported transcript file.
- * Pattern: `YYYY-MM-DD-title-slug-transcript.txt`
+ * Pattern: `YYYY-MM-DD-title-slug-transcript.<ext>`
  *
  * @param {Object} meeting - Meeting object (needs at least `date` and `title`)
+ * @param {string} [format='txt'] - Export format id
  * @returns {string} Suggested filename (no directory component)
  */
-function generateExportFilename(meeting) {
+function generateExportFilename(meeting, format = 'txt') {
   const date = meeting.date ? new Date(meeting.date) : new Date();
   const yyyy = date.getFullYear();
   const mm = String(date.getMonth() + 1).padStart(2, '0');
@@ -55,8 +372,22 @@ function generateExportFilename(meeting) {
   const dateStr = `${yyyy}-${mm}-${dd}`;
 
   const titleSlug = slugify(meeting.title);
+  const extension =
+    EXPORT_FORMATS[Object.hasOwn(EXPORT_FORMATS, format) ? format : 'txt'].extensions[0];
 
-  return `${dateStr}-${titleSlug}-transcript.txt`;
+  return `${dateStr}-${titleSlug}-transcript.${extension}`;
 }
 
-module.exports = { formatTranscriptForExport, generateExportFilename };
+module.exports = {
+  JSON_FORMAT_ID,
+  EXPORT_FORMATS,
+  formatTranscriptForExport,
+  formatSRT,
+  formatVTT,
+  formatJSON,
+  formatHTML,
+  listExportFormats,
+  formatForPath,
+  exportTranscript,
+  generateExportFilename,
+};
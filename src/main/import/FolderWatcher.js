@@ -0,0 +1,261 @@
+/**
+ * Folder Watcher
+ *
+ * Auto-imports transcripts and recordings that other tools drop into watched
+ * folders (e.g. Zoom cloud recordings synced to disk). Subfolders are watched
+ * too. When watching starts, files that arrived since the folder was added
+ * (e.g. while the app was closed) are picked up; older ones are left alone so
+ * adding a folder full of old recordings doesn't transcribe all of them.
+ *
+ * A file is imported once it has stopped changing: each change restarts a
+ * settle timer, and the file is only queued when its size and mtime are the
+ * same on two checks in a row. Queued files are imported one at a time —
+ * transcripts through importTranscript, audio through importAudio — and the
+ * outcome is written to the import ledger (services/importLedger.js), which
+ * is also what keeps a file from being imported twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Same set as import:selectFolder (including Teams .docx exports); .json is
+// left out because drop folders often hold JSON that isn't a transcript export
+const TRANSCRIPT_EXTENSIONS = ['.txt', '.md', '.vtt', '.srt', '.docx'];
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.ogg', '.webm', '.flac', '.aac'];
+const DEFAULT_SETTLE_MS = 5000;
+
+/**
+ * What kind of import a file needs.
+ * @param {string} filePath
+ * @returns {'transcript'|'audio'|null} Null for files the watcher ignores
+ */
+function importKind(filePath) {
+  const name = path.basename(filePath);
+  // Hidden files and Office/partial-download lock files
+  if (name.startsWith('.') || name.startsWith('~$')) return null;
+  const ext = path.extname(name).toLowerCase();
+  if (TRANSCRIPT_EXTENSIONS.includes(ext)) return 'transcript';
+  if (AUDIO_EXTENSIONS.includes(ext)) return 'audio';
+  return null;
+}
+
+/**
+ * SHA-256 of a file's content, streamed so large recordings aren't read into memory.
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+class FolderWatcher {
+  /**
+   * @param {Object} deps
+   * @param {(filePath: string) => Promise<{meetingId: string}>} deps.importTranscript
+   * @param {(filePath: string) => Promise<{meetingId: string}>} deps.importAudio
+   * @param {(file: Object) => boolean} deps.isImported - See importLedger.isImported
+   * @param {(entry: Object) => void} deps.recordImport - See importLedger.recordImport
+   * @param {number} [deps.settleMs] - How long a file must stay unchanged before import
+   * @param {Function} [deps.watch] - fs.watch
+   * @param {Function} [deps.hashFile]
+   * @param {Function} [deps.log]
+   */
+  constructor({
+    importTranscript,
+    importAudio,
+    isImported,
+    recordImport,
+    settleMs = DEFAULT_SETTLE_MS,
+    watch = fs.watch,
+    hashFile: hash = hashFile,
+    log = console.log,
+  }) {
+    this.importTranscript = importTranscript;
+    this.importAudio = importAudio;
+    this.isImported = isImported;
+    this.recordImport = recordImport;
+    this.settleMs = settleMs;
+    this.watch = watch;
+    this.hashFile = hash;
+    this.log = log;
+
+    this.watchers = new Map(); // folder -> fs.FSWatcher
+    this.pending = new Map(); // file path -> { timer, size, mtimeMs }
+    this.queue = [];
+    this.processing = false;
+  }
+
+  /**
+   * Watch these folders (replacing whatever was watched before) and queue the
+   * files already in them that were modified after `since`.
+   * @param {Array<{path: string, since?: number}>} folders - since: epoch ms
+   */
+  start(folders) {
+    this.stop();
+    for (const { path: folder, since = 0 } of folders) {
+      try {
+        const watcher = this.watch(folder, { recursive: true }, (_eventType, filename) => {
+          if (filename) this.schedule(path.join(folder, filename.toString()));
+        });
+        watcher.on('error', error => {
+          this.log(`[FolderWatch] Stopped watching ${folder}: ${error.message}`);
+          this.watchers.delete(folder);
+        });
+        this.watchers.set(folder, watcher);
+        this.scan(folder, since);
+        this.log(`[FolderWatch] Watching ${folder}`);
+      } catch (error) {
+        this.log(`[FolderWatch] Cannot watch ${folder}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Stop watching. Files already queued still finish importing.
+   */
+  stop() {
+    for (const watcher of this.watchers.values()) watcher.close();
+    this.watchers.clear();
+    for (const { timer } of this.pending.values()) clearTimeout(timer);
+    this.pending.clear();
+  }
+
+  /**
+   * @returns {string[]} Folders currently watched
+   */
+  getWatchedFolders() {
+    return [...this.watchers.keys()];
+  }
+
+  // Schedule every importable file under a folder modified after `since`
+  scan(dir, since = 0) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      this.log(`[FolderWatch] Cannot read ${dir}: ${error.message}`);
+      return;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        this.scan(fullPath, since);
+      } else if (entry.isFile() && importKind(fullPath)) {
+        try {
+          if (fs.statSync(fullPath).mtimeMs > since) this.schedule(fullPath);
+        } catch {
+          // Gone before it could be checked
+        }
+      }
+    }
+  }
+
+  /**
+   * (Re)start a file's settle timer.
+   * @param {string} filePath
+   */
+  schedule(filePath) {
+    if (!importKind(filePath)) return;
+    const state = this.pending.get(filePath) || { size: null, mtimeMs: null };
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => this.checkSettled(filePath), this.settleMs);
+    this.pending.set(filePath, state);
+  }
+
+  // Queue the file if it is unchanged since the last check, else wait again
+  checkSettled(filePath) {
+    const state = this.pending.get(filePath);
+    if (!state) return;
+
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch {
+      this.pending.delete(filePath); // Deleted or moved away before it settled
+      return;
+    }
+    if (!stat.isFile()) {
+      this.pending.delete(filePath);
+      return;
+    }
+
+    if (stat.size !== state.size || stat.mtimeMs !== state.mtimeMs) {
+      state.size = stat.size;
+      state.mtimeMs = stat.mtimeMs;
+      state.timer = setTimeout(() => this.checkSettled(filePath), this.settleMs);
+      return;
+    }
+
+    this.pending.delete(filePath);
+    if (!this.queue.some(item => item.filePath === filePath)) {
+      this.queue.push({ filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+      this.drain();
+    }
+  }
+
+  // Import queued files one at a time
+  async drain() {
+    if (this.processing) return;
+    this.processing = true;
+    try {
+      while (this.queue.length > 0) {
+        await this.importOne(this.queue.shift());
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Import a settled file unless the ledger already has it.
+   * @param {{filePath: string, size: number, mtimeMs: number}} file
+   * @returns {Promise<'imported'|'skipped'|'failed'>}
+   */
+  async importOne({ filePath, size, mtimeMs }) {
+    let contentHash;
+    try {
+      if (this.isImported({ filePath, size, mtimeMs })) return 'skipped';
+      contentHash = await this.hashFile(filePath);
+      if (this.isImported({ contentHash })) {
+        this.log(`[FolderWatch] Skipping ${filePath}: same content was already imported`);
+        return 'skipped';
+      }
+    } catch (error) {
+      this.log(`[FolderWatch] Cannot read ${filePath}: ${error.message}`);
+      return 'failed';
+    }
+
+    const kind = importKind(filePath);
+    this.log(`[FolderWatch] Importing ${kind} ${filePath}`);
+    try {
+      const { meetingId } =
+        kind === 'audio' ? await this.importAudio(filePath) : await this.importTranscript(filePath);
+      this.recordImport({ contentHash, filePath, size, mtimeMs, status: 'imported', meetingId });
+      return 'imported';
+    } catch (error) {
+      this.log(`[FolderWatch] Import failed for ${filePath}: ${error.message}`);
+      this.recordImport({
+        contentHash,
+        filePath,
+        size,
+        mtimeMs,
+        status: 'failed',
+        error: error.message,
+      });
+      return 'failed';
+    }
+  }
+}
+
+module.exports = FolderWatcher;
+module.exports.importKind = importKind;
+module.exports.hashFile = hashFile;
+module.exports.TRANSCRIPT_EXTENSIONS = TRANSCRIPT_EXTENSIONS;
+module.exports.AUDIO_EXTENSIONS = AUDIO_EXTENSIONS;
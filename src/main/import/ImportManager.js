@@ -25,6 +25,7 @@ class ImportManager {
     autoSummaryFunction,
     autoLabelFunction, // v1.1: Auto-label single speakers as user
     googleContacts, // v1.1: Contact lookup for participant name matching
+    findDuplicates, // Likely duplicates of a new meeting already in the database
   }) {
     this.parser = new TranscriptParser();
     this.extractor = new MetadataExtractor();
@@ -38,6 +39,7 @@ class ImportManager {
     this.autoSummaryFunction = autoSummaryFunction;
     this.autoLabelFunction = autoLabelFunction;
     this.googleContacts = googleContacts;
+    this.findDuplicates = findDuplicates;
   }
 
   /**
@@ -79,6 +81,16 @@ class ImportManager {
         meeting.platform = platform;
       }
 
+      // Step 4.1: Look for meetings this one probably duplicates (the user decides later)
+      let duplicates = [];
+      if (this.findDuplicates) {
+        try {
+          duplicates = this.findDuplicates(meeting) || [];
+        } catch (duplicateError) {
+          console.warn('[Import] Duplicate check failed:', duplicateError.message);
+        }
+      }
+
       // Step 4.5: v1.1 - Auto-label single speakers as user (before summary generation)
       if (this.autoLabelFunction && meeting.transcript && meeting.transcript.length > 0) {
         try {
@@ -137,6 +149,7 @@ class ImportManager {
         meeting,
         metadata,
         validationErrors,
+        duplicates,
       };
     } catch (error) {
       console.error(`Error importing ${filePath}:`, error);
@@ -161,6 +174,7 @@ class ImportManager {
       failed: 0,
       meetings: [],
       errors: [],
+      duplicates: [],
     };
 
     for (let i = 0; i < filePaths.length; i++) {
@@ -181,6 +195,9 @@ class ImportManager {
       if (result.success) {
         results.successful++;
         results.meetings.push(result.meeting);
+        if (result.duplicates.length > 0) {
+          results.duplicates.push({ meetingId: result.meeting.id, candidates: result.duplicates });
+        }
       } else {
         results.failed++;
         results.errors.push({
@@ -225,11 +242,26 @@ class ImportManager {
       }
     }
 
+    // Emails the transcript itself gives for a name (native exports, speaker emails)
+    const knownEmails = new Map();
+    for (const attendee of metadata.attendees || []) {
+      if (attendee.name && attendee.email) {
+        knownEmails.set(attendee.name, attendee.email.toLowerCase());
+      }
+    }
+    for (const entry of transcript) {
+      if (entry.speakerEmail && !knownEmails.has(entry.speaker)) {
+        knownEmails.set(entry.speaker, entry.speakerEmail.toLowerCase());
+      }
+    }
+
     // Build participants array with contact info
     const participants = metadata.participants.map(name => {
       const contact = contactMatches.get(name);
+      const knownEmail = knownEmails.get(name) || null;
       if (contact) {
-        const email = contact.emails && contact.emails.length > 0 ? contact.emails[0] : null;
+        const contactEmail = contact.emails && contact.emails.length > 0 ? contact.emails[0] : null;
+        const email = knownEmail || contactEmail;
         // Add email to participantEmails for routing if not already present
         if (email && !participantEmails.includes(email)) {
           participantEmails.push(email);
@@ -243,7 +275,7 @@ class ImportManager {
       }
       return {
         name,
-        email: null,
+        email: knownEmail,
       };
     });
 
@@ -265,6 +297,7 @@ class ImportManager {
       status: metadata.status || 'needs_verification',
       metadata: {
         originalFormat: parsedData.format,
+        exportSource: parsedData.exportSource || null,
         hasSpeakers: parsedData.hasSpeakers,
         hasTimestamps: parsedData.hasTimestamps,
         confidence: metadata.confidence,
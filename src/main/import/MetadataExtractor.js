@@ -6,6 +6,10 @@
  *
  * Phase 8 - Import Prior Transcripts
  * Enhanced for v1.1 (IM-2): Added file modification time fallback
+ *
+ * Exports parsed by nativeExportParsers (Otter, Fireflies, Teams, Zoom) carry
+ * the real title, start time and attendee list; for those, content metadata
+ * wins over the filename.
  */
 
 const path = require('path');
@@ -21,14 +25,20 @@ class MetadataExtractor {
   extractMetadata(parsedData, filePath) {
     const filename = path.basename(filePath, path.extname(filePath));
 
-    // Extract from filename first
-    const dateFromFilename = this.extractDateFromFilename(filename);
-    const titleFromFilename = this.extractTitleFromFilename(filename, dateFromFilename);
-    const titleFromFolder = this.extractTitleFromFolderName(filePath);
-
     // Extract from content
     const dateFromContent = this.extractDateFromContent(parsedData);
     const titleFromContent = this.extractTitleFromContent(parsedData);
+
+    // Extract from filename (not needed when a native export already has it)
+    const fromExport = !!parsedData.exportSource;
+    const dateFromFilename =
+      fromExport && dateFromContent ? null : this.extractDateFromFilename(filename);
+    const titleFromFilename =
+      fromExport && titleFromContent
+        ? null
+        : this.extractTitleFromFilename(filename, dateFromFilename);
+    const titleFromFolder =
+      fromExport && titleFromContent ? null : this.extractTitleFromFolderName(filePath);
     const participantsFromContent = this.extractParticipants(parsedData);
     const participantsFromFolder = this.extractParticipantsFromFolderName(filePath);
     const emails = this.extractEmails(parsedData);
@@ -51,7 +61,7 @@ class MetadataExtractor {
       dateConfidence = 'high';
     } else if (dateFromContent) {
       finalDate = dateFromContent;
-      dateConfidence = 'medium';
+      dateConfidence = fromExport ? 'high' : 'medium';
     } else if (dateFromFile) {
       finalDate = dateFromFile;
       dateConfidence = 'low'; // File modification time is least reliable
@@ -68,6 +78,8 @@ class MetadataExtractor {
       title: finalTitle,
       participants,
       participantEmails: emails,
+      // [{ name, email }] from native exports, used to give participants their emails
+      attendees: parsedData.metadata?.attendees || [],
       platform,
       duration,
       source: 'import',
@@ -88,7 +100,9 @@ class MetadataExtractor {
           : titleFromFolder
             ? 'high'
             : titleFromContent
-              ? 'medium'
+              ? fromExport
+                ? 'high'
+                : 'medium'
               : 'low',
         titleSource: titleFromFilename
           ? 'filename'
@@ -348,9 +362,12 @@ class MetadataExtractor {
         if (parsedData.metadata[field]) {
           const value = parsedData.metadata[field];
 
-          // Handle array or comma-separated string
+          // Handle array (of names or { name, email } attendees) or comma-separated string
           if (Array.isArray(value)) {
-            value.forEach(p => participants.add(p));
+            value.forEach(p => {
+              const name = typeof p === 'string' ? p : p?.name;
+              if (name) participants.add(name);
+            });
           } else if (typeof value === 'string') {
             value.split(/[,;]/).forEach(p => participants.add(p.trim()));
           }
@@ -474,6 +491,11 @@ class MetadataExtractor {
       contentEmails.forEach(email => emails.add(email.toLowerCase()));
     }
 
+    // Speaker emails kept by the parser (VTT notes, JSON and native exports)
+    for (const entry of parsedData.entries) {
+      if (entry.speakerEmail) emails.add(entry.speakerEmail.toLowerCase());
+    }
+
     return Array.from(emails);
   }
 
@@ -481,6 +503,10 @@ class MetadataExtractor {
    * Detect meeting platform from content
    */
   detectPlatform(parsedData) {
+    if (parsedData.metadata?.platform) {
+      return parsedData.metadata.platform;
+    }
+
     const allText = (parsedData.rawText + JSON.stringify(parsedData.metadata || {})).toLowerCase();
 
     // Check for platform mentions
@@ -1,8 +1,11 @@
 /**
  * Transcript Parser
  *
- * Parses transcript files in various formats (.txt, .md, .vtt, .srt)
+ * Parses transcript files in various formats (.txt, .md, .vtt, .srt, and
+ * .json exports from transcriptExporter)
  * and converts them to a standardized format for import into the system.
+ * Otter and Fireflies JSON, Teams .docx and Zoom .vtt exports go through the
+ * dedicated parsers in nativeExportParsers.js, which keep their metadata.
  *
  * Phase 8 - Import Prior Transcripts
  * Phase 10.8.1 - Pattern Configuration System (refactored to use config patterns)
@@ -11,6 +14,13 @@
 const fs = require('fs').promises;
 const path = require('path');
 const patternConfigLoader = require('./PatternConfigLoader');
+const {
+  detectJSONExport,
+  parseOtterJSON,
+  parseFirefliesJSON,
+  parseTeamsDocx,
+  applyZoomRecordingInfo,
+} = require('./nativeExportParsers');
 
 class TranscriptParser {
   /**
@@ -20,6 +30,9 @@ class TranscriptParser {
    */
   async parseFile(filePath) {
     const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.docx') {
+      return parseTeamsDocx(await fs.readFile(filePath), filePath);
+    }
     const content = await fs.readFile(filePath, 'utf-8');
 
     switch (ext) {
@@ -28,9 +41,11 @@ class TranscriptParser {
       case '.md':
         return await this.parseMarkdown(content, filePath);
       case '.vtt':
-        return this.parseVTT(content, filePath);
+        return applyZoomRecordingInfo(this.parseVTT(content, filePath));
       case '.srt':
         return this.parseSRT(content, filePath);
+      case '.json':
+        return this.parseJSON(content, filePath);
       default:
         throw new Error(`Unsupported file format: ${ext}`);
     }
@@ -533,12 +548,17 @@ class TranscriptParser {
 
   /**
    * Parse WebVTT (Web Video Text Tracks) format
-   * Standard format for video subtitles/captions
+   * Standard format for video subtitles/captions. Speakers come from voice
+   * tags (`<v Alice>text`) or a `Speaker: text` prefix. NOTE blocks written by
+   * transcriptExporter carry speaker emails (a "Speakers:" list of
+   * `Name <email>` lines) and per-cue confidence (`NOTE confidence 0.92`).
    */
   parseVTT(content, filePath) {
-    const lines = content.split('\n');
+    const lines = content.split(/\r?\n/);
     const entries = [];
     let rawText = '';
+    const emails = new Map();
+    let pendingConfidence = null;
 
     // VTT format:
     // WEBVTT
@@ -547,7 +567,7 @@ class TranscriptParser {
     // Speaker: This is the first line
     //
     // 00:00:05.000 --> 00:00:10.000
-    // Another speaker: This is the second line
+    // <v Another speaker>This is the second line
 
     let i = 0;
 
@@ -564,6 +584,28 @@ class TranscriptParser {
         continue;
       }
 
+      // Comment block: runs to the next blank line
+      if (line === 'NOTE' || line.startsWith('NOTE ')) {
+        const noteLines = [line.slice(4).trim()];
+        i++;
+        while (i < lines.length && lines[i].trim()) {
+          noteLines.push(lines[i].trim());
+          i++;
+        }
+        const confidenceMatch = noteLines[0].match(/^confidence\s+([\d.]+)$/);
+        if (confidenceMatch) {
+          pendingConfidence = parseFloat(confidenceMatch[1]);
+        }
+        const speakersAt = noteLines.indexOf('Speakers:');
+        if (speakersAt !== -1) {
+          for (const speakerLine of noteLines.slice(speakersAt + 1)) {
+            const emailMatch = speakerLine.match(/^(.+?)\s*<([^<>\s]+@[^<>\s]+)>$/);
+            if (emailMatch) emails.set(emailMatch[1], emailMatch[2]);
+          }
+        }
+        continue;
+      }
+
       // Check for timestamp line (e.g., "00:00:00.000 --> 00:00:05.000")
       const timestampMatch = line.match(
         /^(\d{2}:\d{2}:\d{2}\.\d{3})\s+-->\s+(\d{2}:\d{2}:\d{2}\.\d{3})/
@@ -571,6 +613,7 @@ class TranscriptParser {
 
       if (timestampMatch) {
         const startTime = timestampMatch[1];
+        const endTime = timestampMatch[2];
         i++;
 
         // Collect all text lines until we hit a blank line or another timestamp
@@ -582,24 +625,32 @@ class TranscriptParser {
 
         const fullText = textLines.join(' ');
 
-        // Try to extract speaker from text (e.g., "Speaker: text")
-        const speakerMatch = fullText.match(/^([^:]+):\s*(.+)/);
-
-        if (speakerMatch) {
-          entries.push({
-            speaker: speakerMatch[1].trim(),
-            text: speakerMatch[2].trim(),
-            timestamp: this.parseTimestamp(startTime),
-          });
-          rawText += `${speakerMatch[2].trim()}\n`;
+        // Speaker from a voice tag, else from a "Speaker: text" prefix
+        const voiceMatch = fullText.match(/^<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+        let speaker = 'Unknown';
+        let text = this.stripVTTMarkup(fullText);
+        if (voiceMatch) {
+          speaker = voiceMatch[1].trim();
         } else {
-          entries.push({
-            speaker: 'Unknown',
-            text: fullText,
-            timestamp: this.parseTimestamp(startTime),
-          });
-          rawText += `${fullText}\n`;
+          const speakerMatch = text.match(/^([^:]+):\s*(.+)/);
+          if (speakerMatch) {
+            speaker = speakerMatch[1].trim();
+            text = speakerMatch[2].trim();
+          }
         }
+
+        const entry = {
+          speaker,
+          text,
+          timestamp: this.parseTimestamp(startTime),
+          endTimestamp: this.parseTimestamp(endTime),
+        };
+        if (emails.has(speaker)) entry.speakerEmail = emails.get(speaker);
+        if (pendingConfidence !== null) entry.confidence = pendingConfidence;
+        pendingConfidence = null;
+
+        entries.push(entry);
+        rawText += `${text}\n`;
       } else {
         i++;
       }
@@ -615,6 +666,20 @@ class TranscriptParser {
     };
   }
 
+  /**
+   * Remove cue markup (voice, class, italic... tags) and decode the entities
+   * WebVTT requires for &, < and >.
+   */
+  stripVTTMarkup(text) {
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
   /**
    * Parse SRT (SubRip) format
    * Common subtitle format
@@ -702,6 +767,68 @@ class TranscriptParser {
     };
   }
 
+  /**
+   * Parse a JSON export written by transcriptExporter (format
+   * "jd-notes-transcript"), Otter or Fireflies. Timestamps are converted to
+   * seconds like every other format; speaker names, emails and confidence are
+   * kept.
+   */
+  parseJSON(content, filePath) {
+    let document;
+    try {
+      document = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    const source = detectJSONExport(document);
+    if (source === 'otter') return parseOtterJSON(document, filePath);
+    if (source === 'fireflies') return parseFirefliesJSON(document, filePath);
+    if (source !== 'jd-notes' || !Array.isArray(document.entries)) {
+      throw new Error('Not a JD Notes Things, Otter or Fireflies transcript export');
+    }
+
+    const scale = document.timestampUnit === 'ms' ? 1000 : 1;
+    const seconds = value => (typeof value === 'number' ? value / scale : null);
+    const entries = [];
+    let rawText = '';
+
+    for (const item of document.entries) {
+      const text = (item.text || '').trim();
+      if (!text) continue;
+
+      const entry = {
+        speaker: item.speakerName || item.speaker || 'Unknown',
+        text,
+        timestamp: seconds(item.timestamp),
+      };
+      const endTimestamp = seconds(item.endTimestamp);
+      if (endTimestamp !== null) entry.endTimestamp = endTimestamp;
+      if (item.speakerEmail) entry.speakerEmail = item.speakerEmail;
+      if (typeof item.confidence === 'number') entry.confidence = item.confidence;
+
+      entries.push(entry);
+      rawText += `${text}\n`;
+    }
+
+    const meeting = document.meeting || {};
+    const metadata = {};
+    if (meeting.title) metadata.title = meeting.title;
+    if (meeting.date) metadata.date = meeting.date;
+    if (Array.isArray(meeting.participants) && meeting.participants.length > 0) {
+      metadata.participants = meeting.participants.map(p => p.name).filter(Boolean);
+    }
+
+    return {
+      format: 'json',
+      filePath,
+      entries,
+      rawText: rawText.trim(),
+      metadata,
+      hasSpeakers: entries.some(e => e.speaker !== 'Unknown'),
+      hasTimestamps: entries.some(e => e.timestamp !== null),
+    };
+  }
+
   /**
    * Parse timestamp string to seconds
    * Supports formats: HH:MM:SS, MM:SS, HH:MM:SS.mmm
@@ -776,11 +903,18 @@ class TranscriptParser {
    */
   toMeetingTranscript(parsedData) {
     // Return entries in the simple format expected by Zod schema
-    return parsedData.entries.map(entry => ({
-      speaker: entry.speaker || 'Unknown',
-      text: entry.text || '',
-      timestamp: entry.timestamp,
-    }));
+    // plus end time, email and confidence when the source format had them
+    return parsedData.entries.map(entry => {
+      const transcriptEntry = {
+        speaker: entry.speaker || 'Unknown',
+        text: entry.text || '',
+        timestamp: entry.timestamp,
+      };
+      if (entry.endTimestamp != null) transcriptEntry.endTimestamp = entry.endTimestamp;
+      if (entry.speakerEmail) transcriptEntry.speakerEmail = entry.speakerEmail;
+      if (entry.confidence != null) transcriptEntry.confidence = entry.confidence;
+      return transcriptEntry;
+    });
   }
 }
 
@@ -0,0 +1,365 @@
+/**
+ * Native Export Parsers
+ *
+ * Dedicated parsers for the structured transcript exports of other meeting
+ * tools. The generic pattern-based parsing in TranscriptParser would reduce
+ * these to speaker/text lines; here the metadata they carry is kept as well:
+ *
+ * - Otter JSON:      title, start time, speaker emails
+ * - Fireflies JSON:  title, start time, attendee list with emails
+ * - Teams .docx:     title, start time
+ * - Zoom .vtt:       title and start time from Zoom's file and folder names
+ *
+ * Every parser returns the same shape as TranscriptParser, plus `exportSource`
+ * naming the tool, and `metadata` with { title, date, participants,
+ * attendees: [{ name, email }], platform } so MetadataExtractor prefers it to
+ * what the filename suggests and routing gets the attendee emails.
+ */
+
+const path = require('path');
+
+/**
+ * Which tool wrote a parsed JSON transcript export.
+ * @param {*} document - Parsed JSON
+ * @returns {'jd-notes'|'otter'|'fireflies'|null}
+ */
+function detectJSONExport(document) {
+  if (!document || typeof document !== 'object') return null;
+  if (document.format === 'jd-notes-transcript') return 'jd-notes';
+  if (otterSpeech(document)) return 'otter';
+  if (firefliesTranscript(document)) return 'fireflies';
+  return null;
+}
+
+// Otter's speech payload, bare or wrapped as { speech }
+function otterSpeech(document) {
+  const speech = document.speech || document;
+  return Array.isArray(speech.transcripts) &&
+    speech.transcripts.every(t => typeof t?.transcript === 'string')
+    ? speech
+    : null;
+}
+
+// Fireflies' transcript, bare or as returned by its GraphQL API
+function firefliesTranscript(document) {
+  const transcript = document.data?.transcript || document.transcript || document;
+  return Array.isArray(transcript.sentences) &&
+    transcript.sentences.every(s => typeof s?.text === 'string')
+    ? transcript
+    : null;
+}
+
+// Epoch seconds, epoch milliseconds or a date string -> ISO string
+function toISODate(value) {
+  if (value == null || value === '') return null;
+  let date;
+  if (typeof value === 'number') {
+    date = new Date(value < 1e12 ? value * 1000 : value);
+  } else {
+    date = new Date(value);
+  }
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function buildResult(exportSource, format, filePath, entries, metadata) {
+  const cleanMetadata = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value == null || (Array.isArray(value) && value.length === 0)) continue;
+    cleanMetadata[key] = value;
+  }
+  return {
+    format,
+    exportSource,
+    filePath,
+    entries,
+    rawText: entries.map(e => e.text).join('\n'),
+    metadata: cleanMetadata,
+    hasSpeakers: entries.some(e => e.speaker !== 'Unknown'),
+    hasTimestamps: entries.some(e => e.timestamp !== null),
+  };
+}
+
+// Unique speaker names, in order of first appearance
+function speakerNames(entries) {
+  return [...new Set(entries.map(e => e.speaker).filter(s => s !== 'Unknown'))];
+}
+
+/**
+ * Parse an Otter JSON export ({ speech: { title, start_time, speakers,
+ * transcripts } }). Segment offsets are in milliseconds from the start.
+ * @param {Object} document - Parsed JSON
+ * @param {string} filePath
+ * @returns {Object} Parsed transcript data
+ */
+function parseOtterJSON(document, filePath) {
+  const speech = otterSpeech(document);
+  if (!speech) throw new Error('Not an Otter transcript export');
+
+  const speakers = new Map();
+  for (const speaker of speech.speakers || []) {
+    speakers.set(String(speaker.id ?? speaker.speaker_id), {
+      name: speaker.speaker_name || speaker.name,
+      email: speaker.speaker_email || speaker.email || null,
+    });
+  }
+
+  const entries = [];
+  for (const segment of speech.transcripts) {
+    const text = segment.transcript.trim();
+    if (!text) continue;
+    const speaker = speakers.get(String(segment.speaker_id)) || {};
+    const entry = {
+      speaker: speaker.name || segment.speaker_name || 'Unknown',
+      text,
+      timestamp: typeof segment.start_offset === 'number' ? segment.start_offset / 1000 : null,
+    };
+    if (typeof segment.end_offset === 'number') entry.endTimestamp = segment.end_offset / 1000;
+    if (speaker.email) entry.speakerEmail = speaker.email;
+    entries.push(entry);
+  }
+
+  const attendees = [...speakers.values()]
+    .filter(s => s.email)
+    .map(s => ({ name: s.name || null, email: s.email }));
+
+  return buildResult('otter', 'json', filePath, entries, {
+    title: speech.title || null,
+    date: toISODate(speech.start_time ?? speech.created_at),
+    participants: speakerNames(entries),
+    attendees,
+  });
+}
+
+/**
+ * Parse a Fireflies JSON export (the transcript object of its API, bare or as
+ * { data: { transcript } }). Sentence times are in seconds.
+ * @param {Object} document - Parsed JSON
+ * @param {string} filePath
+ * @returns {Object} Parsed transcript data
+ */
+function parseFirefliesJSON(document, filePath) {
+  const transcript = firefliesTranscript(document);
+  if (!transcript) throw new Error('Not a Fireflies transcript export');
+
+  const attendees = [];
+  const seenEmails = new Set();
+  const addAttendee = (name, email) => {
+    if (!email || seenEmails.has(email.toLowerCase())) return;
+    seenEmails.add(email.toLowerCase());
+    attendees.push({ name: name || null, email });
+  };
+  for (const attendee of transcript.meeting_attendees || []) {
+    addAttendee(attendee.displayName || attendee.name, attendee.email);
+  }
+  for (const email of transcript.participants || []) addAttendee(null, email);
+  addAttendee(null, transcript.organizer_email);
+
+  const emailByName = new Map(
+    attendees.filter(a => a.name).map(a => [a.name.toLowerCase(), a.email])
+  );
+
+  const entries = [];
+  for (const sentence of transcript.sentences) {
+    const text = sentence.text.trim();
+    if (!text) continue;
+    const speaker = sentence.speaker_name || 'Unknown';
+    const entry = {
+      speaker,
+      text,
+      timestamp: typeof sentence.start_time === 'number' ? sentence.start_time : null,
+    };
+    if (typeof sentence.end_time === 'number') entry.endTimestamp = sentence.end_time;
+    const email = emailByName.get(speaker.toLowerCase());
+    if (email) entry.speakerEmail = email;
+    entries.push(entry);
+  }
+
+  const names = attendees.map(a => a.name).filter(Boolean);
+  return buildResult('fireflies', 'json', filePath, entries, {
+    title: transcript.title || null,
+    date: toISODate(transcript.date ?? transcript.dateString),
+    participants: [...new Set([...names, ...speakerNames(entries)])],
+    attendees,
+  });
+}
+
+// Text of each paragraph in a .docx body, tabs kept as "\t"
+function docxParagraphs(documentXml) {
+  const decode = text =>
+    text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+
+  return documentXml
+    .split(/<\/w:p>/)
+    .map(paragraph => {
+      let text = '';
+      for (const [, tag, content] of paragraph.matchAll(
+        /<w:(t|tab|br)\b[^>]*?(?:\/>|>([^<]*)<\/w:t>)/g
+      )) {
+        if (tag === 't') text += decode(content || '');
+        else text += tag === 'tab' ? '\t' : ' ';
+      }
+      return text.trim();
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse the paragraphs of a Teams transcript. Handles both layouts Teams has
+ * used: a title/date/duration header followed by "Name   0:03" lines, and
+ * the older "0:0:0.0 --> 0:0:4.52" cue lines followed by the speaker's name.
+ * @param {string[]} paragraphs
+ * @param {string} filePath
+ * @returns {Object} Parsed transcript data
+ */
+function parseTeamsTranscript(paragraphs, filePath) {
+  const time = '(\\d{1,2}(?::\\d{1,2}){1,2}(?:\\.\\d+)?)';
+  const speakerLine = new RegExp(`^(.+?)\\s{2,}${time}$|^(.+?)\\t+${time}$`);
+  const cueLine = new RegExp(`^${time}\\s*-->\\s*${time}$`);
+  const toSeconds = value =>
+    value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+  const entries = [];
+  const header = [];
+  let current = null;
+  let awaitingSpeaker = false;
+
+  for (const paragraph of paragraphs) {
+    const cue = paragraph.match(cueLine);
+    if (cue) {
+      current = { speaker: 'Unknown', text: '', timestamp: toSeconds(cue[1]) };
+      current.endTimestamp = toSeconds(cue[2]);
+      entries.push(current);
+      awaitingSpeaker = true;
+      continue;
+    }
+    if (awaitingSpeaker) {
+      current.speaker = paragraph;
+      awaitingSpeaker = false;
+      continue;
+    }
+    const speaker = paragraph.match(speakerLine);
+    if (speaker) {
+      current = {
+        speaker: (speaker[1] || speaker[3]).trim(),
+        text: '',
+        timestamp: toSeconds(speaker[2] || speaker[4]),
+      };
+      entries.push(current);
+      continue;
+    }
+    if (current) {
+      current.text = current.text ? `${current.text} ${paragraph}` : paragraph;
+    } else {
+      header.push(paragraph);
+    }
+  }
+
+  const spoken = entries.filter(e => e.text);
+  if (spoken.length === 0) throw new Error('Not a Microsoft Teams transcript');
+
+  // Header: title, then "March 2, 2026, 3:00PM", then the duration
+  const dateLine = /^(?:[A-Z][a-z]+ \d{1,2}, \d{4}|\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2})/;
+  let title = null;
+  let date = null;
+  for (const line of header) {
+    if (dateLine.test(line)) {
+      date = date || toISODate(line.replace(/,\s*(\d{1,2}:\d{2})\s*([AP]M)$/i, ' $1 $2'));
+    } else if (!title && !/^(\d+h\s*)?(\d+m\s*)?(\d+s)?$/.test(line) && line !== 'Transcript') {
+      // Teams names the document "<title>-<yyyymmdd_hhmmss>-Meeting Recording"
+      title = line.replace(/-\d{8}_\d{6}-Meeting Recording$/i, '').trim();
+    }
+  }
+
+  return buildResult('teams', 'docx', filePath, spoken, {
+    title,
+    date,
+    participants: speakerNames(spoken),
+    platform: 'teams',
+  });
+}
+
+/**
+ * Parse a Teams .docx transcript file.
+ * @param {Buffer} buffer - File content
+ * @param {string} filePath
+ * @returns {Promise<Object>} Parsed transcript data
+ */
+async function parseTeamsDocx(buffer, filePath) {
+  const unzipper = require('unzipper');
+  let directory;
+  try {
+    directory = await unzipper.Open.buffer(buffer);
+  } catch (error) {
+    throw new Error(`Invalid .docx file: ${error.message}`);
+  }
+  const documentFile = directory.files.find(f => f.path === 'word/document.xml');
+  if (!documentFile) throw new Error('Invalid .docx file: no document body');
+
+  const xml = (await documentFile.buffer()).toString('utf8');
+  return parseTeamsTranscript(docxParagraphs(xml), filePath);
+}
+
+/**
+ * Meeting title and start time from the names Zoom gives recordings:
+ * local recordings sit in "2026-03-02 15.00.12 Acme Kickoff" folders, cloud
+ * recording transcripts are named "GMT20260302-150012_Recording.transcript.vtt"
+ * (start time in UTC).
+ * @param {string} filePath
+ * @returns {{title: string|null, date: string|null}|null} Null if not a Zoom file
+ */
+function zoomRecordingInfo(filePath) {
+  const folder = path.basename(path.dirname(filePath));
+  const folderMatch = folder.match(
+    /^(\d{4})-(\d{2})-(\d{2}) (\d{2})\.(\d{2})\.(\d{2}) (.+?)(?: \d{9,11})?$/
+  );
+  const fileMatch = path
+    .basename(filePath)
+    .match(/^GMT(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})_Recording/);
+  if (!folderMatch && !fileMatch) return null;
+
+  let date = null;
+  if (fileMatch) {
+    const [, y, mo, d, h, mi, s] = fileMatch;
+    date = new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +s)).toISOString();
+  } else {
+    const [, y, mo, d, h, mi, s] = folderMatch;
+    date = new Date(+y, mo - 1, +d, +h, +mi, +s).toISOString();
+  }
+
+  return { title: folderMatch ? folderMatch[7].trim() : null, date };
+}
+
+/**
+ * Mark a parsed VTT as a Zoom export when its file or folder name says so.
+ * @param {Object} parsedData - Result of TranscriptParser.parseVTT
+ * @returns {Object} The same object
+ */
+function applyZoomRecordingInfo(parsedData) {
+  const info = zoomRecordingInfo(parsedData.filePath);
+  if (!info) return parsedData;
+  parsedData.exportSource = 'zoom';
+  parsedData.metadata = {
+    ...(parsedData.metadata || {}),
+    ...(info.title && { title: info.title }),
+    ...(info.date && { date: info.date }),
+    participants: speakerNames(parsedData.entries),
+    platform: 'zoom',
+  };
+  return parsedData;
+}
+
+module.exports = {
+  detectJSONExport,
+  parseOtterJSON,
+  parseFirefliesJSON,
+  parseTeamsTranscript,
+  parseTeamsDocx,
+  docxParagraphs,
+  zoomRecordingInfo,
+  applyZoomRecordingInfo,
+};
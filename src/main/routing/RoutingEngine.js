@@ -3,11 +3,14 @@
  *
  * v1.4: Routes via participant organization fields matched against the clients DB table.
  * Falls back to client_contacts email matching. No longer reads routing.yaml.
+ * User routing rules (appSettings.routingRules, see routingRules.js) are checked first.
  */
 
 const path = require('path');
 const databaseService = require('../services/databaseService');
 const slugify = require('../utils/slugify');
+const { buildYoutubeRoute } = require('./youtubeRoute');
+const { buildRuleContext, findMatchingRule, buildRuleRoute } = require('./routingRules');
 
 class RoutingEngine {
   constructor(settingsProvider = null) {
@@ -39,9 +42,16 @@ class RoutingEngine {
    * @param {string} meetingData.meetingTitle - Meeting title
    * @param {Date} meetingData.meetingDate - Meeting date
    * @param {Array<Object>} [meetingData.participants] - Full participant objects with organization field
-   * @returns {Object} Routing decision with routes array
+   * @param {string} [meetingData.platform] - e.g. 'zoom', 'youtube'
+   * @param {Array<string>} [meetingData.tags]
+   * @param {string} [meetingData.calendarEventId]
+   * @param {string} [meetingData.calendarDescription]
+   * @param {Array<Object>} [meetingData.calendarAttendees] - With isOrganizer
+   * @param {Object} [options]
+   * @param {boolean} [options.applyRules=true] - Check the user's routing rules first
+   * @returns {Object} Routing decision with routes array, and the rule that fired (or null)
    */
-  route(meetingData) {
+  route(meetingData, { applyRules = true } = {}) {
     const { participantEmails = [], meetingTitle, meetingDate, participants = [] } = meetingData;
 
     const date = meetingDate ? new Date(meetingDate) : new Date();
@@ -53,16 +63,31 @@ class RoutingEngine {
     const matchedCompanies = new Set();
     const routedClientIds = [];
 
+    // User rules: the first one that matches may set the destination, add copies and templates
+    const fired = applyRules ? this._matchRule(meetingData) : null;
+    const rule = fired
+      ? { id: fired.rule.id, name: fired.rule.name, matched: fired.matched }
+      : null;
+    const naming = { folderName, dateStr, titleSlug };
+    if (fired?.rule.destination) {
+      routes.push({ ...buildRuleRoute(fired.rule.destination, naming, fired.rule), rule });
+    } else if (meetingData.platform === 'youtube') {
+      // spec §5: channel content goes to content/youtube/ unless a rule says otherwise
+      routes.push(buildYoutubeRoute({ title: meetingTitle, date: date.toISOString() }));
+    }
+
     // Primary: match via participant organization field → clients DB
-    for (const participant of participants) {
-      const org = participant.organization;
-      if (!org || matchedCompanies.has(org.toLowerCase())) continue;
-
-      const company = databaseService.matchOrganizationToCompany(org);
-      if (company && company.vault_path) {
-        matchedCompanies.add(org.toLowerCase());
-        routedClientIds.push(company.id);
-        routes.push(this._buildRouteFromCompany(company, folderName, dateStr, titleSlug));
+    if (routes.length === 0) {
+      for (const participant of participants) {
+        const org = participant.organization;
+        if (!org || matchedCompanies.has(org.toLowerCase())) continue;
+
+        const company = databaseService.matchOrganizationToCompany(org);
+        if (company && company.vault_path) {
+          matchedCompanies.add(org.toLowerCase());
+          routedClientIds.push(company.id);
+          routes.push(this._buildRouteFromCompany(company, folderName, dateStr, titleSlug));
+        }
       }
     }
 
@@ -92,10 +117,20 @@ class RoutingEngine {
       });
     }
 
-    console.log(`[RoutingEngine] Meeting routed to ${routes.length} location(s)`);
+    for (const copy of fired?.rule.copies || []) {
+      const copyRoute = buildRuleRoute(copy, naming, fired.rule, true);
+      if (!routes.some(r => r.fullPath === copyRoute.fullPath)) routes.push({ ...copyRoute, rule });
+    }
+
+    console.log(
+      `[RoutingEngine] Meeting routed to ${routes.length} location(s)` +
+        (rule ? ` by rule "${rule.name}"` : '')
+    );
 
     return {
       routes,
+      rule,
+      templateIds: fired?.rule.templates || [],
       routedClientIds: routedClientIds.length > 0 ? routedClientIds : undefined,
       orgCount: matchedCompanies.size,
       multiOrg: matchedCompanies.size > 1,
@@ -105,6 +140,17 @@ class RoutingEngine {
     };
   }
 
+  /**
+   * The first of the user's routing rules that matches the meeting.
+   * @private
+   */
+  _matchRule(meetingData) {
+    const settings = this._settingsProvider ? this._settingsProvider() : null;
+    const { rules = [], internalDomains = [] } = settings?.routingRules || {};
+    if (rules.length === 0) return null;
+    return findMatchingRule(rules, buildRuleContext(meetingData, internalDomains));
+  }
+
   /**
    * Build a route from a company DB record.
    * @private
@@ -0,0 +1,122 @@
+/**
+ * Meeting relocation - re-evaluate routing for meetings that were already
+ * exported, and move their notes to wherever routing now sends them.
+ *
+ * Changing a client's vault_path, adding a client or adding a routing rule
+ * only affects new exports; this plans the moves for earlier meetings (a
+ * dry run the user approves) and repairs links to the moved notes. Only a
+ * meeting's primary note (obsidianLink) and its transcript move — extra
+ * copies from multi-org routes or rule copies aren't tracked, so stay put.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * How a note is recorded in obsidianLink: vault-relative with forward
+ * slashes, or absolute when it lives outside the vault (client folders can).
+ * @param {string} vaultRoot
+ * @param {string} absolutePath
+ * @returns {string}
+ */
+function toNoteLink(vaultRoot, absolutePath) {
+  const relative = path.relative(vaultRoot, absolutePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return absolutePath;
+  return relative.replace(/\\/g, '/');
+}
+
+const samePath = (a, b) => {
+  const normalize = p => {
+    const resolved = path.resolve(p);
+    return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+  };
+  return normalize(a) === normalize(b);
+};
+
+/**
+ * Work out which exported meetings routing would now put somewhere else.
+ * A meeting already in any of its routes' folders stays where it is.
+ * @param {Array<Object>} meetings - Meetings with obsidianLink
+ * @param {Function} routeMeeting - meeting → RoutingEngine decision
+ * @param {string} vaultRoot
+ * @param {Function} [exists] - For tests; defaults to fs.existsSync
+ * @returns {Array<Object>} Planned moves: {meetingId, title, date, from, to, fromFolder,
+ *   toFolder, route, routedClientIds, conflict}
+ */
+function planRelocations(meetings, routeMeeting, vaultRoot, exists = fs.existsSync) {
+  const moves = [];
+  const claimed = new Set();
+
+  for (const meeting of meetings) {
+    if (!meeting.obsidianLink) continue;
+    const decision = routeMeeting(meeting);
+    const primary = decision?.routes?.[0];
+    if (!primary) continue;
+
+    const current = path.resolve(vaultRoot, meeting.obsidianLink);
+    const folders = decision.routes.map(route => path.resolve(vaultRoot, route.fullPath));
+    if (folders.some(folder => samePath(folder, path.dirname(current)))) continue;
+
+    const target = path.join(folders[0], path.basename(current));
+    let conflict = null;
+    if (exists(target) || claimed.has(path.resolve(target))) {
+      conflict = 'A note with the same name is already there';
+    } else if (!exists(current)) {
+      conflict = 'The note is missing from the vault';
+    }
+    claimed.add(path.resolve(target));
+
+    moves.push({
+      meetingId: meeting.id,
+      title: meeting.title,
+      date: meeting.date,
+      from: meeting.obsidianLink,
+      to: toNoteLink(vaultRoot, target),
+      fromFolder: toNoteLink(vaultRoot, path.dirname(current)),
+      toFolder: toNoteLink(vaultRoot, folders[0]),
+      route: primary,
+      routedClientIds: decision.routedClientIds || [],
+      conflict,
+    });
+  }
+  return moves;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Point links at moved notes. Handles wiki links by vault path
+ * ([[clients/acme/x/note|Title]], as the series nav writes them) and
+ * markdown links to the vault path ([Note](clients/acme/x/note.md)).
+ * Links by bare note name still resolve in Obsidian after a move, so
+ * they're left alone.
+ * @param {string} content - Markdown
+ * @param {Array<{from: string, to: string}>} renames - Vault-relative note links
+ * @returns {{content: string, count: number}}
+ */
+function rewriteNoteLinks(content, renames) {
+  let count = 0;
+  let result = content;
+  for (const { from, to } of renames) {
+    const oldTarget = from.replace(/\.md$/, '');
+    const newTarget = to.replace(/\.md$/, '');
+    const wiki = new RegExp(`\\[\\[/?${escapeRegExp(oldTarget)}(\\.md)?(?=[\\]|#])`, 'g');
+    const markdown = new RegExp(`\\]\\(<?/?${escapeRegExp(oldTarget)}\\.md(?=[)#>])`, 'g');
+    result = result
+      .replace(wiki, (_match, ext) => {
+        count++;
+        return `[[${newTarget}${ext || ''}`;
+      })
+      .replace(markdown, match => {
+        count++;
+        return `](${match.includes('<') ? '<' : ''}${newTarget}.md`;
+      });
+  }
+  return { content: result, count };
+}
+
+module.exports = {
+  toNoteLink,
+  planRelocations,
+  rewriteNoteLinks,
+};
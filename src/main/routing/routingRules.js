@@ -0,0 +1,388 @@
+/**
+ * Routing rules - ordered, user-defined rules checked before the
+ * organization/contact routing in RoutingEngine.
+ *
+ * A rule matches on the meeting's title, platform, calendar event, attendees,
+ * attendee domains, tags and start time, and says where the notes go
+ * (destination), where extra copies go and which templates to run. Rules are
+ * checked in order and the first enabled rule that matches fires.
+ *
+ * Conditions are edited as a small line-based language, one per line:
+ *
+ *   title contains board          platform is youtube
+ *   title is "Weekly sync"        platform is not zoom
+ *   title starts with Acme        calendar linked | calendar not linked
+ *   title matches ^\[Board\]      calendar organizer ann@acme.com (or acme.com)
+ *   attendee ann@acme.com         calendar description contains Project Z
+ *   attendees internal only       domain any acme.com, globex.com
+ *   attendees external            domain all acme.com
+ *   attendees at least 5          domain none gmail.com
+ *   tag board | tag not personal  day mon, tue
+ *   time after 17:00              time before 09:30
+ *
+ * Stored in appSettings.routingRules as { rules, internalDomains }, with the
+ * conditions kept parsed ({ field, op, value }).
+ */
+
+const path = require('path');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// [pattern, build(match) → condition]. Tried in order; the first match wins.
+const GRAMMAR = [
+  [/^title\s+contains\s+(.+)$/i, m => ({ field: 'title', op: 'contains', value: unquote(m[1]) })],
+  [/^title\s+is\s+(.+)$/i, m => ({ field: 'title', op: 'is', value: unquote(m[1]) })],
+  [
+    /^title\s+starts\s+with\s+(.+)$/i,
+    m => ({ field: 'title', op: 'startsWith', value: unquote(m[1]) }),
+  ],
+  [/^title\s+matches\s+(.+)$/i, m => ({ field: 'title', op: 'matches', value: regex(m[1]) })],
+  [/^platform\s+is\s+not\s+(\S+)$/i, m => ({ field: 'platform', op: 'isNot', value: lower(m[1]) })],
+  [/^platform\s+is\s+(\S+)$/i, m => ({ field: 'platform', op: 'is', value: lower(m[1]) })],
+  [/^calendar\s+linked$/i, () => ({ field: 'calendar', op: 'linked', value: null })],
+  [/^calendar\s+not\s+linked$/i, () => ({ field: 'calendar', op: 'notLinked', value: null })],
+  [
+    /^calendar\s+organizer\s+(\S+)$/i,
+    m => ({ field: 'calendar', op: 'organizer', value: lower(m[1]).replace(/^@/, '') }),
+  ],
+  [
+    /^calendar\s+description\s+contains\s+(.+)$/i,
+    m => ({ field: 'calendar', op: 'descriptionContains', value: unquote(m[1]) }),
+  ],
+  [
+    /^attendees\s+internal(\s+only)?$/i,
+    () => ({ field: 'attendees', op: 'internalOnly', value: null }),
+  ],
+  [/^attendees\s+external$/i, () => ({ field: 'attendees', op: 'hasExternal', value: null })],
+  [
+    /^attendees\s+at\s+least\s+(\d+)$/i,
+    m => ({ field: 'attendees', op: 'atLeast', value: parseInt(m[1], 10) }),
+  ],
+  [/^attendee\s+(\S+@\S+)$/i, m => ({ field: 'attendees', op: 'includes', value: lower(m[1]) })],
+  [
+    /^domain\s+(any|all|none)\s+(.+)$/i,
+    m => ({ field: 'domain', op: lower(m[1]), value: domainList(m[2]) }),
+  ],
+  [/^tag\s+not\s+(.+)$/i, m => ({ field: 'tags', op: 'excludes', value: unquote(m[1]) })],
+  [/^tag\s+(.+)$/i, m => ({ field: 'tags', op: 'includes', value: unquote(m[1]) })],
+  [/^days?\s+(.+)$/i, m => ({ field: 'time', op: 'days', value: dayList(m[1]) })],
+  [
+    /^time\s+(after|before)\s+(\d{1,2}:\d{2})$/i,
+    m => ({ field: 'time', op: lower(m[1]), value: clock(m[2]) }),
+  ],
+];
+
+function lower(text) {
+  return text.trim().toLowerCase();
+}
+
+function unquote(text) {
+  const trimmed = text.trim();
+  const quoted = trimmed.match(/^"(.*)"$/) || trimmed.match(/^'(.*)'$/);
+  return quoted ? quoted[1] : trimmed;
+}
+
+function regex(text) {
+  const pattern = unquote(text);
+  new RegExp(pattern, 'i'); // Throws on a bad pattern, reported as a parse error
+  return pattern;
+}
+
+function domainList(text) {
+  const domains = text
+    .split(',')
+    .map(d => lower(d).replace(/^@/, ''))
+    .filter(Boolean);
+  if (domains.length === 0) throw new Error('needs at least one domain');
+  return domains;
+}
+
+function dayList(text) {
+  const days = text.split(',').map(d => lower(d).slice(0, 3));
+  const unknown = days.filter(d => !DAYS.includes(d));
+  if (unknown.length > 0) throw new Error(`unknown day "${unknown[0]}" (use mon, tue, ...)`);
+  return days;
+}
+
+function clock(text) {
+  const [hours, minutes] = text.split(':').map(Number);
+  if (hours > 23 || minutes > 59) throw new Error(`"${text}" is not a time of day`);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Parse one condition line.
+ * @param {string} line
+ * @returns {{field: string, op: string, value: *}}
+ * @throws {Error} If the line isn't a condition
+ */
+function parseCondition(line) {
+  const text = line.trim();
+  for (const [pattern, build] of GRAMMAR) {
+    const match = text.match(pattern);
+    if (match) return build(match);
+  }
+  throw new Error('not a condition this version understands');
+}
+
+/**
+ * Parse a rule's conditions, one per line. Blank lines and lines starting
+ * with # are skipped.
+ * @param {string} text
+ * @returns {{conditions: Array<Object>, errors: Array<{line: number, message: string}>}}
+ */
+function parseConditions(text) {
+  const conditions = [];
+  const errors = [];
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      try {
+        conditions.push(parseCondition(line));
+      } catch (error) {
+        errors.push({ line: index + 1, message: `"${line.trim()}": ${error.message}` });
+      }
+    });
+  return { conditions, errors };
+}
+
+/**
+ * A condition as a line of the rule language (parseCondition's inverse).
+ * @param {{field: string, op: string, value: *}} condition
+ * @returns {string}
+ */
+function formatCondition({ field, op, value }) {
+  const list = values => values.join(', ');
+  switch (`${field}.${op}`) {
+    case 'title.contains':
+      return `title contains ${value}`;
+    case 'title.is':
+      return `title is "${value}"`;
+    case 'title.startsWith':
+      return `title starts with ${value}`;
+    case 'title.matches':
+      return `title matches ${value}`;
+    case 'platform.is':
+      return `platform is ${value}`;
+    case 'platform.isNot':
+      return `platform is not ${value}`;
+    case 'calendar.linked':
+      return 'calendar linked';
+    case 'calendar.notLinked':
+      return 'calendar not linked';
+    case 'calendar.organizer':
+      return `calendar organizer ${value}`;
+    case 'calendar.descriptionContains':
+      return `calendar description contains ${value}`;
+    case 'attendees.internalOnly':
+      return 'attendees internal only';
+    case 'attendees.hasExternal':
+      return 'attendees external';
+    case 'attendees.atLeast':
+      return `attendees at least ${value}`;
+    case 'attendees.includes':
+      return `attendee ${value}`;
+    case 'domain.any':
+    case 'domain.all':
+    case 'domain.none':
+      return `domain ${op} ${list(value)}`;
+    case 'tags.includes':
+      return `tag ${value}`;
+    case 'tags.excludes':
+      return `tag not ${value}`;
+    case 'time.days':
+      return `day ${list(value)}`;
+    default:
+      return `${field} ${op} ${value}`; // time after / before
+  }
+}
+
+const domainOf = email => String(email).split('@')[1]?.toLowerCase() || null;
+
+/**
+ * What rules can see of a meeting.
+ * @param {Object} meetingData - As passed to RoutingEngine.route
+ * @param {string[]} [internalDomains] - The user's own email domains
+ * @returns {Object}
+ */
+function buildRuleContext(meetingData, internalDomains = []) {
+  const {
+    participantEmails = [],
+    participants = [],
+    meetingTitle = '',
+    meetingDate,
+    platform = null,
+    tags = [],
+    calendarEventId = null,
+    calendarDescription = null,
+    calendarAttendees = [],
+  } = meetingData;
+
+  const emails = [
+    ...new Set(
+      [
+        ...participantEmails,
+        ...participants.map(p => p.email),
+        ...calendarAttendees.map(a => a.email),
+      ]
+        .filter(Boolean)
+        .map(email => String(email).toLowerCase())
+    ),
+  ];
+  const organizer = calendarAttendees.find(a => a.isOrganizer);
+
+  return {
+    title: meetingTitle || '',
+    platform: platform ? String(platform).toLowerCase() : null,
+    tags: tags.map(tag => String(tag).toLowerCase()),
+    calendarLinked: !!calendarEventId,
+    calendarDescription: calendarDescription || '',
+    organizerEmail: organizer?.email ? organizer.email.toLowerCase() : null,
+    emails,
+    domains: [...new Set(emails.map(domainOf).filter(Boolean))],
+    internalDomains: internalDomains.map(lower),
+    start: meetingDate ? new Date(meetingDate) : null,
+  };
+}
+
+const includesText = (haystack, needle) => haystack.toLowerCase().includes(needle.toLowerCase());
+
+/**
+ * Whether a condition holds for a meeting.
+ * @param {{field: string, op: string, value: *}} condition
+ * @param {Object} context - From buildRuleContext
+ * @returns {boolean}
+ */
+function evaluateCondition({ field, op, value }, context) {
+  const { title, domains, internalDomains, start } = context;
+  const isInternal = domain => internalDomains.includes(domain);
+
+  switch (`${field}.${op}`) {
+    case 'title.contains':
+      return includesText(title, value);
+    case 'title.is':
+      return title.trim().toLowerCase() === value.trim().toLowerCase();
+    case 'title.startsWith':
+      return title.trim().toLowerCase().startsWith(value.toLowerCase());
+    case 'title.matches':
+      return new RegExp(value, 'i').test(title);
+    case 'platform.is':
+      return context.platform === value;
+    case 'platform.isNot':
+      return context.platform !== value;
+    case 'calendar.linked':
+      return context.calendarLinked;
+    case 'calendar.notLinked':
+      return !context.calendarLinked;
+    case 'calendar.organizer':
+      if (!context.organizerEmail) return false;
+      return value.includes('@')
+        ? context.organizerEmail === value
+        : domainOf(context.organizerEmail) === value;
+    case 'calendar.descriptionContains':
+      return includesText(context.calendarDescription, value);
+    case 'attendees.includes':
+      return context.emails.includes(value);
+    case 'attendees.internalOnly':
+      return domains.length > 0 && internalDomains.length > 0 && domains.every(isInternal);
+    case 'attendees.hasExternal':
+      return internalDomains.length > 0 && domains.some(d => !isInternal(d));
+    case 'attendees.atLeast':
+      return context.emails.length >= value;
+    case 'domain.any':
+      return domains.some(d => value.includes(d));
+    case 'domain.all':
+      return domains.length > 0 && domains.every(d => value.includes(d));
+    case 'domain.none':
+      return !domains.some(d => value.includes(d));
+    case 'tags.includes':
+      return context.tags.includes(value.toLowerCase());
+    case 'tags.excludes':
+      return !context.tags.includes(value.toLowerCase());
+    case 'time.days':
+      return !!start && value.includes(DAYS[start.getDay()]);
+    case 'time.after':
+    case 'time.before': {
+      if (!start) return false;
+      const minutes = start.getHours() * 60 + start.getMinutes();
+      const [hours, mins] = value.split(':').map(Number);
+      return op === 'after' ? minutes >= hours * 60 + mins : minutes < hours * 60 + mins;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * The first enabled rule that matches, with the conditions that held.
+ * A rule with no conditions never matches.
+ * @param {Array<Object>} rules
+ * @param {Object} context - From buildRuleContext
+ * @returns {{rule: Object, matched: string[]}|null}
+ */
+function findMatchingRule(rules, context) {
+  for (const rule of rules || []) {
+    if (rule.enabled === false || !rule.conditions || rule.conditions.length === 0) continue;
+    const held = rule.conditions.filter(condition => {
+      try {
+        return evaluateCondition(condition, context);
+      } catch {
+        return false; // e.g. a pattern that no longer compiles
+      }
+    });
+    const fires = rule.match === 'any' ? held.length > 0 : held.length === rule.conditions.length;
+    if (fires) return { rule, matched: held.map(formatCondition) };
+  }
+  return null;
+}
+
+/**
+ * Why a rule's destination or copy folder can't be used, or null if it can.
+ * @param {string} folder
+ * @returns {string|null}
+ */
+function folderError(folder) {
+  const trimmed = String(folder || '').trim();
+  if (!trimmed) return 'is empty';
+  if (!path.isAbsolute(trimmed) && trimmed.split(/[\\/]/).includes('..')) {
+    return 'must stay inside the vault (no "..")';
+  }
+  return null;
+}
+
+/**
+ * A route to a rule's destination or copy folder. Relative folders are
+ * vault-relative (like _unfiled), absolute ones are used as they are (like
+ * client vault paths).
+ * @param {string} folder
+ * @param {{folderName: string, dateStr: string, titleSlug: string}} naming
+ * @param {{id: string, name: string}} rule
+ * @param {boolean} copy
+ * @returns {Object}
+ */
+function buildRuleRoute(folder, naming, rule, copy = false) {
+  const basePath = path.normalize(folder.trim());
+  return {
+    type: 'rule',
+    slug: null,
+    basePath,
+    fullPath: path.join(basePath, naming.folderName),
+    isAbsolutePath: path.isAbsolute(basePath),
+    ...naming,
+    organizationName: rule.name,
+    copy,
+  };
+}
+
+module.exports = {
+  DAYS,
+  parseCondition,
+  parseConditions,
+  formatCondition,
+  buildRuleContext,
+  evaluateCondition,
+  findMatchingRule,
+  folderError,
+  buildRuleRoute,
+};
@@ -0,0 +1,399 @@
+/**
+ * Action Items (schema v9)
+ *
+ * Structured extraction pass that runs after the meeting summary: one LLM call
+ * over a numbered transcript returns JSON items, which are validated in code
+ * (owner resolved against the meeting roster, due date must be ISO, source
+ * utterance must exist) and stored in `action_items`.
+ *
+ * Items point back to the transcript by entry_order (`source_entry_order`):
+ * transcript_entries rows are rewritten on every save, so their row ids are
+ * not stable, but the utterance index is — and it's what the meeting view
+ * uses to jump to an utterance.
+ */
+
+const { NOT_TRASHED } = require('./meetingTrash');
+
+const ACTION_ITEM_STATUSES = ['open', 'done', 'dismissed'];
+
+const ACTION_ITEMS_SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS action_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    description TEXT NOT NULL,
+    owner_email TEXT,
+    owner_name TEXT,
+    due_date TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    source_entry_order INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_action_items_meeting ON action_items(meeting_id);
+  CREATE INDEX IF NOT EXISTS idx_action_items_status ON action_items(status);
+  CREATE INDEX IF NOT EXISTS idx_action_items_owner ON action_items(owner_email);
+`;
+
+/**
+ * Create the action_items table (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createActionItemsTable(db) {
+  db.exec(ACTION_ITEMS_SCHEMA_SQL);
+}
+
+/**
+ * Whether the database has the v9 action_items table (the read-only MCP
+ * server can't create it).
+ * @param {import('better-sqlite3').Database} db
+ * @returns {boolean}
+ */
+function hasActionItemsTable(db) {
+  return !!db
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'action_items'")
+    .get();
+}
+
+// ======================================================================
+// Extraction
+// ======================================================================
+
+/**
+ * People an item can be assigned to: meeting participants, mapped speakers
+ * and the app user. De-duplicated by email, then by name.
+ * @param {Object} meeting - Meeting object (participants, transcript)
+ * @param {{name?: string, email?: string}} [user]
+ * @returns {Array<{name: string, email: string|null}>}
+ */
+function buildRoster(meeting, user) {
+  const roster = [];
+  const seen = new Set();
+  const add = (name, email) => {
+    if (!name && !email) return;
+    const key = (email || name).toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    roster.push({ name: name || email, email: email || null });
+  };
+  for (const p of meeting.participants || []) add(p.name, p.email);
+  for (const e of meeting.transcript || []) add(e.speakerName, e.speakerEmail);
+  if (user) add(user.name, user.email);
+  return roster;
+}
+
+/**
+ * Transcript with each utterance prefixed by its index, so the model can cite
+ * the source utterance.
+ * @param {Array<Object>} transcript
+ * @returns {string}
+ */
+function formatNumberedTranscript(transcript) {
+  return (transcript || [])
+    .map(
+      (entry, i) =>
+        `[${i}] ${entry.speakerName || entry.speakerDisplayName || entry.speaker || 'Unknown'}: ${entry.text}`
+    )
+    .join('\n');
+}
+
+/**
+ * Prompts for the extraction call. The numbered transcript rides in
+ * cacheableContext.
+ * @param {{title: string, date: string}} meeting
+ * @param {Array<{name: string, email: string|null}>} roster
+ * @returns {{systemPrompt: string, userPrompt: string}}
+ */
+function buildExtractionPrompts(meeting, roster) {
+  const rosterLines = roster.map(p => `- ${p.name}${p.email ? ` <${p.email}>` : ''}`).join('\n');
+  const systemPrompt =
+    'You extract action items from meeting transcripts. An action item is a concrete task someone ' +
+    'committed to or was asked to do. Skip general discussion, ideas without an owner, and things ' +
+    'already completed during the meeting. Each utterance is prefixed with its index in [brackets]. ' +
+    'Respond with ONLY a JSON array: ' +
+    '[{"description":"...","owner":"name or email from the roster, or null","due":"YYYY-MM-DD or null","source":<utterance index>}]';
+  const userPrompt =
+    `Meeting: "${meeting.title}" on ${String(meeting.date || '').slice(0, 10)}\n\n` +
+    `Roster:\n${rosterLines || '(none)'}\n\n` +
+    'Resolve relative due dates ("by Friday") against the meeting date; use null when no date was given. ' +
+    'Use [] when there are no action items. Return the JSON now.';
+  return { systemPrompt, userPrompt };
+}
+
+function resolveOwner(owner, roster) {
+  if (typeof owner !== 'string' || !owner.trim()) return { ownerName: null, ownerEmail: null };
+  const value = owner.trim().replace(/^.*<([^>]+)>\s*$/, '$1');
+  const lower = value.toLowerCase();
+  const match =
+    roster.find(p => p.email && p.email.toLowerCase() === lower) ||
+    roster.find(p => p.name && p.name.toLowerCase() === lower) ||
+    // "Dana" for "Dana Lee" — only when exactly one roster name starts with it
+    (() => {
+      const candidates = roster.filter(
+        p => p.name && p.name.toLowerCase().split(/\s+/)[0] === lower
+      );
+      return candidates.length === 1 ? candidates[0] : null;
+    })();
+  if (match) return { ownerName: match.name, ownerEmail: match.email };
+  return { ownerName: owner.trim(), ownerEmail: /^[^\s@]+@[^\s@]+$/.test(value) ? value : null };
+}
+
+/**
+ * Validate the model output. Everything is checked in code: unusable items
+ * are dropped, bad dates/indices are nulled rather than trusted.
+ * @param {string} text - Raw model output
+ * @param {{roster: Array<Object>, transcriptLength: number}} context
+ * @returns {Array<{description: string, ownerName: string|null, ownerEmail: string|null,
+ *   dueDate: string|null, sourceEntryOrder: number|null}>|null} null when unparseable
+ */
+function parseExtractionResponse(text, { roster, transcriptLength }) {
+  if (!text) return null;
+  const match = text.match(/\[[\s\S]*\]/);
+  if (!match) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed)) return null;
+
+  const items = [];
+  const seen = new Set();
+  for (const raw of parsed) {
+    if (!raw || typeof raw !== 'object' || typeof raw.description !== 'string') continue;
+    const description = raw.description.replace(/\s+/g, ' ').trim();
+    if (!description || seen.has(description.toLowerCase())) continue;
+    seen.add(description.toLowerCase());
+
+    const source = Number(raw.source);
+    items.push({
+      description,
+      ...resolveOwner(raw.owner, roster),
+      dueDate:
+        typeof raw.due === 'string' &&
+        /^\d{4}-\d{2}-\d{2}$/.test(raw.due) &&
+        !isNaN(Date.parse(raw.due))
+          ? raw.due
+          : null,
+      sourceEntryOrder:
+        Number.isInteger(source) && source >= 0 && source < transcriptLength ? source : null,
+    });
+  }
+  return items;
+}
+
+/**
+ * Run the extraction call for one meeting.
+ * @param {{generateCompletion: Function, log?: Function}} deps
+ * @param {Object} meeting - Meeting object with transcript and participants
+ * @param {{name?: string, email?: string}} [user] - App user (may own items)
+ * @returns {Promise<Array<Object>|null>} Parsed items, or null when the response was unusable
+ */
+async function extractActionItems(deps, meeting, user) {
+  const transcript = meeting.transcript || [];
+  if (transcript.length === 0) return [];
+
+  const roster = buildRoster(meeting, user);
+  const { systemPrompt, userPrompt } = buildExtractionPrompts(meeting, roster);
+  const result = await deps.generateCompletion({
+    systemPrompt,
+    userPrompt,
+    cacheableContext: formatNumberedTranscript(transcript),
+    maxTokens: 2000,
+    temperature: 0.2,
+  });
+  const items = parseExtractionResponse(result?.content, {
+    roster,
+    transcriptLength: transcript.length,
+  });
+  if (!items && deps.log)
+    deps.log('[ActionItems] Unparseable LLM response — keeping existing items');
+  return items;
+}
+
+// ======================================================================
+// Storage
+// ======================================================================
+
+/**
+ * Replace a meeting's extracted items, keeping the id and status of items
+ * whose description is unchanged (so re-running the summary doesn't reopen
+ * items the user already closed). Closed items that are no longer extracted
+ * are kept; open ones are dropped.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {Array<Object>} items - Output of parseExtractionResponse
+ * @returns {{added: number, updated: number, removed: number}}
+ */
+function saveExtractedItems(db, meetingId, items) {
+  return db.transaction(() => {
+    const existing = db
+      .prepare('SELECT id, description, status FROM action_items WHERE meeting_id = ?')
+      .all(meetingId);
+    const byDescription = new Map(existing.map(row => [row.description.toLowerCase(), row]));
+    const kept = new Set();
+    const counts = { added: 0, updated: 0, removed: 0 };
+
+    const update = db.prepare(
+      `UPDATE action_items SET owner_email = @ownerEmail, owner_name = @ownerName, due_date = @dueDate,
+         source_entry_order = @sourceEntryOrder, updated_at = datetime('now')
+       WHERE id = @id`
+    );
+    const insert = db.prepare(
+      `INSERT INTO action_items (meeting_id, description, owner_email, owner_name, due_date, source_entry_order)
+       VALUES (@meetingId, @description, @ownerEmail, @ownerName, @dueDate, @sourceEntryOrder)`
+    );
+
+    for (const item of items) {
+      const row = byDescription.get(item.description.toLowerCase());
+      if (row) {
+        update.run({ ...item, id: row.id });
+        kept.add(row.id);
+        counts.updated++;
+      } else {
+        insert.run({ ...item, meetingId });
+        counts.added++;
+      }
+    }
+
+    const remove = db.prepare('DELETE FROM action_items WHERE id = ?');
+    for (const row of existing) {
+      if (!kept.has(row.id) && row.status === 'open') {
+        remove.run(row.id);
+        counts.removed++;
+      }
+    }
+    return counts;
+  })();
+}
+
+/**
+ * List action items across meetings, newest meeting first, with the meeting
+ * and the source utterance attached.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} [filters]
+ * @param {string} [filters.status='open'] - 'open' | 'done' | 'dismissed' | 'all'
+ * @param {string} [filters.owner] - Owner email or name (substring, case-insensitive)
+ * @param {string} [filters.company] - Organization of any meeting participant (substring)
+ * @param {string} [filters.meetingId]
+ * @param {number} [filters.limit=500]
+ * @returns {Array<Object>}
+ */
+function listActionItems(db, filters = {}) {
+  const where = [`m.${NOT_TRASHED}`];
+  const params = { limit: filters.limit || 500 };
+  const status = filters.status || 'open';
+  if (status !== 'all') {
+    where.push('a.status = @status');
+    params.status = status;
+  }
+  if (filters.owner) {
+    where.push('(a.owner_email LIKE @owner OR a.owner_name LIKE @owner)');
+    params.owner = `%${filters.owner}%`;
+  }
+  if (filters.company) {
+    where.push(
+      'EXISTS (SELECT 1 FROM participants p WHERE p.meeting_id = a.meeting_id AND p.organization LIKE @company)'
+    );
+    params.company = `%${filters.company}%`;
+  }
+  if (filters.meetingId) {
+    where.push('a.meeting_id = @meetingId');
+    params.meetingId = filters.meetingId;
+  }
+
+  return db
+    .prepare(
+      `SELECT a.*, m.title AS meeting_title, m.date AS meeting_date,
+         t.text AS source_text, t.timestamp AS source_timestamp,
+         COALESCE(t.speaker_name, t.speaker_display_name, t.speaker) AS source_speaker
+       FROM action_items a
+       JOIN meetings m ON m.id = a.meeting_id
+       LEFT JOIN transcript_entries t
+         ON t.meeting_id = a.meeting_id AND t.entry_order = a.source_entry_order
+       WHERE ${where.join(' AND ')}
+       ORDER BY m.date DESC, a.id
+       LIMIT @limit`
+    )
+    .all(params)
+    .map(row => ({
+      id: row.id,
+      meetingId: row.meeting_id,
+      meetingTitle: row.meeting_title,
+      meetingDate: row.meeting_date,
+      description: row.description,
+      ownerEmail: row.owner_email,
+      ownerName: row.owner_name,
+      dueDate: row.due_date,
+      status: row.status,
+      sourceEntryOrder: row.source_entry_order,
+      sourceSpeaker: row.source_speaker,
+      sourceText: row.source_text,
+      sourceTimestamp: row.source_timestamp,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }));
+}
+
+/**
+ * Owners and companies that have items with the given status, for filter
+ * dropdowns.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} [status='open']
+ * @returns {{owners: Array<{email: string|null, name: string|null}>, companies: string[]}}
+ */
+function getActionItemFacets(db, status = 'open') {
+  const statusFilter =
+    `JOIN meetings m ON m.id = a.meeting_id WHERE m.${NOT_TRASHED}` +
+    (status === 'all' ? '' : ' AND a.status = @status');
+  const owners = db
+    .prepare(
+      `SELECT a.owner_email AS email, MAX(a.owner_name) AS name FROM action_items a ${statusFilter}
+       GROUP BY COALESCE(a.owner_email, a.owner_name) HAVING email IS NOT NULL OR name IS NOT NULL
+       ORDER BY LOWER(COALESCE(name, email))`
+    )
+    .all({ status });
+  const companies = db
+    .prepare(
+      `SELECT DISTINCT p.organization FROM action_items a
+       JOIN participants p ON p.meeting_id = a.meeting_id
+       ${statusFilter} AND p.organization IS NOT NULL AND p.organization != ''
+       ORDER BY p.organization`
+    )
+    .all({ status })
+    .map(r => r.organization);
+  return { owners, companies };
+}
+
+/**
+ * Set an item's status.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} id
+ * @param {string} status - One of ACTION_ITEM_STATUSES
+ * @returns {boolean} Whether the item exists
+ */
+function updateActionItemStatus(db, id, status) {
+  if (!ACTION_ITEM_STATUSES.includes(status))
+    throw new Error(`Invalid action item status: ${status}`);
+  const { changes } = db
+    .prepare("UPDATE action_items SET status = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(status, id);
+  return changes > 0;
+}
+
+module.exports = {
+  ACTION_ITEM_STATUSES,
+  ACTION_ITEMS_SCHEMA_SQL,
+  createActionItemsTable,
+  hasActionItemsTable,
+  buildRoster,
+  formatNumberedTranscript,
+  buildExtractionPrompts,
+  parseExtractionResponse,
+  extractActionItems,
+  saveExtractedItems,
+  listActionItems,
+  getActionItemFacets,
+  updateActionItemStatus,
+};
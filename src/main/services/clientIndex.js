@@ -0,0 +1,276 @@
+/**
+ * Client Index Notes
+ *
+ * Each client with a vault folder gets an `_index.md` hub page there: every
+ * meeting routed to the client (date, attendees, a one-line summary and its
+ * open action items) under a "relationship summary" the LLM writes from the
+ * most recent meeting summaries.
+ *
+ * The index is rewritten whenever a meeting for the client is exported. The
+ * relationship summary is only regenerated when the recent meetings it was
+ * written from change — the note records a hash of them (`summary_basis`) —
+ * so most refreshes don't call the LLM.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const INDEX_FILENAME = '_index.md';
+const RECENT_MEETINGS = 8; // Summaries the relationship summary is written from
+const SUMMARY_LINE_LENGTH = 160;
+const MAX_SUMMARY_CHARS = 4000; // Per meeting, in the relationship prompt
+
+const summaryText = meeting =>
+  meeting.summaries?.length
+    ? meeting.summaries.map(s => s.content || '').join('\n\n')
+    : meeting.summary || '';
+
+/**
+ * The first line of a meeting's summary that says something, as plain text.
+ * @param {Object} meeting
+ * @returns {string}
+ */
+function oneLineSummary(meeting) {
+  for (const raw of summaryText(meeting).split('\n')) {
+    // Headings and rules say nothing
+    if (/^\s*#/.test(raw) || /^\s*([-=_*]\s*){3,}$/.test(raw)) continue;
+    const line = raw
+      .replace(/^\s*([-*+]|\d+\.|>)\s*/, '')
+      .replace(/\*\*|__|`/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .trim();
+    // Neither do labels ("Key points:")
+    if (!line || (line.endsWith(':') && line.length < 40)) continue;
+    if (line.length <= SUMMARY_LINE_LENGTH) return line;
+    return `${line.slice(0, SUMMARY_LINE_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+  }
+  return '';
+}
+
+const isInside = (folder, file) => {
+  const relative = path.relative(folder, file);
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Meetings that belong on a client's index, newest first: those routed to the
+ * client and those whose note lives in its folder.
+ * @param {Array<Object>} meetings
+ * @param {{id: string, vault_path: string}} client
+ * @param {string} vaultRoot
+ * @returns {Array<Object>}
+ */
+function meetingsForClient(meetings, client, vaultRoot) {
+  const folder = path.resolve(vaultRoot, client.vault_path);
+  return meetings
+    .filter(
+      m =>
+        m.routedClients?.includes(client.id) ||
+        (m.obsidianLink && isInside(folder, path.resolve(vaultRoot, m.obsidianLink)))
+    )
+    .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+}
+
+/**
+ * Link from the index to a meeting's note: relative for notes in the client
+ * folder, a vault-path wiki link otherwise.
+ */
+function noteLink(meeting, folder, vaultRoot) {
+  if (!meeting.obsidianLink) return null;
+  const note = path.resolve(vaultRoot, meeting.obsidianLink);
+  if (isInside(folder, note)) {
+    const relative = path.relative(folder, note).replace(/\\/g, '/');
+    return `[${meeting.title || 'Untitled'}](<./${relative}>)`;
+  }
+  if (path.isAbsolute(meeting.obsidianLink)) return null;
+  return `[[${meeting.obsidianLink.replace(/\.md$/, '')}|${meeting.title || 'Untitled'}]]`;
+}
+
+/**
+ * What the index note shows.
+ * @param {Object} params
+ * @param {Object} params.client - clients row
+ * @param {Array<Object>} params.meetings - From meetingsForClient
+ * @param {Array<Object>} params.actionItems - Open items (databaseService.listActionItems)
+ * @param {string} params.vaultRoot
+ * @param {{basis: string, text: string}|null} [params.relationship]
+ * @returns {Object} indexData for VaultStructure.saveClientIndex
+ */
+function buildClientIndexData({ client, meetings, actionItems, vaultRoot, relationship = null }) {
+  const folder = path.resolve(vaultRoot, client.vault_path);
+  const itemsByMeeting = new Map();
+  for (const item of actionItems) {
+    if (!itemsByMeeting.has(item.meetingId)) itemsByMeeting.set(item.meetingId, []);
+    itemsByMeeting.get(item.meetingId).push({
+      description: item.description,
+      owner: item.ownerName || item.ownerEmail || null,
+      due: item.dueDate || null,
+    });
+  }
+
+  return {
+    clientId: client.id,
+    clientName: client.name,
+    relationship,
+    meetings: meetings.map(meeting => ({
+      id: meeting.id,
+      title: meeting.title || 'Untitled',
+      date: meeting.date ? String(meeting.date).slice(0, 10) : '',
+      link: noteLink(meeting, folder, vaultRoot),
+      attendees: [
+        ...new Set((meeting.participants || []).map(p => p.name || p.email).filter(Boolean)),
+      ],
+      summary: oneLineSummary(meeting),
+      openItems: itemsByMeeting.get(meeting.id) || [],
+    })),
+  };
+}
+
+/**
+ * The meetings a relationship summary is written from, and a hash of them:
+ * a different hash means the summary is out of date.
+ * @param {Array<Object>} meetings - Newest first
+ * @returns {{recent: Array<Object>, basis: string}}
+ */
+function relationshipBasis(meetings) {
+  const recent = meetings.filter(m => summaryText(m).trim()).slice(0, RECENT_MEETINGS);
+  const hash = crypto.createHash('sha1');
+  for (const meeting of recent) hash.update(`${meeting.id}\n${summaryText(meeting)}\n`);
+  return { recent, basis: recent.length ? hash.digest('hex').slice(0, 16) : '' };
+}
+
+/**
+ * Prompts for the relationship summary.
+ * @param {{name: string}} client
+ * @param {Array<Object>} recent - Newest first
+ * @returns {{systemPrompt: string, userPrompt: string}}
+ */
+function buildRelationshipPrompts(client, recent) {
+  const systemPrompt =
+    "You write the relationship summary at the top of a client hub page in a consultant's " +
+    'notes. From the meeting summaries given, describe in one or two short paragraphs where ' +
+    'things stand with the client: what the work is about, recent decisions, open threads and ' +
+    'what comes next. Be concrete and brief. Respond with the summary only, in Markdown, no heading.';
+  const meetings = [...recent]
+    .reverse()
+    .map(
+      m =>
+        `## ${String(m.date || '').slice(0, 10)} — ${m.title || 'Untitled'}\n` +
+        summaryText(m).slice(0, MAX_SUMMARY_CHARS)
+    )
+    .join('\n\n');
+  const userPrompt = `Client: ${client.name}\n\nRecent meetings, oldest first:\n\n${meetings}`;
+  return { systemPrompt, userPrompt };
+}
+
+/**
+ * The relationship summary for a client: the one already in its index when
+ * the recent meetings haven't changed, otherwise a new one from the LLM.
+ * @param {Object} deps
+ * @param {Function} deps.generateCompletion - llmService.generateCompletion
+ * @param {Object} client
+ * @param {Array<Object>} meetings - From meetingsForClient
+ * @param {{basis: string, text: string}|null} previous - From readRelationshipSummary
+ * @returns {Promise<{basis: string, text: string}|null>} Null when there is nothing to summarize
+ * @throws {Error} If the LLM call fails
+ */
+async function summarizeRelationship(deps, client, meetings, previous) {
+  const { recent, basis } = relationshipBasis(meetings);
+  if (!basis) return null;
+  if (previous?.basis === basis && previous.text) return previous;
+
+  const { systemPrompt, userPrompt } = buildRelationshipPrompts(client, recent);
+  const result = await deps.generateCompletion({
+    systemPrompt,
+    userPrompt,
+    maxTokens: 600,
+    temperature: 0.3,
+  });
+  // Headings would end the section when the note is read back
+  const text = (result?.content || '').replace(/^#{1,2} /gm, '### ').trim();
+  if (!text) throw new Error('The LLM returned no summary');
+  return { basis, text };
+}
+
+const RELATIONSHIP_HEADING = '## Relationship Summary';
+
+/**
+ * The relationship summary in an existing index note, to reuse or to keep
+ * when a new one can't be written.
+ * @param {string|null} content
+ * @returns {{basis: string, text: string}|null}
+ */
+function readRelationshipSummary(content) {
+  if (!content) return null;
+  const basis = content.match(/^summary_basis:\s*"?([0-9a-f]*)"?\s*$/m)?.[1];
+  const start = content.indexOf(`\n${RELATIONSHIP_HEADING}\n`);
+  if (!basis || start < 0) return null;
+  const rest = content.slice(start + RELATIONSHIP_HEADING.length + 2);
+  const end = rest.search(/\n## /);
+  const text = (end < 0 ? rest : rest.slice(0, end)).trim();
+  return text ? { basis, text } : null;
+}
+
+/**
+ * Render the index note.
+ * @param {Object} indexData - From buildClientIndexData
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function generateClientIndexMarkdown(indexData, now = new Date()) {
+  const { clientId, clientName, relationship, meetings } = indexData;
+  const openCount = meetings.reduce((n, m) => n + m.openItems.length, 0);
+  const escapeCell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+  let markdown = `---\ntype: client-index\nclient: "${clientName.replace(/"/g, '\\"')}"\n`;
+  markdown += `client_id: "${clientId}"\nmeeting_count: ${meetings.length}\n`;
+  markdown += `open_action_items: ${openCount}\n`;
+  if (relationship) markdown += `summary_basis: "${relationship.basis}"\n`;
+  markdown += `updated: ${now.toISOString()}\ntags: [client-index]\n---\n\n`;
+  markdown += `# ${clientName}\n\n`;
+  markdown += `*${meetings.length} meeting${meetings.length === 1 ? '' : 's'}, `;
+  markdown += `${openCount} open action item${openCount === 1 ? '' : 's'}. `;
+  markdown += 'This page is regenerated by jd-notes-things; edits to it are overwritten.*\n\n';
+
+  markdown += `${RELATIONSHIP_HEADING}\n\n`;
+  markdown += `${relationship?.text || '*No meeting summaries yet*'}\n\n`;
+
+  markdown += '## Meetings\n\n';
+  if (meetings.length === 0) {
+    markdown += '*No meetings yet*\n\n';
+  } else {
+    markdown +=
+      '| Date | Meeting | Attendees | Summary |\n|------|---------|-----------|---------|\n';
+    for (const m of meetings) {
+      const cells = [m.date, m.link || m.title, m.attendees.join(', '), m.summary];
+      markdown += `| ${cells.map(escapeCell).join(' | ')} |\n`;
+    }
+    markdown += '\n';
+  }
+
+  markdown += '## Open Action Items\n\n';
+  const withItems = meetings.filter(m => m.openItems.length > 0);
+  if (withItems.length === 0) markdown += '*None*\n';
+  for (const m of withItems) {
+    markdown += `### ${m.date} ${m.link || m.title}\n\n`;
+    for (const item of m.openItems) {
+      const details = [item.owner, item.due && `due ${item.due}`].filter(Boolean).join(', ');
+      markdown += `- [ ] ${item.description}${details ? ` (${details})` : ''}\n`;
+    }
+    markdown += '\n';
+  }
+
+  return markdown;
+}
+
+module.exports = {
+  INDEX_FILENAME,
+  oneLineSummary,
+  meetingsForClient,
+  buildClientIndexData,
+  relationshipBasis,
+  buildRelationshipPrompts,
+  summarizeRelationship,
+  readRelationshipSummary,
+  generateClientIndexMarkdown,
+};
@@ -17,8 +17,23 @@ const fs = require('fs');
 const { app } = require('electron');
 const log = require('electron-log');
 const { mergeSpeakerMappingExtras } = require('./speakerMappingExtras');
-
-const CURRENT_SCHEMA_VERSION = 5;
+const { createSearchIndex, rebuildSearchIndex, searchFullText } = require('./fullTextSearch');
+const semanticSearch = require('./semanticSearch');
+const { createAuditLog, getAuditEntriesSince, getLatestAuditId } = require('./meetingWrites');
+const actionItems = require('./actionItems');
+const meetingSeries = require('./meetingSeries');
+const meetingRevisions = require('./meetingRevisions');
+const meetingTrash = require('./meetingTrash');
+const meetingFields = require('./meetingFields');
+const meetingBundle = require('./meetingBundle');
+const importLedger = require('./importLedger');
+const meetingDuplicates = require('./meetingDuplicates');
+const vaultSync = require('./vaultSync');
+const llmUsage = require('./llmUsage');
+const summaryCache = require('./summaryCache');
+const { listStructuredData } = require('./structuredOutput');
+
+const CURRENT_SCHEMA_VERSION = 18;
 
 class DatabaseService {
   constructor() {
@@ -99,6 +114,7 @@ class DatabaseService {
         summaries TEXT,
         extra_fields TEXT,
         routed_clients TEXT,
+        series_id TEXT,
         created_at TEXT DEFAULT (datetime('now')),
         updated_at TEXT DEFAULT (datetime('now'))
       );
@@ -160,6 +176,7 @@ class DatabaseService {
       CREATE INDEX IF NOT EXISTS idx_meetings_date ON meetings(date);
       CREATE INDEX IF NOT EXISTS idx_meetings_status ON meetings(status);
       CREATE INDEX IF NOT EXISTS idx_meetings_calendar_event ON meetings(calendar_event_id);
+      CREATE INDEX IF NOT EXISTS idx_meetings_series ON meetings(series_id);
       CREATE INDEX IF NOT EXISTS idx_participants_email ON participants(email);
       CREATE INDEX IF NOT EXISTS idx_participants_meeting ON participants(meeting_id);
       CREATE INDEX IF NOT EXISTS idx_transcript_meeting ON transcript_entries(meeting_id);
@@ -234,6 +251,33 @@ class DatabaseService {
       CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_samples_profile_meeting
         ON voice_samples(profile_id, meeting_id);
     `);
+
+    // v6: FTS5 search index + sync triggers (see fullTextSearch.js)
+    createSearchIndex(this.db);
+    // v7: embedding index for semantic search (see semanticSearch.js)
+    semanticSearch.createSemanticIndex(this.db);
+    // v8: audit trail for external (MCP) writes (see meetingWrites.js)
+    createAuditLog(this.db);
+    // v9: action items extracted after summaries (see actionItems.js)
+    actionItems.createActionItemsTable(this.db);
+    // v11: edit history for overwritten fields (see meetingRevisions.js)
+    meetingRevisions.createRevisionsTable(this.db);
+    // v12: soft delete (see meetingTrash.js)
+    meetingTrash.addTrashColumns(this.db);
+    // v13: tags and custom fields (see meetingFields.js)
+    meetingFields.createMeetingFieldTables(this.db);
+    // v14: files imported from watched folders (see importLedger.js)
+    importLedger.createImportLedgerTable(this.db);
+    // v15: "keep both" answers for duplicate meetings (see meetingDuplicates.js)
+    meetingDuplicates.createDuplicateTables(this.db);
+
+    // v16: two-way sync with exported notes (see vaultSync.js)
+    vaultSync.createNoteSyncTable(this.db);
+    // v17: LLM token usage and cost (see llmUsage.js)
+    llmUsage.createLlmUsageTable(this.db);
+
+    // v18: Cached summary results (see summaryCache.js)
+    summaryCache.createSummaryCacheTable(this.db);
   }
 
   /**
@@ -374,6 +418,101 @@ class DatabaseService {
       migratev5();
       log.info('[Database] v4 → v5 migration complete');
     }
+
+    if (oldVersion < 6) {
+      log.info('[Database] Running v5 → v6 migration: FTS5 search index over transcripts and summaries');
+      createSearchIndex(this.db);
+      rebuildSearchIndex(this.db);
+      log.info('[Database] v5 → v6 migration complete');
+    }
+
+    if (oldVersion < 7) {
+      log.info('[Database] Running v6 → v7 migration: meeting_embeddings for semantic search');
+      // Tables only — vectors need the local embedding server, so they are
+      // backfilled by the semantic:index IPC task, not at startup.
+      semanticSearch.createSemanticIndex(this.db);
+      log.info('[Database] v6 → v7 migration complete');
+    }
+
+    if (oldVersion < 8) {
+      log.info('[Database] Running v7 → v8 migration: audit_log for MCP writes');
+      createAuditLog(this.db);
+      // Picks up the transcript UPDATE staleness trigger — MCP speaker edits
+      // update rows in place instead of rewriting the transcript.
+      semanticSearch.createSemanticIndex(this.db);
+      log.info('[Database] v7 → v8 migration complete');
+    }
+
+    if (oldVersion < 9) {
+      log.info('[Database] Running v8 → v9 migration: action_items');
+      // Existing meetings get items the next time their summary is generated.
+      actionItems.createActionItemsTable(this.db);
+      log.info('[Database] v8 → v9 migration complete');
+    }
+
+    if (oldVersion < 10) {
+      log.info('[Database] Running v9 → v10 migration: series_id for recurring meetings');
+      try {
+        this.db.exec('ALTER TABLE meetings ADD COLUMN series_id TEXT');
+      } catch (e) {
+        if (!e.message.includes('duplicate column')) throw e;
+      }
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_meetings_series ON meetings(series_id)');
+      const { assigned } = meetingSeries.backfillSeries(this.db);
+      log.info(`[Database] v9 → v10 migration complete (${assigned} meetings linked to a series)`);
+    }
+
+    if (oldVersion < 11) {
+      log.info('[Database] Running v10 → v11 migration: meeting_revisions');
+      // History starts with the first overwrite after the upgrade.
+      meetingRevisions.createRevisionsTable(this.db);
+      log.info('[Database] v10 → v11 migration complete');
+    }
+
+    if (oldVersion < 12) {
+      log.info('[Database] Running v11 → v12 migration: trash columns for soft delete');
+      meetingTrash.addTrashColumns(this.db);
+      log.info('[Database] v11 → v12 migration complete');
+    }
+
+    if (oldVersion < 13) {
+      log.info('[Database] Running v12 → v13 migration: tags and custom fields');
+      meetingFields.createMeetingFieldTables(this.db);
+      const migrated = meetingFields.migrateExtraFieldTags(this.db, msg =>
+        log.warn(`[Database] ${msg}`)
+      );
+      log.info(`[Database] v12 → v13 migration complete (moved tags on ${migrated} meeting(s))`);
+    }
+
+    if (oldVersion < 14) {
+      log.info('[Database] Running v13 → v14 migration: imported_files ledger');
+      importLedger.createImportLedgerTable(this.db);
+      log.info('[Database] v13 → v14 migration complete');
+    }
+
+    if (oldVersion < 15) {
+      log.info('[Database] Running v14 → v15 migration: duplicate_dismissals table');
+      meetingDuplicates.createDuplicateTables(this.db);
+      log.info('[Database] v14 → v15 migration complete');
+    }
+
+    if (oldVersion < 16) {
+      log.info('[Database] Running v15 → v16 migration: note_sync table');
+      vaultSync.createNoteSyncTable(this.db);
+      log.info('[Database] v15 → v16 migration complete');
+    }
+
+    if (oldVersion < 17) {
+      log.info('[Database] Running v16 → v17 migration: llm_usage table');
+      llmUsage.createLlmUsageTable(this.db);
+      log.info('[Database] v16 → v17 migration complete');
+    }
+
+    if (oldVersion < 18) {
+      log.info('[Database] Running v17 → v18 migration: summary_cache table');
+      summaryCache.createSummaryCacheTable(this.db);
+      log.info('[Database] v17 → v18 migration complete');
+    }
   }
 
   /**
@@ -392,7 +531,7 @@ class DatabaseService {
           recording_complete, recording_end_time, upload_token, sdk_upload_id,
           recall_recording_id, recording_status, subtitle, has_demo,
           participant_emails, speaker_mapping, summaries, extra_fields,
-          routed_clients, created_at, updated_at
+          routed_clients, series_id, created_at, updated_at
         ) VALUES (
           @id, @type, @status, @title, @date, @start_time, @end_time, @duration,
           @platform, @meeting_link, @content, @summary, @recording_id, @video_file,
@@ -401,7 +540,7 @@ class DatabaseService {
           @recording_complete, @recording_end_time, @upload_token, @sdk_upload_id,
           @recall_recording_id, @recording_status, @subtitle, @has_demo,
           @participant_emails, @speaker_mapping, @summaries, @extra_fields,
-          @routed_clients, @created_at, @updated_at
+          @routed_clients, @series_id, @created_at, @updated_at
         )
       `),
       updateMeeting: this.db.prepare(`
@@ -422,6 +561,7 @@ class DatabaseService {
           participant_emails = @participant_emails, speaker_mapping = @speaker_mapping,
           summaries = @summaries, extra_fields = @extra_fields,
           routed_clients = @routed_clients,
+          series_id = COALESCE(@series_id, series_id),
           updated_at = datetime('now')
         WHERE id = @id
       `),
@@ -574,19 +714,36 @@ class DatabaseService {
    * Save a meeting (insert or update). Accepts legacy JSON meeting format.
    * Wrapped in a transaction so the meeting row + all child rows (participants,
    * transcript, speaker mappings, attendees) are saved atomically.
+   *
+   * Overwrites of tracked fields (title, notes, summaries, speaker mapping) are
+   * recorded in meeting_revisions, attributed to `options.source`.
+   *
+   * `meeting.tags` is only stored when the meeting is new (imports); after that
+   * tags and custom fields change through setMeetingTags / setMeetingFieldValues.
    * @param {Object} meeting - Meeting object from renderer
    * @param {string} [status] - Override status ('upcoming' or 'past')
+   * @param {Object} [options]
+   * @param {string} [options.source='system'] - 'user' | 'llm' | 'content-pass' | 'mcp' | 'system'
+   * @param {Object<string, string>} [options.fieldSources] - Per-field source overrides
+   * @param {string} [options.reason] - Note shown in the meeting's history panel
    */
-  saveMeeting(meeting, status = null) {
+  saveMeeting(meeting, status = null, options = {}) {
     const doSave = this.db.transaction(() => {
       const params = this._meetingToRow(meeting, status);
 
       // Use upsert: try insert, fall back to update
       const existing = this._stmts.getMeeting.get(meeting.id);
       if (existing) {
+        // Only restoreTrashedMeeting takes a meeting out of the Trash — a late
+        // background save of a stale copy must not bring it back.
+        if (existing.status === 'trashed') params.status = 'trashed';
+        meetingRevisions.recordRevisions(this.db, meeting.id, existing, params, options);
         this._stmts.updateMeeting.run(params);
       } else {
         this._stmts.insertMeeting.run(params);
+        if (Array.isArray(meeting.tags)) {
+          meetingFields.setMeetingTags(this.db, meeting.id, meeting.tags);
+        }
       }
 
       // Save participants
@@ -608,14 +765,15 @@ class DatabaseService {
    * Bulk save all meetings (used by saveMeetingsData IPC handler).
    * Wraps everything in a transaction for atomicity + speed.
    * @param {{ upcomingMeetings: Array, pastMeetings: Array }} data
+   * @param {Object} [options] - Revision attribution, see saveMeeting
    */
-  saveAllMeetings(data) {
+  saveAllMeetings(data, options = {}) {
     const transaction = this.db.transaction(() => {
       for (const meeting of (data.upcomingMeetings || [])) {
-        this.saveMeeting(meeting, 'upcoming');
+        this.saveMeeting(meeting, 'upcoming', options);
       }
       for (const meeting of (data.pastMeetings || [])) {
-        this.saveMeeting(meeting, 'past');
+        this.saveMeeting(meeting, 'past', options);
       }
     });
     transaction();
@@ -626,20 +784,419 @@ class DatabaseService {
    * @param {string} meetingId
    * @param {string} field - Field name (legacy JSON key)
    * @param {*} value
+   * @param {string} [source='system'] - Revision source, see saveMeeting
    * @returns {boolean} True if meeting was found and updated
    */
-  updateMeetingField(meetingId, field, value) {
+  updateMeetingField(meetingId, field, value, source = 'system') {
     const meeting = this.getMeeting(meetingId);
     if (!meeting) return false;
 
     // Set the field on the meeting object and re-save
     meeting[field] = value;
-    this.saveMeeting(meeting);
+    this.saveMeeting(meeting, null, { source });
     return true;
   }
 
+  // ======================================================================
+  // Revisions (v11) — see meetingRevisions.js
+  // ======================================================================
+
+  /**
+   * List a meeting's revisions, newest first (values as short previews).
+   * @param {string} meetingId
+   * @param {{field?: string, limit?: number}} [options]
+   * @returns {Array<Object>}
+   */
+  listMeetingRevisions(meetingId, options = {}) {
+    return meetingRevisions.listRevisions(this.db, meetingId, options);
+  }
+
+  /**
+   * Get one revision with full values and a line diff.
+   * @param {number} revisionId
+   * @returns {Object|null}
+   */
+  getMeetingRevision(revisionId) {
+    return meetingRevisions.getRevision(this.db, revisionId);
+  }
+
+  /**
+   * Restore the value a revision replaced. The revert is itself saved as a
+   * 'user' revision, so it can be undone the same way.
+   * @param {number} revisionId
+   * @returns {Object|null} The updated meeting, or null if the revision or meeting is gone
+   */
+  revertMeetingRevision(revisionId) {
+    const revision = meetingRevisions.getRevision(this.db, revisionId);
+    if (!revision) return null;
+    const row = this._stmts.getMeeting.get(revision.meetingId);
+    if (!row) return null;
+
+    const meeting = this._rowToMeeting(row);
+    meetingRevisions.applyRevisionValue(meeting, revision.field, revision.before);
+    this.saveMeeting(meeting, row.status, { source: 'user', reason: `Reverted revision #${revisionId}` });
+    return meeting;
+  }
+
+  // ======================================================================
+  // Trash (v12) — see meetingTrash.js
+  // ======================================================================
+
+  /**
+   * Move a meeting to the Trash (soft delete).
+   * @param {string} meetingId
+   * @param {Array<{from: string, to: string}>} [files] - Files already moved into the vault's .trash
+   * @returns {{trashed: boolean, recordingId: string|null}}
+   */
+  trashMeeting(meetingId, files = []) {
+    const row = this._stmts.getMeeting.get(meetingId);
+    const trashed = meetingTrash.trashMeeting(this.db, meetingId, { files });
+    return { trashed, recordingId: row?.recording_id || null };
+  }
+
+  /**
+   * Take a meeting out of the Trash.
+   * @param {string} meetingId
+   * @returns {{previousStatus: string, files: Array<{from: string, to: string}>}|null}
+   */
+  restoreTrashedMeeting(meetingId) {
+    return meetingTrash.restoreMeeting(this.db, meetingId);
+  }
+
+  /**
+   * @param {string} meetingId
+   * @returns {{previousStatus: string, files: Array<{from: string, to: string}>}|null}
+   */
+  getTrashInfo(meetingId) {
+    return meetingTrash.getTrashInfo(this.db, meetingId);
+  }
+
+  /**
+   * @param {number} retentionDays
+   * @returns {Array<Object>}
+   */
+  listTrashedMeetings(retentionDays) {
+    return meetingTrash.listTrashedMeetings(this.db, retentionDays);
+  }
+
+  /**
+   * @param {number} retentionDays
+   * @returns {string[]} IDs of trashed meetings due to be deleted for good
+   */
+  getExpiredTrash(retentionDays) {
+    return meetingTrash.getExpiredTrash(this.db, retentionDays);
+  }
+
+  // ======================================================================
+  // Tags and custom fields (v13) — see meetingFields.js
+  // ======================================================================
+
+  /**
+   * Replace a meeting's tags.
+   * @param {string} meetingId
+   * @param {string[]} tags
+   * @returns {string[]|null} Stored tags, or null if the meeting doesn't exist
+   */
+  setMeetingTags(meetingId, tags) {
+    if (!this._stmts.getMeeting.get(meetingId)) return null;
+    return meetingFields.setMeetingTags(this.db, meetingId, tags);
+  }
+
+  /**
+   * @returns {Array<{tag: string, count: number}>}
+   */
+  listTags() {
+    return meetingFields.listTags(this.db);
+  }
+
+  /**
+   * @returns {Array<{id: number, key: string, label: string, type: string, options: string[]}>}
+   */
+  listFieldDefinitions() {
+    return meetingFields.listFieldDefinitions(this.db);
+  }
+
+  /**
+   * @param {{id?: number, label: string, type: string, options?: string[]}} definition
+   * @returns {Object} The saved definition
+   */
+  saveFieldDefinition(definition) {
+    return meetingFields.saveFieldDefinition(this.db, definition);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {boolean}
+   */
+  deleteFieldDefinition(id) {
+    return meetingFields.deleteFieldDefinition(this.db, id);
+  }
+
+  /**
+   * Set some of a meeting's custom field values (null clears one).
+   * @param {string} meetingId
+   * @param {Object<string, *>} values - Keyed by field key
+   * @returns {Object|null} All of the meeting's values, or null if the meeting doesn't exist
+   */
+  setMeetingFieldValues(meetingId, values) {
+    if (!this._stmts.getMeeting.get(meetingId)) return null;
+    return meetingFields.setMeetingFieldValues(this.db, meetingId, values);
+  }
+
+  // ======================================================================
+  // Watched-folder import ledger (v14) — see importLedger.js
+  // ======================================================================
+
+  /**
+   * @param {{filePath?: string, size?: number, mtimeMs?: number, contentHash?: string}} file
+   * @returns {boolean} True if the file was already imported
+   */
+  isFileImported(file) {
+    return importLedger.isImported(this.db, file);
+  }
+
+  /**
+   * @param {Object} entry - See importLedger.recordImport
+   */
+  recordFileImport(entry) {
+    importLedger.recordImport(this.db, entry);
+  }
+
+  /**
+   * @param {number} [limit]
+   * @returns {Array<Object>} Newest first
+   */
+  listRecentFileImports(limit) {
+    return importLedger.listRecentImports(this.db, limit);
+  }
+
+  // ======================================================================
+  // Duplicate meetings (v15) — see meetingDuplicates.js
+  // ======================================================================
+
+  /**
+   * Likely duplicates of a meeting that isn't saved yet (e.g. a fresh import).
+   * @param {Object} meeting - Meeting in app format
+   * @returns {Array<Object>} See meetingDuplicates.findDuplicates
+   */
+  findDuplicatesForMeeting(meeting) {
+    return meetingDuplicates.findDuplicates(
+      this.db,
+      meetingDuplicates.probeFromMeeting(meeting)
+    );
+  }
+
   /**
-   * Delete a meeting and all related data (cascade).
+   * Likely duplicates of a stored meeting.
+   * @param {string} meetingId
+   * @returns {Array<Object>} See meetingDuplicates.findDuplicates
+   */
+  findDuplicatesOf(meetingId) {
+    return meetingDuplicates.findDuplicatesOf(this.db, meetingId);
+  }
+
+  /**
+   * Every likely duplicate pair in the database.
+   * @returns {Array<Object>} See meetingDuplicates.scanDuplicates
+   */
+  scanDuplicateMeetings() {
+    return meetingDuplicates.scanDuplicates(this.db);
+  }
+
+  /**
+   * Remember that two meetings are not duplicates.
+   * @param {string} idA
+   * @param {string} idB
+   */
+  dismissDuplicateMeetings(idA, idB) {
+    meetingDuplicates.dismissDuplicate(this.db, idA, idB);
+  }
+
+  /**
+   * Merge two duplicates into the one worth keeping. The other meeting is not
+   * touched; the caller moves it to the Trash.
+   * @param {string} idA
+   * @param {string} idB
+   * @returns {Object} See meetingDuplicates.mergeMeetings
+   */
+  mergeDuplicateMeetings(idA, idB) {
+    const { keepId, mergeId } = meetingDuplicates.pickMeetingToKeep(this.db, idA, idB);
+    return meetingDuplicates.mergeMeetings(this.db, keepId, mergeId);
+  }
+
+  // ======================================================================
+  // Vault sync (v16) — see vaultSync.js
+  // ======================================================================
+
+  /**
+   * Remember a summary note the app just wrote.
+   * @param {string} meetingId
+   * @param {string} notePath - As stored in obsidianLink
+   * @param {{generated: string, written: string}} content
+   */
+  recordNoteWrite(meetingId, notePath, content) {
+    vaultSync.recordNoteWrite(this.db, meetingId, notePath, content);
+  }
+
+  /**
+   * Remember a summary note as read back from the vault.
+   * @param {string} meetingId
+   * @param {string} content
+   */
+  recordNoteSeen(meetingId, content) {
+    vaultSync.recordNoteSeen(this.db, meetingId, content);
+  }
+
+  /**
+   * Record (or clear, with null) a sync conflict.
+   * @param {string} meetingId
+   * @param {string|null} message
+   */
+  setNoteConflict(meetingId, message) {
+    vaultSync.setNoteConflict(this.db, meetingId, message);
+  }
+
+  /**
+   * @param {string} meetingId
+   * @param {string} notePath - The note's new obsidianLink
+   */
+  moveNoteSync(meetingId, notePath) {
+    vaultSync.moveNote(this.db, meetingId, notePath);
+  }
+
+  /**
+   * @param {string} meetingId
+   * @returns {Object|null} See vaultSync.getNoteSync
+   */
+  getNoteSync(meetingId) {
+    return vaultSync.getNoteSync(this.db, meetingId);
+  }
+
+  /**
+   * @returns {Array<Object>} See vaultSync.listSyncedNotes
+   */
+  listSyncedNotes() {
+    return vaultSync.listSyncedNotes(this.db);
+  }
+
+  /**
+   * @returns {Array<Object>} See vaultSync.listNoteConflicts
+   */
+  listNoteConflicts() {
+    return vaultSync.listNoteConflicts(this.db);
+  }
+
+  // ======================================================================
+  // LLM usage (v17) — see llmUsage.js
+  // ======================================================================
+
+  /**
+   * Record a completed LLM call.
+   * @param {Object} entry - See llmUsage.recordUsage
+   * @returns {number} Cost in US dollars
+   */
+  recordLlmUsage(entry) {
+    return llmUsage.recordUsage(this.db, entry);
+  }
+
+  /**
+   * @param {string} [month] - 'YYYY-MM', default this month
+   * @returns {number} US dollars spent on LLM calls that month
+   */
+  getLlmMonthSpend(month) {
+    return llmUsage.monthSpend(this.db, month);
+  }
+
+  /**
+   * @param {{month?: string, months?: number}} [options]
+   * @returns {Object} See llmUsage.usageReport
+   */
+  getLlmUsageReport(options) {
+    return llmUsage.usageReport(this.db, options);
+  }
+
+  // ======================================================================
+  // Summary cache (v18) — see summaryCache.js
+  // ======================================================================
+
+  /**
+   * @param {string} key - From summaryCache.summaryCacheKey
+   * @returns {Object|null} The cached result
+   */
+  getCachedSummary(key) {
+    return summaryCache.getCachedSummary(this.db, key);
+  }
+
+  /**
+   * @param {Object} entry - See summaryCache.putCachedSummary
+   */
+  putCachedSummary(entry) {
+    summaryCache.putCachedSummary(this.db, entry);
+  }
+
+  /**
+   * @param {Object} [options] - See summaryCache.evictSummaryCache
+   * @returns {number} Entries removed
+   */
+  evictSummaryCache(options) {
+    return summaryCache.evictSummaryCache(this.db, options);
+  }
+
+  /**
+   * @returns {Object} See summaryCache.summaryCacheStats
+   */
+  getSummaryCacheStats() {
+    return summaryCache.summaryCacheStats(this.db);
+  }
+
+  // ======================================================================
+  // Structured template output — see structuredOutput.js
+  // ======================================================================
+
+  /**
+   * Structured answers of template sections with an output_schema.
+   * @param {Object} [filters] - See structuredOutput.listStructuredData
+   * @returns {Array<Object>}
+   */
+  listStructuredData(filters) {
+    return listStructuredData(this.db, filters);
+  }
+
+  // ======================================================================
+  // Meeting bundles (.jdmeeting) — see meetingBundle.js
+  // ======================================================================
+
+  /**
+   * Rows a meeting bundle carries for a meeting.
+   * @param {string} meetingId
+   * @returns {Object|null} Null if the meeting doesn't exist
+   */
+  collectMeetingBundle(meetingId) {
+    return meetingBundle.collectMeetingBundle(this.db, meetingId);
+  }
+
+  /**
+   * Whether a bundle's meeting is already here.
+   * @param {Object} data - Bundle data (meeting.json)
+   * @returns {'new'|'unchanged'|'changed'} See meetingBundle.bundleMeetingStatus
+   */
+  bundleMeetingStatus(data) {
+    return meetingBundle.bundleMeetingStatus(this.db, data);
+  }
+
+  /**
+   * Insert a meeting from a bundle, or replace or copy one that is already here.
+   * @param {Object} data - Bundle data (meeting.json)
+   * @param {Object} [options] - audioFile, contactResources, onExisting
+   * @returns {Object} See meetingBundle.importMeetingBundle
+   */
+  importMeetingBundle(data, options) {
+    return meetingBundle.importMeetingBundle(this.db, data, options);
+  }
+
+  /**
+   * Delete a meeting and all related data (cascade). Permanent — the UI's
+   * delete goes through trashMeeting; this is for emptying the Trash.
    * @param {string} meetingId
    * @returns {{ deleted: boolean, recordingId: string|null }}
    */
@@ -671,7 +1228,7 @@ class DatabaseService {
    * @returns {Array}
    */
   getMeetingsInRange(startDate, endDate, filters = {}) {
-    let sql = 'SELECT * FROM meetings WHERE date BETWEEN ? AND ?';
+    let sql = `SELECT * FROM meetings WHERE date BETWEEN ? AND ? AND ${meetingTrash.NOT_TRASHED}`;
     const params = [startDate, endDate];
 
     // Validate filter values to prevent unexpected query behavior
@@ -710,7 +1267,7 @@ class DatabaseService {
     const rows = this.db.prepare(`
       SELECT DISTINCT m.* FROM meetings m
       JOIN participants p ON p.meeting_id = m.id
-      WHERE p.email = ?
+      WHERE p.email = ? AND m.${meetingTrash.NOT_TRASHED}
       ORDER BY m.date DESC
     `).all(email);
     return rows.map(r => this._rowToMeeting(r));
@@ -725,7 +1282,7 @@ class DatabaseService {
     const rows = this.db.prepare(`
       SELECT DISTINCT m.* FROM meetings m
       JOIN participants p ON p.meeting_id = m.id
-      WHERE p.organization = ?
+      WHERE p.organization = ? AND m.${meetingTrash.NOT_TRASHED}
       ORDER BY m.date DESC
     `).all(organization);
     return rows.map(r => this._rowToMeeting(r));
@@ -738,7 +1295,9 @@ class DatabaseService {
    */
   getMeetingCountForContact(email) {
     const result = this.db.prepare(
-      'SELECT COUNT(DISTINCT meeting_id) as count FROM participants WHERE email = ?'
+      `SELECT COUNT(DISTINCT p.meeting_id) as count FROM participants p
+       JOIN meetings m ON m.id = p.meeting_id
+       WHERE p.email = ? AND m.${meetingTrash.NOT_TRASHED}`
     ).get(email);
     return result ? result.count : 0;
   }
@@ -763,6 +1322,136 @@ class DatabaseService {
     });
   }
 
+  /**
+   * Ranked full-text search over transcripts, titles, summaries, notes and
+   * template outputs. Supports "phrases", prefix*, AND/OR/NOT and parentheses.
+   * @param {string} query
+   * @param {Object} [options] - { limit, meetingId, sources, markers, fullText } (see fullTextSearch.js)
+   * @returns {Array} Hits ordered by bm25 relevance
+   */
+  searchFullText(query, options = {}) {
+    return searchFullText(this.db, query, options);
+  }
+
+  /**
+   * Embed and store chunks for meetings that are new, changed, or indexed with
+   * a different model.
+   * @param {Function} embed - async (texts: string[]) => number[][]
+   * @param {Object} [options] - { model, limit, onProgress, log } (see semanticSearch.js)
+   * @returns {Promise<{indexed: number, skipped: number, failed: number, chunks: number, remaining: number}>}
+   */
+  indexSemanticPending(embed, options = {}) {
+    return semanticSearch.indexPendingMeetings(this.db, embed, options);
+  }
+
+  /**
+   * "Find meetings about X" — meetings ranked by embedding similarity, with
+   * transcript hits pinned to the closest utterance.
+   * @param {string} query
+   * @param {Function} embed - async (texts: string[]) => number[][]
+   * @param {Object} [options] - { limit, meetingId, model, minScore, pinpoint } (see semanticSearch.js)
+   * @returns {Promise<Array>} Hits ordered by cosine similarity
+   */
+  findMeetingsAbout(query, embed, options = {}) {
+    return semanticSearch.findMeetingsAbout(this.db, query, embed, options);
+  }
+
+  /**
+   * Semantic index coverage for one embedding model.
+   * @param {string} [model]
+   * @returns {{indexedMeetings: number, chunks: number, pendingMeetings: number}}
+   */
+  getSemanticIndexStats(model) {
+    return semanticSearch.getSemanticIndexStats(this.db, model);
+  }
+
+  /**
+   * Highest audit_log id — the starting point for watching external writes.
+   * @returns {number}
+   */
+  getLatestAuditId() {
+    return getLatestAuditId(this.db);
+  }
+
+  /**
+   * Audit entries newer than afterId (e.g. writes made by the MCP server).
+   * @param {number} afterId
+   * @param {Object} [options] - { source, limit } (see meetingWrites.js)
+   * @returns {Array} Entries oldest first
+   */
+  getAuditEntriesSince(afterId, options = {}) {
+    return getAuditEntriesSince(this.db, afterId, options);
+  }
+
+  // ===================================================================
+  // Action items (see actionItems.js)
+  // ===================================================================
+
+  /**
+   * Store a meeting's freshly extracted action items (keeps closed items).
+   * @param {string} meetingId
+   * @param {Array} items - Parsed extraction output
+   * @returns {{added: number, updated: number, removed: number}}
+   */
+  saveExtractedActionItems(meetingId, items) {
+    return actionItems.saveExtractedItems(this.db, meetingId, items);
+  }
+
+  /**
+   * @param {Object} [filters] - { status, owner, company, meetingId, limit }
+   * @returns {Array} Items with meeting and source utterance attached
+   */
+  listActionItems(filters = {}) {
+    return actionItems.listActionItems(this.db, filters);
+  }
+
+  /**
+   * @param {string} [status='open']
+   * @returns {{owners: Array, companies: string[]}}
+   */
+  getActionItemFacets(status = 'open') {
+    return actionItems.getActionItemFacets(this.db, status);
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} status - 'open' | 'done' | 'dismissed'
+   * @returns {boolean} Whether the item exists
+   */
+  updateActionItemStatus(id, status) {
+    return actionItems.updateActionItemStatus(this.db, id, status);
+  }
+
+  // ===================================================================
+  // Recurring series (see meetingSeries.js)
+  // ===================================================================
+
+  /**
+   * Link a meeting to its recurring series (calendar recurrence, or title /
+   * participant / cadence match for local recordings).
+   * @param {string} meetingId
+   * @returns {string|null} Series id
+   */
+  assignMeetingSeries(meetingId) {
+    return meetingSeries.assignMeetingSeries(this.db, meetingId);
+  }
+
+  /**
+   * @param {string} meetingId
+   * @returns {{seriesId: string|null, previous: Object|null, next: Object|null}}
+   */
+  getSeriesNeighbors(meetingId) {
+    return meetingSeries.getSeriesNeighbors(this.db, meetingId);
+  }
+
+  /**
+   * @param {string} seriesId
+   * @returns {Array} Meetings in the series, oldest first
+   */
+  getSeriesMeetings(seriesId) {
+    return meetingSeries.getSeriesMeetings(this.db, seriesId);
+  }
+
   // ======================================================================
   // Migration from meetings.json
   // ======================================================================
@@ -867,6 +1556,7 @@ class DatabaseService {
       participantEmails: row.participant_emails ? JSON.parse(row.participant_emails) : undefined,
       summaries: row.summaries ? JSON.parse(row.summaries) : undefined,
       routedClients: row.routed_clients ? JSON.parse(row.routed_clients) : undefined,
+      seriesId: row.series_id || undefined,
     };
 
     // Merge any extra fields that didn't map to columns
@@ -958,6 +1648,12 @@ class DatabaseService {
       meeting.speakerMapping = mappingJson;
     }
 
+    // Tags and custom fields (v13)
+    const tags = meetingFields.getMeetingTags(this.db, row.id);
+    if (tags.length > 0) meeting.tags = tags;
+    const customFields = meetingFields.getMeetingFieldValues(this.db, row.id);
+    if (Object.keys(customFields).length > 0) meeting.customFields = customFields;
+
     // Hydrate calendar attendees
     const attendeeRows = this._stmts.getCalendarAttendees.all(row.id);
     if (attendeeRows.length > 0) {
@@ -1000,7 +1696,8 @@ class DatabaseService {
       'uploadToken', 'sdkUploadId', 'recallRecordingId', 'recordingStatus',
       'subtitle', 'hasDemo', 'participantEmails', 'speakerMapping',
       'summaries', 'participants', 'transcript', 'calendarAttendees',
-      'transcriptProvider', 'routedClients', // alias
+      'transcriptProvider', 'routedClients', 'seriesId', // alias
+      'tags', 'customFields', // v13 tables, see meetingFields.js
     ]);
 
     // Build extra_fields from any unrecognized keys
@@ -1046,6 +1743,11 @@ class DatabaseService {
       summaries: meeting.summaries ? JSON.stringify(meeting.summaries) : null,
       extra_fields: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null,
       routed_clients: meeting.routedClients ? JSON.stringify(meeting.routedClients) : null,
+      // A recurring calendar event always decides the series. Otherwise keep the
+      // stored value — the update statement never clears series_id, so a stale
+      // meeting object can't unlink a meeting.
+      series_id:
+        meetingSeries.seriesIdFromCalendarEvent(meeting.calendarEventId) || meeting.seriesId || null,
       created_at: meeting.createdAt || new Date().toISOString(),
       updated_at: new Date().toISOString(),
     };
@@ -0,0 +1,373 @@
+/**
+ * Full-Text Search (schema v6)
+ *
+ * SQLite FTS5 index over transcript utterances, meeting titles, summaries,
+ * notes and template outputs. Replaces the `LIKE '%q%'` scans that used to back
+ * search_across_meetings and the meeting-detail transcript search.
+ *
+ * Two virtual tables, both kept in sync by triggers so every writer (the app's
+ * databaseService, backup restore, a future write-capable MCP server) updates
+ * the index without having to remember to:
+ *   - transcript_fts: external-content table over transcript_entries
+ *     (rowid = transcript_entries.id), so the utterance text is not duplicated.
+ *   - meeting_fts: regular table keyed by meetings.rowid. Template outputs are
+ *     flattened out of the `summaries` JSON column inside the trigger.
+ *
+ * Pure functions of a better-sqlite3 handle so the standalone MCP server
+ * (src/mcp-server.js) can use the same query code as the Electron main process.
+ */
+
+const { NOT_TRASHED } = require('./meetingTrash');
+
+// Porter stemming on top of unicode61 so "pricing" finds "priced"/"prices".
+const TOKENIZER = "porter unicode61 remove_diacritics 2";
+
+// Template summaries are stored as a JSON array of { templateName, content }.
+// Guarded with json_valid / type = 'object' so a corrupt column never aborts the
+// meeting write that fired the trigger.
+const templateOutputsExpr = ref => `(
+  SELECT group_concat(json_extract(value, '$.content'), char(10))
+  FROM json_each(CASE WHEN json_valid(${ref}.summaries) THEN ${ref}.summaries ELSE '[]' END)
+  WHERE type = 'object'
+)`;
+
+const FTS_SCHEMA_SQL = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS transcript_fts USING fts5(
+    text,
+    speaker_name,
+    content='transcript_entries',
+    content_rowid='id',
+    tokenize='${TOKENIZER}'
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS meeting_fts USING fts5(
+    meeting_id UNINDEXED,
+    title,
+    summary,
+    notes,
+    template_outputs,
+    tokenize='${TOKENIZER}'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS transcript_fts_ai AFTER INSERT ON transcript_entries BEGIN
+    INSERT INTO transcript_fts(rowid, text, speaker_name)
+    VALUES (NEW.id, NEW.text, NEW.speaker_name);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS transcript_fts_ad AFTER DELETE ON transcript_entries BEGIN
+    INSERT INTO transcript_fts(transcript_fts, rowid, text, speaker_name)
+    VALUES ('delete', OLD.id, OLD.text, OLD.speaker_name);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS transcript_fts_au AFTER UPDATE ON transcript_entries BEGIN
+    INSERT INTO transcript_fts(transcript_fts, rowid, text, speaker_name)
+    VALUES ('delete', OLD.id, OLD.text, OLD.speaker_name);
+    INSERT INTO transcript_fts(rowid, text, speaker_name)
+    VALUES (NEW.id, NEW.text, NEW.speaker_name);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS meeting_fts_ai AFTER INSERT ON meetings BEGIN
+    INSERT INTO meeting_fts(rowid, meeting_id, title, summary, notes, template_outputs)
+    VALUES (NEW.rowid, NEW.id, NEW.title, NEW.summary, NEW.content, ${templateOutputsExpr('NEW')});
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS meeting_fts_ad AFTER DELETE ON meetings BEGIN
+    DELETE FROM meeting_fts WHERE rowid = OLD.rowid;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS meeting_fts_au
+  AFTER UPDATE OF title, summary, content, summaries ON meetings BEGIN
+    DELETE FROM meeting_fts WHERE rowid = OLD.rowid;
+    INSERT INTO meeting_fts(rowid, meeting_id, title, summary, notes, template_outputs)
+    VALUES (NEW.rowid, NEW.id, NEW.title, NEW.summary, NEW.content, ${templateOutputsExpr('NEW')});
+  END;
+`;
+
+/** Default highlight markers; callers rendering HTML pass their own. */
+const DEFAULT_MARKERS = ['<mark>', '</mark>'];
+
+/** bm25 column weights for meeting_fts: (meeting_id, title, summary, notes, template_outputs). */
+const MEETING_FTS_WEIGHTS = '0.0, 10.0, 4.0, 3.0, 2.0';
+
+const SNIPPET_TOKENS = 16;
+
+/**
+ * Create the FTS tables + triggers (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createSearchIndex(db) {
+  db.exec(FTS_SCHEMA_SQL);
+}
+
+/**
+ * Repopulate both indexes from the base tables. Used by the v5 → v6 migration
+ * and as a repair path if the index is ever suspected to be out of sync.
+ * @param {import('better-sqlite3').Database} db
+ */
+function rebuildSearchIndex(db) {
+  const rebuild = db.transaction(() => {
+    db.exec("INSERT INTO transcript_fts(transcript_fts) VALUES ('rebuild')");
+    db.exec('DELETE FROM meeting_fts');
+    db.exec(`
+      INSERT INTO meeting_fts(rowid, meeting_id, title, summary, notes, template_outputs)
+      SELECT m.rowid, m.id, m.title, m.summary, m.content, ${templateOutputsExpr('m')}
+      FROM meetings m
+    `);
+  });
+  rebuild();
+}
+
+/**
+ * Whether the database has the v6 search tables. The MCP server opens older
+ * databases read-only and falls back to LIKE search when this is false.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {boolean}
+ */
+function hasSearchIndex(db) {
+  const row = db
+    .prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE name IN ('transcript_fts', 'meeting_fts')")
+    .get();
+  return row.n === 2;
+}
+
+// ======================================================================
+// Query parsing
+// ======================================================================
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+const WORD_CHAR_RE = /[\p{L}\p{N}]/u;
+const TOKEN_RE = /"([^"]*)"?|\(|\)|[^\s()"]+/g;
+
+/**
+ * Split a user query into phrase / term / operator / paren tokens.
+ * @param {string} input
+ * @returns {Array<{type: string, value?: string, prefix?: boolean}>}
+ */
+function tokenizeQuery(input) {
+  const tokens = [];
+  let match;
+  TOKEN_RE.lastIndex = 0;
+  while ((match = TOKEN_RE.exec(input)) !== null) {
+    const raw = match[0];
+    if (match[1] !== undefined) {
+      if (WORD_CHAR_RE.test(match[1])) tokens.push({ type: 'phrase', value: match[1] });
+    } else if (raw === '(') {
+      tokens.push({ type: 'lparen' });
+    } else if (raw === ')') {
+      tokens.push({ type: 'rparen' });
+    } else if (OPERATORS.has(raw)) {
+      tokens.push({ type: 'op', value: raw });
+    } else {
+      let word = raw;
+      if (word.length > 1 && word.startsWith('-')) {
+        tokens.push({ type: 'op', value: 'NOT' });
+        word = word.slice(1);
+      }
+      const prefix = word.endsWith('*');
+      word = word.replace(/\*+$/, '');
+      if (WORD_CHAR_RE.test(word)) tokens.push({ type: 'term', value: word, prefix });
+    }
+  }
+  return tokens;
+}
+
+const quote = value => `"${value.replace(/"/g, '""')}"`;
+
+/**
+ * Translate a user search string into a safe FTS5 MATCH expression.
+ *
+ * Supported syntax: "exact phrase", prefix*, AND / OR / NOT (uppercase),
+ * -term (shorthand for NOT term) and parentheses. Adjacent terms are ANDed.
+ * Every term is emitted as a quoted FTS5 string, so punctuation in user input
+ * (hyphens, colons, apostrophes) can never produce an FTS5 syntax error.
+ * Dangling operators and unbalanced parentheses are dropped/closed.
+ *
+ * @param {string} input
+ * @returns {string} MATCH expression, or '' when nothing searchable remains
+ */
+function buildFtsQuery(input) {
+  if (typeof input !== 'string') return '';
+  const out = [];
+  let depth = 0;
+  let expectOperand = true;
+  const last = () => out[out.length - 1];
+  const isOp = t => OPERATORS.has(t);
+
+  for (const token of tokenizeQuery(input)) {
+    switch (token.type) {
+      case 'phrase':
+      case 'term':
+        if (!expectOperand) out.push('AND');
+        out.push(quote(token.value) + (token.prefix ? '*' : ''));
+        expectOperand = false;
+        break;
+      case 'op':
+        if (expectOperand) break; // leading or doubled operator
+        out.push(token.value);
+        expectOperand = true;
+        break;
+      case 'lparen':
+        if (!expectOperand) out.push('AND');
+        out.push('(');
+        depth++;
+        expectOperand = true;
+        break;
+      case 'rparen':
+        if (depth === 0) break;
+        while (isOp(last())) out.pop();
+        if (last() === '(') {
+          out.pop();
+          depth--;
+          while (isOp(last())) out.pop();
+          expectOperand = out.length === 0 || last() === '(';
+        } else {
+          out.push(')');
+          depth--;
+          expectOperand = false;
+        }
+        break;
+    }
+  }
+
+  while (isOp(last()) || last() === '(') {
+    if (out.pop() === '(') depth--;
+  }
+  while (depth-- > 0) out.push(')');
+  return out.join(' ');
+}
+
+// ======================================================================
+// Search
+// ======================================================================
+
+/**
+ * Ranked full-text search over transcripts and meeting text.
+ *
+ * Results are individual hits (one per matching utterance, one per matching
+ * meeting row). Each index's hits are ordered by bm25 — lower is better, as
+ * FTS5 reports it — and the two lists are interleaved by rank. Transcript hits
+ * match the spoken text only, not the speaker's name.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} query - User query (see buildFtsQuery for syntax)
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Max hits returned
+ * @param {string} [options.meetingId] - Restrict to a single meeting
+ * @param {Array<'transcript'|'meeting'>} [options.sources] - Which indexes to query (default both)
+ * @param {string[]} [options.markers] - [open, close] highlight markers
+ * @param {boolean} [options.fullText=false] - Return the whole highlighted utterance instead of a snippet
+ * @returns {Array<{meetingId: string, title: string, date: string,
+ *   source: 'transcript'|'title'|'summary'|'notes'|'template', snippet: string, score: number,
+ *   entryOrder?: number, speaker?: string, timestamp?: number}>}
+ * @throws {Error} If the database has no search index (pre-v6, read-only)
+ */
+function searchFullText(db, query, options = {}) {
+  const match = buildFtsQuery(query);
+  if (!match) return [];
+
+  const limit = options.limit || 20;
+  const [open, close] = options.markers || DEFAULT_MARKERS;
+  const sources = options.sources || ['transcript', 'meeting'];
+  // Trashed meetings stay indexed (restore is instant) but never match.
+  const meetingFilter = ` AND m.${NOT_TRASHED}` + (options.meetingId ? ' AND m.id = @meetingId' : '');
+  // speaker_name is indexed for the transcript_fts rows but not searched: a
+  // hit must be in what was said, where the snippet can highlight it
+  const params = {
+    match,
+    textMatch: `text : (${match})`,
+    open,
+    close,
+    limit,
+    meetingId: options.meetingId,
+  };
+  const transcriptHits = [];
+  const meetingHits = [];
+
+  if (sources.includes('transcript')) {
+    const textFn = options.fullText
+      ? 'highlight(transcript_fts, 0, @open, @close)'
+      : `snippet(transcript_fts, 0, @open, @close, '…', ${SNIPPET_TOKENS})`;
+    const rows = db
+      .prepare(
+        `SELECT t.meeting_id, t.entry_order, t.timestamp,
+           COALESCE(t.speaker_display_name, t.speaker_name, t.speaker) AS speaker,
+           m.title, m.date,
+           ${textFn} AS snippet,
+           bm25(transcript_fts) AS score
+         FROM transcript_fts
+         JOIN transcript_entries t ON t.id = transcript_fts.rowid
+         JOIN meetings m ON m.id = t.meeting_id
+         WHERE transcript_fts MATCH @textMatch${meetingFilter}
+         ORDER BY score
+         LIMIT @limit`
+      )
+      .all(params);
+    for (const r of rows) {
+      transcriptHits.push({
+        meetingId: r.meeting_id,
+        title: r.title,
+        date: r.date,
+        source: 'transcript',
+        snippet: r.snippet,
+        score: r.score,
+        entryOrder: r.entry_order,
+        speaker: r.speaker,
+        timestamp: r.timestamp != null ? r.timestamp : undefined,
+      });
+    }
+  }
+
+  if (sources.includes('meeting')) {
+    const snip = col => `snippet(meeting_fts, ${col}, @open, @close, '…', ${SNIPPET_TOKENS})`;
+    const rows = db
+      .prepare(
+        `SELECT m.id AS meeting_id, m.title, m.date,
+           ${snip(1)} AS title_snippet,
+           ${snip(2)} AS summary_snippet,
+           ${snip(3)} AS notes_snippet,
+           ${snip(4)} AS template_snippet,
+           bm25(meeting_fts, ${MEETING_FTS_WEIGHTS}) AS score
+         FROM meeting_fts
+         JOIN meetings m ON m.rowid = meeting_fts.rowid
+         WHERE meeting_fts MATCH @match${meetingFilter}
+         ORDER BY score
+         LIMIT @limit`
+      )
+      .all(params);
+    for (const r of rows) {
+      // Report the highest-weighted column that actually contains a match.
+      const [source, snippet] = [
+        ['title', r.title_snippet],
+        ['summary', r.summary_snippet],
+        ['notes', r.notes_snippet],
+        ['template', r.template_snippet],
+      ].find(([, s]) => s && s.includes(open)) || ['title', r.title];
+      meetingHits.push({
+        meetingId: r.meeting_id,
+        title: r.title,
+        date: r.date,
+        source,
+        snippet,
+        score: r.score,
+      });
+    }
+  }
+
+  // bm25 scores of the two indexes (one weighted per column) don't compare,
+  // so each keeps its own order and they take turns, meeting hits first
+  const hits = [];
+  for (let i = 0; i < Math.max(meetingHits.length, transcriptHits.length); i++) {
+    if (i < meetingHits.length) hits.push(meetingHits[i]);
+    if (i < transcriptHits.length) hits.push(transcriptHits[i]);
+  }
+  return hits.slice(0, limit);
+}
+
+module.exports = {
+  FTS_SCHEMA_SQL,
+  createSearchIndex,
+  rebuildSearchIndex,
+  hasSearchIndex,
+  buildFtsQuery,
+  searchFullText,
+};
@@ -0,0 +1,117 @@
+/**
+ * Import Ledger (schema v14)
+ *
+ * Remembers which files the watched-folder importer (see
+ * import/FolderWatcher.js) has already turned into meetings, so a file is
+ * never imported twice — not after a restart, and not when the same file shows
+ * up again under another name or in another watched folder. Files are keyed
+ * by a SHA-256 of their content; path, size and mtime are kept so an
+ * unchanged file can be skipped without hashing it again.
+ *
+ * Failed imports are recorded too (for the settings list) but don't block a
+ * retry: the file is tried again the next time it changes or the watcher
+ * starts.
+ */
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS imported_files (
+    content_hash TEXT PRIMARY KEY,
+    file_path TEXT NOT NULL,
+    size INTEGER,
+    mtime_ms INTEGER,
+    status TEXT NOT NULL CHECK (status IN ('imported', 'failed')),
+    meeting_id TEXT,
+    error TEXT,
+    imported_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_imported_files_path ON imported_files(file_path);
+`;
+
+/**
+ * Create the imported_files table (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createImportLedgerTable(db) {
+  db.exec(SCHEMA_SQL);
+}
+
+/**
+ * Whether a file was already imported: by its path, size and mtime (no hash
+ * needed), or by content hash when one is given.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{filePath?: string, size?: number, mtimeMs?: number, contentHash?: string}} file
+ * @returns {boolean}
+ */
+function isImported(db, { filePath, size, mtimeMs, contentHash }) {
+  if (contentHash) {
+    return !!db
+      .prepare("SELECT 1 FROM imported_files WHERE content_hash = ? AND status = 'imported'")
+      .get(contentHash);
+  }
+  return !!db
+    .prepare(
+      `SELECT 1 FROM imported_files
+       WHERE file_path = ? AND size = ? AND mtime_ms = ? AND status = 'imported'`
+    )
+    .get(filePath, size, Math.trunc(mtimeMs));
+}
+
+/**
+ * Record the outcome of importing a file. A later success replaces a failure.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{contentHash: string, filePath: string, size?: number, mtimeMs?: number,
+ *   status: 'imported'|'failed', meetingId?: string|null, error?: string|null}} entry
+ */
+function recordImport(
+  db,
+  { contentHash, filePath, size = null, mtimeMs = null, status, meetingId = null, error = null }
+) {
+  db.prepare(
+    `INSERT INTO imported_files
+       (content_hash, file_path, size, mtime_ms, status, meeting_id, error, imported_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+     ON CONFLICT(content_hash) DO UPDATE SET
+       file_path = excluded.file_path, size = excluded.size, mtime_ms = excluded.mtime_ms,
+       status = excluded.status, meeting_id = excluded.meeting_id, error = excluded.error,
+       imported_at = excluded.imported_at`
+  ).run(
+    contentHash,
+    filePath,
+    size,
+    mtimeMs == null ? null : Math.trunc(mtimeMs),
+    status,
+    meetingId,
+    error
+  );
+}
+
+/**
+ * Most recent ledger entries, newest first.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} [limit]
+ * @returns {Array<{filePath: string, status: string, meetingId: string|null,
+ *   error: string|null, importedAt: string}>}
+ */
+function listRecentImports(db, limit = 20) {
+  return db
+    .prepare(
+      `SELECT file_path, status, meeting_id, error, imported_at FROM imported_files
+       ORDER BY imported_at DESC, rowid DESC LIMIT ?`
+    )
+    .all(limit)
+    .map(row => ({
+      filePath: row.file_path,
+      status: row.status,
+      meetingId: row.meeting_id,
+      error: row.error,
+      importedAt: row.imported_at,
+    }));
+}
+
+module.exports = {
+  createImportLedgerTable,
+  isImported,
+  recordImport,
+  listRecentImports,
+};
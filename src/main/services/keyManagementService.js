@@ -23,7 +23,13 @@ const API_KEY_TYPES = {
   GOOGLE_CALENDAR_CLIENT_SECRET: 'Google Calendar Client Secret',
   OLLAMA_BASE_URL: 'Ollama Server URL',
   OLLAMA_MODEL: 'Ollama Default Model',
+  OLLAMA_EMBED_MODEL: 'Ollama Embedding Model (semantic search)',
+  OPENAI_COMPATIBLE_BASE_URL: 'OpenAI-Compatible Server URL (including /v1)',
+  OPENAI_COMPATIBLE_API_KEY: 'OpenAI-Compatible API Key',
+  AZURE_OPENAI_ENDPOINT: 'Azure OpenAI Endpoint',
+  AZURE_OPENAI_API_KEY: 'Azure OpenAI API Key',
   TUNNEL_SUBDOMAIN: 'Localtunnel Subdomain (not recommended)',
+  MCP_HTTP_TOKEN: 'MCP HTTP Bearer Token',
 };
 
 // Try to load keytar for one-time migration (optional — may not be installed)
@@ -307,6 +313,18 @@ class KeyManagementService {
           return { valid: false, message: 'Ollama URL should be a valid HTTP/HTTPS URL' };
         }
         break;
+
+      case 'OPENAI_COMPATIBLE_BASE_URL':
+        if (!value.startsWith('http://') && !value.startsWith('https://')) {
+          return { valid: false, message: 'Server URL should be a valid HTTP/HTTPS URL' };
+        }
+        break;
+
+      case 'AZURE_OPENAI_ENDPOINT':
+        if (!value.startsWith('https://')) {
+          return { valid: false, message: 'Azure OpenAI endpoints should start with "https://"' };
+        }
+        break;
     }
 
     return { valid: true, message: 'Key format looks valid' };
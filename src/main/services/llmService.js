@@ -5,7 +5,14 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { OpenAI } = require('openai');
+const { OpenAI, AzureOpenAI } = require('openai');
+const {
+  compileOutputSchema,
+  providerSchema,
+  geminiSchema,
+  validateStructured,
+} = require('./structuredOutput');
+const { isLocalEndpoint } = require('./llmUsage');
 
 /**
  * Base LLM Adapter Interface
@@ -19,7 +26,9 @@ class LLMAdapter {
    * @param {string} options.userPrompt - User message
    * @param {number} options.maxTokens - Maximum tokens to generate
    * @param {number} options.temperature - Temperature (0-1)
-   * @returns {Promise<{content: string, model: string}>}
+   * @param {Object} [options.outputSchema] - JSON Schema the answer must follow;
+   *   content is then the answer as JSON (see structuredOutput.js)
+   * @returns {Promise<{content: string, model: string, usage: Object|null}>}
    */
   async generateCompletion(_options) {
     throw new Error('generateCompletion must be implemented by subclass');
@@ -33,6 +42,7 @@ class LLMAdapter {
    * @param {number} options.maxTokens - Maximum tokens to generate
    * @param {number} options.temperature - Temperature (0-1)
    * @param {Function} options.onChunk - Callback for each chunk (cumulative text)
+   * @param {Function} [options.onUsage] - Called with the token usage once the stream ends
    * @returns {Promise<string>} - Final complete text
    */
   async streamCompletion(_options) {
@@ -98,6 +108,7 @@ function claudeSupportsThinkingDisabled(modelId) {
  * e.g., 'claude-haiku-4-5' => 'claude-haiku-4-5-20251001'
  * e.g., 'gemini-3.5-flash' => 'gemini-3.5-flash'
  * e.g., 'ollama-llama3' => 'llama3'
+ * e.g., 'openai-gpt-4o-mini' => 'gpt-4o-mini', 'azure-notes-prod' => 'notes-prod' (a deployment)
  */
 function extractModelFromPreference(preference) {
   if (!preference) return null;
@@ -114,17 +125,139 @@ function extractModelFromPreference(preference) {
     return preference.replace('ollama-', '');
   }
 
+  if (preference.startsWith('openai-')) {
+    return preference.slice('openai-'.length);
+  }
+
+  if (preference.startsWith('azure-')) {
+    return preference.slice('azure-'.length);
+  }
+
   return preference;
 }
 
+/**
+ * Provider for a preference string
+ * e.g., 'claude-haiku-4-5' => 'anthropic', 'ollama-llama3' => 'ollama'
+ * @param {string} preference
+ * @returns {string|null} Null when the format is unknown
+ */
+function providerFromPreference(preference) {
+  if (!preference) return null;
+  if (preference.startsWith('claude-')) return 'anthropic';
+  if (preference.startsWith('gemini-')) return 'gemini';
+  if (preference.startsWith('ollama-')) return 'ollama';
+  if (preference.startsWith('openai-')) return 'openai';
+  if (preference.startsWith('azure-')) return 'azure';
+  return null;
+}
+
+/**
+ * Retry policy per kind of failure (see classifyError): how many times to
+ * retry on the same provider before moving down the fallback chain, and the
+ * first delay, which doubles on each retry. A longer Retry-After from the
+ * server wins.
+ */
+const DEFAULT_RETRY_POLICY = {
+  rateLimited: { retries: 2, delayMs: 5000 }, // 429
+  overloaded: { retries: 2, delayMs: 2000 }, // 529 and 5xx
+  unavailable: { retries: 0, delayMs: 0 }, // Not reachable, e.g. Ollama isn't running
+  other: { retries: 0, delayMs: 0 }, // Bad key, bad request: retrying won't help
+};
+const MAX_RETRY_DELAY_MS = 60000;
+
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+];
+
+/**
+ * Kind of failure, for the retry policy
+ * @param {Error} error - From any adapter
+ * @returns {'rateLimited'|'overloaded'|'unavailable'|'other'}
+ */
+function classifyError(error) {
+  const status = error?.status ?? error?.response?.status;
+  const message = error?.message || '';
+  if (status === 429 || /\b429\b|rate.?limit/i.test(message)) return 'rateLimited';
+  if (status >= 500 || /\b(503|529)\b|overloaded/i.test(message)) return 'overloaded';
+  const code = error?.code || error?.cause?.code;
+  if (
+    CONNECTION_ERROR_CODES.includes(code) ||
+    error?.name === 'APIConnectionError' ||
+    /fetch failed|connection error/i.test(message)
+  ) {
+    return 'unavailable';
+  }
+  return 'other';
+}
+
+/**
+ * Delay before a retry
+ * @param {{delayMs: number}} rule
+ * @param {number} attempt - 0 for the first retry
+ * @param {Error} error
+ * @returns {number} Milliseconds
+ */
+function retryDelay(rule, attempt, error) {
+  const header = error?.headers?.get?.('retry-after') ?? error?.headers?.['retry-after'];
+  const retryAfterMs = (parseInt(header, 10) || 0) * 1000;
+  return Math.min(MAX_RETRY_DELAY_MS, Math.max(rule.delayMs * 2 ** attempt, retryAfterMs));
+}
+
+/**
+ * Token usage as adapters report it to LLMService: inputTokens excludes
+ * prompt-cache reads (cachedTokens) and writes (cacheWriteTokens), which are
+ * priced differently (see llmUsage.js). Null when the provider sent none.
+ */
+function anthropicUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cachedTokens: usage.cache_read_input_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+function geminiUsage(metadata) {
+  if (!metadata) return null;
+  const cached = metadata.cachedContentTokenCount || 0;
+  return {
+    inputTokens: (metadata.promptTokenCount || 0) - cached,
+    outputTokens: metadata.candidatesTokenCount || 0,
+    cachedTokens: cached,
+    cacheWriteTokens: 0,
+  };
+}
+
+function openAIUsage(usage) {
+  if (!usage) return null;
+  const cached = usage.prompt_tokens_details?.cached_tokens || 0;
+  return {
+    inputTokens: (usage.prompt_tokens || 0) - cached,
+    outputTokens: usage.completion_tokens || 0,
+    cachedTokens: cached,
+    cacheWriteTokens: 0,
+  };
+}
+
 /**
  * Anthropic Claude Adapter
  * Supports Claude models (Haiku, Sonnet)
  */
+const STRUCTURED_OUTPUT_TOOL = 'record_answer';
+
+const AZURE_API_VERSION = '2024-10-21';
+
 class AnthropicAdapter extends LLMAdapter {
   constructor(apiKey, model = 'claude-haiku-4-5-20251001') {
     super();
-    this.client = new Anthropic({ apiKey });
+    // Retries follow LLMService's retry policy instead of the SDK's own
+    this.client = new Anthropic({ apiKey, maxRetries: 0 });
     this.model = model;
   }
 
@@ -135,6 +268,7 @@ class AnthropicAdapter extends LLMAdapter {
       cacheableContext,
       maxTokens = 1000,
       temperature = 0.7,
+      outputSchema,
     } = options;
 
     let messages;
@@ -178,6 +312,17 @@ class AnthropicAdapter extends LLMAdapter {
     } else {
       requestParams.temperature = temperature;
     }
+    // Structured output: the answer is the input of a tool the model must call
+    if (outputSchema) {
+      requestParams.tools = [
+        {
+          name: STRUCTURED_OUTPUT_TOOL,
+          description: 'Record the answer in the required structure',
+          input_schema: providerSchema(outputSchema),
+        },
+      ];
+      requestParams.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL };
+    }
 
     const message = await this.client.messages.create(requestParams);
 
@@ -205,9 +350,11 @@ class AnthropicAdapter extends LLMAdapter {
       }
     }
 
+    const toolUse = message.content.find(block => block.type === 'tool_use');
     return {
-      content: message.content[0].text,
+      content: toolUse ? JSON.stringify(toolUse.input) : message.content[0].text,
       model: message.model,
+      usage: anthropicUsage(message.usage),
     };
   }
 
@@ -219,6 +366,7 @@ class AnthropicAdapter extends LLMAdapter {
       maxTokens = 1000,
       temperature = 0.7,
       onChunk,
+      onUsage,
     } = options;
 
     let systemConfig;
@@ -272,6 +420,10 @@ class AnthropicAdapter extends LLMAdapter {
         }
       });
 
+      stream.on('finalMessage', message => {
+        if (onUsage) onUsage(anthropicUsage(message.usage));
+      });
+
       stream.on('end', () => {
         resolve(fullText);
       });
@@ -305,6 +457,7 @@ class GeminiAdapter extends LLMAdapter {
       cacheableContext,
       maxTokens = 1000,
       temperature = 0.7,
+      outputSchema,
     } = options;
 
     const generativeModel = this.genAI.getGenerativeModel({
@@ -313,6 +466,10 @@ class GeminiAdapter extends LLMAdapter {
       generationConfig: {
         maxOutputTokens: maxTokens,
         temperature,
+        ...(outputSchema && {
+          responseMimeType: 'application/json',
+          responseSchema: geminiSchema(outputSchema),
+        }),
       },
     });
 
@@ -333,6 +490,7 @@ class GeminiAdapter extends LLMAdapter {
     return {
       content: response.text(),
       model: this.model,
+      usage: geminiUsage(response.usageMetadata),
     };
   }
 
@@ -344,6 +502,7 @@ class GeminiAdapter extends LLMAdapter {
       maxTokens = 1000,
       temperature = 0.7,
       onChunk,
+      onUsage,
     } = options;
 
     const generativeModel = this.genAI.getGenerativeModel({
@@ -374,6 +533,11 @@ class GeminiAdapter extends LLMAdapter {
       }
     }
 
+    if (onUsage) {
+      const response = await result.response;
+      onUsage(geminiUsage(response.usageMetadata));
+    }
+
     return fullText;
   }
 
@@ -382,92 +546,123 @@ class GeminiAdapter extends LLMAdapter {
   }
 }
 
+// What an OpenAI-compatible server is assumed to support unless configured otherwise
+const OPENAI_COMPATIBLE_CAPABILITIES = {
+  streaming: true, // Server-sent event streams
+  jsonMode: true, // response_format json_schema; without it the schema goes in the prompt
+  caching: false, // Reuses a repeated prompt prefix, so the transcript gets its own message
+};
+
 /**
- * Local LLM Adapter
- * Connects to a local LLM server (Ollama, LM Studio, etc.) via an OpenAI-compatible API.
- * No API key required — runs entirely on your machine.
+ * Any server that speaks the OpenAI chat completions API: vLLM, LM Studio,
+ * OpenRouter, OpenAI itself. Servers differ in what they support, so that is
+ * declared in capabilities rather than probed.
  */
-class LocalLLMAdapter extends LLMAdapter {
-  constructor(model = 'llama3', baseUrl = 'http://localhost:11434') {
+class OpenAICompatibleAdapter extends LLMAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base including the version, e.g. http://localhost:1234/v1
+   * @param {string} options.model
+   * @param {string} [options.apiKey]
+   * @param {Object} [options.headers] - Sent with every request (e.g. OpenRouter's HTTP-Referer)
+   * @param {Object} [options.capabilities] - Overrides for OPENAI_COMPATIBLE_CAPABILITIES
+   * @param {string} [options.name] - Provider name for logs and the UI
+   */
+  constructor(options) {
     super();
-    // Ollama exposes an OpenAI-compatible API, so we reuse the openai client
-    this.client = new OpenAI({
-      apiKey: 'ollama', // Ollama doesn't need a real key
-      baseURL: `${baseUrl}/v1`,
-    });
-    this.model = model;
+    this.client = this._createClient(options);
+    this.model = options.model;
+    this.capabilities = { ...OPENAI_COMPATIBLE_CAPABILITIES, ...options.capabilities };
+    this.name = options.name || 'OpenAI-compatible';
   }
 
-  async generateCompletion(options) {
-    const {
-      systemPrompt,
-      userPrompt,
-      cacheableContext,
-      maxTokens = 1000,
-      temperature = 0.7,
-    } = options;
+  _createClient({ baseUrl, apiKey, headers }) {
+    return new OpenAI({
+      apiKey: apiKey || 'none', // Most local servers ignore it, but the client requires one
+      baseURL: baseUrl,
+      defaultHeaders: headers,
+      maxRetries: 0, // See LLMService's retry policy
+    });
+  }
 
-    const messages = [{ role: 'system', content: systemPrompt }];
+  _messages({ systemPrompt, userPrompt, cacheableContext, outputSchema }) {
+    let system = systemPrompt;
+    if (outputSchema && !this.capabilities.jsonMode) {
+      system +=
+        '\n\nAnswer with only a JSON object matching this JSON Schema:\n' +
+        JSON.stringify(providerSchema(outputSchema));
+    }
+    const messages = [{ role: 'system', content: system }];
 
-    if (cacheableContext) {
+    if (!cacheableContext) {
+      messages.push({ role: 'user', content: userPrompt });
+    } else if (this.capabilities.caching) {
+      // Same prefix on every call of a summary, so the server can reuse it
       messages.push({
         role: 'user',
         content: `Here is the meeting transcript:\n\n${cacheableContext}`,
       });
       messages.push({ role: 'user', content: userPrompt });
     } else {
-      messages.push({ role: 'user', content: userPrompt });
+      messages.push({
+        role: 'user',
+        content: `Here is the meeting transcript:\n\n${cacheableContext}\n\n${userPrompt}`,
+      });
     }
+    return messages;
+  }
+
+  async generateCompletion(options) {
+    const { maxTokens = 1000, temperature = 0.7, outputSchema } = options;
 
     const completion = await this.client.chat.completions.create({
       model: this.model,
-      messages: messages,
+      messages: this._messages(options),
       max_tokens: maxTokens,
       temperature,
+      ...(outputSchema &&
+        this.capabilities.jsonMode && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'answer', schema: providerSchema(outputSchema) },
+          },
+        }),
     });
 
     if (completion.usage) {
-      console.log('[Local LLM] Token Usage:', JSON.stringify(completion.usage, null, 2));
+      console.log(`[${this.name}] Token Usage:`, JSON.stringify(completion.usage, null, 2));
     }
 
     return {
       content: completion.choices[0].message.content,
       model: completion.model || this.model,
+      usage: openAIUsage(completion.usage),
     };
   }
 
   async streamCompletion(options) {
-    const {
-      systemPrompt,
-      userPrompt,
-      cacheableContext,
-      maxTokens = 1000,
-      temperature = 0.7,
-      onChunk,
-    } = options;
-
-    const messages = [{ role: 'system', content: systemPrompt }];
-
-    if (cacheableContext) {
-      messages.push({
-        role: 'user',
-        content: `Here is the meeting transcript:\n\n${cacheableContext}`,
-      });
-      messages.push({ role: 'user', content: userPrompt });
-    } else {
-      messages.push({ role: 'user', content: userPrompt });
+    const { maxTokens = 1000, temperature = 0.7, onChunk, onUsage } = options;
+
+    // No streaming: the whole answer arrives as one chunk
+    if (!this.capabilities.streaming) {
+      const result = await this.generateCompletion(options);
+      if (onUsage && result.usage) onUsage(result.usage);
+      if (onChunk && result.content) onChunk(result.content);
+      return result.content || '';
     }
 
     const stream = await this.client.chat.completions.create({
       model: this.model,
-      messages: messages,
+      messages: this._messages(options),
       max_tokens: maxTokens,
       temperature,
       stream: true,
+      stream_options: { include_usage: true },
     });
 
     let fullText = '';
     for await (const chunk of stream) {
+      if (chunk.usage && onUsage) onUsage(openAIUsage(chunk.usage));
       const delta = chunk.choices[0]?.delta?.content || '';
       if (delta) {
         fullText += delta;
@@ -480,8 +675,77 @@ class LocalLLMAdapter extends LLMAdapter {
     return fullText;
   }
 
+  /**
+   * Models the server offers (GET /v1/models)
+   * @returns {Promise<Array<{name: string, size: number, modifiedAt: string|null}>>}
+   */
+  async listModels() {
+    const models = [];
+    for await (const model of this.client.models.list()) {
+      models.push({ name: model.id, size: 0, modifiedAt: null });
+    }
+    return models;
+  }
+
   getProviderName() {
-    return 'Local LLM';
+    return this.name;
+  }
+}
+
+/**
+ * Local LLM Adapter
+ * Connects to a local LLM server (Ollama, LM Studio, etc.) via an OpenAI-compatible API.
+ * No API key required — runs entirely on your machine.
+ */
+class LocalLLMAdapter extends OpenAICompatibleAdapter {
+  constructor(model = 'llama3', baseUrl = 'http://localhost:11434') {
+    super({
+      baseUrl: `${baseUrl}/v1`,
+      model,
+      apiKey: 'ollama', // Ollama doesn't need a real key
+      capabilities: { caching: true },
+      name: 'Local LLM',
+    });
+  }
+
+  async listModels() {
+    return fetchLocalModels(this.client.baseURL.replace(/\/v1\/?$/, ''));
+  }
+}
+
+/**
+ * Azure OpenAI: requests go to a deployment, which stands in for the model
+ */
+class AzureOpenAIAdapter extends OpenAICompatibleAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - e.g. https://my-resource.openai.azure.com
+   * @param {string} options.apiKey
+   * @param {string} options.deployment
+   * @param {string} [options.apiVersion]
+   * @param {Array<string>} [options.deployments] - Known deployments, for listModels
+   * @param {Object} [options.capabilities]
+   */
+  constructor(options) {
+    super({
+      ...options,
+      model: options.deployment,
+      // Azure caches prompt prefixes of 1024+ tokens on recent models
+      capabilities: { caching: true, ...options.capabilities },
+      name: 'Azure OpenAI',
+    });
+    this.deployments = options.deployments || [];
+  }
+
+  _createClient({ endpoint, apiKey, apiVersion = AZURE_API_VERSION, deployment }) {
+    return new AzureOpenAI({ endpoint, apiKey, apiVersion, deployment, maxRetries: 0 });
+  }
+
+  // Deployments can't be listed with an API key, so these are the configured ones
+  async listModels() {
+    return [...new Set([this.model, ...this.deployments])]
+      .filter(Boolean)
+      .map(name => ({ name, size: 0, modifiedAt: null }));
   }
 }
 
@@ -501,77 +765,309 @@ class LLMService {
   constructor(config) {
     this.config = config;
     this.adapter = this._createAdapter();
+    this.fallbackChain = []; // Preference strings tried in order when the provider fails
+    this.retryPolicy = DEFAULT_RETRY_POLICY;
+    this.usageTracking = null; // See setUsageTracking
   }
 
-  _createAdapter() {
-    switch (this.config.provider) {
+  /**
+   * @param {string} [provider] - Defaults to the configured provider
+   * @param {string} [model] - Defaults to the provider's configured model
+   */
+  _createAdapter(provider = this.config.provider, model = null) {
+    switch (provider) {
       case 'anthropic':
         if (!this.config.anthropic?.apiKey) {
           throw new Error('Anthropic API key is required');
         }
-        console.log(
-          `[LLM Service] Initializing Anthropic adapter with model: ${this.config.anthropic.model || 'claude-haiku-4-5-20251001'}`
-        );
-        return new AnthropicAdapter(this.config.anthropic.apiKey, this.config.anthropic.model);
+        model = model || this.config.anthropic.model || 'claude-haiku-4-5-20251001';
+        console.log(`[LLM Service] Initializing Anthropic adapter with model: ${model}`);
+        return new AnthropicAdapter(this.config.anthropic.apiKey, model);
 
       case 'gemini':
         if (!this.config.gemini?.apiKey) {
           throw new Error('Google API key (Gemini) is required');
         }
-        console.log(
-          `[LLM Service] Initializing Gemini adapter with model: ${this.config.gemini.model || 'gemini-3.1-flash-lite'}`
-        );
-        return new GeminiAdapter(this.config.gemini.apiKey, this.config.gemini.model);
+        model = model || this.config.gemini.model || 'gemini-3.1-flash-lite';
+        console.log(`[LLM Service] Initializing Gemini adapter with model: ${model}`);
+        return new GeminiAdapter(this.config.gemini.apiKey, model);
 
       case 'ollama':
-        console.log(
-          `[LLM Service] Initializing Local LLM adapter with model: ${this.config.ollama?.model || 'llama3'}`
-        );
-        return new LocalLLMAdapter(
-          this.config.ollama?.model || 'llama3',
-          this.config.ollama?.baseUrl || 'http://localhost:11434'
-        );
+        model = model || this.config.ollama?.model || 'llama3';
+        console.log(`[LLM Service] Initializing Local LLM adapter with model: ${model}`);
+        return new LocalLLMAdapter(model, this.config.ollama?.baseUrl || 'http://localhost:11434');
+
+      case 'openai':
+        if (!this.config.openai?.baseUrl) {
+          throw new Error('OpenAI-compatible server URL is required');
+        }
+        model = model || this.config.openai.model;
+        if (!model) {
+          throw new Error('OpenAI-compatible model is required');
+        }
+        console.log(`[LLM Service] Initializing OpenAI-compatible adapter with model: ${model}`);
+        return new OpenAICompatibleAdapter({ ...this.config.openai, model });
+
+      case 'azure':
+        if (!this.config.azure?.endpoint || !this.config.azure?.apiKey) {
+          throw new Error('Azure OpenAI endpoint and API key are required');
+        }
+        model = model || this.config.azure.deployment || this.config.azure.deployments?.[0];
+        if (!model) {
+          throw new Error('Azure OpenAI deployment is required');
+        }
+        console.log(`[LLM Service] Initializing Azure OpenAI adapter with deployment: ${model}`);
+        return new AzureOpenAIAdapter({ ...this.config.azure, deployment: model });
 
       default:
         throw new Error(
-          `Unknown provider: ${this.config.provider}. Must be 'anthropic', 'gemini', or 'ollama'`
+          `Unknown provider: ${provider}. Must be 'anthropic', 'gemini', 'ollama', 'openai', or 'azure'`
         );
     }
   }
 
   /**
-   * Generate completion using configured provider
+   * Set the fallback chain and retry policy
+   * @param {Object} [settings]
+   * @param {Array<string>} [settings.chain] - Preference strings, e.g. ['ollama-llama3', 'gemini-3.1-flash-lite']
+   * @param {Object} [settings.retry] - Overrides for DEFAULT_RETRY_POLICY, by kind
+   */
+  setFallbackPolicy({ chain = [], retry = {} } = {}) {
+    this.fallbackChain = chain.filter(preference => providerFromPreference(preference));
+    this.retryPolicy = Object.fromEntries(
+      Object.entries(DEFAULT_RETRY_POLICY).map(([kind, rule]) => [
+        kind,
+        { ...rule, ...retry?.[kind] },
+      ])
+    );
+  }
+
+  /**
+   * Track token usage and enforce a monthly budget (see llmUsage.js)
+   * @param {Object} tracking
+   * @param {Function} [tracking.record] - Called after each call with
+   *   { provider, model, usage, estimated, tag }; tag is the call's usageTag option
+   * @param {Function} [tracking.budget] - Checked before each call; returns
+   *   { reached, capUsd, action: 'local'|'refuse' } or null when there is no cap
+   */
+  setUsageTracking(tracking) {
+    this.usageTracking = tracking;
+  }
+
+  /**
+   * Generate completion using configured provider, falling back down the chain
+   * @returns {Promise<{content: string, model: string, provider: string, fallback: boolean}>}
    */
   async generateCompletion(options) {
-    try {
-      const result = await this.adapter.generateCompletion(options);
-      console.log(
-        `[LLM Service] Generated completion using ${this.adapter.getProviderName()} (${result.model})`
-      );
-      return result;
-    } catch (error) {
-      console.error(
-        `[LLM Service] Error generating completion with ${this.adapter.getProviderName()}:`,
-        error
+    return this._withFallback('generateCompletion', options);
+  }
+
+  /**
+   * Generate a completion that follows a JSON Schema, validated with zod. An
+   * answer that doesn't match is asked for again once, with what was wrong.
+   * @param {Object} options - As for generateCompletion, plus outputSchema
+   * @param {Object} options.outputSchema - JSON Schema for an object
+   * @returns {Promise<{content: string, data: Object, model: string, provider: string, fallback: boolean}>}
+   * @throws {Error} code STRUCTURED_OUTPUT_INVALID when the retry doesn't match either
+   */
+  async generateStructured(options) {
+    const validator = compileOutputSchema(options.outputSchema);
+    let userPrompt = options.userPrompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const result = await this.generateCompletion({ ...options, userPrompt });
+      const checked = validateStructured(validator, result.content);
+      if (checked.data) return { ...result, data: checked.data };
+
+      errors = checked.errors;
+      console.warn(`[LLM Service] Structured answer invalid (attempt ${attempt}):`, errors);
+      userPrompt =
+        `${options.userPrompt}\n\nYour previous answer did not match the required JSON schema:\n` +
+        `${errors.map(e => `- ${e}`).join('\n')}\n\n` +
+        'Answer again with JSON that matches the schema.';
+    }
+
+    const error = new Error(`Structured answer did not match the schema: ${errors.join('; ')}`);
+    error.code = 'STRUCTURED_OUTPUT_INVALID';
+    throw error;
+  }
+
+  /**
+   * Generate streaming completion using configured provider, falling back down
+   * the chain (a fallback restarts the stream, so onChunk starts over)
+   * @param {Object} options - As for generateCompletion, plus onChunk
+   * @param {Function} [options.onAnswer] - Called once it completes with the
+   *   { provider, model, fallback } that answered, as generateCompletion returns them
+   * @returns {Promise<string>}
+   */
+  async streamCompletion(options) {
+    return this._withFallback('streamCompletion', options);
+  }
+
+  /**
+   * The configured provider, then each fallback that is a different model
+   * @returns {Array<{provider: string, model: string, adapter?: LLMAdapter}>}
+   */
+  _candidates() {
+    const candidates = [
+      {
+        provider: this.config.provider,
+        model: this.getCurrentModel(),
+        adapter: this.adapter,
+        primary: true,
+      },
+    ];
+    for (const preference of this.fallbackChain) {
+      const provider = providerFromPreference(preference);
+      const model = extractModelFromPreference(preference);
+      if (!candidates.some(c => c.provider === provider && c.model === model)) {
+        candidates.push({ provider, model });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * How usage tracking prices an OpenAI-compatible or Azure endpoint's calls
+   * (see llmUsage.pricingFor): free when the server is local, else at the
+   * prices configured for it.
+   * @param {string} provider
+   * @returns {{local: boolean, pricing?: {input: number, output: number}}|undefined}
+   */
+  _endpointPricing(provider) {
+    if (provider !== 'openai' && provider !== 'azure') return undefined;
+    const config = this.config[provider] || {};
+    return {
+      local: provider === 'openai' && isLocalEndpoint(config.baseUrl),
+      pricing: config.pricing,
+    };
+  }
+
+  /**
+   * Once the monthly budget is reached only local models may answer; the
+   * configured local model is added when the budget says to drop to it.
+   * @throws {Error} code LLM_BUDGET_REACHED when no local model is left
+   */
+  _withinBudget(candidates) {
+    const budget = this.usageTracking?.budget?.();
+    if (!budget?.reached) return candidates;
+
+    const local = candidates.filter(
+      c => c.provider === 'ollama' || this._endpointPricing(c.provider)?.local
+    );
+    if (local.length === 0 && budget.action === 'local') {
+      local.push({ provider: 'ollama', model: this.config.ollama?.model || 'llama3' });
+    }
+    if (local.length === 0) {
+      const error = new Error(
+        `Monthly AI budget of $${budget.capUsd} reached - cloud models are paused until next month`
       );
+      error.code = 'LLM_BUDGET_REACHED';
       throw error;
     }
+    console.warn(`[LLM Service] Monthly budget of $${budget.capUsd} reached, using local models`);
+    return local;
+  }
+
+  async _withFallback(method, options) {
+    const candidates = this._withinBudget(this._candidates());
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      let adapter = candidate.adapter;
+      if (!adapter) {
+        try {
+          adapter = this._createAdapter(candidate.provider, candidate.model);
+        } catch (error) {
+          console.warn(`[LLM Service] Skipping fallback ${candidate.model}: ${error.message}`);
+          continue;
+        }
+        console.warn(
+          `[LLM Service] Falling back to ${adapter.getProviderName()} (${candidate.model})`
+        );
+      }
+
+      try {
+        let streamedUsage = null;
+        const callOptions =
+          method === 'streamCompletion'
+            ? { ...options, onUsage: usage => (streamedUsage = usage) }
+            : options;
+        const result = await this._callWithRetry(adapter, method, callOptions);
+        const streaming = method === 'streamCompletion';
+        const model = (!streaming && result?.model) || candidate.model;
+        const fallback = !candidate.primary;
+        if (streaming) options.onAnswer?.({ provider: candidate.provider, model, fallback });
+        console.log(
+          `[LLM Service] ${streaming ? 'Completed streaming with' : 'Generated completion using'} ${adapter.getProviderName()} (${model})`
+        );
+        this._recordUsage(
+          candidate.provider,
+          model,
+          streaming ? streamedUsage : result?.usage,
+          options,
+          streaming ? result : result?.content
+        );
+        return streaming ? result : { ...result, provider: candidate.provider, fallback };
+      } catch (error) {
+        console.error(`[LLM Service] Error with ${adapter.getProviderName()}:`, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
   }
 
   /**
-   * Generate streaming completion using configured provider
+   * Hand a completed call to usage tracking. When the provider reported no
+   * usage it is estimated from text length. Never throws.
    */
-  async streamCompletion(options) {
+  _recordUsage(provider, model, usage, options, output) {
+    if (!this.usageTracking?.record) return;
+    const estimated = !usage;
+    if (estimated) {
+      const prompt = [options.systemPrompt, options.cacheableContext, options.userPrompt].join('');
+      usage = {
+        inputTokens: Math.ceil(prompt.length / 4),
+        outputTokens: Math.ceil((output || '').length / 4),
+      };
+    }
     try {
-      const result = await this.adapter.streamCompletion(options);
-      console.log(`[LLM Service] Completed streaming with ${this.adapter.getProviderName()}`);
-      return result;
+      this.usageTracking.record({
+        provider,
+        model,
+        usage,
+        estimated,
+        tag: options.usageTag || {},
+        endpoint: this._endpointPricing(provider),
+      });
     } catch (error) {
-      console.error(`[LLM Service] Error streaming with ${this.adapter.getProviderName()}:`, error);
-      throw error;
+      console.warn('[LLM Service] Could not record usage:', error.message);
     }
   }
 
+  async _callWithRetry(adapter, method, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await adapter[method](options);
+      } catch (error) {
+        const kind = classifyError(error);
+        const rule = this.retryPolicy[kind];
+        if (attempt >= rule.retries) throw error;
+        const delay = retryDelay(rule, attempt, error);
+        console.warn(
+          `[LLM Service] ${adapter.getProviderName()} ${kind}, retry ${attempt + 1}/${rule.retries} in ${delay}ms`
+        );
+        await this._sleep(delay);
+      }
+    }
+  }
+
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   /**
    * Get current provider name
    */
@@ -581,8 +1077,8 @@ class LLMService {
 
   /**
    * Switch to a different provider
-   * @param {string} provider - 'anthropic' | 'gemini' | 'ollama'
-   * @param {string} [model] - Optional model to use
+   * @param {string} provider - 'anthropic' | 'gemini' | 'ollama' | 'openai' | 'azure'
+   * @param {string} [model] - Optional model to use (an Azure deployment name for 'azure')
    */
   switchProvider(provider, model) {
     this.config.provider = provider;
@@ -596,6 +1092,10 @@ class LLMService {
       } else if (provider === 'ollama') {
         if (!this.config.ollama) this.config.ollama = {};
         this.config.ollama.model = model;
+      } else if (provider === 'openai') {
+        this.config.openai = { ...this.config.openai, model };
+      } else if (provider === 'azure') {
+        this.config.azure = { ...this.config.azure, deployment: model };
       }
     }
 
@@ -611,15 +1111,9 @@ class LLMService {
    */
   switchToPreference(preference) {
     const model = extractModelFromPreference(preference);
-    let provider;
+    let provider = providerFromPreference(preference);
 
-    if (preference.startsWith('claude-')) {
-      provider = 'anthropic';
-    } else if (preference.startsWith('gemini-')) {
-      provider = 'gemini';
-    } else if (preference.startsWith('ollama-')) {
-      provider = 'ollama';
-    } else {
+    if (!provider) {
       console.warn(
         `[LLM Service] Unknown preference format: ${preference}, defaulting to anthropic`
       );
@@ -639,9 +1133,44 @@ class LLMService {
       return this.config.gemini?.model || 'gemini-3.1-flash-lite';
     } else if (this.config.provider === 'ollama') {
       return this.config.ollama?.model || 'llama3';
+    } else if (this.config.provider === 'openai') {
+      return this.config.openai?.model || 'unknown';
+    } else if (this.config.provider === 'azure') {
+      return this.config.azure?.deployment || 'unknown';
     }
     return 'unknown';
   }
+
+  /**
+   * Update the OpenAI-compatible and Azure endpoint options (headers,
+   * capabilities, API version, deployments) without touching their URLs and
+   * keys. The current adapter is rebuilt if it uses one of them.
+   * @param {{openai?: Object, azure?: Object}} endpoints - appSettings.llmEndpoints
+   */
+  setEndpointOptions(endpoints = {}) {
+    for (const provider of ['openai', 'azure']) {
+      if (endpoints[provider]) {
+        this.config[provider] = { ...this.config[provider], ...endpoints[provider] };
+      }
+    }
+    if (['openai', 'azure'].includes(this.config.provider)) {
+      this.adapter = this._createAdapter();
+    }
+  }
+
+  /**
+   * Models offered by a provider's server: GET /v1/models for an
+   * OpenAI-compatible server, the configured deployments for Azure.
+   * @param {string} provider - 'ollama' | 'openai' | 'azure'
+   * @returns {Promise<Array<{name: string, size: number, modifiedAt: string|null}>>}
+   */
+  async listModels(provider) {
+    const config = this.config[provider] || {};
+    const model =
+      provider === 'azure' ? config.deployment || config.deployments?.[0] : config.model;
+    // Any placeholder will do for listing; only the endpoint matters
+    return this._createAdapter(provider, model || 'default').listModels();
+  }
 }
 
 /**
@@ -682,8 +1211,10 @@ function createLLMServiceFromEnv() {
 /**
  * Create LLM service from Windows Credential Manager (with .env fallback)
  * @param {Object} keyManagementService - Key management service instance
+ * @param {{openai?: Object, azure?: Object}} [endpoints] - appSettings.llmEndpoints: headers,
+ *   capabilities, Azure API version and deployments. URLs and keys come from key management.
  */
-async function createLLMServiceFromCredentials(keyManagementService) {
+async function createLLMServiceFromCredentials(keyManagementService, endpoints = {}) {
   // Try to get API keys from Windows Credential Manager first, fall back to env vars
   const anthropicKey =
     (await keyManagementService.getKey('ANTHROPIC_API_KEY')) || process.env.ANTHROPIC_API_KEY;
@@ -695,6 +1226,17 @@ async function createLLMServiceFromCredentials(keyManagementService) {
     'http://localhost:11434';
   const ollamaModel =
     (await keyManagementService.getKey('OLLAMA_MODEL')) || process.env.OLLAMA_MODEL || 'llama3';
+  const openaiBaseUrl =
+    (await keyManagementService.getKey('OPENAI_COMPATIBLE_BASE_URL')) ||
+    process.env.OPENAI_COMPATIBLE_BASE_URL;
+  const openaiKey =
+    (await keyManagementService.getKey('OPENAI_COMPATIBLE_API_KEY')) ||
+    process.env.OPENAI_COMPATIBLE_API_KEY;
+  const azureEndpoint =
+    (await keyManagementService.getKey('AZURE_OPENAI_ENDPOINT')) ||
+    process.env.AZURE_OPENAI_ENDPOINT;
+  const azureKey =
+    (await keyManagementService.getKey('AZURE_OPENAI_API_KEY')) || process.env.AZURE_OPENAI_API_KEY;
 
   // Priority (v1.3.2): Anthropic > Gemini > Ollama (Ollama always available as fallback)
   let provider;
@@ -720,6 +1262,17 @@ async function createLLMServiceFromCredentials(keyManagementService) {
       model: ollamaModel,
       baseUrl: ollamaBaseUrl,
     },
+    // Only used when selected; never picked as the default provider
+    openai: {
+      ...endpoints.openai,
+      baseUrl: openaiBaseUrl,
+      apiKey: openaiKey,
+    },
+    azure: {
+      ...endpoints.azure,
+      endpoint: azureEndpoint,
+      apiKey: azureKey,
+    },
   };
 
   return new LLMService(config);
@@ -820,17 +1373,85 @@ async function fetchLocalModels(baseUrl = 'http://localhost:11434') {
   return [];
 }
 
+/**
+ * Embed texts with a local LLM server.
+ * Tries the Ollama /api/embed endpoint first, then falls back to the
+ * OpenAI-compatible /v1/embeddings endpoint (LM Studio, llama.cpp server, ...).
+ * Unlike fetchLocalModels this throws when neither endpoint answers — callers
+ * need to tell "no server" apart from "no results".
+ * @param {string} baseUrl - LLM server base URL (e.g. http://localhost:11434)
+ * @param {string} model - Embedding model name (e.g. nomic-embed-text)
+ * @param {string[]} input - Texts to embed
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=60000] - Per-request timeout
+ * @returns {Promise<number[][]>} One vector per input, in input order
+ */
+async function fetchLocalEmbeddings(baseUrl, model, input, { timeoutMs = 60000 } = {}) {
+  const base = (baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+
+  const post = async (url, body) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      if (!response.ok) throw new Error(`${url} returned status ${response.status}`);
+      return await response.json();
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  // Try Ollama /api/embed first (batch input, returns { embeddings })
+  let ollamaError;
+  try {
+    const data = await post(`${base}/api/embed`, { model, input });
+    if (Array.isArray(data.embeddings)) return data.embeddings;
+    throw new Error('Unexpected /api/embed response');
+  } catch (error) {
+    ollamaError = error;
+  }
+
+  // Fall back to OpenAI-compatible /v1/embeddings
+  try {
+    const data = await post(`${base}/v1/embeddings`, { model, input });
+    if (!Array.isArray(data.data)) throw new Error('Unexpected /v1/embeddings response');
+    return [...data.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(d => d.embedding);
+  } catch (error) {
+    // Surface the Ollama error when the fallback just 404s — it's usually the
+    // more useful one (e.g. "model not found, try pulling it first").
+    const err = new Error(
+      `Local embedding request failed: ${ollamaError.message}; ${error.message}`
+    );
+    err.cause = ollamaError.cause || error.cause || ollamaError;
+    if (error.name === 'AbortError' || ollamaError.name === 'AbortError') err.name = 'AbortError';
+    throw err;
+  }
+}
+
 module.exports = {
   LLMService,
   AnthropicAdapter,
   GeminiAdapter,
   OllamaAdapter: LocalLLMAdapter, // backward compat alias
   LocalLLMAdapter,
+  OpenAICompatibleAdapter,
+  AzureOpenAIAdapter,
   createLLMServiceFromEnv,
   createLLMServiceFromCredentials,
   createLLMServiceFromPreference,
   extractModelFromPreference,
+  providerFromPreference,
+  classifyError,
+  DEFAULT_RETRY_POLICY,
   fetchLocalModels,
+  fetchLocalEmbeddings,
   ANTHROPIC_MODEL_MAP,
   GEMINI_MODEL_MAP,
 };
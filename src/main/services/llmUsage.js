@@ -0,0 +1,251 @@
+/**
+ * LLM Usage Ledger (schema v17)
+ *
+ * Every LLM call LLMService completes is recorded in `llm_usage` with the
+ * tokens the provider reported (input, output, and prompt-cache reads and
+ * writes) and what that cost at the time, tagged with the meeting, client
+ * and template it was for when the caller said so. The settings dashboard
+ * reports it by month, client, template and model, and the optional monthly
+ * cap is checked against it before each cloud call.
+ *
+ * Costs are stored, not recomputed, so a price change doesn't rewrite
+ * history. Local models cost nothing but are still recorded.
+ */
+
+const TemplateParser = require('../templates/TemplateParser');
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS llm_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    month TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    meeting_id TEXT,
+    client_id TEXT,
+    template_id TEXT,
+    purpose TEXT,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cached_tokens INTEGER NOT NULL DEFAULT 0,
+    cache_write_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd REAL NOT NULL DEFAULT 0,
+    estimated INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_llm_usage_month ON llm_usage(month);
+  CREATE INDEX IF NOT EXISTS idx_llm_usage_meeting ON llm_usage(meeting_id);
+`;
+
+// Prompt-cache prices as a share of the input price
+const CACHE_PRICING = {
+  anthropic: { read: 0.1, write: 1.25 },
+  gemini: { read: 0.25, write: 1 },
+};
+
+const LOCAL_PROVIDERS = ['ollama'];
+
+// OpenAI-compatible and Azure endpoints can serve any model at any price
+const ENDPOINT_PROVIDERS = ['openai', 'azure'];
+
+/**
+ * Whether an OpenAI-compatible server runs on this machine or the local
+ * network (LM Studio, vLLM on a GPU box), so its calls cost nothing.
+ * @param {string} [baseUrl]
+ * @returns {boolean}
+ */
+function isLocalEndpoint(baseUrl) {
+  let hostname;
+  try {
+    hostname = new URL(baseUrl).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return false;
+  }
+  return (
+    hostname === 'localhost' ||
+    hostname.endsWith('.local') ||
+    hostname === '::1' ||
+    /^(127|10)\.\d+\.\d+\.\d+$/.test(hostname) ||
+    /^192\.168\.\d+\.\d+$/.test(hostname) ||
+    /^172\.(1[6-9]|2\d|3[01])\.\d+\.\d+$/.test(hostname)
+  );
+}
+
+/**
+ * Create the llm_usage table (idempotent). Rows have no foreign key to
+ * meetings: money spent on a meeting stays spent when it is deleted.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createLlmUsageTable(db) {
+  db.exec(SCHEMA_SQL);
+}
+
+/**
+ * Month key for budgets and the dashboard, in local time.
+ * @param {Date} [date]
+ * @returns {string} 'YYYY-MM'
+ */
+function monthKey(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Per-million-token prices for a model (TemplateParser.MODEL_PRICING, keyed by
+ * preference). API model ids carry a date suffix, so prefixes match. An
+ * unknown cloud model is priced like the provider's dearest known model, and
+ * an OpenAI-compatible or Azure model without configured prices like the
+ * dearest known model of any provider, so budgets err on the safe side.
+ * @param {string} provider
+ * @param {string} model
+ * @param {Object} [endpoint] - For 'openai' and 'azure'
+ * @param {boolean} [endpoint.local] - Served locally (isLocalEndpoint); free
+ * @param {{input: number, output: number}} [endpoint.pricing] - From llmEndpoints settings
+ * @returns {{input: number, output: number}}
+ */
+function pricingFor(provider, model, { local = false, pricing = null } = {}) {
+  if (local || LOCAL_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+  if (ENDPOINT_PROVIDERS.includes(provider)) {
+    if (Number.isFinite(pricing?.input) && Number.isFinite(pricing?.output)) {
+      return { input: pricing.input, output: pricing.output };
+    }
+    return Object.values(TemplateParser.MODEL_PRICING).sort((a, b) => b.input - a.input)[0];
+  }
+  const prefix = provider === 'anthropic' ? 'claude-' : `${provider}-`;
+  const known = Object.entries(TemplateParser.MODEL_PRICING).filter(([key]) =>
+    key.startsWith(prefix)
+  );
+  const match = known
+    .filter(([key]) => String(model || '').startsWith(key))
+    .sort(([a], [b]) => b.length - a.length)[0];
+  if (match) return match[1];
+  const dearest = known.sort(([, a], [, b]) => b.input - a.input)[0];
+  return dearest ? dearest[1] : { input: 0, output: 0 };
+}
+
+/**
+ * Cost of one call in US dollars.
+ * @param {Object} entry
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {{inputTokens: number, outputTokens: number, cachedTokens?: number, cacheWriteTokens?: number}} entry.usage
+ *   inputTokens excludes cached and cache-write tokens
+ * @param {Object} [entry.endpoint] - See pricingFor
+ * @returns {number}
+ */
+function costOf({ provider, model, usage, endpoint }) {
+  const pricing = pricingFor(provider, model, endpoint);
+  const cache = CACHE_PRICING[provider] || { read: 1, write: 1 };
+  const inputEquivalent =
+    (usage.inputTokens || 0) +
+    (usage.cachedTokens || 0) * cache.read +
+    (usage.cacheWriteTokens || 0) * cache.write;
+  return (inputEquivalent * pricing.input + (usage.outputTokens || 0) * pricing.output) / 1e6;
+}
+
+/**
+ * Record a completed call.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} entry - From LLMService's usage tracking
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {Object} entry.usage - See costOf
+ * @param {Object} [entry.endpoint] - See pricingFor
+ * @param {boolean} [entry.estimated] - The provider reported no usage; counted from text length
+ * @param {{meetingId?: string, clientId?: string, templateId?: string, purpose?: string}} [entry.tag]
+ * @param {Date} [now]
+ * @returns {number} Cost in US dollars
+ */
+function recordUsage(db, entry, now = new Date()) {
+  const { provider, model, usage, estimated = false, tag = {} } = entry;
+  const cost = costOf(entry);
+  db.prepare(
+    `INSERT INTO llm_usage (created_at, month, provider, model, meeting_id, client_id, template_id,
+       purpose, input_tokens, output_tokens, cached_tokens, cache_write_tokens, cost_usd, estimated)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    now.toISOString(),
+    monthKey(now),
+    provider,
+    model || 'unknown',
+    tag.meetingId || null,
+    tag.clientId || null,
+    tag.templateId || null,
+    tag.purpose || null,
+    usage.inputTokens || 0,
+    usage.outputTokens || 0,
+    usage.cachedTokens || 0,
+    usage.cacheWriteTokens || 0,
+    cost,
+    estimated ? 1 : 0
+  );
+  return cost;
+}
+
+/**
+ * Spent on cloud models in a month.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} [month] - 'YYYY-MM', default this month
+ * @returns {number} US dollars
+ */
+function monthSpend(db, month = monthKey()) {
+  return db
+    .prepare('SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM llm_usage WHERE month = ?')
+    .get(month).cost;
+}
+
+const TOTALS = `COUNT(*) AS calls, SUM(u.input_tokens) AS inputTokens,
+  SUM(u.output_tokens) AS outputTokens, SUM(u.cached_tokens) AS cachedTokens,
+  SUM(u.cache_write_tokens) AS cacheWriteTokens, SUM(u.cost_usd) AS costUsd,
+  SUM(u.estimated) AS estimatedCalls`;
+
+// A call's client: the one it was tagged with, else its meeting's first routed client
+const CLIENT_ID = `COALESCE(u.client_id, json_extract(m.routed_clients, '$[0]'))`;
+
+/**
+ * Usage for the dashboard: totals for recent months, and one month broken
+ * down by client, template and model.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} [options]
+ * @param {string} [options.month] - 'YYYY-MM' to break down, default this month
+ * @param {number} [options.months] - How many months of totals
+ * @returns {{month: string, months: Array<Object>, byClient: Array<Object>, byTemplate: Array<Object>, byModel: Array<Object>}}
+ *   Rows carry calls, token counts and costUsd; clients and templates that weren't tagged have a null id
+ */
+function usageReport(db, { month = monthKey(), months = 12 } = {}) {
+  const byMonth = db
+    .prepare(
+      `SELECT u.month AS month, ${TOTALS} FROM llm_usage u
+       GROUP BY u.month ORDER BY u.month DESC LIMIT ?`
+    )
+    .all(months);
+
+  const breakdown = key =>
+    db
+      .prepare(
+        `SELECT ${key}, ${TOTALS} FROM llm_usage u
+         LEFT JOIN meetings m ON m.id = u.meeting_id
+         WHERE u.month = ? GROUP BY 1 ORDER BY costUsd DESC, calls DESC`
+      )
+      .all(month);
+
+  return {
+    month,
+    months: byMonth,
+    byClient: breakdown(
+      `${CLIENT_ID} AS clientId, (SELECT name FROM clients WHERE id = ${CLIENT_ID}) AS clientName`
+    ),
+    byTemplate: breakdown('u.template_id AS templateId'),
+    byModel: breakdown("u.provider || '/' || u.model AS model"),
+  };
+}
+
+module.exports = {
+  LOCAL_PROVIDERS,
+  isLocalEndpoint,
+  createLlmUsageTable,
+  monthKey,
+  pricingFor,
+  costOf,
+  recordUsage,
+  monthSpend,
+  usageReport,
+};
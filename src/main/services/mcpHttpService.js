@@ -0,0 +1,223 @@
+/**
+ * MCP Streamable HTTP Service
+ *
+ * Hosts the MCP server on the app's Express server (127.0.0.1:13373/mcp) so
+ * several local agents can share one live server instead of each spawning
+ * src/mcp-server.js and opening the database itself.
+ *
+ * - Disabled until a bearer token has been created in Settings
+ * - Every request must carry `Authorization: Bearer <token>`
+ * - One McpServer + transport per MCP session (SDK requirement); all sessions
+ *   share the app's database connection
+ * - A client that goes away without ending its session (DELETE) leaves it
+ *   open, so sessions idle for SESSION_IDLE_MS are closed
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { createMcpServer } = require('./mcpServer');
+const { SERVER_PORT, MCP_HTTP_PATH } = require('../../shared/constants');
+
+let mcpHttpEnabled = false;
+let mcpHttpTokenDigest = null;
+const sessions = new Map(); // sessionId -> { server, transport, lastActive }
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const SESSION_SWEEP_MS = 60 * 1000;
+let sweepTimer = null; // Runs while there are sessions
+const mcpHttpCallbacks = {
+  getDb: () => null,
+  getServerOptions: async () => ({}),
+};
+
+/**
+ * Hash the token so comparisons are constant-time regardless of input length.
+ */
+function digestToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Generate a new bearer token (URL-safe, 256 bits)
+ * @returns {string}
+ */
+function generateMcpHttpToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function isAuthorized(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match || !mcpHttpTokenDigest) return false;
+  return crypto.timingSafeEqual(digestToken(match[1].trim()), mcpHttpTokenDigest);
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  res.status(status).json({ jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+function stopSweep() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+function startSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => closeIdleSessions(), SESSION_SWEEP_MS);
+  sweepTimer.unref?.();
+}
+
+/**
+ * Close sessions that have had no request for SESSION_IDLE_MS
+ * @param {number} [now]
+ * @returns {Promise<number>} Sessions closed
+ */
+async function closeIdleSessions(now = Date.now()) {
+  const idle = [...sessions].filter(([, session]) => now - session.lastActive >= SESSION_IDLE_MS);
+  for (const [sessionId, { server }] of idle) {
+    sessions.delete(sessionId);
+    console.log(`[MCP HTTP] Closing idle session ${sessionId}`);
+    try {
+      await server.close();
+    } catch (error) {
+      console.warn('[MCP HTTP] Error closing session:', error.message);
+    }
+  }
+  if (sessions.size === 0) stopSweep();
+  return idle.length;
+}
+
+async function closeAllSessions() {
+  stopSweep();
+  const open = [...sessions.values()];
+  sessions.clear();
+  for (const { server } of open) {
+    try {
+      await server.close();
+    } catch (error) {
+      console.warn('[MCP HTTP] Error closing session:', error.message);
+    }
+  }
+}
+
+async function createSession(port) {
+  const db = mcpHttpCallbacks.getDb();
+  if (!db) throw new Error('Database not initialized');
+
+  const server = createMcpServer(db, await mcpHttpCallbacks.getServerOptions());
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => crypto.randomUUID(),
+    onsessioninitialized: sessionId => {
+      sessions.set(sessionId, { server, transport, lastActive: Date.now() });
+      startSweep();
+    },
+    // Defence in depth against DNS rebinding from browser pages
+    enableDnsRebindingProtection: true,
+    allowedHosts: [`127.0.0.1:${port}`, `localhost:${port}`],
+  });
+  transport.onclose = () => {
+    if (transport.sessionId) sessions.delete(transport.sessionId);
+  };
+  await server.connect(transport);
+  return transport;
+}
+
+async function handleMcpRequest(req, res) {
+  if (!mcpHttpEnabled || !mcpHttpTokenDigest) {
+    res.status(404).json({ error: 'MCP HTTP endpoint is disabled' });
+    return;
+  }
+  if (!isAuthorized(req)) {
+    res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Invalid or missing bearer token' });
+    return;
+  }
+
+  try {
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      session.lastActive = Date.now();
+      await session.transport.handleRequest(req, res, req.body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const transport = await createSession(req.socket.localPort || SERVER_PORT);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('[MCP HTTP] Request failed:', error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  }
+}
+
+// ===================================================================
+// Public API
+// ===================================================================
+
+/**
+ * Configure how sessions get the database and server options (called from main.js)
+ * @param {Object} callbacks
+ * @param {Function} callbacks.getDb - () => better-sqlite3 handle
+ * @param {Function} callbacks.getServerOptions - async () => createMcpServer options
+ */
+function configureMcpHttp(callbacks) {
+  if (callbacks.getDb) mcpHttpCallbacks.getDb = callbacks.getDb;
+  if (callbacks.getServerOptions) mcpHttpCallbacks.getServerOptions = callbacks.getServerOptions;
+}
+
+/**
+ * Enable/disable the endpoint and set the accepted token. Changing the token
+ * or disabling drops every open session.
+ * @param {boolean} enabled
+ * @param {string|null} token
+ */
+async function setMcpHttpEnabled(enabled, token) {
+  const digest = token ? digestToken(token) : null;
+  const tokenChanged =
+    !digest || !mcpHttpTokenDigest || !crypto.timingSafeEqual(digest, mcpHttpTokenDigest);
+
+  mcpHttpEnabled = !!enabled;
+  mcpHttpTokenDigest = digest;
+  if (!mcpHttpEnabled || tokenChanged) {
+    await closeAllSessions();
+  }
+  console.log(`[MCP HTTP] Endpoint ${mcpHttpEnabled && digest ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * @returns {{enabled: boolean, sessions: number}}
+ */
+function getMcpHttpStatus() {
+  return {
+    enabled: mcpHttpEnabled && !!mcpHttpTokenDigest,
+    sessions: sessions.size,
+  };
+}
+
+/**
+ * Register the /mcp route (POST for requests, GET for the SSE stream, DELETE
+ * to end a session) on an Express app
+ */
+function registerMcpEndpoint(app) {
+  app.all(MCP_HTTP_PATH, express.json({ limit: '4mb' }), handleMcpRequest);
+}
+
+module.exports = {
+  configureMcpHttp,
+  setMcpHttpEnabled,
+  getMcpHttpStatus,
+  generateMcpHttpToken,
+  registerMcpEndpoint,
+  closeAllSessions,
+  closeIdleSessions,
+};
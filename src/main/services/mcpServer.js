@@ -0,0 +1,1027 @@
+/**
+ * MCP Server Factory
+ *
+ * Builds the JD Notes Things MCP server (tools, jdnotes:// resources and
+ * template prompts) around an open better-sqlite3 handle. Used by the
+ * standalone stdio entry point (src/mcp-server.js) and by the app's HTTP
+ * endpoint (mcpHttpService.js), which needs a fresh server per session.
+ *
+ * Write tools are only registered with `allowWrites`; the caller is
+ * responsible for opening the database read-write and checking hasAuditLog.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { completable } = require('@modelcontextprotocol/sdk/server/completable.js');
+const { z } = require('zod');
+const { hasSearchIndex, searchFullText } = require('./fullTextSearch');
+const {
+  hasSemanticIndex,
+  getIndexedModel,
+  findMeetingsAbout,
+} = require('./semanticSearch');
+const { fetchLocalEmbeddings } = require('./llmService');
+const { hasActionItemsTable, listActionItems } = require('./actionItems');
+const { listStructuredData, providerSchema } = require('./structuredOutput');
+const { NOT_TRASHED } = require('./meetingTrash');
+const { hasMeetingFieldTables, getMeetingTags, tagFilterSql } = require('./meetingFields');
+const {
+  updateMeetingTitle,
+  addMeetingNote,
+  setSpeakerMapping,
+  tagMeeting,
+} = require('./meetingWrites');
+const {
+  meetingTitleUpdateSchema,
+  meetingNoteAddSchema,
+  speakerMappingSetSchema,
+  meetingTagsUpdateSchema,
+} = require('../validation/ipcSchemas');
+const TemplateParser = require('../templates/TemplateParser');
+const TemplateManager = require('../templates/TemplateManager');
+
+// Resource listings are capped to the most recent items
+const RESOURCE_LIST_LIMIT = 100;
+
+/**
+ * Create an MCP server over the given database.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} [options]
+ * @param {boolean} [options.allowWrites=false] - Register the write tools
+ * @param {string} [options.ollamaUrl='http://localhost:11434'] - Embedding server for find_meetings_about
+ * @param {string} [options.embedModel] - Embedding model (defaults to the one the index was built with)
+ * @param {string[]} [options.templatesPaths] - Template directories; the first that exists is used
+ * @param {Function} [options.log] - (message) => void for non-fatal warnings (defaults to stderr)
+ * @returns {McpServer} Not yet connected to a transport
+ */
+function createMcpServer(db, options = {}) {
+  const allowWrites = !!options.allowWrites;
+  const ollamaUrl = options.ollamaUrl || 'http://localhost:11434';
+  const log = options.log || (message => process.stderr.write(`${message}\n`));
+
+  const server = new McpServer({
+    name: 'jd-notes-things',
+    version: '1.4.0',
+  });
+
+  // ===================================================================
+  // Tool 1: search_meetings
+  // ===================================================================
+  server.registerTool(
+    'search_meetings',
+    {
+      description: 'Search meetings by date range, title, participant, company, or tags. Returns meeting summaries.',
+      inputSchema: z.object({
+        startDate: z.string().optional().describe('Start date (YYYY-MM-DD)'),
+        endDate: z.string().optional().describe('End date (YYYY-MM-DD)'),
+        title: z.string().optional().describe('Search in meeting title'),
+        participant: z.string().optional().describe('Participant name or email'),
+        company: z.string().optional().describe('Company/organization name'),
+        tags: z.array(z.string()).optional().describe('Only meetings with all of these tags (case-insensitive)'),
+        limit: z.number().optional().describe('Max results (default 20)'),
+      }),
+    },
+    async ({ startDate, endDate, title, participant, company, tags, limit: maxResults }) => {
+      const resultLimit = maxResults || 20;
+      let sql = 'SELECT DISTINCT m.id, m.title, m.date, m.platform, m.summary, m.status FROM meetings m';
+      const params = [];
+      const joins = [];
+
+      // JOIN participants table when filtering by participant or company
+      if (participant || company) {
+        joins.push('JOIN participants p ON p.meeting_id = m.id');
+      }
+
+      sql += ' ' + joins.join(' ') + ` WHERE m.${NOT_TRASHED}`;
+
+      if (startDate) { sql += ' AND m.date >= ?'; params.push(startDate); }
+      if (endDate) { sql += ' AND m.date <= ?'; params.push(endDate); }
+      if (title) { sql += ' AND m.title LIKE ?'; params.push(`%${title}%`); }
+      if (participant) {
+        sql += ' AND (p.name LIKE ? OR p.email LIKE ?)';
+        params.push(`%${participant}%`, `%${participant}%`);
+      }
+      if (company) {
+        sql += ' AND p.organization LIKE ?';
+        params.push(`%${company}%`);
+      }
+      if (tags?.length > 0) {
+        if (!hasMeetingFieldTables(db)) {
+          return {
+            content: [{ type: 'text', text: 'Tag filters need database schema v13. Open JD Notes Things once to upgrade it.' }],
+            isError: true,
+          };
+        }
+        const filter = tagFilterSql('m.id', tags);
+        sql += filter.sql;
+        params.push(...filter.params);
+      }
+
+      sql += ' ORDER BY m.date DESC LIMIT ?';
+      params.push(resultLimit);
+
+      const meetings = db.prepare(sql).all(...params);
+
+      const withTags = hasMeetingFieldTables(db);
+      const text = meetings.length === 0
+        ? 'No meetings found matching the criteria.'
+        : meetings.map(m => {
+            const meetingTags = withTags ? getMeetingTags(db, m.id) : [];
+            return `[${m.date}] ${m.title} (${m.platform || 'Unknown'})\nID: ${m.id}\n` +
+              (meetingTags.length > 0 ? `Tags: ${meetingTags.join(', ')}\n` : '') +
+              (m.summary ? m.summary.substring(0, 200) + '...' : 'No summary');
+          }).join('\n\n---\n\n');
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 2: get_meeting
+  // ===================================================================
+  server.registerTool(
+    'get_meeting',
+    {
+      description: 'Get full meeting details including summary, participants, and metadata.',
+      inputSchema: z.object({
+        meetingId: z.string().describe('Meeting ID'),
+      }),
+    },
+    async ({ meetingId }) => {
+      const text = formatMeeting(meetingId);
+      return { content: [{ type: 'text', text: text || 'Meeting not found.' }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 3: get_transcript
+  // ===================================================================
+  server.registerTool(
+    'get_transcript',
+    {
+      description: 'Get the full transcript for a meeting.',
+      inputSchema: z.object({
+        meetingId: z.string().describe('Meeting ID'),
+      }),
+    },
+    async ({ meetingId }) => {
+      const text = formatTranscript(meetingId);
+      if (!text) {
+        return { content: [{ type: 'text', text: 'No transcript found for this meeting.' }] };
+      }
+
+      if (allowWrites) {
+        // set_speaker_mapping takes the raw diarization label, which the
+        // transcript above hides behind resolved names.
+        const labels = new Map();
+        const entries = db.prepare(
+          'SELECT speaker, speaker_name FROM transcript_entries WHERE meeting_id = ? ORDER BY entry_order'
+        ).all(meetingId);
+        for (const e of entries) {
+          if (!labels.has(e.speaker)) labels.set(e.speaker, e.speaker_name || 'unmapped');
+        }
+        const footer = [...labels].map(([label, name]) => `- ${label} → ${name}`).join('\n');
+        return { content: [{ type: 'text', text: `${text}\n\n## Speaker labels\n${footer}` }] };
+      }
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 4: search_contacts
+  // ===================================================================
+  server.registerTool(
+    'search_contacts',
+    {
+      description: 'Search participants across all meetings by name, email, or company.',
+      inputSchema: z.object({
+        query: z.string().describe('Search query (name, email, or company)'),
+        limit: z.number().optional().describe('Max results (default 20)'),
+      }),
+    },
+    async ({ query, limit: maxResults }) => {
+      const resultLimit = maxResults || 20;
+      const rows = db.prepare(`
+        SELECT DISTINCT p.name, p.original_name, p.email, p.organization,
+          COUNT(DISTINCT p.meeting_id) as meeting_count
+        FROM participants p
+        JOIN meetings m ON m.id = p.meeting_id
+        WHERE (p.name LIKE ? OR p.email LIKE ? OR p.organization LIKE ?) AND m.${NOT_TRASHED}
+        GROUP BY COALESCE(p.email, p.name)
+        ORDER BY meeting_count DESC
+        LIMIT ?
+      `).all(`%${query}%`, `%${query}%`, `%${query}%`, resultLimit);
+
+      if (rows.length === 0) {
+        return { content: [{ type: 'text', text: 'No contacts found.' }] };
+      }
+
+      const text = rows.map(r =>
+        `${r.name}${r.email ? ` (${r.email})` : ''}${r.organization ? ` - ${r.organization}` : ''} [${r.meeting_count} meetings]`
+      ).join('\n');
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 5: get_contact
+  // ===================================================================
+  server.registerTool(
+    'get_contact',
+    {
+      description: 'Get contact detail with meeting history.',
+      inputSchema: z.object({
+        email: z.string().describe('Contact email address'),
+      }),
+    },
+    async ({ email }) => {
+      const meetings = db.prepare(`
+        SELECT DISTINCT m.id, m.title, m.date, m.platform
+        FROM meetings m
+        JOIN participants p ON p.meeting_id = m.id
+        WHERE p.email = ? AND m.${NOT_TRASHED}
+        ORDER BY m.date DESC
+      `).all(email);
+
+      const participant = db.prepare(
+        'SELECT * FROM participants WHERE email = ? LIMIT 1'
+      ).get(email);
+
+      let text = '';
+      if (participant) {
+        text += `# ${participant.name}\n`;
+        text += `**Email:** ${email}\n`;
+        if (participant.organization) text += `**Organization:** ${participant.organization}\n`;
+      } else {
+        text += `# Contact: ${email}\n`;
+      }
+
+      text += `\n## Meeting History (${meetings.length})\n`;
+      for (const m of meetings) {
+        text += `- [${m.date}] ${m.title} (${m.platform || 'Unknown'}) - ID: ${m.id}\n`;
+      }
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 6: list_companies
+  // ===================================================================
+  server.registerTool(
+    'list_companies',
+    {
+      description: 'List all companies/organizations with contact and meeting counts.',
+      inputSchema: z.object({}),
+    },
+    async () => {
+      const rows = db.prepare(`
+        SELECT p.organization, COUNT(DISTINCT p.email) as contact_count,
+          COUNT(DISTINCT p.meeting_id) as meeting_count
+        FROM participants p
+        JOIN meetings m ON m.id = p.meeting_id
+        WHERE p.organization IS NOT NULL AND p.organization != '' AND m.${NOT_TRASHED}
+        GROUP BY p.organization
+        ORDER BY meeting_count DESC
+      `).all();
+
+      // Also include DB-driven clients if available
+      let clientRows = [];
+      try {
+        clientRows = db.prepare('SELECT * FROM clients ORDER BY name').all();
+      } catch { /* clients table may not exist */ }
+
+      let text = `# Companies (${rows.length} from meetings)\n\n`;
+      for (const r of rows) {
+        text += `- **${r.organization}** — ${r.contact_count} contacts, ${r.meeting_count} meetings\n`;
+      }
+
+      if (clientRows.length > 0) {
+        text += `\n# Configured Clients (${clientRows.length})\n\n`;
+        for (const c of clientRows) {
+          let domains = '';
+          try { domains = c.domains ? JSON.parse(c.domains).join(', ') : ''; } catch { /* ignore */ }
+          text += `- **${c.name}** (${c.category || c.type}, ${c.status})${domains ? ` — ${domains}` : ''}\n`;
+        }
+      }
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 7: get_company
+  // ===================================================================
+  server.registerTool(
+    'get_company',
+    {
+      description: 'Get company details with contacts and recent meetings.',
+      inputSchema: z.object({
+        company: z.string().describe('Company/organization name'),
+      }),
+    },
+    async ({ company }) => {
+      return { content: [{ type: 'text', text: formatCompany(company) }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 8: get_calendar_events
+  // ===================================================================
+  server.registerTool(
+    'get_calendar_events',
+    {
+      description: 'Get meetings in a date range with coverage status (has notes or not).',
+      inputSchema: z.object({
+        startDate: z.string().describe('Start date (YYYY-MM-DD)'),
+        endDate: z.string().describe('End date (YYYY-MM-DD)'),
+      }),
+    },
+    async ({ startDate, endDate }) => {
+      const meetings = db.prepare(
+        `SELECT id, title, date, platform, status, calendar_event_id, summary FROM meetings WHERE date BETWEEN ? AND ? AND ${NOT_TRASHED} ORDER BY date`
+      ).all(startDate, endDate);
+
+      const withNotes = meetings.filter(m => m.summary);
+      const withoutNotes = meetings.filter(m => !m.summary);
+      const pct = meetings.length > 0 ? Math.round((withNotes.length / meetings.length) * 100) : 100;
+
+      let text = `# Calendar Coverage: ${startDate} to ${endDate}\n\n`;
+      text += `**Coverage:** ${pct}% (${withNotes.length}/${meetings.length} have notes)\n\n`;
+
+      if (withoutNotes.length > 0) {
+        text += `## Missing Notes (${withoutNotes.length})\n`;
+        for (const m of withoutNotes) {
+          text += `- [${m.date}] ${m.title} — ID: ${m.id}\n`;
+        }
+      }
+
+      if (withNotes.length > 0) {
+        text += `\n## With Notes (${withNotes.length})\n`;
+        for (const m of withNotes) {
+          text += `- [${m.date}] ${m.title} — ID: ${m.id}\n`;
+        }
+      }
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 9: search_across_meetings
+  // ===================================================================
+  server.registerTool(
+    'search_across_meetings',
+    {
+      description:
+        'Ranked full-text search across meeting transcripts, titles, summaries, notes and template outputs. ' +
+        'Supports "exact phrases", prefix* matching, AND / OR / NOT (or -term) and parentheses. ' +
+        'Words are stemmed, so "pricing" also finds "prices".',
+      inputSchema: z.object({
+        query: z.string().describe('Search text, e.g. "net revenue" OR forecast*'),
+        meetingId: z.string().optional().describe('Restrict the search to one meeting'),
+        limit: z.number().optional().describe('Max results (default 10)'),
+      }),
+    },
+    async ({ query, meetingId, limit: maxResults }) => {
+      const resultLimit = maxResults || 10;
+
+      // Databases older than schema v6 have no FTS index, and we open read-only
+      // so we can't build one — fall back to the substring scan.
+      if (!hasSearchIndex(db)) {
+        return { content: [{ type: 'text', text: likeSearch(query, resultLimit) }] };
+      }
+
+      const hits = searchFullText(db, query, {
+        limit: resultLimit,
+        meetingId,
+        markers: ['**', '**'],
+      });
+
+      let text = `# Search Results for "${query}"\n\n`;
+      if (hits.length === 0) {
+        text += 'No results found.\n';
+      }
+      for (const h of hits) {
+        const where =
+          h.source === 'transcript'
+            ? `${h.speaker}${h.timestamp != null ? ` at ${formatTimestamp(h.timestamp)}` : ''}`
+            : h.source;
+        text += `- [${h.date}] ${h.title} — ${where}: "${h.snippet.replace(/\s+/g, ' ')}" — ID: ${h.meetingId}\n`;
+      }
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  /**
+   * Substring search used when the database predates the FTS5 index (schema < 6).
+   * @param {string} query
+   * @param {number} resultLimit
+   * @returns {string} Markdown result text
+   */
+  function likeSearch(query, resultLimit) {
+    // Search in summaries
+    const summaryMatches = db.prepare(`
+      SELECT id, title, date, summary FROM meetings
+      WHERE (summary LIKE ? OR content LIKE ?) AND ${NOT_TRASHED}
+      ORDER BY date DESC LIMIT ?
+    `).all(`%${query}%`, `%${query}%`, resultLimit);
+
+    // Search in transcripts
+    const transcriptMatches = db.prepare(`
+      SELECT DISTINCT t.meeting_id, m.title, m.date, t.text, t.speaker
+      FROM transcript_entries t
+      JOIN meetings m ON m.id = t.meeting_id
+      WHERE t.text LIKE ? AND m.${NOT_TRASHED}
+      ORDER BY m.date DESC LIMIT ?
+    `).all(`%${query}%`, resultLimit);
+
+    let text = `# Search Results for "${query}"\n\n`;
+
+    if (summaryMatches.length > 0) {
+      text += `## In Summaries (${summaryMatches.length})\n`;
+      for (const m of summaryMatches) {
+        text += `- [${m.date}] **${m.title}** — ID: ${m.id}\n`;
+      }
+    }
+
+    if (transcriptMatches.length > 0) {
+      text += `\n## In Transcripts (${transcriptMatches.length})\n`;
+      for (const t of transcriptMatches) {
+        const snippet = t.text.substring(0, 100);
+        text += `- [${t.date}] **${t.title}** — ${t.speaker}: "${snippet}..." — ID: ${t.meeting_id}\n`;
+      }
+    }
+
+    if (summaryMatches.length === 0 && transcriptMatches.length === 0) {
+      text += 'No results found.\n';
+    }
+
+    return text;
+  }
+
+  // ===================================================================
+  // Tool 10: find_meetings_about
+  // ===================================================================
+  server.registerTool(
+    'find_meetings_about',
+    {
+      description:
+        'Semantic search: find meetings about a topic even when they never use the same words ' +
+        '(e.g. "vendor pushback on pricing" finds "they said our quote was too high"). ' +
+        'Ranks meetings by meaning using the local embedding index and points to the exact ' +
+        'utterance and timestamp. Use search_across_meetings for exact words or phrases.',
+      inputSchema: z.object({
+        query: z.string().describe('Topic or question in natural language'),
+        meetingId: z.string().optional().describe('Restrict to one meeting (returns its best passages)'),
+        limit: z.number().optional().describe('Max results (default 10)'),
+      }),
+    },
+    async ({ query, meetingId, limit: maxResults }) => {
+      if (!hasSemanticIndex(db)) {
+        return {
+          content: [{
+            type: 'text',
+            text: 'Semantic search is not available for this database (schema < v7). Use search_across_meetings instead.',
+          }],
+        };
+      }
+
+      const model = options.embedModel || getIndexedModel(db);
+      if (!model) {
+        return {
+          content: [{
+            type: 'text',
+            text: 'No meetings have been indexed for semantic search yet. Run "Find meetings about..." in the app once to build the index.',
+          }],
+        };
+      }
+
+      let hits;
+      try {
+        hits = await findMeetingsAbout(db, query, texts => fetchLocalEmbeddings(ollamaUrl, model, texts), {
+          limit: maxResults || 10,
+          meetingId,
+          model,
+        });
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Could not embed the query with ${model} at ${ollamaUrl}: ${error.message}. Use search_across_meetings instead.`,
+          }],
+        };
+      }
+
+      let text = `# Meetings about "${query}"\n\n`;
+      if (hits.length === 0) {
+        text += 'No results found.\n';
+      }
+      for (const h of hits) {
+        const where =
+          h.entryOrder != null
+            ? `${h.speaker}${h.timestamp != null ? ` at ${formatTimestamp(h.timestamp)}` : ''} (utterance #${h.entryOrder})`
+            : 'summary';
+        const excerpt = (h.utterance || h.text).replace(/\s+/g, ' ').substring(0, 200);
+        text += `- [${h.date}] ${h.title} — ${where}, similarity ${h.score.toFixed(2)}: "${excerpt}" — ID: ${h.meetingId}\n`;
+      }
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 11: list_action_items
+  // ===================================================================
+  server.registerTool(
+    'list_action_items',
+    {
+      description:
+        'List action items extracted from meeting transcripts, newest meeting first. ' +
+        'Each item links back to the utterance it came from. Defaults to open items.',
+      inputSchema: z.object({
+        status: z.enum(['open', 'done', 'dismissed', 'all']).optional().describe('Item status (default open)'),
+        owner: z.string().optional().describe('Owner email or name (partial match)'),
+        company: z.string().optional().describe('Company of any meeting participant (partial match)'),
+        meetingId: z.string().optional().describe('Restrict to one meeting'),
+        limit: z.number().optional().describe('Max results (default 100)'),
+      }),
+    },
+    async ({ status, owner, company, meetingId, limit: maxResults }) => {
+      if (!hasActionItemsTable(db)) {
+        return {
+          content: [{
+            type: 'text',
+            text: 'Action items are not available for this database (schema < v9). Open the app once to upgrade it.',
+          }],
+        };
+      }
+
+      const items = listActionItems(db, { status, owner, company, meetingId, limit: maxResults || 100 });
+      let text = `# Action Items (${status || 'open'})\n\n`;
+      if (items.length === 0) {
+        text += 'No action items found.\n';
+      }
+      for (const item of items) {
+        const assignee = item.ownerName || item.ownerEmail || 'Unassigned';
+        const email = item.ownerEmail && item.ownerName ? ` <${item.ownerEmail}>` : '';
+        text += `- [${item.status}] ${item.description} — ${assignee}${email}`;
+        if (item.dueDate) text += `, due ${item.dueDate}`;
+        text += `\n  Meeting: [${item.meetingDate}] ${item.meetingTitle} — ID: ${item.meetingId}\n`;
+        if (item.sourceText) {
+          const at = item.sourceTimestamp != null ? ` at ${formatTimestamp(item.sourceTimestamp)}` : '';
+          const excerpt = item.sourceText.replace(/\s+/g, ' ').substring(0, 200);
+          text += `  Source: ${item.sourceSpeaker}${at} (utterance #${item.sourceEntryOrder}): "${excerpt}"\n`;
+        }
+      }
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Tool 12: get_structured_data
+  // ===================================================================
+  server.registerTool(
+    'get_structured_data',
+    {
+      description:
+        'Get the structured data extracted by templates whose sections declare an output schema ' +
+        '(e.g. firm profile fields), newest meeting first, as JSON keyed by section title.',
+      inputSchema: z.object({
+        templateId: z.string().optional().describe('Template ID (file name without extension)'),
+        meetingId: z.string().optional().describe('Restrict to one meeting'),
+        startDate: z.string().optional().describe('Start date (YYYY-MM-DD)'),
+        endDate: z.string().optional().describe('End date (YYYY-MM-DD)'),
+        limit: z.number().optional().describe('Max results (default 20)'),
+      }),
+    },
+    async ({ templateId, meetingId, startDate, endDate, limit: maxResults }) => {
+      const results = listStructuredData(db, {
+        templateId,
+        meetingId,
+        startDate,
+        endDate,
+        limit: maxResults || 20,
+      });
+      const text = results.length === 0
+        ? 'No structured data found. Only template sections with an output_schema store it.'
+        : results.map(r =>
+            `[${r.meetingDate}] ${r.meetingTitle} — ${r.templateName}\nID: ${r.meetingId}\n` +
+            '```json\n' + JSON.stringify(r.data, null, 2) + '\n```'
+          ).join('\n\n---\n\n');
+
+      return { content: [{ type: 'text', text }] };
+    }
+  );
+
+  // ===================================================================
+  // Write tools (allowWrites / --allow-writes only)
+  // ===================================================================
+  // Input schemas are the shared ones from ipcSchemas.js, so MCP edits are
+  // validated exactly like the app's own IPC calls.
+
+  /**
+   * Run a meetingWrites operation, turning thrown errors into MCP tool errors.
+   * @param {Function} operation - () => result
+   * @param {Function} describe - (result) => confirmation text
+   */
+  function runWrite(operation, describe) {
+    try {
+      return { content: [{ type: 'text', text: describe(operation()) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+    }
+  }
+
+  if (allowWrites) {
+    server.registerTool(
+      'update_meeting_title',
+      {
+        description: 'Rename a meeting.',
+        inputSchema: meetingTitleUpdateSchema,
+      },
+      async input =>
+        runWrite(
+          () => updateMeetingTitle(db, input, 'mcp'),
+          r => (r.changed ? `Renamed "${r.before}" → "${r.after}".` : 'Title unchanged.')
+        )
+    );
+
+    server.registerTool(
+      'add_meeting_note',
+      {
+        description:
+          "Append a note (markdown) to a meeting's notes. Optional heading; defaults to a timestamped \"Note\" heading.",
+        inputSchema: meetingNoteAddSchema,
+      },
+      async input =>
+        runWrite(
+          () => addMeetingNote(db, input, 'mcp'),
+          r => `Added to meeting ${r.meetingId}:\n\n${r.appended}`
+        )
+    );
+
+    server.registerTool(
+      'set_speaker_mapping',
+      {
+        description:
+          'Assign a person to a diarization speaker label (e.g. "Speaker A") in one meeting and ' +
+          'relabel their utterances. get_transcript lists the labels under "Speaker labels".',
+        inputSchema: speakerMappingSetSchema,
+      },
+      async input =>
+        runWrite(
+          () => setSpeakerMapping(db, input, 'mcp'),
+          r =>
+            `${r.speakerLabel} → ${r.after.name}${r.after.email ? ` <${r.after.email}>` : ''} ` +
+            `(${r.utterancesUpdated} utterance${r.utterancesUpdated === 1 ? '' : 's'} updated).`
+        )
+    );
+
+    server.registerTool(
+      'tag_meeting',
+      {
+        description: 'Add and/or remove tags on a meeting. Tags are case-insensitive and de-duplicated.',
+        inputSchema: meetingTagsUpdateSchema,
+      },
+      async input =>
+        runWrite(
+          () => tagMeeting(db, input, 'mcp'),
+          r => `Tags for ${r.meetingId}: ${r.tags.length > 0 ? r.tags.join(', ') : '(none)'}${r.changed ? '' : ' (unchanged)'}`
+        )
+    );
+  }
+
+  // ===================================================================
+  // Resources
+  // ===================================================================
+  // Meetings, transcripts and company pages as attachable context. Listing is
+  // capped to recent items; any meeting ID or company name can still be read
+  // directly (and clients get completions for both).
+
+  function recentMeetings(limit = RESOURCE_LIST_LIMIT) {
+    return db.prepare(`SELECT id, title, date FROM meetings WHERE ${NOT_TRASHED} ORDER BY date DESC LIMIT ?`).all(limit);
+  }
+
+  function completeMeetingId(value) {
+    return db.prepare(
+      `SELECT id FROM meetings WHERE (id LIKE @prefix OR title LIKE @contains) AND ${NOT_TRASHED} ORDER BY date DESC LIMIT 20`
+    ).all({ prefix: `${value}%`, contains: `%${value}%` }).map(r => r.id);
+  }
+
+  function listCompanies() {
+    return db.prepare(`
+      SELECT organization FROM participants
+      WHERE organization IS NOT NULL AND organization != ''
+      GROUP BY organization
+      ORDER BY COUNT(DISTINCT meeting_id) DESC
+    `).all().map(r => r.organization);
+  }
+
+  function markdownResource(uri, text) {
+    return { contents: [{ uri: uri.href, mimeType: 'text/markdown', text }] };
+  }
+
+  // Registered before jdnotes://meeting/{id} so the more specific template wins.
+  server.registerResource(
+    'meeting-transcript',
+    new ResourceTemplate('jdnotes://meeting/{id}/transcript', {
+      list: () => ({
+        resources: db.prepare(`
+          SELECT id, title, date FROM meetings m
+          WHERE EXISTS (SELECT 1 FROM transcript_entries t WHERE t.meeting_id = m.id) AND m.${NOT_TRASHED}
+          ORDER BY date DESC LIMIT ?
+        `).all(RESOURCE_LIST_LIMIT).map(m => ({
+          uri: `jdnotes://meeting/${encodeURIComponent(m.id)}/transcript`,
+          name: `Transcript: ${m.title} (${String(m.date).slice(0, 10)})`,
+        })),
+      }),
+      complete: { id: completeMeetingId },
+    }),
+    {
+      title: 'Meeting transcript',
+      description: 'Full speaker-attributed transcript of a meeting',
+      mimeType: 'text/markdown',
+    },
+    async (uri, { id }) => {
+      const meetingId = decodeURIComponent(id);
+      const text = formatTranscript(meetingId);
+      if (!text) throw new Error(`No transcript found for meeting ${meetingId}`);
+      return markdownResource(uri, text);
+    }
+  );
+
+  server.registerResource(
+    'meeting',
+    new ResourceTemplate('jdnotes://meeting/{id}', {
+      list: () => ({
+        resources: recentMeetings().map(m => ({
+          uri: `jdnotes://meeting/${encodeURIComponent(m.id)}`,
+          name: `${m.title} (${String(m.date).slice(0, 10)})`,
+        })),
+      }),
+      complete: { id: completeMeetingId },
+    }),
+    {
+      title: 'Meeting',
+      description: 'Meeting details: participants, summary and template outputs',
+      mimeType: 'text/markdown',
+    },
+    async (uri, { id }) => {
+      const meetingId = decodeURIComponent(id);
+      const text = formatMeeting(meetingId);
+      if (!text) throw new Error(`Meeting ${meetingId} not found`);
+      return markdownResource(uri, text);
+    }
+  );
+
+  server.registerResource(
+    'company',
+    new ResourceTemplate('jdnotes://company/{name}', {
+      list: () => ({
+        resources: listCompanies().slice(0, RESOURCE_LIST_LIMIT).map(name => ({
+          uri: `jdnotes://company/${encodeURIComponent(name)}`,
+          name,
+        })),
+      }),
+      complete: {
+        name: value => listCompanies().filter(n => n.toLowerCase().includes(value.toLowerCase())).slice(0, 20),
+      },
+    }),
+    {
+      title: 'Company',
+      description: 'Company page: contacts and recent meetings',
+      mimeType: 'text/markdown',
+    },
+    async (uri, { name }) => markdownResource(uri, formatCompany(decodeURIComponent(name)))
+  );
+
+  // ===================================================================
+  // Prompts (one per summary template)
+  // ===================================================================
+  // The same templates the app runs (config/templates), packaged as prompts
+  // that attach a meeting's transcript, so the prompt library works inside
+  // Claude Desktop too.
+
+  for (const template of loadTemplates(options.templatesPaths || [], log)) {
+    server.registerPrompt(
+      template.id,
+      {
+        title: template.name,
+        description: `${template.description || template.name} — run against a meeting transcript`,
+        argsSchema: {
+          meetingId: completable(z.string().describe('Meeting ID'), completeMeetingId),
+        },
+      },
+      async ({ meetingId }) => {
+        const meeting = db
+          .prepare(`SELECT id, title, date FROM meetings WHERE id = ? AND ${NOT_TRASHED}`)
+          .get(meetingId);
+        if (!meeting) throw new Error(`Meeting ${meetingId} not found`);
+        const transcript = formatTranscript(meetingId);
+        if (!transcript) throw new Error(`Meeting ${meetingId} has no transcript`);
+
+        return {
+          description: `${template.name}: ${meeting.title}`,
+          messages: [
+            {
+              role: 'user',
+              content: {
+                type: 'resource',
+                resource: {
+                  uri: `jdnotes://meeting/${encodeURIComponent(meetingId)}/transcript`,
+                  mimeType: 'text/markdown',
+                  text: transcript,
+                },
+              },
+            },
+            {
+              role: 'user',
+              content: { type: 'text', text: buildTemplateInstructions(template, meeting) },
+            },
+          ],
+        };
+      }
+    );
+  }
+
+  // ===================================================================
+  // Helper functions
+  // ===================================================================
+
+  /**
+   * Meeting details as markdown (shared by get_meeting and jdnotes://meeting/{id}).
+   * @param {string} meetingId
+   * @returns {string|null} null when the meeting doesn't exist or is in the Trash
+   */
+  function formatMeeting(meetingId) {
+    const meeting = db.prepare(`SELECT * FROM meetings WHERE id = ? AND ${NOT_TRASHED}`).get(meetingId);
+    if (!meeting) return null;
+
+    const participants = db.prepare('SELECT * FROM participants WHERE meeting_id = ?').all(meetingId);
+    const attendees = db.prepare('SELECT * FROM calendar_attendees WHERE meeting_id = ?').all(meetingId);
+
+    let text = `# ${meeting.title}\n\n`;
+    text += `**Date:** ${meeting.date}\n`;
+    text += `**Platform:** ${meeting.platform || 'Unknown'}\n`;
+    text += `**Status:** ${meeting.status}\n`;
+    if (meeting.duration) text += `**Duration:** ${Math.round(meeting.duration / 60)} minutes\n`;
+    if (meeting.transcription_provider) text += `**Transcription:** ${meeting.transcription_provider}\n`;
+
+    if (participants.length > 0) {
+      text += `\n## Participants (${participants.length})\n`;
+      for (const p of participants) {
+        text += `- ${p.name}${p.email ? ` (${p.email})` : ''}${p.organization ? ` - ${p.organization}` : ''}${p.is_host ? ' [Host]' : ''}\n`;
+      }
+    }
+
+    if (attendees.length > 0) {
+      text += `\n## Calendar Attendees (${attendees.length})\n`;
+      for (const a of attendees) {
+        text += `- ${a.name || a.email} (${a.response_status || 'unknown'})\n`;
+      }
+    }
+
+    if (meeting.summary) {
+      text += `\n## Summary\n${meeting.summary}\n`;
+    }
+
+    if (meeting.summaries) {
+      try {
+        const summaries = JSON.parse(meeting.summaries);
+        if (Array.isArray(summaries) && summaries.length > 0) {
+          text += `\n## Template Summaries\n`;
+          for (const s of summaries) {
+            text += `### ${s.templateName || s.templateId || 'Template'}\n${s.content || s.text || ''}\n\n`;
+          }
+        }
+      } catch { /* ignore parse errors */ }
+    }
+
+    return text;
+  }
+
+  /**
+   * Transcript as "[m:ss] **Speaker:** text" lines.
+   * @param {string} meetingId
+   * @returns {string|null} null when the meeting has no transcript or is in the Trash
+   */
+  function formatTranscript(meetingId) {
+    const entries = db.prepare(`
+      SELECT t.* FROM transcript_entries t JOIN meetings m ON m.id = t.meeting_id
+      WHERE t.meeting_id = ? AND m.${NOT_TRASHED}
+      ORDER BY t.entry_order
+    `).all(meetingId);
+    if (entries.length === 0) return null;
+
+    return entries.map(e => {
+      const speaker = e.speaker_display_name || e.speaker_name || e.speaker;
+      const ts = e.timestamp != null ? `[${formatTimestamp(e.timestamp)}] ` : '';
+      return `${ts}**${speaker}:** ${e.text}`;
+    }).join('\n');
+  }
+
+  /**
+   * Company page: contacts and recent meetings for an organization (substring match).
+   * @param {string} company
+   * @returns {string}
+   */
+  function formatCompany(company) {
+    const contacts = db.prepare(`
+      SELECT DISTINCT name, email
+      FROM participants
+      WHERE organization LIKE ?
+    `).all(`%${company}%`);
+
+    const meetings = db.prepare(`
+      SELECT DISTINCT m.id, m.title, m.date, m.platform
+      FROM meetings m
+      JOIN participants p ON p.meeting_id = m.id
+      WHERE p.organization LIKE ? AND m.${NOT_TRASHED}
+      ORDER BY m.date DESC
+      LIMIT 50
+    `).all(`%${company}%`);
+
+    let text = `# ${company}\n\n`;
+    text += `## Contacts (${contacts.length})\n`;
+    for (const c of contacts) {
+      text += `- ${c.name}${c.email ? ` (${c.email})` : ''}\n`;
+    }
+
+    text += `\n## Recent Meetings (${meetings.length})\n`;
+    for (const m of meetings) {
+      text += `- [${m.date}] ${m.title} — ID: ${m.id}\n`;
+    }
+
+    return text;
+  }
+
+  return server;
+}
+
+/**
+ * Load templates from the first directory that exists. Parsed directly with
+ * TemplateParser: TemplateManager logs to stdout, which is the stdio MCP channel.
+ * @param {string[]} dirs - Candidate template directories, in priority order
+ * @param {Function} log - (message) => void
+ * @returns {Array<Object>} Parsed templates
+ */
+function loadTemplates(dirs, log) {
+  const dir = dirs.find(candidate => candidate && fs.existsSync(candidate));
+  if (!dir) return [];
+
+  const templates = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!TemplateManager.VALID_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+    try {
+      templates.push(TemplateParser.parseFile(path.join(dir, file)));
+    } catch (error) {
+      log(`Skipping template ${file}: ${error.message}`);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Instructions for a template, mirroring how the app sends each section's
+ * prompt against the transcript.
+ * @param {Object} template - Parsed template
+ * @param {{title: string, date: string}} meeting
+ * @returns {string}
+ */
+function buildTemplateInstructions(template, meeting) {
+  let text = `Analyze the transcript of "${meeting.title}" (${meeting.date}) attached above ` +
+    `and produce the "${template.name}" summary.\n\n`;
+  if (template.sections.length === 1) {
+    return text + sectionInstructions(template.sections[0]);
+  }
+  text += 'Write each of the following sections under its own heading.\n';
+  for (const section of template.sections) {
+    text += `\n## ${section.title}\n${sectionInstructions(section)}\n`;
+  }
+  return text;
+}
+
+// A section's prompt, plus the JSON Schema its answer follows when it has one
+function sectionInstructions(section) {
+  if (!section.output_schema) return section.prompt.trim();
+  return `${section.prompt.trim()}\nAnswer this section as JSON matching this schema:\n` +
+    '```json\n' + JSON.stringify(providerSchema(section.output_schema), null, 2) + '\n```';
+}
+
+function formatTimestamp(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  if (h > 0) return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+module.exports = {
+  createMcpServer,
+};
@@ -0,0 +1,410 @@
+/**
+ * Meeting Bundles (.jdmeeting)
+ *
+ * One meeting packed up for another install, e.g. a colleague's. A bundle is
+ * a ZIP archive:
+ *
+ *   manifest.json   format marker, bundle version, source schema version,
+ *                   meeting id and the audio entry (if any)
+ *   meeting.json    the meeting's rows as stored: the meetings row plus its
+ *                   participants, transcript_entries, speaker_mappings and
+ *                   calendar_attendees, then its tags and custom field values
+ *   audio/<file>    the recording, when it is still on disk
+ *
+ * Rows are kept as raw column values rather than going through the meeting
+ * object, so summaries, speaker_mapping, extra_fields and every transcript
+ * field survive the trip unchanged.
+ *
+ * Import:
+ *   - ID collisions: if the meeting already exists with the same updated_at it
+ *     is the same meeting and nothing is imported. If it has been edited since
+ *     (here or by the sender), the caller picks: keep it (the default), replace
+ *     it in place with the bundle's version, or import the bundle as a copy
+ *     under `<id>-imported` (`-imported-2`, ...).
+ *   - Schema differences: columns this install doesn't have are dropped and
+ *     missing ones get their defaults.
+ *   - Machine-local columns are cleared: vault note paths (the notes are not
+ *     in the bundle), recording/upload ids, trash state and `local-` series ids
+ *     (the matched meeting doesn't exist here; the series is detected again).
+ *   - Contacts: participants' google_contact_resource belongs to the sender's
+ *     Google account, so it is re-resolved by email against this install's
+ *     contacts (see resolveContactResources) or cleared.
+ *   - Custom fields are matched by key. Missing definitions are created; values
+ *     that don't fit this install's definition are skipped and reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+// archiver 8 is ESM-only and dropped the factory export; ZipArchive is the zip format class
+const { ZipArchive } = require('archiver');
+const meetingFields = require('./meetingFields');
+
+const BUNDLE_FORMAT = 'jdmeeting';
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSION = 'jdmeeting';
+
+// Child tables copied with the meeting, in insert order
+const CHILD_TABLES = [
+  'participants',
+  'transcript_entries',
+  'speaker_mappings',
+  'calendar_attendees',
+];
+
+// Meeting columns that only make sense on the machine that wrote them
+const LOCAL_ONLY_COLUMNS = [
+  'obsidian_link',
+  'vault_path',
+  'recording_id',
+  'upload_token',
+  'sdk_upload_id',
+  'recall_recording_id',
+  'recording_status',
+  'trashed_at',
+  'trash_info',
+];
+
+// ======================================================================
+// Export
+// ======================================================================
+
+/**
+ * Read everything a bundle carries for a meeting.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {Object|null} Bundle data (meeting.json), or null if the meeting doesn't exist
+ */
+function collectMeetingBundle(db, meetingId) {
+  const meeting = db.prepare('SELECT * FROM meetings WHERE id = ?').get(meetingId);
+  if (!meeting) return null;
+
+  // The schema the rows were read from, so an import can tell what to expect
+  const data = { schema_version: db.pragma('user_version', { simple: true }), meeting };
+  for (const table of CHILD_TABLES) {
+    const order = table === 'transcript_entries' ? 'entry_order, id' : 'id';
+    data[table] = db
+      .prepare(`SELECT * FROM ${table} WHERE meeting_id = ? ORDER BY ${order}`)
+      .all(meetingId)
+      .map(({ id: _id, meeting_id: _meetingId, ...row }) => row);
+  }
+
+  data.tags = [];
+  data.custom_fields = [];
+  if (meetingFields.hasMeetingFieldTables(db)) {
+    data.tags = meetingFields.getMeetingTags(db, meetingId);
+    const values = meetingFields.getMeetingFieldValues(db, meetingId);
+    data.custom_fields = meetingFields
+      .listFieldDefinitions(db)
+      .filter(d => d.key in values)
+      .map(({ key, label, type, options }) => ({ key, label, type, options, value: values[key] }));
+  }
+  return data;
+}
+
+/**
+ * Write a bundle archive.
+ * @param {string} bundlePath - Output .jdmeeting path
+ * @param {Object} data - From collectMeetingBundle
+ * @param {string|null} [audioPath] - The meeting's recording; left out if missing
+ * @returns {Promise<{path: string, size: number, hasAudio: boolean}>}
+ */
+function writeMeetingBundle(bundlePath, data, audioPath = null) {
+  const hasAudio = !!audioPath && fs.existsSync(audioPath);
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    schemaVersion: data.schema_version ?? null,
+    meetingId: data.meeting.id,
+    title: data.meeting.title,
+    audio: hasAudio ? `audio/${path.basename(audioPath)}` : null,
+  };
+
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(bundlePath);
+    const archive = new ZipArchive({ zlib: { level: 6 } });
+
+    output.on('close', () => resolve({ path: bundlePath, size: archive.pointer(), hasAudio }));
+    output.on('error', err => reject(err));
+    archive.on('error', err => reject(err));
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    archive.append(JSON.stringify(data), { name: 'meeting.json' });
+    if (hasAudio) archive.file(audioPath, { name: manifest.audio });
+    archive.finalize();
+  });
+}
+
+// ======================================================================
+// Import
+// ======================================================================
+
+/**
+ * Read and validate a bundle archive.
+ * @param {string} bundlePath
+ * @returns {Promise<{manifest: Object, data: Object, audio: {name: string, buffer: Buffer}|null}>}
+ * @throws {Error} If the file isn't a bundle this version can read
+ */
+async function readMeetingBundle(bundlePath) {
+  const unzipper = require('unzipper');
+  const directory = await unzipper.Open.file(bundlePath);
+  const entry = name => directory.files.find(f => f.path === name);
+
+  const manifestEntry = entry('manifest.json');
+  const dataEntry = entry('meeting.json');
+  if (!manifestEntry || !dataEntry) throw new Error('Not a meeting bundle');
+
+  const manifest = JSON.parse((await manifestEntry.buffer()).toString('utf-8'));
+  if (manifest.format !== BUNDLE_FORMAT) throw new Error('Not a meeting bundle');
+  if (!(manifest.version <= BUNDLE_VERSION)) {
+    throw new Error(
+      `Meeting bundle version ${manifest.version} is newer than this app supports; update the app`
+    );
+  }
+
+  const data = JSON.parse((await dataEntry.buffer()).toString('utf-8'));
+  const meeting = data?.meeting;
+  if (!meeting || typeof meeting.id !== 'string' || !meeting.id || !meeting.title) {
+    throw new Error('Meeting bundle has no meeting');
+  }
+
+  let audio = null;
+  if (manifest.audio) {
+    const audioEntry = entry(manifest.audio);
+    if (!audioEntry) throw new Error(`Meeting bundle is missing ${manifest.audio}`);
+    // Only the file name is used, so a crafted entry path can't escape the recordings folder
+    audio = { name: path.basename(manifest.audio), buffer: await audioEntry.buffer() };
+  }
+  return { manifest, data, audio };
+}
+
+/**
+ * Id to import a meeting under: its own if free, else `<id>-imported[-N]`.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {string}
+ */
+function resolveImportId(db, meetingId) {
+  const taken = db.prepare('SELECT 1 FROM meetings WHERE id = ?');
+  if (!taken.get(meetingId)) return meetingId;
+  let id = `${meetingId}-imported`;
+  for (let n = 2; taken.get(id); n++) id = `${meetingId}-imported-${n}`;
+  return id;
+}
+
+/**
+ * Look up this install's Google contact for each participant email.
+ * @param {Object} data - Bundle data
+ * @param {(email: string) => Promise<{resourceName?: string}|null>} findContactByEmail
+ * @returns {Promise<Map<string, string>>} Lowercased email → contact resource name
+ */
+async function resolveContactResources(data, findContactByEmail) {
+  const resources = new Map();
+  const emails = new Set(
+    (data.participants || []).map(p => p.email?.toLowerCase().trim()).filter(Boolean)
+  );
+  for (const email of emails) {
+    try {
+      const contact = await findContactByEmail(email);
+      if (contact?.resourceName) resources.set(email, contact.resourceName);
+    } catch {
+      // Not being able to reach contacts just leaves the participant unlinked
+    }
+  }
+  return resources;
+}
+
+/**
+ * Write a bundle's audio into the recordings folder without overwriting
+ * anything there.
+ * @param {{name: string, buffer: Buffer}} audio
+ * @param {string} recordingsDir
+ * @returns {string} Path of the written file
+ */
+function saveBundleAudio(audio, recordingsDir) {
+  fs.mkdirSync(recordingsDir, { recursive: true });
+  const ext = path.extname(audio.name);
+  const base = path.basename(audio.name, ext) || 'recording';
+  let target = path.join(recordingsDir, `${base}${ext}`);
+  for (let n = 2; fs.existsSync(target); n++) {
+    target = path.join(recordingsDir, `${base}-${n}${ext}`);
+  }
+  fs.writeFileSync(target, audio.buffer);
+  return target;
+}
+
+function tableColumns(db, table) {
+  return new Set(
+    db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map(c => c.name)
+  );
+}
+
+function toSqlValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// Insert the row's values for the columns the table has. Column names come
+// from PRAGMA table_info, never from the bundle, so they are safe to inline.
+function insertRow(db, table, columns, row) {
+  const keys = [...columns].filter(c => Object.prototype.hasOwnProperty.call(row, c));
+  db.prepare(
+    `INSERT INTO ${table} (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`
+  ).run(keys.map(k => toSqlValue(row[k])));
+}
+
+// Update the row with row.id, setting the columns both sides have
+function updateRow(db, table, columns, row) {
+  const keys = [...columns].filter(c => c !== 'id' && Object.prototype.hasOwnProperty.call(row, c));
+  db.prepare(`UPDATE ${table} SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`).run(
+    ...keys.map(k => toSqlValue(row[k])),
+    row.id
+  );
+}
+
+// Set the bundle's custom field values, creating missing definitions.
+// Returns the fields that were skipped and why.
+function importCustomFields(db, meetingId, customFields) {
+  const skipped = [];
+  const definitions = new Map(meetingFields.listFieldDefinitions(db).map(d => [d.key, d]));
+  const values = {};
+  for (const field of customFields || []) {
+    let definition = definitions.get(field.key);
+    try {
+      if (!definition) {
+        definition = meetingFields.saveFieldDefinition(db, field);
+        definitions.set(field.key, definition);
+      } else if (definition.type !== field.type) {
+        throw new Error(`${definition.label} is a ${definition.type} field here`);
+      }
+      values[definition.key] = meetingFields.coerceFieldValue(definition, field.value);
+    } catch (error) {
+      skipped.push({ key: field.key, value: field.value, reason: error.message });
+    }
+  }
+  meetingFields.setMeetingFieldValues(db, meetingId, values);
+  return skipped;
+}
+
+/**
+ * How a bundle's meeting relates to this install's meetings.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} data - Bundle data (meeting.json)
+ * @returns {'new'|'unchanged'|'changed'} 'changed': a meeting with its id is here, edited since
+ *   (on either side)
+ */
+function bundleMeetingStatus(db, data) {
+  const existing = db.prepare('SELECT updated_at FROM meetings WHERE id = ?').get(data.meeting.id);
+  if (!existing) return 'new';
+  return existing.updated_at === data.meeting.updated_at ? 'unchanged' : 'changed';
+}
+
+/**
+ * Insert a bundle's meeting and rows.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} data - Bundle data (meeting.json)
+ * @param {Object} [options]
+ * @param {string|null} [options.audioFile] - Where the bundle's audio was saved
+ * @param {Map<string, string>} [options.contactResources] - From resolveContactResources
+ * @param {'skip'|'replace'|'copy'} [options.onExisting='skip'] - When the meeting is already
+ *   here: leave it, overwrite it with the bundle's version, or import the bundle under a new id
+ * @returns {{meetingId: string, originalId: string, renamed: boolean, replaced: boolean,
+ *   alreadyImported: boolean, skippedFields: Array<{key: string, value: *, reason: string}>}}
+ */
+function importMeetingBundle(
+  db,
+  data,
+  { audioFile = null, contactResources = new Map(), onExisting = 'skip' } = {}
+) {
+  const originalId = data.meeting.id;
+  const status = bundleMeetingStatus(db, data);
+  if (status === 'unchanged' || (status === 'changed' && onExisting === 'skip')) {
+    return {
+      meetingId: originalId,
+      originalId,
+      renamed: false,
+      replaced: false,
+      alreadyImported: true,
+      skippedFields: [],
+    };
+  }
+  const replace = status === 'changed' && onExisting === 'replace';
+
+  return db.transaction(() => {
+    const meetingId = replace ? originalId : resolveImportId(db, originalId);
+    const meeting = { ...data.meeting, id: meetingId, video_file: audioFile };
+    for (const column of LOCAL_ONLY_COLUMNS) meeting[column] = null;
+    if (meeting.status === 'trashed') meeting.status = 'past';
+    if (String(meeting.series_id || '').startsWith('local-')) meeting.series_id = null;
+
+    if (replace) {
+      // Update in place rather than delete and insert, so rows that hang off the meeting here
+      // (revisions, vault sync state, search index) aren't cascaded away. Machine-local columns
+      // still describe this machine.
+      const current = db.prepare('SELECT * FROM meetings WHERE id = ?').get(meetingId);
+      for (const column of [...LOCAL_ONLY_COLUMNS, 'status', 'series_id']) {
+        if (column in current) meeting[column] = current[column];
+      }
+      meeting.video_file = audioFile || current.video_file;
+      updateRow(db, 'meetings', tableColumns(db, 'meetings'), meeting);
+      for (const table of CHILD_TABLES) {
+        db.prepare(`DELETE FROM ${table} WHERE meeting_id = ?`).run(meetingId);
+      }
+    } else {
+      insertRow(db, 'meetings', tableColumns(db, 'meetings'), meeting);
+    }
+
+    for (const table of CHILD_TABLES) {
+      const columns = tableColumns(db, table);
+      columns.delete('id');
+      for (const row of data[table] || []) {
+        const copy = { ...row, meeting_id: meetingId };
+        if (table === 'participants') {
+          copy.google_contact_resource =
+            contactResources.get(
+              String(row.email || '')
+                .toLowerCase()
+                .trim()
+            ) || null;
+        }
+        insertRow(db, table, columns, copy);
+      }
+    }
+
+    let skippedFields = [];
+    if (meetingFields.hasMeetingFieldTables(db)) {
+      if (data.tags?.length || replace)
+        meetingFields.setMeetingTags(db, meetingId, data.tags || []);
+      skippedFields = importCustomFields(db, meetingId, data.custom_fields);
+    }
+
+    return {
+      meetingId,
+      originalId,
+      renamed: meetingId !== originalId,
+      replaced: replace,
+      alreadyImported: false,
+      skippedFields,
+    };
+  })();
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  BUNDLE_EXTENSION,
+  collectMeetingBundle,
+  writeMeetingBundle,
+  readMeetingBundle,
+  resolveImportId,
+  bundleMeetingStatus,
+  resolveContactResources,
+  saveBundleAudio,
+  importMeetingBundle,
+};
@@ -0,0 +1,675 @@
+/**
+ * Duplicate Meetings (schema v15)
+ *
+ * Finds meetings that are probably the same call stored twice — typically a
+ * local recording and an imported transcript of it (Zoom, Otter, ...) — and
+ * merges them. Two meetings are compared on:
+ *
+ *   - calendar event: the same calendar_event_id is the same occurrence
+ *   - time: how much their start..end intervals overlap
+ *   - participants: overlap of their participant emails (names as fallback)
+ *   - transcript: Jaccard similarity of the transcripts' 3-word shingles,
+ *     estimated with MinHash. Different transcription engines disagree on
+ *     words, so even the same call rarely scores above ~0.6; different calls
+ *     stay near 0.
+ *
+ * "Keep both" is remembered in `duplicate_dismissals` so the pair isn't
+ * suggested again. Merging keeps the better transcript and the union of
+ * participants, summaries and tags on one meeting; the caller moves the other
+ * meeting to the Trash.
+ */
+
+const { NOT_TRASHED } = require('./meetingTrash');
+const meetingFields = require('./meetingFields');
+const { hasRevisionsTable, recordRevisions } = require('./meetingRevisions');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Only meetings starting this close to each other (or sharing a calendar event) are compared
+const CANDIDATE_WINDOW_MS = 12 * HOUR_MS;
+// Without a duration, starts this close count as fully overlapping, falling off to 0
+const START_TOLERANCE_MS = 30 * 60 * 1000;
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 64;
+// Transcripts shorter than this (in words) are too short to compare
+const MIN_WORDS = 30;
+const MIN_TEXT_SIMILARITY = 0.25;
+// Same content no matter what the time or calendar say (re-import, copied file)
+const SAME_TEXT_SIMILARITY = 0.6;
+const MIN_TIME_OVERLAP = 0.5;
+const MIN_PARTICIPANT_OVERLAP = 0.5;
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+    meeting_a TEXT NOT NULL,
+    meeting_b TEXT NOT NULL,
+    dismissed_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (meeting_a, meeting_b)
+  );
+`;
+
+/**
+ * Create the duplicate_dismissals table (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createDuplicateTables(db) {
+  db.exec(SCHEMA_SQL);
+}
+
+// ======================================================================
+// Transcript fingerprint
+// ======================================================================
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seeds for the MinHash functions, fixed so signatures are comparable across runs
+const SEEDS = (() => {
+  const seeds = new Uint32Array(NUM_HASHES);
+  let state = 0x9e3779b9;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    seeds[i] = state;
+  }
+  return seeds;
+})();
+
+// murmur3 finalizer of (value ^ seed): one of NUM_HASHES independent hash functions
+function mix(value, seed) {
+  let h = (value ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Lowercased words of a transcript, without punctuation or speaker labels.
+ * @param {Array<{text: string}>} entries
+ * @returns {string[]}
+ */
+function transcriptWords(entries) {
+  return (entries || [])
+    .map(entry => entry.text || '')
+    .join(' ')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * MinHash signature of a transcript's word shingles.
+ * @param {Array<{text: string}>} entries
+ * @returns {Uint32Array|null} Null when the transcript is too short to compare
+ */
+function transcriptSignature(entries) {
+  const words = transcriptWords(entries);
+  if (words.length < MIN_WORDS) return null;
+
+  const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = hashString(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    for (let k = 0; k < NUM_HASHES; k++) {
+      const h = mix(shingle, SEEDS[k]);
+      if (h < signature[k]) signature[k] = h;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of the shingle sets behind two signatures.
+ * @param {Uint32Array} a
+ * @param {Uint32Array} b
+ * @returns {number} 0..1
+ */
+function signatureSimilarity(a, b) {
+  let same = 0;
+  for (let k = 0; k < NUM_HASHES; k++) if (a[k] === b[k]) same++;
+  return same / NUM_HASHES;
+}
+
+// ======================================================================
+// Comparing two meetings
+// ======================================================================
+
+/**
+ * What duplicate detection needs to know about a meeting.
+ * @typedef {Object} DuplicateProbe
+ * @property {string} id
+ * @property {string} title
+ * @property {string} date
+ * @property {number} start - Epoch ms
+ * @property {number|null} end - Epoch ms, null when the duration is unknown
+ * @property {string|null} calendarEventId
+ * @property {Set<string>} people - Lowercased emails, or names when there are none
+ * @property {Uint32Array|null} signature
+ */
+
+function meetingEnd(start, duration, endTime) {
+  const end = Date.parse(endTime || '');
+  if (!isNaN(end) && end > start) return end;
+  return duration > 0 ? start + duration * 1000 : null;
+}
+
+function peopleSet(emails, names) {
+  const normalized = list =>
+    new Set(list.filter(Boolean).map(value => String(value).trim().toLowerCase()));
+  const byEmail = normalized(emails);
+  return byEmail.size > 0 ? byEmail : normalized(names);
+}
+
+/**
+ * Probe for a meeting object in app format (e.g. a fresh import, not saved yet).
+ * @param {Object} meeting
+ * @returns {DuplicateProbe|null} Null when the meeting has no usable date
+ */
+function probeFromMeeting(meeting) {
+  const start = Date.parse(meeting.start || meeting.date);
+  if (isNaN(start)) return null;
+  const participants = meeting.participants || [];
+  return {
+    id: meeting.id,
+    title: meeting.title,
+    date: meeting.date,
+    start,
+    end: meetingEnd(start, meeting.duration, meeting.end),
+    calendarEventId: meeting.calendarEventId || null,
+    people: peopleSet(
+      [...(meeting.participantEmails || []), ...participants.map(p => p.email)],
+      participants.map(p => p.name)
+    ),
+    signature: transcriptSignature(meeting.transcript),
+  };
+}
+
+const PROBE_COLUMNS =
+  'id, title, date, start_time, end_time, duration, calendar_event_id, participant_emails';
+
+function probeFromRow(db, row) {
+  const start = Date.parse(row.start_time || row.date);
+  if (isNaN(start)) return null;
+
+  let emails = [];
+  try {
+    emails = JSON.parse(row.participant_emails || '[]') || [];
+  } catch {
+    // Malformed JSON — the participants table still applies
+  }
+  const participants = db
+    .prepare('SELECT name, email FROM participants WHERE meeting_id = ?')
+    .all(row.id);
+  const entries = db
+    .prepare('SELECT text FROM transcript_entries WHERE meeting_id = ? ORDER BY entry_order')
+    .all(row.id);
+
+  return {
+    id: row.id,
+    title: row.title,
+    date: row.date,
+    start,
+    end: meetingEnd(start, row.duration, row.end_time),
+    calendarEventId: row.calendar_event_id || null,
+    people: peopleSet(
+      [...emails, ...participants.map(p => p.email)],
+      participants.map(p => p.name)
+    ),
+    signature: transcriptSignature(entries),
+  };
+}
+
+// Share of the shorter meeting that overlaps the other, 0..1
+function timeOverlap(a, b) {
+  if (a.end && b.end) {
+    const overlap = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+    const shorter = Math.min(a.end - a.start, b.end - b.start);
+    return shorter > 0 ? Math.max(0, overlap) / shorter : 0;
+  }
+  return Math.max(0, 1 - Math.abs(a.start - b.start) / START_TOLERANCE_MS);
+}
+
+function setOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return null;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Compare two meetings.
+ * @param {DuplicateProbe} a
+ * @param {DuplicateProbe} b
+ * @returns {{duplicate: boolean, score: number, reasons: string[], signals: Object}}
+ */
+function compareMeetings(a, b) {
+  const sameEvent = !!a.calendarEventId && a.calendarEventId === b.calendarEventId;
+  const otherEvent = !!a.calendarEventId && !!b.calendarEventId && !sameEvent;
+  const time = timeOverlap(a, b);
+  const people = setOverlap(a.people, b.people);
+  const text = a.signature && b.signature ? signatureSimilarity(a.signature, b.signature) : null;
+
+  let duplicate;
+  if (text !== null && text >= SAME_TEXT_SIMILARITY) {
+    duplicate = true;
+  } else if (otherEvent) {
+    duplicate = false; // Back-to-back occurrences of different events
+  } else if (text !== null && text < MIN_TEXT_SIMILARITY) {
+    duplicate = false; // Different conversations, whatever the calendar says
+  } else if (sameEvent) {
+    duplicate = true;
+  } else if (text !== null) {
+    // Similar transcripts: same time, or the same people (imports dated by day only)
+    duplicate = time >= MIN_TIME_OVERLAP || (people ?? 0) >= MIN_PARTICIPANT_OVERLAP;
+  } else {
+    duplicate = time >= MIN_TIME_OVERLAP && (people ?? 0) >= MIN_PARTICIPANT_OVERLAP;
+  }
+
+  const reasons = [];
+  if (sameEvent) reasons.push('same calendar event');
+  if (time >= MIN_TIME_OVERLAP) reasons.push('overlapping time');
+  if (people !== null && people >= MIN_PARTICIPANT_OVERLAP) reasons.push('same participants');
+  if (text !== null && text >= MIN_TEXT_SIMILARITY) reasons.push('similar transcript');
+
+  const scores = [time, people, text].filter(value => value !== null);
+  if (sameEvent) scores.push(1);
+  const score = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+
+  return {
+    duplicate,
+    score: round(score),
+    reasons,
+    signals: { sameEvent, time: round(time), people: round(people), text: round(text) },
+  };
+}
+
+// ======================================================================
+// Finding duplicates
+// ======================================================================
+
+function pairKey(idA, idB) {
+  return idA < idB ? [idA, idB] : [idB, idA];
+}
+
+function isDismissed(db, idA, idB) {
+  return !!db
+    .prepare('SELECT 1 FROM duplicate_dismissals WHERE meeting_a = ? AND meeting_b = ?')
+    .get(...pairKey(idA, idB));
+}
+
+/**
+ * Remember that two meetings are not duplicates ("Keep both").
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} idA
+ * @param {string} idB
+ */
+function dismissDuplicate(db, idA, idB) {
+  db.prepare('INSERT OR IGNORE INTO duplicate_dismissals (meeting_a, meeting_b) VALUES (?, ?)').run(
+    ...pairKey(idA, idB)
+  );
+}
+
+const summarize = probe => ({ id: probe.id, title: probe.title, date: probe.date });
+
+/**
+ * Likely duplicates of a meeting among the stored ones, best match first.
+ * @param {import('better-sqlite3').Database} db
+ * @param {DuplicateProbe} probe - See probeFromMeeting
+ * @returns {Array<{id: string, title: string, date: string, score: number, reasons: string[]}>}
+ */
+function findDuplicates(db, probe) {
+  if (!probe) return [];
+  const from = new Date(probe.start - CANDIDATE_WINDOW_MS).toISOString();
+  const to = new Date(probe.start + CANDIDATE_WINDOW_MS).toISOString();
+  const rows = db
+    .prepare(
+      `SELECT ${PROBE_COLUMNS} FROM meetings
+       WHERE id != ? AND ${NOT_TRASHED} AND status IS NOT 'upcoming'
+         AND ((date >= ? AND date <= ?) OR calendar_event_id = ?)`
+    )
+    .all(probe.id, from, to, probe.calendarEventId);
+
+  const matches = [];
+  for (const row of rows) {
+    if (isDismissed(db, probe.id, row.id)) continue;
+    const candidate = probeFromRow(db, row);
+    if (!candidate) continue;
+    const result = compareMeetings(probe, candidate);
+    if (result.duplicate) {
+      matches.push({ ...summarize(candidate), score: result.score, reasons: result.reasons });
+    }
+  }
+  return matches.sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Likely duplicates of a stored meeting.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {Array} See findDuplicates
+ */
+function findDuplicatesOf(db, meetingId) {
+  const row = db.prepare(`SELECT ${PROBE_COLUMNS} FROM meetings WHERE id = ?`).get(meetingId);
+  return row ? findDuplicates(db, probeFromRow(db, row)) : [];
+}
+
+/**
+ * Every likely duplicate pair among the stored meetings, best match first.
+ * Meetings are walked in date order so each is only compared with those
+ * starting within the candidate window (and those sharing its calendar event).
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array<{a: Object, b: Object, score: number, reasons: string[]}>}
+ */
+function scanDuplicates(db) {
+  const probes = db
+    .prepare(
+      `SELECT ${PROBE_COLUMNS} FROM meetings
+       WHERE ${NOT_TRASHED} AND status IS NOT 'upcoming' ORDER BY date, id`
+    )
+    .all()
+    .map(row => probeFromRow(db, row))
+    .filter(Boolean)
+    .sort((x, y) => x.start - y.start);
+
+  const pairs = [];
+  const compare = (a, b) => {
+    if (isDismissed(db, a.id, b.id)) return;
+    const result = compareMeetings(a, b);
+    if (result.duplicate) {
+      pairs.push({
+        a: summarize(a),
+        b: summarize(b),
+        score: result.score,
+        reasons: result.reasons,
+      });
+    }
+  };
+
+  const byEvent = new Map();
+  for (let i = 0; i < probes.length; i++) {
+    const a = probes[i];
+    for (
+      let j = i + 1;
+      j < probes.length && probes[j].start - a.start <= CANDIDATE_WINDOW_MS;
+      j++
+    ) {
+      compare(a, probes[j]);
+    }
+    if (a.calendarEventId) {
+      // Same event but far apart in time (e.g. an import dated by its file)
+      for (const earlier of byEvent.get(a.calendarEventId) || []) {
+        if (a.start - earlier.start > CANDIDATE_WINDOW_MS) compare(earlier, a);
+      }
+      byEvent.set(a.calendarEventId, [...(byEvent.get(a.calendarEventId) || []), a]);
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+// ======================================================================
+// Merging
+// ======================================================================
+
+const GENERIC_SPEAKER_RE = /^(unknown|speaker\s*[a-z0-9]+|speaker_\d+|spk_?\d+)$/i;
+
+/**
+ * How good a transcript is: its length, weighted up for timestamps and for
+ * speakers that are identified rather than "Speaker A".
+ * @param {Array<{speaker: string, speaker_email?: string, speaker_name?: string,
+ *   text: string, timestamp?: number}>} entries
+ * @returns {number}
+ */
+function transcriptQuality(entries) {
+  if (!entries || entries.length === 0) return 0;
+  const words = transcriptWords(entries).length;
+  const timed = entries.filter(e => e.timestamp != null).length / entries.length;
+  const identified =
+    entries.filter(
+      e => e.speaker_email || !GENERIC_SPEAKER_RE.test(e.speaker_name || e.speaker || 'unknown')
+    ).length / entries.length;
+  return words * (1 + 0.2 * timed) * (0.5 + 0.5 * identified);
+}
+
+/**
+ * Which of two duplicates to keep: the one already exported to the vault,
+ * else the one with a recording, else the older one.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} idA
+ * @param {string} idB
+ * @returns {{keepId: string, mergeId: string}}
+ */
+function pickMeetingToKeep(db, idA, idB) {
+  const row = id =>
+    db
+      .prepare('SELECT id, obsidian_link, video_file, created_at FROM meetings WHERE id = ?')
+      .get(id);
+  const a = row(idA);
+  const b = row(idB);
+  if (!a || !b) throw new Error('Meeting not found');
+
+  const rank = m => [m.obsidian_link ? 1 : 0, m.video_file ? 1 : 0];
+  const [ra, rb] = [rank(a), rank(b)];
+  let keepA;
+  if (ra[0] !== rb[0]) keepA = ra[0] > rb[0];
+  else if (ra[1] !== rb[1]) keepA = ra[1] > rb[1];
+  else keepA = (a.created_at || '') <= (b.created_at || '');
+  return keepA ? { keepId: idA, mergeId: idB } : { keepId: idB, mergeId: idA };
+}
+
+function parseJSONArray(json) {
+  try {
+    const value = JSON.parse(json || '[]');
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+}
+
+function copyRows(db, table, fromId, toId, rows) {
+  if (rows.length === 0) return;
+  const columns = Object.keys(rows[0]).filter(c => c !== 'id' && c !== 'meeting_id');
+  const insert = db.prepare(
+    `INSERT INTO ${table} (meeting_id, ${columns.join(', ')})
+     VALUES (?, ${columns.map(() => '?').join(', ')})`
+  );
+  for (const row of rows) insert.run(toId, ...columns.map(c => row[c]));
+}
+
+// Columns copied from the merged meeting when the kept one has none
+const FILL_COLUMNS = [
+  'calendar_event_id',
+  'calendar_html_link',
+  'calendar_description',
+  'meeting_link',
+  'start_time',
+  'end_time',
+  'duration',
+  'video_file',
+  'summary',
+  'content',
+];
+
+/**
+ * Merge one meeting into another. The kept meeting gets the better of the two
+ * transcripts (with its speaker mappings), the union of participants,
+ * calendar attendees, summaries and tags, custom field values it lacks and
+ * any of FILL_COLUMNS it has no value for. Its overwritten fields are recorded
+ * in its revision history (source 'system'). When the merged meeting's
+ * transcript wins, the two meetings swap transcripts, so the kept meeting's
+ * old one stays with the merged meeting; otherwise the merged meeting is left
+ * as it was. Either way the caller moves it to the Trash, and restoring it
+ * from there gets back what the merge replaced.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} keepId
+ * @param {string} mergeId
+ * @returns {{keptId: string, mergedId: string, transcriptFrom: 'kept'|'merged',
+ *   addedParticipants: number, addedSummaries: number, adoptedColumns: string[]}}
+ */
+function mergeMeetings(db, keepId, mergeId) {
+  if (keepId === mergeId) throw new Error('Cannot merge a meeting into itself');
+
+  return db.transaction(() => {
+    const load = id => db.prepare('SELECT * FROM meetings WHERE id = ?').get(id);
+    const keep = load(keepId);
+    const merge = load(mergeId);
+    if (!keep || !merge) throw new Error('Meeting not found');
+    if (keep.status === 'trashed' || merge.status === 'trashed') {
+      throw new Error('Meeting is in the Trash');
+    }
+
+    const rowsOf = (table, id, order = 'id') =>
+      db.prepare(`SELECT * FROM ${table} WHERE meeting_id = ? ORDER BY ${order}`).all(id);
+    const updates = {};
+
+    // Transcript: keep the better one, with the speaker mappings that go with it
+    const keepEntries = rowsOf('transcript_entries', keepId, 'entry_order');
+    const mergeEntries = rowsOf('transcript_entries', mergeId, 'entry_order');
+    let transcriptFrom = 'kept';
+    if (transcriptQuality(mergeEntries) > transcriptQuality(keepEntries)) {
+      transcriptFrom = 'merged';
+      const keepMappings = rowsOf('speaker_mappings', keepId);
+      const mergeMappings = rowsOf('speaker_mappings', mergeId);
+      const replaceRows = (table, fromId, toId, rows) => {
+        db.prepare(`DELETE FROM ${table} WHERE meeting_id = ?`).run(toId);
+        copyRows(db, table, fromId, toId, rows);
+      };
+      replaceRows('transcript_entries', mergeId, keepId, mergeEntries);
+      replaceRows('speaker_mappings', mergeId, keepId, mergeMappings);
+      replaceRows('transcript_entries', keepId, mergeId, keepEntries);
+      replaceRows('speaker_mappings', keepId, mergeId, keepMappings);
+
+      const transcriptColumns = [
+        'speaker_mapping',
+        'transcription_provider',
+        'transcript_confidence',
+      ];
+      const mergeUpdates = {};
+      for (const column of transcriptColumns) {
+        updates[column] = merge[column];
+        mergeUpdates[column] = keep[column];
+      }
+      if (hasRevisionsTable(db)) {
+        recordRevisions(db, mergeId, merge, mergeUpdates, {
+          reason: `Transcript swapped with "${keep.title}" in a merge`,
+        });
+      }
+      db.prepare(
+        `UPDATE meetings SET ${transcriptColumns.map(c => `${c} = @${c}`).join(', ')}
+         WHERE id = @id`
+      ).run({ ...mergeUpdates, id: mergeId });
+    }
+
+    // Participants and calendar attendees: union by email, else by name
+    const personKey = p =>
+      p.email ? `e:${p.email.toLowerCase()}` : `n:${(p.name || '').toLowerCase()}`;
+    const keepPeople = new Set(rowsOf('participants', keepId).map(personKey));
+    const newParticipants = rowsOf('participants', mergeId)
+      .filter(p => !keepPeople.has(personKey(p)))
+      .map(p => ({ ...p, participant_id: null })); // ids are only unique per meeting
+    copyRows(db, 'participants', mergeId, keepId, newParticipants);
+
+    const keepAttendees = new Set(
+      rowsOf('calendar_attendees', keepId).map(a => a.email.toLowerCase())
+    );
+    copyRows(
+      db,
+      'calendar_attendees',
+      mergeId,
+      keepId,
+      rowsOf('calendar_attendees', mergeId).filter(a => !keepAttendees.has(a.email.toLowerCase()))
+    );
+
+    const emails = [
+      ...new Set(
+        [...parseJSONArray(keep.participant_emails), ...parseJSONArray(merge.participant_emails)]
+          .filter(Boolean)
+          .map(email => String(email).toLowerCase())
+      ),
+    ];
+    if (emails.length > 0) updates.participant_emails = JSON.stringify(emails);
+
+    // Summaries: one per template, the kept meeting's version wins
+    const keepSummaries = parseJSONArray(keep.summaries);
+    const templates = new Set(keepSummaries.map(s => s.templateId));
+    const addedSummaries = parseJSONArray(merge.summaries).filter(
+      s => !templates.has(s.templateId)
+    );
+    if (addedSummaries.length > 0) {
+      updates.summaries = JSON.stringify([...keepSummaries, ...addedSummaries]);
+    }
+
+    const adoptedColumns = [];
+    for (const column of FILL_COLUMNS) {
+      if ((keep[column] == null || keep[column] === '') && merge[column] != null) {
+        updates[column] = merge[column];
+        adoptedColumns.push(column);
+      }
+    }
+    if ((!keep.platform || keep.platform === 'unknown') && merge.platform) {
+      updates.platform = merge.platform;
+    }
+
+    const columns = Object.keys(updates);
+    if (columns.length > 0) {
+      if (hasRevisionsTable(db)) {
+        recordRevisions(db, keepId, keep, updates, { reason: `Merged "${merge.title}" into it` });
+      }
+      db.prepare(
+        `UPDATE meetings SET ${columns.map(c => `${c} = @${c}`).join(', ')},
+           updated_at = datetime('now') WHERE id = @id`
+      ).run({ ...updates, id: keepId });
+    }
+
+    // Tags and custom fields (v13)
+    if (meetingFields.hasMeetingFieldTables(db)) {
+      meetingFields.setMeetingTags(db, keepId, [
+        ...meetingFields.getMeetingTags(db, keepId),
+        ...meetingFields.getMeetingTags(db, mergeId),
+      ]);
+      const keepValues = meetingFields.getMeetingFieldValues(db, keepId);
+      const missing = Object.fromEntries(
+        Object.entries(meetingFields.getMeetingFieldValues(db, mergeId)).filter(
+          ([key]) => !(key in keepValues)
+        )
+      );
+      if (Object.keys(missing).length > 0) {
+        meetingFields.setMeetingFieldValues(db, keepId, missing);
+      }
+    }
+
+    db.prepare('DELETE FROM duplicate_dismissals WHERE meeting_a = ? AND meeting_b = ?').run(
+      ...pairKey(keepId, mergeId)
+    );
+
+    return {
+      keptId: keepId,
+      mergedId: mergeId,
+      transcriptFrom,
+      addedParticipants: newParticipants.length,
+      addedSummaries: addedSummaries.length,
+      adoptedColumns,
+    };
+  })();
+}
+
+module.exports = {
+  createDuplicateTables,
+  transcriptSignature,
+  signatureSimilarity,
+  probeFromMeeting,
+  compareMeetings,
+  findDuplicates,
+  findDuplicatesOf,
+  scanDuplicates,
+  dismissDuplicate,
+  transcriptQuality,
+  pickMeetingToKeep,
+  mergeMeetings,
+};
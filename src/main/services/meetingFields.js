@@ -0,0 +1,503 @@
+/**
+ * Meeting Tags and Custom Fields (schema v13)
+ *
+ * User-defined organizing data on meetings, next to client routing and the
+ * title:
+ *   - meeting_tags: free-form tags, kept in the order they were added and
+ *     de-duplicated case-insensitively (first spelling wins)
+ *   - custom_field_definitions: typed fields (text, number, date, select)
+ *     shared by every meeting
+ *   - meeting_field_values: one value per meeting per field, stored as text in
+ *     a canonical form (numbers as plain decimals, dates as YYYY-MM-DD)
+ *
+ * Meetings carry them as `meeting.tags` and `meeting.customFields` (keyed by
+ * field key). Both are read-only on the meeting object: saveMeeting ignores
+ * them, so a stale renderer copy can't undo an edit — they change through
+ * setMeetingTags / setMeetingFieldValues only.
+ *
+ * Before v13, the MCP server's tag_meeting tool kept tags in the
+ * extra_fields JSON; migrateExtraFieldTags moves them into meeting_tags.
+ */
+
+const { NOT_TRASHED } = require('./meetingTrash');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select'];
+
+// Keys generateSummaryMarkdown already writes to the note frontmatter. A field
+// whose label would produce one of these gets a `field_` prefix instead.
+const RESERVED_FIELD_KEYS = new Set([
+  'type',
+  'title',
+  'date',
+  'platform',
+  'meeting_type',
+  'meeting_id',
+  'series_id',
+  'company',
+  'company_slug',
+  'attendees',
+  'participants',
+  'participant_emails',
+  'transcript_file',
+  'tags',
+  'aliases',
+  'cssclasses',
+]);
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS meeting_tags (
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    tag TEXT NOT NULL COLLATE NOCASE,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (meeting_id, tag)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_meeting_tags_tag ON meeting_tags(tag);
+
+  CREATE TABLE IF NOT EXISTS custom_field_definitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT NOT NULL UNIQUE,
+    label TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('text', 'number', 'date', 'select')),
+    options TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS meeting_field_values (
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    field_id INTEGER NOT NULL REFERENCES custom_field_definitions(id) ON DELETE CASCADE,
+    value TEXT NOT NULL,
+    PRIMARY KEY (meeting_id, field_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_meeting_field_values_field ON meeting_field_values(field_id, value);
+`;
+
+/**
+ * Create the tag and custom field tables (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createMeetingFieldTables(db) {
+  db.exec(SCHEMA_SQL);
+}
+
+/**
+ * Whether the database has the v13 tables. The MCP server opens databases the
+ * app may not have migrated yet.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {boolean}
+ */
+function hasMeetingFieldTables(db) {
+  return !!db
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'meeting_tags'")
+    .get();
+}
+
+// ======================================================================
+// Tags
+// ======================================================================
+
+/**
+ * Normalize a tag list: trimmed, non-empty, de-duplicated case-insensitively
+ * (first spelling wins).
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of tags || []) {
+    const tag = String(raw).trim();
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    out.push(tag);
+  }
+  return out;
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {string[]} Tags in the order they were added
+ */
+function getMeetingTags(db, meetingId) {
+  return db
+    .prepare('SELECT tag FROM meeting_tags WHERE meeting_id = ? ORDER BY position, rowid')
+    .all(meetingId)
+    .map(r => r.tag);
+}
+
+/**
+ * Replace a meeting's tags.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {string[]} tags
+ * @returns {string[]} The normalized tags that were stored
+ */
+function setMeetingTags(db, meetingId, tags) {
+  const normalized = normalizeTags(tags);
+  const insert = db.prepare(
+    'INSERT INTO meeting_tags (meeting_id, tag, position) VALUES (?, ?, ?)'
+  );
+  db.transaction(() => {
+    db.prepare('DELETE FROM meeting_tags WHERE meeting_id = ?').run(meetingId);
+    normalized.forEach((tag, position) => insert.run(meetingId, tag, position));
+  })();
+  return normalized;
+}
+
+/**
+ * Every tag in use, with how many meetings carry it (trashed meetings excluded).
+ * Spellings that differ only in case are counted together.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array<{tag: string, count: number}>}
+ */
+function listTags(db) {
+  return db
+    .prepare(
+      `SELECT MIN(t.tag) AS tag, COUNT(*) AS count
+       FROM meeting_tags t JOIN meetings m ON m.id = t.meeting_id
+       WHERE m.${NOT_TRASHED}
+       GROUP BY t.tag COLLATE NOCASE
+       ORDER BY count DESC, tag COLLATE NOCASE`
+    )
+    .all();
+}
+
+/**
+ * SQL condition matching meetings that have every one of the given tags.
+ * @param {string} meetingIdColumn - e.g. 'm.id'
+ * @param {string[]} tags
+ * @returns {{sql: string, params: string[]}} Empty sql when there are no tags
+ */
+function tagFilterSql(meetingIdColumn, tags) {
+  const normalized = normalizeTags(tags);
+  return {
+    sql: normalized
+      .map(() => ` AND ${meetingIdColumn} IN (SELECT meeting_id FROM meeting_tags WHERE tag = ?)`)
+      .join(''),
+    params: normalized,
+  };
+}
+
+/**
+ * Move tags written to extra_fields by the pre-v13 MCP tag_meeting tool into
+ * meeting_tags, and drop them from the JSON.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Function} [warn]
+ * @returns {number} Meetings migrated
+ */
+function migrateExtraFieldTags(db, warn = () => {}) {
+  const rows = db
+    .prepare('SELECT id, extra_fields FROM meetings WHERE extra_fields LIKE \'%"tags"%\'')
+    .all();
+  const updateExtra = db.prepare('UPDATE meetings SET extra_fields = ? WHERE id = ?');
+  let migrated = 0;
+
+  db.transaction(() => {
+    for (const row of rows) {
+      let extra;
+      try {
+        extra = JSON.parse(row.extra_fields);
+      } catch (error) {
+        warn(`Skipping tags on meeting ${row.id}: corrupt extra_fields (${error.message})`);
+        continue;
+      }
+      if (!extra || !Array.isArray(extra.tags)) continue;
+
+      setMeetingTags(db, row.id, [...getMeetingTags(db, row.id), ...extra.tags]);
+      delete extra.tags;
+      updateExtra.run(Object.keys(extra).length > 0 ? JSON.stringify(extra) : null, row.id);
+      migrated++;
+    }
+  })();
+  return migrated;
+}
+
+// ======================================================================
+// Custom field definitions
+// ======================================================================
+
+function rowToDefinition(row) {
+  let options = [];
+  if (row.options) {
+    try {
+      options = JSON.parse(row.options);
+    } catch {
+      options = [];
+    }
+  }
+  return { id: row.id, key: row.key, label: row.label, type: row.type, options };
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array<{id: number, key: string, label: string, type: string, options: string[]}>}
+ */
+function listFieldDefinitions(db) {
+  return db
+    .prepare('SELECT * FROM custom_field_definitions ORDER BY position, id')
+    .all()
+    .map(rowToDefinition);
+}
+
+/**
+ * Frontmatter-safe key for a field label: lowercase snake_case, unique.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} label
+ * @returns {string}
+ */
+function fieldKeyForLabel(db, label) {
+  let base =
+    label
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'field';
+  if (/^[0-9]/.test(base) || RESERVED_FIELD_KEYS.has(base)) base = `field_${base}`;
+
+  const taken = db.prepare('SELECT 1 FROM custom_field_definitions WHERE key = ?');
+  let key = base;
+  for (let n = 2; taken.get(key); n++) key = `${base}_${n}`;
+  return key;
+}
+
+function normalizeOptions(type, options) {
+  if (type !== 'select') return [];
+  const normalized = normalizeTags(options);
+  if (normalized.length === 0) throw new Error('A select field needs at least one option');
+  return normalized;
+}
+
+/**
+ * Create a field, or update an existing one's label and options. The type and
+ * key are fixed once created (values and exported notes depend on them).
+ * @param {import('better-sqlite3').Database} db
+ * @param {{id?: number, label: string, type: string, options?: string[]}} definition
+ * @returns {{id: number, key: string, label: string, type: string, options: string[]}}
+ */
+function saveFieldDefinition(db, { id, label, type, options = [] }) {
+  const trimmedLabel = String(label || '').trim();
+  if (!trimmedLabel) throw new Error('Field label cannot be empty');
+
+  if (id == null) {
+    if (!FIELD_TYPES.includes(type)) throw new Error(`Unknown field type: ${type}`);
+    const position = db
+      .prepare('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM custom_field_definitions')
+      .get().next;
+    const result = db
+      .prepare(
+        'INSERT INTO custom_field_definitions (key, label, type, options, position) VALUES (?, ?, ?, ?, ?)'
+      )
+      .run(
+        fieldKeyForLabel(db, trimmedLabel),
+        trimmedLabel,
+        type,
+        JSON.stringify(normalizeOptions(type, options)),
+        position
+      );
+    return rowToDefinition(
+      db.prepare('SELECT * FROM custom_field_definitions WHERE id = ?').get(result.lastInsertRowid)
+    );
+  }
+
+  const existing = db.prepare('SELECT * FROM custom_field_definitions WHERE id = ?').get(id);
+  if (!existing) throw new Error(`Custom field ${id} not found`);
+  if (type && type !== existing.type) {
+    throw new Error(
+      `Cannot change a field's type (${existing.type} → ${type}); create a new field instead`
+    );
+  }
+
+  const normalizedOptions = normalizeOptions(existing.type, options);
+  db.transaction(() => {
+    db.prepare('UPDATE custom_field_definitions SET label = ?, options = ? WHERE id = ?').run(
+      trimmedLabel,
+      JSON.stringify(normalizedOptions),
+      id
+    );
+    // Values for options that were removed no longer validate
+    if (existing.type === 'select') {
+      const keep = new Set(normalizedOptions);
+      const remove = db.prepare(
+        'DELETE FROM meeting_field_values WHERE field_id = ? AND value = ?'
+      );
+      for (const { value } of db
+        .prepare('SELECT DISTINCT value FROM meeting_field_values WHERE field_id = ?')
+        .all(id)) {
+        if (!keep.has(value)) remove.run(id, value);
+      }
+    }
+  })();
+  return rowToDefinition(db.prepare('SELECT * FROM custom_field_definitions WHERE id = ?').get(id));
+}
+
+/**
+ * Delete a field and every meeting's value for it.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} id
+ * @returns {boolean} True if the field existed
+ */
+function deleteFieldDefinition(db, id) {
+  return db.transaction(() => {
+    db.prepare('DELETE FROM meeting_field_values WHERE field_id = ?').run(id);
+    return db.prepare('DELETE FROM custom_field_definitions WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+// ======================================================================
+// Values
+// ======================================================================
+
+/**
+ * Validate a value for a field and convert it to its stored text form.
+ * @param {{label: string, type: string, options: string[]}} definition
+ * @param {*} value
+ * @returns {string|null} Null (or empty input) clears the value
+ * @throws {Error} If the value doesn't fit the field's type
+ */
+function coerceFieldValue(definition, value) {
+  if (value == null || (typeof value === 'string' && value.trim() === '')) return null;
+  const text = String(value).trim();
+
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(text);
+      if (!Number.isFinite(number)) throw new Error(`${definition.label} must be a number`);
+      return String(number);
+    }
+    case 'date': {
+      const match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+      const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+      if (!date || date.getUTCMonth() !== +match[2] - 1 || date.getUTCDate() !== +match[3]) {
+        throw new Error(`${definition.label} must be a date (YYYY-MM-DD)`);
+      }
+      return match[0];
+    }
+    case 'select': {
+      const option = definition.options.find(o => o.toLowerCase() === text.toLowerCase());
+      if (!option)
+        throw new Error(`${definition.label} must be one of: ${definition.options.join(', ')}`);
+      return option;
+    }
+    default:
+      return text;
+  }
+}
+
+function parseStoredValue(type, value) {
+  return type === 'number' ? Number(value) : value;
+}
+
+/**
+ * A meeting's custom field values, keyed by field key in field order.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {Object<string, string|number>}
+ */
+function getMeetingFieldValues(db, meetingId) {
+  const values = {};
+  const rows = db
+    .prepare(
+      `SELECT d.key, d.type, v.value
+       FROM meeting_field_values v JOIN custom_field_definitions d ON d.id = v.field_id
+       WHERE v.meeting_id = ?
+       ORDER BY d.position, d.id`
+    )
+    .all(meetingId);
+  for (const row of rows) values[row.key] = parseStoredValue(row.type, row.value);
+  return values;
+}
+
+/**
+ * Set some of a meeting's custom field values. Fields not mentioned are left
+ * alone; null or '' clears a field. Every value is validated before any is
+ * written.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {Object<string, *>} values - Keyed by field key
+ * @returns {Object<string, string|number>} All of the meeting's values afterwards
+ */
+function setMeetingFieldValues(db, meetingId, values) {
+  const definitions = new Map(listFieldDefinitions(db).map(d => [d.key, d]));
+  const writes = Object.entries(values || {}).map(([key, value]) => {
+    const definition = definitions.get(key);
+    if (!definition) throw new Error(`Unknown custom field: ${key}`);
+    return { fieldId: definition.id, value: coerceFieldValue(definition, value) };
+  });
+
+  const upsert = db.prepare(
+    `INSERT INTO meeting_field_values (meeting_id, field_id, value) VALUES (?, ?, ?)
+     ON CONFLICT(meeting_id, field_id) DO UPDATE SET value = excluded.value`
+  );
+  const remove = db.prepare(
+    'DELETE FROM meeting_field_values WHERE meeting_id = ? AND field_id = ?'
+  );
+  db.transaction(() => {
+    for (const { fieldId, value } of writes) {
+      if (value === null) remove.run(meetingId, fieldId);
+      else upsert.run(meetingId, fieldId, value);
+    }
+  })();
+  return getMeetingFieldValues(db, meetingId);
+}
+
+// ======================================================================
+// Vault frontmatter
+// ======================================================================
+
+/**
+ * Obsidian tag form of a tag: no spaces or punctuation other than - _ /.
+ * @param {string} tag
+ * @returns {string} Empty if nothing usable is left
+ */
+function obsidianTag(tag) {
+  return String(tag)
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_/-]/gu, '');
+}
+
+/**
+ * YAML frontmatter lines for a meeting's custom fields, in field order. Dates
+ * and numbers are written bare so Obsidian types them; text is quoted.
+ * @param {Object<string, string|number>} customFields - meeting.customFields
+ * @param {Array<{key: string, type: string}>} definitions
+ * @returns {string} Newline-terminated lines, or '' when there are none
+ */
+function customFieldsFrontmatter(customFields, definitions) {
+  if (!customFields) return '';
+  let yaml = '';
+  for (const { key, type } of definitions) {
+    const value = customFields[key];
+    if (value == null) continue;
+    yaml +=
+      type === 'number' || type === 'date'
+        ? `${key}: ${value}\n`
+        : `${key}: ${JSON.stringify(String(value))}\n`;
+  }
+  return yaml;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  createMeetingFieldTables,
+  hasMeetingFieldTables,
+  normalizeTags,
+  getMeetingTags,
+  setMeetingTags,
+  listTags,
+  tagFilterSql,
+  migrateExtraFieldTags,
+  listFieldDefinitions,
+  saveFieldDefinition,
+  deleteFieldDefinition,
+  coerceFieldValue,
+  getMeetingFieldValues,
+  setMeetingFieldValues,
+  obsidianTag,
+  customFieldsFrontmatter,
+};
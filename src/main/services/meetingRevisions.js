@@ -0,0 +1,439 @@
+/**
+ * Meeting Revisions (schema v11)
+ *
+ * Edit history for the meeting fields that get overwritten in place: title,
+ * notes/summary (`content`, `summary`), template summaries and speaker
+ * mappings. databaseService.saveMeeting compares the stored row with the row
+ * it is about to write and records one `meeting_revisions` row per changed
+ * field, tagged with what made the change (user, LLM regeneration, content
+ * pass, MCP). The MCP write operations (meetingWrites.js) record theirs the
+ * same way since they bypass saveMeeting.
+ *
+ * Speaker mappings are stored as their identity projection (label → name and
+ * email). The full JSON carries voice embeddings that change on every match
+ * and would make each revision megabytes of noise.
+ */
+
+const REVISION_SOURCES = ['user', 'llm', 'content-pass', 'mcp', 'system'];
+
+// Meeting key → meetings column, for every tracked field.
+const TRACKED_FIELDS = {
+  title: 'title',
+  content: 'content',
+  summary: 'summary',
+  summaries: 'summaries',
+  speakerMapping: 'speaker_mapping',
+};
+
+// A user save within this window of their previous save to the same field
+// (a quick fix-up) extends that revision instead of adding another.
+const COALESCE_WINDOW_MS = 60 * 1000;
+const MAX_REVISIONS_PER_FIELD = 50;
+
+// Line diffs fall back to "replace everything" beyond this many LCS cells.
+const MAX_DIFF_CELLS = 4000000;
+
+const REVISIONS_SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS meeting_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    field TEXT NOT NULL,
+    before_value TEXT,
+    after_value TEXT,
+    source TEXT NOT NULL DEFAULT 'system',
+    reason TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_meeting_revisions_meeting ON meeting_revisions(meeting_id, field);
+`;
+
+/**
+ * Create the meeting_revisions table (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createRevisionsTable(db) {
+  db.exec(REVISIONS_SCHEMA_SQL);
+}
+
+/**
+ * Whether the database has the v11 meeting_revisions table (the MCP server
+ * may run against an older database).
+ * @param {import('better-sqlite3').Database} db
+ * @returns {boolean}
+ */
+function hasRevisionsTable(db) {
+  return !!db
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'meeting_revisions'")
+    .get();
+}
+
+// ======================================================================
+// Recording
+// ======================================================================
+
+/**
+ * Reduce a speaker_mapping column value to its sorted label → {name, email}
+ * JSON. Returns null for empty or unparseable mappings.
+ * @param {string|null} json
+ * @returns {string|null}
+ */
+function speakerMappingIdentity(json) {
+  if (!json) return null;
+  let mapping;
+  try {
+    mapping = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!mapping || typeof mapping !== 'object') return null;
+
+  const identity = {};
+  for (const label of Object.keys(mapping).sort()) {
+    const entry = mapping[label];
+    if (!entry || typeof entry !== 'object') continue;
+    identity[label] = { name: entry.name || null, email: entry.email || null };
+  }
+  return Object.keys(identity).length > 0 ? JSON.stringify(identity) : null;
+}
+
+/**
+ * The value stored in a revision for a meetings column value.
+ * @param {string} field - Tracked meeting key
+ * @param {string|null} columnValue
+ * @returns {string|null}
+ */
+function revisionValue(field, columnValue) {
+  if (columnValue == null || columnValue === '') return null;
+  if (field === 'speakerMapping') return speakerMappingIdentity(columnValue);
+  return String(columnValue);
+}
+
+/**
+ * Compare two meetings rows (column-keyed, as stored / as about to be
+ * written) and list the tracked fields that changed. Only columns present in
+ * `afterRow` are compared. A field going from empty to a value is a first
+ * write, not an overwrite, so it isn't listed.
+ * @param {Object|null} beforeRow
+ * @param {Object} afterRow
+ * @returns {Array<{field: string, before: string, after: string|null}>}
+ */
+function diffTrackedFields(beforeRow, afterRow) {
+  if (!beforeRow) return [];
+  const changes = [];
+  for (const [field, column] of Object.entries(TRACKED_FIELDS)) {
+    if (!(column in afterRow) || beforeRow[column] === afterRow[column]) continue;
+    const before = revisionValue(field, beforeRow[column]);
+    const after = revisionValue(field, afterRow[column]);
+    if (before == null || before === after) continue;
+    changes.push({ field, before, after });
+  }
+  return changes;
+}
+
+/**
+ * Record a revision for each changed tracked field between two row states.
+ * Call inside the transaction that writes `afterRow`.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {Object|null} beforeRow - Stored meetings row (column-keyed)
+ * @param {Object} afterRow - Columns about to be written
+ * @param {Object} [options]
+ * @param {string} [options.source='system'] - One of REVISION_SOURCES
+ * @param {Object<string, string>} [options.fieldSources] - Per-field source overrides
+ * @param {string} [options.reason] - Free-text note shown in the history panel
+ * @param {Date} [options.now=new Date()]
+ * @returns {number} Revisions recorded or extended
+ */
+function recordRevisions(db, meetingId, beforeRow, afterRow, options = {}) {
+  const { source = 'system', fieldSources = {}, reason = null, now = new Date() } = options;
+  const changes = diffTrackedFields(beforeRow, afterRow);
+  if (changes.length === 0) return 0;
+
+  const getLatest = db.prepare(
+    'SELECT * FROM meeting_revisions WHERE meeting_id = ? AND field = ? ORDER BY id DESC LIMIT 1'
+  );
+  const createdAt = now.toISOString();
+
+  for (const { field, before, after } of changes) {
+    const fieldSource = fieldSources[field] || source;
+    if (!REVISION_SOURCES.includes(fieldSource)) {
+      throw new Error(`Invalid revision source: ${fieldSource}`);
+    }
+
+    const latest = getLatest.get(meetingId, field);
+    const coalesce =
+      latest &&
+      fieldSource === 'user' &&
+      latest.source === 'user' &&
+      latest.after_value === before &&
+      now.getTime() - Date.parse(latest.created_at) < COALESCE_WINDOW_MS;
+
+    if (coalesce) {
+      if (latest.before_value === after) {
+        // Typed back to where the revision started — nothing left to keep.
+        db.prepare('DELETE FROM meeting_revisions WHERE id = ?').run(latest.id);
+      } else {
+        db.prepare('UPDATE meeting_revisions SET after_value = ?, created_at = ? WHERE id = ?').run(
+          after,
+          createdAt,
+          latest.id
+        );
+      }
+      continue;
+    }
+
+    db.prepare(
+      `INSERT INTO meeting_revisions (meeting_id, field, before_value, after_value, source, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(meetingId, field, before, after, fieldSource, reason, createdAt);
+
+    db.prepare(
+      `DELETE FROM meeting_revisions
+       WHERE meeting_id = ? AND field = ? AND id NOT IN (
+         SELECT id FROM meeting_revisions WHERE meeting_id = ? AND field = ? ORDER BY id DESC LIMIT ?
+       )`
+    ).run(meetingId, field, meetingId, field, MAX_REVISIONS_PER_FIELD);
+  }
+  return changes.length;
+}
+
+// ======================================================================
+// Reading
+// ======================================================================
+
+function rowToRevision(row) {
+  return {
+    id: row.id,
+    meetingId: row.meeting_id,
+    field: row.field,
+    source: row.source,
+    reason: row.reason,
+    createdAt: row.created_at,
+    before: row.before_value,
+    after: row.after_value,
+  };
+}
+
+/**
+ * Render a stored revision value as the text the history panel diffs.
+ * @param {string} field
+ * @param {string|null} value
+ * @returns {string}
+ */
+function formatRevisionValue(field, value) {
+  if (value == null) return '';
+  try {
+    if (field === 'speakerMapping') {
+      return Object.entries(JSON.parse(value))
+        .map(([label, { name, email }]) => `${label} → ${name || '(unnamed)'}${email ? ` <${email}>` : ''}`)
+        .join('\n');
+    }
+    if (field === 'summaries') {
+      return JSON.parse(value)
+        .map(s => `## ${s.templateName || s.templateId || 'Summary'}\n\n${(s.content || '').trim()}`)
+        .join('\n\n');
+    }
+  } catch {
+    // Fall through to the raw value
+  }
+  return value;
+}
+
+/**
+ * List a meeting's revisions, newest first, with one-line previews instead of
+ * the full values.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {{field?: string, limit?: number}} [options]
+ * @returns {Array<Object>}
+ */
+function listRevisions(db, meetingId, { field, limit = 200 } = {}) {
+  const params = [meetingId];
+  let sql = 'SELECT * FROM meeting_revisions WHERE meeting_id = ?';
+  if (field) {
+    sql += ' AND field = ?';
+    params.push(field);
+  }
+  sql += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
+
+  const preview = (field, value) => {
+    const text = formatRevisionValue(field, value).replace(/\s+/g, ' ').trim();
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+  };
+
+  return db
+    .prepare(sql)
+    .all(...params)
+    .map(row => {
+      const { before, after, ...revision } = rowToRevision(row);
+      return { ...revision, beforePreview: preview(row.field, before), afterPreview: preview(row.field, after) };
+    });
+}
+
+/**
+ * Line diff between two texts. Unchanged runs longer than twice `context`
+ * are collapsed into a `skip` entry.
+ * @param {string} before
+ * @param {string} after
+ * @param {{context?: number}} [options]
+ * @returns {Array<{type: 'same'|'add'|'remove', text: string}|{type: 'skip', count: number}>}
+ */
+function diffLines(before, after, { context = 3 } = {}) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // Common prefix/suffix first: most edits touch a few lines of a long note.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = [];
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    midA.forEach(text => middle.push({ type: 'remove', text }));
+    midB.forEach(text => middle.push({ type: 'add', text }));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        middle.push({ type: 'same', text: midA[i++] });
+        j++;
+      } else if (i < midA.length && (j >= midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        middle.push({ type: 'remove', text: midA[i++] });
+      } else {
+        middle.push({ type: 'add', text: midB[j++] });
+      }
+    }
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(text => ({ type: 'same', text })),
+    ...middle,
+    ...a.slice(endA).map(text => ({ type: 'same', text })),
+  ];
+
+  // Collapse long unchanged runs, keeping `context` lines around each change.
+  const result = [];
+  let run = [];
+  const flushRun = isEnd => {
+    const keepBefore = result.length > 0 ? context : 0;
+    const keepAfter = isEnd ? 0 : context;
+    if (run.length > keepBefore + keepAfter + 1) {
+      result.push(...run.slice(0, keepBefore));
+      result.push({ type: 'skip', count: run.length - keepBefore - keepAfter });
+      result.push(...run.slice(run.length - keepAfter));
+    } else {
+      result.push(...run);
+    }
+    run = [];
+  };
+  for (const op of ops) {
+    if (op.type === 'same') {
+      run.push(op);
+    } else {
+      flushRun(false);
+      result.push(op);
+    }
+  }
+  flushRun(true);
+  return result;
+}
+
+/**
+ * Get one revision with its full values, display text and line diff.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} id
+ * @returns {Object|null}
+ */
+function getRevision(db, id) {
+  const row = db.prepare('SELECT * FROM meeting_revisions WHERE id = ?').get(id);
+  if (!row) return null;
+  const revision = rowToRevision(row);
+  const beforeText = formatRevisionValue(revision.field, revision.before);
+  const afterText = formatRevisionValue(revision.field, revision.after);
+  return { ...revision, beforeText, afterText, diff: diffLines(beforeText, afterText) };
+}
+
+// ======================================================================
+// Reverting
+// ======================================================================
+
+/**
+ * Put a stored revision value back on a meeting object (legacy JSON format).
+ * A speaker mapping revert keeps each label's extras (embeddings, status),
+ * drops labels the old mapping didn't have, and relabels the transcript.
+ * @param {Object} meeting - Mutated in place
+ * @param {string} field
+ * @param {string|null} value - before_value or after_value of a revision
+ * @returns {Object} The meeting
+ */
+function applyRevisionValue(meeting, field, value) {
+  if (!(field in TRACKED_FIELDS)) {
+    throw new Error(`Not a tracked meeting field: ${field}`);
+  }
+
+  if (field === 'summaries') {
+    meeting.summaries = value ? JSON.parse(value) : undefined;
+  } else if (field === 'speakerMapping') {
+    const identity = value ? JSON.parse(value) : {};
+    const current = meeting.speakerMapping || {};
+    const mapping = {};
+    for (const [label, { name, email }] of Object.entries(identity)) {
+      mapping[label] = {
+        ...(current[label] || {}),
+        name: name || undefined,
+        email: email || undefined,
+        confidence: 'manual',
+        method: 'revert',
+      };
+    }
+    meeting.speakerMapping = mapping;
+
+    const labels = new Set([...Object.keys(current), ...Object.keys(identity)]);
+    meeting.transcript = (meeting.transcript || []).map(entry => {
+      if (!labels.has(entry.speaker)) return entry;
+      const restored = identity[entry.speaker];
+      return {
+        ...entry,
+        speakerName: restored ? restored.name || entry.speaker : entry.speaker,
+        speakerEmail: restored?.email || undefined,
+        speakerDisplayName: undefined,
+        speakerMapped: !!restored,
+      };
+    });
+  } else {
+    meeting[field] = value || undefined;
+  }
+  return meeting;
+}
+
+module.exports = {
+  REVISION_SOURCES,
+  TRACKED_FIELDS,
+  createRevisionsTable,
+  hasRevisionsTable,
+  speakerMappingIdentity,
+  diffTrackedFields,
+  recordRevisions,
+  formatRevisionValue,
+  listRevisions,
+  diffLines,
+  getRevision,
+  applyRevisionValue,
+};
@@ -0,0 +1,433 @@
+/**
+ * Recurring Meeting Series (schema v10)
+ *
+ * Groups meetings that are occurrences of the same recurring meeting under a
+ * shared `meetings.series_id`:
+ *
+ *   - Calendar meetings: Google gives each occurrence of a recurring event an
+ *     instance id of the form `<recurringEventId>_<YYYYMMDD[THHMMSSZ]>`, so the
+ *     series is read straight off calendar_event_id (`cal-<recurringEventId>`).
+ *   - Local recordings (no calendar event): matched against earlier meetings on
+ *     title similarity, participant overlap and cadence. A match joins the
+ *     earlier meeting's series, or starts `local-<earlier meeting id>`.
+ *
+ * Consumers: the Obsidian export (previous / next links) and the auto-summary
+ * (previous meeting's summary as context).
+ */
+
+const { isGenericTitle } = require('./contentPassGate');
+const { NOT_TRASHED } = require('./meetingTrash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far back a local recording looks for an earlier occurrence
+const LOOKBACK_DAYS = 100;
+const MIN_TITLE_SIMILARITY = 0.5;
+const MIN_PARTICIPANT_OVERLAP = 0.5;
+// Without participants to compare, the titles must be (almost) the same
+const MIN_TITLE_SIMILARITY_TITLE_ONLY = 0.8;
+
+const RECURRING_INSTANCE_RE = /^(.+)_(\d{8}(?:T\d{6}Z?)?)$/;
+
+const MONTHS =
+  'jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec|january|february|march|april|june|july|august|september|october|november|december';
+const TITLE_NOISE_RE = new RegExp(
+  [
+    '\\d{4}-\\d{2}-\\d{2}', // 2026-03-05
+    '\\d{1,2}/\\d{1,2}(?:/\\d{2,4})?', // 3/5, 3/5/26
+    `\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?\\b`, // Mar 5th
+    '#\\d+', // #12
+    '\\b(?:week|wk|session|part|no)\\.?\\s*\\d+\\b', // week 3
+  ].join('|'),
+  'gi'
+);
+const STOP_WORDS = new Set('the a an and with for of to - & x vs'.split(' '));
+
+/**
+ * Series id for a Google recurring-event instance id, or null when the event
+ * is not part of a recurrence.
+ * @param {string|null|undefined} calendarEventId
+ * @returns {string|null}
+ */
+function seriesIdFromCalendarEvent(calendarEventId) {
+  const match = RECURRING_INSTANCE_RE.exec(calendarEventId || '');
+  return match ? `cal-${match[1]}` : null;
+}
+
+/**
+ * Title words that identify the meeting, without dates, occurrence numbers and
+ * filler words ("Acme weekly sync 3/5" → acme, weekly, sync).
+ * @param {string} title
+ * @returns {Set<string>}
+ */
+function titleTokens(title) {
+  return new Set(
+    String(title || '')
+      .toLowerCase()
+      .replace(TITLE_NOISE_RE, ' ')
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+function titleSimilarity(a, b) {
+  return jaccard(titleTokens(a), titleTokens(b));
+}
+
+/**
+ * @param {Set<string>} a - Participant emails
+ * @param {Set<string>} b
+ * @returns {number|null} 0..1, or null when either side has no participants
+ */
+function participantOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return null;
+  return jaccard(a, b);
+}
+
+/**
+ * Whether a gap between two occurrences fits a meeting cadence. With a known
+ * series interval the gap must be a small multiple of it (skipped occurrences
+ * are common); otherwise it must look weekly, bi-weekly, ... or monthly.
+ * @param {number} gapDays
+ * @param {number|null} [intervalDays] - Typical gap of the existing series
+ * @returns {boolean}
+ */
+function cadenceMatches(gapDays, intervalDays = null) {
+  if (!(gapDays >= 1)) return false;
+  if (intervalDays) {
+    const tolerance = Math.max(2, intervalDays * 0.15);
+    for (let k = 1; k <= 4; k++) {
+      if (Math.abs(gapDays - k * intervalDays) <= tolerance) return true;
+    }
+    return false;
+  }
+  if (gapDays > 35) return false;
+  if (gapDays >= 27) return true; // monthly
+  return Math.abs(gapDays - Math.round(gapDays / 7) * 7) <= 2 && gapDays >= 5;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ======================================================================
+// Database helpers
+// ======================================================================
+
+function loadMeeting(db, meetingId) {
+  return db
+    .prepare(
+      'SELECT id, title, date, calendar_event_id, series_id, participant_emails FROM meetings WHERE id = ?'
+    )
+    .get(meetingId);
+}
+
+function participantEmailsFor(db, row) {
+  const emails = new Set();
+  const add = email => email && emails.add(String(email).toLowerCase());
+  if (row.participant_emails) {
+    try {
+      (JSON.parse(row.participant_emails) || []).forEach(add);
+    } catch {
+      // Ignore malformed JSON — the normalized tables still apply
+    }
+  }
+  db.prepare('SELECT email FROM participants WHERE meeting_id = ? AND email IS NOT NULL')
+    .all(row.id)
+    .forEach(r => add(r.email));
+  db.prepare('SELECT email FROM calendar_attendees WHERE meeting_id = ?')
+    .all(row.id)
+    .forEach(r => add(r.email));
+  return emails;
+}
+
+function seriesInterval(db, seriesId, beforeDate) {
+  const times = db
+    .prepare('SELECT date FROM meetings WHERE series_id = ? AND date < ? ORDER BY date')
+    .all(seriesId, beforeDate)
+    .map(r => Date.parse(r.date))
+    .filter(t => !isNaN(t));
+  if (times.length < 2) return null;
+  const gaps = times
+    .slice(1)
+    .map((t, i) => (t - times[i]) / DAY_MS)
+    .filter(g => g >= 1);
+  return gaps.length > 0 ? median(gaps) : null;
+}
+
+/**
+ * Find the series a meeting belongs to without writing anything.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {{seriesId: string, method: 'calendar'|'similarity', matchedMeetingId?: string,
+ *   score?: number}|null}
+ */
+function detectSeries(db, meetingId) {
+  const meeting = loadMeeting(db, meetingId);
+  if (!meeting) return null;
+
+  if (meeting.calendar_event_id) {
+    const seriesId = seriesIdFromCalendarEvent(meeting.calendar_event_id);
+    return seriesId ? { seriesId, method: 'calendar' } : null;
+  }
+
+  const time = Date.parse(meeting.date);
+  if (isNaN(time) || isGenericTitle(meeting.title) || titleTokens(meeting.title).size === 0) {
+    return null;
+  }
+
+  const emails = participantEmailsFor(db, meeting);
+  const candidates = db
+    .prepare(
+      `SELECT id, title, date, calendar_event_id, series_id, participant_emails FROM meetings
+       WHERE id != ? AND date < ? AND date >= ? AND status NOT IN ('upcoming', 'trashed')
+       ORDER BY date DESC`
+    )
+    .all(
+      meeting.id,
+      meeting.date,
+      new Date(time - LOOKBACK_DAYS * DAY_MS).toISOString().slice(0, 10)
+    );
+
+  let best = null;
+  const intervals = new Map();
+  for (const candidate of candidates) {
+    const titleScore = titleSimilarity(meeting.title, candidate.title);
+    if (titleScore < MIN_TITLE_SIMILARITY) continue;
+
+    const overlap = participantOverlap(emails, participantEmailsFor(db, candidate));
+    if (
+      overlap === null
+        ? titleScore < MIN_TITLE_SIMILARITY_TITLE_ONLY
+        : overlap < MIN_PARTICIPANT_OVERLAP
+    ) {
+      continue;
+    }
+
+    const gapDays = (time - Date.parse(candidate.date)) / DAY_MS;
+    if (candidate.series_id && !intervals.has(candidate.series_id)) {
+      intervals.set(candidate.series_id, seriesInterval(db, candidate.series_id, meeting.date));
+    }
+    if (!cadenceMatches(gapDays, candidate.series_id ? intervals.get(candidate.series_id) : null))
+      continue;
+
+    const score = 0.6 * titleScore + 0.4 * (overlap ?? titleScore);
+    // Candidates come newest first, so ties go to the most recent occurrence
+    if (!best || score > best.score) best = { candidate, score };
+  }
+  if (!best) return null;
+
+  return {
+    seriesId: best.candidate.series_id || `local-${best.candidate.id}`,
+    method: 'similarity',
+    matchedMeetingId: best.candidate.id,
+    score: Math.round(best.score * 100) / 100,
+  };
+}
+
+/**
+ * Detect and store a meeting's series. Meetings that already have one keep it.
+ * A similarity match against a meeting that had no series starts a new series
+ * containing both.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {string|null} The meeting's series id
+ */
+function assignMeetingSeries(db, meetingId) {
+  return db.transaction(() => {
+    const current = db.prepare('SELECT series_id FROM meetings WHERE id = ?').get(meetingId);
+    if (!current) return null;
+    if (current.series_id) return current.series_id;
+
+    const detected = detectSeries(db, meetingId);
+    if (!detected) return null;
+
+    const update = db.prepare('UPDATE meetings SET series_id = ? WHERE id = ?');
+    update.run(detected.seriesId, meetingId);
+    if (detected.matchedMeetingId) {
+      db.prepare('UPDATE meetings SET series_id = ? WHERE id = ? AND series_id IS NULL').run(
+        detected.seriesId,
+        detected.matchedMeetingId
+      );
+    }
+    return detected.seriesId;
+  })();
+}
+
+/**
+ * Assign series to every meeting that has none, oldest first so each meeting
+ * can join a series started by an earlier one.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{assigned: number}}
+ */
+function backfillSeries(db) {
+  const ids = db.prepare('SELECT id FROM meetings WHERE series_id IS NULL ORDER BY date, id').all();
+  let assigned = 0;
+  for (const { id } of ids) {
+    const before = db.prepare('SELECT series_id FROM meetings WHERE id = ?').get(id);
+    if (before.series_id) continue; // joined as a matched earlier meeting
+    if (assignMeetingSeries(db, id)) assigned++;
+  }
+  return { assigned };
+}
+
+// ======================================================================
+// Reads
+// ======================================================================
+
+const NEIGHBOR_COLUMNS = 'id, title, date, obsidian_link, content, summary';
+
+function toNeighbor(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    title: row.title,
+    date: row.date,
+    obsidianLink: row.obsidian_link || null,
+    content: row.content || null,
+    summary: row.summary || null,
+  };
+}
+
+/**
+ * The occurrences immediately before and after a meeting in its series.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {{seriesId: string|null, previous: Object|null, next: Object|null}}
+ */
+function getSeriesNeighbors(db, meetingId) {
+  const meeting = db
+    .prepare('SELECT id, date, series_id FROM meetings WHERE id = ?')
+    .get(meetingId);
+  if (!meeting || !meeting.series_id) return { seriesId: null, previous: null, next: null };
+
+  const params = { seriesId: meeting.series_id, date: meeting.date, id: meeting.id };
+  const previous = db
+    .prepare(
+      `SELECT ${NEIGHBOR_COLUMNS} FROM meetings
+       WHERE series_id = @seriesId AND status NOT IN ('upcoming', 'trashed') AND (date < @date OR (date = @date AND id < @id))
+       ORDER BY date DESC, id DESC LIMIT 1`
+    )
+    .get(params);
+  const next = db
+    .prepare(
+      `SELECT ${NEIGHBOR_COLUMNS} FROM meetings
+       WHERE series_id = @seriesId AND status NOT IN ('upcoming', 'trashed') AND (date > @date OR (date = @date AND id > @id))
+       ORDER BY date, id LIMIT 1`
+    )
+    .get(params);
+  return { seriesId: meeting.series_id, previous: toNeighbor(previous), next: toNeighbor(next) };
+}
+
+/**
+ * All meetings in a series, oldest first.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} seriesId
+ * @returns {Array<{id: string, title: string, date: string, obsidianLink: string|null}>}
+ */
+function getSeriesMeetings(db, seriesId) {
+  return db
+    .prepare(
+      `SELECT id, title, date, obsidian_link FROM meetings WHERE series_id = ? AND ${NOT_TRASHED} ORDER BY date, id`
+    )
+    .all(seriesId)
+    .map(row => ({
+      id: row.id,
+      title: row.title,
+      date: row.date,
+      obsidianLink: row.obsidian_link || null,
+    }));
+}
+
+// ======================================================================
+// Summary context + Obsidian navigation
+// ======================================================================
+
+/**
+ * Context block with the previous occurrence's summary, for the auto-summary
+ * prompt. Empty when the previous meeting has no notes yet.
+ * @param {Object|null} previous - getSeriesNeighbors().previous
+ * @param {number} [maxChars=6000]
+ * @returns {string}
+ */
+function buildPreviousMeetingContext(previous, maxChars = 6000) {
+  if (!previous) return '';
+  const notes = (previous.content || previous.summary || '').replace(/^# .*\n+/, '').trim();
+  if (!notes) return '';
+  const trimmed = notes.length > maxChars ? `${notes.slice(0, maxChars)}\n[...truncated]` : notes;
+  return (
+    `Previous meeting in this recurring series: "${previous.title}" on ${String(previous.date).slice(0, 10)}.\n` +
+    `Its summary:\n${trimmed}`
+  );
+}
+
+const NAV_START = '<!-- series-nav -->';
+const NAV_END = '<!-- /series-nav -->';
+
+function navLink(neighbor) {
+  const date = String(neighbor.date).slice(0, 10);
+  if (!neighbor.obsidianLink) return `${neighbor.title} (${date})`;
+  const target = neighbor.obsidianLink.replace(/\.md$/, '');
+  return `[[${target}|${neighbor.title.replace(/[[\]|]/g, '')}]] (${date})`;
+}
+
+/**
+ * "Previous / next in series" block for a meeting's summary note. Neighbors
+ * that were never exported are named without a link.
+ * @param {{previous: Object|null, next: Object|null}} neighbors
+ * @returns {string} Markdown block (empty when there are no neighbors)
+ */
+function buildSeriesNav({ previous, next }) {
+  if (!previous && !next) return '';
+  let block = `${NAV_START}\n`;
+  if (previous) block += `**Previous in series:** ${navLink(previous)}\n`;
+  if (next) block += `**Next in series:** ${navLink(next)}\n`;
+  return `${block}${NAV_END}\n`;
+}
+
+/**
+ * Replace (or insert after the **Platform:** line) the series block in an
+ * already exported note, so earlier notes gain a link to the newest one.
+ * @param {string} markdown
+ * @param {string} block - buildSeriesNav() output
+ * @returns {string} Updated markdown (unchanged if there is nowhere to put it)
+ */
+function replaceSeriesNav(markdown, block) {
+  const start = markdown.indexOf(NAV_START);
+  const end = markdown.indexOf(NAV_END);
+  if (start !== -1 && end > start) {
+    return (
+      markdown.slice(0, start) + block + markdown.slice(end + NAV_END.length).replace(/^\n/, '')
+    );
+  }
+  return markdown.replace(/^(\*\*Platform:\*\*.*\n)/m, `$1${block}`);
+}
+
+module.exports = {
+  seriesIdFromCalendarEvent,
+  titleTokens,
+  titleSimilarity,
+  participantOverlap,
+  cadenceMatches,
+  detectSeries,
+  assignMeetingSeries,
+  backfillSeries,
+  getSeriesNeighbors,
+  getSeriesMeetings,
+  buildPreviousMeetingContext,
+  buildSeriesNav,
+  replaceSeriesNav,
+};
@@ -0,0 +1,283 @@
+/**
+ * Meeting Trash (schema v12)
+ *
+ * Deleting a meeting moves it to the Trash instead of removing the row: the
+ * meeting gets status 'trashed' (so getAllMeetings, search and the MCP tools
+ * stop returning it) and keeps its transcript, mappings and voice-sample
+ * links. The status it had before is stored in `trash_info` for restore.
+ *
+ * Its vault notes and audio move into `<vault>/.trash/<meetingId>/` —
+ * `notes/<vault-relative path>` and `audio/<file name>` — and the moves are
+ * recorded in `trash_info.files` so restore can put each file back where it
+ * was. Trashed meetings are deleted for good once they have been in the Trash
+ * longer than the retention setting (appSettings.trash.retentionDays).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRASH_DIR = '.trash';
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQL fragment for queries over `meetings` that should skip the Trash.
+// IS NOT (rather than !=) so rows with a NULL status still match.
+const NOT_TRASHED = "status IS NOT 'trashed'";
+
+/**
+ * Add the v12 trash columns to meetings (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function addTrashColumns(db) {
+  for (const column of ['trashed_at TEXT', 'trash_info TEXT']) {
+    try {
+      db.exec(`ALTER TABLE meetings ADD COLUMN ${column}`);
+    } catch (e) {
+      if (!e.message.includes('duplicate column')) throw e;
+    }
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_meetings_trashed_at ON meetings(trashed_at)');
+}
+
+// ======================================================================
+// Database state
+// ======================================================================
+
+function parseTrashInfo(json) {
+  try {
+    const info = json ? JSON.parse(json) : null;
+    return { previousStatus: info?.previousStatus || 'past', files: info?.files || [] };
+  } catch {
+    return { previousStatus: 'past', files: [] };
+  }
+}
+
+/**
+ * Move a meeting to the Trash.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {{files?: Array<{from: string, to: string}>, now?: Date}} [options]
+ * @returns {boolean} False if the meeting doesn't exist or is already trashed
+ */
+function trashMeeting(db, meetingId, { files = [], now = new Date() } = {}) {
+  const row = db.prepare('SELECT status FROM meetings WHERE id = ?').get(meetingId);
+  if (!row || row.status === 'trashed') return false;
+
+  const info = JSON.stringify({ previousStatus: row.status || 'past', files });
+  db.prepare("UPDATE meetings SET status = 'trashed', trashed_at = ?, trash_info = ? WHERE id = ?").run(
+    now.toISOString(),
+    info,
+    meetingId
+  );
+  return true;
+}
+
+/**
+ * Take a meeting out of the Trash, back to the status it had.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {{previousStatus: string, files: Array<{from: string, to: string}>}|null}
+ *   What was recorded at trash time, or null if the meeting isn't trashed
+ */
+function restoreMeeting(db, meetingId) {
+  const row = db.prepare('SELECT status, trash_info FROM meetings WHERE id = ?').get(meetingId);
+  if (!row || row.status !== 'trashed') return null;
+
+  const info = parseTrashInfo(row.trash_info);
+  db.prepare('UPDATE meetings SET status = ?, trashed_at = NULL, trash_info = NULL WHERE id = ?').run(
+    info.previousStatus,
+    meetingId
+  );
+  return info;
+}
+
+/**
+ * Get what was recorded when a meeting was trashed.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {{previousStatus: string, files: Array<{from: string, to: string}>}|null}
+ */
+function getTrashInfo(db, meetingId) {
+  const row = db.prepare('SELECT status, trash_info FROM meetings WHERE id = ?').get(meetingId);
+  if (!row || row.status !== 'trashed') return null;
+  return parseTrashInfo(row.trash_info);
+}
+
+/**
+ * When a meeting trashed at `trashedAt` gets deleted for good.
+ * @param {string} trashedAt - ISO timestamp
+ * @param {number} retentionDays - 0 keeps trashed meetings until emptied by hand
+ * @returns {string|null} ISO timestamp, or null when retention is off
+ */
+function purgeDate(trashedAt, retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return null;
+  return new Date(Date.parse(trashedAt) + retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * List trashed meetings, most recently trashed first.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} [retentionDays=DEFAULT_RETENTION_DAYS]
+ * @returns {Array<{id: string, title: string, date: string, trashedAt: string, purgeAt: string|null, fileCount: number}>}
+ */
+function listTrashedMeetings(db, retentionDays = DEFAULT_RETENTION_DAYS) {
+  return db
+    .prepare(
+      "SELECT id, title, date, trashed_at, trash_info FROM meetings WHERE status = 'trashed' ORDER BY trashed_at DESC"
+    )
+    .all()
+    .map(row => ({
+      id: row.id,
+      title: row.title,
+      date: row.date,
+      trashedAt: row.trashed_at,
+      purgeAt: purgeDate(row.trashed_at, retentionDays),
+      fileCount: parseTrashInfo(row.trash_info).files.length,
+    }));
+}
+
+/**
+ * IDs of trashed meetings past their retention period.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} retentionDays - 0 disables automatic purging
+ * @param {Date} [now=new Date()]
+ * @returns {string[]}
+ */
+function getExpiredTrash(db, retentionDays, now = new Date()) {
+  if (!retentionDays || retentionDays <= 0) return [];
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+  return db
+    .prepare("SELECT id FROM meetings WHERE status = 'trashed' AND trashed_at <= ? ORDER BY trashed_at")
+    .all(cutoff)
+    .map(row => row.id);
+}
+
+// ======================================================================
+// Files
+// ======================================================================
+
+/**
+ * The meeting's folder inside the vault's Trash.
+ * @param {string} vaultRoot
+ * @param {string} meetingId
+ * @returns {string}
+ */
+function trashFolder(vaultRoot, meetingId) {
+  return path.join(vaultRoot, TRASH_DIR, meetingId.replace(/[^A-Za-z0-9._-]/g, '_'));
+}
+
+/**
+ * Work out where each of a meeting's files goes in the Trash.
+ * @param {string} vaultRoot
+ * @param {string} meetingId
+ * @param {{notes?: string[], media?: string[]}} files - Notes as vault-relative paths, media as absolute paths
+ * @returns {Array<{from: string, to: string}>}
+ */
+function planTrashMoves(vaultRoot, meetingId, { notes = [], media = [] }) {
+  const folder = trashFolder(vaultRoot, meetingId);
+  const moves = [];
+  for (const note of notes) {
+    const relative = path.normalize(note).replace(/^([/\\]|\.\.[/\\])+/, '');
+    moves.push({ from: path.join(vaultRoot, relative), to: path.join(folder, 'notes', relative) });
+  }
+  for (const file of media) {
+    moves.push({ from: file, to: path.join(folder, 'audio', path.basename(file)) });
+  }
+  return moves;
+}
+
+/**
+ * Rename a file, falling back to copy + delete across drives (the recordings
+ * folder and the vault are often on different volumes).
+ * @param {string} from
+ * @param {string} to
+ */
+function moveFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+/**
+ * Carry out planned moves for the files that exist.
+ * @param {Array<{from: string, to: string}>} moves
+ * @param {Function} [warn]
+ * @returns {Array<{from: string, to: string}>} The moves that happened
+ */
+function moveFilesToTrash(moves, warn = () => {}) {
+  const moved = [];
+  for (const move of moves) {
+    if (!fs.existsSync(move.from)) continue;
+    try {
+      moveFile(move.from, move.to);
+      moved.push(move);
+    } catch (error) {
+      warn(`Could not move ${move.from} to the Trash: ${error.message}`);
+    }
+  }
+  return moved;
+}
+
+/**
+ * Move trashed files back. A file is left in the Trash if something new now
+ * exists at its original path.
+ * @param {Array<{from: string, to: string}>} files - As recorded by moveFilesToTrash
+ * @param {Function} [warn]
+ * @returns {{restored: string[], skipped: string[]}} Original paths
+ */
+function restoreFiles(files, warn = () => {}) {
+  const restored = [];
+  const skipped = [];
+  for (const { from, to } of files) {
+    if (!fs.existsSync(to)) {
+      skipped.push(from);
+      continue;
+    }
+    if (fs.existsSync(from)) {
+      warn(`Not restoring ${from}: a file already exists there (kept in ${to})`);
+      skipped.push(from);
+      continue;
+    }
+    try {
+      moveFile(to, from);
+      restored.push(from);
+    } catch (error) {
+      warn(`Could not restore ${from}: ${error.message}`);
+      skipped.push(from);
+    }
+  }
+  return { restored, skipped };
+}
+
+/**
+ * Delete a meeting's Trash folder (used when the meeting is purged).
+ * @param {string} vaultRoot
+ * @param {string} meetingId
+ */
+function removeTrashFolder(vaultRoot, meetingId) {
+  fs.rmSync(trashFolder(vaultRoot, meetingId), { recursive: true, force: true });
+}
+
+module.exports = {
+  TRASH_DIR,
+  DEFAULT_RETENTION_DAYS,
+  NOT_TRASHED,
+  addTrashColumns,
+  trashMeeting,
+  restoreMeeting,
+  getTrashInfo,
+  purgeDate,
+  listTrashedMeetings,
+  getExpiredTrash,
+  trashFolder,
+  planTrashMoves,
+  moveFile,
+  moveFilesToTrash,
+  restoreFiles,
+  removeTrashFolder,
+};
@@ -0,0 +1,350 @@
+/**
+ * Meeting Writes + Audit Trail (schema v8)
+ *
+ * Targeted SQL edits used by the MCP server's opt-in write mode
+ * (`--allow-writes`). The MCP server runs outside Electron, so it can't go
+ * through databaseService.saveMeeting; instead each operation touches only the
+ * columns/rows it changes and records a before/after entry in `audit_log` in the
+ * same transaction.
+ *
+ * The running app picks the changes up by polling audit_log for rows newer than
+ * the last one it has seen (see getAuditEntriesSince) and telling the renderer
+ * to reload the affected meetings.
+ *
+ * Title, notes and speaker mapping edits also land in the meeting's edit history
+ * (meeting_revisions, v11) like any other overwrite.
+ *
+ * Inputs are expected to be validated by the caller against the shared schemas
+ * in ipcSchemas.js (meetingTitleUpdateSchema etc.).
+ */
+
+const { hasRevisionsTable, recordRevisions } = require('./meetingRevisions');
+const { NOT_TRASHED } = require('./meetingTrash');
+const {
+  hasMeetingFieldTables,
+  normalizeTags,
+  getMeetingTags,
+  setMeetingTags,
+} = require('./meetingFields');
+
+const AUDIT_SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    action TEXT NOT NULL,
+    meeting_id TEXT,
+    before_value TEXT,
+    after_value TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_log_meeting ON audit_log(meeting_id);
+`;
+
+/**
+ * Create the audit_log table (idempotent). No FK on meeting_id: the trail has
+ * to outlive the meeting it describes.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createAuditLog(db) {
+  db.exec(AUDIT_SCHEMA_SQL);
+}
+
+/**
+ * Whether the database has the v8 audit_log table. The MCP server refuses to
+ * enable writes on older databases — the app owns migrations.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {boolean}
+ */
+function hasAuditLog(db) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'audit_log'").get();
+}
+
+/**
+ * Append one audit entry. Values are stored as JSON.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{source: string, action: string, meetingId?: string, before?: *, after?: *}} entry
+ * @returns {number} audit_log row id
+ */
+function recordAudit(db, { source, action, meetingId = null, before = null, after = null }) {
+  const result = db
+    .prepare(
+      `INSERT INTO audit_log (source, action, meeting_id, before_value, after_value)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .run(
+      source,
+      action,
+      meetingId,
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after)
+    );
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Audit entries with id > afterId, oldest first.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} afterId
+ * @param {Object} [options]
+ * @param {string} [options.source] - Only entries written by this source (e.g. 'mcp')
+ * @param {number} [options.limit=500]
+ * @returns {Array<{id: number, source: string, action: string, meetingId: string|null,
+ *   before: *, after: *, createdAt: string}>}
+ */
+function getAuditEntriesSince(db, afterId, options = {}) {
+  const sourceFilter = options.source ? ' AND source = @source' : '';
+  return db
+    .prepare(
+      `SELECT * FROM audit_log WHERE id > @afterId${sourceFilter} ORDER BY id LIMIT @limit`
+    )
+    .all({ afterId, source: options.source, limit: options.limit || 500 })
+    .map(rowToAuditEntry);
+}
+
+/**
+ * Most recent audit entries for one meeting, newest first.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {number} [limit=50]
+ * @returns {Array<Object>} See getAuditEntriesSince
+ */
+function getAuditEntriesForMeeting(db, meetingId, limit = 50) {
+  return db
+    .prepare('SELECT * FROM audit_log WHERE meeting_id = ? ORDER BY id DESC LIMIT ?')
+    .all(meetingId, limit)
+    .map(rowToAuditEntry);
+}
+
+/**
+ * Highest audit_log id, or 0 when empty.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number}
+ */
+function getLatestAuditId(db) {
+  return db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM audit_log').get().id;
+}
+
+function rowToAuditEntry(row) {
+  const parse = value => {
+    if (value == null) return null;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  };
+  return {
+    id: row.id,
+    source: row.source,
+    action: row.action,
+    meetingId: row.meeting_id,
+    before: parse(row.before_value),
+    after: parse(row.after_value),
+    createdAt: row.created_at,
+  };
+}
+
+// ======================================================================
+// Write operations
+// ======================================================================
+
+// A meeting in the Trash is as good as gone, as it is for MCP reads
+function requireMeeting(db, meetingId, columns) {
+  const row = db.prepare(`SELECT ${columns} FROM meetings WHERE id = ? AND ${NOT_TRASHED}`).get(meetingId);
+  if (!row) throw new Error(`Meeting ${meetingId} not found`);
+  return row;
+}
+
+// Same edit-history entry saveMeeting would record (skipped before v11).
+function recordRevision(db, meetingId, column, before, after, source) {
+  if (!hasRevisionsTable(db)) return;
+  recordRevisions(db, meetingId, { [column]: before }, { [column]: after }, { source });
+}
+
+function touchMeeting(db, meetingId) {
+  db.prepare('UPDATE meetings SET updated_at = ? WHERE id = ?').run(new Date().toISOString(), meetingId);
+}
+
+/**
+ * Rename a meeting.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{meetingId: string, title: string}} input
+ * @param {string} source - Audit source, e.g. 'mcp'
+ * @returns {{meetingId: string, before: string, after: string, changed: boolean}}
+ */
+function updateMeetingTitle(db, { meetingId, title }, source) {
+  return db.transaction(() => {
+    const { title: before } = requireMeeting(db, meetingId, 'title');
+    if (before === title) return { meetingId, before, after: title, changed: false };
+
+    db.prepare('UPDATE meetings SET title = ? WHERE id = ?').run(title, meetingId);
+    recordRevision(db, meetingId, 'title', before, title, source);
+    touchMeeting(db, meetingId);
+    recordAudit(db, { source, action: 'update_meeting_title', meetingId, before, after: title });
+    return { meetingId, before, after: title, changed: true };
+  })();
+}
+
+/**
+ * Append a note section to the meeting's markdown notes (meetings.content),
+ * using the same `---` + heading layout as a regenerated summary.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{meetingId: string, note: string, heading?: string}} input
+ * @param {string} source
+ * @param {Date} [now=new Date()]
+ * @returns {{meetingId: string, appended: string}}
+ */
+function addMeetingNote(db, { meetingId, note, heading }, source, now = new Date()) {
+  return db.transaction(() => {
+    const { content } = requireMeeting(db, meetingId, 'content');
+    const section = `## ${heading || `Note (${now.toLocaleString()})`}\n\n${note.trim()}`;
+    const updated = content ? `${content}\n\n---\n\n${section}` : section;
+
+    db.prepare('UPDATE meetings SET content = ? WHERE id = ?').run(updated, meetingId);
+    recordRevision(db, meetingId, 'content', content, updated, source);
+    touchMeeting(db, meetingId);
+    recordAudit(db, { source, action: 'add_meeting_note', meetingId, after: section });
+    return { meetingId, appended: section };
+  })();
+}
+
+/**
+ * Map a diarization label ("Speaker A") to a person, mirroring the app's
+ * speakers:updateMapping: updates the speaker_mappings row, the speaker_mapping
+ * JSON column (keeping per-label extras such as voice embeddings), and the
+ * transcript entries carrying that label.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{meetingId: string, speakerLabel: string, name: string, email?: string}} input
+ * @param {string} source
+ * @returns {{meetingId: string, speakerLabel: string, utterancesUpdated: number, before: Object|null, after: Object}}
+ */
+function setSpeakerMapping(db, { meetingId, speakerLabel, name, email }, source) {
+  return db.transaction(() => {
+    const row = requireMeeting(db, meetingId, 'speaker_mapping');
+    const labelExists = db
+      .prepare('SELECT 1 FROM transcript_entries WHERE meeting_id = ? AND speaker = ? LIMIT 1')
+      .get(meetingId, speakerLabel);
+    if (!labelExists) {
+      throw new Error(`Speaker label "${speakerLabel}" does not appear in meeting ${meetingId}'s transcript`);
+    }
+
+    let mapping = {};
+    if (row.speaker_mapping) {
+      try {
+        mapping = JSON.parse(row.speaker_mapping) || {};
+      } catch {
+        mapping = {};
+      }
+    }
+    const before = mapping[speakerLabel] || null;
+    const after = {
+      ...(before || {}),
+      name,
+      email: email || undefined,
+      confidence: 'manual',
+      method: `${source}-correction`,
+    };
+    mapping[speakerLabel] = after;
+
+    const mappingJson = JSON.stringify(mapping);
+    db.prepare('UPDATE meetings SET speaker_mapping = ? WHERE id = ?').run(mappingJson, meetingId);
+    recordRevision(db, meetingId, 'speaker_mapping', row.speaker_mapping, mappingJson, source);
+    db.prepare(
+      `INSERT INTO speaker_mappings (meeting_id, speaker_label, email, name, confidence, method)
+       VALUES (@meetingId, @speakerLabel, @email, @name, 'manual', @method)
+       ON CONFLICT(meeting_id, speaker_label) DO UPDATE SET
+         email = excluded.email, name = excluded.name,
+         confidence = excluded.confidence, method = excluded.method`
+    ).run({ meetingId, speakerLabel, email: email || null, name, method: after.method });
+
+    // speaker_display_name holds a wiki-linked copy of the old name — clear it
+    // so the new name is what every view shows.
+    const { changes } = db
+      .prepare(
+        `UPDATE transcript_entries
+         SET speaker_name = ?, speaker_email = ?, speaker_display_name = NULL, speaker_mapped = 1
+         WHERE meeting_id = ? AND speaker = ?`
+      )
+      .run(name, email || null, meetingId, speakerLabel);
+
+    touchMeeting(db, meetingId);
+    recordAudit(db, {
+      source,
+      action: 'set_speaker_mapping',
+      meetingId,
+      before: before && { label: speakerLabel, name: before.name, email: before.email },
+      after: { label: speakerLabel, name, email: email || null },
+    });
+    return { meetingId, speakerLabel, utterancesUpdated: changes, before, after };
+  })();
+}
+
+/**
+ * Add and/or remove tags on a meeting. Tags live in meeting_tags (v13); on an
+ * older database they're kept in the extra_fields JSON, which the v13
+ * migration moves over.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{meetingId: string, add?: string[], remove?: string[]}} input
+ * @param {string} source
+ * @returns {{meetingId: string, tags: string[], changed: boolean}}
+ */
+function tagMeeting(db, { meetingId, add = [], remove = [] }, source) {
+  const applyEdit = before => {
+    const removeKeys = new Set(normalizeTags(remove).map(t => t.toLowerCase()));
+    const after = normalizeTags([...before, ...add]).filter(t => !removeKeys.has(t.toLowerCase()));
+    return { after, changed: JSON.stringify(before) !== JSON.stringify(after) };
+  };
+
+  return db.transaction(() => {
+    const row = requireMeeting(db, meetingId, 'extra_fields');
+
+    if (hasMeetingFieldTables(db)) {
+      const before = getMeetingTags(db, meetingId);
+      const { after, changed } = applyEdit(before);
+      if (!changed) return { meetingId, tags: after, changed };
+      setMeetingTags(db, meetingId, after);
+      touchMeeting(db, meetingId);
+      recordAudit(db, { source, action: 'tag_meeting', meetingId, before, after });
+      return { meetingId, tags: after, changed };
+    }
+
+    let extra = {};
+    if (row.extra_fields) {
+      try {
+        extra = JSON.parse(row.extra_fields) || {};
+      } catch {
+        throw new Error(`Meeting ${meetingId} has corrupt extra_fields; refusing to overwrite`);
+      }
+    }
+
+    const before = normalizeTags(Array.isArray(extra.tags) ? extra.tags : []);
+    const { after, changed } = applyEdit(before);
+    if (!changed) return { meetingId, tags: after, changed };
+
+    if (after.length > 0) extra.tags = after;
+    else delete extra.tags;
+    db.prepare('UPDATE meetings SET extra_fields = ? WHERE id = ?').run(
+      Object.keys(extra).length > 0 ? JSON.stringify(extra) : null,
+      meetingId
+    );
+    touchMeeting(db, meetingId);
+    recordAudit(db, { source, action: 'tag_meeting', meetingId, before, after });
+    return { meetingId, tags: after, changed };
+  })();
+}
+
+module.exports = {
+  AUDIT_SCHEMA_SQL,
+  createAuditLog,
+  hasAuditLog,
+  recordAudit,
+  getAuditEntriesSince,
+  getAuditEntriesForMeeting,
+  getLatestAuditId,
+  updateMeetingTitle,
+  addMeetingNote,
+  setSpeakerMapping,
+  normalizeTags,
+  tagMeeting,
+};
@@ -0,0 +1,560 @@
+/**
+ * Semantic Search (schema v7)
+ *
+ * Embedding index over transcript chunks and summaries so "find meetings about
+ * X" works when the meeting never used the words in the query — the gap the
+ * FTS5 index (fullTextSearch.js) can't cover.
+ *
+ *   - meeting_embeddings: one row per chunk, vector stored as a little-endian
+ *     Float32 BLOB via voiceProfileService's serializeEmbedding (same layout as
+ *     voice_profiles.embedding). Transcript chunks are runs of consecutive
+ *     utterances and remember their entry_order range so a hit can be pinned
+ *     back to a single utterance + timestamp.
+ *   - meeting_embedding_state: per-meeting bookkeeping (model + chunk count).
+ *     Triggers drop a meeting's state row whenever its transcript or summary
+ *     changes, so "what needs (re)indexing" is a cheap anti-join.
+ *
+ * Vectors come from an injected `embed(texts) => Promise<number[][]>` (the app
+ * and the MCP server both pass fetchLocalEmbeddings bound to the local
+ * Ollama-compatible endpoint). Search is a brute-force cosine scan — a few
+ * thousand chunks per year of meetings is well within what that handles.
+ */
+
+const crypto = require('crypto');
+const {
+  serializeEmbedding,
+  deserializeEmbedding,
+  cosineSimilarity,
+} = require('./voiceProfileService');
+const { NOT_TRASHED } = require('./meetingTrash');
+
+/** Default embedding model pulled into Ollama (`ollama pull nomic-embed-text`). */
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text';
+
+/** Target chunk size. ~300 tokens keeps each chunk on one topic and well under
+ *  the context window of common local embedding models. */
+const CHUNK_MAX_CHARS = 1200;
+
+/** Texts per embed() call — bounds request size against the local server. */
+const EMBED_BATCH_SIZE = 32;
+
+const SEMANTIC_SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS meeting_embeddings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    entry_start INTEGER,
+    entry_end INTEGER,
+    text TEXT NOT NULL,
+    model TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    embedding BLOB NOT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS meeting_embedding_state (
+    meeting_id TEXT PRIMARY KEY REFERENCES meetings(id) ON DELETE CASCADE,
+    model TEXT NOT NULL,
+    chunk_count INTEGER NOT NULL,
+    indexed_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_meeting_embeddings_meeting ON meeting_embeddings(meeting_id);
+  CREATE INDEX IF NOT EXISTS idx_meeting_embeddings_model ON meeting_embeddings(model);
+
+  CREATE TRIGGER IF NOT EXISTS meeting_embedding_stale_ti AFTER INSERT ON transcript_entries BEGIN
+    DELETE FROM meeting_embedding_state WHERE meeting_id = NEW.meeting_id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS meeting_embedding_stale_td AFTER DELETE ON transcript_entries BEGIN
+    DELETE FROM meeting_embedding_state WHERE meeting_id = OLD.meeting_id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS meeting_embedding_stale_tu
+  AFTER UPDATE OF text, speaker_name, speaker_display_name ON transcript_entries BEGIN
+    DELETE FROM meeting_embedding_state WHERE meeting_id = NEW.meeting_id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS meeting_embedding_stale_mu
+  AFTER UPDATE OF summary, summaries ON meetings BEGIN
+    DELETE FROM meeting_embedding_state WHERE meeting_id = NEW.id;
+  END;
+`;
+
+/**
+ * Create the embedding tables + staleness triggers (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createSemanticIndex(db) {
+  db.exec(SEMANTIC_SCHEMA_SQL);
+}
+
+/**
+ * Whether the database has the v7 embedding tables. The MCP server opens older
+ * databases read-only and reports semantic search as unavailable.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {boolean}
+ */
+function hasSemanticIndex(db) {
+  const row = db
+    .prepare(
+      "SELECT COUNT(*) AS n FROM sqlite_master WHERE name IN ('meeting_embeddings', 'meeting_embedding_state')"
+    )
+    .get();
+  return row.n === 2;
+}
+
+// ======================================================================
+// Chunking
+// ======================================================================
+
+/**
+ * Group consecutive utterances into chunks of at most `maxChars`. A single
+ * utterance longer than the limit becomes its own chunk rather than being split
+ * mid-sentence.
+ * @param {Array<{entryOrder: number, speaker: string, text: string}>} entries - In transcript order
+ * @param {number} [maxChars=CHUNK_MAX_CHARS]
+ * @returns {Array<{entryStart: number, entryEnd: number, text: string}>}
+ */
+function chunkTranscript(entries, maxChars = CHUNK_MAX_CHARS) {
+  const chunks = [];
+  let current = null;
+
+  for (const e of entries || []) {
+    const text = (e.text || '').trim();
+    if (!text) continue;
+    const line = e.speaker ? `${e.speaker}: ${text}` : text;
+
+    if (current && current.text.length + 1 + line.length > maxChars) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { entryStart: e.entryOrder, entryEnd: e.entryOrder, text: line };
+    } else {
+      current.entryEnd = e.entryOrder;
+      current.text += `\n${line}`;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split summary markdown into paragraph-aligned chunks of at most `maxChars`.
+ * @param {string} text
+ * @param {number} [maxChars=CHUNK_MAX_CHARS]
+ * @returns {string[]}
+ */
+function chunkText(text, maxChars = CHUNK_MAX_CHARS) {
+  const chunks = [];
+  let current = '';
+  for (const para of (text || '').split(/\n\s*\n/)) {
+    const p = para.trim();
+    if (!p) continue;
+    if (current && current.length + 2 + p.length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${p}` : p;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Build every chunk for one meeting from the database rows: the main summary,
+ * each template output (from the `summaries` JSON column) and the transcript.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {number} [maxChars=CHUNK_MAX_CHARS]
+ * @returns {Array<{source: 'summary'|'transcript', entryStart: number|null, entryEnd: number|null, text: string}>}
+ */
+function buildMeetingChunks(db, meetingId, maxChars = CHUNK_MAX_CHARS) {
+  const meeting = db.prepare('SELECT summary, summaries FROM meetings WHERE id = ?').get(meetingId);
+  if (!meeting) return [];
+
+  const summaryTexts = [meeting.summary];
+  if (meeting.summaries) {
+    try {
+      const parsed = JSON.parse(meeting.summaries);
+      if (Array.isArray(parsed)) {
+        for (const s of parsed) if (s && typeof s.content === 'string') summaryTexts.push(s.content);
+      }
+    } catch {
+      // Corrupt summaries JSON — index the rest of the meeting.
+    }
+  }
+
+  const chunks = [];
+  for (const text of summaryTexts) {
+    for (const chunk of chunkText(text, maxChars)) {
+      chunks.push({ source: 'summary', entryStart: null, entryEnd: null, text: chunk });
+    }
+  }
+
+  const entries = db
+    .prepare(
+      `SELECT entry_order AS entryOrder, text,
+         COALESCE(speaker_display_name, speaker_name, speaker) AS speaker
+       FROM transcript_entries WHERE meeting_id = ? ORDER BY entry_order`
+    )
+    .all(meetingId);
+  for (const chunk of chunkTranscript(entries, maxChars)) {
+    chunks.push({ source: 'transcript', ...chunk });
+  }
+  return chunks;
+}
+
+function hashChunks(chunks) {
+  const hash = crypto.createHash('sha256');
+  for (const c of chunks) hash.update(`${c.source}\u0000${c.entryStart}\u0000${c.text}\u0001`);
+  return hash.digest('hex');
+}
+
+/**
+ * Embed texts in EMBED_BATCH_SIZE batches, validating the response shape.
+ * @param {Function} embed - async (texts: string[]) => number[][]
+ * @param {string[]} texts
+ * @returns {Promise<Float32Array[]>}
+ */
+async function embedAll(embed, texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBED_BATCH_SIZE);
+    const result = await embed(batch);
+    if (!Array.isArray(result) || result.length !== batch.length) {
+      throw new Error(
+        `Embedding endpoint returned ${Array.isArray(result) ? result.length : 'no'} vectors for ${batch.length} inputs`
+      );
+    }
+    for (const v of result) vectors.push(Float32Array.from(v));
+  }
+  return vectors;
+}
+
+// ======================================================================
+// Indexing
+// ======================================================================
+
+/**
+ * (Re)index one meeting. Skips the embed calls when the chunk content and model
+ * are unchanged since the last run (e.g. a transcript rewritten with identical
+ * text), only refreshing the state row. Writes nothing if the meeting changed
+ * while it was being embedded (`stale`); it is still pending for the next run.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {Function} embed - async (texts: string[]) => number[][]
+ * @param {Object} [options]
+ * @param {string} [options.model=DEFAULT_EMBEDDING_MODEL] - Recorded with each vector
+ * @returns {Promise<{meetingId: string, chunks: number, skipped: boolean, stale?: boolean}>}
+ */
+async function indexMeeting(db, meetingId, embed, options = {}) {
+  const model = options.model || DEFAULT_EMBEDDING_MODEL;
+  const chunks = buildMeetingChunks(db, meetingId);
+  const contentHash = hashChunks(chunks);
+
+  const writeState = db.prepare(`
+    INSERT INTO meeting_embedding_state (meeting_id, model, chunk_count, indexed_at)
+    VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(meeting_id) DO UPDATE SET
+      model = excluded.model, chunk_count = excluded.chunk_count, indexed_at = excluded.indexed_at
+  `);
+
+  // The state row is dropped on every transcript rewrite, so the hash lives on
+  // the vectors themselves.
+  const existing = db
+    .prepare(
+      'SELECT COUNT(*) AS n, MIN(model) AS model, MIN(content_hash) AS hash FROM meeting_embeddings WHERE meeting_id = ?'
+    )
+    .get(meetingId);
+  if (existing.n === chunks.length && existing.model === model && existing.hash === contentHash) {
+    writeState.run(meetingId, model, chunks.length);
+    return { meetingId, chunks: chunks.length, skipped: true };
+  }
+
+  const vectors = chunks.length > 0 ? await embedAll(embed, chunks.map(c => c.text)) : [];
+
+  const insert = db.prepare(`
+    INSERT INTO meeting_embeddings
+      (meeting_id, source, chunk_index, entry_start, entry_end, text, model, content_hash, embedding)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const replace = db.transaction(() => {
+    // The meeting may have changed while the embed calls were out; those vectors
+    // are for the old text, and the staleness triggers have already fired for it
+    if (hashChunks(buildMeetingChunks(db, meetingId)) !== contentHash) return false;
+    db.prepare('DELETE FROM meeting_embeddings WHERE meeting_id = ?').run(meetingId);
+    chunks.forEach((c, i) => {
+      insert.run(
+        meetingId, c.source, i, c.entryStart, c.entryEnd, c.text, model, contentHash,
+        serializeEmbedding(vectors[i])
+      );
+    });
+    writeState.run(meetingId, model, chunks.length);
+    return true;
+  });
+  if (!replace()) return { meetingId, chunks: 0, skipped: true, stale: true };
+
+  return { meetingId, chunks: chunks.length, skipped: false };
+}
+
+/**
+ * Meetings with a transcript or summary that have never been indexed, were
+ * indexed with a different model, or changed since (state row dropped by the
+ * staleness triggers). Most recent first so a partial run helps the most.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} [model=DEFAULT_EMBEDDING_MODEL]
+ * @returns {string[]} Meeting IDs
+ */
+function getMeetingsNeedingIndex(db, model = DEFAULT_EMBEDDING_MODEL) {
+  return db
+    .prepare(
+      `SELECT m.id FROM meetings m
+       LEFT JOIN meeting_embedding_state s ON s.meeting_id = m.id AND s.model = ?
+       WHERE s.meeting_id IS NULL
+         AND (COALESCE(m.summary, '') != '' OR COALESCE(m.summaries, '') != ''
+              OR EXISTS (SELECT 1 FROM transcript_entries t WHERE t.meeting_id = m.id))
+       ORDER BY m.date DESC`
+    )
+    .all(model)
+    .map(r => r.id);
+}
+
+/**
+ * Index every meeting returned by getMeetingsNeedingIndex. Stops at the first
+ * embedding failure that looks like the endpoint being unreachable — there is
+ * no point hammering a server that isn't running — but keeps going past
+ * per-meeting errors.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Function} embed - async (texts: string[]) => number[][]
+ * @param {Object} [options]
+ * @param {string} [options.model=DEFAULT_EMBEDDING_MODEL]
+ * @param {number} [options.limit] - Max meetings this run
+ * @param {Function} [options.onProgress] - (done, total) => void
+ * @param {Function} [options.log] - (msg) => void
+ * @returns {Promise<{indexed: number, skipped: number, failed: number, chunks: number, remaining: number}>}
+ */
+async function indexPendingMeetings(db, embed, options = {}) {
+  const model = options.model || DEFAULT_EMBEDDING_MODEL;
+  const log = options.log || (() => {});
+  const pending = getMeetingsNeedingIndex(db, model);
+  const ids = options.limit ? pending.slice(0, options.limit) : pending;
+  const summary = { indexed: 0, skipped: 0, failed: 0, chunks: 0, remaining: pending.length };
+
+  for (let i = 0; i < ids.length; i++) {
+    try {
+      const result = await indexMeeting(db, ids[i], embed, { model });
+      if (result.skipped) summary.skipped++;
+      else summary.indexed++;
+      summary.chunks += result.chunks;
+      if (!result.stale) summary.remaining--;
+    } catch (error) {
+      summary.failed++;
+      log(`[SemanticSearch] Failed to index meeting ${ids[i]}: ${error.message}`);
+      if (isConnectionError(error)) break;
+    }
+    if (options.onProgress) options.onProgress(i + 1, ids.length);
+  }
+  return summary;
+}
+
+function isConnectionError(error) {
+  const code = error.code || error.cause?.code;
+  return (
+    ['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EHOSTUNREACH'].includes(code) ||
+    error.name === 'AbortError' ||
+    /fetch failed/i.test(error.message)
+  );
+}
+
+// ======================================================================
+// Query
+// ======================================================================
+
+/**
+ * Rank meetings by cosine similarity between the query vector and their best
+ * chunk. Only vectors from `model` are compared — mixing models is meaningless.
+ * @param {import('better-sqlite3').Database} db
+ * @param {ArrayLike<number>} queryVector
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Max meetings returned
+ * @param {string} [options.meetingId] - Restrict to a single meeting (returns its best chunks)
+ * @param {string} [options.model=DEFAULT_EMBEDDING_MODEL]
+ * @param {number} [options.minScore=0] - Drop hits below this similarity
+ * @returns {Array<{meetingId: string, title: string, date: string, source: string, score: number,
+ *   text: string, entryStart: number|null, entryEnd: number|null}>}
+ */
+function searchSemantic(db, queryVector, options = {}) {
+  const limit = options.limit || 10;
+  const model = options.model || DEFAULT_EMBEDDING_MODEL;
+  const minScore = options.minScore ?? 0;
+  const query = Float32Array.from(queryVector);
+  const meetingFilter =
+    ` AND m.${NOT_TRASHED}` +
+    (options.meetingId ? ' AND e.meeting_id = @meetingId' : '');
+
+  const rows = db
+    .prepare(
+      `SELECT e.meeting_id, e.source, e.entry_start, e.entry_end, e.text, e.embedding
+       FROM meeting_embeddings e
+       JOIN meetings m ON m.id = e.meeting_id
+       WHERE e.model = @model${meetingFilter}`
+    )
+    .iterate({ model, meetingId: options.meetingId });
+
+  // Within one meeting every chunk is a candidate; across meetings keep only
+  // each meeting's best chunk so one long meeting can't fill the result list.
+  const perMeeting = !options.meetingId;
+  const best = new Map();
+  const all = [];
+  for (const r of rows) {
+    const vector = deserializeEmbedding(r.embedding);
+    if (vector.length !== query.length) continue;
+    const score = cosineSimilarity(query, vector);
+    if (score < minScore) continue;
+    const hit = {
+      meetingId: r.meeting_id,
+      source: r.source,
+      score,
+      text: r.text,
+      entryStart: r.entry_start,
+      entryEnd: r.entry_end,
+    };
+    if (!perMeeting) all.push(hit);
+    else if (!best.has(r.meeting_id) || best.get(r.meeting_id).score < score) best.set(r.meeting_id, hit);
+  }
+
+  const hits = (perMeeting ? [...best.values()] : all)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  const getMeeting = db.prepare('SELECT title, date FROM meetings WHERE id = ?');
+  return hits.map(h => {
+    const m = getMeeting.get(h.meetingId) || {};
+    return { ...h, title: m.title, date: m.date };
+  });
+}
+
+/**
+ * Narrow transcript hits to the single utterance closest to the query by
+ * embedding each utterance in the matched chunk (one batched embed call for all
+ * hits). Adds entryOrder / speaker / timestamp / utterance to each transcript hit.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Array<Object>} hits - From searchSemantic
+ * @param {ArrayLike<number>} queryVector
+ * @param {Function} embed - async (texts: string[]) => number[][]
+ * @returns {Promise<Array<Object>>} The same hits, transcript ones annotated
+ */
+async function pinpointUtterances(db, hits, queryVector, embed) {
+  const getEntries = db.prepare(
+    `SELECT entry_order, text, timestamp,
+       COALESCE(speaker_display_name, speaker_name, speaker) AS speaker
+     FROM transcript_entries
+     WHERE meeting_id = ? AND entry_order BETWEEN ? AND ?
+     ORDER BY entry_order`
+  );
+
+  const bestByHit = new Map();
+  const candidates = [];
+  for (const hit of hits) {
+    if (hit.source !== 'transcript') continue;
+    const entries = getEntries
+      .all(hit.meetingId, hit.entryStart, hit.entryEnd)
+      .filter(e => e.text && e.text.trim());
+    // A single-utterance chunk already is the answer — no extra embedding.
+    if (entries.length === 1) bestByHit.set(hit, { score: hit.score, entry: entries[0] });
+    else for (const e of entries) candidates.push({ hit, entry: e });
+  }
+
+  if (candidates.length > 0) {
+    const vectors = await embedAll(embed, candidates.map(c => c.entry.text));
+    const query = Float32Array.from(queryVector);
+    candidates.forEach((c, i) => {
+      const score = cosineSimilarity(query, vectors[i]);
+      const cur = bestByHit.get(c.hit);
+      if (!cur || cur.score < score) bestByHit.set(c.hit, { score, entry: c.entry });
+    });
+  }
+
+  return hits.map(hit => {
+    const match = bestByHit.get(hit);
+    if (!match) return hit;
+    return {
+      ...hit,
+      entryOrder: match.entry.entry_order,
+      speaker: match.entry.speaker,
+      timestamp: match.entry.timestamp != null ? match.entry.timestamp : undefined,
+      utterance: match.entry.text,
+    };
+  });
+}
+
+/**
+ * "Find meetings about X": embed the query, rank meetings by their closest
+ * chunk, then pin transcript hits to the exact utterance.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} query
+ * @param {Function} embed - async (texts: string[]) => number[][]
+ * @param {Object} [options] - searchSemantic options plus { pinpoint = true }
+ * @returns {Promise<Array<Object>>}
+ */
+async function findMeetingsAbout(db, query, embed, options = {}) {
+  const text = (query || '').trim();
+  if (!text) return [];
+  const [queryVector] = await embedAll(embed, [text]);
+  const hits = searchSemantic(db, queryVector, options);
+  if (options.pinpoint === false) return hits;
+  return pinpointUtterances(db, hits, queryVector, embed);
+}
+
+/**
+ * The model most of the stored vectors were built with, or null when nothing
+ * is indexed. Lets read-only consumers (MCP server) embed queries with the same
+ * model the app indexed with.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {string|null}
+ */
+function getIndexedModel(db) {
+  const row = db
+    .prepare('SELECT model FROM meeting_embeddings GROUP BY model ORDER BY COUNT(*) DESC LIMIT 1')
+    .get();
+  return row ? row.model : null;
+}
+
+/**
+ * Index coverage for the settings / search UI.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} [model=DEFAULT_EMBEDDING_MODEL]
+ * @returns {{indexedMeetings: number, chunks: number, pendingMeetings: number}}
+ */
+function getSemanticIndexStats(db, model = DEFAULT_EMBEDDING_MODEL) {
+  const indexed = db
+    .prepare('SELECT COUNT(*) AS n, COALESCE(SUM(chunk_count), 0) AS chunks FROM meeting_embedding_state WHERE model = ?')
+    .get(model);
+  return {
+    indexedMeetings: indexed.n,
+    chunks: indexed.chunks,
+    pendingMeetings: getMeetingsNeedingIndex(db, model).length,
+  };
+}
+
+module.exports = {
+  DEFAULT_EMBEDDING_MODEL,
+  CHUNK_MAX_CHARS,
+  SEMANTIC_SCHEMA_SQL,
+  createSemanticIndex,
+  hasSemanticIndex,
+  chunkTranscript,
+  chunkText,
+  buildMeetingChunks,
+  indexMeeting,
+  getMeetingsNeedingIndex,
+  indexPendingMeetings,
+  searchSemantic,
+  pinpointUtterances,
+  findMeetingsAbout,
+  getIndexedModel,
+  getSemanticIndexStats,
+};
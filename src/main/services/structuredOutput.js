@@ -0,0 +1,252 @@
+/**
+ * Structured Template Output
+ *
+ * A template section can declare `output_schema`, a JSON Schema for an object.
+ * LLMService.generateStructured then asks the provider for JSON in that shape
+ * (Anthropic tool use, Gemini responseSchema, json_schema for OpenAI-compatible
+ * servers), validates it with zod and retries once when it doesn't match. The
+ * parsed object is stored with the summary, and the section's markdown is
+ * rendered from it as Obsidian inline fields, so the values can be queried
+ * in the vault as well as through IPC and MCP.
+ *
+ * Beyond standard JSON Schema, a string schema (a property, or an array's
+ * items) may set `x-link: true` to render its values as [[wikilinks]].
+ * Keywords starting with `x-` are removed before the schema is sent to a provider.
+ */
+
+const { z } = require('zod');
+const { NOT_TRASHED } = require('./meetingTrash');
+
+// Keys Gemini's responseSchema accepts; anything else is rejected with a 400
+const GEMINI_SCHEMA_KEYS = [
+  'type',
+  'format',
+  'description',
+  'nullable',
+  'enum',
+  'items',
+  'properties',
+  'required',
+  'minItems',
+  'maxItems',
+];
+
+/**
+ * Check a section's output schema and compile it into a zod validator.
+ * @param {Object} schema - JSON Schema; must describe an object
+ * @returns {import('zod').ZodType}
+ * @throws {Error} When the schema is not an object schema or can't be compiled
+ */
+function compileOutputSchema(schema) {
+  if (!schema || typeof schema !== 'object' || schema.type !== 'object') {
+    throw new Error("output_schema must be a JSON Schema with type 'object'");
+  }
+  try {
+    return z.fromJSONSchema(schema);
+  } catch (error) {
+    throw new Error(`Invalid output_schema: ${error.message}`);
+  }
+}
+
+/**
+ * The schema as sent to a provider, without this app's `x-` keywords.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function providerSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(providerSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !key.startsWith('x-'))
+      .map(([key, value]) => [
+        key,
+        key === 'properties'
+          ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, providerSchema(v)]))
+          : providerSchema(value),
+      ])
+  );
+}
+
+/**
+ * The schema in the OpenAPI subset Gemini's responseSchema accepts: nullable
+ * instead of type arrays, and no keywords it doesn't know.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function geminiSchema(schema) {
+  const result = {};
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] === undefined) continue;
+    if (key === 'items') result.items = geminiSchema(schema.items);
+    else if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, geminiSchema(property)])
+      );
+    } else result[key] = schema[key];
+  }
+  if (Array.isArray(schema.type)) {
+    result.type = schema.type.find(type => type !== 'null') || 'string';
+    if (schema.type.includes('null')) result.nullable = true;
+  }
+  return result;
+}
+
+/**
+ * Parse and validate a structured answer.
+ * @param {import('zod').ZodType} validator - From compileOutputSchema
+ * @param {string} text - The model's answer; JSON, possibly in a code fence
+ * @returns {{data: Object}|{errors: Array<string>}}
+ */
+function validateStructured(validator, text) {
+  const json = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/, '$1');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return { errors: [`Not valid JSON: ${error.message}`] };
+  }
+  const result = validator.safeParse(parsed);
+  if (result.success) return { data: result.data };
+  return {
+    errors: result.error.issues.map(
+      issue => `${issue.path.length ? issue.path.join('.') : '(root)'}: ${issue.message}`
+    ),
+  };
+}
+
+const isEmpty = value =>
+  value === null ||
+  value === undefined ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const headingFor = (name, property) =>
+  property.title || name.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+function formatScalar(value, property = {}) {
+  const text = String(value);
+  return property['x-link'] ? `[[${text}]]` : text;
+}
+
+// One line for an array item; an object's scalar values are joined in order
+function formatItem(item, itemSchema = {}) {
+  if (item === null || typeof item !== 'object') return formatScalar(item, itemSchema);
+  const properties = itemSchema.properties || {};
+  const values = Object.entries(item)
+    .filter(([, value]) => !isEmpty(value) && typeof value !== 'object')
+    .map(([key, value]) => formatScalar(value, properties[key]));
+  return values.join(' — ');
+}
+
+function renderObject(data, schema, depth) {
+  const lines = [];
+  const properties = schema.properties || {};
+  const names = [...Object.keys(properties), ...Object.keys(data).filter(k => !properties[k])];
+  const heading = '#'.repeat(Math.min(depth, 6));
+
+  for (const name of names) {
+    const value = data[name];
+    const property = properties[name] || {};
+    if (isEmpty(value)) continue;
+
+    if (Array.isArray(value)) {
+      lines.push('', `${heading} ${headingFor(name, property)}`, '');
+      for (const item of value) lines.push(`- ${formatItem(item, property.items)}`);
+      lines.push('');
+    } else if (typeof value === 'object') {
+      lines.push('', `${heading} ${headingFor(name, property)}`, '');
+      lines.push(...renderObject(value, property, depth + 1), '');
+    } else {
+      lines.push(`${name}:: ${formatScalar(value, property)}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Render a section's structured answer as markdown: scalar fields become
+ * Obsidian inline fields (`key:: value`), arrays become bullet lists and
+ * nested objects sub-sections, in the order the schema lists them.
+ * @param {Object} data - Validated answer
+ * @param {Object} schema - The section's output_schema
+ * @returns {string}
+ */
+function renderStructured(data, schema) {
+  const markdown = renderObject(data || {}, schema, 3)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return markdown || '*Nothing to record from this meeting.*';
+}
+
+/**
+ * Structured answers stored with meeting summaries, newest meeting first.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} [filters]
+ * @param {string} [filters.meetingId]
+ * @param {string} [filters.templateId]
+ * @param {string} [filters.startDate] - 'YYYY-MM-DD'
+ * @param {string} [filters.endDate] - 'YYYY-MM-DD'
+ * @param {number} [filters.limit=100] - Max rows (one per meeting and template)
+ * @returns {Array<{meetingId: string, meetingTitle: string, meetingDate: string, templateId: string, templateName: string, data: Object}>}
+ *   data holds each structured section's answer, by section title
+ */
+function listStructuredData(db, filters = {}) {
+  const where = [NOT_TRASHED, 'summaries IS NOT NULL'];
+  const params = {};
+  if (filters.meetingId) {
+    where.push('id = @meetingId');
+    params.meetingId = filters.meetingId;
+  }
+  if (filters.startDate) {
+    where.push('date >= @startDate');
+    params.startDate = filters.startDate;
+  }
+  if (filters.endDate) {
+    where.push('date <= @endDate');
+    params.endDate = filters.endDate;
+  }
+  const limit = filters.limit || 100;
+  const rows = [];
+  const meetings = db
+    .prepare(
+      `SELECT id, title, date, summaries FROM meetings WHERE ${where.join(' AND ')} ORDER BY date DESC`
+    )
+    .iterate(params);
+
+  for (const meeting of meetings) {
+    let summaries;
+    try {
+      summaries = JSON.parse(meeting.summaries);
+    } catch {
+      continue;
+    }
+    for (const summary of Array.isArray(summaries) ? summaries : []) {
+      if (!summary?.data) continue;
+      if (filters.templateId && summary.templateId !== filters.templateId) continue;
+      rows.push({
+        meetingId: meeting.id,
+        meetingTitle: meeting.title,
+        meetingDate: meeting.date,
+        templateId: summary.templateId,
+        templateName: summary.templateName,
+        data: summary.data,
+      });
+      if (rows.length >= limit) return rows;
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  compileOutputSchema,
+  providerSchema,
+  geminiSchema,
+  validateStructured,
+  renderStructured,
+  listStructuredData,
+};
@@ -0,0 +1,199 @@
+/**
+ * Summary Cache (schema v18)
+ *
+ * Regenerating a summary of an unchanged transcript with the same template
+ * and model pays for the same LLM calls again. Results are cached here under
+ * a content-addressed key: hashes of the transcript text, the speaker
+ * mapping, the template (its prompts, so editing one is a new version), the
+ * model, and any other context the prompt is built from. Nothing in the key
+ * identifies the meeting; meeting_id only records which one stored the entry,
+ * so it can be cleared with it.
+ *
+ * Entries are evicted least recently used first beyond a maximum count, and
+ * when they haven't been used for a number of days.
+ */
+
+const crypto = require('crypto');
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS summary_cache (
+    key TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    meeting_id TEXT,
+    template_id TEXT,
+    model TEXT,
+    result TEXT NOT NULL,
+    size INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_summary_cache_used ON summary_cache(last_used_at);
+  CREATE INDEX IF NOT EXISTS idx_summary_cache_meeting ON summary_cache(meeting_id);
+`;
+
+/**
+ * Create the summary_cache table (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createSummaryCacheTable(db) {
+  db.exec(SCHEMA_SQL);
+}
+
+// JSON with object keys sorted, so equal mappings hash equally
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const hashOf = value =>
+  crypto
+    .createHash('sha256')
+    .update(typeof value === 'string' ? value : stableStringify(value), 'utf8')
+    .digest('hex');
+
+/**
+ * Cache key for a summary call.
+ * @param {Object} parts
+ * @param {string} parts.kind - 'meeting' (auto summary) or 'template'
+ * @param {string} parts.transcript - Transcript text as sent to the model
+ * @param {Object} [parts.speakerMapping]
+ * @param {*} parts.template - What defines the template version: its sections, or the prompt
+ * @param {string} parts.model - 'provider/model'
+ * @param {string} [parts.context] - Anything else the prompt includes (user profile, participants)
+ * @returns {string}
+ */
+function summaryCacheKey({ kind, transcript, speakerMapping, template, model, context = '' }) {
+  return hashOf(
+    [
+      kind,
+      hashOf(transcript || ''),
+      hashOf(speakerMapping || {}),
+      hashOf(template ?? null),
+      model,
+      hashOf(context),
+    ].join('\n')
+  );
+}
+
+/**
+ * A cached result, counted as a hit.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} key
+ * @param {Date} [now]
+ * @returns {Object|null}
+ */
+function getCachedSummary(db, key, now = new Date()) {
+  const row = db.prepare('SELECT result FROM summary_cache WHERE key = ?').get(key);
+  if (!row) return null;
+  db.prepare('UPDATE summary_cache SET hits = hits + 1, last_used_at = ? WHERE key = ?').run(
+    now.toISOString(),
+    key
+  );
+  return JSON.parse(row.result);
+}
+
+/**
+ * Store a result, replacing any entry under the same key.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} entry
+ * @param {string} entry.key - From summaryCacheKey
+ * @param {string} entry.kind
+ * @param {string} [entry.meetingId]
+ * @param {string} [entry.templateId]
+ * @param {string} [entry.model]
+ * @param {Object} entry.result - Anything JSON-serializable
+ * @param {Date} [now]
+ */
+function putCachedSummary(db, entry, now = new Date()) {
+  const result = JSON.stringify(entry.result);
+  db.prepare(
+    `INSERT OR REPLACE INTO summary_cache
+       (key, kind, meeting_id, template_id, model, result, size, created_at, last_used_at, hits)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`
+  ).run(
+    entry.key,
+    entry.kind,
+    entry.meetingId || null,
+    entry.templateId || null,
+    entry.model || null,
+    result,
+    Buffer.byteLength(result, 'utf8'),
+    now.toISOString(),
+    now.toISOString()
+  );
+}
+
+/**
+ * Remove entries.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} [options]
+ * @param {boolean} [options.all] - Everything
+ * @param {string} [options.meetingId] - Entries stored for this meeting
+ * @param {number} [options.maxAgeDays] - Entries not used for longer
+ * @param {number} [options.maxEntries] - Keep only the most recently used
+ * @param {Date} [now]
+ * @returns {number} Entries removed
+ */
+function evictSummaryCache(db, options = {}, now = new Date()) {
+  if (options.all) return db.prepare('DELETE FROM summary_cache').run().changes;
+
+  let removed = 0;
+  if (options.meetingId) {
+    removed += db
+      .prepare('DELETE FROM summary_cache WHERE meeting_id = ?')
+      .run(options.meetingId).changes;
+  }
+  if (options.maxAgeDays > 0) {
+    const cutoff = new Date(now.getTime() - options.maxAgeDays * 86400000).toISOString();
+    removed += db.prepare('DELETE FROM summary_cache WHERE last_used_at < ?').run(cutoff).changes;
+  }
+  if (options.maxEntries > 0) {
+    removed += db
+      .prepare(
+        `DELETE FROM summary_cache WHERE key NOT IN
+           (SELECT key FROM summary_cache ORDER BY last_used_at DESC LIMIT ?)`
+      )
+      .run(options.maxEntries).changes;
+  }
+  return removed;
+}
+
+/**
+ * What the cache holds.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{entries: number, sizeBytes: number, hits: number, oldestUsedAt: string|null, byKind: Array<{kind: string, entries: number, hits: number}>}}
+ *   hits counts reuses of the entries still cached
+ */
+function summaryCacheStats(db) {
+  const totals = db
+    .prepare(
+      `SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS sizeBytes,
+         COALESCE(SUM(hits), 0) AS hits, MIN(last_used_at) AS oldestUsedAt
+       FROM summary_cache`
+    )
+    .get();
+  const byKind = db
+    .prepare(
+      `SELECT kind, COUNT(*) AS entries, SUM(hits) AS hits
+       FROM summary_cache GROUP BY kind ORDER BY kind`
+    )
+    .all();
+  return { ...totals, byKind };
+}
+
+module.exports = {
+  createSummaryCacheTable,
+  summaryCacheKey,
+  getCachedSummary,
+  putCachedSummary,
+  evictSummaryCache,
+  summaryCacheStats,
+};
@@ -0,0 +1,285 @@
+/**
+ * Transcript chunking (map-reduce summarization)
+ *
+ * Summaries send the whole transcript in one prompt. When that won't fit the
+ * model's context window (a three-hour workshop on a local llama3, say) the
+ * transcript is split along speaker turns, each part is condensed into
+ * detailed notes (map), and the summary prompts run unchanged over the notes
+ * (reduce). Template sections and the auto-summary format come out the same
+ * whatever the length; only what the prompts read is shorter. Notes that are
+ * still too long are condensed again.
+ *
+ * Token counts are estimated from character counts, since no tokenizer ships
+ * for every provider, so budgets keep a safety margin.
+ */
+
+// Known context windows by model name prefix, most specific first
+const CONTEXT_WINDOWS = {
+  anthropic: [['claude-', 200000]],
+  gemini: [['gemini-', 1000000]],
+  ollama: [
+    ['llama3.1', 128000],
+    ['llama3.2', 128000],
+    ['llama3.3', 128000],
+    ['llama3', 8192],
+    ['llama2', 4096],
+    ['mistral-nemo', 128000],
+    ['mistral', 32768],
+    ['mixtral', 32768],
+    ['qwen3', 40960],
+    ['qwen2.5', 32768],
+    ['gemma3', 128000],
+    ['gemma', 8192],
+    ['phi4', 16384],
+    ['phi3', 4096],
+    ['deepseek-r1', 128000],
+  ],
+  // OpenAI's own models; a server serving others, or an Azure deployment not
+  // named after its model, needs llmEndpoints.<provider>.contextWindow
+  openai: [
+    ['gpt-4.1', 1047576],
+    ['gpt-4o', 128000],
+    ['gpt-4-turbo', 128000],
+    ['gpt-4', 8192],
+    ['gpt-3.5-turbo', 16385],
+    ['o1', 200000],
+    ['o3', 200000],
+    ['o4', 200000],
+  ],
+};
+CONTEXT_WINDOWS.azure = CONTEXT_WINDOWS.openai;
+const DEFAULT_CONTEXT_WINDOW = { anthropic: 200000, gemini: 1000000, ollama: 8192 };
+const FALLBACK_CONTEXT_WINDOW = 8192;
+
+const OUTPUT_SHARE = 0.25; // Most of a small window a prompt may reserve for the answer
+const SAFETY_MARGIN = 0.1; // Estimates are rough
+const NOTES_MAX_TOKENS = 2000; // Per part
+const MAX_ROUNDS = 3;
+
+const MAP_SYSTEM_PROMPT =
+  'You condense one part of a long meeting transcript into detailed notes that will stand in ' +
+  'for the transcript when the meeting is summarized. Keep who said what (speaker names), ' +
+  'decisions, action items with owners and dates, open questions, figures, names and ' +
+  'timecodes. Drop small talk and repetition. Write plain Markdown bullet points, in the order ' +
+  'things were said. Do not summarize beyond this part or add commentary.';
+
+const CONDENSED_HEADER =
+  'The transcript was too long to include in full. Below are detailed notes on each ' +
+  'consecutive part of it, in order; treat them as the transcript.';
+
+/**
+ * Characters per token for English text. Claude's tokenizer is denser than
+ * Gemini's and Llama 3's; older local models have smaller vocabularies.
+ * @param {string} provider - 'anthropic' | 'gemini' | 'ollama'
+ * @param {string} [model]
+ * @returns {number}
+ */
+function charsPerToken(provider, model = '') {
+  if (provider === 'anthropic') return 3.5;
+  if (provider === 'gemini') return 4;
+  return /^(llama2|mistral|mixtral|phi3)/.test(modelName(model)) ? 3.2 : 3.8;
+}
+
+// "library/llama3.1:70b" → "llama3.1:70b"
+const modelName = model =>
+  String(model || '')
+    .toLowerCase()
+    .replace(/^.*\//, '');
+
+/**
+ * Estimated token count of a text for a provider/model.
+ * @param {string} text
+ * @param {string} provider
+ * @param {string} [model]
+ * @returns {number}
+ */
+function estimateTokens(text, provider, model) {
+  return Math.ceil((text || '').length / charsPerToken(provider, model));
+}
+
+/**
+ * Context window of a model, in tokens.
+ * @param {string} provider
+ * @param {string} [model]
+ * @param {number} [configured] - Set for the endpoint in settings; wins when given
+ * @returns {number}
+ */
+function contextWindow(provider, model, configured) {
+  if (configured > 0) return configured;
+  const name = modelName(model);
+  const known = (CONTEXT_WINDOWS[provider] || []).find(([prefix]) => name.startsWith(prefix));
+  return known ? known[1] : DEFAULT_CONTEXT_WINDOW[provider] || FALLBACK_CONTEXT_WINDOW;
+}
+
+/**
+ * Tokens left for the transcript in one call, after the prompt and the answer.
+ * @param {Object} params
+ * @param {string} params.provider
+ * @param {string} [params.model]
+ * @param {number} params.maxTokens - Answer length the call asks for
+ * @param {string} [params.promptText] - Everything else sent with the transcript
+ * @param {number} [params.window] - Configured context window (see contextWindow)
+ * @returns {number}
+ */
+function transcriptBudget({ provider, model, maxTokens, promptText = '', window: configured }) {
+  const window = contextWindow(provider, model, configured);
+  const output = Math.min(maxTokens, Math.floor(window * OUTPUT_SHARE));
+  const usable = Math.floor((window - output) * (1 - SAFETY_MARGIN));
+  return usable - estimateTokens(promptText, provider, model);
+}
+
+// "[00:12:03] Ann Lee: ..." or "Ann Lee: ..."
+const SPEAKER_LINE = /^(?:\[[^\]]*\]\s*)?([^:\n]{1,80}):\s/;
+
+/**
+ * Consecutive lines by the same speaker, as turns.
+ * @param {string} text - One transcript entry per line
+ * @returns {string[]}
+ */
+function splitTurns(text) {
+  const turns = [];
+  let speaker = null;
+  for (const line of text.split('\n')) {
+    const lineSpeaker = line.match(SPEAKER_LINE)?.[1] ?? null;
+    if (turns.length > 0 && (lineSpeaker === null || lineSpeaker === speaker)) {
+      turns[turns.length - 1] += `\n${line}`;
+    } else {
+      turns.push(line);
+    }
+    if (lineSpeaker !== null) speaker = lineSpeaker;
+  }
+  return turns;
+}
+
+// A piece too long for one part: split at lines, then sentences, then anywhere
+function splitPiece(piece, maxTokens, estimate) {
+  if (estimate(piece) <= maxTokens) return [piece];
+  for (const separator of ['\n', '. ', ' ']) {
+    const pieces = piece.split(separator);
+    if (pieces.length > 1) {
+      return packPieces(
+        pieces.map((p, i) => (i < pieces.length - 1 ? p + separator : p)),
+        maxTokens,
+        estimate,
+        ''
+      );
+    }
+  }
+  const size = Math.max(1, Math.floor(piece.length * (maxTokens / estimate(piece))));
+  const out = [];
+  for (let i = 0; i < piece.length; i += size) out.push(piece.slice(i, i + size));
+  return out;
+}
+
+function packPieces(pieces, maxTokens, estimate, joiner) {
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    const candidate = current ? current + joiner + piece : piece;
+    if (estimate(candidate) <= maxTokens) {
+      current = candidate;
+      continue;
+    }
+    if (current) chunks.push(current);
+    const split = splitPiece(piece, maxTokens, estimate);
+    current = split.pop();
+    chunks.push(...split);
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split a transcript into parts of at most maxTokens, between speaker turns
+ * (a turn longer than that is split between its lines or sentences).
+ * @param {string} text - One transcript entry per line
+ * @param {number} maxTokens
+ * @param {(text: string) => number} estimate - Token estimate
+ * @returns {string[]}
+ */
+function chunkTranscript(text, maxTokens, estimate) {
+  return packPieces(splitTurns(text), maxTokens, estimate, '\n');
+}
+
+/**
+ * Condense a transcript until it fits the budget, part by part. A transcript
+ * that already fits is returned as it is.
+ * @param {Object} deps
+ * @param {Function} deps.generateCompletion - llmService.generateCompletion
+ * @param {Function} [deps.log]
+ * @param {string} transcriptText
+ * @param {Object} params
+ * @param {string} params.provider
+ * @param {string} [params.model]
+ * @param {number} params.budget - Tokens the transcript may take (transcriptBudget)
+ * @param {number} [params.window] - Configured context window (see contextWindow)
+ * @returns {Promise<{text: string, parts: number, rounds: number}>}
+ * @throws {Error} If the transcript can't be condensed enough
+ */
+async function condenseTranscript(deps, transcriptText, { provider, model, budget, window }) {
+  const estimate = text => estimateTokens(text, provider, model);
+  const log = deps.log || (() => {});
+  let text = transcriptText;
+  let parts = 0;
+  let rounds = 0;
+
+  while (estimate(text) > budget) {
+    if (rounds === MAX_ROUNDS) {
+      throw new Error('The transcript is too long to summarize with this model');
+    }
+    const notesTokens = Math.min(
+      NOTES_MAX_TOKENS,
+      Math.floor(contextWindow(provider, model, window) * OUTPUT_SHARE)
+    );
+    const partBudget = transcriptBudget({
+      provider,
+      model,
+      window,
+      maxTokens: notesTokens,
+      promptText: `${MAP_SYSTEM_PROMPT}\n${mapPrompt(999, 999, rounds)}`,
+    });
+    const chunks = chunkTranscript(text, partBudget, estimate);
+    log(
+      `[Chunking] Round ${rounds + 1}: ~${estimate(text)} tokens over a budget of ${budget}, ` +
+        `condensing ${chunks.length} part(s)`
+    );
+
+    const notes = [];
+    for (const [i, chunk] of chunks.entries()) {
+      const result = await deps.generateCompletion({
+        systemPrompt: MAP_SYSTEM_PROMPT,
+        userPrompt: mapPrompt(i + 1, chunks.length, rounds),
+        cacheableContext: chunk,
+        maxTokens: notesTokens,
+        temperature: 0.3,
+      });
+      const content = (result?.content || '').trim();
+      if (!content) throw new Error(`No notes came back for part ${i + 1} of the transcript`);
+      notes.push(`## Part ${i + 1} of ${chunks.length}\n\n${content}`);
+    }
+
+    const condensed = notes.join('\n\n');
+    if (condensed.length >= text.length) {
+      throw new Error('Condensing the transcript did not make it shorter');
+    }
+    text = condensed;
+    parts = chunks.length;
+    rounds++;
+  }
+
+  return { text: rounds > 0 ? `${CONDENSED_HEADER}\n\n${text}` : text, parts, rounds };
+}
+
+function mapPrompt(part, count, round) {
+  const what = round === 0 ? 'the meeting transcript' : 'the notes on a long meeting';
+  return `This is part ${part} of ${count} of ${what}. Write the notes for this part now.`;
+}
+
+module.exports = {
+  estimateTokens,
+  contextWindow,
+  transcriptBudget,
+  splitTurns,
+  chunkTranscript,
+  condenseTranscript,
+};
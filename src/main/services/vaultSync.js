@@ -0,0 +1,392 @@
+/**
+ * Vault Sync (schema v16)
+ *
+ * Two-way sync between a meeting and its exported summary note. For each
+ * exported meeting `note_sync` keeps:
+ *
+ *   - base_content: the last note the app generated from the database
+ *   - seen_content: the note as it was last written or read back
+ *
+ * Edits made in the vault (Obsidian, a shared drive) are found by comparing
+ * the file with seen_content, and the title and summary sections are pulled
+ * into the database — unless the app changed the same part since, which is a
+ * conflict. When the app writes the note again it merges three ways (base,
+ * the file, the new note) so edits to other parts survive; if both sides
+ * changed the same lines the file is left alone and the conflict recorded
+ * for the user to resolve. Transcript notes are not synced.
+ */
+
+const crypto = require('crypto');
+const { NOT_TRASHED } = require('./meetingTrash');
+
+// Line merges fall back to "everything conflicts" beyond this many LCS cells
+const MAX_MERGE_CELLS = 4000000;
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS note_sync (
+    meeting_id TEXT PRIMARY KEY REFERENCES meetings(id) ON DELETE CASCADE,
+    note_path TEXT NOT NULL,
+    base_content TEXT NOT NULL,
+    seen_content TEXT NOT NULL,
+    seen_hash TEXT NOT NULL,
+    conflict TEXT,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+/**
+ * Create the note_sync table (idempotent).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createNoteSyncTable(db) {
+  db.exec(SCHEMA_SQL);
+}
+
+/**
+ * @param {string} content
+ * @returns {string} SHA-1 of the content
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content, 'utf8').digest('hex');
+}
+
+function rowToSync(row) {
+  return row
+    ? {
+        meetingId: row.meeting_id,
+        notePath: row.note_path,
+        baseContent: row.base_content,
+        seenContent: row.seen_content,
+        seenHash: row.seen_hash,
+        conflict: row.conflict || null,
+        updatedAt: row.updated_at,
+      }
+    : null;
+}
+
+/**
+ * Remember a note the app just wrote.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {string} notePath - As stored in obsidianLink
+ * @param {{generated: string, written: string}} content - What the app generated, and what
+ *   ended up in the file (the same unless vault edits were merged in)
+ */
+function recordNoteWrite(db, meetingId, notePath, { generated, written }) {
+  db.prepare(
+    `INSERT INTO note_sync (meeting_id, note_path, base_content, seen_content, seen_hash, conflict, updated_at)
+     VALUES (?, ?, ?, ?, ?, NULL, ?)
+     ON CONFLICT(meeting_id) DO UPDATE SET
+       note_path = excluded.note_path, base_content = excluded.base_content,
+       seen_content = excluded.seen_content, seen_hash = excluded.seen_hash,
+       conflict = NULL, updated_at = excluded.updated_at`
+  ).run(meetingId, notePath, generated, written, hashContent(written), new Date().toISOString());
+}
+
+/**
+ * Remember the note as read back from the vault.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {string} content
+ */
+function recordNoteSeen(db, meetingId, content) {
+  db.prepare(
+    'UPDATE note_sync SET seen_content = ?, seen_hash = ?, updated_at = ? WHERE meeting_id = ?'
+  ).run(content, hashContent(content), new Date().toISOString(), meetingId);
+}
+
+/**
+ * Record (or clear, with null) a sync conflict.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {string|null} message
+ */
+function setNoteConflict(db, meetingId, message) {
+  db.prepare('UPDATE note_sync SET conflict = ? WHERE meeting_id = ?').run(message, meetingId);
+}
+
+/**
+ * The note moved (re-routing, or the user moved it in the vault).
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @param {string} notePath
+ */
+function moveNote(db, meetingId, notePath) {
+  db.prepare('UPDATE note_sync SET note_path = ? WHERE meeting_id = ?').run(notePath, meetingId);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} meetingId
+ * @returns {Object|null}
+ */
+function getNoteSync(db, meetingId) {
+  return rowToSync(db.prepare('SELECT * FROM note_sync WHERE meeting_id = ?').get(meetingId));
+}
+
+/**
+ * Notes to watch: those of meetings that aren't in the Trash.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array<{meetingId: string, notePath: string, seenHash: string}>}
+ */
+function listSyncedNotes(db) {
+  return db
+    .prepare(
+      `SELECT s.meeting_id, s.note_path, s.seen_hash FROM note_sync s
+       JOIN meetings m ON m.id = s.meeting_id WHERE m.${NOT_TRASHED}`
+    )
+    .all()
+    .map(row => ({ meetingId: row.meeting_id, notePath: row.note_path, seenHash: row.seen_hash }));
+}
+
+/**
+ * Unresolved conflicts, newest first.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array<{meetingId: string, title: string, notePath: string, conflict: string}>}
+ */
+function listNoteConflicts(db) {
+  return db
+    .prepare(
+      `SELECT s.meeting_id, s.note_path, s.conflict, m.title FROM note_sync s
+       JOIN meetings m ON m.id = s.meeting_id
+       WHERE s.conflict IS NOT NULL AND m.${NOT_TRASHED}
+       ORDER BY s.updated_at DESC`
+    )
+    .all()
+    .map(row => ({
+      meetingId: row.meeting_id,
+      title: row.title,
+      notePath: row.note_path,
+      conflict: row.conflict,
+    }));
+}
+
+// ======================================================================
+// Reading edits back
+// ======================================================================
+
+const SUMMARY_HEADING = '\n## Meeting Summary\n';
+const SUMMARY_END = '\n**Full Transcript:**';
+const PLACEHOLDERS = ['*No content*', '*No summary generated yet*'];
+
+const cleanSection = text => {
+  const trimmed = text
+    .replace(/^\n+/, '')
+    .replace(/\n+---\s*$/, '')
+    .trimEnd();
+  return PLACEHOLDERS.includes(trimmed) ? '' : trimmed;
+};
+
+/**
+ * The parts of a summary note (as written by generateSummaryMarkdown) that
+ * sync back: the title heading, and one section per summary — or the whole
+ * summary area when the meeting has no per-template summaries.
+ * @param {string} content
+ * @param {string[]} sectionNames - Template names of the meeting's summaries, in order
+ * @returns {{title: string|null, sections: string[]|null}|null} Null if the summary area
+ *   is gone; sections null if a summary heading is
+ */
+function parseSummaryNote(content, sectionNames) {
+  const body = content.replace(/^---\n[\s\S]*?\n---\n/, '');
+  const title = body.match(/^# (.+)$/m)?.[1].trim() ?? null;
+
+  const start = body.indexOf(SUMMARY_HEADING);
+  if (start < 0) return null;
+  const endIndex = body.lastIndexOf(SUMMARY_END);
+  const area = body.slice(start + SUMMARY_HEADING.length, endIndex > start ? endIndex : undefined);
+  if (sectionNames.length === 0) return { title, sections: [cleanSection(area)] };
+
+  // Summaries are written in order, so each heading is looked for after the last
+  const padded = `\n${area}`;
+  const headings = [];
+  let cursor = 0;
+  for (const name of sectionNames) {
+    const heading = `\n### ${name}\n`;
+    const at = padded.indexOf(heading, cursor);
+    if (at < 0) return { title, sections: null };
+    headings.push({ at, end: at + heading.length });
+    cursor = at + heading.length;
+  }
+  const sections = headings.map(({ end }, i) =>
+    cleanSection(padded.slice(end, headings[i + 1]?.at ?? padded.length))
+  );
+  return { title, sections };
+}
+
+/**
+ * Which vault edits to pull into a meeting. A part edited in the vault is
+ * taken when the app hasn't changed it since the note was last seen;
+ * otherwise it's a conflict and the database keeps its version.
+ * @param {Object} meeting
+ * @param {string} seenContent - The note as last written or read
+ * @param {string} fileContent - The note now
+ * @returns {{changes: {title?: string, summaries?: Array<Object>, summary?: string},
+ *   conflicts: string[]}}
+ */
+function planNoteEdits(meeting, seenContent, fileContent) {
+  const summaries = meeting.summaries || [];
+  const names = summaries.map(s => s.templateName || 'Summary');
+  const seen = parseSummaryNote(seenContent, names);
+  const file = parseSummaryNote(fileContent, names);
+  const changes = {};
+  const conflicts = [];
+
+  if (!file) {
+    return { changes, conflicts: ['The "Meeting Summary" part of the note was removed'] };
+  }
+
+  if (file.title && file.title !== seen?.title && file.title !== meeting.title) {
+    if (!seen || seen.title === meeting.title) changes.title = file.title;
+    else conflicts.push('The title was changed in both the app and the vault');
+  }
+
+  if (!file.sections) {
+    conflicts.push('A summary heading in the note was renamed or removed');
+    return { changes, conflicts };
+  }
+
+  const current = summaries.length
+    ? summaries.map(s => cleanSection(s.content || ''))
+    : [cleanSection(meeting.summary || '')];
+  const updated = [...current];
+  file.sections.forEach((text, i) => {
+    const before = seen?.sections?.[i];
+    if (text === before || text === current[i]) return;
+    if (before === undefined || before === current[i]) {
+      updated[i] = text;
+    } else {
+      conflicts.push(`"${names[i] || 'Summary'}" was changed in both the app and the vault`);
+    }
+  });
+
+  if (updated.some((text, i) => text !== current[i])) {
+    if (summaries.length) {
+      changes.summaries = summaries.map((s, i) =>
+        updated[i] === current[i] ? s : { ...s, content: updated[i] }
+      );
+    } else {
+      changes.summary = updated[0];
+    }
+  }
+  return { changes, conflicts };
+}
+
+// ======================================================================
+// Three-way merge
+// ======================================================================
+
+/**
+ * For each line of `a`, the index of the line of `b` it's matched to in a
+ * longest common subsequence, or -1.
+ */
+function matchLines(a, b) {
+  const match = new Array(a.length).fill(-1);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    match[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    match[endA] = endB;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  if (rows * cols > MAX_MERGE_CELLS) return match;
+  // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[start + i] === b[start + j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      match[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return match;
+}
+
+const sameLines = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+
+/**
+ * Merge two edited versions of a text line by line (diff3). Where only one
+ * side changed a region its change is taken; where both changed it
+ * differently the region is a conflict and `text` carries git-style markers.
+ * @param {string} base - The common ancestor
+ * @param {string} mine - e.g. the note as edited in the vault
+ * @param {string} theirs - e.g. the note the app just generated
+ * @returns {{text: string, conflicts: number}}
+ */
+function mergeText(base, mine, theirs) {
+  if (mine === base || mine === theirs) return { text: theirs, conflicts: 0 };
+  if (theirs === base) return { text: mine, conflicts: 0 };
+
+  const o = base.split('\n');
+  const a = mine.split('\n');
+  const b = theirs.split('\n');
+  const matchA = matchLines(o, a);
+  const matchB = matchLines(o, b);
+
+  const out = [];
+  let conflicts = 0;
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+  const flush = (endO, endA, endB) => {
+    const chunkO = o.slice(io, endO);
+    const chunkA = a.slice(ia, endA);
+    const chunkB = b.slice(ib, endB);
+    if (sameLines(chunkA, chunkO)) out.push(...chunkB);
+    else if (sameLines(chunkB, chunkO) || sameLines(chunkA, chunkB)) out.push(...chunkA);
+    else {
+      conflicts++;
+      out.push('<<<<<<< vault', ...chunkA, '=======', ...chunkB, '>>>>>>> app');
+    }
+  };
+
+  // Lines of the base kept by both sides anchor the merge; the regions between anchors
+  // are resolved one by one
+  for (let i = 0; i < o.length; i++) {
+    if (matchA[i] < ia || matchB[i] < ib) continue;
+    flush(i, matchA[i], matchB[i]);
+    out.push(o[i]);
+    io = i + 1;
+    ia = matchA[i] + 1;
+    ib = matchB[i] + 1;
+  }
+  flush(o.length, a.length, b.length);
+
+  return { text: out.join('\n'), conflicts };
+}
+
+module.exports = {
+  createNoteSyncTable,
+  hashContent,
+  recordNoteWrite,
+  recordNoteSeen,
+  setNoteConflict,
+  moveNote,
+  getNoteSync,
+  listSyncedNotes,
+  listNoteConflicts,
+  parseSummaryNote,
+  planNoteEdits,
+  mergeText,
+};
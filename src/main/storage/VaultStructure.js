@@ -5,6 +5,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { moveFile } = require('../services/meetingTrash');
+const { rewriteNoteLinks } = require('../routing/meetingRelocation');
+const { INDEX_FILENAME, generateClientIndexMarkdown } = require('../services/clientIndex');
 
 // Vault path constants for people/company pages
 const VAULT_PATHS = {
@@ -229,6 +232,31 @@ class VaultStructure {
     }
   }
 
+  /**
+   * Save a client's index note (_index.md) in its folder
+   * @param {string} clientFolder - Client vault_path (absolute, or relative to the vault)
+   * @param {Object} indexData - From clientIndex.buildClientIndexData
+   * @returns {string} Path to saved index
+   */
+  saveClientIndex(clientFolder, indexData) {
+    const folder = path.isAbsolute(clientFolder)
+      ? clientFolder
+      : this.getAbsolutePath(clientFolder);
+    if (!this.ensureDirectory(folder)) {
+      throw new Error(`Failed to create client folder: ${folder}`);
+    }
+
+    const indexPath = path.join(folder, INDEX_FILENAME);
+    try {
+      fs.writeFileSync(indexPath, generateClientIndexMarkdown(indexData), 'utf8');
+      console.log(`[VaultStructure] Saved client index to: ${indexPath}`);
+      return indexPath;
+    } catch (error) {
+      console.error(`[VaultStructure] Error saving client index:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Generate markdown content for meeting index
    * @private
@@ -477,12 +505,26 @@ Comprehensive meeting notes covering all discussion topics.
     return results;
   }
 
+  /**
+   * meeting_id of a meeting summary note. Transcript notes carry the ID too,
+   * but aren't `type: meeting`.
+   * @param {string} content - Note content
+   * @returns {string|null}
+   */
+  readSummaryNoteId(content) {
+    const frontmatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+    if (!frontmatterMatch || !/^type:\s*meeting\s*$/m.test(frontmatterMatch[1])) return null;
+    return this._extractMeetingIdFromFrontmatter(content);
+  }
+
   /**
    * Find a file by meeting ID in the vault
    * @param {string} meetingId - Meeting ID to find
+   * @param {Object} [options]
+   * @param {boolean} [options.summaryOnly=false] - Skip the transcript note
    * @returns {Object|null} { relativePath, absolutePath } or null if not found
    */
-  findFileByMeetingId(meetingId) {
+  findFileByMeetingId(meetingId, { summaryOnly = false } = {}) {
     if (!meetingId || !this.vaultBasePath) return null;
 
     console.log(`[VaultStructure] Searching for meeting ID: ${meetingId}`);
@@ -492,7 +534,9 @@ Comprehensive meeting notes covering all discussion topics.
     for (const filePath of allFiles) {
       try {
         const content = fs.readFileSync(filePath, 'utf8');
-        const foundId = this._extractMeetingIdFromFrontmatter(content);
+        const foundId = summaryOnly
+          ? this.readSummaryNoteId(content)
+          : this._extractMeetingIdFromFrontmatter(content);
 
         if (foundId === meetingId) {
           const relativePath = path.relative(this.vaultBasePath, filePath);
@@ -512,6 +556,34 @@ Comprehensive meeting notes covering all discussion topics.
     return null;
   }
 
+  /**
+   * Every note (summary and transcript) carrying one of the given meeting IDs,
+   * wherever it has been moved or renamed to. The Trash and other hidden
+   * folders aren't searched.
+   * @param {Iterable<string>} meetingIds
+   * @returns {Map<string, Array<{relativePath: string, absolutePath: string}>>} Only IDs with notes
+   */
+  findFilesByMeetingIds(meetingIds) {
+    const wanted = new Set(meetingIds);
+    const found = new Map();
+    if (wanted.size === 0 || !this.vaultBasePath) return found;
+
+    for (const filePath of this._scanDirectoryForMarkdown(this.vaultBasePath)) {
+      try {
+        const meetingId = this._extractMeetingIdFromFrontmatter(fs.readFileSync(filePath, 'utf8'));
+        if (!wanted.has(meetingId)) continue;
+        if (!found.has(meetingId)) found.set(meetingId, []);
+        found.get(meetingId).push({
+          relativePath: path.relative(this.vaultBasePath, filePath).replace(/\\/g, '/'),
+          absolutePath: filePath,
+        });
+      } catch (error) {
+        console.warn(`[VaultStructure] Error reading file ${filePath}:`, error.message);
+      }
+    }
+    return found;
+  }
+
   /**
    * Scan entire vault and build map of meeting_id -> file path
    * @returns {Map<string, {relativePath: string, absolutePath: string}>} Map of meeting IDs to paths
@@ -615,6 +687,81 @@ Comprehensive meeting notes covering all discussion topics.
     );
     return result;
   }
+
+  /**
+   * Move a meeting's summary note and its transcript note to a new place,
+   * removing the old folder if that leaves it empty.
+   * @param {string} fromLink - Current obsidianLink (vault-relative or absolute)
+   * @param {string} toLink - New obsidianLink
+   * @returns {number} Files moved
+   * @throws {Error} If the note is missing or something already exists at the new place
+   */
+  moveMeetingNote(fromLink, toLink) {
+    const resolve = link => (path.isAbsolute(link) ? link : this.getAbsolutePath(link));
+    const from = resolve(fromLink);
+    const to = resolve(toLink);
+    if (!fs.existsSync(from)) throw new Error(`Note not found: ${fromLink}`);
+
+    const pairs = [
+      [from, to],
+      [from.replace(/\.md$/, '-transcript.md'), to.replace(/\.md$/, '-transcript.md')],
+    ].filter(([source]) => fs.existsSync(source));
+    const taken = pairs.find(([, target]) => fs.existsSync(target));
+    if (taken) throw new Error(`A file already exists at ${taken[1]}`);
+
+    const moved = [];
+    try {
+      for (const [source, target] of pairs) {
+        moveFile(source, target);
+        moved.push([source, target]);
+      }
+    } catch (error) {
+      // Put back what already moved so the note and its transcript stay together
+      for (const [source, target] of moved.reverse()) moveFile(target, source);
+      throw error;
+    }
+
+    try {
+      const oldFolder = path.dirname(from);
+      if (fs.readdirSync(oldFolder).length === 0) fs.rmdirSync(oldFolder);
+    } catch {
+      // Leaving an empty folder behind is harmless
+    }
+
+    console.log(`[VaultStructure] Moved ${fromLink} to ${toLink}`);
+    return moved.length;
+  }
+
+  /**
+   * Repoint links in every vault note at notes that moved. Only moves within
+   * the vault can be linked to, so moves into or out of folders outside the
+   * vault are skipped.
+   * @param {Array<{from: string, to: string}>} renames - Old and new obsidianLinks
+   * @returns {{filesChanged: number, linksRepaired: number}}
+   */
+  repairLinks(renames) {
+    const inVault = renames.filter(r => !path.isAbsolute(r.from) && !path.isAbsolute(r.to));
+    const result = { filesChanged: 0, linksRepaired: 0 };
+    if (inVault.length === 0 || !this.vaultBasePath) return result;
+
+    for (const filePath of this._scanDirectoryForMarkdown(this.vaultBasePath)) {
+      try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const rewritten = rewriteNoteLinks(content, inVault);
+        if (rewritten.count === 0) continue;
+        fs.writeFileSync(filePath, rewritten.content, 'utf8');
+        result.filesChanged++;
+        result.linksRepaired += rewritten.count;
+      } catch (error) {
+        console.warn(`[VaultStructure] Could not repair links in ${filePath}:`, error.message);
+      }
+    }
+
+    console.log(
+      `[VaultStructure] Repaired ${result.linksRepaired} link(s) in ${result.filesChanged} note(s)`
+    );
+    return result;
+  }
 }
 
 module.exports = VaultStructure;
@@ -0,0 +1,200 @@
+/**
+ * VaultWatcher - notices when exported summary notes are edited or moved
+ * outside the app (see services/vaultSync.js for what happens then).
+ *
+ * The vault is watched for changes, and every synced note is also checked
+ * when watching starts (edits made while the app was closed) and on an
+ * interval, since change events don't arrive reliably from shared and
+ * network drives. A note counts as edited when its content no longer hashes
+ * to what the app last wrote or read. A note that has gone from its path is
+ * looked for by the meeting_id in its frontmatter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('../services/vaultSync');
+
+const DEFAULT_SETTLE_MS = 2000;
+const DEFAULT_POLL_MS = 5 * 60 * 1000;
+
+class VaultWatcher {
+  /**
+   * @param {Object} deps
+   * @param {() => Array<{meetingId: string, notePath: string, seenHash: string}>} deps.listNotes
+   * @param {(notePath: string) => string} deps.resolveNote - Absolute path of a note
+   * @param {(meetingId: string) => string|null} deps.findNote - Absolute path of the note
+   *   with this meeting_id, wherever it is in the vault
+   * @param {(content: string) => string|null} deps.readMeetingId - meeting_id of a summary
+   *   note (null for transcripts and other notes)
+   * @param {(edit: {meetingId: string, notePath: string, content: string}) => Promise|void} deps.onEdited
+   * @param {(meetingId: string, absolutePath: string) => string} deps.onMoved - Returns the new notePath
+   * @param {number} [deps.settleMs]
+   * @param {number} [deps.pollMs]
+   * @param {Function} [deps.watch] - fs.watch
+   * @param {Function} [deps.log]
+   */
+  constructor({
+    listNotes,
+    resolveNote,
+    findNote,
+    readMeetingId,
+    onEdited,
+    onMoved,
+    settleMs = DEFAULT_SETTLE_MS,
+    pollMs = DEFAULT_POLL_MS,
+    watch = fs.watch,
+    log = console.log,
+  }) {
+    this.listNotes = listNotes;
+    this.resolveNote = resolveNote;
+    this.findNote = findNote;
+    this.readMeetingId = readMeetingId;
+    this.onEdited = onEdited;
+    this.onMoved = onMoved;
+    this.settleMs = settleMs;
+    this.pollMs = pollMs;
+    this.watch = watch;
+    this.log = log;
+
+    this.watcher = null;
+    this.pollTimer = null;
+    this.pending = new Map(); // absolute path -> timer
+    this.missing = new Set(); // "meetingId|notePath" already looked for and not found
+    this.checking = Promise.resolve();
+  }
+
+  /**
+   * Watch a vault (replacing whatever was watched before) and check every synced note.
+   * @param {string} vaultRoot
+   * @returns {Promise<void>} When the first check is done
+   */
+  start(vaultRoot) {
+    this.stop();
+    try {
+      this.watcher = this.watch(vaultRoot, { recursive: true }, (_eventType, filename) => {
+        if (filename && filename.toString().endsWith('.md')) {
+          this.schedule(path.join(vaultRoot, filename.toString()));
+        }
+      });
+      this.watcher.on('error', error => {
+        this.log(`[VaultSync] Stopped watching the vault: ${error.message}`);
+        this.watcher = null;
+      });
+    } catch (error) {
+      this.log(`[VaultSync] Cannot watch ${vaultRoot}, checking on an interval: ${error.message}`);
+    }
+    this.pollTimer = setInterval(() => this.checkAll(), this.pollMs);
+    return this.checkAll();
+  }
+
+  /**
+   * Stop watching.
+   */
+  stop() {
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    for (const timer of this.pending.values()) clearTimeout(timer);
+    this.pending.clear();
+  }
+
+  /**
+   * Check a changed file once it has been quiet for settleMs.
+   * @param {string} filePath - Absolute
+   */
+  schedule(filePath) {
+    clearTimeout(this.pending.get(filePath));
+    this.pending.set(
+      filePath,
+      setTimeout(() => {
+        this.pending.delete(filePath);
+        this.enqueue(() => this.checkPath(filePath));
+      }, this.settleMs)
+    );
+  }
+
+  /**
+   * Check every synced note.
+   * @returns {Promise<void>}
+   */
+  checkAll() {
+    return this.enqueue(async () => {
+      for (const note of this.listNotes()) await this.checkNote(note);
+    });
+  }
+
+  // Checks run one at a time so a note isn't pulled twice
+  enqueue(task) {
+    this.checking = this.checking.then(task).catch(error => {
+      this.log(`[VaultSync] Check failed: ${error.message}`);
+    });
+    return this.checking;
+  }
+
+  // A file in the vault changed: a synced note, or maybe one that was moved here
+  async checkPath(filePath) {
+    const notes = this.listNotes();
+    const tracked = notes.find(note => this.samePath(note.notePath, filePath));
+    if (tracked) {
+      await this.checkNote(tracked);
+      return;
+    }
+
+    const content = this.read(filePath);
+    const meetingId = content && this.readMeetingId(content);
+    const moved = meetingId && notes.find(note => note.meetingId === meetingId);
+    if (moved && this.readNote(moved.notePath) === null) {
+      await this.checkNote({ ...moved, notePath: this.onMoved(meetingId, filePath) });
+    }
+  }
+
+  async checkNote(note) {
+    let content = this.readNote(note.notePath);
+    let { notePath } = note;
+
+    if (content === null) {
+      const key = `${note.meetingId}|${note.notePath}`;
+      if (this.missing.has(key)) return;
+      const found = this.findNote(note.meetingId);
+      if (!found) {
+        this.missing.add(key);
+        this.log(`[VaultSync] Note for meeting ${note.meetingId} is gone from ${note.notePath}`);
+        return;
+      }
+      notePath = this.onMoved(note.meetingId, found);
+      content = this.read(found);
+      if (content === null) return;
+    }
+
+    if (hashContent(content) !== note.seenHash) {
+      await this.onEdited({ meetingId: note.meetingId, notePath, content });
+    }
+  }
+
+  samePath(notePath, filePath) {
+    try {
+      return path.resolve(this.resolveNote(notePath)) === path.resolve(filePath);
+    } catch {
+      return false;
+    }
+  }
+
+  read(filePath) {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  readNote(notePath) {
+    try {
+      return this.read(this.resolveNote(notePath));
+    } catch {
+      return null; // A path the vault refuses to resolve
+    }
+  }
+}
+
+module.exports = VaultWatcher;
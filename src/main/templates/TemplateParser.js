@@ -13,6 +13,7 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { compileOutputSchema } = require('../services/structuredOutput');
 
 class TemplateParser {
   /**
@@ -167,6 +168,14 @@ class TemplateParser {
       if (!section.prompt) {
         throw new Error(`Template section missing 'prompt': ${filePath}`);
       }
+      // Optional JSON Schema for a structured answer (see services/structuredOutput.js)
+      if (section.output_schema) {
+        try {
+          compileOutputSchema(section.output_schema);
+        } catch (error) {
+          throw new Error(`Template section '${section.title}': ${error.message}: ${filePath}`);
+        }
+      }
     }
 
     // Add defaults
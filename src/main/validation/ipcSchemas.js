@@ -10,7 +10,7 @@ const { z } = require('zod');
  */
 const meetingIdSchema = z.string().min(1, 'Meeting ID cannot be empty');
 const templateIdSchema = z.string().min(1, 'Template ID cannot be empty');
-const providerSchema = z.enum(['anthropic', 'gemini', 'ollama']);
+const providerSchema = z.enum(['anthropic', 'gemini', 'ollama', 'openai', 'azure']);
 
 /**
  * Transcript entry schema
@@ -97,6 +97,7 @@ const templatesGenerateSummariesSchema = z.object({
   routingOverride: routingOverrideSchema,
   mode: z.enum(['replace', 'append']).optional().default('replace'),
   model: z.string().nullable().optional(),
+  force: z.boolean().optional().default(false), // Skip cached summaries
 });
 
 const templateFormatSchema = z.enum(['.md', '.yaml', '.yml', '.json', '.txt']);
@@ -112,6 +113,17 @@ const templatesSaveSchema = z.object({
   content: z.string(),
 });
 
+// Filters for the structured answers of output_schema sections
+const templatesStructuredDataSchema = z
+  .object({
+    meetingId: meetingIdSchema.optional(),
+    templateId: templateIdSchema.optional(),
+    startDate: z.string().optional(),
+    endDate: z.string().optional(),
+    limit: z.number().int().positive().optional(),
+  })
+  .optional();
+
 // ===================================================
 // LLM Schema (actively used)
 // ===================================================
@@ -120,6 +132,14 @@ const llmSwitchProviderSchema = z.object({
   provider: providerSchema,
 });
 
+const llmListEndpointModelsSchema = z.object({
+  provider: z.enum(['openai', 'azure']),
+});
+
+const summaryCacheClearSchema = z.object({
+  meetingId: meetingIdSchema.optional(), // Omitted: clear everything
+});
+
 // ===================================================
 // Vocabulary Schemas (actively used)
 // ===================================================
@@ -203,6 +223,18 @@ const youtubeImportSchema = z.object({
     .regex(/youtu\.?be/i, 'Must be a YouTube URL'),
 });
 
+// Second call of meetingBundle:import, once the user has chosen what to do with a meeting
+// that is already here. Omitted on the first call (the file picker).
+const meetingBundleImportSchema = z
+  .object({
+    filePath: z
+      .string()
+      .min(1, 'File path cannot be empty')
+      .regex(/\.jdmeeting$/i, 'Must be a .jdmeeting file'),
+    onExisting: z.enum(['skip', 'replace', 'copy']),
+  })
+  .optional();
+
 // ===================================================
 // Google Auth Schemas
 // ===================================================
@@ -344,6 +376,176 @@ const voiceProfileBackfillSchema = z
   .object({ limit: z.number().int().positive().optional() })
   .optional();
 
+// ===================================================
+// Full-Text Search Schema (schema v6)
+// ===================================================
+
+const searchFullTextSchema = z.object({
+  query: z.string().min(1, 'Search query cannot be empty').max(500),
+  options: z
+    .object({
+      limit: z.number().int().min(1).max(1000).optional(),
+      meetingId: meetingIdSchema.optional(),
+      sources: z.array(z.enum(['transcript', 'meeting'])).min(1).optional(),
+      markers: z.tuple([z.string(), z.string()]).optional(),
+      fullText: z.boolean().optional(),
+    })
+    .optional(),
+});
+
+// ===================================================
+// Semantic Search Schemas (schema v7)
+// ===================================================
+
+const semanticFindSchema = z.object({
+  query: z.string().min(1, 'Search query cannot be empty').max(1000),
+  options: z
+    .object({
+      limit: z.number().int().min(1).max(100).optional(),
+      meetingId: meetingIdSchema.optional(),
+      minScore: z.number().min(-1).max(1).optional(),
+    })
+    .optional(),
+});
+
+const semanticIndexSchema = z
+  .object({
+    limit: z.number().int().min(1).optional(),
+  })
+  .optional();
+
+// ===================================================
+// Action Item Schemas
+// ===================================================
+
+const actionItemStatusSchema = z.enum(['open', 'done', 'dismissed']);
+
+const actionItemsListSchema = z
+  .object({
+    status: z.union([actionItemStatusSchema, z.literal('all')]).optional(),
+    owner: z.string().trim().max(320).optional(),
+    company: z.string().trim().max(300).optional(),
+    meetingId: meetingIdSchema.optional(),
+    limit: z.number().int().min(1).max(2000).optional(),
+  })
+  .optional();
+
+const actionItemStatusUpdateSchema = z.object({
+  id: z.number().int().positive(),
+  status: actionItemStatusSchema,
+});
+
+// ===================================================
+// Meeting Revision Schemas
+// ===================================================
+
+const revisionsListSchema = z.object({
+  meetingId: meetingIdSchema,
+  field: z.enum(['title', 'content', 'summary', 'summaries', 'speakerMapping']).optional(),
+  limit: z.number().int().min(1).max(500).optional(),
+});
+
+const revisionIdSchema = z.number().int().positive();
+
+// ===================================================
+// Meeting Write Schemas (shared with MCP --allow-writes)
+// ===================================================
+
+const meetingTagSchema = z.string().trim().min(1, 'Tag cannot be empty').max(64);
+
+const meetingTitleUpdateSchema = z.object({
+  meetingId: meetingIdSchema,
+  title: z.string().trim().min(1, 'Title cannot be empty').max(300),
+});
+
+const meetingNoteAddSchema = z.object({
+  meetingId: meetingIdSchema,
+  note: z.string().trim().min(1, 'Note cannot be empty').max(20000),
+  heading: z.string().trim().min(1).max(200).optional(),
+});
+
+const speakerMappingSetSchema = z.object({
+  meetingId: meetingIdSchema,
+  speakerLabel: z.string().min(1, 'Speaker label cannot be empty'),
+  name: z.string().trim().min(1, 'Name cannot be empty').max(200),
+  email: z.string().email('Invalid email format').optional(),
+});
+
+const meetingTagsUpdateSchema = z.object({
+  meetingId: meetingIdSchema,
+  add: z.array(meetingTagSchema).max(50).optional(),
+  remove: z.array(meetingTagSchema).max(50).optional(),
+});
+
+// ===================================================
+// Tags and Custom Field Schemas (v13)
+// ===================================================
+
+const meetingTagsSetSchema = z.object({
+  meetingId: meetingIdSchema,
+  tags: z.array(meetingTagSchema).max(50),
+});
+
+const customFieldDefinitionSchema = z.object({
+  id: z.number().int().positive().optional(),
+  label: z.string().trim().min(1, 'Field label cannot be empty').max(100),
+  type: z.enum(['text', 'number', 'date', 'select']),
+  options: z.array(z.string().trim().min(1).max(100)).max(100).optional(),
+});
+
+const customFieldIdSchema = z.number().int().positive();
+
+const customFieldValuesSetSchema = z.object({
+  meetingId: meetingIdSchema,
+  // Validated against each field's type in meetingFields.coerceFieldValue
+  values: z.record(z.string(), z.union([z.string().max(2000), z.number(), z.null()])),
+});
+
+// ===================================================
+// Routing Rule Schemas (see main/routing/routingRules.js)
+// ===================================================
+
+const routingRuleSchema = z.object({
+  id: z.string().max(100).optional(),
+  name: z.string().trim().min(1, 'Rule name cannot be empty').max(200),
+  enabled: z.boolean().optional(),
+  match: z.enum(['all', 'any']).optional(),
+  // One condition per line, parsed in main
+  conditionsText: z.string().max(5000),
+  destination: z.string().max(1000).nullable().optional(),
+  copies: z.array(z.string().max(1000)).max(20).optional(),
+  templates: z.array(z.string().max(200)).max(50).optional(),
+});
+
+const routingRulesSaveSchema = z.object({
+  rules: z.array(routingRuleSchema).max(200),
+  internalDomains: z.array(z.string().max(253)).max(50).optional(),
+});
+
+// Meetings to move to where routing now sends them
+const relocateMeetingsSchema = z.object({
+  meetingIds: z.array(meetingIdSchema).min(1).max(10000),
+});
+
+// ===================================================
+// Duplicate Meeting Schema (v15)
+// ===================================================
+
+const duplicatePairSchema = z.object({
+  meetingIds: z
+    .tuple([meetingIdSchema, meetingIdSchema])
+    .refine(([a, b]) => a !== b, 'A meeting cannot duplicate itself'),
+});
+
+// ===================================================
+// Vault Sync Schema (v16)
+// ===================================================
+
+const vaultSyncResolveSchema = z.object({
+  meetingId: meetingIdSchema,
+  keep: z.enum(['vault', 'app']),
+});
+
 // ===================================================
 // Backup Schemas (v1.4)
 // ===================================================
@@ -385,6 +587,17 @@ const clientSchema = z.object({
   notes: z.string().optional(),
 });
 
+const clientIndexRefreshSchema = z.object({
+  name: z.string().min(1, 'Company name cannot be empty').optional(),
+});
+
+// Month to break LLM usage down by, default this month
+const llmUsageReportSchema = z
+  .object({
+    month: z.string().regex(/^\d{4}-\d{2}$/, 'Month must be YYYY-MM').optional(),
+  })
+  .optional();
+
 const clientContactSchema = z.object({
   clientId: z.string().min(1, 'Client ID cannot be empty'),
   email: z.string().min(1, 'Email cannot be empty'),
@@ -514,8 +727,11 @@ module.exports = {
   templatesGenerateSummariesSchema,
   templatesCreateSchema,
   templatesSaveSchema,
+  templatesStructuredDataSchema,
   // LLM schema
   llmSwitchProviderSchema,
+  llmListEndpointModelsSchema,
+  summaryCacheClearSchema,
   // Vocabulary schemas
   vocabularySpellingSchema,
   vocabularyKeywordSchema,
@@ -532,6 +748,7 @@ module.exports = {
   importTranscribeAudioSchema,
   importAudioFileSchema,
   youtubeImportSchema,
+  meetingBundleImportSchema,
   // Widget schemas
   widgetStartRecordingSchema,
   widgetToggleAlwaysOnTopSchema,
@@ -574,6 +791,30 @@ module.exports = {
   voiceProfileIdSchema,
   voiceProfileAssignSchema,
   voiceProfileBackfillSchema,
+  // Full-text search schema
+  searchFullTextSchema,
+  semanticFindSchema,
+  semanticIndexSchema,
+  actionItemStatusSchema,
+  actionItemsListSchema,
+  actionItemStatusUpdateSchema,
+  revisionsListSchema,
+  revisionIdSchema,
+  // Meeting write schemas (IPC + MCP)
+  meetingTitleUpdateSchema,
+  meetingNoteAddSchema,
+  speakerMappingSetSchema,
+  meetingTagsUpdateSchema,
+  meetingTagsSetSchema,
+  customFieldDefinitionSchema,
+  customFieldIdSchema,
+  customFieldValuesSetSchema,
+  duplicatePairSchema,
+  routingRulesSaveSchema,
+  relocateMeetingsSchema,
+  vaultSyncResolveSchema,
+  clientIndexRefreshSchema,
+  llmUsageReportSchema,
   // Helpers
   validateIpcInput,
   withValidation,
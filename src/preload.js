@@ -111,6 +111,34 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.invoke('db:getMeetingsInRange', startDate, endDate, filters),
   dbGetMeetingsForOrganization: organization =>
     ipcRenderer.invoke('db:getMeetingsForOrganization', organization),
+  // Full-text search (FTS5)
+  searchFullText: (query, options) => ipcRenderer.invoke('search:fullText', { query, options }),
+  // Semantic search (local embeddings)
+  semanticFind: (query, options) => ipcRenderer.invoke('semantic:find', { query, options }),
+  semanticIndex: options => ipcRenderer.invoke('semantic:index', options),
+  semanticGetStatus: () => ipcRenderer.invoke('semantic:getStatus'),
+  // Action items (extracted after summaries)
+  actionItemsList: filters => ipcRenderer.invoke('actionItems:list', filters),
+  actionItemsUpdateStatus: (id, status) => ipcRenderer.invoke('actionItems:updateStatus', { id, status }),
+  onActionItemsUpdated: callback =>
+    ipcRenderer.on('action-items-updated', (_, meetingId) => callback(meetingId)),
+  // Meeting edit history (revisions)
+  revisionsList: (meetingId, options) => ipcRenderer.invoke('revisions:list', { meetingId, ...options }),
+  revisionsGet: revisionId => ipcRenderer.invoke('revisions:get', revisionId),
+  revisionsRevert: revisionId => ipcRenderer.invoke('revisions:revert', revisionId),
+  // Trash (deleted meetings)
+  trashList: () => ipcRenderer.invoke('trash:list'),
+  trashRestore: meetingId => ipcRenderer.invoke('trash:restore', meetingId),
+  trashDeleteForever: meetingId => ipcRenderer.invoke('trash:deleteForever', meetingId),
+  trashEmpty: () => ipcRenderer.invoke('trash:empty'),
+  // Tags and custom fields
+  tagsList: () => ipcRenderer.invoke('tags:list'),
+  tagsSet: (meetingId, tags) => ipcRenderer.invoke('tags:set', { meetingId, tags }),
+  customFieldsList: () => ipcRenderer.invoke('customFields:list'),
+  customFieldsSave: definition => ipcRenderer.invoke('customFields:save', definition),
+  customFieldsDelete: id => ipcRenderer.invoke('customFields:delete', id),
+  customFieldsSetValues: (meetingId, values) =>
+    ipcRenderer.invoke('customFields:setValues', { meetingId, values }),
   // Template system (Phase 4)
   templatesGetAll: () => ipcRenderer.invoke('templates:getAll'),
   templatesGetById: templateId => ipcRenderer.invoke('templates:getById', templateId),
@@ -124,8 +152,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
       routingOverride: options.routingOverride || null,
       mode: options.mode || 'replace',
       model: options.model || null,
+      force: options.force || false,
     }),
   templatesReload: () => ipcRenderer.invoke('templates:reload'),
+  templatesGetStructuredData: (filters = {}) =>
+    ipcRenderer.invoke('templates:getStructuredData', filters),
   templatesCreate: (name, format, content) =>
     ipcRenderer.invoke('templates:create', { name, format, content }),
   templatesSave: (templateId, content) =>
@@ -135,6 +166,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   routingPreviewMeetingRoute: meetingId =>
     ipcRenderer.invoke('routing:previewMeetingRoute', meetingId),
   routingGetAllDestinations: () => ipcRenderer.invoke('routing:getAllDestinations'),
+  routingRulesGet: () => ipcRenderer.invoke('routingRules:get'),
+  routingRulesSave: (rules, internalDomains) =>
+    ipcRenderer.invoke('routingRules:save', { rules, internalDomains }),
+  routingPlanRelocation: () => ipcRenderer.invoke('routing:planRelocation'),
+  routingRelocateMeetings: meetingIds =>
+    ipcRenderer.invoke('routing:relocateMeetings', { meetingIds }),
   routingGetAllMappedDomains: () => ipcRenderer.invoke('routing:getAllMappedDomains'),
   routingAddOrganization: (type, id, vaultPath, emails, contacts) =>
     ipcRenderer.invoke('routing:addOrganization', { type, id, vaultPath, emails, contacts }),
@@ -207,8 +244,29 @@ contextBridge.exposeInMainWorld('electronAPI', {
   speakerMappingImport: (data, merge) =>
     ipcRenderer.invoke('speakerMapping:import', { data, merge }),
   // Export Transcripts
-  transcriptExportSingle: meetingId => ipcRenderer.invoke('transcript:exportSingle', meetingId),
-  transcriptExportBatch: meetingIds => ipcRenderer.invoke('transcript:exportBatch', meetingIds),
+  transcriptExportFormats: () => ipcRenderer.invoke('transcript:exportFormats'),
+  transcriptExportSingle: (meetingId, format) =>
+    ipcRenderer.invoke('transcript:exportSingle', meetingId, format),
+  transcriptExportBatch: (meetingIds, format) =>
+    ipcRenderer.invoke('transcript:exportBatch', meetingIds, format),
+  // Meeting bundles (.jdmeeting)
+  meetingBundleExport: meetingId => ipcRenderer.invoke('meetingBundle:export', meetingId),
+  meetingBundleImport: choice => ipcRenderer.invoke('meetingBundle:import', choice),
+  // Duplicate meetings (merge or keep both)
+  duplicatesScan: () => ipcRenderer.invoke('duplicates:scan'),
+  duplicatesMerge: meetingIds => ipcRenderer.invoke('duplicates:merge', { meetingIds }),
+  duplicatesDismiss: meetingIds => ipcRenderer.invoke('duplicates:dismiss', { meetingIds }),
+  onMeetingDuplicates: callback =>
+    ipcRenderer.on('meeting-duplicates', (_, data) => callback(data)),
+  // Vault sync (edits to exported notes)
+  vaultSyncGetConflicts: () => ipcRenderer.invoke('vaultSync:getConflicts'),
+  vaultSyncResolve: (meetingId, keep) =>
+    ipcRenderer.invoke('vaultSync:resolve', { meetingId, keep }),
+  onVaultSyncConflict: callback =>
+    ipcRenderer.on('vault-sync-conflict', (_, data) => callback(data)),
+  // Watched folders (auto-import; settings saved via appUpdateSettings)
+  watchFoldersGet: () => ipcRenderer.invoke('watchFolders:get'),
+  watchFoldersChooseFolder: () => ipcRenderer.invoke('watchFolders:chooseFolder'),
   // Import Transcripts (Phase 8)
   importFile: (filePath, options) => ipcRenderer.invoke('import:importFile', { filePath, options }),
   youtubeImport: url => ipcRenderer.invoke('youtube:import', { url }),
@@ -295,6 +353,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // MCP Server Config (v1.4)
   mcpGetConfig: () => ipcRenderer.invoke('mcp:getConfig'),
+  mcpCreateHttpToken: () => ipcRenderer.invoke('mcp:createHttpToken'),
 
   // Client Setup (v1.4)
   // Company management (v1.4)
@@ -303,6 +362,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   companiesRemove: name => ipcRenderer.invoke('companies:remove', name),
   companiesSyncContacts: name => ipcRenderer.invoke('companies:syncContacts', name),
   companiesSelectFolder: () => ipcRenderer.invoke('companies:selectFolder'),
+  companiesRefreshIndex: name => ipcRenderer.invoke('companies:refreshIndex', { name }),
+  // LLM usage and cost (budget saved via appUpdateSettings)
+  llmUsageGetReport: month => ipcRenderer.invoke('llmUsage:getReport', { month }),
+  summaryCacheGetStats: () => ipcRenderer.invoke('summaryCache:getStats'),
+  summaryCacheClear: meetingId => ipcRenderer.invoke('summaryCache:clear', { meetingId }),
+  onLlmBudgetReached: callback =>
+    ipcRenderer.on('llm-budget-reached', (_, data) => callback(data)),
 
   // Enhanced Contacts (v1.4)
   contactsGetFullDetail: resourceName =>
@@ -354,6 +420,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Local model discovery (v2.0 — dual endpoint)
   listLocalModels: (baseUrl) => ipcRenderer.invoke('local:listModels', baseUrl),
+  // OpenAI-compatible server models, or Azure deployments ('openai' | 'azure')
+  llmListEndpointModels: provider => ipcRenderer.invoke('llm:listEndpointModels', { provider }),
 
   // Mock SDK test control (only functional in MOCK_SDK mode, safe no-ops otherwise)
   mockGetState: () => ipcRenderer.invoke('mock:getState'),
@@ -19,6 +19,13 @@ import { initAppSettingsUI } from './renderer/appSettings.js';
 import { initContactsPage, openContactsView } from './renderer/contacts.js';
 import { openCompanyDetail } from './renderer/companyDetail.js';
 import { initQuickSearch } from './renderer/quickSearch.js';
+import { initFindMeetings } from './renderer/findMeetings.js';
+import { initActionItems, openActionItemsView } from './renderer/actionItems.js';
+import { initTrash, openTrashView } from './renderer/trash.js';
+import { initDuplicates, findDuplicates } from './renderer/duplicates.js';
+import { initVaultSync } from './renderer/vaultSync.js';
+import { openTranscriptExportModal } from './renderer/transcriptExport.js';
+import { exportMeetingBundle, importMeetingBundle } from './renderer/meetingBundle.js';
 import {
   notifySuccess,
   notifyError,
@@ -300,21 +307,25 @@ function initializeTitleBar() {
     menuImportYouTube: () => {
       openYoutubeImportModal();
     },
-    menuExportTranscript: async () => {
+    menuExportTranscript: () => {
       if (!currentEditingMeetingId) {
         showToast('Select a meeting first', 'warning');
         return;
       }
-      try {
-        const result = await window.electronAPI.transcriptExportSingle(currentEditingMeetingId);
-        if (result.success) {
-          showToast(`Exported ${result.entryCount} entries`, 'success');
-        } else if (result.error !== 'Export cancelled') {
-          showToast(result.error || 'Export failed', 'error');
-        }
-      } catch (error) {
-        showToast('Export failed: ' + error.message, 'error');
+      openTranscriptExportModal([currentEditingMeetingId]);
+    },
+    menuExportMeetingBundle: () => {
+      if (!currentEditingMeetingId) {
+        showToast('Select a meeting first', 'warning');
+        return;
       }
+      exportMeetingBundle(currentEditingMeetingId);
+    },
+    menuImportMeetingBundle: () => {
+      importMeetingBundle();
+    },
+    menuFindDuplicates: () => {
+      findDuplicates();
     },
     menuSettings: () => {
       openSettingsTab('general');
@@ -325,6 +336,12 @@ function initializeTitleBar() {
     menuReports: () => {
       openReportsView();
     },
+    menuActionItems: () => {
+      openActionItemsView();
+    },
+    menuTrash: () => {
+      openTrashView();
+    },
     menuReload: () => location.reload(),
     menuToggleDevTools: () => {
       // Dev tools toggling needs to be done via main process
@@ -481,9 +498,15 @@ const searchState = {
     syncStatus: '', // v1.2: Filter by sync status ('synced', 'not-synced', '')
     recordingStatus: '', // v1.3: Filter by recording status ('has-recording', 'no-recording', '')
     calendarStatus: '', // v1.3: Filter by calendar link ('linked', 'not-linked', '')
+    tag: '', // Filter by meeting tag
+    fieldKey: '', // Filter by custom field key...
+    fieldValue: '', // ...and value ('' = has any value)
   },
 };
 
+// Custom field definitions for the field filter (loaded in updateFilterDropdowns)
+let customFieldDefinitions = [];
+
 // v1.2: Saved views state
 const savedViews = {
   views: [],
@@ -634,6 +657,7 @@ function updateBulkActionsToolbar() {
   const toolbar = document.getElementById('bulkActionsToolbar');
   const countSpan = document.getElementById('bulkSelectionCount');
   const exportBtn = document.getElementById('batchExportBtn');
+  const transcriptsBtn = document.getElementById('batchExportTranscriptsBtn');
   const deleteBtn = document.getElementById('batchDeleteBtn');
 
   if (!toolbar || !countSpan) return;
@@ -647,6 +671,9 @@ function updateBulkActionsToolbar() {
     if (exportBtn) {
       exportBtn.disabled = false;
     }
+    if (transcriptsBtn) {
+      transcriptsBtn.disabled = false;
+    }
     if (deleteBtn) {
       deleteBtn.disabled = false;
     }
@@ -656,6 +683,9 @@ function updateBulkActionsToolbar() {
     if (exportBtn) {
       exportBtn.disabled = true;
     }
+    if (transcriptsBtn) {
+      transcriptsBtn.disabled = true;
+    }
     if (deleteBtn) {
       deleteBtn.disabled = true;
     }
@@ -768,7 +798,7 @@ async function batchDeleteMeetings() {
   }
 
   // Confirm deletion
-  const confirmMessage = `Are you sure you want to delete ${selectedIds.length} meeting${selectedIds.length > 1 ? 's' : ''}? This cannot be undone.`;
+  const confirmMessage = `Are you sure you want to delete ${selectedIds.length} meeting${selectedIds.length > 1 ? 's' : ''}? They'll be moved to the Trash.`;
   if (!confirm(confirmMessage)) {
     return;
   }
@@ -2030,10 +2060,14 @@ function openReportsView() {
   const mainView = document.getElementById('mainView');
   const settingsView = document.getElementById('settingsView');
   const contactsView = document.getElementById('contactsView');
+  const actionItemsView = document.getElementById('actionItemsView');
+  const trashView = document.getElementById('trashView');
 
   // Close other views
   if (settingsView) settingsView.style.display = 'none';
   if (contactsView) contactsView.style.display = 'none';
+  if (actionItemsView) actionItemsView.style.display = 'none';
+  if (trashView) trashView.style.display = 'none';
   if (mainView) mainView.style.display = 'none';
 
   if (reportsView) {
@@ -2965,7 +2999,9 @@ function filterMeetings(meetings) {
     filters.platform ||
     filters.syncStatus ||
     filters.recordingStatus ||
-    filters.calendarStatus;
+    filters.calendarStatus ||
+    filters.tag ||
+    filters.fieldKey;
 
   if (!hasActiveFilters) {
     return meetings; // No filters active, return all meetings
@@ -3087,6 +3123,31 @@ function filterMeetings(meetings) {
       }
     }
 
+    // Tag filter (tags are case-insensitive)
+    if (filters.tag) {
+      const tag = filters.tag.toLowerCase();
+      if (!(meeting.tags || []).some(t => t.toLowerCase() === tag)) {
+        return false;
+      }
+    }
+
+    // Custom field filter: any value, or a match (text fields match on contains)
+    if (filters.fieldKey) {
+      const value = meeting.customFields?.[filters.fieldKey];
+      if (value == null) {
+        return false;
+      }
+      const wanted = filters.fieldValue.trim().toLowerCase();
+      if (wanted) {
+        const definition = customFieldDefinitions.find(d => d.key === filters.fieldKey);
+        const actual = String(value).toLowerCase();
+        const matches = definition?.type === 'text' ? actual.includes(wanted) : actual === wanted;
+        if (!matches) {
+          return false;
+        }
+      }
+    }
+
     // Search query filter (title, participants)
     if (searchState.query) {
       const query = searchState.query.toLowerCase();
@@ -3338,6 +3399,36 @@ async function updateFilterDropdowns() {
       preserveValue: true,
     });
   }
+
+  // Update tag dropdown from the tags in use
+  const tagSelect = document.getElementById('filterTag');
+  if (tagSelect) {
+    const tags = new Map();
+    allMeetings.forEach(m =>
+      (m.tags || []).forEach(t => {
+        if (!tags.has(t.toLowerCase())) tags.set(t.toLowerCase(), t);
+      })
+    );
+    const sortedTags = [...tags.values()].sort((a, b) => a.localeCompare(b));
+    populateSelect(tagSelect, sortedTags, { defaultLabel: 'All Tags', preserveValue: true });
+  }
+
+  // Update custom field dropdown
+  const fieldSelect = document.getElementById('filterField');
+  if (fieldSelect) {
+    try {
+      const result = await window.electronAPI.customFieldsList();
+      if (result.success) customFieldDefinitions = result.fields;
+    } catch (error) {
+      console.warn('Could not load custom fields for filters:', error);
+    }
+    populateSelect(fieldSelect, customFieldDefinitions, {
+      defaultLabel: 'Any Field',
+      valueKey: 'key',
+      textKey: 'label',
+      preserveValue: true,
+    });
+  }
 }
 
 /**
@@ -3354,6 +3445,8 @@ function countActiveFilters() {
   if (filters.notSynced) count++; // legacy
   if (filters.recordingStatus) count++;
   if (filters.calendarStatus) count++;
+  if (filters.tag) count++;
+  if (filters.fieldKey) count++;
 
   return count;
 }
@@ -3387,6 +3480,9 @@ function clearAllFilters() {
   searchState.filters.notSynced = false;
   searchState.filters.recordingStatus = '';
   searchState.filters.calendarStatus = '';
+  searchState.filters.tag = '';
+  searchState.filters.fieldKey = '';
+  searchState.filters.fieldValue = '';
 
   // Reset dropdowns
   const companySelect = document.getElementById('filterCompany');
@@ -3402,6 +3498,7 @@ function clearAllFilters() {
   if (syncSelect) syncSelect.value = '';
   if (recordingSelect) recordingSelect.value = '';
   if (calendarSelect) calendarSelect.value = '';
+  setTagAndFieldFilterInputs();
 
   // Clear active view
   savedViews.activeViewId = null;
@@ -3529,6 +3626,9 @@ function applyView(viewId) {
   searchState.filters.notSynced = view.filters.syncStatus === 'not-synced';
   searchState.filters.recordingStatus = view.filters.recordingStatus || '';
   searchState.filters.calendarStatus = view.filters.calendarStatus || '';
+  searchState.filters.tag = view.filters.tag || '';
+  searchState.filters.fieldKey = view.filters.fieldKey || '';
+  searchState.filters.fieldValue = view.filters.fieldValue || '';
 
   // Update dropdowns
   const companySelect = document.getElementById('filterCompany');
@@ -3544,11 +3644,38 @@ function applyView(viewId) {
   if (syncSelect) syncSelect.value = searchState.filters.syncStatus;
   if (recordingSelect) recordingSelect.value = searchState.filters.recordingStatus;
   if (calendarSelect) calendarSelect.value = searchState.filters.calendarStatus;
+  setTagAndFieldFilterInputs();
 
   updateFilterCountBadge();
   renderMeetings();
 }
 
+/**
+ * Sync the tag and custom field filter inputs with searchState. A saved view
+ * can name a tag or field that's gone since, so add it as an option if needed.
+ */
+function setTagAndFieldFilterInputs() {
+  const { filters } = searchState;
+  const tagSelect = document.getElementById('filterTag');
+  const fieldSelect = document.getElementById('filterField');
+  const fieldValueInput = document.getElementById('filterFieldValue');
+
+  [
+    [tagSelect, filters.tag],
+    [fieldSelect, filters.fieldKey],
+  ].forEach(([select, value]) => {
+    if (!select) return;
+    if (value && ![...select.options].some(o => o.value === value)) {
+      addOption(select, value, value);
+    }
+    select.value = value;
+  });
+  if (fieldValueInput) {
+    fieldValueInput.value = filters.fieldValue;
+    fieldValueInput.disabled = !filters.fieldKey;
+  }
+}
+
 /**
  * Client-side YouTube id extraction (mirrors main/services/youtubeImport
  * parseVideoId) so an invalid URL shows an inline error and never hits IPC.
@@ -3689,6 +3816,9 @@ async function saveCurrentFiltersAsView() {
           syncStatus: searchState.filters.syncStatus,
           recordingStatus: searchState.filters.recordingStatus,
           calendarStatus: searchState.filters.calendarStatus,
+          tag: searchState.filters.tag,
+          fieldKey: searchState.filters.fieldKey,
+          fieldValue: searchState.filters.fieldValue,
         },
         createdAt: new Date().toISOString(),
       };
@@ -4276,6 +4406,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Initialize Quick Search (CS-2)
   initQuickSearch();
+  initFindMeetings();
+  initActionItems();
+  initTrash();
+  initDuplicates();
+  initVaultSync();
 
   // Initialize Background Tasks Panel
   initBackgroundTasksPanel();
@@ -4471,9 +4606,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Switch to main view if another view is open
     const settingsView = document.getElementById('settingsView');
     const reportsView = document.getElementById('reportsView');
+    const actionItemsView = document.getElementById('actionItemsView');
+    const trashView = document.getElementById('trashView');
     const mainView = document.getElementById('mainView');
     if (settingsView) settingsView.style.display = 'none';
     if (reportsView) reportsView.style.display = 'none';
+    if (actionItemsView) actionItemsView.style.display = 'none';
+    if (trashView) trashView.style.display = 'none';
     if (mainView) mainView.style.display = 'block';
 
     const newNoteBtn = document.getElementById('newNoteBtn');
@@ -4489,9 +4628,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Switch to main view if another view is open
     const settingsView = document.getElementById('settingsView');
     const reportsView = document.getElementById('reportsView');
+    const actionItemsView = document.getElementById('actionItemsView');
+    const trashView = document.getElementById('trashView');
     const mainView = document.getElementById('mainView');
     if (settingsView) settingsView.style.display = 'none';
     if (reportsView) reportsView.style.display = 'none';
+    if (actionItemsView) actionItemsView.style.display = 'none';
+    if (trashView) trashView.style.display = 'none';
     if (mainView) mainView.style.display = 'block';
 
     const stopRecordingBtn = document.getElementById('stopRecordingBtn');
@@ -4998,6 +5141,36 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     }
 
+    // Tag filter
+    const filterTag = document.getElementById('filterTag');
+    if (filterTag) {
+      filterTag.addEventListener('change', () => {
+        searchState.filters.tag = filterTag.value;
+        updateFilterCountBadge();
+        renderMeetings();
+      });
+    }
+
+    // Custom field filter (the value box is only used once a field is picked)
+    const filterField = document.getElementById('filterField');
+    const filterFieldValue = document.getElementById('filterFieldValue');
+    if (filterField && filterFieldValue) {
+      filterFieldValue.disabled = true;
+      filterField.addEventListener('change', () => {
+        searchState.filters.fieldKey = filterField.value;
+        filterFieldValue.disabled = !filterField.value;
+        updateFilterCountBadge();
+        renderMeetings();
+      });
+      filterFieldValue.addEventListener(
+        'input',
+        debounce(() => {
+          searchState.filters.fieldValue = filterFieldValue.value;
+          renderMeetings();
+        }, 300)
+      );
+    }
+
     if (filterClearAll) {
       filterClearAll.addEventListener('click', () => {
         clearAllFilters();
@@ -5161,7 +5334,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       const deleteBtn = e.target.closest('.delete-meeting-btn');
       const meetingId = deleteBtn.dataset.id;
 
-      if (confirm('Are you sure you want to delete this note? This cannot be undone.')) {
+      if (confirm('Are you sure you want to delete this note? It will be moved to the Trash.')) {
         console.log('Deleting meeting:', meetingId);
 
         // Show loading state
@@ -5371,6 +5544,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     batchExportBtn.addEventListener('click', batchExportToObsidian);
   }
 
+  const batchExportTranscriptsBtn = document.getElementById('batchExportTranscriptsBtn');
+  if (batchExportTranscriptsBtn) {
+    batchExportTranscriptsBtn.addEventListener('click', () =>
+      openTranscriptExportModal([...bulkSelectionState.selectedMeetings])
+    );
+  }
+
   const batchDeleteBtn = document.getElementById('batchDeleteBtn');
   if (batchDeleteBtn) {
     batchDeleteBtn.addEventListener('click', batchDeleteMeetings);
@@ -6492,6 +6672,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     modal.style.display = 'none';
     selectedTemplateIds = [];
     routingOverride = null; // CS-4.4: Reset routing override
+    // A fresh run is a one-off
+    const forceFresh = document.getElementById('generateForceFresh');
+    if (forceFresh) forceFresh.checked = false;
     // Hide destination picker if open
     const picker = document.getElementById('routingDestinationPicker');
     if (picker) picker.style.display = 'none';
@@ -6586,6 +6769,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     const modelSelect = document.getElementById('generateModelSelect');
     const mode = modeInput ? modeInput.value : 'replace';
     const model = modelSelect ? modelSelect.value : 'default';
+    const force = document.getElementById('generateForceFresh')?.checked || false;
 
     const generateButton = document.getElementById('generateButton');
     const originalHTML = generateButton.innerHTML;
@@ -6612,6 +6796,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           routingOverride: savedRoutingOverride,
           mode,
           model: model === 'default' ? null : model,
+          force,
         }
       );
 
@@ -6886,7 +7071,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Handle file selection from browser File API
   function handleFiles(files) {
     const fileArray = Array.from(files);
-    const validExtensions = ['.txt', '.md', '.vtt', '.srt'];
+    const validExtensions = ['.txt', '.md', '.vtt', '.srt', '.json', '.docx'];
 
     const validFiles = fileArray.filter(file => {
       const ext = '.' + file.name.split('.').pop().toLowerCase();
@@ -6895,7 +7080,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     if (validFiles.length === 0) {
       console.warn('[Import] No valid files selected');
-      alert('No valid files selected. Please choose .txt, .md, .vtt, or .srt files.');
+      alert(
+        'No valid files selected. Please choose .txt, .md, .vtt, .srt, .json or .docx files.'
+      );
       return;
     }
 
@@ -6911,7 +7098,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   // IM-1: Valid file extensions for import
-  const TRANSCRIPT_EXTENSIONS = ['.txt', '.md', '.vtt', '.srt'];
+  const TRANSCRIPT_EXTENSIONS = ['.txt', '.md', '.vtt', '.srt', '.json', '.docx'];
   const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.ogg', '.webm', '.flac', '.aac'];
   const ALL_VALID_EXTENSIONS = [...TRANSCRIPT_EXTENSIONS, ...AUDIO_EXTENSIONS];
 
@@ -6946,7 +7133,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (validFiles.length === 0) {
       console.warn('[Import] No valid files selected');
       alert(
-        'No valid files selected. Please choose transcript files (.txt, .md, .vtt, .srt) or audio files (.mp3, .wav, .m4a).'
+        'No valid files selected. Please choose transcript files (.txt, .md, .vtt, .srt, .json, .docx) or audio files (.mp3, .wav, .m4a).'
       );
       return;
     }
@@ -0,0 +1,217 @@
+/**
+ * Open Action Items view
+ * Full-page list of action items extracted from every meeting's transcript
+ * (see main/services/actionItems.js), filterable by owner and company.
+ * Clicking an item opens the meeting at the utterance it came from.
+ */
+
+import { escapeHtml } from './security.js';
+import { revealTranscriptUtterance } from './meetingDetail.js';
+
+let items = [];
+let loadToken = 0;
+
+/**
+ * Wire up the view's controls and refresh when new items are extracted
+ */
+export function initActionItems() {
+  document.getElementById('closeActionItems')?.addEventListener('click', closeActionItemsView);
+  ['actionItemsStatus', 'actionItemsOwner', 'actionItemsCompany'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', loadActionItems);
+  });
+
+  window.electronAPI.onActionItemsUpdated?.(() => {
+    if (document.getElementById('actionItemsView')?.style.display === 'flex') {
+      loadActionItems();
+    }
+  });
+}
+
+/**
+ * Show the view (hides the other full-page views)
+ */
+export function openActionItemsView() {
+  const view = document.getElementById('actionItemsView');
+  if (!view) return;
+
+  ['settingsView', 'contactsView', 'reportsView', 'trashView', 'mainView'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = 'none';
+  });
+  view.style.display = 'flex';
+  loadActionItems();
+}
+
+/**
+ * Hide the view and return to the meeting list
+ */
+export function closeActionItemsView() {
+  const view = document.getElementById('actionItemsView');
+  const mainView = document.getElementById('mainView');
+  if (view) view.style.display = 'none';
+  if (mainView) mainView.style.display = 'block';
+}
+
+async function loadActionItems() {
+  const token = ++loadToken;
+  const status = document.getElementById('actionItemsStatus')?.value || 'open';
+  const owner = document.getElementById('actionItemsOwner')?.value || undefined;
+  const company = document.getElementById('actionItemsCompany')?.value || undefined;
+  const resultsEl = document.getElementById('actionItemsResults');
+  if (resultsEl) resultsEl.innerHTML = '<div class="reports-loading">Loading action items...</div>';
+
+  try {
+    const result = await window.electronAPI.actionItemsList({ status, owner, company });
+    if (token !== loadToken) return;
+    if (!result.success) throw new Error(result.error);
+
+    items = result.items;
+    populateFilter(
+      'actionItemsOwner',
+      'Anyone',
+      result.owners.map(o => ({
+        value: o.email || o.name,
+        label: o.name && o.email ? `${o.name} (${o.email})` : o.name || o.email,
+      }))
+    );
+    populateFilter(
+      'actionItemsCompany',
+      'Any company',
+      result.companies.map(c => ({ value: c, label: c }))
+    );
+    renderActionItems();
+  } catch (error) {
+    if (token !== loadToken) return;
+    console.error('[ActionItems] Load failed:', error);
+    if (resultsEl) {
+      resultsEl.innerHTML = `<div class="reports-empty-state"><p>Error loading action items: ${escapeHtml(error.message)}</p></div>`;
+    }
+  }
+}
+
+/**
+ * Refill a filter dropdown, keeping the current selection even when it no
+ * longer has items (so the user can see the empty result).
+ */
+function populateFilter(selectId, emptyLabel, options) {
+  const select = document.getElementById(selectId);
+  if (!select) return;
+  const current = select.value;
+  if (current && !options.some(o => o.value === current)) {
+    options.unshift({ value: current, label: current });
+  }
+  select.innerHTML =
+    `<option value="">${escapeHtml(emptyLabel)}</option>` +
+    options
+      .map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`)
+      .join('');
+  select.value = current;
+}
+
+function formatTimestamp(seconds) {
+  if (seconds == null) return '';
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function renderActionItems() {
+  const resultsEl = document.getElementById('actionItemsResults');
+  const countEl = document.getElementById('actionItemsCount');
+  if (countEl) countEl.textContent = items.length;
+  if (!resultsEl) return;
+
+  if (items.length === 0) {
+    resultsEl.innerHTML = `
+      <div class="reports-empty-state">
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z" fill="currentColor" opacity="0.3"/>
+        </svg>
+        <p>No action items match these filters.</p>
+      </div>`;
+    return;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  resultsEl.innerHTML = items
+    .map((item, index) => {
+      const owner = item.ownerName || item.ownerEmail || 'Unassigned';
+      const meetingDate = item.meetingDate
+        ? new Date(item.meetingDate).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+          })
+        : '';
+      const overdue = item.status === 'open' && item.dueDate && item.dueDate < today;
+      const source = item.sourceText
+        ? `<div class="action-item-source">${escapeHtml(item.sourceSpeaker || 'Unknown')}${
+            item.sourceTimestamp != null ? ` at ${formatTimestamp(item.sourceTimestamp)}` : ''
+          }: “${escapeHtml(item.sourceText.replace(/\s+/g, ' '))}”</div>`
+        : '';
+      const actions =
+        item.status === 'open'
+          ? `<button class="btn btn-outline btn-sm" data-action="done" title="Mark as done">Done</button>
+             <button class="btn btn-outline btn-sm" data-action="dismissed" title="Not an action item">Dismiss</button>`
+          : '<button class="btn btn-outline btn-sm" data-action="open">Reopen</button>';
+
+      return `
+      <div class="report-card" data-index="${index}">
+        <div class="report-card-info">
+          <div class="report-card-title action-item-title">${escapeHtml(item.description)}</div>
+          <div class="report-card-meta">
+            <span title="${escapeHtml(item.ownerEmail || '')}">${escapeHtml(owner)}</span>
+            ${item.dueDate ? `<span class="action-item-due${overdue ? ' overdue' : ''}">Due ${escapeHtml(item.dueDate)}</span>` : ''}
+            <span>${escapeHtml(item.meetingTitle || 'Untitled Meeting')}${meetingDate ? ` · ${meetingDate}` : ''}</span>
+          </div>
+          ${source}
+        </div>
+        <div class="report-card-actions">${actions}</div>
+      </div>`;
+    })
+    .join('');
+
+  resultsEl.querySelectorAll('.report-card').forEach(card => {
+    const item = items[parseInt(card.dataset.index, 10)];
+    card.addEventListener('click', () => openSource(item));
+    card.querySelectorAll('[data-action]').forEach(btn => {
+      btn.addEventListener('click', e => {
+        e.stopPropagation();
+        setStatus(item, btn.dataset.action);
+      });
+    });
+  });
+}
+
+async function setStatus(item, status) {
+  try {
+    const result = await window.electronAPI.actionItemsUpdateStatus(item.id, status);
+    if (!result.success) throw new Error(result.error);
+    loadActionItems();
+  } catch (error) {
+    console.error('[ActionItems] Status update failed:', error);
+    window.showToast?.(`Could not update action item: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the meeting and jump to the utterance the item came from. The detail
+ * view renders asynchronously, so retry briefly until it's there.
+ */
+function openSource(item) {
+  closeActionItemsView();
+  if (window.showEditorView) window.showEditorView(item.meetingId);
+  if (item.sourceEntryOrder == null) return;
+
+  let attempts = 0;
+  const tryReveal = () => {
+    if (revealTranscriptUtterance(item.sourceEntryOrder) || ++attempts > 20) return;
+    setTimeout(tryReveal, 100);
+  };
+  setTimeout(tryReveal, 100);
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.openActionItemsView = openActionItemsView;
+}
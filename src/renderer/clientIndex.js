@@ -0,0 +1,51 @@
+/**
+ * Client index notes
+ * Each company with a folder gets an _index.md hub page listing its meetings,
+ * open action items and a relationship summary (see
+ * main/services/clientIndex.js). Exports keep them current; these rebuild
+ * them on demand.
+ */
+
+import { notifyError, notifySuccess } from './utils/notificationHelper.js';
+
+/**
+ * Wire up the Refresh Index Notes button
+ */
+export function initClientIndex() {
+  const button = document.getElementById('refreshClientIndexesBtn');
+  button?.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await refreshClientIndex();
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * Rebuild one company's index note, or every company's.
+ * @param {string} [name] - Company name
+ * @returns {Promise<boolean>} Whether every index was rebuilt
+ */
+export async function refreshClientIndex(name) {
+  try {
+    const result = await window.electronAPI.companiesRefreshIndex(name);
+    if (!result.success) throw new Error(result.error);
+    if (result.failed.length > 0) {
+      notifyError(
+        `${result.failed.length} index note${result.failed.length === 1 ? '' : 's'} could not be written`
+      );
+      return false;
+    }
+    notifySuccess(
+      name
+        ? `Updated the index note for ${name}`
+        : `Updated ${result.refreshed} index note${result.refreshed === 1 ? '' : 's'}`
+    );
+    return true;
+  } catch (error) {
+    notifyError(error, { context: 'ClientIndex', prefix: 'Could not update index notes:' });
+    return false;
+  }
+}
@@ -6,6 +6,8 @@
  * Accessible from the Companies toggle on the Contacts page.
  */
 
+import { refreshClientIndex } from './clientIndex.js';
+
 let _currentCompany = null;
 
 /**
@@ -206,6 +208,16 @@ function renderCompanyDetail(organization, contacts, meetings, dbData) {
     setTimeout(() => { syncBtn.textContent = 'Sync Contacts'; syncBtn.disabled = false; }, 2000);
   });
   btnRow.appendChild(syncBtn);
+
+  const indexBtn = document.createElement('button');
+  indexBtn.className = 'btn btn-secondary btn-sm';
+  indexBtn.textContent = 'Refresh Index Note';
+  indexBtn.addEventListener('click', async () => {
+    indexBtn.disabled = true;
+    await refreshClientIndex(organization);
+    indexBtn.disabled = false;
+  });
+  btnRow.appendChild(indexBtn);
   configGrid.appendChild(btnRow);
 
   configSection.appendChild(configGrid);
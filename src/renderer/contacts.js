@@ -98,6 +98,8 @@ export async function openContactsView(emailToSelect) {
   const settingsView = document.getElementById('settingsView');
 
   const reportsView = document.getElementById('reportsView');
+  const actionItemsView = document.getElementById('actionItemsView');
+  const trashView = document.getElementById('trashView');
 
   // Close other views if open
   if (settingsView) {
@@ -106,6 +108,12 @@ export async function openContactsView(emailToSelect) {
   if (reportsView) {
     reportsView.style.display = 'none';
   }
+  if (actionItemsView) {
+    actionItemsView.style.display = 'none';
+  }
+  if (trashView) {
+    trashView.style.display = 'none';
+  }
 
   if (contactsView) {
     contactsView.style.display = 'flex';
@@ -0,0 +1,135 @@
+/**
+ * Duplicate meeting review
+ * Likely duplicates (see main/services/meetingDuplicates.js) arrive after an
+ * import or recording, or from the File > Find Duplicate Meetings scan. Each
+ * pair can be merged — the other meeting goes to the Trash — or kept as two
+ * meetings, which stops it being offered again.
+ */
+
+import { escapeHtml } from './security.js';
+import { createModal } from './utils/modalHelper.js';
+import { notifyError, notifySuccess } from './utils/notificationHelper.js';
+
+// Pairs waiting for the review modal, keyed so a pair is only offered once
+const pending = new Map();
+let modalOpen = false;
+
+/**
+ * Listen for duplicates found by the main process
+ */
+export function initDuplicates() {
+  window.electronAPI?.onMeetingDuplicates?.(({ pairs }) => queuePairs(pairs));
+}
+
+/**
+ * Scan every meeting for duplicates and review what turns up
+ */
+export async function findDuplicates() {
+  try {
+    const result = await window.electronAPI.duplicatesScan();
+    if (!result.success) throw new Error(result.error);
+    if (result.pairs.length === 0) {
+      notifySuccess('No duplicate meetings found');
+      return;
+    }
+    queuePairs(result.pairs);
+  } catch (error) {
+    notifyError(error, { context: 'Duplicates', prefix: 'Duplicate scan failed:' });
+  }
+}
+
+function pairKey(pair) {
+  return [pair.a.id, pair.b.id].sort().join('|');
+}
+
+function queuePairs(pairs) {
+  for (const pair of pairs) pending.set(pairKey(pair), pair);
+  if (!modalOpen) showReview();
+}
+
+function describe(meeting) {
+  const date = meeting.date ? new Date(meeting.date).toLocaleString() : 'No date';
+  return `<strong>${escapeHtml(meeting.title || 'Untitled')}</strong>
+    <small style="color: var(--text-secondary);">${escapeHtml(date)}</small>`;
+}
+
+function showReview() {
+  const pairs = [...pending.values()];
+  pending.clear();
+  if (pairs.length === 0) return;
+  modalOpen = true;
+
+  createModal({
+    title: pairs.length === 1 ? 'Possible Duplicate Meeting' : 'Possible Duplicate Meetings',
+    body: `
+      <p style="color: var(--text-secondary); font-size: 13px;">Merging keeps the better transcript
+      and every participant and summary; the other meeting goes to the Trash.</p>
+      ${pairs
+        .map(
+          (pair, index) => `
+        <div class="form-group">
+          <div>${describe(pair.a)}</div>
+          <div>${describe(pair.b)}</div>
+          <small>${escapeHtml(pair.reasons.join(', ') || 'similar meetings')}</small>
+          <select id="duplicateChoice-${index}" class="form-control">
+            <option value="">Decide later</option>
+            <option value="merge">Merge</option>
+            <option value="keep">Keep both</option>
+          </select>
+        </div>`
+        )
+        .join('')}`,
+    confirmText: 'Apply',
+    size: pairs.length > 1 ? 'large' : 'medium',
+    onConfirm: async () => {
+      const choices = pairs.map((pair, index) => ({
+        pair,
+        choice: document.getElementById(`duplicateChoice-${index}`)?.value,
+      }));
+      applyChoices(choices.filter(c => c.choice)).finally(closeReview);
+    },
+    onCancel: closeReview,
+  });
+
+  // The modal sanitizer drops `selected`, so set the default here
+  if (pairs.length === 1) {
+    const select = document.getElementById('duplicateChoice-0');
+    if (select) select.value = 'merge';
+  }
+}
+
+function closeReview() {
+  modalOpen = false;
+  if (pending.size > 0) showReview();
+}
+
+async function applyChoices(choices) {
+  const trashed = new Set();
+  let merged = 0;
+  let failed = 0;
+  for (const { pair, choice } of choices) {
+    const meetingIds = [pair.a.id, pair.b.id];
+    // A meeting merged away earlier in this batch is already in the Trash
+    if (meetingIds.some(id => trashed.has(id))) continue;
+    try {
+      if (choice === 'merge') {
+        const result = await window.electronAPI.duplicatesMerge(meetingIds);
+        if (!result.success) throw new Error(result.error);
+        trashed.add(result.mergedId);
+        merged++;
+      } else {
+        const result = await window.electronAPI.duplicatesDismiss(meetingIds);
+        if (!result.success) throw new Error(result.error);
+      }
+    } catch (error) {
+      failed++;
+      console.error('[Duplicates] Could not apply choice:', error);
+    }
+  }
+
+  if (failed > 0) {
+    notifyError(`${failed} duplicate${failed === 1 ? '' : 's'} could not be resolved`);
+  } else if (merged > 0) {
+    notifySuccess(`Merged ${merged} duplicate meeting${merged === 1 ? '' : 's'}`);
+  }
+}
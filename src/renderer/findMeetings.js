@@ -0,0 +1,215 @@
+/**
+ * Find Meetings About... (semantic search)
+ * Ctrl/Cmd+Shift+F modal that ranks meetings by meaning rather than keywords,
+ * using the local embedding index (see main/services/semanticSearch.js).
+ * Selecting a result opens the meeting and jumps to the matching utterance.
+ */
+
+import { escapeHtml } from './security.js';
+import { revealTranscriptUtterance } from './meetingDetail.js';
+
+let results = [];
+let selectedIndex = -1;
+let searchToken = 0;
+let statusMessage = '';
+
+/**
+ * Initialize the find-meetings modal
+ */
+export function initFindMeetings() {
+  document.addEventListener('keydown', event => {
+    if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === 'f') {
+      event.preventDefault();
+      openFindMeetings();
+    }
+  });
+
+  const overlay = document.getElementById('findMeetingsOverlay');
+  const input = document.getElementById('findMeetingsInput');
+  if (!overlay || !input) {
+    console.warn('[FindMeetings] Modal elements not found');
+    return;
+  }
+
+  overlay.addEventListener('click', e => {
+    if (e.target === overlay) closeFindMeetings();
+  });
+  input.addEventListener('keydown', handleInputKeydown);
+  document.getElementById('findMeetingsBtn')?.addEventListener('click', openFindMeetings);
+}
+
+/**
+ * Open the modal
+ */
+export function openFindMeetings() {
+  const overlay = document.getElementById('findMeetingsOverlay');
+  const input = document.getElementById('findMeetingsInput');
+  if (!overlay) return;
+
+  overlay.style.display = 'flex';
+  results = [];
+  selectedIndex = -1;
+  statusMessage = '';
+  if (input) {
+    input.value = '';
+    setTimeout(() => input.focus(), 50);
+  }
+  renderResults();
+}
+
+/**
+ * Close the modal
+ */
+export function closeFindMeetings() {
+  const overlay = document.getElementById('findMeetingsOverlay');
+  if (overlay) overlay.style.display = 'none';
+  searchToken++; // drop any in-flight response
+  results = [];
+  selectedIndex = -1;
+}
+
+/**
+ * Embedding a query costs a round trip to the local model, so search runs on
+ * Enter rather than on every keystroke.
+ */
+async function performSearch(query) {
+  const token = ++searchToken;
+  statusMessage = 'Searching…';
+  results = [];
+  renderResults();
+
+  try {
+    const response = await window.electronAPI.semanticFind(query, { limit: 15 });
+    if (token !== searchToken) return;
+    if (!response.success) {
+      statusMessage = `Semantic search unavailable: ${response.error}. Is the local model server running?`;
+      renderResults();
+      return;
+    }
+    results = response.results;
+    selectedIndex = results.length > 0 ? 0 : -1;
+    statusMessage =
+      response.pendingMeetings > 0
+        ? `${response.pendingMeetings} meeting(s) not indexed yet — indexing in the background.`
+        : '';
+  } catch (error) {
+    if (token !== searchToken) return;
+    console.error('[FindMeetings] Search failed:', error);
+    statusMessage = 'Search failed';
+  }
+  renderResults();
+}
+
+function handleInputKeydown(event) {
+  switch (event.key) {
+    case 'Escape':
+      event.preventDefault();
+      closeFindMeetings();
+      break;
+
+    case 'ArrowDown':
+      event.preventDefault();
+      if (results.length > 0) {
+        selectedIndex = Math.min(selectedIndex + 1, results.length - 1);
+        renderResults();
+      }
+      break;
+
+    case 'ArrowUp':
+      event.preventDefault();
+      if (results.length > 0) {
+        selectedIndex = Math.max(selectedIndex - 1, 0);
+        renderResults();
+      }
+      break;
+
+    case 'Enter': {
+      event.preventDefault();
+      const query = event.target.value.trim();
+      // Enter on an unchanged query opens the selection; otherwise search.
+      if (query && query === event.target.dataset.lastQuery && selectedIndex >= 0) {
+        selectResult(results[selectedIndex]);
+      } else if (query) {
+        event.target.dataset.lastQuery = query;
+        performSearch(query);
+      }
+      break;
+    }
+  }
+}
+
+function formatTimestamp(seconds) {
+  if (seconds == null) return '';
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function renderResults() {
+  const container = document.getElementById('findMeetingsResults');
+  if (!container) return;
+
+  const status = statusMessage
+    ? `<div class="quick-search-hint">${escapeHtml(statusMessage)}</div>`
+    : '';
+
+  if (results.length === 0) {
+    container.innerHTML =
+      status ||
+      `<div class="quick-search-hint">
+        <span>Describe a topic and press Enter, e.g. "pricing pushback from the client"</span>
+      </div>`;
+    return;
+  }
+
+  container.innerHTML =
+    results
+      .map((hit, index) => {
+        const where =
+          hit.source === 'transcript' && hit.entryOrder != null
+            ? `${escapeHtml(hit.speaker || 'Unknown')} at ${formatTimestamp(hit.timestamp)}`
+            : 'Summary';
+        const excerpt = (hit.utterance || hit.text || '').replace(/\s+/g, ' ').slice(0, 200);
+        return `
+        <div class="quick-search-result-item ${index === selectedIndex ? 'selected' : ''}" data-index="${index}">
+          <div class="quick-search-result-info">
+            <div class="quick-search-result-name">${escapeHtml(hit.title || 'Untitled')}</div>
+            <div class="quick-search-result-meta">${escapeHtml(hit.date ? hit.date.slice(0, 10) : '')} · ${where} · ${Math.round(hit.score * 100)}% match</div>
+            <div class="find-meetings-excerpt">${escapeHtml(excerpt)}</div>
+          </div>
+        </div>
+      `;
+      })
+      .join('') + status;
+
+  container.querySelectorAll('.quick-search-result-item').forEach(item => {
+    item.addEventListener('click', () => selectResult(results[parseInt(item.dataset.index, 10)]));
+  });
+  container
+    .querySelector('.quick-search-result-item.selected')
+    ?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Open the meeting and, for transcript hits, jump to the matched utterance.
+ * The detail view renders asynchronously, so retry briefly until it's there.
+ */
+function selectResult(hit) {
+  if (!hit) return;
+  closeFindMeetings();
+  if (window.showEditorView) window.showEditorView(hit.meetingId);
+  if (hit.entryOrder == null) return;
+
+  let attempts = 0;
+  const tryReveal = () => {
+    if (revealTranscriptUtterance(hit.entryOrder) || ++attempts > 20) return;
+    setTimeout(tryReveal, 100);
+  };
+  setTimeout(tryReveal, 100);
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.openFindMeetings = openFindMeetings;
+  window.closeFindMeetings = closeFindMeetings;
+}
@@ -0,0 +1,171 @@
+/**
+ * OpenAI-compatible and Azure OpenAI endpoint settings
+ * Request headers, capability flags and Azure deployments (see
+ * OpenAICompatibleAdapter in main/services/llmService.js), saved through
+ * appUpdateSettings({ llmEndpoints }). Server URLs and API keys are kept with
+ * the other keys in Security settings. Also fills the "openai-model-group" and
+ * "azure-model-group" optgroups of the model pickers.
+ */
+
+import { notifyError } from './utils/notificationHelper.js';
+
+const ENDPOINTS = [
+  { provider: 'openai', group: '.openai-model-group' },
+  { provider: 'azure', group: '.azure-model-group' },
+];
+
+const CAPABILITIES = ['streaming', 'jsonMode', 'caching'];
+
+// "Name: value" per line <-> { Name: 'value' }
+const parseHeaders = text =>
+  Object.fromEntries(
+    text
+      .split('\n')
+      .map(line => line.match(/^\s*([^:\s][^:]*?)\s*:\s*(.*?)\s*$/))
+      .filter(Boolean)
+      .map(([, name, value]) => [name, value])
+  );
+const formatHeaders = headers =>
+  Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+
+const capabilityBox = (provider, capability) =>
+  document.querySelector(
+    `[data-endpoint-capability="${capability}"][data-endpoint-provider="${provider}"]`
+  );
+
+const settingInput = (provider, setting) =>
+  document.querySelector(
+    `[data-endpoint-setting="${setting}"][data-endpoint-provider="${provider}"]`
+  );
+
+// Empty or negative -> null, which the main process reads as unset
+const numberOf = (provider, setting) => {
+  const value = parseFloat(settingInput(provider, setting)?.value);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+/**
+ * Wire up the endpoint controls and load the saved settings into them
+ */
+export async function initLlmEndpoints() {
+  document
+    .querySelectorAll('#openaiEndpointHeaders, #azureDeployments, #azureApiVersion')
+    .forEach(input => input.addEventListener('change', save));
+  document
+    .querySelectorAll('[data-endpoint-capability], [data-endpoint-setting]')
+    .forEach(input => input.addEventListener('change', save));
+  await loadLlmEndpoints();
+}
+
+async function loadLlmEndpoints() {
+  if (!window.electronAPI?.appGetSettings) return;
+  try {
+    const result = await window.electronAPI.appGetSettings();
+    if (!result.success) throw new Error(result.error);
+    const endpoints = result.data?.llmEndpoints;
+    if (!endpoints) return;
+
+    document.getElementById('openaiEndpointHeaders').value = formatHeaders(
+      endpoints.openai?.headers
+    );
+    document.getElementById('azureDeployments').value = (endpoints.azure?.deployments || []).join(
+      ', '
+    );
+    document.getElementById('azureApiVersion').value = endpoints.azure?.apiVersion || '';
+    for (const { provider } of ENDPOINTS) {
+      for (const capability of CAPABILITIES) {
+        const box = capabilityBox(provider, capability);
+        // Unset means the adapter's default, which the checkbox markup mirrors
+        const value = endpoints[provider]?.capabilities?.[capability];
+        if (box && value !== undefined) box.checked = value;
+      }
+      const { contextWindow, pricing } = endpoints[provider] || {};
+      const fill = (setting, value) => {
+        const input = settingInput(provider, setting);
+        if (input) input.value = value ?? '';
+      };
+      fill('contextWindow', contextWindow);
+      fill('pricingInput', pricing?.input);
+      fill('pricingOutput', pricing?.output);
+    }
+  } catch (error) {
+    console.error('[LlmEndpoints] Failed to load:', error);
+  }
+}
+
+async function save() {
+  const capabilities = provider =>
+    Object.fromEntries(
+      CAPABILITIES.map(capability => [capability, capabilityBox(provider, capability)?.checked])
+    );
+  // Both prices or neither; one alone can't price a call
+  const pricing = provider => {
+    const input = numberOf(provider, 'pricingInput');
+    const output = numberOf(provider, 'pricingOutput');
+    return input === null || output === null ? null : { input, output };
+  };
+  const contextWindow = provider => Math.round(numberOf(provider, 'contextWindow')) || null;
+  const llmEndpoints = {
+    openai: {
+      headers: parseHeaders(document.getElementById('openaiEndpointHeaders').value),
+      capabilities: capabilities('openai'),
+      contextWindow: contextWindow('openai'),
+      pricing: pricing('openai'),
+    },
+    azure: {
+      deployments: document
+        .getElementById('azureDeployments')
+        .value.split(',')
+        .map(name => name.trim())
+        .filter(Boolean),
+      apiVersion: document.getElementById('azureApiVersion').value.trim() || undefined,
+      capabilities: capabilities('azure'),
+      contextWindow: contextWindow('azure'),
+      pricing: pricing('azure'),
+    },
+  };
+  try {
+    const result = await window.electronAPI.appUpdateSettings({ llmEndpoints });
+    if (result && result.success === false) throw new Error(result.error);
+    await populateEndpointModelDropdowns();
+  } catch (error) {
+    notifyError(error, { context: 'LlmEndpoints', prefix: 'Could not save endpoint settings:' });
+  }
+}
+
+/**
+ * List the OpenAI-compatible server's models and the Azure deployments in the
+ * model pickers. A group stays hidden while its endpoint isn't configured.
+ */
+export async function populateEndpointModelDropdowns() {
+  if (!window.electronAPI?.llmListEndpointModels) return;
+
+  for (const { provider, group } of ENDPOINTS) {
+    const optgroups = document.querySelectorAll(group);
+    if (optgroups.length === 0) continue;
+
+    let models = [];
+    try {
+      const result = await window.electronAPI.llmListEndpointModels(provider);
+      if (result.success) models = result.models;
+    } catch (error) {
+      console.warn(`[LlmEndpoints] Could not list ${provider} models:`, error);
+    }
+
+    optgroups.forEach(og => {
+      const select = og.closest('select');
+      const previous = select?.value;
+      og.innerHTML = '';
+      og.hidden = models.length === 0;
+      for (const model of models) {
+        const opt = document.createElement('option');
+        opt.value = `${provider}-${model.name}`;
+        opt.textContent = model.name;
+        og.appendChild(opt);
+      }
+      if (select && previous) select.value = previous;
+    });
+  }
+}
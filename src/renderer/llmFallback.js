@@ -0,0 +1,56 @@
+/**
+ * Fallback models settings
+ * Models tried in order when the chosen one fails (see main/services/llmService.js,
+ * setFallbackPolicy). Saved through appUpdateSettings({ llmFallback: { chain } }).
+ */
+
+import { notifyError } from './utils/notificationHelper.js';
+
+const selects = () => [...document.querySelectorAll('[data-fallback-index]')];
+
+/**
+ * Wire up the fallback selects and load the saved chain into them
+ */
+export async function initLlmFallback() {
+  for (const select of selects()) {
+    select.addEventListener('change', save);
+  }
+  await loadLlmFallback();
+}
+
+/**
+ * Show the saved chain
+ */
+export async function loadLlmFallback() {
+  if (!window.electronAPI?.appGetSettings) return;
+  try {
+    const result = await window.electronAPI.appGetSettings();
+    if (!result.success) throw new Error(result.error);
+    const chain = result.data?.llmFallback?.chain || [];
+    selects().forEach((select, index) => {
+      const value = chain[index] || '';
+      // Local and endpoint models are listed once their server answers; keep the saved one meanwhile
+      if (value && !select.querySelector(`option[value="${CSS.escape(value)}"]`)) {
+        const [, provider = 'ollama', name = value] =
+          value.match(/^(ollama|openai|azure)-(.*)$/) || [];
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        (select.querySelector(`.${provider}-model-group`) || select).appendChild(option);
+      }
+      select.value = value;
+    });
+  } catch (error) {
+    console.error('[LlmFallback] Failed to load:', error);
+  }
+}
+
+async function save() {
+  const chain = [...new Set(selects().map(select => select.value))].filter(Boolean);
+  try {
+    const result = await window.electronAPI.appUpdateSettings({ llmFallback: { chain } });
+    if (result && result.success === false) throw new Error(result.error);
+  } catch (error) {
+    notifyError(error, { context: 'LlmFallback', prefix: 'Could not save fallback models:' });
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * AI Usage settings
+ * What LLM calls cost by month, client, template and model (see
+ * main/services/llmUsage.js), and the monthly budget cap. The cap is saved
+ * through appUpdateSettings({ llmBudget }). Also the summary cache (see
+ * main/services/summaryCache.js): its statistics, on/off and clearing.
+ */
+
+import { escapeHtml } from './security.js';
+import { notifyError, notifySuccess, notifyWarning } from './utils/notificationHelper.js';
+
+const BREAKDOWNS = [
+  { key: 'byClient', title: 'By client', label: row => row.clientName || row.clientId },
+  { key: 'byTemplate', title: 'By template', label: row => row.templateName || row.templateId },
+  { key: 'byModel', title: 'By model', label: row => row.model },
+];
+
+const formatCost = usd => `$${(usd || 0).toFixed(2)}`;
+const formatTokens = count => (count || 0).toLocaleString();
+
+/**
+ * Wire up the budget controls, month picker and budget-reached notice
+ */
+export function initLlmUsage() {
+  document.getElementById('llmBudgetCap')?.addEventListener('change', saveBudget);
+  document.getElementById('llmBudgetWhenReached')?.addEventListener('change', saveBudget);
+  document.getElementById('llmUsageMonth')?.addEventListener('change', event => {
+    if (event.target.value) loadLlmUsage();
+  });
+  document.getElementById('summaryCacheEnabled')?.addEventListener('change', saveSummaryCache);
+  document.getElementById('summaryCacheClearBtn')?.addEventListener('click', clearSummaryCache);
+
+  window.electronAPI?.onLlmBudgetReached?.(status => {
+    notifyWarning(
+      status.action === 'refuse'
+        ? `Monthly AI budget of ${formatCost(status.capUsd)} reached - AI calls are paused until next month`
+        : `Monthly AI budget of ${formatCost(status.capUsd)} reached - using the local model until next month`
+    );
+  });
+}
+
+/**
+ * Show the budget and the selected month's usage
+ */
+export async function loadLlmUsage() {
+  if (!window.electronAPI?.llmUsageGetReport) return;
+  const monthInput = document.getElementById('llmUsageMonth');
+  try {
+    const [settings, result] = await Promise.all([
+      window.electronAPI.appGetSettings(),
+      window.electronAPI.llmUsageGetReport(monthInput?.value || undefined),
+    ]);
+    if (!result.success) throw new Error(result.error);
+
+    const budget = settings.success ? settings.data?.llmBudget : null;
+    if (budget) {
+      document.getElementById('llmBudgetCap').value = budget.monthlyCapUsd || 0;
+      document.getElementById('llmBudgetWhenReached').value = budget.whenReached || 'local';
+    }
+    if (monthInput && !monthInput.value) monthInput.value = result.report.month;
+    renderBudgetStatus(result.budget);
+    renderReport(result.report);
+  } catch (error) {
+    notifyError(error, { context: 'LlmUsage', prefix: 'Could not load AI usage:' });
+  }
+  await loadSummaryCache();
+}
+
+async function loadSummaryCache() {
+  if (!window.electronAPI?.summaryCacheGetStats) return;
+  try {
+    const result = await window.electronAPI.summaryCacheGetStats();
+    if (!result.success) throw new Error(result.error);
+    const { stats, settings } = result;
+    document.getElementById('summaryCacheEnabled').checked = settings.enabled;
+    const statusEl = document.getElementById('summaryCacheStatus');
+    if (statusEl) {
+      statusEl.textContent =
+        `${stats.entries} cached (${(stats.sizeBytes / 1024).toFixed(0)} KB), reused ${stats.hits} times. ` +
+        `This session: ${stats.session.hits} reused, ${stats.session.misses} generated`;
+    }
+  } catch (error) {
+    notifyError(error, { context: 'LlmUsage', prefix: 'Could not load the summary cache:' });
+  }
+}
+
+async function saveSummaryCache(event) {
+  try {
+    const result = await window.electronAPI.appUpdateSettings({
+      summaryCache: { enabled: event.target.checked },
+    });
+    if (result && result.success === false) throw new Error(result.error);
+  } catch (error) {
+    notifyError(error, {
+      context: 'LlmUsage',
+      prefix: 'Could not save the summary cache setting:',
+    });
+  }
+}
+
+async function clearSummaryCache() {
+  try {
+    const result = await window.electronAPI.summaryCacheClear();
+    if (!result.success) throw new Error(result.error);
+    notifySuccess(`Cleared ${result.removed} cached summaries`);
+    await loadSummaryCache();
+  } catch (error) {
+    notifyError(error, { context: 'LlmUsage', prefix: 'Could not clear the summary cache:' });
+  }
+}
+
+function renderBudgetStatus(budget) {
+  const statusEl = document.getElementById('llmBudgetStatus');
+  if (!statusEl || !budget) return;
+  statusEl.textContent = budget.capUsd
+    ? `${formatCost(budget.spentUsd)} of ${formatCost(budget.capUsd)} spent this month` +
+      (budget.reached ? ' - cap reached' : '')
+    : `${formatCost(budget.spentUsd)} spent this month. Leave at 0 for no cap`;
+}
+
+function renderTable(title, rows, label) {
+  if (rows.length === 0) return '';
+  const body = rows
+    .map(
+      row => `
+        <tr style="border-bottom: 1px solid var(--border-color);">
+          <td style="padding: 6px 12px;">${escapeHtml(label(row) || 'Untagged')}</td>
+          <td style="padding: 6px 12px; text-align: right;">${row.calls}</td>
+          <td style="padding: 6px 12px; text-align: right;">${formatTokens(row.inputTokens)}</td>
+          <td style="padding: 6px 12px; text-align: right;">${formatTokens(row.cachedTokens)}</td>
+          <td style="padding: 6px 12px; text-align: right;">${formatTokens(row.outputTokens)}</td>
+          <td style="padding: 6px 12px; text-align: right;">${formatCost(row.costUsd)}${row.estimatedCalls ? '*' : ''}</td>
+        </tr>`
+    )
+    .join('');
+  return `
+    <h4 style="margin: 16px 0 8px;">${escapeHtml(title)}</h4>
+    <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+      <thead>
+        <tr style="text-align: left; border-bottom: 2px solid var(--border-color);">
+          <th style="padding: 6px 12px;"></th>
+          <th style="padding: 6px 12px; text-align: right;">Calls</th>
+          <th style="padding: 6px 12px; text-align: right;">Input</th>
+          <th style="padding: 6px 12px; text-align: right;">Cached</th>
+          <th style="padding: 6px 12px; text-align: right;">Output</th>
+          <th style="padding: 6px 12px; text-align: right;">Cost</th>
+        </tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>`;
+}
+
+function renderReport(report) {
+  const resultsEl = document.getElementById('llmUsageResults');
+  if (!resultsEl) return;
+  if (report.months.length === 0) {
+    resultsEl.innerHTML =
+      '<p style="color: var(--text-secondary); text-align: center; padding: 40px;">No AI calls recorded yet</p>';
+    return;
+  }
+
+  const estimated = BREAKDOWNS.some(({ key }) => report[key].some(row => row.estimatedCalls));
+  resultsEl.innerHTML =
+    renderTable('Months', report.months, row => row.month) +
+    (report.byModel.length === 0
+      ? `<p style="color: var(--text-secondary); padding: 16px 0;">No AI calls in ${escapeHtml(report.month)}</p>`
+      : BREAKDOWNS.map(({ key, title, label }) =>
+          renderTable(`${title} - ${report.month}`, report[key], label)
+        ).join('')) +
+    (estimated
+      ? '<p style="color: var(--text-secondary); font-size: 12px;">* Includes calls whose tokens were estimated from text length</p>'
+      : '');
+}
+
+async function saveBudget() {
+  const cap = Number(document.getElementById('llmBudgetCap').value);
+  const llmBudget = {
+    monthlyCapUsd: Number.isFinite(cap) && cap > 0 ? cap : 0,
+    whenReached: document.getElementById('llmBudgetWhenReached').value,
+  };
+  try {
+    const result = await window.electronAPI.appUpdateSettings({ llmBudget });
+    if (result && result.success === false) throw new Error(result.error);
+    await loadLlmUsage();
+  } catch (error) {
+    notifyError(error, { context: 'LlmUsage', prefix: 'Could not save the AI budget:' });
+  }
+}
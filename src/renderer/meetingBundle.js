@@ -0,0 +1,65 @@
+/**
+ * Meeting bundle export/import (.jdmeeting — see main/services/meetingBundle.js)
+ * Moves a single meeting, with its transcript, speaker mapping, summaries and
+ * audio, to another install.
+ */
+
+import { notifyError, notifySuccess, notifyWarning } from './utils/notificationHelper.js';
+
+/**
+ * Save a meeting as a .jdmeeting file
+ * @param {string} meetingId
+ */
+export async function exportMeetingBundle(meetingId) {
+  try {
+    const result = await window.electronAPI.meetingBundleExport(meetingId);
+    if (result.success) {
+      notifySuccess(
+        result.hasAudio ? 'Meeting exported with audio' : 'Meeting exported (no audio file)'
+      );
+    } else if (result.error !== 'Export cancelled') {
+      notifyError(result.error || 'Export failed');
+    }
+  } catch (error) {
+    notifyError(error, { context: 'MeetingBundle', prefix: 'Export failed:' });
+  }
+}
+
+/**
+ * Pick a .jdmeeting file and import it
+ */
+export async function importMeetingBundle() {
+  try {
+    let result = await window.electronAPI.meetingBundleImport();
+    if (result.existing) {
+      const replace = confirm(
+        `"${result.title}" is already here and has been edited since this bundle was made. ` +
+          "Replace it with the bundle's version? Cancel keeps the meeting as it is."
+      );
+      result = await window.electronAPI.meetingBundleImport({
+        filePath: result.filePath,
+        onExisting: replace ? 'replace' : 'skip',
+      });
+    }
+    if (!result.success) {
+      if (result.error !== 'Import cancelled') notifyError(result.error || 'Import failed');
+      return;
+    }
+
+    if (result.alreadyImported) {
+      notifySuccess(`"${result.title}" is already here`);
+    } else if (result.replaced) {
+      notifySuccess(`Replaced "${result.title}" with the bundle's version`);
+    } else if (result.renamed) {
+      notifySuccess(`Imported "${result.title}" as a copy (a different meeting had its ID)`);
+    } else {
+      notifySuccess(`Imported "${result.title}"`);
+    }
+    if (result.skippedFields?.length) {
+      const fields = result.skippedFields.map(f => f.key).join(', ');
+      notifyWarning(`Some custom field values didn't fit this install's fields: ${fields}`);
+    }
+  } catch (error) {
+    notifyError(error, { context: 'MeetingBundle', prefix: 'Import failed:' });
+  }
+}
@@ -12,6 +12,14 @@ import { createModal } from './utils/modalHelper.js';
 import { loadSettings } from './settings.js';
 import { notifyError, notifySuccess } from './utils/notificationHelper.js';
 import { isGenericSpeakerName } from '../shared/speakerValidation.js';
+import { initMeetingHistory, loadMeetingHistory } from './meetingHistory.js';
+import {
+  loadFieldDefinitions,
+  renderMeetingTags,
+  populateFieldEditors,
+  saveMeetingFields,
+} from './meetingFields.js';
+import { openTranscriptExportModal } from './transcriptExport.js';
 
 // Current meeting being viewed
 let currentMeeting = null;
@@ -211,6 +219,26 @@ export function initializeMeetingDetail(meetingId, meeting, onBack, onUpdate) {
   populateTranscript(meeting);
   populateTemplates(meeting);
   populateMetadata(meeting);
+  initMeetingHistory(meetingId, revertedMeeting => applyRevertedMeeting(revertedMeeting, onUpdate));
+}
+
+/**
+ * Show a meeting returned by a history revert and hand it to the parent, the
+ * same way Fix Speakers does, so the renderer's copy isn't stale.
+ */
+async function applyRevertedMeeting(meeting, onUpdate) {
+  if (!meeting || meeting.id !== currentMeetingId) return;
+
+  currentMeeting = meeting;
+  populateMeetingInfo(currentMeeting);
+  populateParticipants(currentMeeting);
+  populateSummary(currentMeeting);
+  await populateTranscript(currentMeeting);
+  populateTemplates(currentMeeting);
+
+  if (onUpdate) {
+    onUpdate(currentMeetingId, currentMeeting);
+  }
 }
 
 /**
@@ -234,6 +262,7 @@ function setupEventListeners(onBack, onUpdate) {
     { buttonId: 'transcriptTabBtn', contentId: 'transcriptTab' },
     { buttonId: 'templatesTabBtn', contentId: 'templatesTab' },
     { buttonId: 'metadataTabBtn', contentId: 'metadataTab' },
+    { buttonId: 'historyTabBtn', contentId: 'historyTab' },
   ]);
 
   // Edit meeting info button
@@ -380,6 +409,12 @@ function populateMeetingInfo(meeting) {
   if (pathEl) {
     pathEl.textContent = meeting.vaultPath || meeting.obsidianLink || 'Not saved to vault';
   }
+
+  // Tags and custom fields (field labels come from the definitions)
+  renderMeetingTags(meeting);
+  loadFieldDefinitions().then(() => {
+    if (meeting === currentMeeting) renderMeetingTags(meeting);
+  });
 }
 
 /**
@@ -1204,18 +1239,7 @@ async function populateTranscript(meeting) {
       // Replace with a fresh clone to avoid stacking listeners
       const freshBtn = exportBtn.cloneNode(true);
       exportBtn.parentNode.replaceChild(freshBtn, exportBtn);
-      freshBtn.addEventListener('click', async () => {
-        try {
-          const result = await window.electronAPI.transcriptExportSingle(currentMeetingId);
-          if (result.success) {
-            notifySuccess(`Exported ${result.entryCount} entries`);
-          } else if (result.error !== 'Export cancelled') {
-            notifyError(result.error || 'Export failed');
-          }
-        } catch (error) {
-          notifyError(error, { prefix: 'Export failed:' });
-        }
-      });
+      freshBtn.addEventListener('click', () => openTranscriptExportModal([currentMeetingId]));
     } else {
       exportBtn.style.display = 'none';
     }
@@ -1316,10 +1340,37 @@ function formatTimestamp(ms) {
   return `${minutes}:${String(secs).padStart(2, '0')}`;
 }
 
+// Highlight sentinels requested from the FTS index. Control characters can't
+// appear in transcript text, so the snippet can be HTML-escaped first and the
+// sentinels swapped for <mark> afterwards.
+const HIGHLIGHT_OPEN = '\u0002';
+const HIGHLIGHT_CLOSE = '\u0003';
+
+/**
+ * Render FTS-highlighted text as safe HTML.
+ * @param {string} highlighted - Text containing HIGHLIGHT_OPEN/CLOSE sentinels
+ * @returns {string}
+ */
+function renderHighlightedText(highlighted) {
+  return escapeHtml(highlighted)
+    .split(HIGHLIGHT_OPEN)
+    .join('<mark>')
+    .split(HIGHLIGHT_CLOSE)
+    .join('</mark>');
+}
+
+// Bumped by every searchTranscript call, so a slow index response for an
+// earlier query (or another meeting) is dropped instead of rendered
+let transcriptSearchSeq = 0;
+
 /**
- * Search transcript for keywords
+ * Search transcript for keywords.
+ * Uses the FTS5 index (phrases, prefix*, AND/OR/NOT, stemming), falling back
+ * to a plain substring filter if the index query fails.
  */
-function searchTranscript(query) {
+async function searchTranscript(query) {
+  const seq = ++transcriptSearchSeq;
+  const meetingId = currentMeetingId;
   if (!currentMeeting || !currentMeeting.transcript) {
     return;
   }
@@ -1329,6 +1380,15 @@ function searchTranscript(query) {
 
   const utterances = transcriptContent.querySelectorAll('.transcript-utterance');
 
+  // Restore any highlighted text from a previous search
+  utterances.forEach(utterance => {
+    const textEl = utterance.querySelector('.utterance-text');
+    const entry = currentMeeting.transcript[Number(utterance.dataset.index)];
+    if (textEl && entry && textEl.querySelector('mark')) {
+      textEl.textContent = entry.text;
+    }
+  });
+
   // Clear search to show all results when query is empty
   if (!query || query.trim() === '') {
     utterances.forEach(utterance => {
@@ -1339,14 +1399,41 @@ function searchTranscript(query) {
     return;
   }
 
+  let matches = null;
+  try {
+    const result = await window.electronAPI.searchFullText(query, {
+      meetingId,
+      sources: ['transcript'],
+      limit: 1000,
+      markers: [HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE],
+      fullText: true,
+    });
+    if (result.success) {
+      matches = new Map(result.results.map(hit => [hit.entryOrder, hit.snippet]));
+    } else {
+      console.warn('[MeetingDetail] Full-text search failed, using substring match:', result.error);
+    }
+  } catch (error) {
+    console.warn('[MeetingDetail] Full-text search unavailable, using substring match:', error);
+  }
+  if (seq !== transcriptSearchSeq || meetingId !== currentMeetingId) return;
+
   const lowerQuery = query.toLowerCase();
   let matchCount = 0;
 
   utterances.forEach(utterance => {
-    const text = utterance.querySelector('.utterance-text').textContent;
-    if (text.toLowerCase().includes(lowerQuery)) {
+    const textEl = utterance.querySelector('.utterance-text');
+    const index = Number(utterance.dataset.index);
+    const isMatch = matches
+      ? matches.has(index)
+      : textEl.textContent.toLowerCase().includes(lowerQuery);
+
+    if (isMatch) {
       utterance.style.display = 'block';
       utterance.classList.add('search-match');
+      if (matches) {
+        textEl.innerHTML = renderHighlightedText(matches.get(index));
+      }
       matchCount++;
     } else {
       utterance.style.display = 'none';
@@ -1640,6 +1727,7 @@ function enterMeetingInfoEditMode() {
   if (vaultPathInput) {
     vaultPathInput.value = currentMeeting.vaultPath || currentMeeting.obsidianLink || '';
   }
+  populateFieldEditors(currentMeeting);
 
   // Show/hide unlink button based on sync status
   const unlinkBtn = document.getElementById('unlinkMeetingBtn');
@@ -1750,6 +1838,15 @@ async function saveMeetingInfo(onUpdate) {
     }
   }
 
+  // Tags and custom fields - stay in edit mode if a value doesn't fit its field
+  let fieldsSaved = true;
+  try {
+    changes.push(...(await saveMeetingFields(currentMeeting)));
+  } catch (err) {
+    fieldsSaved = false;
+    notifyError(err, { context: 'MeetingInfo', prefix: 'Could not save fields:' });
+  }
+
   // Update the display
   populateMeetingInfo(currentMeeting);
 
@@ -1774,7 +1871,7 @@ async function saveMeetingInfo(onUpdate) {
   }
 
   // Exit edit mode
-  exitMeetingInfoEditMode();
+  if (fieldsSaved) exitMeetingInfoEditMode();
 
   // Notify update callback
   if (changes.length > 0 && onUpdate) {
@@ -2159,6 +2256,10 @@ async function regenerateSummary(onUpdate) {
         </select>
         <small style="color: var(--text-secondary); font-size: 11px; margin-top: 4px; display: block;">Select a model for this generation only (won't change your default setting)</small>
       </div>
+      <label style="display: flex; align-items: center; gap: 8px; font-size: 13px;">
+        <input type="checkbox" id="regenerateForceFresh">
+        Ignore the cached summary
+      </label>
     </div>
   `;
 
@@ -2174,9 +2275,10 @@ async function regenerateSummary(onUpdate) {
       const modelSelect = document.getElementById('regenerateModelSelect');
       const mode = modeInput ? modeInput.value : 'replace';
       const model = modelSelect ? modelSelect.value : 'default';
+      const force = document.getElementById('regenerateForceFresh')?.checked || false;
 
       // Close modal first, then start regeneration
-      await performRegeneration(mode, model, onUpdate);
+      await performRegeneration(mode, model, onUpdate, force);
     },
   });
 
@@ -2200,7 +2302,7 @@ async function regenerateSummary(onUpdate) {
 /**
  * Perform the actual summary regeneration (non-blocking - runs in background)
  */
-async function performRegeneration(mode, model, _onUpdate) {
+async function performRegeneration(mode, model, _onUpdate, force = false) {
   const btn = document.getElementById('regenerateSummaryBtn');
 
   console.log(`[MeetingDetail] Starting background summary regeneration for meeting: ${currentMeetingId}`);
@@ -2222,6 +2324,7 @@ async function performRegeneration(mode, model, _onUpdate) {
   const options = {
     mode, // 'replace' or 'append'
     model: model === 'default' ? null : model, // null means use default from settings
+    force, // Skip the summary cache
   };
 
   try {
@@ -2626,6 +2729,9 @@ export function updateMeetingDetail(meeting) {
   populateTranscript(meeting);
   populateTemplates(meeting);
   populateMetadata(meeting);
+  if (document.getElementById('historyTab')?.style.display === 'block') {
+    loadMeetingHistory();
+  }
 
   console.log('[MeetingDetail] View updated with fresh data');
 }
@@ -2679,6 +2785,24 @@ export function getCurrentMeetingId() {
   return currentMeetingId;
 }
 
+/**
+ * Switch to the transcript tab and scroll an utterance into view, briefly
+ * highlighting it. Used by "find meetings about" results and action items to
+ * jump to the matching moment.
+ * @param {number} index - Utterance position (transcript array index / entry_order)
+ * @returns {boolean} Whether the utterance was found
+ */
+export function revealTranscriptUtterance(index) {
+  document.getElementById('transcriptTabBtn')?.click();
+  const utterance = document.querySelector(`.transcript-utterance[data-index="${Number(index)}"]`);
+  if (!utterance) return false;
+
+  utterance.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  utterance.classList.add('search-match');
+  setTimeout(() => utterance.classList.remove('search-match'), 3000);
+  return true;
+}
+
 /**
  * Clear the meeting detail view
  */
@@ -0,0 +1,245 @@
+/**
+ * Meeting tags and custom fields in the meeting info card
+ * View mode shows tag chips and filled-in field values; edit mode has a tags
+ * input and one input per custom field (see main/services/meetingFields.js).
+ * Fields are shared by every meeting, so adding or removing one here changes
+ * the list for all of them.
+ */
+
+import { escapeHtml } from './security.js';
+import { createModal } from './utils/modalHelper.js';
+import { notifyError, notifySuccess } from './utils/notificationHelper.js';
+
+const INPUT_TYPES = { text: 'text', number: 'number', date: 'date' };
+
+let definitions = [];
+
+/**
+ * Fetch the custom field definitions
+ * @returns {Promise<Array>} Definitions in display order
+ */
+export async function loadFieldDefinitions() {
+  try {
+    const result = await window.electronAPI.customFieldsList();
+    if (!result.success) throw new Error(result.error);
+    definitions = result.fields;
+  } catch (error) {
+    console.error('[MeetingFields] Could not load custom fields:', error);
+  }
+  return definitions;
+}
+
+function formatValue(definition, value) {
+  if (definition.type === 'date') {
+    const [year, month, day] = String(value).split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  }
+  return String(value);
+}
+
+/**
+ * Show a meeting's tags and field values in the info card (hidden when empty)
+ * @param {Object} meeting
+ */
+export function renderMeetingTags(meeting) {
+  const row = document.getElementById('meetingDetailTags');
+  if (!row) return;
+
+  const tags = meeting.tags || [];
+  const values = meeting.customFields || {};
+  const fields = definitions.filter(d => values[d.key] != null);
+
+  row.innerHTML =
+    tags.map(tag => `<span class="meeting-tag">${escapeHtml(tag)}</span>`).join('') +
+    fields
+      .map(
+        d => `<span class="meeting-field-value"><span class="meeting-field-label">${escapeHtml(d.label)}</span>
+          ${escapeHtml(formatValue(d, values[d.key]))}</span>`
+      )
+      .join('');
+  row.style.display = tags.length > 0 || fields.length > 0 ? 'flex' : 'none';
+}
+
+function fieldInput(definition, value) {
+  const id = `editCustomField-${definition.id}`;
+  const current = value == null ? '' : String(value);
+  const input =
+    definition.type === 'select'
+      ? `<select id="${id}" data-key="${escapeHtml(definition.key)}">
+          <option value="">—</option>
+          ${definition.options
+            .map(
+              o =>
+                `<option value="${escapeHtml(o)}"${o === current ? ' selected' : ''}>${escapeHtml(o)}</option>`
+            )
+            .join('')}
+        </select>`
+      : `<input type="${INPUT_TYPES[definition.type]}" id="${id}" data-key="${escapeHtml(definition.key)}"
+          value="${escapeHtml(current)}"${definition.type === 'number' ? ' step="any"' : ''} />`;
+
+  return `
+    <div class="edit-field">
+      <label for="${id}" class="custom-field-label">
+        ${escapeHtml(definition.label)}
+        <button class="custom-field-remove" data-field-id="${definition.id}" title="Remove this field from every meeting">×</button>
+      </label>
+      ${input}
+    </div>`;
+}
+
+/**
+ * Fill the edit-mode tag and custom field inputs for a meeting
+ * @param {Object} meeting
+ */
+export async function populateFieldEditors(meeting) {
+  const tagsInput = document.getElementById('editMeetingTags');
+  if (tagsInput) tagsInput.value = (meeting.tags || []).join(', ');
+
+  window.electronAPI.tagsList().then(result => {
+    const datalist = document.getElementById('editMeetingTagSuggestions');
+    if (datalist && result.success) {
+      datalist.innerHTML = result.tags
+        .map(t => `<option value="${escapeHtml(t.tag)}"></option>`)
+        .join('');
+    }
+  });
+
+  await loadFieldDefinitions();
+  renderFieldInputs(meeting);
+
+  const addBtn = document.getElementById('addCustomFieldBtn');
+  if (addBtn) addBtn.onclick = () => openAddFieldModal(meeting);
+}
+
+function renderFieldInputs(meeting) {
+  const container = document.getElementById('editMeetingCustomFields');
+  if (!container) return;
+
+  // Keep what's been typed so far when the list is re-rendered
+  const typed = readFieldInputs();
+  const values = { ...(meeting.customFields || {}), ...typed };
+
+  container.innerHTML = definitions.map(d => fieldInput(d, values[d.key])).join('');
+  container.querySelectorAll('.custom-field-remove').forEach(btn => {
+    btn.addEventListener('click', e => {
+      e.preventDefault();
+      removeField(parseInt(btn.dataset.fieldId, 10), meeting);
+    });
+  });
+}
+
+function readFieldInputs() {
+  const values = {};
+  document.querySelectorAll('#editMeetingCustomFields [data-key]').forEach(input => {
+    values[input.dataset.key] = input.value.trim() || null;
+  });
+  return values;
+}
+
+function parseTagsInput(text) {
+  return text
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Save the edited tags and field values. Updates meeting.tags and
+ * meeting.customFields in place.
+ * @param {Object} meeting
+ * @returns {Promise<string[]>} What changed ('tags', 'custom fields')
+ * @throws {Error} If a value doesn't fit its field's type
+ */
+export async function saveMeetingFields(meeting) {
+  const changes = [];
+
+  const tagsInput = document.getElementById('editMeetingTags');
+  if (tagsInput) {
+    const tags = parseTagsInput(tagsInput.value);
+    if (JSON.stringify(tags) !== JSON.stringify(meeting.tags || [])) {
+      const result = await window.electronAPI.tagsSet(meeting.id, tags);
+      if (!result.success) throw new Error(result.error);
+      meeting.tags = result.tags;
+      if (meeting.tags.length === 0) delete meeting.tags;
+      changes.push('tags');
+    }
+  }
+
+  const current = meeting.customFields || {};
+  const edited = Object.fromEntries(
+    Object.entries(readFieldInputs()).filter(
+      ([key, value]) => (value ?? '') !== String(current[key] ?? '')
+    )
+  );
+  if (Object.keys(edited).length > 0) {
+    const result = await window.electronAPI.customFieldsSetValues(meeting.id, edited);
+    if (!result.success) throw new Error(result.error);
+    meeting.customFields = result.values;
+    if (Object.keys(meeting.customFields).length === 0) delete meeting.customFields;
+    changes.push('custom fields');
+  }
+
+  return changes;
+}
+
+function openAddFieldModal(meeting) {
+  createModal({
+    title: 'Add Custom Field',
+    body: `
+      <div class="edit-field">
+        <label for="newCustomFieldLabel">Name</label>
+        <input type="text" id="newCustomFieldLabel" placeholder="Deal stage" />
+      </div>
+      <div class="edit-field">
+        <label for="newCustomFieldType">Type</label>
+        <select id="newCustomFieldType">
+          <option value="text">Text</option>
+          <option value="number">Number</option>
+          <option value="date">Date</option>
+          <option value="select">Choice list</option>
+        </select>
+      </div>
+      <div class="edit-field">
+        <label for="newCustomFieldOptions">Choices (for a choice list, comma-separated)</label>
+        <input type="text" id="newCustomFieldOptions" placeholder="Discovery, Proposal, Closed" />
+      </div>`,
+    confirmText: 'Add Field',
+    size: 'small',
+    onConfirm: async () => {
+      const label = document.getElementById('newCustomFieldLabel')?.value.trim();
+      const type = document.getElementById('newCustomFieldType')?.value || 'text';
+      const options = parseTagsInput(document.getElementById('newCustomFieldOptions')?.value || '');
+      if (!label) throw new Error('Enter a name for the field');
+
+      const result = await window.electronAPI.customFieldsSave({ label, type, options });
+      if (!result.success) {
+        notifyError(result.error, { context: 'MeetingFields', prefix: 'Could not add field:' });
+        throw new Error(result.error);
+      }
+      definitions.push(result.field);
+      renderFieldInputs(meeting);
+      notifySuccess(`Added "${result.field.label}" to every meeting`);
+    },
+  });
+}
+
+async function removeField(fieldId, meeting) {
+  const definition = definitions.find(d => d.id === fieldId);
+  if (!definition) return;
+  if (!confirm(`Remove the "${definition.label}" field and its value from every meeting?`)) return;
+
+  try {
+    const result = await window.electronAPI.customFieldsDelete(fieldId);
+    if (!result.success) throw new Error(result.error);
+    definitions = definitions.filter(d => d.id !== fieldId);
+    if (meeting.customFields) delete meeting.customFields[definition.key];
+    renderFieldInputs(meeting);
+    renderMeetingTags(meeting);
+  } catch (error) {
+    notifyError(error, { context: 'MeetingFields', prefix: 'Could not remove field:' });
+  }
+}
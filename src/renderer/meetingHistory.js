@@ -0,0 +1,194 @@
+/**
+ * Meeting History tab
+ * Lists the overwritten titles, notes, summaries and speaker mappings recorded
+ * for a meeting (see main/services/meetingRevisions.js), shows a line diff of
+ * each change, and reverts one with a click. Reverts are recorded too, so a
+ * revert can be undone from the same list.
+ */
+
+import { escapeHtml } from './security.js';
+import { notifyError, notifySuccess } from './utils/notificationHelper.js';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  content: 'Notes',
+  summary: 'Summary',
+  summaries: 'Detailed summaries',
+  speakerMapping: 'Speaker mapping',
+};
+
+const SOURCE_LABELS = {
+  user: 'You',
+  llm: 'AI summary',
+  'content-pass': 'Content pass',
+  mcp: 'MCP client',
+  system: 'App',
+};
+
+let meetingId = null;
+let onReverted = null;
+let revisions = [];
+let selectedId = null;
+let loadToken = 0;
+
+/**
+ * Point the tab at a meeting. Loads right away if the tab is showing,
+ * otherwise when it's opened.
+ * @param {string} id - Meeting ID
+ * @param {Function} revertCallback - Called with the updated meeting after a revert
+ */
+export function initMeetingHistory(id, revertCallback) {
+  meetingId = id;
+  onReverted = revertCallback;
+  selectedId = null;
+  revisions = [];
+
+  const tabBtn = document.getElementById('historyTabBtn');
+  if (tabBtn) {
+    tabBtn.onclick = () => loadMeetingHistory();
+  }
+
+  if (document.getElementById('historyTab')?.style.display === 'block') {
+    loadMeetingHistory();
+  } else {
+    renderList();
+    renderDetail(null);
+  }
+}
+
+/**
+ * Reload the revision list for the current meeting
+ */
+export async function loadMeetingHistory() {
+  if (!meetingId) return;
+  const token = ++loadToken;
+
+  try {
+    const result = await window.electronAPI.revisionsList(meetingId);
+    if (token !== loadToken) return;
+    if (!result.success) throw new Error(result.error);
+
+    revisions = result.revisions;
+    renderList();
+    if (selectedId && revisions.some(r => r.id === selectedId)) {
+      showRevision(selectedId);
+    } else {
+      selectedId = null;
+      renderDetail(null);
+    }
+  } catch (error) {
+    if (token !== loadToken) return;
+    console.error('[MeetingHistory] Load failed:', error);
+    const listEl = document.getElementById('meetingHistoryList');
+    if (listEl) {
+      listEl.innerHTML = `<p class="placeholder-text">Error loading history: ${escapeHtml(error.message)}</p>`;
+    }
+  }
+}
+
+function formatWhen(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function renderList() {
+  const listEl = document.getElementById('meetingHistoryList');
+  if (!listEl) return;
+
+  if (revisions.length === 0) {
+    listEl.innerHTML = '<p class="placeholder-text">No changes recorded yet</p>';
+    return;
+  }
+
+  listEl.innerHTML = revisions
+    .map(
+      revision => `
+      <div class="history-entry${revision.id === selectedId ? ' selected' : ''}" data-id="${revision.id}">
+        <div class="history-entry-header">
+          <span>${escapeHtml(FIELD_LABELS[revision.field] || revision.field)}</span>
+          <span class="history-source source-${escapeHtml(revision.source)}">${escapeHtml(
+            SOURCE_LABELS[revision.source] || revision.source
+          )}</span>
+        </div>
+        <div class="history-entry-meta">${escapeHtml(formatWhen(revision.createdAt))}${
+          revision.reason ? ` · ${escapeHtml(revision.reason)}` : ''
+        }</div>
+        <div class="history-entry-preview" title="Replaced">${escapeHtml(revision.beforePreview)}</div>
+      </div>`
+    )
+    .join('');
+
+  listEl.querySelectorAll('.history-entry').forEach(entry => {
+    entry.addEventListener('click', () => showRevision(parseInt(entry.dataset.id, 10)));
+  });
+}
+
+async function showRevision(revisionId) {
+  selectedId = revisionId;
+  document.querySelectorAll('#meetingHistoryList .history-entry').forEach(entry => {
+    entry.classList.toggle('selected', parseInt(entry.dataset.id, 10) === revisionId);
+  });
+
+  try {
+    const result = await window.electronAPI.revisionsGet(revisionId);
+    if (!result.success) throw new Error(result.error);
+    if (selectedId === revisionId) renderDetail(result.revision);
+  } catch (error) {
+    notifyError(error, { context: 'MeetingHistory', prefix: 'Could not load change:' });
+  }
+}
+
+function renderDiff(diff) {
+  if (diff.length === 0) return '<div class="history-diff-line skip">No differences</div>';
+  return diff
+    .map(line => {
+      if (line.type === 'skip') {
+        return `<div class="history-diff-line skip">… ${line.count} unchanged line${line.count === 1 ? '' : 's'}</div>`;
+      }
+      const marker = line.type === 'add' ? '+ ' : line.type === 'remove' ? '- ' : '  ';
+      return `<div class="history-diff-line ${line.type}">${escapeHtml(marker + line.text)}</div>`;
+    })
+    .join('');
+}
+
+function renderDetail(revision) {
+  const detailEl = document.getElementById('meetingHistoryDetail');
+  if (!detailEl) return;
+
+  if (!revision) {
+    detailEl.innerHTML = '<p class="placeholder-text">Select a change to see what it replaced</p>';
+    return;
+  }
+
+  detailEl.innerHTML = `
+    <div class="history-detail-header">
+      <span>${escapeHtml(FIELD_LABELS[revision.field] || revision.field)} changed by
+        ${escapeHtml(SOURCE_LABELS[revision.source] || revision.source)} on ${escapeHtml(formatWhen(revision.createdAt))}</span>
+      <button class="btn btn-outline btn-sm" id="revertRevisionBtn" title="Restore the version this change replaced">Revert</button>
+    </div>
+    <div class="history-diff">${renderDiff(revision.diff)}</div>`;
+
+  document.getElementById('revertRevisionBtn').onclick = () => revert(revision.id);
+}
+
+async function revert(revisionId) {
+  const button = document.getElementById('revertRevisionBtn');
+  if (button) button.disabled = true;
+
+  try {
+    const result = await window.electronAPI.revisionsRevert(revisionId);
+    if (!result.success) throw new Error(result.error);
+
+    notifySuccess('Change reverted');
+    selectedId = null;
+    if (onReverted) await onReverted(result.meeting);
+    await loadMeetingHistory();
+  } catch (error) {
+    notifyError(error, { context: 'MeetingHistory', prefix: 'Revert failed:' });
+    if (button) button.disabled = false;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Re-route existing meetings
+ * After a client's folder changes, a client is added or routing rules change,
+ * earlier meetings stay where they were exported. This shows where routing
+ * would now put them (a dry run) and moves the ones the user approves; main
+ * repairs links to the moved notes (see main/routing/meetingRelocation.js).
+ */
+
+import { escapeHtml } from './security.js';
+import { createModal } from './utils/modalHelper.js';
+import { notifyError, notifySuccess } from './utils/notificationHelper.js';
+
+/**
+ * Wire up the Re-evaluate Routing button
+ */
+export function initMeetingRelocation() {
+  document
+    .getElementById('reevaluateRoutingBtn')
+    ?.addEventListener('click', () => reviewRelocation());
+}
+
+/**
+ * Show the meetings routing would now move, and move the approved ones.
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false] - Say nothing when there is nothing to move
+ */
+export async function reviewRelocation({ quiet = false } = {}) {
+  let moves;
+  try {
+    const result = await window.electronAPI.routingPlanRelocation();
+    if (!result.success) throw new Error(result.error);
+    moves = result.moves;
+  } catch (error) {
+    if (!quiet) notifyError(error, { context: 'Relocation', prefix: 'Could not check routing:' });
+    return;
+  }
+
+  if (moves.length === 0) {
+    if (!quiet) notifySuccess('Every exported meeting is where routing puts it');
+    return;
+  }
+
+  const movable = moves.filter(m => !m.conflict).length;
+  createModal({
+    title: 'Re-route Existing Meetings',
+    body: `
+      <p style="color: var(--text-secondary); font-size: 13px;">Routing now puts
+      ${moves.length} exported meeting${moves.length === 1 ? '' : 's'} somewhere else. Ticked
+      meetings have their notes moved, and links to them in other notes are updated.</p>
+      <div style="max-height: 50vh; overflow-y: auto;">
+        ${moves.map(renderMove).join('')}
+      </div>`,
+    confirmText: `Move ${movable === 1 ? 'Meeting' : 'Meetings'}`,
+    size: 'large',
+    onConfirm: async () => {
+      const meetingIds = [
+        ...document.querySelectorAll('input[name="relocateMeeting"]:checked'),
+      ].map(input => input.value);
+      if (meetingIds.length > 0) await relocate(meetingIds);
+    },
+  });
+}
+
+function renderMove(move, index) {
+  const date = move.date ? new Date(move.date).toLocaleDateString() : '';
+  const because = move.rule ? ` (rule "${move.rule}")` : '';
+  return `
+    <div class="form-group">
+      <input type="checkbox" id="relocateMeeting-${index}" name="relocateMeeting"
+        value="${escapeHtml(move.meetingId)}" ${move.conflict ? 'disabled' : 'checked'} />
+      <label for="relocateMeeting-${index}"><strong>${escapeHtml(move.title || 'Untitled')}</strong>
+        <small style="color: var(--text-secondary);">${escapeHtml(date)}</small></label>
+      <div><small>From: ${escapeHtml(move.fromFolder)}</small></div>
+      <div><small>To: ${escapeHtml(move.toFolder)} — ${escapeHtml(move.destination + because)}</small></div>
+      ${move.conflict ? `<div><small style="color: var(--error-color, #d9534f);">${escapeHtml(move.conflict)}</small></div>` : ''}
+    </div>`;
+}
+
+async function relocate(meetingIds) {
+  try {
+    const result = await window.electronAPI.routingRelocateMeetings(meetingIds);
+    if (!result.success) throw new Error(result.error);
+
+    for (const failure of result.failed) {
+      console.warn(`[Relocation] ${failure.title}: ${failure.error}`);
+    }
+    const links = result.linksRepaired
+      ? `, ${result.linksRepaired} link${result.linksRepaired === 1 ? '' : 's'} updated`
+      : '';
+    if (result.failed.length > 0) {
+      notifyError(
+        `Moved ${result.moved} meeting${result.moved === 1 ? '' : 's'}${links}; ` +
+          `${result.failed.length} could not be moved`
+      );
+    } else {
+      notifySuccess(`Moved ${result.moved} meeting${result.moved === 1 ? '' : 's'}${links}`);
+    }
+  } catch (error) {
+    notifyError(error, { context: 'Relocation', prefix: 'Re-routing failed:' });
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Routing rules settings
+ * Ordered rules checked before client routing (see main/routing/routingRules.js).
+ * The first rule that matches decides where a meeting's notes go, adds extra
+ * copies and runs templates. Conditions are edited as text, one per line, and
+ * parsed (and checked) in main when the list is saved.
+ */
+
+import { escapeHtml } from './security.js';
+import { createModal } from './utils/modalHelper.js';
+import { notifyError } from './utils/notificationHelper.js';
+
+const CONDITION_HELP = `title contains board · title matches ^\\[Board\\]
+platform is youtube · platform is not zoom
+calendar linked · calendar organizer ann@acme.com
+attendee ann@acme.com · attendees internal only · attendees external
+domain any acme.com, globex.com · domain all acme.com · domain none gmail.com
+tag board · tag not personal · day mon, tue · time after 17:00`;
+
+let rules = [];
+let internalDomains = [];
+let templates = [];
+
+/**
+ * Wire up the section's controls
+ */
+export function initRoutingRules() {
+  document.getElementById('addRoutingRuleBtn')?.addEventListener('click', () => openRuleModal());
+
+  document.getElementById('routingInternalDomains')?.addEventListener('change', event => {
+    const domains = event.target.value
+      .split(',')
+      .map(d => d.trim())
+      .filter(Boolean);
+    save(rules, domains);
+  });
+
+  document.getElementById('routingRulesList')?.addEventListener('click', event => {
+    const button = event.target.closest('[data-rule-action]');
+    if (!button) return;
+    const index = parseInt(button.dataset.index, 10);
+    const next = rules.map(r => ({ ...r }));
+
+    switch (button.dataset.ruleAction) {
+      case 'edit':
+        openRuleModal(index);
+        return;
+      case 'remove':
+        if (!confirm(`Delete the routing rule "${rules[index].name}"?`)) return;
+        next.splice(index, 1);
+        break;
+      case 'toggle':
+        next[index].enabled = next[index].enabled === false;
+        break;
+      case 'up':
+      case 'down': {
+        const target = button.dataset.ruleAction === 'up' ? index - 1 : index + 1;
+        if (target < 0 || target >= next.length) return;
+        [next[index], next[target]] = [next[target], next[index]];
+        break;
+      }
+      default:
+        return;
+    }
+    save(next, internalDomains);
+  });
+}
+
+/**
+ * Load the rules into the section
+ */
+export async function loadRoutingRules() {
+  if (!window.electronAPI?.routingRulesGet) return;
+  try {
+    const [result, templateResult] = await Promise.all([
+      window.electronAPI.routingRulesGet(),
+      window.electronAPI.templatesGetAll(),
+    ]);
+    if (!result.success) throw new Error(result.error);
+    rules = result.rules;
+    internalDomains = result.internalDomains;
+    templates = templateResult?.success ? templateResult.templates : [];
+
+    const domainsInput = document.getElementById('routingInternalDomains');
+    if (domainsInput) {
+      domainsInput.value = internalDomains.join(', ');
+      domainsInput.placeholder = result.suggestedInternalDomains.join(', ') || 'yourcompany.com';
+    }
+    render();
+  } catch (error) {
+    console.error('[RoutingRules] Failed to load:', error);
+  }
+}
+
+/**
+ * Save the whole list. Returns false (after telling the user) if main rejected it.
+ */
+async function save(nextRules, domains) {
+  try {
+    const result = await window.electronAPI.routingRulesSave(
+      nextRules.map(
+        ({ id, name, enabled, match, conditionsText, destination, copies, templates }) => ({
+          id,
+          name,
+          enabled,
+          match,
+          conditionsText,
+          destination,
+          copies,
+          templates,
+        })
+      ),
+      domains
+    );
+    if (!result.success) throw new Error(result.error);
+    await loadRoutingRules();
+    return true;
+  } catch (error) {
+    notifyError(error, { context: 'RoutingRules', prefix: 'Could not save routing rules:' });
+    return false;
+  }
+}
+
+function describeActions(rule) {
+  const parts = [rule.destination ? `→ ${rule.destination}` : '→ usual client routing'];
+  if (rule.copies?.length) parts.push(`copies: ${rule.copies.join(', ')}`);
+  if (rule.templates?.length) {
+    const names = rule.templates.map(id => templates.find(t => t.id === id)?.name || id);
+    parts.push(`templates: ${names.join(', ')}`);
+  }
+  return parts.join(' · ');
+}
+
+function render() {
+  const listEl = document.getElementById('routingRulesList');
+  if (!listEl) return;
+
+  listEl.innerHTML = rules.length
+    ? rules
+        .map((rule, index) => {
+          const enabled = rule.enabled !== false;
+          const joiner = rule.match === 'any' ? ' or ' : ' and ';
+          return `
+            <div class="settings-item">
+              <div class="settings-item-info">
+                <div class="settings-item-label">${index + 1}. ${escapeHtml(rule.name)}${enabled ? '' : ' (off)'}</div>
+                <div class="settings-item-description">If ${escapeHtml(rule.conditionsText.split('\n').join(joiner))}</div>
+                <div class="settings-item-description">${escapeHtml(describeActions(rule))}</div>
+              </div>
+              <div class="settings-item-control" style="display: flex; gap: 8px;">
+                <button class="btn btn-outline btn-sm" data-rule-action="up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-outline btn-sm" data-rule-action="down" data-index="${index}" title="Move down" ${index === rules.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn btn-outline btn-sm" data-rule-action="toggle" data-index="${index}">${enabled ? 'Turn off' : 'Turn on'}</button>
+                <button class="btn btn-outline btn-sm" data-rule-action="edit" data-index="${index}">Edit</button>
+                <button class="btn btn-outline btn-sm" data-rule-action="remove" data-index="${index}">Delete</button>
+              </div>
+            </div>`;
+        })
+        .join('')
+    : '<div class="settings-item-description">No routing rules. Meetings are routed by client.</div>';
+}
+
+function openRuleModal(index = null) {
+  const rule = index === null ? null : rules[index];
+
+  createModal({
+    title: rule ? 'Edit Routing Rule' : 'Add Routing Rule',
+    body: `
+      <div class="edit-field">
+        <label for="routingRuleName">Name</label>
+        <input type="text" id="routingRuleName" placeholder="Board meetings" value="${escapeHtml(rule?.name || '')}" />
+      </div>
+      <div class="edit-field">
+        <label for="routingRuleMatch">Fires when</label>
+        <select id="routingRuleMatch">
+          <option value="all">All conditions hold</option>
+          <option value="any">Any condition holds</option>
+        </select>
+      </div>
+      <div class="edit-field">
+        <label for="routingRuleConditions">Conditions (one per line)</label>
+        <textarea id="routingRuleConditions" rows="4" placeholder="title contains board">${escapeHtml(rule?.conditionsText || '')}</textarea>
+        <small style="color: var(--text-secondary); white-space: pre-line;">${escapeHtml(CONDITION_HELP)}</small>
+      </div>
+      <div class="edit-field">
+        <label for="routingRuleDestination">Destination folder (blank for the usual client routing)</label>
+        <input type="text" id="routingRuleDestination" placeholder="Board/meetings" value="${escapeHtml(rule?.destination || '')}" />
+      </div>
+      <div class="edit-field">
+        <label for="routingRuleCopies">Extra copies (one folder per line)</label>
+        <textarea id="routingRuleCopies" rows="2" placeholder="Archive/board">${escapeHtml((rule?.copies || []).join('\n'))}</textarea>
+      </div>
+      <div class="edit-field">
+        <label>Templates to run</label>
+        ${
+          templates.length
+            ? templates
+                .map(
+                  t => `
+          <div>
+            <input type="checkbox" id="routingRuleTemplate-${escapeHtml(t.id)}" name="routingRuleTemplate" value="${escapeHtml(t.id)}" ${rule?.templates?.includes(t.id) ? 'checked' : ''} />
+            <label for="routingRuleTemplate-${escapeHtml(t.id)}">${escapeHtml(t.name)}</label>
+          </div>`
+                )
+                .join('')
+            : '<small>No templates</small>'
+        }
+      </div>
+      <small style="color: var(--text-secondary);">Relative folders are inside the vault. The first rule that matches fires.</small>`,
+    confirmText: rule ? 'Save Rule' : 'Add Rule',
+    onConfirm: async () => {
+      const edited = {
+        ...rule,
+        name: document.getElementById('routingRuleName')?.value.trim(),
+        match: document.getElementById('routingRuleMatch')?.value || 'all',
+        enabled: rule ? rule.enabled : true,
+        conditionsText: document.getElementById('routingRuleConditions')?.value || '',
+        destination: document.getElementById('routingRuleDestination')?.value.trim() || null,
+        copies: (document.getElementById('routingRuleCopies')?.value || '')
+          .split('\n')
+          .map(c => c.trim())
+          .filter(Boolean),
+        templates: [...document.querySelectorAll('input[name="routingRuleTemplate"]:checked')].map(
+          input => input.value
+        ),
+      };
+      if (!edited.name) throw new Error('Enter a name for the rule');
+
+      const next = [...rules];
+      if (index === null) next.push(edited);
+      else next[index] = edited;
+      if (!(await save(next, internalDomains))) throw new Error('Routing rules not saved');
+    },
+  });
+
+  // The modal sanitizer drops `selected`, so set the choice here
+  const match = document.getElementById('routingRuleMatch');
+  if (match) match.value = rule?.match || 'all';
+}
@@ -14,6 +14,13 @@ import {
   updateEditorTheme as updatePatternEditorTheme,
 } from './components/PatternTestingPanel.js';
 import { initializeTabs } from './utils/tabHelper.js';
+import { initWatchedFolders, loadWatchedFolders } from './watchedFolders.js';
+import { initRoutingRules, loadRoutingRules } from './routingRules.js';
+import { initMeetingRelocation, reviewRelocation } from './meetingRelocation.js';
+import { initClientIndex } from './clientIndex.js';
+import { initLlmFallback } from './llmFallback.js';
+import { initLlmEndpoints, populateEndpointModelDropdowns } from './llmEndpoints.js';
+import { initLlmUsage, loadLlmUsage } from './llmUsage.js';
 import { notifySuccess, notifyError, notifyInfo } from './utils/notificationHelper.js';
 
 
@@ -101,10 +108,14 @@ export function openSettingsTab(tabName) {
   const mainView = document.getElementById('mainView');
   const contactsView = document.getElementById('contactsView');
   const reportsView = document.getElementById('reportsView');
+  const actionItemsView = document.getElementById('actionItemsView');
+  const trashView = document.getElementById('trashView');
 
   // Close other views if open
   if (contactsView) contactsView.style.display = 'none';
   if (reportsView) reportsView.style.display = 'none';
+  if (actionItemsView) actionItemsView.style.display = 'none';
+  if (trashView) trashView.style.display = 'none';
 
   // Show settings view
   if (mainView) mainView.style.display = 'none';
@@ -183,8 +194,12 @@ export function initializeSettingsUI() {
       // Close other views if open
       const contactsView = document.getElementById('contactsView');
       const reportsView = document.getElementById('reportsView');
+      const actionItemsView = document.getElementById('actionItemsView');
+      const trashView = document.getElementById('trashView');
       if (contactsView) contactsView.style.display = 'none';
       if (reportsView) reportsView.style.display = 'none';
+      if (actionItemsView) actionItemsView.style.display = 'none';
+      if (trashView) trashView.style.display = 'none';
 
       mainView.style.display = 'none';
       settingsView.style.display = 'block';
@@ -222,6 +237,7 @@ export function initializeSettingsUI() {
       { buttonId: 'streamDeckSettingsTab', contentId: 'streamdeckPanel' },
       { buttonId: 'logsSettingsTab', contentId: 'logsPanel' },
       { buttonId: 'reportsSettingsTab', contentId: 'reportsPanel' },
+      { buttonId: 'llmUsageSettingsTab', contentId: 'llmUsagePanel' },
       { buttonId: 'backupSettingsTab', contentId: 'backupPanel' },
       { buttonId: 'voiceProfilesTab', contentId: 'voiceProfilesPanel' },
       { buttonId: 'advancedSettingsTab', contentId: 'advancedPanel' },
@@ -232,6 +248,8 @@ export function initializeSettingsUI() {
       if (buttonId === 'reportsSettingsTab') {
         console.log('[Settings] Reports tab clicked');
         initSettingsReports();
+      } else if (buttonId === 'llmUsageSettingsTab') {
+        loadLlmUsage();
       } else if (buttonId === 'backupSettingsTab') {
         console.log('[Settings] Backup tab clicked, loading manifest');
         loadBackupManifest();
@@ -247,6 +265,7 @@ export function initializeSettingsUI() {
       } else if (buttonId === 'clientsSettingsTab') {
         console.log('[Settings] Clients tab clicked, loading clients');
         renderClientsTab();
+        loadRoutingRules();
       } else if (buttonId === 'patternsSettingsTab') {
         console.log('[Settings] Patterns tab clicked, initializing pattern editor');
         initializePatternTestingPanel('pattern-editor').catch(err => {
@@ -1148,6 +1167,8 @@ export function initializeSettingsUI() {
           vaultPathInput.value = 'Not configured';
         });
     }
+
+    loadWatchedFolders();
   }
 
   // Initial load
@@ -1155,6 +1176,7 @@ export function initializeSettingsUI() {
 
   // Populate Ollama model dropdowns dynamically
   populateOllamaModelDropdowns();
+  populateEndpointModelDropdowns();
 
   // Initialize profile save button
   const saveProfileBtn = document.getElementById('saveProfileBtn');
@@ -1692,6 +1714,13 @@ async function refreshStreamDeckStatus() {
 document.addEventListener('DOMContentLoaded', () => {
   initializeBackupUI();
   initializeMcpUI();
+  initWatchedFolders();
+  initRoutingRules();
+  initMeetingRelocation();
+  initClientIndex();
+  initLlmFallback();
+  initLlmEndpoints();
+  initLlmUsage();
   initializeVoiceProfilesUI();
 });
 
@@ -1940,29 +1969,103 @@ function initializeMcpUI() {
   const loadBtn = document.getElementById('mcpLoadConfigBtn');
   const copyBtn = document.getElementById('mcpCopyConfigBtn');
   const snippet = document.getElementById('mcpConfigSnippet');
+  const allowWritesCheck = document.getElementById('mcpAllowWritesCheck');
+  const httpEnabledCheck = document.getElementById('mcpHttpEnabledCheck');
+  const newTokenBtn = document.getElementById('mcpNewTokenBtn');
+  const httpSnippet = document.getElementById('mcpHttpConfigSnippet');
+  const httpCopyBtn = document.getElementById('mcpHttpCopyConfigBtn');
+
+  const loadConfig = async () => {
+    if (!window.electronAPI?.mcpGetConfig) return;
+    const result = await window.electronAPI.mcpGetConfig();
+    if (!result.success) return;
+
+    if (allowWritesCheck) allowWritesCheck.checked = result.allowWrites;
+    if (httpEnabledCheck) httpEnabledCheck.checked = result.httpEnabled && !!result.httpToken;
+    if (newTokenBtn) newTokenBtn.style.display = result.httpToken ? 'inline-block' : 'none';
+
+    // Only reveal the stdio snippet once asked for; keep a shown one current
+    if (snippet && snippet.style.display !== 'none') {
+      snippet.textContent = result.configSnippet;
+    }
+
+    const showHttp = result.httpEnabled && !!result.httpConfigSnippet;
+    if (httpSnippet) {
+      httpSnippet.textContent = showHttp ? result.httpConfigSnippet : '';
+      httpSnippet.style.display = showHttp ? 'block' : 'none';
+    }
+    if (httpCopyBtn) httpCopyBtn.style.display = showHttp ? 'inline-block' : 'none';
+  };
 
   if (loadBtn) {
     loadBtn.addEventListener('click', async () => {
-      if (!window.electronAPI?.mcpGetConfig) return;
-      const result = await window.electronAPI.mcpGetConfig();
-      if (result.success && snippet) {
-        snippet.textContent = result.configSnippet;
-        snippet.style.display = 'block';
-        if (copyBtn) copyBtn.style.display = 'inline-block';
+      if (snippet) snippet.style.display = 'block';
+      if (copyBtn) copyBtn.style.display = 'inline-block';
+      await loadConfig();
+    });
+  }
+
+  if (allowWritesCheck) {
+    allowWritesCheck.addEventListener('change', async () => {
+      try {
+        await window.electronAPI.appUpdateSettings({ mcp: { allowWrites: allowWritesCheck.checked } });
+        await loadConfig();
+      } catch (error) {
+        notifyError(error, { prefix: 'Failed to update MCP settings:' });
+        allowWritesCheck.checked = !allowWritesCheck.checked;
       }
     });
   }
 
-  if (copyBtn) {
-    copyBtn.addEventListener('click', () => {
-      if (snippet) {
-        navigator.clipboard.writeText(snippet.textContent).then(() => {
-          copyBtn.textContent = 'Copied!';
-          setTimeout(() => { copyBtn.textContent = 'Copy to Clipboard'; }, 2000);
-        });
+  if (httpEnabledCheck) {
+    httpEnabledCheck.addEventListener('change', async () => {
+      const enabled = httpEnabledCheck.checked;
+      try {
+        const config = await window.electronAPI.mcpGetConfig();
+        if (enabled && !config.httpToken) {
+          // First enable creates the token (and turns the endpoint on)
+          const created = await window.electronAPI.mcpCreateHttpToken();
+          if (!created.success) throw new Error(created.error);
+        } else {
+          await window.electronAPI.appUpdateSettings({ mcp: { httpEnabled: enabled } });
+        }
+        await loadConfig();
+        notifyInfo(enabled ? 'MCP HTTP endpoint enabled' : 'MCP HTTP endpoint disabled');
+      } catch (error) {
+        notifyError(error, { prefix: 'Failed to update MCP settings:' });
+        httpEnabledCheck.checked = !enabled;
       }
     });
   }
+
+  if (newTokenBtn) {
+    newTokenBtn.addEventListener('click', async () => {
+      if (!confirm('Create a new token? Clients using the current token will be disconnected.')) return;
+      const result = await window.electronAPI.mcpCreateHttpToken();
+      if (!result.success) {
+        notifyError(result.error, { prefix: 'Failed to create MCP token:' });
+        return;
+      }
+      await loadConfig();
+      notifySuccess('New MCP token created');
+    });
+  }
+
+  const wireCopy = (button, source) => {
+    if (!button) return;
+    button.addEventListener('click', () => {
+      if (source) {
+        navigator.clipboard.writeText(source.textContent).then(() => {
+          button.textContent = 'Copied!';
+          setTimeout(() => { button.textContent = 'Copy to Clipboard'; }, 2000);
+        });
+      }
+    });
+  };
+  wireCopy(copyBtn, snippet);
+  wireCopy(httpCopyBtn, httpSnippet);
+
+  loadConfig();
 }
 
 // ===================================================================
@@ -2089,6 +2192,8 @@ function bindClientsTableHandlers() {
         await window.electronAPI.companiesUpdate({
           name, vaultPath: result.folderPath, category: catSelect?.value || 'Other',
         });
+        // Earlier meetings for this client are still in the old folder
+        reviewRelocation({ quiet: true });
       }
     });
   });
@@ -2161,6 +2266,7 @@ async function showAddClientPicker() {
         });
         picker.style.display = 'none';
         renderClientsTab();
+        reviewRelocation({ quiet: true });
       });
       opt.addEventListener('mouseenter', () => { opt.style.background = 'var(--bg-secondary)'; });
       opt.addEventListener('mouseleave', () => { opt.style.background = ''; });
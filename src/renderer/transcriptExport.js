@@ -0,0 +1,104 @@
+/**
+ * Transcript export format picker
+ * Asks for a format (plain text, SRT, WebVTT, JSON or HTML — see
+ * main/export/transcriptExporter.js), then exports one meeting to a file or
+ * several to a folder. The last format used is remembered.
+ */
+
+import { escapeHtml } from './security.js';
+import { createModal } from './utils/modalHelper.js';
+import { notifyError, notifySuccess } from './utils/notificationHelper.js';
+
+const FORMAT_STORAGE_KEY = 'transcriptExportFormat';
+
+let formats = null;
+
+async function loadFormats() {
+  if (!formats) {
+    const result = await window.electronAPI.transcriptExportFormats();
+    if (!result.success) throw new Error(result.error);
+    formats = result.formats;
+  }
+  return formats;
+}
+
+/**
+ * Pick a format and export the given meetings' transcripts
+ * @param {string[]} meetingIds
+ */
+export async function openTranscriptExportModal(meetingIds) {
+  if (!meetingIds || meetingIds.length === 0) return;
+
+  let available;
+  try {
+    available = await loadFormats();
+  } catch (error) {
+    notifyError(error, { context: 'Export', prefix: 'Export failed:' });
+    return;
+  }
+
+  const saved = localStorage.getItem(FORMAT_STORAGE_KEY);
+  const selected = available.some(f => f.id === saved) ? saved : available[0].id;
+  const plural = meetingIds.length > 1;
+
+  createModal({
+    title: plural ? `Export ${meetingIds.length} Transcripts` : 'Export Transcript',
+    body: `
+      <div class="form-group">
+        <label for="transcriptExportFormat">Format</label>
+        <select id="transcriptExportFormat" class="form-control">
+          ${available
+            .map(
+              f =>
+                `<option value="${escapeHtml(f.id)}">${escapeHtml(f.label)} (.${escapeHtml(f.extensions[0])})</option>`
+            )
+            .join('')}
+        </select>
+      </div>
+      <p style="color: var(--text-secondary); font-size: 13px;">Captions (SRT, WebVTT) need a transcript with timestamps.${
+        plural ? ' You will choose a folder next.' : ''
+      }</p>`,
+    confirmText: 'Export',
+    size: 'small',
+    onConfirm: async () => {
+      const format = document.getElementById('transcriptExportFormat')?.value || selected;
+      localStorage.setItem(FORMAT_STORAGE_KEY, format);
+      // Not awaited, so this modal closes before the file dialog opens
+      runExport(meetingIds, format);
+    },
+  });
+
+  // The modal sanitizer drops `selected`, so set the default here
+  const select = document.getElementById('transcriptExportFormat');
+  if (select) select.value = selected;
+}
+
+async function runExport(meetingIds, format) {
+  try {
+    if (meetingIds.length === 1) {
+      const result = await window.electronAPI.transcriptExportSingle(meetingIds[0], format);
+      if (result.success) {
+        notifySuccess(`Exported ${result.entryCount} entries`);
+      } else if (result.error !== 'Export cancelled') {
+        notifyError(result.error || 'Export failed');
+      }
+      return;
+    }
+
+    const result = await window.electronAPI.transcriptExportBatch(meetingIds, format);
+    if (!result.success) {
+      if (result.error !== 'Export cancelled') notifyError(result.error || 'Export failed');
+      return;
+    }
+    const notExported = result.skipped.length + result.errors.length;
+    const summary = `Exported ${result.exported.length} transcript${result.exported.length === 1 ? '' : 's'}`;
+    if (notExported > 0) {
+      const firstProblem = result.errors[0]?.error || result.skipped[0]?.reason;
+      notifyError(`${summary}; ${notExported} not exported (${firstProblem})`);
+    } else {
+      notifySuccess(summary);
+    }
+  } catch (error) {
+    notifyError(error, { context: 'Export', prefix: 'Export failed:' });
+  }
+}
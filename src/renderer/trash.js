@@ -0,0 +1,186 @@
+/**
+ * Trash view
+ * Full-page list of deleted meetings (see main/services/meetingTrash.js).
+ * Each one can be restored, with its vault notes and audio, or deleted for
+ * good; anything left is purged after the retention period set here.
+ */
+
+import { escapeHtml } from './security.js';
+import { notifyError, notifySuccess } from './utils/notificationHelper.js';
+
+let meetings = [];
+let loadToken = 0;
+
+/**
+ * Wire up the view's controls
+ */
+export function initTrash() {
+  document.getElementById('closeTrash')?.addEventListener('click', closeTrashView);
+  document.getElementById('emptyTrashBtn')?.addEventListener('click', emptyTrash);
+  document.getElementById('trashRetention')?.addEventListener('change', saveRetention);
+}
+
+/**
+ * Show the view (hides the other full-page views)
+ */
+export function openTrashView() {
+  const view = document.getElementById('trashView');
+  if (!view) return;
+
+  ['settingsView', 'contactsView', 'reportsView', 'actionItemsView', 'mainView'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = 'none';
+  });
+  view.style.display = 'flex';
+  loadTrash();
+}
+
+/**
+ * Hide the view and return to the meeting list
+ */
+export function closeTrashView() {
+  const view = document.getElementById('trashView');
+  const mainView = document.getElementById('mainView');
+  if (view) view.style.display = 'none';
+  if (mainView) mainView.style.display = 'block';
+}
+
+async function loadTrash() {
+  const token = ++loadToken;
+  const resultsEl = document.getElementById('trashResults');
+  if (resultsEl) resultsEl.innerHTML = '<div class="reports-loading">Loading Trash...</div>';
+
+  try {
+    const result = await window.electronAPI.trashList();
+    if (token !== loadToken) return;
+    if (!result.success) throw new Error(result.error);
+
+    meetings = result.meetings;
+    setRetentionOption(result.retentionDays);
+    renderTrash();
+  } catch (error) {
+    if (token !== loadToken) return;
+    console.error('[Trash] Load failed:', error);
+    if (resultsEl) {
+      resultsEl.innerHTML = `<div class="reports-empty-state"><p>Error loading Trash: ${escapeHtml(error.message)}</p></div>`;
+    }
+  }
+}
+
+/**
+ * Select the saved retention, adding it as an option if it was set to a
+ * value the dropdown doesn't offer (e.g. by editing app-settings.json).
+ */
+function setRetentionOption(days) {
+  const select = document.getElementById('trashRetention');
+  if (!select) return;
+  const value = String(days);
+  if (![...select.options].some(o => o.value === value)) {
+    select.insertAdjacentHTML('afterbegin', `<option value="${escapeHtml(value)}">${escapeHtml(value)} days</option>`);
+  }
+  select.value = value;
+}
+
+async function saveRetention() {
+  const retentionDays = parseInt(document.getElementById('trashRetention').value, 10);
+  try {
+    const result = await window.electronAPI.appUpdateSettings({ trash: { retentionDays } });
+    if (result && result.success === false) throw new Error(result.error);
+    loadTrash();
+  } catch (error) {
+    notifyError(error, { context: 'Trash', prefix: 'Could not save retention:' });
+  }
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function renderTrash() {
+  const resultsEl = document.getElementById('trashResults');
+  const countEl = document.getElementById('trashCount');
+  const emptyBtn = document.getElementById('emptyTrashBtn');
+  if (countEl) countEl.textContent = meetings.length;
+  if (emptyBtn) emptyBtn.disabled = meetings.length === 0;
+  if (!resultsEl) return;
+
+  if (meetings.length === 0) {
+    resultsEl.innerHTML = `
+      <div class="reports-empty-state">
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z" fill="currentColor" opacity="0.3"/>
+        </svg>
+        <p>The Trash is empty.</p>
+      </div>`;
+    return;
+  }
+
+  resultsEl.innerHTML = meetings
+    .map(
+      (meeting, index) => `
+      <div class="report-card" data-index="${index}">
+        <div class="report-card-info">
+          <div class="report-card-title">${escapeHtml(meeting.title || 'Untitled Meeting')}</div>
+          <div class="report-card-meta">
+            ${meeting.date ? `<span>${escapeHtml(formatDate(meeting.date))}</span>` : ''}
+            <span>Deleted ${escapeHtml(formatDate(meeting.trashedAt))}</span>
+            ${meeting.purgeAt ? `<span>Deleted for good ${escapeHtml(formatDate(meeting.purgeAt))}</span>` : ''}
+            ${meeting.fileCount ? `<span>${meeting.fileCount} file${meeting.fileCount === 1 ? '' : 's'}</span>` : ''}
+          </div>
+        </div>
+        <div class="report-card-actions">
+          <button class="btn btn-outline btn-sm" data-action="restore">Restore</button>
+          <button class="btn btn-outline btn-sm" data-action="delete" title="Delete the meeting and its files now">Delete</button>
+        </div>
+      </div>`
+    )
+    .join('');
+
+  resultsEl.querySelectorAll('.report-card').forEach(card => {
+    const meeting = meetings[parseInt(card.dataset.index, 10)];
+    card.querySelector('[data-action="restore"]').addEventListener('click', () => restore(meeting));
+    card.querySelector('[data-action="delete"]').addEventListener('click', () => deleteForever(meeting));
+  });
+}
+
+async function restore(meeting) {
+  try {
+    const result = await window.electronAPI.trashRestore(meeting.id);
+    if (!result.success) throw new Error(result.error);
+
+    if (result.skipped.length > 0) {
+      notifySuccess(
+        `Restored "${meeting.title}" (${result.skipped.length} file${result.skipped.length === 1 ? '' : 's'} could not be put back)`
+      );
+    } else {
+      notifySuccess(`Restored "${meeting.title}"`);
+    }
+    loadTrash();
+  } catch (error) {
+    notifyError(error, { context: 'Trash', prefix: 'Restore failed:' });
+  }
+}
+
+async function deleteForever(meeting) {
+  if (!confirm(`Delete "${meeting.title}" and its files for good? This cannot be undone.`)) return;
+  try {
+    const result = await window.electronAPI.trashDeleteForever(meeting.id);
+    if (!result.success) throw new Error(result.error);
+    loadTrash();
+  } catch (error) {
+    notifyError(error, { context: 'Trash', prefix: 'Delete failed:' });
+  }
+}
+
+async function emptyTrash() {
+  if (meetings.length === 0) return;
+  if (!confirm(`Delete all ${meetings.length} meetings in the Trash for good? This cannot be undone.`)) return;
+  try {
+    const result = await window.electronAPI.trashEmpty();
+    if (!result.success) throw new Error(result.error);
+    notifySuccess(`Deleted ${result.deleted} meeting${result.deleted === 1 ? '' : 's'} for good`);
+    loadTrash();
+  } catch (error) {
+    notifyError(error, { context: 'Trash', prefix: 'Could not empty Trash:' });
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Vault sync conflicts
+ * Edits to exported notes are pulled back into meetings, and re-exports merge
+ * with them (see main/services/vaultSync.js). When the vault and the app both
+ * changed the same part of a note, main leaves the note alone and reports a
+ * conflict; each is settled here by keeping the vault's or the app's version.
+ */
+
+import { escapeHtml } from './security.js';
+import { createModal } from './utils/modalHelper.js';
+import { notifyError, notifySuccess } from './utils/notificationHelper.js';
+
+let modalOpen = false;
+let recheck = false;
+
+/**
+ * Listen for conflicts from the main process, and review any left from earlier
+ */
+export function initVaultSync() {
+  window.electronAPI?.onVaultSyncConflict?.(() => reviewConflicts());
+  reviewConflicts();
+}
+
+/**
+ * Show the unresolved conflicts, if there are any.
+ */
+export async function reviewConflicts() {
+  if (modalOpen) {
+    recheck = true;
+    return;
+  }
+
+  modalOpen = true;
+
+  let conflicts = [];
+  try {
+    const result = await window.electronAPI.vaultSyncGetConflicts();
+    if (!result.success) throw new Error(result.error);
+    conflicts = result.conflicts;
+  } catch (error) {
+    console.error('[VaultSync] Could not load conflicts:', error);
+  }
+  if (conflicts.length === 0) {
+    closeReview();
+    return;
+  }
+
+  createModal({
+    title: conflicts.length === 1 ? 'Note Edited in Two Places' : 'Notes Edited in Two Places',
+    body: `
+      <p style="color: var(--text-secondary); font-size: 13px;">These notes were edited in the
+      vault where the app also changed them, so they were left as they are. Keeping the vault's
+      version takes its edits into the meeting; keeping the app's rewrites the note.</p>
+      ${conflicts
+        .map(
+          (conflict, index) => `
+        <div class="form-group">
+          <div><strong>${escapeHtml(conflict.title || 'Untitled')}</strong></div>
+          <div><small>${escapeHtml(conflict.notePath)}</small></div>
+          <small style="color: var(--text-secondary);">${escapeHtml(conflict.conflict)}</small>
+          <select id="vaultSyncChoice-${index}" class="form-control">
+            <option value="">Decide later</option>
+            <option value="vault">Keep the vault's version</option>
+            <option value="app">Keep the app's version</option>
+          </select>
+        </div>`
+        )
+        .join('')}`,
+    confirmText: 'Apply',
+    size: conflicts.length > 1 ? 'large' : 'medium',
+    onConfirm: async () => {
+      const choices = conflicts.map((conflict, index) => ({
+        conflict,
+        keep: document.getElementById(`vaultSyncChoice-${index}`)?.value,
+      }));
+      applyChoices(choices.filter(c => c.keep)).finally(closeReview);
+    },
+    onCancel: closeReview,
+  });
+}
+
+function closeReview() {
+  modalOpen = false;
+  if (recheck) {
+    recheck = false;
+    reviewConflicts();
+  }
+}
+
+async function applyChoices(choices) {
+  let failed = 0;
+  for (const { conflict, keep } of choices) {
+    try {
+      const result = await window.electronAPI.vaultSyncResolve(conflict.meetingId, keep);
+      if (!result.success) throw new Error(result.error);
+    } catch (error) {
+      failed++;
+      console.error(`[VaultSync] Could not resolve ${conflict.title}:`, error);
+    }
+  }
+
+  if (failed > 0) {
+    notifyError(`${failed} note conflict${failed === 1 ? '' : 's'} could not be resolved`);
+  } else if (choices.length > 0) {
+    const count = choices.length;
+    notifySuccess(`Resolved ${count} note conflict${count === 1 ? '' : 's'}`);
+  }
+}
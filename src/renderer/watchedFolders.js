@@ -0,0 +1,129 @@
+/**
+ * Watched folders settings
+ * Folders whose new transcripts and recordings are imported automatically
+ * (see main/import/FolderWatcher.js), plus the most recent imports from them.
+ * Settings are saved through appUpdateSettings({ watchFolders }).
+ */
+
+import { escapeHtml } from './security.js';
+import { notifyError } from './utils/notificationHelper.js';
+
+let settings = { folders: [], generateAutoSummary: false, autoExport: false };
+
+/**
+ * Wire up the section's controls
+ */
+export function initWatchedFolders() {
+  document.getElementById('addWatchedFolderBtn')?.addEventListener('click', addFolder);
+
+  for (const [id, key] of [
+    ['watchFoldersSummaryToggle', 'generateAutoSummary'],
+    ['watchFoldersExportToggle', 'autoExport'],
+  ]) {
+    const toggle = document.getElementById(id);
+    toggle?.addEventListener('click', () => {
+      const isActive = toggle.classList.toggle('active');
+      save({ [key]: isActive });
+    });
+  }
+
+  document.getElementById('watchedFoldersList')?.addEventListener('click', event => {
+    const button = event.target.closest('[data-folder-action]');
+    if (!button) return;
+    const index = parseInt(button.dataset.index, 10);
+    const folders = settings.folders.map(f => ({ ...f }));
+    if (button.dataset.folderAction === 'remove') {
+      folders.splice(index, 1);
+    } else {
+      folders[index].enabled = folders[index].enabled === false;
+    }
+    save({ folders });
+  });
+}
+
+/**
+ * Load the settings and recent imports into the section
+ */
+export async function loadWatchedFolders() {
+  if (!window.electronAPI?.watchFoldersGet) return;
+  try {
+    const result = await window.electronAPI.watchFoldersGet();
+    if (!result.success) throw new Error(result.error);
+    settings = result.settings;
+    render(result.watching, result.recent);
+  } catch (error) {
+    console.error('[WatchedFolders] Failed to load:', error);
+  }
+}
+
+async function addFolder() {
+  const result = await window.electronAPI.watchFoldersChooseFolder();
+  if (!result.success) return;
+  if (settings.folders.some(f => f.path === result.path)) return;
+  save({
+    folders: [
+      ...settings.folders,
+      { path: result.path, enabled: true, addedAt: new Date().toISOString() },
+    ],
+  });
+}
+
+async function save(updates) {
+  try {
+    const result = await window.electronAPI.appUpdateSettings({ watchFolders: updates });
+    if (result && result.success === false) throw new Error(result.error);
+  } catch (error) {
+    notifyError(error, { context: 'WatchedFolders', prefix: 'Could not save watched folders:' });
+  }
+  loadWatchedFolders();
+}
+
+function render(watching, recent) {
+  document
+    .getElementById('watchFoldersSummaryToggle')
+    ?.classList.toggle('active', !!settings.generateAutoSummary);
+  document
+    .getElementById('watchFoldersExportToggle')
+    ?.classList.toggle('active', !!settings.autoExport);
+
+  const listEl = document.getElementById('watchedFoldersList');
+  if (listEl) {
+    listEl.innerHTML = settings.folders.length
+      ? settings.folders
+          .map((folder, index) => {
+            const enabled = folder.enabled !== false;
+            let status = 'Paused';
+            if (enabled) status = watching.includes(folder.path) ? 'Watching' : 'Not available';
+            return `
+              <div class="settings-item">
+                <div class="settings-item-info">
+                  <div class="settings-item-label">${escapeHtml(folder.path)}</div>
+                  <div class="settings-item-description">${status}</div>
+                </div>
+                <div class="settings-item-control" style="display: flex; gap: 8px;">
+                  <button class="btn btn-outline btn-sm" data-folder-action="toggle" data-index="${index}">${enabled ? 'Pause' : 'Resume'}</button>
+                  <button class="btn btn-outline btn-sm" data-folder-action="remove" data-index="${index}">Remove</button>
+                </div>
+              </div>`;
+          })
+          .join('')
+      : '<div class="settings-item-description">No folders are watched.</div>';
+  }
+
+  const recentEl = document.getElementById('watchedFoldersRecent');
+  if (recentEl) {
+    recentEl.innerHTML = recent.length
+      ? `<div class="settings-item-label" style="margin-top: 16px;">Recent imports</div>` +
+        recent
+          .map(
+            entry => `
+              <div class="settings-item-description" title="${escapeHtml(entry.filePath)}">
+                ${entry.status === 'imported' ? '✓' : '✗'} ${escapeHtml(entry.filePath.split(/[\\/]/).pop())}
+                — ${escapeHtml(new Date(`${entry.importedAt}Z`).toLocaleString())}
+                ${entry.error ? `: ${escapeHtml(entry.error)}` : ''}
+              </div>`
+          )
+          .join('')
+      : '';
+  }
+}
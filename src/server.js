@@ -2,7 +2,8 @@
  * Express Server
  *
  * Minimal HTTP server for the application. Hosts the Stream Deck health
- * endpoint and provides the HTTP server instance for WebSocket upgrades.
+ * endpoint and the token-protected MCP endpoint (/mcp), and provides the HTTP
+ * server instance for WebSocket upgrades.
  *
  * v2.0: Webhook and upload-token endpoints removed (local-first architecture).
  * Stream Deck WebSocket logic extracted to streamDeckService.js.
@@ -17,9 +18,15 @@ const { SERVER_PORT, SERVER_HOST } = require('./shared/constants');
 // Stream Deck service (extracted from server.js in v2.0)
 const streamDeckService = require('./main/services/streamDeckService');
 
+// MCP Streamable HTTP endpoint (disabled until a token is created in Settings)
+const mcpHttpService = require('./main/services/mcpHttpService');
+
 // Register Stream Deck health endpoint on the Express app
 streamDeckService.registerHealthEndpoint(app);
 
+// Register the MCP endpoint
+mcpHttpService.registerMcpEndpoint(app);
+
 // Standalone mode (for testing)
 if (require.main === module) {
   // Security: explicitly bind to localhost only
@@ -38,3 +45,10 @@ module.exports.handleStreamDeckUpgrade = streamDeckService.handleStreamDeckUpgra
 module.exports.broadcastStreamDeckStatus = streamDeckService.broadcastStreamDeckStatus;
 module.exports.updateStreamDeckRecordingState = streamDeckService.updateStreamDeckRecordingState;
 module.exports.getStreamDeckStatus = streamDeckService.getStreamDeckStatus;
+
+// MCP HTTP endpoint controls (main.js: expressApp.setMcpHttpEnabled(), etc.)
+module.exports.configureMcpHttp = mcpHttpService.configureMcpHttp;
+module.exports.setMcpHttpEnabled = mcpHttpService.setMcpHttpEnabled;
+module.exports.getMcpHttpStatus = mcpHttpService.getMcpHttpStatus;
+module.exports.generateMcpHttpToken = mcpHttpService.generateMcpHttpToken;
+module.exports.closeMcpHttpSessions = mcpHttpService.closeAllSessions;
@@ -25,6 +25,12 @@ const WS_STREAMDECK_ENDPOINT = `ws://localhost:${SERVER_PORT}${WS_STREAMDECK_PAT
 const WEBHOOK_RECALL_PATH = '/webhook/recall';
 const WEBHOOK_RECALL_ENDPOINT = `http://localhost:${SERVER_PORT}${WEBHOOK_RECALL_PATH}`;
 
+/**
+ * MCP Streamable HTTP Endpoint (bearer-token protected)
+ */
+const MCP_HTTP_PATH = '/mcp';
+const MCP_HTTP_ENDPOINT = `http://${SERVER_HOST}:${SERVER_PORT}${MCP_HTTP_PATH}`;
+
 /**
  * Recording Widget Configuration
  */
@@ -61,6 +67,8 @@ const TRANSCRIPT_POLL_INTERVAL_MS = 5000; // Recall.ai transcript polling interv
 const UPCOMING_MEETINGS_CHECK_MS = 60000; // Upcoming meetings refresh interval
 const BACKUP_IPC_DELAY_MS = 2000; // Backup IPC message delay for open-meeting-note
 const CACHE_INVALIDATION_MS = 500; // Meetings file cache invalidation threshold
+const EXTERNAL_WRITES_POLL_MS = 3000; // audit_log poll for MCP server writes
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000; // Expired Trash check (also runs at startup)
 
 /**
  * Limits & Sizes
@@ -79,6 +87,8 @@ module.exports = {
   // Server
   SERVER_PORT,
   SERVER_HOST,
+  MCP_HTTP_PATH,
+  MCP_HTTP_ENDPOINT,
 
   // WebSocket
   WS_STREAMDECK_PATH,
@@ -116,6 +126,8 @@ module.exports = {
   UPCOMING_MEETINGS_CHECK_MS,
   BACKUP_IPC_DELAY_MS,
   CACHE_INVALIDATION_MS,
+  EXTERNAL_WRITES_POLL_MS,
+  TRASH_PURGE_INTERVAL_MS,
 
   // Limits & Sizes
   LLM_SECTION_MAX_TOKENS,
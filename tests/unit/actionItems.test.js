@@ -0,0 +1,235 @@
+/**
+ * Action Items Unit Tests (schema v9)
+ *
+ * Tests:
+ *   1. parseExtractionResponse — owner resolution, date/index validation, junk handling
+ *   2. extractActionItems — numbered transcript goes in cacheableContext
+ *   3. saveExtractedItems — re-extraction keeps ids and closed items
+ *   4. listActionItems / getActionItemFacets — filters and source utterance join
+ *   5. updateActionItemStatus
+ */
+
+const Database = require('better-sqlite3');
+const {
+  createActionItemsTable,
+  hasActionItemsTable,
+  buildRoster,
+  parseExtractionResponse,
+  extractActionItems,
+  saveExtractedItems,
+  listActionItems,
+  getActionItemFacets,
+  updateActionItemStatus,
+} = require('../../src/main/services/actionItems.js');
+
+// Minimal slice of the real schema: only the columns the queries touch.
+function makeDb() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE meetings (id TEXT PRIMARY KEY, title TEXT NOT NULL, date TEXT NOT NULL, status TEXT);
+    CREATE TABLE participants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+      name TEXT NOT NULL, email TEXT, organization TEXT
+    );
+    CREATE TABLE transcript_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+      entry_order INTEGER NOT NULL, speaker TEXT NOT NULL, speaker_name TEXT,
+      speaker_display_name TEXT, text TEXT NOT NULL, timestamp REAL
+    );
+  `);
+  createActionItemsTable(db);
+  db.exec(`
+    INSERT INTO meetings (id, title, date) VALUES ('m1', 'Acme kickoff', '2026-03-02T10:00:00Z'), ('m2', 'Globex sync', '2026-03-05T10:00:00Z');
+    INSERT INTO participants (meeting_id, name, email, organization) VALUES
+      ('m1', 'Dana Lee', 'dana@acme.com', 'Acme Corp'),
+      ('m2', 'Sam Ortiz', 'sam@globex.com', 'Globex');
+    INSERT INTO transcript_entries (meeting_id, entry_order, speaker, speaker_name, text, timestamp) VALUES
+      ('m1', 0, 'Speaker A', 'Dana Lee', 'Welcome everyone', 0),
+      ('m1', 1, 'Speaker A', 'Dana Lee', 'I will send the SOW by Friday', 65),
+      ('m2', 0, 'Speaker B', 'Sam Ortiz', 'I can share the budget next week', 12);
+  `);
+  return db;
+}
+
+const roster = [
+  { name: 'Dana Lee', email: 'dana@acme.com' },
+  { name: 'Dan Smith', email: null },
+  { name: 'JD', email: 'jd@example.com' },
+];
+
+describe('parseExtractionResponse', () => {
+  it('resolves owners against the roster and validates dates and indices', () => {
+    const text = `Here you go:
+      [
+        {"description": "Send the  SOW", "owner": "Dana", "due": "2026-03-06", "source": 1},
+        {"description": "Book the venue", "owner": "jd@example.com", "due": "next week", "source": 99},
+        {"description": "Share deck", "owner": "Pat Jones", "due": null, "source": 0},
+        {"description": "send the sow", "owner": null},
+        {"owner": "Dana"}
+      ]`;
+    expect(parseExtractionResponse(text, { roster, transcriptLength: 2 })).toEqual([
+      { description: 'Send the SOW', ownerName: 'Dana Lee', ownerEmail: 'dana@acme.com', dueDate: '2026-03-06', sourceEntryOrder: 1 },
+      { description: 'Book the venue', ownerName: 'JD', ownerEmail: 'jd@example.com', dueDate: null, sourceEntryOrder: null },
+      { description: 'Share deck', ownerName: 'Pat Jones', ownerEmail: null, dueDate: null, sourceEntryOrder: 0 },
+    ]);
+  });
+
+  it('returns null for unparseable output and [] for an empty list', () => {
+    expect(parseExtractionResponse('no items', { roster, transcriptLength: 2 })).toBeNull();
+    expect(parseExtractionResponse('[{broken', { roster, transcriptLength: 2 })).toBeNull();
+    expect(parseExtractionResponse('[]', { roster, transcriptLength: 2 })).toEqual([]);
+  });
+
+  it('does not guess between two roster names sharing a first name', () => {
+    const twoDans = [...roster, { name: 'Dana Park', email: 'dpark@acme.com' }];
+    const [item] = parseExtractionResponse('[{"description":"x","owner":"Dana"}]', { roster: twoDans, transcriptLength: 1 });
+    expect(item).toMatchObject({ ownerName: 'Dana', ownerEmail: null });
+  });
+});
+
+describe('extractActionItems', () => {
+  it('sends a numbered transcript as cacheable context', async () => {
+    const generateCompletion = vi.fn().mockResolvedValue({
+      content: '[{"description":"Send the SOW","owner":"Dana Lee","source":1}]',
+    });
+    const meeting = {
+      title: 'Acme kickoff',
+      date: '2026-03-02T10:00:00Z',
+      participants: [{ name: 'Dana Lee', email: 'dana@acme.com' }],
+      transcript: [
+        { speaker: 'Speaker A', speakerName: 'Dana Lee', text: 'Welcome' },
+        { speaker: 'Speaker B', text: 'I will send the SOW' },
+      ],
+    };
+
+    const items = await extractActionItems({ generateCompletion }, meeting, { name: 'JD', email: 'jd@example.com' });
+
+    const call = generateCompletion.mock.calls[0][0];
+    expect(call.cacheableContext).toBe('[0] Dana Lee: Welcome\n[1] Speaker B: I will send the SOW');
+    expect(call.userPrompt).toContain('on 2026-03-02');
+    expect(call.userPrompt).toContain('- JD <jd@example.com>');
+    expect(items).toEqual([
+      { description: 'Send the SOW', ownerName: 'Dana Lee', ownerEmail: 'dana@acme.com', dueDate: null, sourceEntryOrder: 1 },
+    ]);
+  });
+
+  it('skips the call when there is no transcript', async () => {
+    const generateCompletion = vi.fn();
+    expect(await extractActionItems({ generateCompletion }, { transcript: [] })).toEqual([]);
+    expect(generateCompletion).not.toHaveBeenCalled();
+  });
+
+  it('buildRoster de-duplicates participants and speakers', () => {
+    const result = buildRoster(
+      {
+        participants: [{ name: 'Dana Lee', email: 'dana@acme.com' }],
+        transcript: [{ speakerName: 'Dana Lee', speakerEmail: 'DANA@acme.com' }, { speakerName: 'Sam' }],
+      },
+      { name: 'Sam' }
+    );
+    expect(result).toEqual([
+      { name: 'Dana Lee', email: 'dana@acme.com' },
+      { name: 'Sam', email: null },
+    ]);
+  });
+});
+
+describe('saveExtractedItems', () => {
+  const item = (description, extra = {}) => ({
+    description,
+    ownerName: null,
+    ownerEmail: null,
+    dueDate: null,
+    sourceEntryOrder: null,
+    ...extra,
+  });
+
+  it('keeps ids and status of unchanged items and preserves closed ones', () => {
+    const db = makeDb();
+    saveExtractedItems(db, 'm1', [item('Send SOW'), item('Book venue'), item('Call legal')]);
+    const [sow, venue] = listActionItems(db, { meetingId: 'm1' });
+    updateActionItemStatus(db, venue.id, 'done');
+
+    const counts = saveExtractedItems(db, 'm1', [item('send sow', { dueDate: '2026-03-06' }), item('Draft agenda')]);
+
+    expect(counts).toEqual({ added: 1, updated: 1, removed: 1 });
+    const after = listActionItems(db, { meetingId: 'm1', status: 'all' });
+    expect(after.map(i => [i.description, i.status])).toEqual([
+      ['Send SOW', 'open'],
+      ['Book venue', 'done'],
+      ['Draft agenda', 'open'],
+    ]);
+    expect(after[0]).toMatchObject({ id: sow.id, dueDate: '2026-03-06' });
+  });
+
+  it('is removed with its meeting', () => {
+    const db = makeDb();
+    saveExtractedItems(db, 'm1', [item('Send SOW')]);
+    db.prepare("DELETE FROM meetings WHERE id = 'm1'").run();
+    expect(listActionItems(db, { status: 'all' })).toEqual([]);
+  });
+});
+
+describe('listActionItems', () => {
+  function seed(db) {
+    saveExtractedItems(db, 'm1', [
+      { description: 'Send the SOW', ownerName: 'Dana Lee', ownerEmail: 'dana@acme.com', dueDate: '2026-03-06', sourceEntryOrder: 1 },
+    ]);
+    saveExtractedItems(db, 'm2', [
+      { description: 'Share budget', ownerName: 'Sam Ortiz', ownerEmail: 'sam@globex.com', dueDate: null, sourceEntryOrder: 0 },
+      { description: 'Pick a date', ownerName: null, ownerEmail: null, dueDate: null, sourceEntryOrder: null },
+    ]);
+  }
+
+  it('returns newest meetings first with the source utterance attached', () => {
+    const db = makeDb();
+    seed(db);
+    const items = listActionItems(db);
+
+    expect(items.map(i => i.description)).toEqual(['Share budget', 'Pick a date', 'Send the SOW']);
+    expect(items[2]).toMatchObject({
+      meetingTitle: 'Acme kickoff',
+      sourceEntryOrder: 1,
+      sourceSpeaker: 'Dana Lee',
+      sourceText: 'I will send the SOW by Friday',
+      sourceTimestamp: 65,
+    });
+    expect(items[1].sourceText).toBeNull();
+  });
+
+  it('filters by owner, company and status', () => {
+    const db = makeDb();
+    seed(db);
+    expect(listActionItems(db, { owner: 'dana@' }).map(i => i.description)).toEqual(['Send the SOW']);
+    expect(listActionItems(db, { owner: 'ortiz' }).map(i => i.description)).toEqual(['Share budget']);
+    expect(listActionItems(db, { company: 'globex' })).toHaveLength(2);
+
+    updateActionItemStatus(db, listActionItems(db, { company: 'Acme' })[0].id, 'done');
+    expect(listActionItems(db, { company: 'Acme' })).toEqual([]);
+    expect(listActionItems(db, { company: 'Acme', status: 'done' })).toHaveLength(1);
+  });
+
+  it('getActionItemFacets lists owners and companies with matching items', () => {
+    const db = makeDb();
+    seed(db);
+    expect(getActionItemFacets(db)).toEqual({
+      owners: [
+        { email: 'dana@acme.com', name: 'Dana Lee' },
+        { email: 'sam@globex.com', name: 'Sam Ortiz' },
+      ],
+      companies: ['Acme Corp', 'Globex'],
+    });
+  });
+});
+
+describe('updateActionItemStatus', () => {
+  it('rejects unknown statuses and reports missing items', () => {
+    const db = makeDb();
+    expect(hasActionItemsTable(db)).toBe(true);
+    expect(() => updateActionItemStatus(db, 1, 'archived')).toThrow(/Invalid action item status/);
+    expect(updateActionItemStatus(db, 999, 'done')).toBe(false);
+  });
+});
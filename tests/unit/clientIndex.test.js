@@ -0,0 +1,172 @@
+/**
+ * Client Index Notes Unit Tests
+ *
+ * Tests:
+ *   1. oneLineSummary — first meaningful summary line, as plain text
+ *   2. meetingsForClient / buildClientIndexData — membership, links, action items
+ *   3. summarizeRelationship / readRelationshipSummary — reuse vs regenerate
+ *   4. VaultStructure.saveClientIndex — the written _index.md
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  oneLineSummary,
+  meetingsForClient,
+  buildClientIndexData,
+  summarizeRelationship,
+  readRelationshipSummary,
+  generateClientIndexMarkdown,
+} = require('../../src/main/services/clientIndex.js');
+const VaultStructure = require('../../src/main/storage/VaultStructure.js');
+
+const VAULT = path.resolve('/vault');
+const CLIENT = { id: 'acme', name: 'Acme', vault_path: path.join(VAULT, 'clients', 'acme') };
+
+const meeting = (id, date, extra = {}) => ({
+  id,
+  title: `Meeting ${id}`,
+  date,
+  participants: [{ name: 'Ann Lee' }, { email: 'bo@acme.com' }],
+  summaries: [{ templateName: 'Summary', content: `## Overview\n\nDiscussed item ${id}.` }],
+  ...extra,
+});
+
+describe('oneLineSummary', () => {
+  it('skips headings, labels and rules and strips formatting', () => {
+    const m = {
+      summaries: [
+        { content: '# Notes\n\n---\nKey points:\n- **Budget** approved for [Q3](http://x)' },
+      ],
+    };
+    expect(oneLineSummary(m)).toBe('Budget approved for Q3');
+  });
+
+  it('shortens long lines at a word and handles no summary', () => {
+    const long = Array(60).fill('word').join(' ');
+    const line = oneLineSummary({ summary: long });
+    expect(line.length).toBeLessThanOrEqual(160);
+    expect(line.endsWith('word…')).toBe(true);
+    expect(oneLineSummary({})).toBe('');
+  });
+});
+
+describe('meetingsForClient / buildClientIndexData', () => {
+  const meetings = [
+    meeting('m1', '2026-03-01', { obsidianLink: 'clients/acme/2026-03-01-m1/2026-03-01-m1.md' }),
+    meeting('m2', '2026-03-08', {
+      routedClients: ['acme'],
+      obsidianLink: '_unfiled/2026-03/meetings/m2/m2.md',
+    }),
+    meeting('m3', '2026-03-09', { obsidianLink: 'clients/globex/m3/m3.md' }),
+    meeting('m4', '2026-03-10', { routedClients: ['acme'] }),
+  ];
+
+  it('takes meetings routed to the client or filed in its folder, newest first', () => {
+    expect(meetingsForClient(meetings, CLIENT, VAULT).map(m => m.id)).toEqual(['m4', 'm2', 'm1']);
+  });
+
+  it('links notes and groups open action items by meeting', () => {
+    const data = buildClientIndexData({
+      client: CLIENT,
+      meetings: meetingsForClient(meetings, CLIENT, VAULT),
+      actionItems: [
+        { meetingId: 'm1', description: 'Send deck', ownerName: 'Ann Lee', dueDate: '2026-03-05' },
+      ],
+      vaultRoot: VAULT,
+    });
+    const byId = Object.fromEntries(data.meetings.map(m => [m.id, m]));
+    expect(byId.m1.link).toBe('[Meeting m1](<./2026-03-01-m1/2026-03-01-m1.md>)');
+    expect(byId.m2.link).toBe('[[_unfiled/2026-03/meetings/m2/m2|Meeting m2]]');
+    expect(byId.m4.link).toBeNull();
+    expect(byId.m1).toMatchObject({
+      date: '2026-03-01',
+      attendees: ['Ann Lee', 'bo@acme.com'],
+      summary: 'Discussed item m1.',
+      openItems: [{ description: 'Send deck', owner: 'Ann Lee', due: '2026-03-05' }],
+    });
+  });
+});
+
+describe('summarizeRelationship / readRelationshipSummary', () => {
+  const meetings = [meeting('m2', '2026-03-08'), meeting('m1', '2026-03-01')];
+
+  it('asks the LLM with the recent summaries, oldest first', async () => {
+    const generateCompletion = vi.fn().mockResolvedValue({ content: '## Status\nGoing well.' });
+    const result = await summarizeRelationship({ generateCompletion }, CLIENT, meetings, null);
+    expect(result.text).toBe('### Status\nGoing well.');
+    expect(result.basis).toMatch(/^[0-9a-f]{16}$/);
+    const { userPrompt } = generateCompletion.mock.calls[0][0];
+    expect(userPrompt.indexOf('Meeting m1')).toBeLessThan(userPrompt.indexOf('Meeting m2'));
+  });
+
+  it('reuses the summary in the note until the recent meetings change', async () => {
+    const generateCompletion = vi.fn().mockResolvedValue({ content: 'Going well.' });
+    const first = await summarizeRelationship({ generateCompletion }, CLIENT, meetings, null);
+    const note = generateClientIndexMarkdown({
+      clientId: 'acme',
+      clientName: 'Acme',
+      relationship: first,
+      meetings: [],
+    });
+    const previous = readRelationshipSummary(note);
+    expect(previous).toEqual(first);
+
+    await summarizeRelationship({ generateCompletion }, CLIENT, meetings, previous);
+    expect(generateCompletion).toHaveBeenCalledTimes(1);
+
+    const changed = [meeting('m3', '2026-03-15'), ...meetings];
+    await summarizeRelationship({ generateCompletion }, CLIENT, changed, previous);
+    expect(generateCompletion).toHaveBeenCalledTimes(2);
+  });
+
+  it('has nothing to summarize without summaries', async () => {
+    const generateCompletion = vi.fn();
+    const bare = [{ id: 'm1', title: 'Bare', date: '2026-03-01' }];
+    expect(await summarizeRelationship({ generateCompletion }, CLIENT, bare, null)).toBeNull();
+    expect(generateCompletion).not.toHaveBeenCalled();
+  });
+});
+
+describe('VaultStructure.saveClientIndex', () => {
+  let vaultRoot;
+
+  beforeEach(() => {
+    vaultRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-clientindex-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(vaultRoot, { recursive: true, force: true });
+  });
+
+  it('writes _index.md with the meetings table and open items', () => {
+    const vault = new VaultStructure(vaultRoot);
+    const indexPath = vault.saveClientIndex('clients/acme', {
+      clientId: 'acme',
+      clientName: 'Acme',
+      relationship: { basis: 'abc123', text: 'Going well.' },
+      meetings: [
+        {
+          id: 'm1',
+          title: 'Kickoff',
+          date: '2026-03-01',
+          link: '[[clients/acme/kickoff|Kickoff]]',
+          attendees: ['Ann Lee'],
+          summary: 'Scope | budget agreed',
+          openItems: [{ description: 'Send deck', owner: 'Ann Lee', due: null }],
+        },
+      ],
+    });
+
+    expect(indexPath).toBe(path.join(vaultRoot, 'clients', 'acme', '_index.md'));
+    const content = fs.readFileSync(indexPath, 'utf8');
+    expect(content).toContain('type: client-index');
+    expect(content).toContain('summary_basis: "abc123"');
+    expect(content).toContain(
+      '| 2026-03-01 | [[clients/acme/kickoff\\|Kickoff]] | Ann Lee | Scope \\| budget agreed |'
+    );
+    expect(content).toContain('- [ ] Send deck (Ann Lee)');
+    expect(readRelationshipSummary(content)).toEqual({ basis: 'abc123', text: 'Going well.' });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Watched-Folder Import Unit Tests (schema v14)
+ *
+ * Tests:
+ *   1. importLedger — imported/failed records, lookup by path or content hash
+ *   2. FolderWatcher — settle debounce, transcript vs audio routing, no double imports
+ *   3. FolderWatcher.start — picks up files added since the folder was added, skips older ones
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const Database = require('better-sqlite3');
+const {
+  createImportLedgerTable,
+  isImported,
+  recordImport,
+  listRecentImports,
+} = require('../../src/main/services/importLedger.js');
+const FolderWatcher = require('../../src/main/import/FolderWatcher.js');
+const { importKind, hashFile } = FolderWatcher;
+
+function makeDb() {
+  const db = new Database(':memory:');
+  createImportLedgerTable(db);
+  return db;
+}
+
+describe('importLedger', () => {
+  it('finds imported files by path, size and mtime or by content hash', () => {
+    const db = makeDb();
+    const file = { filePath: '/drop/a.vtt', size: 120, mtimeMs: 1700000000123.5 };
+    recordImport(db, { ...file, contentHash: 'h1', status: 'imported', meetingId: 'm1' });
+
+    expect(isImported(db, file)).toBe(true);
+    expect(isImported(db, { ...file, size: 121 })).toBe(false);
+    expect(isImported(db, { contentHash: 'h1' })).toBe(true);
+    expect(isImported(db, { contentHash: 'h2' })).toBe(false);
+  });
+
+  it('keeps failures for the list without blocking a retry', () => {
+    const db = makeDb();
+    const entry = { contentHash: 'h1', filePath: '/drop/a.mp3', size: 1, mtimeMs: 1 };
+    recordImport(db, { ...entry, status: 'failed', error: 'Transcription failed' });
+
+    expect(isImported(db, { contentHash: 'h1' })).toBe(false);
+    expect(listRecentImports(db)).toEqual([
+      expect.objectContaining({
+        filePath: '/drop/a.mp3',
+        status: 'failed',
+        error: 'Transcription failed',
+      }),
+    ]);
+
+    recordImport(db, { ...entry, status: 'imported', meetingId: 'm9' });
+    expect(isImported(db, { contentHash: 'h1' })).toBe(true);
+    expect(listRecentImports(db)).toHaveLength(1);
+  });
+});
+
+describe('importKind', () => {
+  it('routes transcripts and audio and ignores everything else', () => {
+    expect(importKind('/drop/call.VTT')).toBe('transcript');
+    expect(importKind('/drop/notes.md')).toBe('transcript');
+    expect(importKind('/drop/Teams meeting.docx')).toBe('transcript');
+    expect(importKind('/drop/~$ams meeting.docx')).toBeNull();
+    expect(importKind('/drop/audio.m4a')).toBe('audio');
+    expect(importKind('/drop/export.json')).toBeNull();
+    expect(importKind('/drop/.hidden.txt')).toBeNull();
+    expect(importKind('/drop/~$draft.txt')).toBeNull();
+    expect(importKind('/drop/video.mp4.part')).toBeNull();
+  });
+
+  it('hashes file content', async () => {
+    const file = path.join(os.tmpdir(), `hash-${process.pid}.txt`);
+    fs.writeFileSync(file, 'abc');
+    try {
+      expect(await hashFile(file)).toBe(
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+      );
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
+
+describe('FolderWatcher', () => {
+  let tmpDir;
+  let db;
+  let watchers;
+  let importTranscript;
+  let importAudio;
+
+  const SETTLE_MS = 1000;
+
+  function makeWatcher() {
+    return new FolderWatcher({
+      importTranscript,
+      importAudio,
+      isImported: file => isImported(db, file),
+      recordImport: entry => recordImport(db, entry),
+      settleMs: SETTLE_MS,
+      hashFile: async filePath => fs.readFileSync(filePath, 'utf8'),
+      watch: (folder, _options, listener) => {
+        const watcher = Object.assign(new EventEmitter(), { close: vi.fn() });
+        watchers.set(folder, { watcher, emit: name => listener('rename', name) });
+        return watcher;
+      },
+      log: () => {},
+    });
+  }
+
+  // Let the settle timers run, then the (async) import queue
+  async function settle() {
+    await vi.advanceTimersByTimeAsync(SETTLE_MS * 2 + 10);
+    await vi.waitFor(() => {});
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+    db = makeDb();
+    watchers = new Map();
+    let n = 0;
+    importTranscript = vi.fn(async () => ({ meetingId: `t${++n}` }));
+    importAudio = vi.fn(async () => ({ meetingId: `a${++n}` }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('imports a new file once it stops changing', async () => {
+    const watcher = makeWatcher();
+    watcher.start([{ path: tmpDir }]);
+    const file = path.join(tmpDir, 'call.vtt');
+
+    fs.writeFileSync(file, 'WEBVTT\n');
+    watchers.get(tmpDir).emit('call.vtt');
+    await vi.advanceTimersByTimeAsync(SETTLE_MS + 10);
+    fs.appendFileSync(file, '\n00:00.000 --> 00:01.000\nHi\n');
+    watchers.get(tmpDir).emit('call.vtt');
+    await vi.advanceTimersByTimeAsync(SETTLE_MS + 10);
+    expect(importTranscript).not.toHaveBeenCalled();
+
+    await settle();
+    expect(importTranscript).toHaveBeenCalledTimes(1);
+    expect(importTranscript).toHaveBeenCalledWith(file);
+    expect(listRecentImports(db)[0]).toMatchObject({ filePath: file, meetingId: 't1' });
+  });
+
+  it('sends audio to importAudio and never imports the same content twice', async () => {
+    const watcher = makeWatcher();
+    watcher.start([{ path: tmpDir }]);
+    fs.writeFileSync(path.join(tmpDir, 'zoom.mp3'), 'ID3-audio');
+    watchers.get(tmpDir).emit('zoom.mp3');
+    await settle();
+
+    // Touched, then a copy under another name
+    watchers.get(tmpDir).emit('zoom.mp3');
+    fs.copyFileSync(path.join(tmpDir, 'zoom.mp3'), path.join(tmpDir, 'zoom-copy.mp3'));
+    watchers.get(tmpDir).emit('zoom-copy.mp3');
+    await settle();
+
+    expect(importAudio).toHaveBeenCalledTimes(1);
+    expect(importTranscript).not.toHaveBeenCalled();
+  });
+
+  it('records a failed import and retries when the file changes', async () => {
+    importTranscript.mockRejectedValueOnce(new Error('No transcript entries found'));
+    const watcher = makeWatcher();
+    watcher.start([{ path: tmpDir }]);
+    const file = path.join(tmpDir, 'notes.txt');
+
+    fs.writeFileSync(file, 'empty');
+    watchers.get(tmpDir).emit('notes.txt');
+    await settle();
+    expect(listRecentImports(db)[0]).toMatchObject({ status: 'failed' });
+
+    fs.writeFileSync(file, 'Ann: Hello there');
+    watchers.get(tmpDir).emit('notes.txt');
+    await settle();
+    expect(importTranscript).toHaveBeenCalledTimes(2);
+    expect(listRecentImports(db)[0]).toMatchObject({ status: 'imported', filePath: file });
+  });
+
+  it('on start picks up files newer than the folder, including subfolders', async () => {
+    const old = path.join(tmpDir, 'old.srt');
+    fs.writeFileSync(old, '1');
+    fs.utimesSync(old, new Date('2026-01-01'), new Date('2026-01-01'));
+    fs.mkdirSync(path.join(tmpDir, 'Meeting 1'));
+    fs.writeFileSync(path.join(tmpDir, 'Meeting 1', 'audio.m4a'), 'm4a');
+
+    const watcher = makeWatcher();
+    watcher.start([{ path: tmpDir, since: Date.parse('2026-02-01') }]);
+    await settle();
+
+    expect(importAudio).toHaveBeenCalledWith(path.join(tmpDir, 'Meeting 1', 'audio.m4a'));
+    expect(importTranscript).not.toHaveBeenCalled();
+    expect(watcher.getWatchedFolders()).toEqual([tmpDir]);
+
+    watcher.stop();
+    expect(watchers.get(tmpDir).watcher.close).toHaveBeenCalled();
+    expect(watcher.getWatchedFolders()).toEqual([]);
+  });
+});
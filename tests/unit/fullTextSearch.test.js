@@ -0,0 +1,252 @@
+/**
+ * Full-text search (FTS5) Unit Tests
+ *
+ * Tests:
+ *   1. buildFtsQuery — phrase / prefix / boolean translation and sanitizing
+ *   2. Trigger sync — inserts, updates, cascading deletes keep the index current
+ *   3. searchFullText — bm25 ranking, snippets, source attribution, meeting filter
+ *   4. rebuildSearchIndex — backfills rows written before the index existed
+ */
+
+const Database = require('better-sqlite3');
+const {
+  createSearchIndex,
+  rebuildSearchIndex,
+  hasSearchIndex,
+  buildFtsQuery,
+  searchFullText,
+} = require('../../src/main/services/fullTextSearch.js');
+
+// Minimal slice of the real schema: only the columns the index reads.
+function makeDb({ withIndex = true } = {}) {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE meetings (
+      id TEXT PRIMARY KEY, title TEXT NOT NULL, date TEXT NOT NULL, status TEXT,
+      summary TEXT, content TEXT, summaries TEXT
+    );
+    CREATE TABLE transcript_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+      entry_order INTEGER NOT NULL, speaker TEXT NOT NULL, speaker_name TEXT,
+      speaker_display_name TEXT, text TEXT NOT NULL, timestamp REAL
+    );
+  `);
+  if (withIndex) createSearchIndex(db);
+  return db;
+}
+
+function addMeeting(db, id, fields = {}) {
+  db.prepare(
+    'INSERT INTO meetings (id, title, date, summary, content, summaries) VALUES (?, ?, ?, ?, ?, ?)'
+  ).run(
+    id,
+    fields.title || 'Untitled',
+    fields.date || '2026-01-01',
+    fields.summary || null,
+    fields.content || null,
+    fields.summaries ? JSON.stringify(fields.summaries) : null
+  );
+}
+
+function addUtterances(db, meetingId, texts) {
+  const stmt = db.prepare(
+    'INSERT INTO transcript_entries (meeting_id, entry_order, speaker, speaker_name, text, timestamp) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  texts.forEach((text, i) => stmt.run(meetingId, i, 'Speaker A', 'Kurt', text, i * 10));
+}
+
+describe('buildFtsQuery', () => {
+  it('quotes bare terms and ANDs them together', () => {
+    expect(buildFtsQuery('budget review')).toBe('"budget" AND "review"');
+  });
+
+  it('keeps phrases, prefixes and boolean operators', () => {
+    expect(buildFtsQuery('"net revenue" OR forecast*')).toBe('"net revenue" OR "forecast"*');
+    expect(buildFtsQuery('pricing NOT enterprise')).toBe('"pricing" NOT "enterprise"');
+    expect(buildFtsQuery('pricing -enterprise')).toBe('"pricing" NOT "enterprise"');
+  });
+
+  it('supports grouping with parentheses', () => {
+    expect(buildFtsQuery('(hiring OR headcount) plan')).toBe('( "hiring" OR "headcount" ) AND "plan"');
+  });
+
+  it('neutralizes punctuation and dangling syntax', () => {
+    expect(buildFtsQuery('Q3: roll-out')).toBe('"Q3:" AND "roll-out"');
+    expect(buildFtsQuery('OR budget AND')).toBe('"budget"');
+    expect(buildFtsQuery('(budget')).toBe('( "budget" )');
+    expect(buildFtsQuery(') budget (')).toBe('"budget"');
+    expect(buildFtsQuery('say "it\'s')).toBe('"say" AND "it\'s"');
+  });
+
+  it('returns an empty string when nothing searchable remains', () => {
+    expect(buildFtsQuery('')).toBe('');
+    expect(buildFtsQuery('  "" ( ) NOT ')).toBe('');
+    expect(buildFtsQuery(null)).toBe('');
+  });
+});
+
+describe('search index triggers', () => {
+  it('indexes transcript inserts and removes rows on cascading meeting delete', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1');
+    addUtterances(db, 'm1', ['The quarterly budget is tight']);
+
+    expect(searchFullText(db, 'budget')).toHaveLength(1);
+
+    db.prepare('DELETE FROM meetings WHERE id = ?').run('m1');
+    expect(searchFullText(db, 'budget')).toEqual([]);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM meeting_fts').get().n).toBe(0);
+  });
+
+  it('reindexes transcript replacement the way _saveTranscript rewrites it', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1');
+    addUtterances(db, 'm1', ['old wording here']);
+    db.prepare('DELETE FROM transcript_entries WHERE meeting_id = ?').run('m1');
+    addUtterances(db, 'm1', ['new wording here']);
+
+    expect(searchFullText(db, 'old')).toEqual([]);
+    expect(searchFullText(db, 'new')).toHaveLength(1);
+  });
+
+  it('reindexes meeting title and template outputs on update', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { title: 'Weekly sync' });
+    db.prepare('UPDATE meetings SET title = ?, summaries = ? WHERE id = ?').run(
+      'Board prep',
+      JSON.stringify([{ templateName: 'Notes', content: 'Dividend policy agreed' }]),
+      'm1'
+    );
+
+    expect(searchFullText(db, 'weekly')).toEqual([]);
+    expect(searchFullText(db, 'board')[0]).toMatchObject({ meetingId: 'm1', source: 'title' });
+    expect(searchFullText(db, 'dividend')[0]).toMatchObject({ source: 'template' });
+  });
+
+  it('tolerates a corrupt summaries column', () => {
+    const db = makeDb();
+    expect(() =>
+      db
+        .prepare("INSERT INTO meetings (id, title, date, summaries) VALUES ('m1', 'Sync', '2026-01-01', '{not json')")
+        .run()
+    ).not.toThrow();
+    expect(searchFullText(db, 'sync')).toHaveLength(1);
+  });
+});
+
+describe('searchFullText', () => {
+  it('returns highlighted transcript snippets with utterance position', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { title: 'Client call' });
+    addUtterances(db, 'm1', ['Hello everyone', 'We should revisit the pricing tiers next week']);
+
+    const [hit] = searchFullText(db, 'pricing');
+    expect(hit).toMatchObject({
+      meetingId: 'm1',
+      title: 'Client call',
+      source: 'transcript',
+      entryOrder: 1,
+      speaker: 'Kurt',
+      timestamp: 10,
+    });
+    expect(hit.snippet).toContain('<mark>pricing</mark>');
+  });
+
+  it("doesn't match utterances by the speaker's name", () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { title: 'Client call' });
+    addUtterances(db, 'm1', ['Hello everyone', 'Kurt will send the deck']);
+
+    const hits = searchFullText(db, 'kurt');
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ entryOrder: 1, snippet: expect.stringContaining('<mark>Kurt</mark>') });
+    expect(searchFullText(db, 'kurt OR hello')).toHaveLength(2);
+  });
+
+  it('applies porter stemming and prefix queries', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1');
+    addUtterances(db, 'm1', ['The prices were renegotiated']);
+
+    expect(searchFullText(db, 'pricing')).toHaveLength(1);
+    expect(searchFullText(db, 'reneg*')).toHaveLength(1);
+  });
+
+  it('matches phrases only when the words are adjacent', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1');
+    addUtterances(db, 'm1', ['revenue was net positive', 'net revenue grew']);
+
+    const hits = searchFullText(db, '"net revenue"');
+    expect(hits.map(h => h.entryOrder)).toEqual([1]);
+  });
+
+  it('ranks a title match above a passing mention in a summary', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { title: 'Roadmap planning', summary: 'General updates' });
+    addMeeting(db, 'm2', {
+      title: 'Ops review',
+      summary: 'Long discussion of staffing, vendors, facilities, and briefly the roadmap',
+    });
+
+    const hits = searchFullText(db, 'roadmap', { sources: ['meeting'] });
+    expect(hits.map(h => h.meetingId)).toEqual(['m1', 'm2']);
+    expect(hits[1].source).toBe('summary');
+  });
+
+  it('takes turns between meeting and transcript hits, each in its own bm25 order', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { title: 'Roadmap review' });
+    addMeeting(db, 'm2', { summary: 'Touched on the roadmap among many other unrelated items today' });
+    addUtterances(db, 'm1', ['roadmap roadmap roadmap', 'the roadmap slipped again this quarter, sadly']);
+
+    const hits = searchFullText(db, 'roadmap');
+    expect(hits.map(h => [h.meetingId, h.source])).toEqual([
+      ['m1', 'title'],
+      ['m1', 'transcript'],
+      ['m2', 'summary'],
+      ['m1', 'transcript'],
+    ]);
+    expect(hits[1].entryOrder).toBe(0);
+    expect(searchFullText(db, 'roadmap', { limit: 3 })).toHaveLength(3);
+  });
+
+  it('restricts to one meeting and honors custom markers and fullText', () => {
+    const db = makeDb();
+    addMeeting(db, 'm1');
+    addMeeting(db, 'm2');
+    addUtterances(db, 'm1', ['budget talk']);
+    addUtterances(db, 'm2', ['more budget talk']);
+
+    const hits = searchFullText(db, 'budget', {
+      meetingId: 'm2',
+      markers: ['[', ']'],
+      fullText: true,
+    });
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ meetingId: 'm2', snippet: 'more [budget] talk' });
+  });
+
+  it('returns no hits for an empty query', () => {
+    const db = makeDb();
+    expect(searchFullText(db, '   ')).toEqual([]);
+  });
+});
+
+describe('rebuildSearchIndex', () => {
+  it('backfills rows written before the index existed', () => {
+    const db = makeDb({ withIndex: false });
+    addMeeting(db, 'm1', { title: 'Legacy meeting', content: 'Handwritten notes on hiring' });
+    addUtterances(db, 'm1', ['legacy transcript text']);
+
+    expect(hasSearchIndex(db)).toBe(false);
+    createSearchIndex(db);
+    rebuildSearchIndex(db);
+
+    expect(hasSearchIndex(db)).toBe(true);
+    expect(searchFullText(db, 'legacy').map(h => h.source).sort()).toEqual(['title', 'transcript']);
+    expect(searchFullText(db, 'hiring')[0]).toMatchObject({ source: 'notes' });
+  });
+});
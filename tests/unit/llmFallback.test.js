@@ -0,0 +1,132 @@
+/**
+ * LLMService Fallback Chain Unit Tests
+ *
+ * Tests:
+ *   1. classifyError — status codes, messages and connection failures
+ *   2. Retries per kind of failure, with backoff and Retry-After
+ *   3. Falling back down the chain, and recording which provider answered
+ */
+
+const { describe, it, expect, vi, beforeEach } = await import('vitest');
+
+const { LLMService, classifyError } = require('../../src/main/services/llmService');
+
+const failure = (status, message = `status ${status}`, extra = {}) =>
+  Object.assign(new Error(message), { status, ...extra });
+
+const fakeAdapter = (name, ...outcomes) => {
+  const generateCompletion = vi.fn();
+  for (const outcome of outcomes) {
+    if (outcome instanceof Error) generateCompletion.mockRejectedValueOnce(outcome);
+    else generateCompletion.mockResolvedValueOnce(outcome);
+  }
+  return { generateCompletion, getProviderName: () => name };
+};
+
+describe('classifyError', () => {
+  it('sorts failures into the retry policy kinds', () => {
+    expect(classifyError(failure(429))).toBe('rateLimited');
+    expect(classifyError(failure(529))).toBe('overloaded');
+    expect(classifyError(failure(503))).toBe('overloaded');
+    expect(
+      classifyError(new Error('[GoogleGenerativeAI Error]: [503 ] The model is overloaded'))
+    ).toBe('overloaded');
+    expect(
+      classifyError(
+        Object.assign(new Error('Connection error.'), { cause: { code: 'ECONNREFUSED' } })
+      )
+    ).toBe('unavailable');
+    expect(classifyError(failure(401, 'invalid x-api-key'))).toBe('other');
+  });
+});
+
+describe('LLMService fallback chain', () => {
+  let service;
+  let sleep;
+
+  beforeEach(() => {
+    service = new LLMService({
+      provider: 'ollama',
+      ollama: { model: 'llama3' },
+      gemini: { apiKey: 'test-key' },
+    });
+    sleep = vi.fn().mockResolvedValue();
+    service._sleep = sleep;
+  });
+
+  it('retries a rate limit with backoff, honouring Retry-After', async () => {
+    const headers = { get: name => (name === 'retry-after' ? '30' : null) };
+    service.adapter = fakeAdapter(
+      'Local LLM',
+      failure(429),
+      failure(429, 'rate limited', { headers }),
+      { content: 'ok', model: 'llama3' }
+    );
+
+    const result = await service.generateCompletion({ userPrompt: 'hi' });
+
+    expect(result).toEqual({ content: 'ok', model: 'llama3', provider: 'ollama', fallback: false });
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([5000, 30000]);
+  });
+
+  it('falls back down the chain without retrying an unreachable provider', async () => {
+    service.setFallbackPolicy({ chain: ['ollama-llama3', 'gemini-3.1-flash-lite'] });
+    service.adapter = fakeAdapter(
+      'Local LLM',
+      Object.assign(new Error('Connection error.'), { name: 'APIConnectionError' })
+    );
+    const gemini = fakeAdapter('Gemini', {
+      content: 'from gemini',
+      model: 'gemini-3.1-flash-lite',
+    });
+    service._createAdapter = vi.fn().mockReturnValue(gemini);
+
+    const result = await service.generateCompletion({ userPrompt: 'hi' });
+
+    expect(service.adapter.generateCompletion).toHaveBeenCalledTimes(1);
+    expect(service._createAdapter).toHaveBeenCalledWith('gemini', 'gemini-3.1-flash-lite');
+    expect(result).toMatchObject({ content: 'from gemini', provider: 'gemini', fallback: true });
+    // The configured provider is still the first choice next time
+    expect(service.config.provider).toBe('ollama');
+  });
+
+  it('reports which provider answered a stream to that call alone', async () => {
+    service.setFallbackPolicy({ chain: ['gemini-3.1-flash-lite'] });
+    service.adapter = {
+      getProviderName: () => 'Local LLM',
+      streamCompletion: vi.fn().mockRejectedValue(failure(401, 'bad key')),
+    };
+    service._createAdapter = vi.fn().mockReturnValue({
+      getProviderName: () => 'Gemini',
+      streamCompletion: vi.fn().mockResolvedValue('from gemini'),
+    });
+    const onAnswer = vi.fn();
+
+    const text = await service.streamCompletion({ userPrompt: 'hi', onAnswer });
+
+    expect(text).toBe('from gemini');
+    expect(onAnswer).toHaveBeenCalledExactlyOnceWith({
+      provider: 'gemini',
+      model: 'gemini-3.1-flash-lite',
+      fallback: true,
+    });
+  });
+
+  it('skips fallbacks it cannot create and throws the last error', async () => {
+    service.setFallbackPolicy({
+      chain: ['claude-haiku-4-5', 'gemini-3.1-flash-lite'],
+      retry: { overloaded: { retries: 1 } },
+    });
+    service.adapter = fakeAdapter('Local LLM', failure(500), failure(500));
+    const gemini = fakeAdapter('Gemini', failure(401, 'bad key'));
+    service._createAdapter = vi.fn(provider => {
+      if (provider === 'anthropic') throw new Error('Anthropic API key is required');
+      return gemini;
+    });
+
+    await expect(service.generateCompletion({ userPrompt: 'hi' })).rejects.toThrow('bad key');
+    expect(service.adapter.generateCompletion).toHaveBeenCalledTimes(2);
+    expect(gemini.generateCompletion).toHaveBeenCalledTimes(1);
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * LLM Usage Ledger Unit Tests
+ *
+ * Tests:
+ *   1. Pricing — known models, dated model ids, unknown and local models, prompt caching,
+ *      OpenAI-compatible and Azure endpoints
+ *   2. Recording calls and reporting by month, client, template and model
+ *   3. LLMService recording usage and enforcing the monthly budget
+ */
+
+const { describe, it, expect, vi, beforeEach } = await import('vitest');
+
+const Database = require('better-sqlite3');
+const {
+  createLlmUsageTable,
+  pricingFor,
+  costOf,
+  isLocalEndpoint,
+  recordUsage,
+  monthSpend,
+  usageReport,
+} = require('../../src/main/services/llmUsage');
+const { LLMService } = require('../../src/main/services/llmService');
+
+describe('pricing', () => {
+  it('prices dated model ids like their model, and unknown ones like the dearest', () => {
+    expect(pricingFor('anthropic', 'claude-haiku-4-5-20251001')).toEqual(
+      pricingFor('anthropic', 'claude-haiku-4-5')
+    );
+    const dearest = pricingFor('anthropic', 'claude-unknown');
+    expect(dearest.input).toBeGreaterThanOrEqual(pricingFor('anthropic', 'claude-haiku-4-5').input);
+    expect(pricingFor('ollama', 'llama3')).toEqual({ input: 0, output: 0 });
+  });
+
+  it('charges cache reads at a fraction of the input price', () => {
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    const uncached = costOf({
+      provider: 'anthropic',
+      model: 'claude-haiku-4-5',
+      usage: { ...usage, inputTokens: 1e6 },
+    });
+    const cached = costOf({
+      provider: 'anthropic',
+      model: 'claude-haiku-4-5',
+      usage: { ...usage, cachedTokens: 1e6 },
+    });
+    expect(cached).toBeCloseTo(uncached * 0.1);
+  });
+
+  it('prices endpoints as configured, as the dearest known model if not, and local ones at zero', () => {
+    const dearest = Math.max(
+      ...['anthropic', 'gemini'].map(provider => pricingFor(provider, 'unknown').input)
+    );
+    expect(pricingFor('openai', 'qwen3').input).toBe(dearest);
+    expect(pricingFor('azure', 'notes-mini', { pricing: { input: 0.4, output: 1.6 } })).toEqual({
+      input: 0.4,
+      output: 1.6,
+    });
+    expect(pricingFor('openai', 'qwen3', { pricing: { input: 0.4 } }).input).toBe(dearest);
+    expect(pricingFor('openai', 'qwen3', { local: true })).toEqual({ input: 0, output: 0 });
+  });
+
+  it('tells servers on this machine or the local network from remote ones', () => {
+    expect(isLocalEndpoint('http://localhost:1234/v1')).toBe(true);
+    expect(isLocalEndpoint('http://127.0.0.1:8000/v1')).toBe(true);
+    expect(isLocalEndpoint('http://[::1]:8000/v1')).toBe(true);
+    expect(isLocalEndpoint('http://192.168.1.20:8000/v1')).toBe(true);
+    expect(isLocalEndpoint('http://172.20.0.5:8000/v1')).toBe(true);
+    expect(isLocalEndpoint('http://gpu-box.local:8000/v1')).toBe(true);
+    expect(isLocalEndpoint('https://openrouter.ai/api/v1')).toBe(false);
+    expect(isLocalEndpoint('http://172.32.0.5/v1')).toBe(false);
+    expect(isLocalEndpoint(undefined)).toBe(false);
+  });
+});
+
+describe('usage ledger', () => {
+  let db;
+  const march = new Date(2026, 2, 10);
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE meetings (id TEXT PRIMARY KEY, routed_clients TEXT);
+      CREATE TABLE clients (id TEXT PRIMARY KEY, name TEXT);
+      INSERT INTO clients VALUES ('acme', 'Acme Corp');
+      INSERT INTO meetings VALUES ('m1', '["acme"]'), ('m2', NULL);
+    `);
+    createLlmUsageTable(db);
+  });
+
+  const record = (tag, usage = { inputTokens: 1000, outputTokens: 500 }, when = march) =>
+    recordUsage(db, { provider: 'anthropic', model: 'claude-haiku-4-5', usage, tag }, when);
+
+  it('adds up a month and breaks it down by client, template and model', () => {
+    record({ meetingId: 'm1', templateId: 'weekly', purpose: 'template-section' });
+    record({ meetingId: 'm1', templateId: 'weekly', purpose: 'template-section' });
+    record({ meetingId: 'm2', purpose: 'auto-summary' });
+    record({ clientId: 'acme', purpose: 'client-index' });
+    recordUsage(
+      db,
+      { provider: 'ollama', model: 'llama3', usage: { inputTokens: 10, outputTokens: 10 } },
+      march
+    );
+    record({ meetingId: 'm1' }, undefined, new Date(2026, 1, 3));
+
+    const report = usageReport(db, { month: '2026-03' });
+
+    expect(report.months.map(m => [m.month, m.calls])).toEqual([
+      ['2026-03', 5],
+      ['2026-02', 1],
+    ]);
+    expect(monthSpend(db, '2026-03')).toBeCloseTo(report.months[0].costUsd);
+    expect(report.byClient.find(r => r.clientId === 'acme')).toMatchObject({
+      clientName: 'Acme Corp',
+      calls: 3,
+      inputTokens: 3000,
+    });
+    expect(report.byTemplate.find(r => r.templateId === 'weekly').calls).toBe(2);
+    expect(report.byModel.find(r => r.model === 'ollama/llama3').costUsd).toBe(0);
+  });
+});
+
+describe('LLMService usage tracking', () => {
+  let service;
+  let recorded;
+  let budget;
+
+  beforeEach(() => {
+    service = new LLMService({
+      provider: 'gemini',
+      gemini: { apiKey: 'test-key', model: 'gemini-3.1-flash-lite' },
+      ollama: { model: 'llama3' },
+    });
+    recorded = [];
+    budget = null;
+    service.setUsageTracking({ record: entry => recorded.push(entry), budget: () => budget });
+  });
+
+  it('records what the provider reported, with the call tag', async () => {
+    service.adapter = {
+      getProviderName: () => 'Gemini',
+      generateCompletion: vi.fn().mockResolvedValue({
+        content: 'ok',
+        model: 'gemini-3.1-flash-lite',
+        usage: { inputTokens: 120, outputTokens: 30, cachedTokens: 0, cacheWriteTokens: 0 },
+      }),
+    };
+
+    await service.generateCompletion({
+      userPrompt: 'hi',
+      usageTag: { meetingId: 'm1', purpose: 'auto-summary' },
+    });
+
+    expect(recorded).toEqual([
+      {
+        provider: 'gemini',
+        model: 'gemini-3.1-flash-lite',
+        usage: { inputTokens: 120, outputTokens: 30, cachedTokens: 0, cacheWriteTokens: 0 },
+        estimated: false,
+        tag: { meetingId: 'm1', purpose: 'auto-summary' },
+      },
+    ]);
+  });
+
+  it('estimates streamed usage the provider did not report', async () => {
+    service.adapter = {
+      getProviderName: () => 'Gemini',
+      streamCompletion: vi.fn().mockResolvedValue('x'.repeat(400)),
+    };
+
+    await service.streamCompletion({ systemPrompt: 's'.repeat(800), userPrompt: 'u' });
+
+    expect(recorded[0]).toMatchObject({ estimated: true, usage: { outputTokens: 100 } });
+  });
+
+  it('drops to the local model once the budget is reached', async () => {
+    budget = { reached: true, capUsd: 20, action: 'local' };
+    const local = {
+      getProviderName: () => 'Local LLM',
+      generateCompletion: vi.fn().mockResolvedValue({ content: 'local', model: 'llama3' }),
+    };
+    service.adapter = { getProviderName: () => 'Gemini', generateCompletion: vi.fn() };
+    service._createAdapter = vi.fn().mockReturnValue(local);
+
+    const result = await service.generateCompletion({ userPrompt: 'hi' });
+
+    expect(service.adapter.generateCompletion).not.toHaveBeenCalled();
+    expect(service._createAdapter).toHaveBeenCalledWith('ollama', 'llama3');
+    expect(result).toMatchObject({ content: 'local', provider: 'ollama', fallback: true });
+  });
+
+  it('keeps a local OpenAI-compatible server once the budget is reached', async () => {
+    budget = { reached: true, capUsd: 20, action: 'refuse' };
+    service.config.provider = 'openai';
+    service.config.openai = { baseUrl: 'http://localhost:1234/v1', model: 'qwen3' };
+    service.adapter = {
+      getProviderName: () => 'OpenAI-Compatible',
+      generateCompletion: vi.fn().mockResolvedValue({ content: 'ok', model: 'qwen3' }),
+    };
+
+    const result = await service.generateCompletion({ userPrompt: 'hi' });
+
+    expect(result).toMatchObject({ content: 'ok', provider: 'openai' });
+    expect(recorded[0].endpoint).toEqual({ local: true, pricing: undefined });
+  });
+
+  it('refuses cloud calls once the budget is reached, if told to', async () => {
+    budget = { reached: true, capUsd: 20, action: 'refuse' };
+    service.adapter = { getProviderName: () => 'Gemini', generateCompletion: vi.fn() };
+
+    await expect(service.generateCompletion({ userPrompt: 'hi' })).rejects.toMatchObject({
+      code: 'LLM_BUDGET_REACHED',
+    });
+    expect(service.adapter.generateCompletion).not.toHaveBeenCalled();
+  });
+});
@@ -5,11 +5,12 @@
  *   1. Returns models from Ollama /api/tags when that endpoint succeeds
  *   2. Falls back to OpenAI /v1/models when /api/tags fails
  *   3. Returns empty array when both endpoints fail
+ *   4. fetchLocalEmbeddings: Ollama /api/embed, /v1/embeddings fallback, error when both fail
  */
 
 const { describe, it, expect, vi, afterEach } = await import('vitest');
 
-const { fetchLocalModels } = require('../../src/main/services/llmService');
+const { fetchLocalModels, fetchLocalEmbeddings } = require('../../src/main/services/llmService');
 
 afterEach(() => {
   vi.unstubAllGlobals();
@@ -109,3 +110,53 @@ describe('fetchLocalModels', () => {
     expect(mockFetch).toHaveBeenCalledTimes(2);
   });
 });
+
+describe('fetchLocalEmbeddings', () => {
+  it('posts batch input to Ollama /api/embed', async () => {
+    const mockFetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ embeddings: [[0.1, 0.2], [0.3, 0.4]] }),
+    });
+    vi.stubGlobal('fetch', mockFetch);
+
+    const vectors = await fetchLocalEmbeddings('http://localhost:11434/', 'nomic-embed-text', ['a', 'b']);
+
+    expect(vectors).toEqual([[0.1, 0.2], [0.3, 0.4]]);
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockFetch.mock.calls[0][0]).toBe('http://localhost:11434/api/embed');
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+      model: 'nomic-embed-text',
+      input: ['a', 'b'],
+    });
+  });
+
+  it('falls back to /v1/embeddings and restores input order', async () => {
+    const mockFetch = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 404 })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          data: [
+            { index: 1, embedding: [2] },
+            { index: 0, embedding: [1] },
+          ],
+        }),
+      });
+    vi.stubGlobal('fetch', mockFetch);
+
+    const vectors = await fetchLocalEmbeddings('http://localhost:1234', 'embed', ['a', 'b']);
+
+    expect(vectors).toEqual([[1], [2]]);
+    expect(mockFetch.mock.calls[1][0]).toMatch(/\/v1\/embeddings$/);
+  });
+
+  it('throws when neither endpoint answers', async () => {
+    const mockFetch = vi.fn().mockRejectedValue(new Error('fetch failed'));
+    vi.stubGlobal('fetch', mockFetch);
+
+    await expect(fetchLocalEmbeddings('http://localhost:11434', 'embed', ['a'])).rejects.toThrow(
+      /Local embedding request failed/
+    );
+  });
+});
@@ -3,10 +3,20 @@
  *
  * Verifies the standalone MCP server can load its dependencies
  * and exits cleanly with a helpful error when given a bad DB path.
+ * Also drives a real server over stdio to check resources, template prompts
+ * and the action item listing.
  */
 
 const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const Database = require('better-sqlite3');
+const { createActionItemsTable } = require('../../src/main/services/actionItems.js');
+const {
+  createMeetingFieldTables,
+  setMeetingTags,
+} = require('../../src/main/services/meetingFields.js');
 
 const MCP_SERVER_PATH = path.join(__dirname, '..', '..', 'src', 'mcp-server.js');
 
@@ -37,6 +47,28 @@ describe('MCP Server', () => {
     }
   });
 
+  it('refuses --allow-writes on a database without the v8 audit log', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-writes-'));
+    const dbPath = path.join(dir, 'meetings.db');
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec('CREATE TABLE meetings (id TEXT PRIMARY KEY)');
+    db.close();
+
+    try {
+      execFileSync('node', [MCP_SERVER_PATH, '--db-path', dbPath, '--allow-writes'], {
+        timeout: 10_000,
+        encoding: 'utf8',
+      });
+      expect.unreachable('Expected process to exit with non-zero code');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      expect(error.stderr).toContain('schema v8');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
   it('imports McpServer and StdioServerTransport without module errors', () => {
     // If the imports are wrong, this will throw MODULE_NOT_FOUND
     const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
@@ -45,4 +77,165 @@ describe('MCP Server', () => {
     expect(typeof McpServer).toBe('function');
     expect(typeof StdioServerTransport).toBe('function');
   });
+
+  describe('resources and prompts', () => {
+    let dir;
+    let client;
+
+    beforeAll(async () => {
+      const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+      const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-resources-'));
+      const dbPath = path.join(dir, 'meetings.db');
+      const db = new Database(dbPath);
+      db.pragma('journal_mode = WAL');
+      db.exec(`
+        CREATE TABLE meetings (id TEXT PRIMARY KEY, title TEXT, date TEXT, platform TEXT, status TEXT,
+          duration REAL, transcription_provider TEXT, summary TEXT, summaries TEXT);
+        CREATE TABLE participants (meeting_id TEXT, name TEXT, email TEXT, organization TEXT, is_host INTEGER,
+          original_name TEXT);
+        CREATE TABLE calendar_attendees (meeting_id TEXT, name TEXT, email TEXT, response_status TEXT);
+        CREATE TABLE transcript_entries (meeting_id TEXT, entry_order INTEGER, speaker TEXT, speaker_name TEXT,
+          speaker_display_name TEXT, text TEXT, timestamp REAL);
+        INSERT INTO meetings (id, title, date, status) VALUES ('m1', 'Acme kickoff', '2026-03-01', 'complete');
+        INSERT INTO meetings (id, title, date, status) VALUES ('m2', 'Acme retro', '2026-03-02', 'trashed');
+        INSERT INTO participants VALUES ('m1', 'Dana Lee', 'dana@acme.com', 'Acme Corp', 0, NULL);
+        INSERT INTO participants VALUES ('m2', 'Dana Lee', 'dana@acme.com', 'Acme Corp', 0, NULL);
+        INSERT INTO participants VALUES ('m2', 'Sam Ray', 'sam@globex.com', 'Globex', 0, NULL);
+        UPDATE meetings SET summaries = '[{"templateId":"firm-profile-signals","templateName":"Firm Profile Signals","content":"...","data":{"Firm Basics":{"aum":"$400M"}}}]';
+        INSERT INTO transcript_entries VALUES ('m1', 0, 'Speaker A', 'Dana Lee', NULL, 'Pricing is the blocker', 75);
+        INSERT INTO transcript_entries VALUES ('m2', 0, 'Speaker A', 'Dana Lee', NULL, 'Retro notes', 5);
+      `);
+      createActionItemsTable(db);
+      createMeetingFieldTables(db);
+      setMeetingTags(db, 'm1', ['Pricing', 'Q3']);
+      setMeetingTags(db, 'm2', ['Pricing']);
+      db.prepare(
+        `INSERT INTO action_items (meeting_id, description, owner_email, owner_name, due_date, source_entry_order)
+         VALUES ('m1', 'Send revised pricing', 'dana@acme.com', 'Dana Lee', '2026-03-06', 0)`
+      ).run();
+      db.close();
+
+      const templatesDir = path.join(dir, 'config', 'templates');
+      fs.mkdirSync(templatesDir, { recursive: true });
+      fs.writeFileSync(path.join(templatesDir, 'tough-questions.txt'), 'Ask pointed follow-up questions.');
+      fs.writeFileSync(
+        path.join(templatesDir, 'recap.yaml'),
+        'name: Recap\nsections:\n  - title: Decisions\n    prompt: List decisions.\n  - title: Risks\n    prompt: List risks.\n'
+      );
+      fs.writeFileSync(path.join(templatesDir, 'broken.yaml'), 'name: Broken\n');
+
+      client = new Client({ name: 'test', version: '1.0.0' });
+      await client.connect(new StdioClientTransport({
+        command: 'node',
+        args: [MCP_SERVER_PATH, '--db-path', dbPath],
+        stderr: 'ignore',
+      }));
+    }, 20_000);
+
+    afterAll(async () => {
+      await client?.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists and reads meeting, transcript and company resources', async () => {
+      const { resources } = await client.listResources();
+      expect(resources.map(r => r.uri)).toEqual(
+        expect.arrayContaining([
+          'jdnotes://meeting/m1',
+          'jdnotes://meeting/m1/transcript',
+          'jdnotes://company/Acme%20Corp',
+        ])
+      );
+      expect(resources.map(r => r.uri)).not.toContain('jdnotes://meeting/m2');
+
+      const transcript = await client.readResource({ uri: 'jdnotes://meeting/m1/transcript' });
+      expect(transcript.contents[0].text).toBe('[1:15] **Dana Lee:** Pricing is the blocker');
+
+      const meeting = await client.readResource({ uri: 'jdnotes://meeting/m1' });
+      expect(meeting.contents[0].text).toContain('# Acme kickoff');
+
+      const company = await client.readResource({ uri: 'jdnotes://company/Acme%20Corp' });
+      expect(company.contents[0].text).toContain('Dana Lee (dana@acme.com)');
+    });
+
+    it('registers one prompt per valid template, attaching the transcript', async () => {
+      const { prompts } = await client.listPrompts();
+      expect(prompts.map(p => p.name).sort()).toEqual(['recap', 'tough-questions']);
+
+      const prompt = await client.getPrompt({ name: 'recap', arguments: { meetingId: 'm1' } });
+      expect(prompt.messages[0].content.resource).toMatchObject({
+        uri: 'jdnotes://meeting/m1/transcript',
+        text: '[1:15] **Dana Lee:** Pricing is the blocker',
+      });
+      expect(prompt.messages[1].content.text).toContain('## Risks\nList risks.');
+
+      const completion = await client.complete({
+        ref: { type: 'ref/prompt', name: 'tough-questions' },
+        argument: { name: 'meetingId', value: 'Acme' },
+      });
+      expect(completion.completion.values).toEqual(['m1']);
+    });
+
+    it('does not serve meetings in the trash by id', async () => {
+      const meeting = await client.callTool({ name: 'get_meeting', arguments: { meetingId: 'm2' } });
+      expect(meeting.content[0].text).toBe('Meeting not found.');
+      const transcript = await client.callTool({ name: 'get_transcript', arguments: { meetingId: 'm2' } });
+      expect(transcript.content[0].text).toBe('No transcript found for this meeting.');
+
+      await expect(client.readResource({ uri: 'jdnotes://meeting/m2' })).rejects.toThrow('not found');
+      await expect(client.readResource({ uri: 'jdnotes://meeting/m2/transcript' })).rejects.toThrow(
+        'No transcript found'
+      );
+      await expect(client.getPrompt({ name: 'recap', arguments: { meetingId: 'm2' } })).rejects.toThrow(
+        'not found'
+      );
+    });
+
+    it('leaves meetings in the trash out of contacts and companies', async () => {
+      const contacts = await client.callTool({ name: 'search_contacts', arguments: { query: 'a' } });
+      expect(contacts.content[0].text).toBe('Dana Lee (dana@acme.com) - Acme Corp [1 meetings]');
+
+      const companies = await client.callTool({ name: 'list_companies', arguments: {} });
+      expect(companies.content[0].text).toContain('- **Acme Corp** — 1 contacts, 1 meetings');
+      expect(companies.content[0].text).not.toContain('Globex');
+    });
+
+    it('lists action items with their source utterance', async () => {
+      const result = await client.callTool({ name: 'list_action_items', arguments: { company: 'acme' } });
+      const text = result.content[0].text;
+      expect(text).toContain('- [open] Send revised pricing — Dana Lee <dana@acme.com>, due 2026-03-06');
+      expect(text).toContain('Source: Dana Lee at 1:15 (utterance #0): "Pricing is the blocker"');
+
+      const none = await client.callTool({ name: 'list_action_items', arguments: { owner: 'nobody' } });
+      expect(none.content[0].text).toContain('No action items found.');
+    });
+
+    it('returns structured template data from meetings not in the trash', async () => {
+      const result = await client.callTool({
+        name: 'get_structured_data',
+        arguments: { templateId: 'firm-profile-signals' },
+      });
+      const text = result.content[0].text;
+      expect(text).toContain('[2026-03-01] Acme kickoff — Firm Profile Signals\nID: m1');
+      expect(text).toContain('"aum": "$400M"');
+      expect(text).not.toContain('m2');
+    });
+
+    it('filters search_meetings by tags', async () => {
+      const result = await client.callTool({
+        name: 'search_meetings',
+        arguments: { tags: ['pricing', 'q3'] },
+      });
+      expect(result.content[0].text).toContain('ID: m1\nTags: Pricing, Q3');
+      expect(result.content[0].text).not.toContain('m2');
+
+      const none = await client.callTool({
+        name: 'search_meetings',
+        arguments: { tags: ['pricing', 'nope'] },
+      });
+      expect(none.content[0].text).toBe('No meetings found matching the criteria.');
+    });
+  });
 });
@@ -0,0 +1,113 @@
+/**
+ * MCP Streamable HTTP endpoint Unit Tests
+ *
+ * Tests:
+ *   1. Disabled / missing token / wrong token are rejected before any MCP handling
+ *   2. An authorized client can initialize a session and call tools
+ *   3. Rotating the token drops open sessions
+ *   4. Sessions without requests for a while are closed
+ */
+
+const express = require('express');
+const Database = require('better-sqlite3');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const {
+  configureMcpHttp,
+  setMcpHttpEnabled,
+  getMcpHttpStatus,
+  registerMcpEndpoint,
+  closeIdleSessions,
+} = require('../../src/main/services/mcpHttpService.js');
+
+describe('MCP HTTP endpoint', () => {
+  let httpServer;
+  let url;
+  let db;
+
+  beforeAll(async () => {
+    db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE meetings (id TEXT PRIMARY KEY, title TEXT, date TEXT, platform TEXT, status TEXT, summary TEXT);
+      INSERT INTO meetings VALUES ('m1', 'Acme kickoff', '2026-03-01', 'zoom', 'complete', 'Pricing discussion');
+    `);
+    configureMcpHttp({ getDb: () => db, getServerOptions: async () => ({ log: () => {} }) });
+
+    const app = express();
+    registerMcpEndpoint(app);
+    await new Promise(resolve => {
+      httpServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+  });
+
+  afterAll(async () => {
+    await setMcpHttpEnabled(false, null);
+    await new Promise(resolve => httpServer.close(resolve));
+    db.close();
+  });
+
+  function connect(token) {
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(new URL(url), {
+      requestInit: { headers: { Authorization: `Bearer ${token}` } },
+    });
+    return client.connect(transport).then(() => client);
+  }
+
+  const initialize = headers =>
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } },
+      }),
+    });
+
+  it('returns 404 while disabled', async () => {
+    await setMcpHttpEnabled(false, 'secret');
+    expect((await initialize({ Authorization: 'Bearer secret' })).status).toBe(404);
+  });
+
+  it('requires the bearer token', async () => {
+    await setMcpHttpEnabled(true, 'secret');
+    const missing = await initialize({});
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+    expect((await initialize({ Authorization: 'Bearer wrong' })).status).toBe(401);
+  });
+
+  it('serves tools to an authorized client and drops sessions on token rotation', async () => {
+    await setMcpHttpEnabled(true, 'secret');
+    const client = await connect('secret');
+
+    const { tools } = await client.listTools();
+    expect(tools.map(t => t.name)).toContain('search_meetings');
+    expect(tools.map(t => t.name)).not.toContain('update_meeting_title');
+
+    const result = await client.callTool({ name: 'search_meetings', arguments: { title: 'Acme' } });
+    expect(result.content[0].text).toContain('Acme kickoff');
+    expect(getMcpHttpStatus()).toEqual({ enabled: true, sessions: 1 });
+
+    await setMcpHttpEnabled(true, 'rotated');
+    expect(getMcpHttpStatus().sessions).toBe(0);
+    await expect(client.listTools()).rejects.toThrow();
+    await client.close();
+  });
+
+  it('closes sessions that have been idle for half an hour', async () => {
+    await setMcpHttpEnabled(true, 'secret');
+    const client = await connect('secret');
+    await client.listTools();
+
+    expect(await closeIdleSessions(Date.now() + 60 * 1000)).toBe(0);
+    expect(getMcpHttpStatus().sessions).toBe(1);
+    expect(await closeIdleSessions(Date.now() + 30 * 60 * 1000)).toBe(1);
+    expect(getMcpHttpStatus().sessions).toBe(0);
+    await expect(client.listTools()).rejects.toThrow();
+    await client.close();
+  });
+});
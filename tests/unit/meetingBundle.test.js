@@ -0,0 +1,276 @@
+/**
+ * Meeting Bundle Unit Tests (.jdmeeting)
+ *
+ * Tests:
+ *   1. collectMeetingBundle / writeMeetingBundle / readMeetingBundle — archive round trip with audio
+ *   2. importMeetingBundle — ID collisions (skip, replace, copy), local-only columns, contact remapping
+ *   3. importMeetingBundle — tags and custom fields
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  collectMeetingBundle,
+  writeMeetingBundle,
+  readMeetingBundle,
+  resolveImportId,
+  resolveContactResources,
+  saveBundleAudio,
+  importMeetingBundle,
+  bundleMeetingStatus,
+} = require('../../src/main/services/meetingBundle.js');
+const meetingFields = require('../../src/main/services/meetingFields.js');
+
+// Slice of the real schema: the meeting columns a bundle cares about and the child tables.
+function makeDb({ withMeeting = true } = {}) {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE meetings (
+      id TEXT PRIMARY KEY, title TEXT NOT NULL, date TEXT NOT NULL, status TEXT,
+      summary TEXT, summaries TEXT, speaker_mapping TEXT, video_file TEXT,
+      vault_path TEXT, obsidian_link TEXT, recording_id TEXT, series_id TEXT,
+      trashed_at TEXT, trash_info TEXT, updated_at TEXT
+    );
+    CREATE TABLE participants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, meeting_id TEXT NOT NULL, participant_id TEXT,
+      original_name TEXT NOT NULL, name TEXT NOT NULL, email TEXT, google_contact_resource TEXT
+    );
+    CREATE TABLE transcript_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, meeting_id TEXT NOT NULL, entry_order INTEGER NOT NULL,
+      speaker TEXT NOT NULL, speaker_email TEXT, text TEXT NOT NULL, timestamp REAL, confidence REAL
+    );
+    CREATE TABLE speaker_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, meeting_id TEXT NOT NULL, speaker_label TEXT NOT NULL,
+      email TEXT, name TEXT, method TEXT
+    );
+    CREATE TABLE calendar_attendees (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, meeting_id TEXT NOT NULL, name TEXT,
+      email TEXT NOT NULL, is_organizer INTEGER DEFAULT 0
+    );
+  `);
+  meetingFields.createMeetingFieldTables(db);
+  if (!withMeeting) return db;
+
+  db.exec(`
+    INSERT INTO meetings VALUES ('m1', 'Acme kickoff', '2026-03-02T15:00:00Z', 'past', 'Short',
+      '[{"templateId":"exec","content":"Detailed"}]', '{"Speaker A":"ann@acme.com"}',
+      '/old/machine/m1.wav', 'Clients/Acme/kickoff.md', 'obsidian://x', 'rec-1', 'local-m0',
+      NULL, NULL, '2026-03-02 16:00:00');
+    INSERT INTO participants (meeting_id, participant_id, original_name, name, email, google_contact_resource)
+      VALUES ('m1', 'p1', 'Ann', 'Ann Lee', 'Ann@Acme.com', 'people/sender-1'),
+             ('m1', 'p2', 'Bob', 'Bob Roe', 'bob@acme.com', 'people/sender-2');
+    INSERT INTO transcript_entries (meeting_id, entry_order, speaker, speaker_email, text, timestamp, confidence)
+      VALUES ('m1', 1, 'Bob Roe', 'bob@acme.com', 'Agreed.', 4200, 0.5),
+             ('m1', 0, 'Ann Lee', 'ann@acme.com', 'Welcome.', 0, 0.93);
+    INSERT INTO speaker_mappings (meeting_id, speaker_label, email, name, method)
+      VALUES ('m1', 'Speaker A', 'ann@acme.com', 'Ann Lee', 'manual');
+    INSERT INTO calendar_attendees (meeting_id, name, email, is_organizer)
+      VALUES ('m1', 'Ann Lee', 'ann@acme.com', 1);
+  `);
+  meetingFields.setMeetingTags(db, 'm1', ['acme', 'Kickoff']);
+  const stage = meetingFields.saveFieldDefinition(db, {
+    label: 'Stage',
+    type: 'select',
+    options: ['Lead', 'Won'],
+  });
+  meetingFields.saveFieldDefinition(db, { label: 'Budget', type: 'number' });
+  meetingFields.setMeetingFieldValues(db, 'm1', { [stage.key]: 'Won', budget: 12000 });
+  return db;
+}
+
+const rowsOf = (db, table, meetingId) =>
+  db
+    .prepare(`SELECT * FROM ${table} WHERE meeting_id = ? ORDER BY id`)
+    .all(meetingId)
+    .map(({ id: _id, meeting_id: _m, ...row }) => row);
+
+let tmpDir;
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jdmeeting-'));
+});
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('bundle archive', () => {
+  it('round-trips the rows and audio through a .jdmeeting file', async () => {
+    const db = makeDb();
+    const audioPath = path.join(tmpDir, 'm1.wav');
+    fs.writeFileSync(audioPath, Buffer.from('RIFF-audio-bytes'));
+    const data = collectMeetingBundle(db, 'm1');
+
+    expect(data.transcript_entries.map(e => e.text)).toEqual(['Welcome.', 'Agreed.']);
+    expect(data.tags).toEqual(['acme', 'Kickoff']);
+    expect(data.custom_fields.map(f => [f.key, f.value])).toEqual([
+      ['stage', 'Won'],
+      ['budget', 12000],
+    ]);
+
+    const bundlePath = path.join(tmpDir, 'kickoff.jdmeeting');
+    const written = await writeMeetingBundle(bundlePath, data, audioPath);
+    expect(written.hasAudio).toBe(true);
+
+    const read = await readMeetingBundle(bundlePath);
+    expect(read.manifest).toMatchObject({ format: 'jdmeeting', version: 1, meetingId: 'm1' });
+    expect(read.data).toEqual(JSON.parse(JSON.stringify(data)));
+    expect(read.audio.name).toBe('m1.wav');
+    expect(read.audio.buffer.toString()).toBe('RIFF-audio-bytes');
+  });
+
+  it('leaves the audio out when the recording is gone', async () => {
+    const db = makeDb();
+    const bundlePath = path.join(tmpDir, 'kickoff.jdmeeting');
+    const written = await writeMeetingBundle(
+      bundlePath,
+      collectMeetingBundle(db, 'm1'),
+      '/missing.wav'
+    );
+
+    expect(written.hasAudio).toBe(false);
+    expect((await readMeetingBundle(bundlePath)).audio).toBeNull();
+  });
+
+  it('returns null for an unknown meeting', () => {
+    expect(collectMeetingBundle(makeDb(), 'nope')).toBeNull();
+  });
+
+  it('saves bundle audio without overwriting existing recordings', () => {
+    const audio = { name: 'm1.wav', buffer: Buffer.from('a') };
+    const first = saveBundleAudio(audio, tmpDir);
+    const second = saveBundleAudio(audio, tmpDir);
+
+    expect(path.basename(first)).toBe('m1.wav');
+    expect(path.basename(second)).toBe('m1-2.wav');
+  });
+});
+
+describe('importMeetingBundle', () => {
+  it('imports under the original id with rows intact and local-only columns cleared', () => {
+    const data = JSON.parse(JSON.stringify(collectMeetingBundle(makeDb(), 'm1')));
+    const db = makeDb({ withMeeting: false });
+
+    const result = importMeetingBundle(db, data, { audioFile: '/new/machine/m1.wav' });
+
+    expect(result).toMatchObject({ meetingId: 'm1', renamed: false, alreadyImported: false });
+    const meeting = db.prepare("SELECT * FROM meetings WHERE id = 'm1'").get();
+    expect(meeting).toMatchObject({
+      title: 'Acme kickoff',
+      summaries: '[{"templateId":"exec","content":"Detailed"}]',
+      speaker_mapping: '{"Speaker A":"ann@acme.com"}',
+      video_file: '/new/machine/m1.wav',
+      vault_path: null,
+      obsidian_link: null,
+      recording_id: null,
+      series_id: null,
+    });
+    expect(rowsOf(db, 'transcript_entries', 'm1')).toEqual(data.transcript_entries);
+    expect(rowsOf(db, 'speaker_mappings', 'm1')).toEqual(data.speaker_mappings);
+    expect(rowsOf(db, 'calendar_attendees', 'm1')).toEqual(data.calendar_attendees);
+  });
+
+  it('remaps participants to local contacts by email', async () => {
+    const data = collectMeetingBundle(makeDb(), 'm1');
+    const lookup = vi.fn(async email =>
+      email === 'ann@acme.com' ? { resourceName: 'people/local-ann' } : null
+    );
+    const contactResources = await resolveContactResources(data, lookup);
+    const db = makeDb({ withMeeting: false });
+
+    importMeetingBundle(db, data, { contactResources });
+
+    expect(lookup).toHaveBeenCalledTimes(2);
+    expect(rowsOf(db, 'participants', 'm1').map(p => [p.email, p.google_contact_resource])).toEqual(
+      [
+        ['Ann@Acme.com', 'people/local-ann'],
+        ['bob@acme.com', null],
+      ]
+    );
+  });
+
+  it('skips a bundle of a meeting that is already here unchanged', () => {
+    const db = makeDb();
+    const data = collectMeetingBundle(db, 'm1');
+
+    const result = importMeetingBundle(db, data);
+
+    expect(result).toMatchObject({ meetingId: 'm1', alreadyImported: true });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM meetings').get().n).toBe(1);
+  });
+
+  it('keeps an edited meeting that is already here unless told otherwise', () => {
+    const db = makeDb();
+    const data = collectMeetingBundle(db, 'm1');
+    data.meeting.updated_at = '2026-03-05 09:00:00';
+    data.meeting.title = 'Acme kickoff (their notes)';
+
+    expect(bundleMeetingStatus(db, data)).toBe('changed');
+    expect(importMeetingBundle(db, data)).toMatchObject({ meetingId: 'm1', alreadyImported: true });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM meetings').get().n).toBe(1);
+    expect(db.prepare("SELECT title FROM meetings WHERE id = 'm1'").get().title).toBe(
+      'Acme kickoff'
+    );
+  });
+
+  it('replaces an edited meeting in place, keeping machine-local columns', () => {
+    const db = makeDb();
+    const data = JSON.parse(JSON.stringify(collectMeetingBundle(db, 'm1')));
+    data.meeting.updated_at = '2026-03-05 09:00:00';
+    data.meeting.title = 'Acme kickoff (their notes)';
+    data.transcript_entries = data.transcript_entries.slice(0, 1);
+
+    const result = importMeetingBundle(db, data, { onExisting: 'replace' });
+
+    expect(result).toMatchObject({ meetingId: 'm1', replaced: true, renamed: false });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM meetings').get().n).toBe(1);
+    expect(db.prepare("SELECT * FROM meetings WHERE id = 'm1'").get()).toMatchObject({
+      title: 'Acme kickoff (their notes)',
+      vault_path: 'Clients/Acme/kickoff.md',
+      series_id: 'local-m0',
+      video_file: '/old/machine/m1.wav',
+    });
+    expect(rowsOf(db, 'transcript_entries', 'm1')).toHaveLength(1);
+    expect(rowsOf(db, 'participants', 'm1')).toHaveLength(data.participants.length);
+  });
+
+  it('imports a different meeting with a taken id as a copy when asked', () => {
+    const db = makeDb();
+    const data = collectMeetingBundle(db, 'm1');
+    data.meeting.updated_at = '2026-03-05 09:00:00';
+
+    const first = importMeetingBundle(db, data, { onExisting: 'copy' });
+    const second = importMeetingBundle(db, data, { onExisting: 'copy' });
+
+    expect(first).toMatchObject({ meetingId: 'm1-imported', originalId: 'm1', renamed: true });
+    expect(second.meetingId).toBe('m1-imported-2');
+    expect(rowsOf(db, 'transcript_entries', 'm1-imported')).toHaveLength(2);
+    expect(rowsOf(db, 'transcript_entries', 'm1')).toHaveLength(2);
+    expect(resolveImportId(db, 'm2')).toBe('m2');
+  });
+
+  it('drops columns this install does not have', () => {
+    const data = collectMeetingBundle(makeDb(), 'm1');
+    data.meeting.added_in_a_later_version = 'x';
+    data.transcript_entries[0].words = [{ w: 'Welcome' }];
+    const db = makeDb({ withMeeting: false });
+
+    expect(importMeetingBundle(db, data).meetingId).toBe('m1');
+    expect(rowsOf(db, 'transcript_entries', 'm1')).toHaveLength(2);
+  });
+
+  it('brings tags and custom fields, creating missing definitions', () => {
+    const data = collectMeetingBundle(makeDb(), 'm1');
+    const db = makeDb({ withMeeting: false });
+    // This install has a Budget field of another type and a Stage field without "Won"
+    meetingFields.saveFieldDefinition(db, { label: 'Budget', type: 'text' });
+
+    const result = importMeetingBundle(db, data);
+
+    expect(meetingFields.getMeetingTags(db, 'm1')).toEqual(['acme', 'Kickoff']);
+    expect(meetingFields.getMeetingFieldValues(db, 'm1')).toEqual({ stage: 'Won' });
+    expect(result.skippedFields).toEqual([
+      { key: 'budget', value: 12000, reason: 'Budget is a text field here' },
+    ]);
+  });
+});
@@ -0,0 +1,388 @@
+/**
+ * Duplicate Meeting Unit Tests (schema v15)
+ *
+ * Tests:
+ *   1. transcriptSignature / signatureSimilarity — MinHash of word shingles
+ *   2. compareMeetings — calendar event, time, participant and transcript rules
+ *   3. findDuplicates / scanDuplicates — candidate window, trash, dismissals
+ *   4. pickMeetingToKeep / mergeMeetings — better transcript, unions, filled columns,
+ *      revisions and the replaced transcript kept on the merged meeting
+ */
+
+const Database = require('better-sqlite3');
+const {
+  createDuplicateTables,
+  transcriptSignature,
+  signatureSimilarity,
+  probeFromMeeting,
+  compareMeetings,
+  findDuplicates,
+  findDuplicatesOf,
+  scanDuplicates,
+  dismissDuplicate,
+  pickMeetingToKeep,
+  mergeMeetings,
+} = require('../../src/main/services/meetingDuplicates.js');
+const meetingFields = require('../../src/main/services/meetingFields.js');
+const {
+  createRevisionsTable,
+  listRevisions,
+} = require('../../src/main/services/meetingRevisions.js');
+
+const WORDS = (
+  'the quarterly budget review covered hiring plans for the support team, the new ' +
+  'pricing model for enterprise customers, a delay in the data migration project, ' +
+  'open questions about the vendor contract renewal and next steps for the product ' +
+  'launch in april including marketing spend and the training schedule for sales'
+).split(' ');
+
+function entries(words, speaker = 'Ann Lee') {
+  const out = [];
+  for (let i = 0; i < words.length; i += 10) {
+    out.push({ speaker, text: words.slice(i, i + 10).join(' '), timestamp: i });
+  }
+  return out;
+}
+
+const OTHER_WORDS = (
+  'weekend plans came up first then a long discussion of the office move, parking ' +
+  'permits, which desks go where, who keeps the plants, lunch options near the new ' +
+  'building and whether the coffee machine survives the trip across town on friday'
+).split(' ');
+
+// Slice of the real schema: the meeting columns duplicates and merges use, and the child tables.
+function makeDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE meetings (
+      id TEXT PRIMARY KEY, title TEXT NOT NULL, date TEXT NOT NULL, status TEXT DEFAULT 'past',
+      start_time TEXT, end_time TEXT, duration REAL, calendar_event_id TEXT,
+      calendar_html_link TEXT, calendar_description TEXT, meeting_link TEXT, platform TEXT,
+      participant_emails TEXT, summary TEXT, summaries TEXT, content TEXT, speaker_mapping TEXT,
+      transcription_provider TEXT, transcript_confidence REAL, video_file TEXT,
+      obsidian_link TEXT, created_at TEXT, updated_at TEXT
+    );
+    CREATE TABLE participants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, meeting_id TEXT NOT NULL, participant_id TEXT,
+      original_name TEXT NOT NULL, name TEXT NOT NULL, email TEXT
+    );
+    CREATE TABLE transcript_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, meeting_id TEXT NOT NULL, entry_order INTEGER NOT NULL,
+      speaker TEXT NOT NULL, speaker_name TEXT, speaker_email TEXT, text TEXT NOT NULL,
+      timestamp REAL
+    );
+    CREATE TABLE speaker_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, meeting_id TEXT NOT NULL, speaker_label TEXT NOT NULL,
+      email TEXT, name TEXT
+    );
+    CREATE TABLE calendar_attendees (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, meeting_id TEXT NOT NULL, name TEXT,
+      email TEXT NOT NULL
+    );
+  `);
+  meetingFields.createMeetingFieldTables(db);
+  createRevisionsTable(db);
+  createDuplicateTables(db);
+  return db;
+}
+
+function addMeeting(db, meeting) {
+  const {
+    id,
+    title = id,
+    date,
+    participants = [],
+    transcript = [],
+    attendees = [],
+    ...columns
+  } = meeting;
+  const row = { id, title, date, created_at: date, ...columns };
+  const names = Object.keys(row);
+  db.prepare(
+    `INSERT INTO meetings (${names.join(', ')}) VALUES (${names.map(n => `@${n}`).join(', ')})`
+  ).run(row);
+  for (const p of participants) {
+    db.prepare(
+      'INSERT INTO participants (meeting_id, original_name, name, email) VALUES (?, ?, ?, ?)'
+    ).run(id, p.name, p.name, p.email || null);
+  }
+  transcript.forEach((e, i) => {
+    db.prepare(
+      `INSERT INTO transcript_entries (meeting_id, entry_order, speaker, speaker_email, text, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(id, i, e.speaker, e.speakerEmail || null, e.text, e.timestamp ?? null);
+  });
+  for (const a of attendees) {
+    db.prepare('INSERT INTO calendar_attendees (meeting_id, name, email) VALUES (?, ?, ?)').run(
+      id,
+      a.name,
+      a.email
+    );
+  }
+}
+
+const ann = { name: 'Ann Lee', email: 'ann@acme.com' };
+const bob = { name: 'Bob Roe', email: 'bob@acme.com' };
+
+describe('transcript signatures', () => {
+  it('scores the same conversation high and a different one low', () => {
+    const a = transcriptSignature(entries(WORDS));
+    // Another tool's transcript of the same call: different line breaks, a few words missed
+    const b = transcriptSignature([
+      { text: WORDS.slice(0, 25).join(' ') },
+      { text: WORDS.slice(27).join(' ').toUpperCase() },
+    ]);
+    const c = transcriptSignature(entries(OTHER_WORDS));
+
+    expect(signatureSimilarity(a, a)).toBe(1);
+    expect(signatureSimilarity(a, b)).toBeGreaterThan(0.6);
+    expect(signatureSimilarity(a, c)).toBeLessThan(0.25);
+  });
+
+  it('has no signature for a transcript too short to compare', () => {
+    expect(transcriptSignature(entries(WORDS.slice(0, 12)))).toBeNull();
+    expect(transcriptSignature([])).toBeNull();
+  });
+});
+
+describe('compareMeetings', () => {
+  const probe = (overrides = {}) =>
+    probeFromMeeting({
+      id: 'x',
+      title: 'Sync',
+      date: '2026-03-02T15:00:00Z',
+      duration: 1800,
+      participants: [ann, bob],
+      ...overrides,
+    });
+
+  it('matches the same calendar event', () => {
+    const result = compareMeetings(
+      probe({ calendarEventId: 'evt1' }),
+      probe({ calendarEventId: 'evt1', date: '2026-03-02T18:00:00Z', participants: [] })
+    );
+    expect(result.duplicate).toBe(true);
+    expect(result.reasons).toContain('same calendar event');
+  });
+
+  it('keeps back-to-back meetings of different events apart', () => {
+    const result = compareMeetings(
+      probe({ calendarEventId: 'evt1' }),
+      probe({ calendarEventId: 'evt2' })
+    );
+    expect(result.duplicate).toBe(false);
+  });
+
+  it('needs time and participants to agree when there are no transcripts', () => {
+    expect(compareMeetings(probe(), probe({ date: '2026-03-02T15:10:00Z' })).duplicate).toBe(true);
+    expect(compareMeetings(probe(), probe({ participants: [{ name: 'Zed' }] })).duplicate).toBe(
+      false
+    );
+    expect(compareMeetings(probe(), probe({ date: '2026-03-02T17:00:00Z' })).duplicate).toBe(false);
+  });
+
+  it('lets the transcript decide', () => {
+    const same = entries(WORDS);
+    const other = entries(OTHER_WORDS);
+
+    // Same words, imported with a filename date hours off and no participants
+    expect(
+      compareMeetings(
+        probe({ transcript: same }),
+        probe({ transcript: same, date: '2026-03-02T09:00:00Z', participants: [] })
+      )
+    ).toMatchObject({ duplicate: true, reasons: ['similar transcript'] });
+    // Same slot and people, different conversation
+    expect(
+      compareMeetings(probe({ transcript: same }), probe({ transcript: other })).duplicate
+    ).toBe(false);
+  });
+});
+
+describe('finding duplicates', () => {
+  it('finds stored meetings a new one duplicates, skipping trashed and dismissed ones', () => {
+    const db = makeDb();
+    const base = { date: '2026-03-02T15:00:00.000Z', duration: 1800, participants: [ann, bob] };
+    addMeeting(db, { id: 'rec', ...base });
+    addMeeting(db, { id: 'trashed', ...base, status: 'trashed' });
+    addMeeting(db, { id: 'upcoming', ...base, status: 'upcoming' });
+    addMeeting(db, { id: 'dismissed', ...base });
+    addMeeting(db, { id: 'next-day', ...base, date: '2026-03-03T15:00:00.000Z' });
+    dismissDuplicate(db, 'dismissed', 'imported-1');
+
+    const found = findDuplicates(
+      db,
+      probeFromMeeting({ id: 'imported-1', title: 'Sync', ...base })
+    );
+
+    expect(found).toEqual([
+      expect.objectContaining({ id: 'rec', score: 1, reasons: expect.any(Array) }),
+    ]);
+    expect(findDuplicatesOf(db, 'rec').map(m => m.id)).toEqual(['dismissed']);
+  });
+
+  it('scans the database for pairs, including one calendar event imported days later', () => {
+    const db = makeDb();
+    addMeeting(db, { id: 'a', date: '2026-03-02T15:00:00.000Z', calendar_event_id: 'evt1' });
+    addMeeting(db, { id: 'b', date: '2026-03-05T09:00:00.000Z', calendar_event_id: 'evt1' });
+    addMeeting(db, {
+      id: 'c',
+      date: '2026-03-04T10:00:00.000Z',
+      participants: [ann],
+      transcript: entries(WORDS),
+    });
+    addMeeting(db, {
+      id: 'd',
+      date: '2026-03-04T10:05:00.000Z',
+      transcript: entries(WORDS, 'Speaker A'),
+    });
+    addMeeting(db, { id: 'e', date: '2026-03-04T10:00:00.000Z', transcript: entries(OTHER_WORDS) });
+
+    const pairs = scanDuplicates(db).map(p => [p.a.id, p.b.id].sort().join('+'));
+    expect(pairs.sort()).toEqual(['a+b', 'c+d']);
+
+    dismissDuplicate(db, 'd', 'c');
+    expect(scanDuplicates(db).map(p => p.a.id)).toEqual(['a']);
+  });
+});
+
+describe('merging duplicates', () => {
+  function seedPair(db) {
+    // A Zoom recording exported to the vault, with a generic-speaker transcript
+    addMeeting(db, {
+      id: 'rec',
+      title: 'Acme sync',
+      date: '2026-03-02T15:00:00.000Z',
+      obsidian_link: 'Clients/Acme/sync.md',
+      platform: 'unknown',
+      participant_emails: '["ann@acme.com"]',
+      summaries: '[{"templateId":"exec","content":"Kept"}]',
+      participants: [ann],
+      transcript: entries(WORDS.slice(0, 40), 'Speaker A'),
+      attendees: [ann],
+    });
+    // The same call imported later from a Fireflies export: better transcript, more people
+    addMeeting(db, {
+      id: 'imported',
+      title: 'Acme weekly sync',
+      date: '2026-03-02T15:00:00.000Z',
+      platform: 'zoom',
+      calendar_event_id: 'evt1',
+      video_file: '/recordings/imported.mp3',
+      participant_emails: '["Bob@acme.com","ann@acme.com"]',
+      summaries:
+        '[{"templateId":"exec","content":"Dropped"},{"templateId":"actions","content":"Added"}]',
+      speaker_mapping: '{"Speaker A":{"name":"Ann Lee","email":"ann@acme.com"}}',
+      transcription_provider: 'fireflies',
+      participants: [{ name: 'ann lee', email: 'ANN@acme.com' }, bob],
+      transcript: WORDS.map((word, i) => ({ speaker: i % 2 ? 'Bob Roe' : 'Ann Lee', text: word })),
+      attendees: [bob],
+    });
+    db.prepare(
+      "INSERT INTO speaker_mappings (meeting_id, speaker_label, email, name) VALUES ('imported', 'Speaker A', 'ann@acme.com', 'Ann Lee')"
+    ).run();
+    meetingFields.setMeetingTags(db, 'rec', ['acme']);
+    meetingFields.setMeetingTags(db, 'imported', ['weekly', 'acme']);
+  }
+
+  it('keeps the meeting already in the vault', () => {
+    const db = makeDb();
+    seedPair(db);
+    expect(pickMeetingToKeep(db, 'imported', 'rec')).toEqual({
+      keepId: 'rec',
+      mergeId: 'imported',
+    });
+  });
+
+  it('keeps the older meeting when neither is in the vault or has a recording', () => {
+    const db = makeDb();
+    addMeeting(db, { id: 'new', date: '2026-03-02T15:00:00.000Z', created_at: '2026-03-03' });
+    addMeeting(db, { id: 'old', date: '2026-03-02T15:00:00.000Z', created_at: '2026-03-02' });
+    expect(pickMeetingToKeep(db, 'new', 'old').keepId).toBe('old');
+  });
+
+  it('takes the better transcript and the union of everything else', () => {
+    const db = makeDb();
+    seedPair(db);
+    dismissDuplicate(db, 'rec', 'imported');
+
+    const keptTranscript = db
+      .prepare("SELECT text FROM transcript_entries WHERE meeting_id = 'rec' ORDER BY entry_order")
+      .all();
+
+    const result = mergeMeetings(db, 'rec', 'imported');
+
+    expect(result).toEqual({
+      keptId: 'rec',
+      mergedId: 'imported',
+      transcriptFrom: 'merged',
+      addedParticipants: 1,
+      addedSummaries: 1,
+      adoptedColumns: ['calendar_event_id', 'video_file'],
+    });
+    const kept = db.prepare("SELECT * FROM meetings WHERE id = 'rec'").get();
+    expect(kept).toMatchObject({
+      title: 'Acme sync',
+      platform: 'zoom',
+      calendar_event_id: 'evt1',
+      video_file: '/recordings/imported.mp3',
+      speaker_mapping: '{"Speaker A":{"name":"Ann Lee","email":"ann@acme.com"}}',
+      transcription_provider: 'fireflies',
+    });
+    expect(JSON.parse(kept.participant_emails)).toEqual(['ann@acme.com', 'bob@acme.com']);
+    expect(JSON.parse(kept.summaries)).toEqual([
+      { templateId: 'exec', content: 'Kept' },
+      { templateId: 'actions', content: 'Added' },
+    ]);
+
+    const rows = table =>
+      db.prepare(`SELECT * FROM ${table} WHERE meeting_id = 'rec' ORDER BY id`).all();
+    expect(rows('transcript_entries')).toHaveLength(WORDS.length);
+    expect(rows('speaker_mappings').map(m => m.name)).toEqual(['Ann Lee']);
+    expect(rows('participants').map(p => p.email)).toEqual(['ann@acme.com', 'bob@acme.com']);
+    expect(rows('calendar_attendees').map(a => a.email)).toEqual(['ann@acme.com', 'bob@acme.com']);
+    expect(meetingFields.getMeetingTags(db, 'rec').sort()).toEqual(['acme', 'weekly']);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM duplicate_dismissals').get().n).toBe(0);
+
+    // The merged meeting (which the caller moves to the Trash) keeps what was replaced
+    const merged = db.prepare("SELECT * FROM meetings WHERE id = 'imported'").get();
+    expect(merged).toMatchObject({ speaker_mapping: null, transcription_provider: null });
+    expect(
+      db
+        .prepare(
+          "SELECT text FROM transcript_entries WHERE meeting_id = 'imported' ORDER BY entry_order"
+        )
+        .all()
+    ).toEqual(keptTranscript);
+    expect(
+      db.prepare("SELECT COUNT(*) AS n FROM speaker_mappings WHERE meeting_id = 'imported'").get().n
+    ).toBe(0);
+
+    // ...and the overwrites are in the history
+    expect(listRevisions(db, 'rec').map(r => [r.field, r.source, r.reason])).toEqual([
+      ['summaries', 'system', 'Merged "Acme weekly sync" into it'],
+    ]);
+    expect(listRevisions(db, 'imported').map(r => [r.field, r.reason])).toEqual([
+      ['speakerMapping', 'Transcript swapped with "Acme sync" in a merge'],
+    ]);
+  });
+
+  it('keeps its own transcript when it is the better one', () => {
+    const db = makeDb();
+    addMeeting(db, {
+      id: 'a',
+      date: '2026-03-02T15:00:00.000Z',
+      transcript: entries(WORDS),
+    });
+    addMeeting(db, {
+      id: 'b',
+      date: '2026-03-02T15:00:00.000Z',
+      transcript: entries(WORDS.slice(0, 30), 'Speaker 1'),
+    });
+
+    expect(mergeMeetings(db, 'a', 'b').transcriptFrom).toBe('kept');
+    expect(() => mergeMeetings(db, 'a', 'a')).toThrow(/into itself/);
+    db.prepare("UPDATE meetings SET status = 'trashed' WHERE id = 'b'").run();
+    expect(() => mergeMeetings(db, 'a', 'b')).toThrow(/Trash/);
+  });
+});
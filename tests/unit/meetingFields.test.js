@@ -0,0 +1,236 @@
+/**
+ * Meeting Tags and Custom Fields Unit Tests (schema v13)
+ *
+ * Tests:
+ *   1. setMeetingTags / listTags / tagFilterSql — normalization, counts, AND filters
+ *   2. migrateExtraFieldTags — pre-v13 MCP tags move out of extra_fields
+ *   3. saveFieldDefinition — keys, type lock, select option changes
+ *   4. coerceFieldValue / setMeetingFieldValues — validation and storage
+ *   5. obsidianTag / customFieldsFrontmatter — vault note output
+ */
+
+const Database = require('better-sqlite3');
+const {
+  createMeetingFieldTables,
+  hasMeetingFieldTables,
+  getMeetingTags,
+  setMeetingTags,
+  listTags,
+  tagFilterSql,
+  migrateExtraFieldTags,
+  listFieldDefinitions,
+  saveFieldDefinition,
+  deleteFieldDefinition,
+  coerceFieldValue,
+  getMeetingFieldValues,
+  setMeetingFieldValues,
+  obsidianTag,
+  customFieldsFrontmatter,
+} = require('../../src/main/services/meetingFields.js');
+
+// Minimal slice of the real schema: only the columns tags and fields touch.
+function makeDb() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE meetings (id TEXT PRIMARY KEY, title TEXT NOT NULL, status TEXT, extra_fields TEXT);
+    INSERT INTO meetings VALUES ('m1', 'Weekly sync', 'past', NULL);
+    INSERT INTO meetings VALUES ('m2', 'Board prep', 'past', NULL);
+    INSERT INTO meetings VALUES ('m3', 'Old pitch', 'trashed', NULL);
+  `);
+  createMeetingFieldTables(db);
+  return db;
+}
+
+describe('tags', () => {
+  it('stores normalized tags in the order given', () => {
+    const db = makeDb();
+    expect(setMeetingTags(db, 'm1', [' Pricing ', 'Q3', 'pricing', ''])).toEqual(['Pricing', 'Q3']);
+    expect(getMeetingTags(db, 'm1')).toEqual(['Pricing', 'Q3']);
+
+    setMeetingTags(db, 'm1', ['Q3']);
+    expect(getMeetingTags(db, 'm1')).toEqual(['Q3']);
+  });
+
+  it('counts tags across meetings, ignoring case and the Trash', () => {
+    const db = makeDb();
+    setMeetingTags(db, 'm1', ['Pricing', 'Q3']);
+    setMeetingTags(db, 'm2', ['pricing']);
+    setMeetingTags(db, 'm3', ['Q3', 'Legacy']);
+
+    expect(listTags(db)).toEqual([
+      { tag: 'Pricing', count: 2 },
+      { tag: 'Q3', count: 1 },
+    ]);
+  });
+
+  it('builds a filter that requires every tag', () => {
+    const db = makeDb();
+    setMeetingTags(db, 'm1', ['Pricing', 'Q3']);
+    setMeetingTags(db, 'm2', ['Pricing']);
+
+    const filter = tagFilterSql('m.id', ['pricing', 'q3']);
+    const ids = db
+      .prepare(`SELECT m.id FROM meetings m WHERE 1 = 1${filter.sql} ORDER BY m.id`)
+      .all(...filter.params)
+      .map(r => r.id);
+    expect(ids).toEqual(['m1']);
+    expect(tagFilterSql('m.id', [])).toEqual({ sql: '', params: [] });
+  });
+
+  it('moves extra_fields tags into meeting_tags', () => {
+    const db = makeDb();
+    expect(hasMeetingFieldTables(db)).toBe(true);
+    setMeetingTags(db, 'm1', ['Existing']);
+    db.prepare(
+      `UPDATE meetings SET extra_fields = '{"tags":["existing","Pricing"],"autoStart":true}' WHERE id = 'm1'`
+    ).run();
+    db.prepare(`UPDATE meetings SET extra_fields = '{"tags":["Q3"]}' WHERE id = 'm2'`).run();
+    db.prepare(`UPDATE meetings SET extra_fields = '{"tags": broken' WHERE id = 'm3'`).run();
+
+    const warn = vi.fn();
+    expect(migrateExtraFieldTags(db, warn)).toBe(2);
+    expect(warn).toHaveBeenCalledOnce();
+    expect(getMeetingTags(db, 'm1')).toEqual(['Existing', 'Pricing']);
+    expect(getMeetingTags(db, 'm2')).toEqual(['Q3']);
+    expect(db.prepare('SELECT id, extra_fields FROM meetings ORDER BY id').all()).toEqual([
+      { id: 'm1', extra_fields: '{"autoStart":true}' },
+      { id: 'm2', extra_fields: null },
+      { id: 'm3', extra_fields: '{"tags": broken' },
+    ]);
+  });
+});
+
+describe('field definitions', () => {
+  it('derives unique, frontmatter-safe keys from labels', () => {
+    const db = makeDb();
+    expect(saveFieldDefinition(db, { label: 'Deal Stage', type: 'text' }).key).toBe('deal_stage');
+    expect(saveFieldDefinition(db, { label: 'deal stage!', type: 'text' }).key).toBe(
+      'deal_stage_2'
+    );
+    expect(saveFieldDefinition(db, { label: 'Date', type: 'date' }).key).toBe('field_date');
+    expect(saveFieldDefinition(db, { label: '2026 Budget', type: 'number' }).key).toBe(
+      'field_2026_budget'
+    );
+    expect(saveFieldDefinition(db, { label: 'Café', type: 'text' }).key).toBe('cafe');
+    expect(listFieldDefinitions(db).map(d => d.key)).toEqual([
+      'deal_stage',
+      'deal_stage_2',
+      'field_date',
+      'field_2026_budget',
+      'cafe',
+    ]);
+  });
+
+  it('rejects bad definitions and type changes', () => {
+    const db = makeDb();
+    expect(() => saveFieldDefinition(db, { label: ' ', type: 'text' })).toThrow(/empty/);
+    expect(() => saveFieldDefinition(db, { label: 'X', type: 'boolean' })).toThrow(
+      /Unknown field type/
+    );
+    expect(() => saveFieldDefinition(db, { label: 'Stage', type: 'select', options: [] })).toThrow(
+      /at least one/
+    );
+
+    const field = saveFieldDefinition(db, { label: 'Budget', type: 'number' });
+    expect(() => saveFieldDefinition(db, { id: field.id, label: 'Budget', type: 'text' })).toThrow(
+      /Cannot change/
+    );
+    expect(saveFieldDefinition(db, { id: field.id, label: 'Budget (USD)' })).toMatchObject({
+      key: 'budget',
+      label: 'Budget (USD)',
+    });
+  });
+
+  it('clears values for removed select options and for deleted fields', () => {
+    const db = makeDb();
+    const stage = saveFieldDefinition(db, {
+      label: 'Stage',
+      type: 'select',
+      options: ['Discovery', 'Proposal'],
+    });
+    setMeetingFieldValues(db, 'm1', { stage: 'discovery' });
+    setMeetingFieldValues(db, 'm2', { stage: 'Proposal' });
+
+    saveFieldDefinition(db, { id: stage.id, label: 'Stage', options: ['Proposal', 'Closed'] });
+    expect(getMeetingFieldValues(db, 'm1')).toEqual({});
+    expect(getMeetingFieldValues(db, 'm2')).toEqual({ stage: 'Proposal' });
+
+    expect(deleteFieldDefinition(db, stage.id)).toBe(true);
+    expect(deleteFieldDefinition(db, stage.id)).toBe(false);
+    expect(getMeetingFieldValues(db, 'm2')).toEqual({});
+  });
+});
+
+describe('field values', () => {
+  const number = { label: 'Budget', type: 'number', options: [] };
+  const date = { label: 'Renewal', type: 'date', options: [] };
+  const select = { label: 'Stage', type: 'select', options: ['Discovery', 'Proposal'] };
+
+  it('coerces values to their stored form', () => {
+    expect(coerceFieldValue(number, '1500.50')).toBe('1500.5');
+    expect(coerceFieldValue(number, 42)).toBe('42');
+    expect(coerceFieldValue(date, '2026-02-28')).toBe('2026-02-28');
+    expect(coerceFieldValue(date, '2026-02-28T10:00:00Z')).toBe('2026-02-28');
+    expect(coerceFieldValue(select, 'proposal')).toBe('Proposal');
+    expect(coerceFieldValue({ label: 'Notes', type: 'text' }, '  hi  ')).toBe('hi');
+    expect(coerceFieldValue(number, '  ')).toBeNull();
+    expect(coerceFieldValue(date, null)).toBeNull();
+  });
+
+  it('rejects values that do not fit the type', () => {
+    expect(() => coerceFieldValue(number, 'lots')).toThrow('Budget must be a number');
+    expect(() => coerceFieldValue(date, '2026-02-30')).toThrow(
+      'Renewal must be a date (YYYY-MM-DD)'
+    );
+    expect(() => coerceFieldValue(date, 'next week')).toThrow(/must be a date/);
+    expect(() => coerceFieldValue(select, 'Closed')).toThrow(
+      'Stage must be one of: Discovery, Proposal'
+    );
+  });
+
+  it('sets and clears values, writing nothing if any value is invalid', () => {
+    const db = makeDb();
+    saveFieldDefinition(db, { label: 'Budget', type: 'number' });
+    saveFieldDefinition(db, { label: 'Owner', type: 'text' });
+
+    expect(setMeetingFieldValues(db, 'm1', { owner: 'Dana', budget: '1200' })).toEqual({
+      budget: 1200,
+      owner: 'Dana',
+    });
+    expect(() => setMeetingFieldValues(db, 'm1', { owner: 'Sam', budget: 'n/a' })).toThrow(
+      /number/
+    );
+    expect(() => setMeetingFieldValues(db, 'm1', { missing: 'x' })).toThrow(
+      'Unknown custom field: missing'
+    );
+    expect(getMeetingFieldValues(db, 'm1')).toEqual({ budget: 1200, owner: 'Dana' });
+
+    expect(setMeetingFieldValues(db, 'm1', { budget: null })).toEqual({ owner: 'Dana' });
+  });
+});
+
+describe('vault frontmatter', () => {
+  it('converts tags to Obsidian tag syntax', () => {
+    expect(obsidianTag('#Deal Review')).toBe('Deal-Review');
+    expect(obsidianTag('clients/acme')).toBe('clients/acme');
+    expect(obsidianTag('Q3 (draft)!')).toBe('Q3-draft');
+    expect(obsidianTag('!!!')).toBe('');
+  });
+
+  it('writes numbers and dates bare and quotes text', () => {
+    const definitions = [
+      { key: 'budget', type: 'number' },
+      { key: 'renewal', type: 'date' },
+      { key: 'stage', type: 'select' },
+      { key: 'owner', type: 'text' },
+    ];
+    expect(
+      customFieldsFrontmatter(
+        { owner: 'Dana "D" Lee', budget: 1200, renewal: '2026-07-01', stage: 'Proposal' },
+        definitions
+      )
+    ).toBe('budget: 1200\nrenewal: 2026-07-01\nstage: "Proposal"\nowner: "Dana \\"D\\" Lee"\n');
+    expect(customFieldsFrontmatter(undefined, definitions)).toBe('');
+  });
+});
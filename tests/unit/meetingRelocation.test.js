@@ -0,0 +1,190 @@
+/**
+ * Meeting Relocation Unit Tests
+ *
+ * Tests:
+ *   1. toNoteLink — vault-relative vs absolute obsidianLinks
+ *   2. planRelocations — unchanged, moved, conflicting and missing notes
+ *   3. rewriteNoteLinks — wiki and markdown links by vault path
+ *   4. VaultStructure.moveMeetingNote / repairLinks — on a temp vault
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  toNoteLink,
+  planRelocations,
+  rewriteNoteLinks,
+} = require('../../src/main/routing/meetingRelocation.js');
+const VaultStructure = require('../../src/main/storage/VaultStructure.js');
+
+const VAULT = path.resolve('/vault');
+
+const meeting = (id, obsidianLink) => ({
+  id,
+  title: `Meeting ${id}`,
+  date: '2026-03-10',
+  obsidianLink,
+});
+const decision = (...fullPaths) => ({
+  routes: fullPaths.map(fullPath => ({ fullPath, type: 'client', organizationName: 'Acme' })),
+  routedClientIds: ['client-acme'],
+});
+
+describe('toNoteLink', () => {
+  it('records notes in the vault relative to it, with forward slashes', () => {
+    expect(toNoteLink(VAULT, path.join(VAULT, 'clients', 'acme', 'note.md'))).toBe(
+      'clients/acme/note.md'
+    );
+  });
+
+  it('keeps notes outside the vault absolute', () => {
+    const outside = path.resolve('/elsewhere/acme/note.md');
+    expect(toNoteLink(VAULT, outside)).toBe(outside);
+  });
+});
+
+describe('planRelocations', () => {
+  const existing = new Set([
+    path.join(VAULT, '_unfiled', '2026-03-10-sync', '2026-03-10-sync.md'),
+    path.join(VAULT, 'clients', 'acme', '2026-03-10-board', '2026-03-10-board.md'),
+    path.join(VAULT, '_unfiled', '2026-03-10-board', '2026-03-10-board.md'),
+  ]);
+  const exists = file => existing.has(path.resolve(file));
+
+  it('plans a move for a meeting routing now puts elsewhere', () => {
+    const moves = planRelocations(
+      [meeting('m1', '_unfiled/2026-03-10-sync/2026-03-10-sync.md')],
+      () => decision('clients/acme/2026-03-10-sync'),
+      VAULT,
+      exists
+    );
+    expect(moves).toEqual([
+      expect.objectContaining({
+        meetingId: 'm1',
+        from: '_unfiled/2026-03-10-sync/2026-03-10-sync.md',
+        to: 'clients/acme/2026-03-10-sync/2026-03-10-sync.md',
+        fromFolder: '_unfiled/2026-03-10-sync',
+        toFolder: 'clients/acme/2026-03-10-sync',
+        routedClientIds: ['client-acme'],
+        conflict: null,
+      }),
+    ]);
+  });
+
+  it('leaves meetings already in one of their routes, and unexported meetings', () => {
+    const moves = planRelocations(
+      [
+        meeting('m1', 'clients/acme/2026-03-10-board/2026-03-10-board.md'),
+        meeting('m2', undefined),
+      ],
+      () => decision('clients/globex/2026-03-10-board', 'clients/acme/2026-03-10-board'),
+      VAULT,
+      exists
+    );
+    expect(moves).toEqual([]);
+  });
+
+  it('moves into absolute client folders', () => {
+    const clientFolder = path.resolve('/clients/acme/2026-03-10-sync');
+    const [move] = planRelocations(
+      [meeting('m1', '_unfiled/2026-03-10-sync/2026-03-10-sync.md')],
+      () => decision(clientFolder),
+      VAULT,
+      exists
+    );
+    expect(move.to).toBe(path.join(clientFolder, '2026-03-10-sync.md'));
+  });
+
+  it('flags notes that would collide or are missing', () => {
+    const moves = planRelocations(
+      [
+        meeting('m1', '_unfiled/2026-03-10-board/2026-03-10-board.md'),
+        meeting('m2', '_unfiled/gone/2026-03-10-gone.md'),
+      ],
+      m => decision(m.id === 'm1' ? 'clients/acme/2026-03-10-board' : 'clients/acme/gone'),
+      VAULT,
+      exists
+    );
+    expect(moves.map(m => m.conflict)).toEqual([
+      'A note with the same name is already there',
+      'The note is missing from the vault',
+    ]);
+  });
+});
+
+describe('rewriteNoteLinks', () => {
+  const renames = [
+    { from: '_unfiled/a/2026-03-10-sync.md', to: 'clients/acme/a/2026-03-10-sync.md' },
+  ];
+
+  it('rewrites wiki links by vault path, keeping aliases and headings', () => {
+    const { content, count } = rewriteNoteLinks(
+      '**Next in series:** [[_unfiled/a/2026-03-10-sync|Sync]] and [[_unfiled/a/2026-03-10-sync#Actions]] and [[_unfiled/a/2026-03-10-sync.md]]',
+      renames
+    );
+    expect(content).toBe(
+      '**Next in series:** [[clients/acme/a/2026-03-10-sync|Sync]] and [[clients/acme/a/2026-03-10-sync#Actions]] and [[clients/acme/a/2026-03-10-sync.md]]'
+    );
+    expect(count).toBe(3);
+  });
+
+  it('rewrites markdown links by vault path', () => {
+    const { content } = rewriteNoteLinks('[Sync](_unfiled/a/2026-03-10-sync.md#top)', renames);
+    expect(content).toBe('[Sync](clients/acme/a/2026-03-10-sync.md#top)');
+  });
+
+  it('leaves other notes and longer names alone', () => {
+    const text =
+      '[[_unfiled/a/2026-03-10-sync-transcript]] [[2026-03-10-sync]] [x](./2026-03-10-sync.md)';
+    expect(rewriteNoteLinks(text, renames)).toEqual({ content: text, count: 0 });
+  });
+});
+
+describe('VaultStructure moves', () => {
+  let vaultRoot;
+  let vault;
+  const write = (relative, content) => {
+    const file = path.join(vaultRoot, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content, 'utf8');
+  };
+  const read = relative => fs.readFileSync(path.join(vaultRoot, relative), 'utf8');
+
+  beforeEach(() => {
+    vaultRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-relocate-'));
+    vault = new VaultStructure(vaultRoot);
+    write('_unfiled/a/note.md', 'summary [Transcript](./note-transcript.md)');
+    write('_unfiled/a/note-transcript.md', 'transcript');
+  });
+
+  afterEach(() => {
+    fs.rmSync(vaultRoot, { recursive: true, force: true });
+  });
+
+  it('moves the note and its transcript and removes the emptied folder', () => {
+    expect(vault.moveMeetingNote('_unfiled/a/note.md', 'clients/acme/a/note.md')).toBe(2);
+    expect(read('clients/acme/a/note.md')).toContain('./note-transcript.md');
+    expect(read('clients/acme/a/note-transcript.md')).toBe('transcript');
+    expect(fs.existsSync(path.join(vaultRoot, '_unfiled', 'a'))).toBe(false);
+  });
+
+  it('refuses to overwrite and leaves both notes in place', () => {
+    write('clients/acme/a/note-transcript.md', 'other');
+    expect(() => vault.moveMeetingNote('_unfiled/a/note.md', 'clients/acme/a/note.md')).toThrow(
+      /already exists/
+    );
+    expect(read('_unfiled/a/note.md')).toContain('summary');
+    expect(read('clients/acme/a/note-transcript.md')).toBe('other');
+  });
+
+  it('repairs links in other notes', () => {
+    write('clients/acme/b/prev.md', '**Next in series:** [[_unfiled/a/note|Note]]');
+    const result = vault.repairLinks([
+      { from: '_unfiled/a/note.md', to: 'clients/acme/a/note.md' },
+      { from: path.join(vaultRoot, 'x.md'), to: 'y.md' },
+    ]);
+    expect(result).toEqual({ filesChanged: 1, linksRepaired: 1 });
+    expect(read('clients/acme/b/prev.md')).toBe('**Next in series:** [[clients/acme/a/note|Note]]');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Meeting Revisions Unit Tests (schema v11)
+ *
+ * Tests:
+ *   1. diffTrackedFields — which overwrites are recorded (speaker mapping identity only)
+ *   2. recordRevisions — sources, coalescing of quick user edits, pruning
+ *   3. listRevisions / getRevision / diffLines
+ *   4. applyRevisionValue — restoring values, speaker mapping relabels the transcript
+ *   5. MCP writes (meetingWrites.js) record 'mcp' revisions
+ */
+
+const Database = require('better-sqlite3');
+const {
+  createRevisionsTable,
+  diffTrackedFields,
+  recordRevisions,
+  listRevisions,
+  getRevision,
+  diffLines,
+  applyRevisionValue,
+} = require('../../src/main/services/meetingRevisions.js');
+const { updateMeetingTitle, addMeetingNote } = require('../../src/main/services/meetingWrites.js');
+
+// Minimal slice of the real schema: only the columns the revisions touch.
+function makeDb() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE meetings (
+      id TEXT PRIMARY KEY, title TEXT NOT NULL, content TEXT, summary TEXT,
+      summaries TEXT, speaker_mapping TEXT, updated_at TEXT, status TEXT
+    );
+    CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, source TEXT, action TEXT, meeting_id TEXT,
+      before_value TEXT, after_value TEXT, created_at TEXT
+    );
+    INSERT INTO meetings (id, title, content) VALUES ('m1', 'Weekly sync', '# Weekly sync\n\nOld notes');
+  `);
+  createRevisionsTable(db);
+  return db;
+}
+
+const at = seconds => new Date(Date.UTC(2026, 2, 2, 10, 0, seconds));
+const mapping = (name, extra = {}) => JSON.stringify({ 'Speaker A': { name, email: null, ...extra } });
+
+describe('diffTrackedFields', () => {
+  it('lists overwritten tracked fields and ignores first writes and untracked columns', () => {
+    const before = { title: 'Weekly sync', content: null, summary: 'Old', platform: 'zoom' };
+    const after = { title: 'Acme weekly sync', content: '# Notes', summary: 'Old', platform: 'teams' };
+    expect(diffTrackedFields(before, after)).toEqual([
+      { field: 'title', before: 'Weekly sync', after: 'Acme weekly sync' },
+    ]);
+    expect(diffTrackedFields(null, after)).toEqual([]);
+  });
+
+  it('compares speaker mappings by name and email only', () => {
+    const before = { speaker_mapping: mapping('Dana', { embedding: [0.1, 0.2] }) };
+    expect(diffTrackedFields(before, { speaker_mapping: mapping('Dana', { embedding: [0.3] }) })).toEqual([]);
+    expect(diffTrackedFields(before, { speaker_mapping: mapping('Sam') })).toEqual([
+      {
+        field: 'speakerMapping',
+        before: '{"Speaker A":{"name":"Dana","email":null}}',
+        after: '{"Speaker A":{"name":"Sam","email":null}}',
+      },
+    ]);
+  });
+});
+
+describe('recordRevisions', () => {
+  it('attributes fields to their source, with per-field overrides', () => {
+    const db = makeDb();
+    recordRevisions(
+      db,
+      'm1',
+      { title: 'Weekly sync', content: 'Old notes' },
+      { title: 'Acme - Dana - Pricing', content: 'New summary' },
+      { source: 'llm', fieldSources: { title: 'content-pass' }, reason: 'Regenerated summary', now: at(0) }
+    );
+
+    expect(listRevisions(db, 'm1').map(r => [r.field, r.source, r.reason])).toEqual([
+      ['content', 'llm', 'Regenerated summary'],
+      ['title', 'content-pass', 'Regenerated summary'],
+    ]);
+    expect(() => recordRevisions(db, 'm1', { title: 'a' }, { title: 'b' }, { source: 'robot' })).toThrow(
+      /Invalid revision source/
+    );
+  });
+
+  it('folds quick consecutive user edits into one revision', () => {
+    const db = makeDb();
+    recordRevisions(db, 'm1', { content: 'v1' }, { content: 'v2' }, { source: 'user', now: at(0) });
+    recordRevisions(db, 'm1', { content: 'v2' }, { content: 'v3' }, { source: 'user', now: at(30) });
+    expect(listRevisions(db, 'm1')).toHaveLength(1);
+    expect(getRevision(db, listRevisions(db, 'm1')[0].id)).toMatchObject({ before: 'v1', after: 'v3' });
+
+    // Outside the window, or from another source, starts a new revision
+    recordRevisions(db, 'm1', { content: 'v3' }, { content: 'v4' }, { source: 'user', now: at(120) });
+    recordRevisions(db, 'm1', { content: 'v4' }, { content: 'v5' }, { source: 'llm', now: at(125) });
+    expect(listRevisions(db, 'm1')).toHaveLength(3);
+
+    // Typing back to where a revision started drops it
+    recordRevisions(db, 'm1', { title: 'A' }, { title: 'B' }, { source: 'user', now: at(200) });
+    recordRevisions(db, 'm1', { title: 'B' }, { title: 'A' }, { source: 'user', now: at(210) });
+    expect(listRevisions(db, 'm1', { field: 'title' })).toEqual([]);
+  });
+
+  it('keeps the newest 50 revisions per field and is removed with its meeting', () => {
+    const db = makeDb();
+    for (let i = 0; i < 55; i++) {
+      recordRevisions(db, 'm1', { content: `v${i}` }, { content: `v${i + 1}` }, { source: 'llm' });
+    }
+    const revisions = listRevisions(db, 'm1');
+    expect(revisions).toHaveLength(50);
+    expect(revisions[49].beforePreview).toBe('v5');
+
+    db.prepare("DELETE FROM meetings WHERE id = 'm1'").run();
+    expect(listRevisions(db, 'm1')).toEqual([]);
+  });
+});
+
+describe('getRevision and diffLines', () => {
+  it('diffs the display text of a revision', () => {
+    const db = makeDb();
+    recordRevisions(db, 'm1', { speaker_mapping: mapping('Dana') }, { speaker_mapping: mapping('Sam') }, { source: 'user' });
+    const [summary] = listRevisions(db, 'm1');
+    expect(summary).toMatchObject({ beforePreview: 'Speaker A → Dana', afterPreview: 'Speaker A → Sam' });
+
+    expect(getRevision(db, summary.id).diff).toEqual([
+      { type: 'remove', text: 'Speaker A → Dana' },
+      { type: 'add', text: 'Speaker A → Sam' },
+    ]);
+    expect(getRevision(db, 999)).toBeNull();
+  });
+
+  it('collapses long unchanged runs around changes', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `line ${i}`);
+    const changed = [...lines];
+    changed[10] = 'line ten';
+
+    expect(diffLines(lines.join('\n'), changed.join('\n'), { context: 2 })).toEqual([
+      { type: 'skip', count: 8 },
+      { type: 'same', text: 'line 8' },
+      { type: 'same', text: 'line 9' },
+      { type: 'remove', text: 'line 10' },
+      { type: 'add', text: 'line ten' },
+      { type: 'same', text: 'line 11' },
+      { type: 'same', text: 'line 12' },
+      { type: 'skip', count: 7 },
+    ]);
+  });
+});
+
+describe('applyRevisionValue', () => {
+  it('restores text fields and template summaries', () => {
+    const meeting = { title: 'New', summaries: [] };
+    applyRevisionValue(meeting, 'title', 'Old');
+    applyRevisionValue(meeting, 'summaries', '[{"templateId":"t1","content":"x"}]');
+    expect(meeting).toEqual({ title: 'Old', summaries: [{ templateId: 't1', content: 'x' }] });
+    expect(() => applyRevisionValue(meeting, 'platform', 'zoom')).toThrow(/Not a tracked meeting field/);
+  });
+
+  it('restores speaker names, keeps extras and relabels the transcript', () => {
+    const meeting = {
+      speakerMapping: {
+        'Speaker A': { name: 'Sam', email: 'sam@globex.com', embedding: [0.1] },
+        'Speaker B': { name: 'Pat' },
+      },
+      transcript: [
+        { speaker: 'Speaker A', speakerName: 'Sam', speakerDisplayName: '[[Sam]]', text: 'Hi' },
+        { speaker: 'Speaker B', speakerName: 'Pat', text: 'Hello' },
+      ],
+    };
+    applyRevisionValue(meeting, 'speakerMapping', '{"Speaker A":{"name":"Dana Lee","email":"dana@acme.com"}}');
+
+    expect(meeting.speakerMapping).toEqual({
+      'Speaker A': { name: 'Dana Lee', email: 'dana@acme.com', embedding: [0.1], confidence: 'manual', method: 'revert' },
+    });
+    expect(meeting.transcript).toEqual([
+      {
+        speaker: 'Speaker A',
+        speakerName: 'Dana Lee',
+        speakerEmail: 'dana@acme.com',
+        speakerDisplayName: undefined,
+        speakerMapped: true,
+        text: 'Hi',
+      },
+      {
+        speaker: 'Speaker B',
+        speakerName: 'Speaker B',
+        speakerEmail: undefined,
+        speakerDisplayName: undefined,
+        speakerMapped: false,
+        text: 'Hello',
+      },
+    ]);
+  });
+});
+
+describe('MCP writes', () => {
+  it('record mcp revisions alongside the audit log', () => {
+    const db = makeDb();
+    updateMeetingTitle(db, { meetingId: 'm1', title: 'Board prep' }, 'mcp');
+    addMeetingNote(db, { meetingId: 'm1', note: 'Follow up', heading: 'Action' }, 'mcp');
+
+    const revisions = listRevisions(db, 'm1');
+    expect(revisions.map(r => [r.field, r.source])).toEqual([
+      ['content', 'mcp'],
+      ['title', 'mcp'],
+    ]);
+    expect(getRevision(db, revisions[1].id)).toMatchObject({ before: 'Weekly sync', after: 'Board prep' });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Recurring Meeting Series Unit Tests (schema v10)
+ *
+ * Tests:
+ *   1. seriesIdFromCalendarEvent — Google recurring instance ids
+ *   2. titleTokens / cadenceMatches — similarity building blocks
+ *   3. assignMeetingSeries / backfillSeries — calendar + similarity detection
+ *   4. getSeriesNeighbors — previous / next ordering
+ *   5. buildPreviousMeetingContext / buildSeriesNav / replaceSeriesNav
+ */
+
+const Database = require('better-sqlite3');
+const {
+  seriesIdFromCalendarEvent,
+  titleTokens,
+  cadenceMatches,
+  detectSeries,
+  assignMeetingSeries,
+  backfillSeries,
+  getSeriesNeighbors,
+  getSeriesMeetings,
+  buildPreviousMeetingContext,
+  buildSeriesNav,
+  replaceSeriesNav,
+} = require('../../src/main/services/meetingSeries.js');
+
+// Minimal slice of the real schema: only the columns series detection reads.
+function makeDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE meetings (
+      id TEXT PRIMARY KEY, title TEXT NOT NULL, date TEXT NOT NULL, status TEXT DEFAULT 'past',
+      calendar_event_id TEXT, participant_emails TEXT, obsidian_link TEXT, content TEXT,
+      summary TEXT, series_id TEXT
+    );
+    CREATE TABLE participants (meeting_id TEXT, name TEXT, email TEXT);
+    CREATE TABLE calendar_attendees (meeting_id TEXT, name TEXT, email TEXT NOT NULL);
+  `);
+  return db;
+}
+
+function addMeeting(db, { id, title, date, calendarEventId = null, emails = [], status = 'past', content = null }) {
+  db.prepare(
+    'INSERT INTO meetings (id, title, date, status, calendar_event_id, content) VALUES (?, ?, ?, ?, ?, ?)'
+  ).run(id, title, date, status, calendarEventId, content);
+  for (const email of emails) {
+    db.prepare('INSERT INTO participants (meeting_id, name, email) VALUES (?, ?, ?)').run(id, email, email);
+  }
+}
+
+const seriesOf = (db, id) => db.prepare('SELECT series_id FROM meetings WHERE id = ?').get(id).series_id;
+
+describe('seriesIdFromCalendarEvent', () => {
+  it('strips the occurrence suffix from recurring instance ids', () => {
+    expect(seriesIdFromCalendarEvent('4abc9def_20260305T150000Z')).toBe('cal-4abc9def');
+    expect(seriesIdFromCalendarEvent('4abc9def_20260305')).toBe('cal-4abc9def');
+  });
+
+  it('returns null for one-off events and missing ids', () => {
+    expect(seriesIdFromCalendarEvent('4abc9def')).toBeNull();
+    expect(seriesIdFromCalendarEvent(null)).toBeNull();
+  });
+});
+
+describe('similarity building blocks', () => {
+  it('titleTokens drops dates, occurrence numbers and filler words', () => {
+    expect([...titleTokens('Acme x JD Weekly Sync - 3/5')]).toEqual(['acme', 'jd', 'weekly', 'sync']);
+    expect([...titleTokens('Acme weekly sync (Mar 12th) #14')]).toEqual(['acme', 'weekly', 'sync']);
+  });
+
+  it('cadenceMatches weekly-ish gaps, monthly gaps, and multiples of a known interval', () => {
+    expect(cadenceMatches(7)).toBe(true);
+    expect(cadenceMatches(15)).toBe(true);
+    expect(cadenceMatches(30)).toBe(true);
+    expect(cadenceMatches(3)).toBe(false);
+    expect(cadenceMatches(10)).toBe(false);
+    expect(cadenceMatches(60)).toBe(false);
+    expect(cadenceMatches(42, 14)).toBe(true);
+    expect(cadenceMatches(20, 14)).toBe(false);
+  });
+});
+
+describe('assignMeetingSeries', () => {
+  it('uses the recurring calendar event id', () => {
+    const db = makeDb();
+    addMeeting(db, { id: 'c1', title: 'Anything', date: '2026-03-05', calendarEventId: 'evt_20260305T150000Z' });
+    expect(assignMeetingSeries(db, 'c1')).toBe('cal-evt');
+    expect(detectSeries(db, 'c1')).toEqual({ seriesId: 'cal-evt', method: 'calendar' });
+  });
+
+  it('links local recordings by title, participants and cadence', () => {
+    const db = makeDb();
+    const team = ['dana@acme.com', 'jd@example.com'];
+    addMeeting(db, { id: 'a', title: 'Acme weekly sync 3/2', date: '2026-03-02T15:00:00Z', emails: team });
+    addMeeting(db, { id: 'b', title: 'Acme weekly sync 3/9', date: '2026-03-09T15:00:00Z', emails: team });
+
+    expect(detectSeries(db, 'b')).toMatchObject({ seriesId: 'local-a', method: 'similarity', matchedMeetingId: 'a' });
+    expect(assignMeetingSeries(db, 'b')).toBe('local-a');
+    expect(seriesOf(db, 'a')).toBe('local-a');
+
+    // Skipped a week: still a multiple of the series' interval
+    addMeeting(db, { id: 'c', title: 'Acme Weekly Sync', date: '2026-03-23T15:00:00Z', emails: [...team, 'sam@acme.com'] });
+    expect(assignMeetingSeries(db, 'c')).toBe('local-a');
+  });
+
+  it('does not link different attendees, odd gaps or generic titles', () => {
+    const db = makeDb();
+    addMeeting(db, { id: 'a', title: 'Pricing review', date: '2026-03-02', emails: ['dana@acme.com'] });
+    addMeeting(db, { id: 'b', title: 'Pricing review', date: '2026-03-09', emails: ['sam@globex.com'] });
+    addMeeting(db, { id: 'c', title: 'Pricing review', date: '2026-03-12', emails: ['dana@acme.com'] });
+    addMeeting(db, { id: 'd', title: 'Untitled Meeting', date: '2026-03-02' });
+    addMeeting(db, { id: 'e', title: 'Untitled Meeting', date: '2026-03-09' });
+
+    expect(assignMeetingSeries(db, 'b')).toBeNull();
+    expect(assignMeetingSeries(db, 'c')).toBeNull();
+    expect(assignMeetingSeries(db, 'e')).toBeNull();
+  });
+
+  it('joins a local recording to a calendar series', () => {
+    const db = makeDb();
+    addMeeting(db, { id: 'cal', title: 'Globex check-in', date: '2026-03-02', calendarEventId: 'g1_20260302' });
+    assignMeetingSeries(db, 'cal');
+    addMeeting(db, { id: 'rec', title: 'Globex check-in', date: '2026-03-09' });
+    expect(assignMeetingSeries(db, 'rec')).toBe('cal-g1');
+  });
+
+  it('backfillSeries links history oldest first', () => {
+    const db = makeDb();
+    addMeeting(db, { id: 'w1', title: 'Team standup', date: '2026-02-02' });
+    addMeeting(db, { id: 'w2', title: 'Team standup', date: '2026-02-09' });
+    addMeeting(db, { id: 'w3', title: 'Team standup', date: '2026-02-16' });
+    addMeeting(db, { id: 'solo', title: 'Board prep', date: '2026-02-10' });
+
+    expect(backfillSeries(db)).toEqual({ assigned: 2 });
+    expect(getSeriesMeetings(db, 'local-w1').map(m => m.id)).toEqual(['w1', 'w2', 'w3']);
+    expect(seriesOf(db, 'solo')).toBeNull();
+  });
+});
+
+describe('getSeriesNeighbors', () => {
+  it('returns the adjacent past occurrences', () => {
+    const db = makeDb();
+    for (const [id, date] of [['m1', '2026-03-02'], ['m2', '2026-03-09'], ['m3', '2026-03-16']]) {
+      addMeeting(db, { id, title: 'Sync', date, calendarEventId: `s_${date.replace(/-/g, '')}` });
+      assignMeetingSeries(db, id);
+    }
+    addMeeting(db, { id: 'up', title: 'Sync', date: '2026-03-23', calendarEventId: 's_20260323', status: 'upcoming' });
+    assignMeetingSeries(db, 'up');
+
+    const { seriesId, previous, next } = getSeriesNeighbors(db, 'm2');
+    expect(seriesId).toBe('cal-s');
+    expect(previous.id).toBe('m1');
+    expect(next.id).toBe('m3');
+    expect(getSeriesNeighbors(db, 'm3').next).toBeNull();
+    expect(getSeriesNeighbors(db, 'nope')).toEqual({ seriesId: null, previous: null, next: null });
+  });
+});
+
+describe('summary context and Obsidian navigation', () => {
+  it('buildPreviousMeetingContext drops the title heading and truncates', () => {
+    const previous = { title: 'Sync', date: '2026-03-02T15:00:00Z', content: '# Sync\n\n## Decisions\nShip it' };
+    expect(buildPreviousMeetingContext(previous)).toBe(
+      'Previous meeting in this recurring series: "Sync" on 2026-03-02.\nIts summary:\n## Decisions\nShip it'
+    );
+    expect(buildPreviousMeetingContext({ ...previous, content: '# Sync\n\n' })).toBe('');
+    expect(buildPreviousMeetingContext(previous, 5)).toContain('## De\n[...truncated]');
+    expect(buildPreviousMeetingContext(null)).toBe('');
+  });
+
+  it('buildSeriesNav links exported neighbors and names the rest', () => {
+    const nav = buildSeriesNav({
+      previous: { title: 'Sync', date: '2026-03-02', obsidianLink: 'clients/acme/2026-03-02-sync.md' },
+      next: { title: 'Sync', date: '2026-03-16', obsidianLink: null },
+    });
+    expect(nav).toBe(
+      '<!-- series-nav -->\n' +
+        '**Previous in series:** [[clients/acme/2026-03-02-sync|Sync]] (2026-03-02)\n' +
+        '**Next in series:** Sync (2026-03-16)\n' +
+        '<!-- /series-nav -->\n'
+    );
+    expect(buildSeriesNav({ previous: null, next: null })).toBe('');
+  });
+
+  it('replaceSeriesNav inserts after the platform line, then replaces in place', () => {
+    const note = '# Sync\n\n**Date:** March 2, 2026\n**Platform:** zoom\n\n---\n\n## Meeting Summary\n';
+    const first = replaceSeriesNav(note, buildSeriesNav({ previous: null, next: { title: 'A', date: '2026-03-09' } }));
+    expect(first).toContain('**Platform:** zoom\n<!-- series-nav -->\n**Next in series:** A (2026-03-09)\n<!-- /series-nav -->\n\n---');
+
+    const second = replaceSeriesNav(first, buildSeriesNav({ previous: null, next: { title: 'B', date: '2026-03-09' } }));
+    expect(second).toBe(first.replace('A (2026', 'B (2026'));
+  });
+});
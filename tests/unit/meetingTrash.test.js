@@ -0,0 +1,179 @@
+/**
+ * Meeting Trash Unit Tests (schema v12)
+ *
+ * Tests:
+ *   1. trashMeeting / restoreMeeting — status round trip, trashed rows leave queries
+ *   2. listTrashedMeetings / getExpiredTrash — retention and purge dates
+ *   3. planTrashMoves / moveFilesToTrash / restoreFiles — files round trip through <vault>/.trash
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  NOT_TRASHED,
+  addTrashColumns,
+  trashMeeting,
+  restoreMeeting,
+  getTrashInfo,
+  listTrashedMeetings,
+  getExpiredTrash,
+  trashFolder,
+  planTrashMoves,
+  moveFilesToTrash,
+  restoreFiles,
+  removeTrashFolder,
+} = require('../../src/main/services/meetingTrash.js');
+
+// Minimal slice of the real schema: only the columns the Trash touches.
+function makeDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE meetings (id TEXT PRIMARY KEY, title TEXT NOT NULL, date TEXT, status TEXT);
+    INSERT INTO meetings VALUES ('m1', 'Weekly sync', '2026-03-02', 'past');
+    INSERT INTO meetings VALUES ('m2', 'Board prep', '2026-03-03', 'upcoming');
+    INSERT INTO meetings VALUES ('m3', 'Legacy import', '2026-03-04', NULL);
+  `);
+  addTrashColumns(db);
+  return db;
+}
+
+const day = n => new Date(Date.UTC(2026, 2, 10 + n, 9, 0, 0));
+const visibleIds = db => db.prepare(`SELECT id FROM meetings WHERE ${NOT_TRASHED} ORDER BY id`).all().map(r => r.id);
+
+describe('trashMeeting and restoreMeeting', () => {
+  it('hides a trashed meeting and restores its previous status', () => {
+    const db = makeDb();
+    const files = [{ from: '/vault/a.md', to: '/vault/.trash/m2/notes/a.md' }];
+
+    expect(trashMeeting(db, 'm2', { files, now: day(0) })).toBe(true);
+    expect(trashMeeting(db, 'm2')).toBe(false);
+    expect(trashMeeting(db, 'missing')).toBe(false);
+    expect(visibleIds(db)).toEqual(['m1', 'm3']);
+    expect(getTrashInfo(db, 'm2')).toEqual({ previousStatus: 'upcoming', files });
+
+    expect(restoreMeeting(db, 'm2')).toEqual({ previousStatus: 'upcoming', files });
+    expect(db.prepare("SELECT status, trashed_at, trash_info FROM meetings WHERE id = 'm2'").get()).toEqual({
+      status: 'upcoming',
+      trashed_at: null,
+      trash_info: null,
+    });
+    expect(restoreMeeting(db, 'm2')).toBeNull();
+    expect(getTrashInfo(db, 'm2')).toBeNull();
+  });
+
+  it('keeps meetings with no status visible and restores them as past', () => {
+    const db = makeDb();
+    expect(visibleIds(db)).toEqual(['m1', 'm2', 'm3']);
+    trashMeeting(db, 'm3');
+    expect(restoreMeeting(db, 'm3').previousStatus).toBe('past');
+  });
+
+  it('adds the columns idempotently', () => {
+    const db = makeDb();
+    expect(() => addTrashColumns(db)).not.toThrow();
+  });
+});
+
+describe('retention', () => {
+  it('lists trashed meetings newest first with their purge dates', () => {
+    const db = makeDb();
+    trashMeeting(db, 'm1', { now: day(0) });
+    trashMeeting(db, 'm2', { files: [{ from: 'a', to: 'b' }], now: day(5) });
+
+    expect(listTrashedMeetings(db, 30)).toEqual([
+      {
+        id: 'm2',
+        title: 'Board prep',
+        date: '2026-03-03',
+        trashedAt: day(5).toISOString(),
+        purgeAt: day(35).toISOString(),
+        fileCount: 1,
+      },
+      {
+        id: 'm1',
+        title: 'Weekly sync',
+        date: '2026-03-02',
+        trashedAt: day(0).toISOString(),
+        purgeAt: day(30).toISOString(),
+        fileCount: 0,
+      },
+    ]);
+    expect(listTrashedMeetings(db, 0)[0].purgeAt).toBeNull();
+  });
+
+  it('finds meetings past the retention period, never when retention is 0', () => {
+    const db = makeDb();
+    trashMeeting(db, 'm1', { now: day(0) });
+    trashMeeting(db, 'm2', { now: day(5) });
+
+    expect(getExpiredTrash(db, 30, day(29))).toEqual([]);
+    expect(getExpiredTrash(db, 30, day(30))).toEqual(['m1']);
+    expect(getExpiredTrash(db, 30, day(40))).toEqual(['m1', 'm2']);
+    expect(getExpiredTrash(db, 0, day(400))).toEqual([]);
+  });
+});
+
+describe('trash files', () => {
+  let vault;
+  let recordings;
+
+  beforeEach(() => {
+    vault = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-vault-'));
+    recordings = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-rec-'));
+    fs.mkdirSync(path.join(vault, 'clients', 'acme'), { recursive: true });
+    fs.writeFileSync(path.join(vault, 'clients', 'acme', 'sync.md'), 'summary');
+    fs.writeFileSync(path.join(vault, 'clients', 'acme', 'sync-transcript.md'), 'transcript');
+    fs.writeFileSync(path.join(recordings, 'windows-desktop-rec1.mp3'), 'audio');
+  });
+
+  afterEach(() => {
+    fs.rmSync(vault, { recursive: true, force: true });
+    fs.rmSync(recordings, { recursive: true, force: true });
+  });
+
+  it('plans notes under notes/ and media under audio/ in the meeting folder', () => {
+    const folder = trashFolder(vault, 'calendar:abc/1');
+    expect(folder).toBe(path.join(vault, '.trash', 'calendar_abc_1'));
+    expect(
+      planTrashMoves(vault, 'calendar:abc/1', { notes: ['../escape.md'], media: ['/rec/a.mp3'] })
+    ).toEqual([
+      { from: path.join(vault, 'escape.md'), to: path.join(folder, 'notes', 'escape.md') },
+      { from: '/rec/a.mp3', to: path.join(folder, 'audio', 'a.mp3') },
+    ]);
+  });
+
+  it('moves existing files into the Trash and back', () => {
+    const moves = planTrashMoves(vault, 'm1', {
+      notes: ['clients/acme/sync.md', 'clients/acme/sync-transcript.md', 'clients/acme/missing.md'],
+      media: [path.join(recordings, 'windows-desktop-rec1.mp3')],
+    });
+    const moved = moveFilesToTrash(moves);
+
+    expect(moved).toHaveLength(3);
+    expect(fs.existsSync(path.join(vault, 'clients', 'acme', 'sync.md'))).toBe(false);
+    expect(fs.readFileSync(path.join(trashFolder(vault, 'm1'), 'audio', 'windows-desktop-rec1.mp3'), 'utf8')).toBe(
+      'audio'
+    );
+
+    expect(restoreFiles(moved)).toEqual({ restored: moved.map(m => m.from), skipped: [] });
+    expect(fs.readFileSync(path.join(vault, 'clients', 'acme', 'sync-transcript.md'), 'utf8')).toBe('transcript');
+    expect(fs.existsSync(path.join(recordings, 'windows-desktop-rec1.mp3'))).toBe(true);
+  });
+
+  it('leaves a file in the Trash when its original path was reused', () => {
+    const notePath = path.join(vault, 'clients', 'acme', 'sync.md');
+    const moved = moveFilesToTrash(planTrashMoves(vault, 'm1', { notes: ['clients/acme/sync.md'] }));
+    fs.writeFileSync(notePath, 'a newer meeting');
+
+    const warn = vi.fn();
+    expect(restoreFiles(moved, warn)).toEqual({ restored: [], skipped: [notePath] });
+    expect(warn).toHaveBeenCalledOnce();
+    expect(fs.readFileSync(notePath, 'utf8')).toBe('a newer meeting');
+    expect(fs.existsSync(moved[0].to)).toBe(true);
+
+    removeTrashFolder(vault, 'm1');
+    expect(fs.existsSync(trashFolder(vault, 'm1'))).toBe(false);
+  });
+});
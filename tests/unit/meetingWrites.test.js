@@ -0,0 +1,248 @@
+/**
+ * Meeting writes + audit trail Unit Tests (MCP --allow-writes)
+ *
+ * Tests:
+ *   1. updateMeetingTitle / addMeetingNote — column edits with audit entries, not on trashed meetings
+ *   2. setSpeakerMapping — mapping row, JSON column extras, transcript relabel
+ *   3. tagMeeting — normalization, extra_fields round-trip, meeting_tags (v13), no-op detection
+ *   4. getAuditEntriesSince — the app's polling query
+ *   5. Shared zod schemas reject bad input before any write
+ */
+
+const Database = require('better-sqlite3');
+const {
+  createAuditLog,
+  hasAuditLog,
+  getAuditEntriesSince,
+  getAuditEntriesForMeeting,
+  getLatestAuditId,
+  updateMeetingTitle,
+  addMeetingNote,
+  setSpeakerMapping,
+  normalizeTags,
+  tagMeeting,
+} = require('../../src/main/services/meetingWrites.js');
+const {
+  meetingTitleUpdateSchema,
+  speakerMappingSetSchema,
+  meetingTagsUpdateSchema,
+} = require('../../src/main/validation/ipcSchemas.js');
+const {
+  createMeetingFieldTables,
+  getMeetingTags,
+} = require('../../src/main/services/meetingFields.js');
+
+// Minimal slice of the real schema: only the columns the writes touch.
+function makeDb() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE meetings (
+      id TEXT PRIMARY KEY, title TEXT NOT NULL, date TEXT NOT NULL, content TEXT,
+      speaker_mapping TEXT, extra_fields TEXT, updated_at TEXT, status TEXT
+    );
+    CREATE TABLE transcript_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+      entry_order INTEGER NOT NULL, speaker TEXT NOT NULL, speaker_name TEXT,
+      speaker_email TEXT, speaker_display_name TEXT, text TEXT NOT NULL,
+      speaker_mapped INTEGER DEFAULT 0
+    );
+    CREATE TABLE speaker_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+      speaker_label TEXT NOT NULL, email TEXT, name TEXT, confidence TEXT,
+      method TEXT, email_source TEXT,
+      UNIQUE(meeting_id, speaker_label)
+    );
+  `);
+  createAuditLog(db);
+  db.prepare(
+    "INSERT INTO meetings (id, title, date, content) VALUES ('m1', 'Weekly sync', '2026-01-01', '# Weekly sync')"
+  ).run();
+  return db;
+}
+
+describe('updateMeetingTitle / addMeetingNote', () => {
+  it('renames the meeting and records before/after', () => {
+    const db = makeDb();
+    const result = updateMeetingTitle(db, { meetingId: 'm1', title: 'Board prep' }, 'mcp');
+
+    expect(result).toEqual({ meetingId: 'm1', before: 'Weekly sync', after: 'Board prep', changed: true });
+    expect(db.prepare('SELECT title, updated_at FROM meetings').get()).toMatchObject({ title: 'Board prep' });
+    expect(getAuditEntriesForMeeting(db, 'm1')[0]).toMatchObject({
+      source: 'mcp',
+      action: 'update_meeting_title',
+      before: 'Weekly sync',
+      after: 'Board prep',
+    });
+  });
+
+  it('skips the audit entry when the title is unchanged', () => {
+    const db = makeDb();
+    expect(updateMeetingTitle(db, { meetingId: 'm1', title: 'Weekly sync' }, 'mcp').changed).toBe(false);
+    expect(getLatestAuditId(db)).toBe(0);
+  });
+
+  it('throws for an unknown meeting without writing anything', () => {
+    const db = makeDb();
+    expect(() => updateMeetingTitle(db, { meetingId: 'nope', title: 'X' }, 'mcp')).toThrow(
+      'Meeting nope not found'
+    );
+    expect(getLatestAuditId(db)).toBe(0);
+  });
+
+  it('treats a trashed meeting as not found', () => {
+    const db = makeDb();
+    db.prepare("UPDATE meetings SET status = 'trashed' WHERE id = 'm1'").run();
+
+    expect(() => updateMeetingTitle(db, { meetingId: 'm1', title: 'X' }, 'mcp')).toThrow(
+      'Meeting m1 not found'
+    );
+    expect(() => addMeetingNote(db, { meetingId: 'm1', note: 'Later' }, 'mcp')).toThrow(
+      'Meeting m1 not found'
+    );
+    expect(() => tagMeeting(db, { meetingId: 'm1', add: ['legal'] }, 'mcp')).toThrow(
+      'Meeting m1 not found'
+    );
+    expect(db.prepare('SELECT title, content FROM meetings').get()).toEqual({
+      title: 'Weekly sync',
+      content: '# Weekly sync',
+    });
+    expect(getLatestAuditId(db)).toBe(0);
+  });
+
+  it('appends a note section after a separator', () => {
+    const db = makeDb();
+    addMeetingNote(db, { meetingId: 'm1', note: ' Follow up with legal ', heading: 'Action' }, 'mcp');
+
+    expect(db.prepare('SELECT content FROM meetings').get().content).toBe(
+      '# Weekly sync\n\n---\n\n## Action\n\nFollow up with legal'
+    );
+  });
+});
+
+describe('setSpeakerMapping', () => {
+  function seedTranscript(db) {
+    db.prepare(
+      `UPDATE meetings SET speaker_mapping = ? WHERE id = 'm1'`
+    ).run(JSON.stringify({ 'Speaker A': { name: 'Old Name', embedding: [0.1, 0.2] } }));
+    const stmt = db.prepare(
+      'INSERT INTO transcript_entries (meeting_id, entry_order, speaker, speaker_name, speaker_display_name, text) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    stmt.run('m1', 0, 'Speaker A', 'Old Name', '[[Old Name]]', 'hello');
+    stmt.run('m1', 1, 'Speaker B', null, null, 'hi');
+    stmt.run('m1', 2, 'Speaker A', 'Old Name', '[[Old Name]]', 'bye');
+  }
+
+  it('relabels utterances and keeps per-label extras in the JSON column', () => {
+    const db = makeDb();
+    seedTranscript(db);
+
+    const result = setSpeakerMapping(
+      db,
+      { meetingId: 'm1', speakerLabel: 'Speaker A', name: 'Dana Lee', email: 'dana@example.com' },
+      'mcp'
+    );
+
+    expect(result.utterancesUpdated).toBe(2);
+    const rows = db.prepare('SELECT speaker_name, speaker_display_name, speaker_mapped FROM transcript_entries ORDER BY entry_order').all();
+    expect(rows[0]).toEqual({ speaker_name: 'Dana Lee', speaker_display_name: null, speaker_mapped: 1 });
+    expect(rows[1].speaker_name).toBeNull();
+
+    const json = JSON.parse(db.prepare('SELECT speaker_mapping FROM meetings').get().speaker_mapping);
+    expect(json['Speaker A']).toEqual({
+      name: 'Dana Lee',
+      email: 'dana@example.com',
+      embedding: [0.1, 0.2],
+      confidence: 'manual',
+      method: 'mcp-correction',
+    });
+    expect(db.prepare('SELECT name, email FROM speaker_mappings').all()).toEqual([
+      { name: 'Dana Lee', email: 'dana@example.com' },
+    ]);
+    expect(getAuditEntriesForMeeting(db, 'm1')[0]).toMatchObject({
+      action: 'set_speaker_mapping',
+      before: { label: 'Speaker A', name: 'Old Name' },
+      after: { label: 'Speaker A', name: 'Dana Lee', email: 'dana@example.com' },
+    });
+  });
+
+  it('rejects a label that is not in the transcript', () => {
+    const db = makeDb();
+    seedTranscript(db);
+    expect(() =>
+      setSpeakerMapping(db, { meetingId: 'm1', speakerLabel: 'Speaker Z', name: 'X' }, 'mcp')
+    ).toThrow(/does not appear/);
+  });
+});
+
+describe('tagMeeting', () => {
+  it('normalizes tags and keeps other extra fields', () => {
+    const db = makeDb();
+    db.prepare(`UPDATE meetings SET extra_fields = '{"autoStart":true}'`).run();
+
+    const result = tagMeeting(db, { meetingId: 'm1', add: ['Pricing', ' pricing ', 'Q3'] }, 'mcp');
+    expect(result).toEqual({ meetingId: 'm1', tags: ['Pricing', 'Q3'], changed: true });
+    expect(JSON.parse(db.prepare('SELECT extra_fields FROM meetings').get().extra_fields)).toEqual({
+      autoStart: true,
+      tags: ['Pricing', 'Q3'],
+    });
+
+    expect(tagMeeting(db, { meetingId: 'm1', add: ['q3'] }, 'mcp').changed).toBe(false);
+    tagMeeting(db, { meetingId: 'm1', remove: ['PRICING', 'q3'] }, 'mcp');
+    expect(db.prepare('SELECT extra_fields FROM meetings').get().extra_fields).toBe('{"autoStart":true}');
+  });
+
+  it('refuses to overwrite corrupt extra_fields', () => {
+    const db = makeDb();
+    db.prepare(`UPDATE meetings SET extra_fields = '{broken'`).run();
+    expect(() => tagMeeting(db, { meetingId: 'm1', add: ['x'] }, 'mcp')).toThrow(/corrupt/);
+  });
+
+  it('uses the meeting_tags table once it exists', () => {
+    const db = makeDb();
+    createMeetingFieldTables(db);
+
+    expect(tagMeeting(db, { meetingId: 'm1', add: ['Pricing', 'Q3'] }, 'mcp').tags).toEqual([
+      'Pricing',
+      'Q3',
+    ]);
+    expect(tagMeeting(db, { meetingId: 'm1', remove: ['q3'] }, 'mcp').tags).toEqual(['Pricing']);
+    expect(getMeetingTags(db, 'm1')).toEqual(['Pricing']);
+    expect(db.prepare('SELECT extra_fields FROM meetings').get().extra_fields).toBeNull();
+    expect(getAuditEntriesForMeeting(db, 'm1')).toHaveLength(2);
+  });
+
+  it('normalizeTags drops blanks and case duplicates', () => {
+    expect(normalizeTags(['a', ' ', 'A', 'b '])).toEqual(['a', 'b']);
+  });
+});
+
+describe('audit polling', () => {
+  it('returns entries after a given id, optionally filtered by source', () => {
+    const db = makeDb();
+    expect(hasAuditLog(db)).toBe(true);
+    const start = getLatestAuditId(db);
+    updateMeetingTitle(db, { meetingId: 'm1', title: 'One' }, 'mcp');
+    updateMeetingTitle(db, { meetingId: 'm1', title: 'Two' }, 'app');
+
+    expect(getAuditEntriesSince(db, start).map(e => e.after)).toEqual(['One', 'Two']);
+    expect(getAuditEntriesSince(db, start, { source: 'mcp' })).toHaveLength(1);
+    expect(getAuditEntriesSince(db, getLatestAuditId(db))).toEqual([]);
+  });
+});
+
+describe('shared write schemas', () => {
+  it('reject invalid input', () => {
+    expect(meetingTitleUpdateSchema.safeParse({ meetingId: 'm1', title: '   ' }).success).toBe(false);
+    expect(
+      speakerMappingSetSchema.safeParse({ meetingId: 'm1', speakerLabel: 'A', name: 'X', email: 'nope' }).success
+    ).toBe(false);
+    expect(meetingTagsUpdateSchema.safeParse({ meetingId: 'm1', add: [''] }).success).toBe(false);
+  });
+
+  it('trim accepted values', () => {
+    expect(meetingTitleUpdateSchema.parse({ meetingId: 'm1', title: '  Board prep ' }).title).toBe('Board prep');
+  });
+});
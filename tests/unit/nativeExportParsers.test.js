@@ -0,0 +1,283 @@
+/**
+ * Native Export Parser Unit Tests
+ *
+ * Tests:
+ *   1. Otter / Fireflies JSON — detection, speaker emails, start time, attendees
+ *   2. Teams .docx — both transcript layouts, header title and date
+ *   3. Zoom .vtt — title and start time from recording file and folder names
+ *   4. MetadataExtractor / ImportManager — export metadata wins, emails reach participants
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ZipArchive } = require('archiver');
+const {
+  detectJSONExport,
+  parseTeamsTranscript,
+  docxParagraphs,
+  zoomRecordingInfo,
+} = require('../../src/main/import/nativeExportParsers.js');
+const TranscriptParser = require('../../src/main/import/TranscriptParser.js');
+const MetadataExtractor = require('../../src/main/import/MetadataExtractor.js');
+const ImportManager = require('../../src/main/import/ImportManager.js');
+
+const otterExport = {
+  speech: {
+    otid: 'abc',
+    title: 'Acme weekly sync',
+    start_time: 1772463600, // 2026-03-02T15:00:00Z
+    speakers: [
+      { id: 1, speaker_name: 'Ann Lee', speaker_email: 'ann@acme.com' },
+      { id: 2, speaker_name: 'Bob Roe' },
+    ],
+    transcripts: [
+      { speaker_id: 1, start_offset: 0, end_offset: 2500, transcript: 'Welcome.' },
+      { speaker_id: 2, start_offset: 2500, end_offset: 4000, transcript: 'Thanks.' },
+      { speaker_id: 2, start_offset: 4000, end_offset: 4100, transcript: '  ' },
+    ],
+  },
+};
+
+const firefliesExport = {
+  data: {
+    transcript: {
+      id: 'ff1',
+      title: 'Globex pricing review',
+      date: 1772463600000,
+      organizer_email: 'ann@acme.com',
+      participants: ['ann@acme.com', 'carl@globex.com', 'dee@globex.com'],
+      meeting_attendees: [
+        { displayName: 'Ann Lee', email: 'ann@acme.com' },
+        { displayName: 'Carl Gold', email: 'carl@globex.com' },
+      ],
+      sentences: [
+        {
+          index: 0,
+          speaker_name: 'Carl Gold',
+          text: 'Prices are up.',
+          start_time: 1.5,
+          end_time: 3,
+        },
+        { index: 1, speaker_name: 'Ann Lee', text: 'Noted.', start_time: 3.2, end_time: 4 },
+      ],
+    },
+  },
+};
+
+function docxXml(paragraphs) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const body = paragraphs
+    .map(p => {
+      const runs = p
+        .split('\t')
+        .map(part => `<w:r><w:t xml:space="preserve">${escape(part)}</w:t></w:r>`)
+        .join('<w:r><w:tab/></w:r>');
+      return `<w:p><w:pPr><w:pStyle w:val="Normal"/></w:pPr>${runs}</w:p>`;
+    })
+    .join('');
+  return `<?xml version="1.0"?><w:document><w:body>${body}</w:body></w:document>`;
+}
+
+function writeDocx(filePath, paragraphs) {
+  return new Promise((resolve, reject) => {
+    const archive = new ZipArchive();
+    const output = fs.createWriteStream(filePath);
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.append(docxXml(paragraphs), { name: 'word/document.xml' });
+    archive.finalize();
+  });
+}
+
+let tmpDir;
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'native-export-'));
+});
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('JSON exports', () => {
+  it('detects which tool wrote a JSON export', () => {
+    expect(detectJSONExport(otterExport)).toBe('otter');
+    expect(detectJSONExport(otterExport.speech)).toBe('otter');
+    expect(detectJSONExport(firefliesExport)).toBe('fireflies');
+    expect(detectJSONExport(firefliesExport.data.transcript)).toBe('fireflies');
+    expect(detectJSONExport({ format: 'jd-notes-transcript', entries: [] })).toBe('jd-notes');
+    expect(detectJSONExport({ entries: [] })).toBeNull();
+    expect(detectJSONExport([1, 2])).toBeNull();
+  });
+
+  it('keeps Otter speaker emails, offsets and start time', () => {
+    const parsed = new TranscriptParser().parseJSON(JSON.stringify(otterExport), 'otter.json');
+
+    expect(parsed).toMatchObject({ format: 'json', exportSource: 'otter', hasSpeakers: true });
+    expect(parsed.entries).toEqual([
+      {
+        speaker: 'Ann Lee',
+        text: 'Welcome.',
+        timestamp: 0,
+        endTimestamp: 2.5,
+        speakerEmail: 'ann@acme.com',
+      },
+      { speaker: 'Bob Roe', text: 'Thanks.', timestamp: 2.5, endTimestamp: 4 },
+    ]);
+    expect(parsed.metadata).toEqual({
+      title: 'Acme weekly sync',
+      date: '2026-03-02T15:00:00.000Z',
+      participants: ['Ann Lee', 'Bob Roe'],
+      attendees: [{ name: 'Ann Lee', email: 'ann@acme.com' }],
+    });
+  });
+
+  it('keeps the Fireflies attendee list and matches speakers to it', () => {
+    const parsed = new TranscriptParser().parseJSON(JSON.stringify(firefliesExport), 'ff.json');
+
+    expect(parsed.exportSource).toBe('fireflies');
+    expect(parsed.entries.map(e => [e.speaker, e.speakerEmail, e.timestamp])).toEqual([
+      ['Carl Gold', 'carl@globex.com', 1.5],
+      ['Ann Lee', 'ann@acme.com', 3.2],
+    ]);
+    expect(parsed.metadata).toMatchObject({
+      title: 'Globex pricing review',
+      date: '2026-03-02T15:00:00.000Z',
+      participants: ['Ann Lee', 'Carl Gold'],
+      attendees: [
+        { name: 'Ann Lee', email: 'ann@acme.com' },
+        { name: 'Carl Gold', email: 'carl@globex.com' },
+        { name: null, email: 'dee@globex.com' },
+      ],
+    });
+  });
+});
+
+describe('Teams transcripts', () => {
+  it('reads paragraph text, tabs and entities from document.xml', () => {
+    expect(docxParagraphs(docxXml(['Ann Lee\t0:03', 'Q&A <later>']))).toEqual([
+      'Ann Lee\t0:03',
+      'Q&A <later>',
+    ]);
+  });
+
+  it('parses the current layout with its title and date header', () => {
+    const parsed = parseTeamsTranscript(
+      [
+        'Acme kickoff-20260302_150012-Meeting Recording',
+        'March 2, 2026, 3:00PM',
+        '45m 12s',
+        'Ann Lee   0:03',
+        'Welcome everyone.',
+        'Bob Roe\t1:02:15',
+        'Agreed.',
+        'Second line.',
+      ],
+      'kickoff.docx'
+    );
+
+    expect(parsed.entries).toEqual([
+      { speaker: 'Ann Lee', text: 'Welcome everyone.', timestamp: 3 },
+      { speaker: 'Bob Roe', text: 'Agreed. Second line.', timestamp: 3735 },
+    ]);
+    expect(parsed.metadata).toEqual({
+      title: 'Acme kickoff',
+      date: new Date(2026, 2, 2, 15, 0).toISOString(),
+      participants: ['Ann Lee', 'Bob Roe'],
+      platform: 'teams',
+    });
+  });
+
+  it('parses the older cue layout', () => {
+    const parsed = parseTeamsTranscript(
+      ['0:0:0.0 --> 0:0:4.52', 'Ann Lee', 'Welcome.', '0:0:4.52 --> 0:0:6.0', 'Bob Roe', 'Hi.'],
+      'old.docx'
+    );
+
+    expect(parsed.entries).toEqual([
+      { speaker: 'Ann Lee', text: 'Welcome.', timestamp: 0, endTimestamp: 4.52 },
+      { speaker: 'Bob Roe', text: 'Hi.', timestamp: 4.52, endTimestamp: 6 },
+    ]);
+  });
+
+  it('parses a .docx file and rejects other Word documents', async () => {
+    const transcript = path.join(tmpDir, 'kickoff.docx');
+    await writeDocx(transcript, ['Acme kickoff', 'Ann Lee   0:03', 'Welcome.']);
+    const letter = path.join(tmpDir, 'letter.docx');
+    await writeDocx(letter, ['Dear Ann,', 'Thanks for the meeting.']);
+    const parser = new TranscriptParser();
+
+    const parsed = await parser.parseFile(transcript);
+    expect(parsed).toMatchObject({ format: 'docx', exportSource: 'teams' });
+    expect(parsed.entries).toHaveLength(1);
+    await expect(parser.parseFile(letter)).rejects.toThrow(/Not a Microsoft Teams transcript/);
+  });
+});
+
+describe('Zoom recordings', () => {
+  it('reads the start time and title from Zoom names', () => {
+    expect(
+      zoomRecordingInfo('/Zoom/2026-03-02 15.00.12 Acme Kickoff 81234567890/closed_caption.vtt')
+    ).toEqual({ title: 'Acme Kickoff', date: new Date(2026, 2, 2, 15, 0, 12).toISOString() });
+    expect(zoomRecordingInfo('/Downloads/GMT20260302-150012_Recording.transcript.vtt')).toEqual({
+      title: null,
+      date: '2026-03-02T15:00:12.000Z',
+    });
+    expect(zoomRecordingInfo('/Downloads/call.vtt')).toBeNull();
+  });
+
+  it('marks a Zoom .vtt as a native export', async () => {
+    const folder = path.join(tmpDir, '2026-03-02 15.00.12 Acme Kickoff');
+    fs.mkdirSync(folder);
+    const file = path.join(folder, 'GMT20260302-150012_Recording.transcript.vtt');
+    fs.writeFileSync(
+      file,
+      'WEBVTT\n\n1\n00:00:01.000 --> 00:00:02.000\n<v Ann Lee>Hello.\n\n' +
+        '2\n00:00:02.000 --> 00:00:03.000\nBob Roe: Hi.\n'
+    );
+
+    const parsed = await new TranscriptParser().parseFile(file);
+
+    expect(parsed.exportSource).toBe('zoom');
+    expect(parsed.metadata).toEqual({
+      title: 'Acme Kickoff',
+      date: '2026-03-02T15:00:12.000Z',
+      participants: ['Ann Lee', 'Bob Roe'],
+      platform: 'zoom',
+    });
+  });
+});
+
+describe('importing native exports', () => {
+  it('prefers the export title and start time to the filename', () => {
+    const parser = new TranscriptParser();
+    const parsed = parser.parseJSON(JSON.stringify(firefliesExport), '/x/2025-01-01 notes.json');
+
+    const metadata = new MetadataExtractor().extractMetadata(parsed, '/x/2025-01-01 notes.json');
+
+    expect(metadata.title).toBe('Globex pricing review');
+    expect(metadata.date.toISOString()).toBe('2026-03-02T15:00:00.000Z');
+    expect(metadata.confidence).toMatchObject({ date: 'high', title: 'high' });
+    expect(metadata.participantEmails.sort()).toEqual([
+      'ann@acme.com',
+      'carl@globex.com',
+      'dee@globex.com',
+    ]);
+  });
+
+  it('gives participants the emails from the export', async () => {
+    const manager = new ImportManager({});
+    const parsed = manager.parser.parseJSON(JSON.stringify(otterExport), 'otter.json');
+    const metadata = manager.extractor.extractMetadata(parsed, 'otter.json');
+
+    const meeting = await manager.createMeeting(parsed, metadata);
+
+    expect(meeting.participants).toEqual([
+      { name: 'Ann Lee', email: 'ann@acme.com' },
+      { name: 'Bob Roe', email: null },
+    ]);
+    expect(meeting.participantEmails).toEqual(['ann@acme.com']);
+    expect(meeting.transcript[0].speakerEmail).toBe('ann@acme.com');
+    expect(meeting.metadata.exportSource).toBe('otter');
+  });
+});
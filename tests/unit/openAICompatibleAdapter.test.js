@@ -0,0 +1,168 @@
+/**
+ * OpenAI-Compatible and Azure OpenAI Adapter Unit Tests
+ *
+ * Tests:
+ *   1. Model discovery through /v1/models, with the configured headers
+ *   2. Capability flags — no streaming, no JSON mode, prompt caching
+ *   3. Azure — deployment as the model, configured deployments as the model list
+ *   4. LLMService — 'openai-' and 'azure-' preferences, endpoint options
+ */
+
+const { describe, it, expect, vi, afterEach } = await import('vitest');
+
+const {
+  LLMService,
+  OpenAICompatibleAdapter,
+  AzureOpenAIAdapter,
+  extractModelFromPreference,
+  providerFromPreference,
+} = require('../../src/main/services/llmService');
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const completion = content => ({
+  model: 'qwen3',
+  choices: [{ message: { content } }],
+  usage: { prompt_tokens: 10, completion_tokens: 5 },
+});
+
+const createAdapter = capabilities => {
+  const adapter = new OpenAICompatibleAdapter({
+    baseUrl: 'http://gpu-box:8000/v1',
+    model: 'qwen3',
+    capabilities,
+  });
+  adapter.client.chat.completions.create = vi.fn().mockResolvedValue(completion('{"a": 1}'));
+  return adapter;
+};
+
+describe('OpenAICompatibleAdapter', () => {
+  it('lists models from /v1/models with the configured headers', async () => {
+    const fetch = vi.fn().mockResolvedValue(
+      new Response(JSON.stringify({ object: 'list', data: [{ id: 'qwen3' }, { id: 'llama4' }] }), {
+        headers: { 'content-type': 'application/json' },
+      })
+    );
+    vi.stubGlobal('fetch', fetch);
+    const adapter = new OpenAICompatibleAdapter({
+      baseUrl: 'https://openrouter.ai/api/v1',
+      model: 'qwen3',
+      apiKey: 'test-key',
+      headers: { 'HTTP-Referer': 'https://example.com' },
+    });
+
+    const models = await adapter.listModels();
+
+    expect(models.map(m => m.name)).toEqual(['qwen3', 'llama4']);
+    const [url, init] = fetch.mock.calls[0];
+    expect(String(url)).toBe('https://openrouter.ai/api/v1/models');
+    expect(new Headers(init.headers).get('http-referer')).toBe('https://example.com');
+  });
+
+  it('answers in one chunk when the server cannot stream', async () => {
+    const adapter = createAdapter({ streaming: false });
+    const onChunk = vi.fn();
+    const onUsage = vi.fn();
+
+    const text = await adapter.streamCompletion({ userPrompt: 'hi', onChunk, onUsage });
+
+    expect(text).toBe('{"a": 1}');
+    expect(onChunk).toHaveBeenCalledExactlyOnceWith('{"a": 1}');
+    expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ outputTokens: 5 }));
+    expect(adapter.client.chat.completions.create.mock.calls[0][0]).not.toHaveProperty('stream');
+  });
+
+  it('puts the schema in the prompt when the server has no JSON mode', async () => {
+    const schema = { type: 'object', properties: { a: { type: 'number', 'x-link': true } } };
+    const withJsonMode = createAdapter();
+    const without = createAdapter({ jsonMode: false });
+
+    await withJsonMode.generateCompletion({
+      systemPrompt: 'S',
+      userPrompt: 'U',
+      outputSchema: schema,
+    });
+    await without.generateCompletion({ systemPrompt: 'S', userPrompt: 'U', outputSchema: schema });
+
+    expect(withJsonMode.client.chat.completions.create.mock.calls[0][0].response_format).toEqual({
+      type: 'json_schema',
+      json_schema: {
+        name: 'answer',
+        schema: { type: 'object', properties: { a: { type: 'number' } } },
+      },
+    });
+    const request = without.client.chat.completions.create.mock.calls[0][0];
+    expect(request).not.toHaveProperty('response_format');
+    expect(request.messages[0].content).toMatch(/^S\n\nAnswer with only a JSON object[^]*"number"/);
+  });
+
+  it('sends the transcript as its own message only when the server caches prefixes', async () => {
+    const options = { systemPrompt: 'S', userPrompt: 'U', cacheableContext: 'T' };
+    const plain = createAdapter();
+    const caching = createAdapter({ caching: true });
+
+    await plain.generateCompletion(options);
+    await caching.generateCompletion(options);
+
+    expect(plain.client.chat.completions.create.mock.calls[0][0].messages).toHaveLength(2);
+    expect(caching.client.chat.completions.create.mock.calls[0][0].messages).toEqual([
+      { role: 'system', content: 'S' },
+      { role: 'user', content: 'Here is the meeting transcript:\n\nT' },
+      { role: 'user', content: 'U' },
+    ]);
+  });
+});
+
+describe('AzureOpenAIAdapter', () => {
+  it('sends requests to the deployment and lists the configured deployments', async () => {
+    const adapter = new AzureOpenAIAdapter({
+      endpoint: 'https://notes.openai.azure.com',
+      apiKey: 'test-key',
+      deployment: 'notes-mini',
+      deployments: ['notes-large', 'notes-mini'],
+    });
+    adapter.client.chat.completions.create = vi.fn().mockResolvedValue(completion('ok'));
+
+    await adapter.generateCompletion({ userPrompt: 'hi' });
+
+    expect(adapter.client.chat.completions.create.mock.calls[0][0].model).toBe('notes-mini');
+    expect(adapter.client.baseURL).toBe('https://notes.openai.azure.com/openai');
+    expect(adapter.capabilities.caching).toBe(true);
+    expect((await adapter.listModels()).map(m => m.name)).toEqual(['notes-mini', 'notes-large']);
+  });
+});
+
+describe('LLMService with OpenAI-compatible endpoints', () => {
+  it('parses openai- and azure- preferences', () => {
+    expect(providerFromPreference('openai-gpt-4o-mini')).toBe('openai');
+    expect(extractModelFromPreference('openai-gpt-4o-mini')).toBe('gpt-4o-mini');
+    expect(providerFromPreference('azure-notes-mini')).toBe('azure');
+    expect(extractModelFromPreference('azure-notes-mini')).toBe('notes-mini');
+  });
+
+  it('switches to an endpoint model and keeps its URL when options change', () => {
+    const service = new LLMService({
+      provider: 'ollama',
+      ollama: { model: 'llama3' },
+      openai: { baseUrl: 'http://gpu-box:8000/v1', headers: {} },
+    });
+
+    service.switchToPreference('openai-qwen3');
+    service.setEndpointOptions({ openai: { capabilities: { streaming: false } } });
+
+    expect(service.adapter).toBeInstanceOf(OpenAICompatibleAdapter);
+    expect(service.getCurrentModel()).toBe('qwen3');
+    expect(service.adapter.capabilities.streaming).toBe(false);
+    expect(service.adapter.client.baseURL).toBe('http://gpu-box:8000/v1');
+  });
+
+  it('requires a configured endpoint', () => {
+    const service = new LLMService({ provider: 'ollama', ollama: { model: 'llama3' } });
+    expect(() => service.switchToPreference('openai-qwen3')).toThrow('server URL is required');
+    expect(() => service.switchToPreference('azure-notes-mini')).toThrow(
+      'endpoint and API key are required'
+    );
+  });
+});
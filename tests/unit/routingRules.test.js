@@ -0,0 +1,224 @@
+/**
+ * Routing Rules Unit Tests
+ *
+ * Tests:
+ *   1. parseCondition / parseConditions / formatCondition — the rule language
+ *   2. evaluateCondition — each field against a built context
+ *   3. findMatchingRule — order, any/all, disabled rules
+ *   4. folderError / buildRuleRoute — destination folders
+ */
+
+const path = require('path');
+const {
+  parseCondition,
+  parseConditions,
+  formatCondition,
+  buildRuleContext,
+  evaluateCondition,
+  findMatchingRule,
+  folderError,
+  buildRuleRoute,
+} = require('../../src/main/routing/routingRules.js');
+
+// Tuesday 2026-03-10, 18:30 local time
+const TUESDAY_EVENING = new Date(2026, 2, 10, 18, 30);
+
+function context(overrides = {}, internalDomains = ['jdco.com']) {
+  return buildRuleContext(
+    {
+      meetingTitle: '[Board] Quarterly review',
+      meetingDate: TUESDAY_EVENING,
+      platform: 'zoom',
+      tags: ['Board', 'finance'],
+      participantEmails: ['jd@jdco.com', 'Ann@Acme.com'],
+      calendarEventId: 'evt-1',
+      calendarDescription: 'Agenda for Project Z',
+      calendarAttendees: [
+        { name: 'Ann', email: 'ann@acme.com', isOrganizer: true },
+        { name: 'Bob', email: 'bob@acme.com' },
+      ],
+      ...overrides,
+    },
+    internalDomains
+  );
+}
+
+const holds = (line, ctx = context()) => evaluateCondition(parseCondition(line), ctx);
+
+describe('parseCondition / formatCondition', () => {
+  const lines = [
+    'title contains board',
+    'title is "Weekly sync"',
+    'title starts with Acme',
+    'title matches ^\\[Board\\]',
+    'platform is youtube',
+    'platform is not zoom',
+    'calendar linked',
+    'calendar not linked',
+    'calendar organizer acme.com',
+    'calendar description contains Project Z',
+    'attendees internal only',
+    'attendees external',
+    'attendees at least 5',
+    'attendee ann@acme.com',
+    'domain any acme.com, globex.com',
+    'domain all acme.com',
+    'domain none gmail.com',
+    'tag board',
+    'tag not personal',
+    'day mon, tue',
+    'time after 17:00',
+    'time before 09:30',
+  ];
+
+  it.each(lines)('round-trips "%s"', line => {
+    expect(formatCondition(parseCondition(line))).toBe(line);
+  });
+
+  it('normalizes case, quotes, @ prefixes and times', () => {
+    expect(parseCondition('Title Contains "Q3 plan"')).toEqual({
+      field: 'title',
+      op: 'contains',
+      value: 'Q3 plan',
+    });
+    expect(parseCondition('domain any @Acme.com,Globex.com').value).toEqual([
+      'acme.com',
+      'globex.com',
+    ]);
+    expect(parseCondition('days Monday, friday').value).toEqual(['mon', 'fri']);
+    expect(parseCondition('time after 9:05').value).toBe('09:05');
+  });
+
+  it('rejects lines it does not understand', () => {
+    expect(() => parseCondition('duration over 1h')).toThrow(/not a condition/);
+    expect(() => parseCondition('title matches (unclosed')).toThrow();
+    expect(() => parseCondition('day someday')).toThrow(/unknown day/);
+    expect(() => parseCondition('time after 25:00')).toThrow(/not a time of day/);
+  });
+
+  it('collects errors with line numbers and skips blanks and comments', () => {
+    const { conditions, errors } = parseConditions(
+      '# board meetings\ntitle contains board\n\nwhenever\ntag board'
+    );
+    expect(conditions).toHaveLength(2);
+    expect(errors).toEqual([{ line: 4, message: expect.stringContaining('"whenever"') }]);
+  });
+});
+
+describe('evaluateCondition', () => {
+  it('matches title conditions case-insensitively', () => {
+    expect(holds('title contains QUARTERLY')).toBe(true);
+    expect(holds('title is "[board] quarterly review"')).toBe(true);
+    expect(holds('title starts with [Board]')).toBe(true);
+    expect(holds('title matches review$')).toBe(true);
+    expect(holds('title contains standup')).toBe(false);
+  });
+
+  it('matches platform and calendar conditions', () => {
+    expect(holds('platform is zoom')).toBe(true);
+    expect(holds('platform is not zoom')).toBe(false);
+    expect(holds('calendar linked')).toBe(true);
+    expect(holds('calendar not linked', context({ calendarEventId: null }))).toBe(true);
+    expect(holds('calendar organizer ann@acme.com')).toBe(true);
+    expect(holds('calendar organizer acme.com')).toBe(true);
+    expect(holds('calendar organizer globex.com')).toBe(false);
+    expect(holds('calendar description contains project z')).toBe(true);
+  });
+
+  it('matches attendees and domains across participants and calendar attendees', () => {
+    expect(holds('attendee bob@acme.com')).toBe(true);
+    expect(holds('attendees at least 3')).toBe(true);
+    expect(holds('attendees at least 4')).toBe(false);
+    expect(holds('attendees external')).toBe(true);
+    expect(holds('attendees internal only')).toBe(false);
+    expect(
+      holds(
+        'attendees internal only',
+        context({ participantEmails: ['a@jdco.com'], calendarAttendees: [] })
+      )
+    ).toBe(true);
+    expect(holds('domain any globex.com, acme.com')).toBe(true);
+    expect(holds('domain all acme.com')).toBe(false);
+    expect(holds('domain all acme.com, jdco.com')).toBe(true);
+    expect(holds('domain none gmail.com')).toBe(true);
+  });
+
+  it('never treats attendees as internal or external without internal domains', () => {
+    const ctx = context({}, []);
+    expect(holds('attendees internal only', ctx)).toBe(false);
+    expect(holds('attendees external', ctx)).toBe(false);
+  });
+
+  it('matches tags, days and times', () => {
+    expect(holds('tag board')).toBe(true);
+    expect(holds('tag not finance')).toBe(false);
+    expect(holds('day tue')).toBe(true);
+    expect(holds('day sat, sun')).toBe(false);
+    expect(holds('time after 18:30')).toBe(true);
+    expect(holds('time before 18:30')).toBe(false);
+    expect(holds('time after 09:00', context({ meetingDate: null }))).toBe(false);
+  });
+});
+
+describe('findMatchingRule', () => {
+  const rule = (id, lines, extra = {}) => ({
+    id,
+    name: id,
+    conditions: parseConditions(lines).conditions,
+    ...extra,
+  });
+
+  it('returns the first rule that matches, with the conditions that held', () => {
+    const rules = [
+      rule('standups', 'title contains standup'),
+      rule('board', 'tag board\ntime after 17:00'),
+      rule('acme', 'domain any acme.com'),
+    ];
+    const result = findMatchingRule(rules, context());
+    expect(result.rule.id).toBe('board');
+    expect(result.matched).toEqual(['tag board', 'time after 17:00']);
+  });
+
+  it('needs every condition by default and one with match "any"', () => {
+    const lines = 'platform is teams\ntag board';
+    expect(findMatchingRule([rule('all', lines)], context())).toBeNull();
+    const result = findMatchingRule([rule('any', lines, { match: 'any' })], context());
+    expect(result.matched).toEqual(['tag board']);
+  });
+
+  it('skips disabled rules and rules without conditions', () => {
+    const rules = [
+      rule('off', 'tag board', { enabled: false }),
+      rule('empty', ''),
+      rule('on', 'tag board'),
+    ];
+    expect(findMatchingRule(rules, context()).rule.id).toBe('on');
+    expect(findMatchingRule([], context())).toBeNull();
+  });
+});
+
+describe('rule folders', () => {
+  it('rejects empty folders and relative paths that leave the vault', () => {
+    expect(folderError('  ')).toBe('is empty');
+    expect(folderError('../outside')).toMatch(/inside the vault/);
+    expect(folderError('Board/../../x')).toMatch(/inside the vault/);
+    expect(folderError('Board/meetings')).toBeNull();
+    expect(folderError(path.resolve('/tmp/board'))).toBeNull();
+  });
+
+  it('builds vault-relative and absolute routes', () => {
+    const naming = { folderName: '2026-03-10-review', dateStr: '2026-03-10', titleSlug: 'review' };
+    const relative = buildRuleRoute('Board/meetings', naming, { id: 'r1', name: 'Board' });
+    expect(relative).toMatchObject({
+      type: 'rule',
+      organizationName: 'Board',
+      isAbsolutePath: false,
+      copy: false,
+      fullPath: path.join('Board', 'meetings', '2026-03-10-review'),
+    });
+
+    const absolute = buildRuleRoute(path.resolve('/srv/archive'), naming, { name: 'Board' }, true);
+    expect(absolute.isAbsolutePath).toBe(true);
+    expect(absolute.copy).toBe(true);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Semantic search (embedding index) Unit Tests
+ *
+ * Tests:
+ *   1. chunkTranscript / chunkText — size-bounded chunks that keep entry_order ranges
+ *   2. indexMeeting — stores Float32 BLOBs, skips unchanged content, replaces on change,
+ *      drops vectors for text that changed mid-embed
+ *   3. Staleness triggers — transcript / summary edits queue a meeting for reindexing
+ *   4. findMeetingsAbout — per-meeting ranking, model isolation, utterance pinpointing
+ *   5. indexPendingMeetings — stops early when the embedding server is unreachable
+ */
+
+const { vi } = await import('vitest');
+const Database = require('better-sqlite3');
+const {
+  createSemanticIndex,
+  hasSemanticIndex,
+  chunkTranscript,
+  chunkText,
+  indexMeeting,
+  getMeetingsNeedingIndex,
+  indexPendingMeetings,
+  findMeetingsAbout,
+  getIndexedModel,
+} = require('../../src/main/services/semanticSearch.js');
+
+// Toy embedding space: one dimension per topic, synonyms share a dimension so
+// "quote was too high" lands near "pricing" without sharing a word.
+const TOPICS = [
+  ['pricing', 'price', 'quote', 'expensive', 'cost', 'discount'],
+  ['hiring', 'hire', 'recruit', 'candidate', 'headcount'],
+  ['security', 'breach', 'password', 'audit'],
+  ['weather', 'rain', 'sunny'],
+];
+
+function fakeEmbed(texts) {
+  return texts.map(text => {
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+    const v = TOPICS.map(group => words.filter(w => group.includes(w)).length);
+    v.push(0.1); // keep zero-topic texts from being the zero vector
+    return v;
+  });
+}
+
+function makeDb() {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE meetings (
+      id TEXT PRIMARY KEY, title TEXT NOT NULL, date TEXT NOT NULL, status TEXT,
+      summary TEXT, summaries TEXT
+    );
+    CREATE TABLE transcript_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+      entry_order INTEGER NOT NULL, speaker TEXT NOT NULL, speaker_name TEXT,
+      speaker_display_name TEXT, text TEXT NOT NULL, timestamp REAL
+    );
+  `);
+  createSemanticIndex(db);
+  return db;
+}
+
+function addMeeting(db, id, { title = 'Untitled', date = '2026-01-01', summary = null } = {}) {
+  db.prepare('INSERT INTO meetings (id, title, date, summary) VALUES (?, ?, ?, ?)').run(id, title, date, summary);
+}
+
+function addUtterances(db, meetingId, texts) {
+  const stmt = db.prepare(
+    'INSERT INTO transcript_entries (meeting_id, entry_order, speaker, speaker_name, text, timestamp) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  texts.forEach((text, i) => stmt.run(meetingId, i, 'Speaker A', 'Kurt', text, i * 30));
+}
+
+describe('chunking', () => {
+  it('groups utterances up to the size limit and records entry ranges', () => {
+    const entries = ['aaaa', 'bbbb', 'cccc'].map((text, i) => ({ entryOrder: i, speaker: 'A', text }));
+    expect(chunkTranscript(entries, 15)).toEqual([
+      { entryStart: 0, entryEnd: 1, text: 'A: aaaa\nA: bbbb' },
+      { entryStart: 2, entryEnd: 2, text: 'A: cccc' },
+    ]);
+  });
+
+  it('keeps an oversized utterance whole and skips blank ones', () => {
+    const entries = [
+      { entryOrder: 0, speaker: 'A', text: '   ' },
+      { entryOrder: 1, speaker: 'A', text: 'x'.repeat(50) },
+    ];
+    expect(chunkTranscript(entries, 10)).toEqual([{ entryStart: 1, entryEnd: 1, text: `A: ${'x'.repeat(50)}` }]);
+  });
+
+  it('splits summaries on paragraph boundaries', () => {
+    expect(chunkText('one\n\ntwo\n\nthree', 8)).toEqual(['one\n\ntwo', 'three']);
+    expect(chunkText(null)).toEqual([]);
+  });
+});
+
+describe('indexMeeting', () => {
+  it('stores one Float32 vector per chunk and skips unchanged content', async () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { summary: 'Pricing review' });
+    addUtterances(db, 'm1', ['The quote is too expensive']);
+    const embed = vi.fn(fakeEmbed);
+
+    expect(await indexMeeting(db, 'm1', embed, { model: 'toy' })).toEqual({ meetingId: 'm1', chunks: 2, skipped: false });
+    const rows = db.prepare('SELECT source, embedding FROM meeting_embeddings ORDER BY chunk_index').all();
+    expect(rows.map(r => r.source)).toEqual(['summary', 'transcript']);
+    expect(rows[0].embedding.length).toBe(5 * 4);
+
+    // Rewriting the transcript with identical text drops the state row but
+    // must not re-embed.
+    db.prepare('DELETE FROM transcript_entries WHERE meeting_id = ?').run('m1');
+    addUtterances(db, 'm1', ['The quote is too expensive']);
+    expect(getMeetingsNeedingIndex(db, 'toy')).toEqual(['m1']);
+    expect((await indexMeeting(db, 'm1', embed, { model: 'toy' })).skipped).toBe(true);
+    expect(embed).toHaveBeenCalledTimes(1);
+    expect(getMeetingsNeedingIndex(db, 'toy')).toEqual([]);
+  });
+
+  it('re-embeds when the summary changes or the model differs', async () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { summary: 'Pricing review' });
+    const embed = vi.fn(fakeEmbed);
+    await indexMeeting(db, 'm1', embed, { model: 'toy' });
+
+    db.prepare('UPDATE meetings SET summary = ? WHERE id = ?').run('Hiring plan', 'm1');
+    expect(getMeetingsNeedingIndex(db, 'toy')).toEqual(['m1']);
+    await indexMeeting(db, 'm1', embed, { model: 'toy' });
+    expect(db.prepare('SELECT text FROM meeting_embeddings').all()).toEqual([{ text: 'Hiring plan' }]);
+
+    expect(getMeetingsNeedingIndex(db, 'other-model')).toEqual(['m1']);
+    expect((await indexMeeting(db, 'm1', embed, { model: 'other-model' })).skipped).toBe(false);
+    expect(embed).toHaveBeenCalledTimes(3);
+  });
+
+  it('drops vectors for text that changed while it was being embedded', async () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { summary: 'Pricing review' });
+    const embed = vi.fn(async texts => {
+      db.prepare('UPDATE meetings SET summary = ? WHERE id = ?').run('Hiring plan', 'm1');
+      return fakeEmbed(texts);
+    });
+
+    expect(await indexMeeting(db, 'm1', embed, { model: 'toy' })).toMatchObject({ skipped: true, stale: true });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM meeting_embeddings').get().n).toBe(0);
+    expect(getMeetingsNeedingIndex(db, 'toy')).toEqual(['m1']);
+  });
+
+  it('rejects a response with the wrong number of vectors', async () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { summary: 'Pricing' });
+    await expect(indexMeeting(db, 'm1', async () => [])).rejects.toThrow(/0 vectors for 1 inputs/);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM meeting_embeddings').get().n).toBe(0);
+  });
+
+  it('drops vectors when the meeting is deleted', async () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { summary: 'Pricing' });
+    await indexMeeting(db, 'm1', fakeEmbed);
+    db.prepare('DELETE FROM meetings WHERE id = ?').run('m1');
+    expect(db.prepare('SELECT COUNT(*) AS n FROM meeting_embeddings').get().n).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM meeting_embedding_state').get().n).toBe(0);
+  });
+});
+
+describe('findMeetingsAbout', () => {
+  async function seed() {
+    const db = makeDb();
+    addMeeting(db, 'm1', { title: 'Vendor call', date: '2026-02-01' });
+    addUtterances(db, 'm1', ['Good morning', 'They said our quote was too expensive', 'Lets talk next week']);
+    addMeeting(db, 'm2', { title: 'Team sync', date: '2026-02-02', summary: 'Discussed hiring two candidates' });
+    addMeeting(db, 'm3', { title: 'Offsite', date: '2026-02-03' });
+    addUtterances(db, 'm3', ['Hope it will be sunny', 'Forecast says rain']);
+    await indexPendingMeetings(db, fakeEmbed, { model: 'toy' });
+    return db;
+  }
+
+  it('ranks meetings by meaning and pins the matching utterance', async () => {
+    const db = await seed();
+    const hits = await findMeetingsAbout(db, 'pricing', fakeEmbed, { model: 'toy', limit: 2 });
+
+    expect(hits.map(h => h.meetingId)).toEqual(['m1', expect.any(String)]);
+    expect(hits[0]).toMatchObject({
+      title: 'Vendor call',
+      source: 'transcript',
+      entryOrder: 1,
+      speaker: 'Kurt',
+      timestamp: 30,
+      utterance: 'They said our quote was too expensive',
+    });
+  });
+
+  it('returns summary hits without utterance fields', async () => {
+    const db = await seed();
+    const [hit] = await findMeetingsAbout(db, 'recruit', fakeEmbed, { model: 'toy', limit: 1 });
+    expect(hit).toMatchObject({ meetingId: 'm2', source: 'summary' });
+    expect(hit.entryOrder).toBeUndefined();
+  });
+
+  it('only compares vectors from the requested model', async () => {
+    const db = await seed();
+    expect(await findMeetingsAbout(db, 'pricing', fakeEmbed, { model: 'unindexed' })).toEqual([]);
+    expect(getIndexedModel(db)).toBe('toy');
+  });
+
+  it('returns nothing for a blank query without calling the embedder', async () => {
+    const db = await seed();
+    const embed = vi.fn(fakeEmbed);
+    expect(await findMeetingsAbout(db, '   ', embed)).toEqual([]);
+    expect(embed).not.toHaveBeenCalled();
+  });
+});
+
+describe('indexPendingMeetings', () => {
+  it('stops after the first connection failure', async () => {
+    const db = makeDb();
+    addMeeting(db, 'm1', { summary: 'a', date: '2026-01-02' });
+    addMeeting(db, 'm2', { summary: 'b', date: '2026-01-01' });
+    const refused = Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+    const embed = vi.fn().mockRejectedValue(refused);
+
+    const summary = await indexPendingMeetings(db, embed, { model: 'toy' });
+    expect(summary).toMatchObject({ indexed: 0, failed: 1, remaining: 2 });
+    expect(embed).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports tables present', () => {
+    expect(hasSemanticIndex(makeDb())).toBe(true);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Structured Template Output Unit Tests
+ *
+ * Tests:
+ *   1. Output schemas — compiling, checking answers, the Gemini schema subset
+ *   2. Rendering answers as Obsidian inline fields
+ *   3. LLMService.generateStructured — retry on an invalid answer, Anthropic tool use
+ *   4. Templates declaring an output_schema, and the stored answers
+ */
+
+const { describe, it, expect, vi } = await import('vitest');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  compileOutputSchema,
+  geminiSchema,
+  validateStructured,
+  renderStructured,
+  listStructuredData,
+} = require('../../src/main/services/structuredOutput');
+const { LLMService, AnthropicAdapter } = require('../../src/main/services/llmService');
+const TemplateParser = require('../../src/main/templates/TemplateParser');
+
+const schema = {
+  type: 'object',
+  properties: {
+    firm_name: { type: 'string', 'x-link': true },
+    aum: { type: ['string', 'null'] },
+    staff: {
+      title: 'Staff Mentioned',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: { type: 'string', 'x-link': true }, role: { type: 'string' } },
+        required: ['name'],
+      },
+    },
+  },
+  required: ['firm_name'],
+};
+
+describe('output schemas', () => {
+  it('only accepts object schemas', () => {
+    expect(() => compileOutputSchema({ type: 'array', items: {} })).toThrow("type 'object'");
+    expect(() =>
+      compileOutputSchema({ type: 'object', properties: { a: { type: 'nope' } } })
+    ).toThrow('Invalid output_schema');
+  });
+
+  it('parses fenced JSON and lists what does not match', () => {
+    const validator = compileOutputSchema(schema);
+    expect(validateStructured(validator, '```json\n{"firm_name": "Acme"}\n```')).toEqual({
+      data: { firm_name: 'Acme' },
+    });
+    expect(validateStructured(validator, '{"staff": [{"role": "COO"}]}').errors).toEqual([
+      expect.stringMatching(/^firm_name: /),
+      expect.stringMatching(/^staff\.0\.name: /),
+    ]);
+    expect(validateStructured(validator, 'Sure! Here it is').errors[0]).toMatch(/^Not valid JSON/);
+  });
+
+  it('converts to the subset Gemini accepts', () => {
+    const converted = geminiSchema(schema);
+    expect(converted.properties.aum).toEqual({ type: 'string', nullable: true });
+    expect(converted.properties.staff).not.toHaveProperty('title');
+    expect(converted.properties.firm_name).toEqual({ type: 'string' });
+  });
+});
+
+describe('renderStructured', () => {
+  it('writes inline fields, lists and wikilinks in schema order', () => {
+    const markdown = renderStructured(
+      { staff: [{ name: 'Jo Park', role: 'COO' }], aum: null, firm_name: 'Acme Advisors' },
+      schema
+    );
+    expect(markdown).toBe(
+      'firm_name:: [[Acme Advisors]]\n\n### Staff Mentioned\n\n- [[Jo Park]] — COO'
+    );
+    expect(renderStructured({ aum: null }, schema)).toBe('*Nothing to record from this meeting.*');
+  });
+});
+
+describe('LLMService.generateStructured', () => {
+  const createService = (...answers) => {
+    const service = new LLMService({ provider: 'ollama', ollama: { model: 'llama3' } });
+    const generateCompletion = vi.fn();
+    for (const content of answers) {
+      generateCompletion.mockResolvedValueOnce({ content, model: 'llama3' });
+    }
+    service.adapter = { generateCompletion, getProviderName: () => 'Local LLM' };
+    return service;
+  };
+
+  it('asks again once with what was wrong', async () => {
+    const service = createService('{"aum": "$4M"}', '{"firm_name": "Acme"}');
+
+    const result = await service.generateStructured({
+      userPrompt: 'Extract',
+      outputSchema: schema,
+    });
+
+    expect(result.data).toEqual({ firm_name: 'Acme' });
+    const calls = service.adapter.generateCompletion.mock.calls;
+    expect(calls[0][0]).toMatchObject({ userPrompt: 'Extract', outputSchema: schema });
+    expect(calls[1][0].userPrompt).toMatch(
+      /^Extract\n\nYour previous answer did not match[^]*firm_name/
+    );
+  });
+
+  it('gives up after the retry', async () => {
+    const service = createService('{}', '{}');
+
+    await expect(
+      service.generateStructured({ userPrompt: 'Extract', outputSchema: schema })
+    ).rejects.toMatchObject({ code: 'STRUCTURED_OUTPUT_INVALID' });
+    expect(service.adapter.generateCompletion).toHaveBeenCalledTimes(2);
+  });
+
+  it('has Anthropic answer through a forced tool call', async () => {
+    const adapter = new AnthropicAdapter('test-key', 'claude-haiku-4-5-20251001');
+    adapter.client.messages.create = vi.fn().mockResolvedValue({
+      model: 'claude-haiku-4-5-20251001',
+      content: [{ type: 'tool_use', name: 'record_answer', input: { firm_name: 'Acme' } }],
+    });
+
+    const result = await adapter.generateCompletion({
+      userPrompt: 'Extract',
+      outputSchema: schema,
+    });
+
+    const request = adapter.client.messages.create.mock.calls[0][0];
+    expect(request.tool_choice).toEqual({ type: 'tool', name: 'record_answer' });
+    expect(request.tools[0].input_schema.properties.firm_name).toEqual({ type: 'string' });
+    expect(JSON.parse(result.content)).toEqual({ firm_name: 'Acme' });
+  });
+});
+
+describe('templates with an output_schema', () => {
+  it('rejects a template whose output_schema is not an object schema', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'structured-template-'));
+    const file = path.join(dir, 'bad.yaml');
+    fs.writeFileSync(
+      file,
+      'name: Bad\nsections:\n  - title: Basics\n    prompt: Extract.\n    output_schema:\n      type: string\n'
+    );
+    try {
+      expect(() => TemplateParser.parseFile(file)).toThrow("Template section 'Basics'");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('ships firm-profile-signals with valid schemas', () => {
+    const template = TemplateParser.parseFile(
+      path.join(__dirname, '..', '..', 'config', 'templates', 'firm-profile-signals.yaml')
+    );
+    expect(template.sections.filter(s => s.output_schema).length).toBeGreaterThan(0);
+  });
+
+  it('lists stored answers newest first, skipping trashed meetings', () => {
+    const db = new Database(':memory:');
+    db.exec(
+      'CREATE TABLE meetings (id TEXT PRIMARY KEY, title TEXT, date TEXT, status TEXT, summaries TEXT)'
+    );
+    const summaries = data =>
+      JSON.stringify([
+        { templateId: 'recap', templateName: 'Recap', content: '' },
+        { templateId: 'firm', templateName: 'Firm', content: '', data },
+      ]);
+    const insert = db.prepare('INSERT INTO meetings VALUES (?, ?, ?, ?, ?)');
+    insert.run('m1', 'First', '2026-01-05', 'complete', summaries({ Basics: { aum: '$1M' } }));
+    insert.run('m2', 'Second', '2026-02-05', 'complete', summaries({ Basics: { aum: '$2M' } }));
+    insert.run('m3', 'Gone', '2026-03-05', 'trashed', summaries({ Basics: { aum: '$3M' } }));
+
+    const rows = listStructuredData(db, { templateId: 'firm' });
+
+    expect(rows.map(r => [r.meetingId, r.data.Basics.aum])).toEqual([
+      ['m2', '$2M'],
+      ['m1', '$1M'],
+    ]);
+    expect(listStructuredData(db, { templateId: 'recap' })).toEqual([]);
+  });
+});
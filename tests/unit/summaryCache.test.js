@@ -0,0 +1,107 @@
+/**
+ * Summary Cache Unit Tests
+ *
+ * Tests:
+ *   1. Keys — which changes make a new key, and which don't
+ *   2. Reading and writing results, counting hits
+ *   3. Eviction — least recently used, unused for too long, by meeting, everything
+ */
+
+const { describe, it, expect, beforeEach } = await import('vitest');
+
+const Database = require('better-sqlite3');
+const {
+  createSummaryCacheTable,
+  summaryCacheKey,
+  getCachedSummary,
+  putCachedSummary,
+  evictSummaryCache,
+  summaryCacheStats,
+} = require('../../src/main/services/summaryCache');
+
+const parts = {
+  kind: 'template',
+  transcript: 'Alice: Hello\nBob: Hi',
+  speakerMapping: { SPEAKER_0: { name: 'Alice' }, SPEAKER_1: { name: 'Bob' } },
+  template: [{ title: 'Recap', prompt: 'Summarize.' }],
+  model: 'anthropic/claude-haiku-4-5-20251001',
+};
+
+describe('summaryCacheKey', () => {
+  it('changes with the transcript, speakers, template and model', () => {
+    const key = summaryCacheKey(parts);
+    expect(summaryCacheKey({ ...parts })).toBe(key);
+    for (const change of [
+      { transcript: 'Alice: Hello' },
+      { speakerMapping: { SPEAKER_0: { name: 'Carol' } } },
+      { template: [{ title: 'Recap', prompt: 'Summarize briefly.' }] },
+      { model: 'gemini/gemini-3.1-flash-lite' },
+      { context: 'User Context: The reader is Alice.' },
+      { kind: 'meeting' },
+    ]) {
+      expect(summaryCacheKey({ ...parts, ...change })).not.toBe(key);
+    }
+  });
+
+  it('ignores the order of speaker mapping keys', () => {
+    expect(
+      summaryCacheKey({
+        ...parts,
+        speakerMapping: { SPEAKER_1: { name: 'Bob' }, SPEAKER_0: { name: 'Alice' } },
+      })
+    ).toBe(summaryCacheKey(parts));
+  });
+});
+
+describe('summary cache', () => {
+  let db;
+  const day = n => new Date(2026, 4, n);
+  const put = (key, meetingId = 'm1', when = day(1)) =>
+    putCachedSummary(
+      db,
+      { key, kind: 'template', meetingId, templateId: 'recap', result: { sections: [key] } },
+      when
+    );
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    createSummaryCacheTable(db);
+  });
+
+  it('returns stored results and counts each reuse', () => {
+    put('a');
+
+    expect(getCachedSummary(db, 'a')).toEqual({ sections: ['a'] });
+    expect(getCachedSummary(db, 'a')).toEqual({ sections: ['a'] });
+    expect(getCachedSummary(db, 'missing')).toBeNull();
+
+    expect(summaryCacheStats(db)).toMatchObject({
+      entries: 1,
+      hits: 2,
+      byKind: [{ kind: 'template', entries: 1, hits: 2 }],
+    });
+  });
+
+  it('evicts the least recently used beyond the limit', () => {
+    put('a', 'm1', day(1));
+    put('b', 'm1', day(2));
+    put('c', 'm1', day(3));
+    getCachedSummary(db, 'a', day(4));
+
+    expect(evictSummaryCache(db, { maxEntries: 2 })).toBe(1);
+    expect(getCachedSummary(db, 'b')).toBeNull();
+    expect(getCachedSummary(db, 'a')).not.toBeNull();
+  });
+
+  it('evicts entries unused for too long, by meeting, or all of them', () => {
+    put('old', 'm1', day(1));
+    put('new', 'm2', day(20));
+    put('other', 'm3', day(20));
+
+    expect(evictSummaryCache(db, { maxAgeDays: 10 }, day(21))).toBe(1);
+    expect(evictSummaryCache(db, { meetingId: 'm2' })).toBe(1);
+    expect(summaryCacheStats(db).entries).toBe(1);
+    expect(evictSummaryCache(db, { all: true })).toBe(1);
+    expect(summaryCacheStats(db)).toMatchObject({ entries: 0, sizeBytes: 0, hits: 0 });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Transcript Chunking Unit Tests
+ *
+ * Tests:
+ *   1. estimateTokens / contextWindow / transcriptBudget — per provider and model
+ *   2. splitTurns / chunkTranscript — parts break between speaker turns
+ *   3. condenseTranscript — map over parts, condense again while too long
+ */
+
+const {
+  estimateTokens,
+  contextWindow,
+  transcriptBudget,
+  splitTurns,
+  chunkTranscript,
+  condenseTranscript,
+} = require('../../src/main/services/transcriptChunking.js');
+
+const chars = text => text.length;
+
+describe('estimateTokens / contextWindow / transcriptBudget', () => {
+  it('estimates more tokens for denser tokenizers', () => {
+    const text = 'x'.repeat(700);
+    expect(estimateTokens(text, 'anthropic')).toBe(200);
+    expect(estimateTokens(text, 'gemini')).toBe(175);
+    expect(estimateTokens(text, 'ollama', 'llama2:7b')).toBeGreaterThan(
+      estimateTokens(text, 'ollama', 'llama3.1:8b')
+    );
+  });
+
+  it('knows context windows by model prefix, with provider defaults', () => {
+    expect(contextWindow('ollama', 'llama3:8b')).toBe(8192);
+    expect(contextWindow('ollama', 'library/llama3.1:70b')).toBe(128000);
+    expect(contextWindow('ollama', 'something-new')).toBe(8192);
+    expect(contextWindow('anthropic', 'claude-haiku-4-5-20251001')).toBe(200000);
+    expect(contextWindow('gemini', 'gemini-3.1-flash-lite')).toBe(1000000);
+    expect(contextWindow('openai', 'gpt-4o-mini')).toBe(128000);
+    expect(contextWindow('openai', 'gpt-4.1-nano')).toBe(1047576);
+    expect(contextWindow('azure', 'gpt-4-0613')).toBe(8192);
+    expect(contextWindow('openai', 'qwen3')).toBe(8192);
+  });
+
+  it('uses the context window configured for an endpoint over what it knows', () => {
+    expect(contextWindow('openai', 'qwen3', 32768)).toBe(32768);
+    expect(contextWindow('azure', 'notes-large', 128000)).toBe(128000);
+    expect(contextWindow('openai', 'gpt-4o', null)).toBe(128000);
+    expect(
+      transcriptBudget({ provider: 'openai', model: 'qwen3', maxTokens: 4000, window: 32768 })
+    ).toBeGreaterThan(transcriptBudget({ provider: 'openai', model: 'qwen3', maxTokens: 4000 }));
+  });
+
+  it('leaves room for the prompt and at most a quarter of a small window for the answer', () => {
+    const budget = transcriptBudget({ provider: 'ollama', model: 'llama3', maxTokens: 15000 });
+    expect(budget).toBe(Math.floor((8192 - 2048) * 0.9));
+    const withPrompt = transcriptBudget({
+      provider: 'ollama',
+      model: 'llama3',
+      maxTokens: 15000,
+      promptText: 'x'.repeat(380),
+    });
+    expect(withPrompt).toBe(budget - 100);
+  });
+});
+
+describe('splitTurns / chunkTranscript', () => {
+  const transcript = [
+    '[00:00:01] Ann: Welcome everyone.',
+    '[00:00:04] Ann: Let us start.',
+    '[00:00:09] Bo: Thanks.',
+    'a line without a speaker',
+    '[00:00:15] Ann: First item.',
+  ].join('\n');
+
+  it('groups consecutive lines by the same speaker', () => {
+    expect(splitTurns(transcript)).toEqual([
+      '[00:00:01] Ann: Welcome everyone.\n[00:00:04] Ann: Let us start.',
+      '[00:00:09] Bo: Thanks.\na line without a speaker',
+      '[00:00:15] Ann: First item.',
+    ]);
+  });
+
+  it('breaks between turns and keeps every line', () => {
+    const chunks = chunkTranscript(transcript, 80, chars);
+    expect(chunks).toEqual([
+      '[00:00:01] Ann: Welcome everyone.\n[00:00:04] Ann: Let us start.',
+      '[00:00:09] Bo: Thanks.\na line without a speaker\n[00:00:15] Ann: First item.',
+    ]);
+  });
+
+  it('splits a turn longer than a part at sentences', () => {
+    const long = `Ann: ${'This is a sentence. '.repeat(10).trim()}`;
+    const chunks = chunkTranscript(long, 50, chars);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(c => c.length <= 50)).toBe(true);
+    expect(chunks.join('')).toBe(long);
+  });
+});
+
+describe('condenseTranscript', () => {
+  const line = i => `Speaker ${i % 2}: ${'word '.repeat(300).trim()} ${i}`;
+  const transcript = Array.from({ length: 40 }, (_, i) => line(i)).join('\n');
+
+  it('returns a transcript that fits without calling the LLM', async () => {
+    const generateCompletion = vi.fn();
+    const result = await condenseTranscript({ generateCompletion }, 'Ann: Hi', {
+      provider: 'anthropic',
+      budget: 1000,
+    });
+    expect(result).toEqual({ text: 'Ann: Hi', parts: 0, rounds: 0 });
+    expect(generateCompletion).not.toHaveBeenCalled();
+  });
+
+  it('summarizes each part in order and joins the notes', async () => {
+    const generateCompletion = vi
+      .fn()
+      .mockImplementation(({ userPrompt }) =>
+        Promise.resolve({ content: `- notes (${userPrompt.match(/part \d+/)[0]})` })
+      );
+    const result = await condenseTranscript({ generateCompletion }, transcript, {
+      provider: 'ollama',
+      model: 'llama3',
+      budget: 2000,
+    });
+
+    expect(result.rounds).toBe(1);
+    expect(result.parts).toBe(generateCompletion.mock.calls.length);
+    expect(result.parts).toBeGreaterThan(1);
+    expect(result.text).toMatch(/^The transcript was too long/);
+    expect(result.text).toContain(`## Part 1 of ${result.parts}\n\n- notes (part 1)`);
+    const sent = generateCompletion.mock.calls.map(([options]) => options.cacheableContext);
+    expect(sent.join('\n')).toBe(transcript);
+  });
+
+  it('condenses the notes again while they are still too long', async () => {
+    // Each part's notes are a third of it
+    const generateCompletion = vi
+      .fn()
+      .mockImplementation(({ cacheableContext }) =>
+        Promise.resolve({ content: cacheableContext.slice(0, cacheableContext.length / 3) })
+      );
+    const result = await condenseTranscript({ generateCompletion }, transcript, {
+      provider: 'ollama',
+      model: 'llama3',
+      budget: 2500,
+    });
+    expect(result.rounds).toBe(2);
+    expect(estimateTokens(result.text, 'ollama', 'llama3')).toBeLessThan(2600);
+  });
+
+  it('gives up when the notes do not get shorter', async () => {
+    const generateCompletion = vi
+      .fn()
+      .mockImplementation(({ cacheableContext }) => Promise.resolve({ content: cacheableContext }));
+    await expect(
+      condenseTranscript({ generateCompletion }, transcript, {
+        provider: 'ollama',
+        model: 'llama3',
+        budget: 2000,
+      })
+    ).rejects.toThrow('did not make it shorter');
+  });
+});
@@ -1,15 +1,45 @@
 /**
  * Transcript Exporter Unit Tests
  *
- * Tests formatTranscriptForExport() and generateExportFilename().
+ * Tests formatTranscriptForExport(), the timed/structured formats (SRT, WebVTT,
+ * JSON, HTML) and their round trip through TranscriptParser, and
+ * generateExportFilename().
  */
 
 const { describe, it, expect } = await import('vitest');
 
 const {
   formatTranscriptForExport,
+  formatSRT,
+  formatVTT,
+  formatJSON,
+  formatHTML,
+  formatForPath,
+  exportTranscript,
   generateExportFilename,
 } = require('../../src/main/export/transcriptExporter.js');
+const TranscriptParser = require('../../src/main/import/TranscriptParser.js');
+
+// Recorded transcripts store milliseconds
+const timedTranscript = [
+  {
+    speaker: 'Speaker A',
+    speakerName: 'Alice Smith',
+    speakerEmail: 'alice@acme.com',
+    text: 'Pricing is <the> blocker & we know it.',
+    timestamp: 1500,
+    endTimestamp: 4250,
+    confidence: 0.92,
+  },
+  {
+    speaker: 'Speaker B',
+    speakerName: 'Bob',
+    text: 'Agreed.',
+    timestamp: 125000,
+    confidence: 0.41,
+  },
+  { speaker: 'Speaker A', speakerName: 'Alice Smith', text: '', timestamp: 130000 },
+];
 
 // ---------------------------------------------------------------------------
 // formatTranscriptForExport
@@ -99,6 +129,152 @@ describe('formatTranscriptForExport', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Timed and structured formats
+// ---------------------------------------------------------------------------
+
+describe('formatSRT', () => {
+  it('numbers cues and prefixes the speaker', () => {
+    expect(formatSRT(timedTranscript)).toBe(
+      '1\n00:00:01,500 --> 00:00:04,250\nAlice Smith: Pricing is <the> blocker & we know it.\n\n' +
+        '2\n00:02:05,000 --> 00:02:15,000\nBob: Agreed.\n'
+    );
+  });
+
+  it('reads second-based timestamps and ends cues at the next start', () => {
+    const transcript = [
+      { speaker: 'Alice', text: 'One.', timestamp: 3 },
+      { speaker: 'Bob', text: 'Two.', timestamp: 5.5 },
+    ];
+    expect(formatSRT(transcript)).toContain('00:00:03,000 --> 00:00:05,500\nAlice: One.');
+  });
+
+  it('refuses a transcript without timestamps', () => {
+    expect(() => formatSRT([{ speaker: 'Alice', text: 'Hi.' }])).toThrow(/no timestamps/);
+    expect(formatSRT([])).toBe('');
+  });
+});
+
+describe('formatVTT', () => {
+  it('writes voice tags, escaped text, speaker emails and confidence notes', () => {
+    const vtt = formatVTT(timedTranscript, { title: 'Acme kickoff', date: '2026-03-01' });
+    expect(
+      vtt.startsWith(
+        'WEBVTT\n\nNOTE\nTitle: Acme kickoff\nDate: 2026-03-01\nSpeakers:\nAlice Smith <alice@acme.com>\n\n'
+      )
+    ).toBe(true);
+    expect(vtt).toContain(
+      'NOTE confidence 0.92\n\n1\n00:00:01.500 --> 00:00:04.250\n<v Alice Smith>Pricing is &lt;the&gt; blocker &amp; we know it.</v>'
+    );
+  });
+
+  it('round-trips through TranscriptParser.parseVTT', () => {
+    const parsed = new TranscriptParser().parseVTT(formatVTT(timedTranscript), 'x.vtt');
+    expect(parsed.entries).toEqual([
+      {
+        speaker: 'Alice Smith',
+        speakerEmail: 'alice@acme.com',
+        text: 'Pricing is <the> blocker & we know it.',
+        timestamp: 1.5,
+        endTimestamp: 4.25,
+        confidence: 0.92,
+      },
+      { speaker: 'Bob', text: 'Agreed.', timestamp: 125, endTimestamp: 135, confidence: 0.41 },
+    ]);
+  });
+
+  it('still reads "Speaker: text" cues from other tools', () => {
+    const parsed = new TranscriptParser().parseVTT(
+      'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nDana: Hello there\n',
+      'x.vtt'
+    );
+    expect(parsed.entries).toEqual([
+      { speaker: 'Dana', text: 'Hello there', timestamp: 1, endTimestamp: 2 },
+    ]);
+  });
+});
+
+describe('formatJSON', () => {
+  it('keeps every field and round-trips through TranscriptParser.parseJSON', () => {
+    const meeting = {
+      id: 'm1',
+      title: 'Acme kickoff',
+      date: '2026-03-01T10:00:00Z',
+      participants: [{ name: 'Alice Smith', email: 'alice@acme.com' }],
+    };
+    const json = formatJSON(timedTranscript, meeting);
+    const document = JSON.parse(json);
+    expect(document).toMatchObject({
+      format: 'jd-notes-transcript',
+      version: 1,
+      timestampUnit: 'ms',
+    });
+    expect(document.entries).toEqual(timedTranscript);
+
+    const parser = new TranscriptParser();
+    const parsed = parser.parseJSON(json, 'x.json');
+    expect(parsed.metadata).toEqual({
+      title: 'Acme kickoff',
+      date: '2026-03-01T10:00:00Z',
+      participants: ['Alice Smith'],
+    });
+    expect(parser.toMeetingTranscript(parsed)).toEqual([
+      {
+        speaker: 'Alice Smith',
+        speakerEmail: 'alice@acme.com',
+        text: 'Pricing is <the> blocker & we know it.',
+        timestamp: 1.5,
+        endTimestamp: 4.25,
+        confidence: 0.92,
+      },
+      { speaker: 'Bob', text: 'Agreed.', timestamp: 125, confidence: 0.41 },
+    ]);
+  });
+
+  it('rejects JSON that is not a transcript export', () => {
+    const parser = new TranscriptParser();
+    expect(() => parser.parseJSON('{"entries": []}', 'x.json')).toThrow(/Not a JD Notes Things/);
+    expect(() => parser.parseJSON('{oops', 'x.json')).toThrow(/Invalid JSON/);
+  });
+});
+
+describe('formatHTML', () => {
+  it('escapes text, links emails and marks low-confidence lines', () => {
+    const html = formatHTML(timedTranscript, { title: 'Q&A <review>' });
+    expect(html).toContain('<title>Q&amp;A &lt;review&gt;</title>');
+    expect(html).toContain(
+      '<td class="time">0:01</td><td class="speaker"><a href="mailto:alice@acme.com">Alice Smith</a></td>' +
+        '<td class="text" title="Confidence 92%">Pricing is &lt;the&gt; blocker &amp; we know it.</td>'
+    );
+    expect(html).toContain(
+      '<tr class="low-confidence"><td class="time">2:05</td><td class="speaker">Bob</td>'
+    );
+  });
+
+  it('leaves out the time column for untimed transcripts', () => {
+    expect(formatHTML([{ speaker: 'Alice', text: 'Hi.' }])).not.toContain('class="time"');
+  });
+});
+
+describe('exportTranscript / formatForPath', () => {
+  it('renders by format id and counts exported entries', () => {
+    const meeting = { title: 'Sync', transcript: timedTranscript };
+    expect(exportTranscript(meeting, 'txt')).toEqual({
+      content: 'Alice Smith: Pricing is <the> blocker & we know it.\nBob: Agreed.',
+      entryCount: 2,
+    });
+    expect(exportTranscript({ transcript: [] }, 'vtt')).toEqual({ content: '', entryCount: 0 });
+    expect(() => exportTranscript(meeting, 'docx')).toThrow('Unknown export format: docx');
+    expect(() => exportTranscript(meeting, 'toString')).toThrow('Unknown export format');
+  });
+
+  it('maps file extensions to formats', () => {
+    expect(formatForPath('/tmp/a.VTT')).toBe('vtt');
+    expect(formatForPath('C:\\out\\notes.md')).toBe('txt');
+    expect(formatForPath('/tmp/a.docx')).toBeNull();
+  });
+});
+
 // ---------------------------------------------------------------------------
 // generateExportFilename
 // ---------------------------------------------------------------------------
@@ -143,6 +319,14 @@ describe('generateExportFilename', () => {
     expect(filename).toBe('2025-04-01-meeting-transcript.txt');
   });
 
+  it('uses the extension of the chosen format', () => {
+    const meeting = { date: '2025-06-15T10:00:00Z', title: 'Weekly Standup' };
+    expect(generateExportFilename(meeting, 'vtt')).toBe('2025-06-15-weekly-standup-transcript.vtt');
+    expect(generateExportFilename(meeting, 'html')).toBe(
+      '2025-06-15-weekly-standup-transcript.html'
+    );
+  });
+
   it('uses current date when date is missing', () => {
     const meeting = { title: 'No Date Meeting' };
     const filename = generateExportFilename(meeting);
@@ -0,0 +1,326 @@
+/**
+ * Vault Sync Unit Tests (schema v16)
+ *
+ * Tests:
+ *   1. note_sync bookkeeping — writes, reads, conflicts, moves, trash
+ *   2. parseSummaryNote / planNoteEdits — pulling vault edits into a meeting
+ *   3. mergeText — three-way merge of the note on re-export
+ *   4. VaultWatcher — edited, moved and transcript notes on a temp vault
+ *   5. VaultStructure.readSummaryNoteId — summary vs transcript notes
+ *   6. VaultStructure.findFilesByMeetingIds — every note of a meeting, wherever it is
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  createNoteSyncTable,
+  hashContent,
+  recordNoteWrite,
+  recordNoteSeen,
+  setNoteConflict,
+  moveNote,
+  getNoteSync,
+  listSyncedNotes,
+  listNoteConflicts,
+  parseSummaryNote,
+  planNoteEdits,
+  mergeText,
+} = require('../../src/main/services/vaultSync.js');
+const VaultWatcher = require('../../src/main/storage/VaultWatcher.js');
+const VaultStructure = require('../../src/main/storage/VaultStructure.js');
+
+// A summary note as generateSummaryMarkdown writes it
+function note({ title = 'Weekly Sync', summaries = null, summary = '' } = {}) {
+  let markdown = `---\ntype: meeting\ntitle: "${title}"\nmeeting_id: "m1"\n---\n\n`;
+  markdown += `# ${title}\n\n**Date:** March 10, 2026\n**Platform:** zoom\n`;
+  markdown += `\n---\n\n## Meeting Summary\n\n`;
+  if (summaries) {
+    for (const s of summaries) {
+      markdown += `### ${s.templateName}\n\n${s.content || '*No content*'}\n\n---\n\n`;
+    }
+  } else {
+    markdown += `${summary || '*No summary generated yet*'}\n\n---\n\n`;
+  }
+  markdown += `\n**Full Transcript:** [Transcript](./x-transcript.md)\n\n`;
+  return `${markdown}*Generated by jd-notes-things*\n`;
+}
+
+const SUMMARIES = [
+  { templateId: 't1', templateName: 'Overview', content: 'We met.' },
+  { templateId: 't2', templateName: 'Action Items', content: '- Ann: send the deck' },
+];
+
+describe('note_sync bookkeeping', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.exec(`CREATE TABLE meetings (id TEXT PRIMARY KEY, title TEXT, status TEXT DEFAULT 'past')`);
+    db.prepare('INSERT INTO meetings (id, title) VALUES (?, ?)').run('m1', 'Weekly Sync');
+    db.prepare('INSERT INTO meetings (id, title, status) VALUES (?, ?, ?)').run(
+      'm2',
+      'Old',
+      'trashed'
+    );
+    createNoteSyncTable(db);
+  });
+
+  afterEach(() => db.close());
+
+  it('records what was generated and what was written', () => {
+    recordNoteWrite(db, 'm1', 'a/note.md', { generated: 'app', written: 'merged' });
+    expect(getNoteSync(db, 'm1')).toMatchObject({
+      notePath: 'a/note.md',
+      baseContent: 'app',
+      seenContent: 'merged',
+      seenHash: hashContent('merged'),
+      conflict: null,
+    });
+    expect(getNoteSync(db, 'missing')).toBeNull();
+  });
+
+  it('tracks what was seen, moves and conflicts, and a write clears the conflict', () => {
+    recordNoteWrite(db, 'm1', 'a/note.md', { generated: 'one', written: 'one' });
+    recordNoteSeen(db, 'm1', 'two');
+    moveNote(db, 'm1', 'b/note.md');
+    setNoteConflict(db, 'm1', 'Both changed');
+
+    expect(getNoteSync(db, 'm1')).toMatchObject({
+      notePath: 'b/note.md',
+      baseContent: 'one',
+      seenHash: hashContent('two'),
+    });
+    expect(listNoteConflicts(db)).toEqual([
+      { meetingId: 'm1', title: 'Weekly Sync', notePath: 'b/note.md', conflict: 'Both changed' },
+    ]);
+
+    recordNoteWrite(db, 'm1', 'b/note.md', { generated: 'three', written: 'three' });
+    expect(listNoteConflicts(db)).toEqual([]);
+  });
+
+  it('leaves trashed meetings out of the watch list and conflicts', () => {
+    recordNoteWrite(db, 'm1', 'a/note.md', { generated: 'x', written: 'x' });
+    recordNoteWrite(db, 'm2', 'b/note.md', { generated: 'y', written: 'y' });
+    setNoteConflict(db, 'm2', 'Both changed');
+    expect(listSyncedNotes(db)).toEqual([
+      { meetingId: 'm1', notePath: 'a/note.md', seenHash: hashContent('x') },
+    ]);
+    expect(listNoteConflicts(db)).toEqual([]);
+  });
+});
+
+describe('parseSummaryNote', () => {
+  it('reads the title and each template section', () => {
+    expect(parseSummaryNote(note({ summaries: SUMMARIES }), ['Overview', 'Action Items'])).toEqual({
+      title: 'Weekly Sync',
+      sections: ['We met.', '- Ann: send the deck'],
+    });
+  });
+
+  it('reads a legacy summary and treats placeholders as empty', () => {
+    expect(parseSummaryNote(note({ summary: 'Short.' }), [])).toEqual({
+      title: 'Weekly Sync',
+      sections: ['Short.'],
+    });
+    expect(parseSummaryNote(note(), []).sections).toEqual(['']);
+  });
+
+  it('reports a removed summary area or heading', () => {
+    expect(parseSummaryNote('# Only a title\n', [])).toBeNull();
+    const renamed = note({ summaries: SUMMARIES }).replace('### Overview', '### Recap');
+    expect(parseSummaryNote(renamed, ['Overview', 'Action Items']).sections).toBeNull();
+  });
+});
+
+describe('planNoteEdits', () => {
+  const meeting = { id: 'm1', title: 'Weekly Sync', summaries: SUMMARIES };
+  const seen = note({ summaries: SUMMARIES });
+
+  it('takes a title and section edited only in the vault', () => {
+    const edited = note({
+      title: 'Weekly Sync: Budget',
+      summaries: [
+        SUMMARIES[0],
+        { ...SUMMARIES[1], content: '- Ann: send the deck\n- Bo: book room' },
+      ],
+    });
+    const { changes, conflicts } = planNoteEdits(meeting, seen, edited);
+    expect(conflicts).toEqual([]);
+    expect(changes.title).toBe('Weekly Sync: Budget');
+    expect(changes.summaries[0]).toBe(SUMMARIES[0]);
+    expect(changes.summaries[1]).toEqual({
+      ...SUMMARIES[1],
+      content: '- Ann: send the deck\n- Bo: book room',
+    });
+  });
+
+  it('keeps the app version where both sides changed a section', () => {
+    const changedInApp = {
+      ...meeting,
+      summaries: [{ ...SUMMARIES[0], content: 'We met (regenerated).' }, SUMMARIES[1]],
+    };
+    const edited = note({
+      summaries: [{ ...SUMMARIES[0], content: 'We met briefly.' }, SUMMARIES[1]],
+    });
+    const { changes, conflicts } = planNoteEdits(changedInApp, seen, edited);
+    expect(changes).toEqual({});
+    expect(conflicts).toEqual(['"Overview" was changed in both the app and the vault']);
+  });
+
+  it('updates a legacy summary, and ignores edits outside the synced parts', () => {
+    const legacy = { id: 'm1', title: 'Weekly Sync', summary: 'Short.' };
+    const edited = note({ summary: 'Longer.' }).replace('**Platform:** zoom', '**Platform:** Meet');
+    expect(planNoteEdits(legacy, note({ summary: 'Short.' }), edited)).toEqual({
+      changes: { summary: 'Longer.' },
+      conflicts: [],
+    });
+  });
+
+  it('reports a removed summary area', () => {
+    expect(planNoteEdits(meeting, seen, '# Weekly Sync\n').conflicts).toHaveLength(1);
+  });
+});
+
+describe('mergeText', () => {
+  const base = ['title', 'one', 'two', 'three', 'four', 'end'].join('\n');
+
+  it('keeps edits to different lines from both sides', () => {
+    const vault = base.replace('one', 'one (vault)');
+    const app = base.replace('four', 'four (app)');
+    expect(mergeText(base, vault, app)).toEqual({
+      text: ['title', 'one (vault)', 'two', 'three', 'four (app)', 'end'].join('\n'),
+      conflicts: 0,
+    });
+  });
+
+  it('keeps lines the vault added and the app removed', () => {
+    const vault = base.replace('one', 'one\nmy note');
+    const app = base.replace('three\n', '');
+    expect(mergeText(base, vault, app).text).toBe(
+      ['title', 'one', 'my note', 'two', 'four', 'end'].join('\n')
+    );
+  });
+
+  it('marks lines both sides changed differently', () => {
+    const result = mergeText(base, base.replace('two', 'two (vault)'), base.replace('two', '2'));
+    expect(result.conflicts).toBe(1);
+    expect(result.text).toContain('<<<<<<< vault\ntwo (vault)\n=======\n2\n>>>>>>> app');
+  });
+
+  it('takes whichever side changed when only one did', () => {
+    expect(mergeText(base, base, 'new')).toEqual({ text: 'new', conflicts: 0 });
+    expect(mergeText(base, 'edited', base)).toEqual({ text: 'edited', conflicts: 0 });
+    expect(mergeText(base, 'same', 'same')).toEqual({ text: 'same', conflicts: 0 });
+  });
+});
+
+describe('VaultWatcher', () => {
+  let vaultRoot;
+  let notes;
+  let edits;
+  let moves;
+  let watcher;
+
+  const write = (relative, content) => {
+    const file = path.join(vaultRoot, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content, 'utf8');
+    return file;
+  };
+  const summaryNote = id => `---\ntype: meeting\nmeeting_id: "${id}"\n---\n# Note\n`;
+  const transcriptNote = id => `---\nmeeting_id: "${id}"\n---\n# Full Transcript\n`;
+
+  beforeEach(() => {
+    vaultRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-vaultsync-'));
+    const vault = new VaultStructure(vaultRoot);
+    write('a/note.md', summaryNote('m1'));
+    notes = [{ meetingId: 'm1', notePath: 'a/note.md', seenHash: hashContent(summaryNote('m1')) }];
+    edits = [];
+    moves = [];
+    watcher = new VaultWatcher({
+      listNotes: () => notes,
+      resolveNote: notePath => path.join(vaultRoot, notePath),
+      findNote: id => vault.findFileByMeetingId(id, { summaryOnly: true })?.absolutePath || null,
+      readMeetingId: content => vault.readSummaryNoteId(content),
+      onEdited: edit => edits.push(edit),
+      onMoved: (meetingId, absolutePath) => {
+        const notePath = path.relative(vaultRoot, absolutePath).replace(/\\/g, '/');
+        moves.push({ meetingId, notePath });
+        return notePath;
+      },
+      log: () => {},
+    });
+  });
+
+  afterEach(() => {
+    watcher.stop();
+    fs.rmSync(vaultRoot, { recursive: true, force: true });
+  });
+
+  it('ignores notes that are as last seen', async () => {
+    await watcher.checkAll();
+    expect(edits).toEqual([]);
+  });
+
+  it('reports an edited note', async () => {
+    const file = write('a/note.md', `${summaryNote('m1')}\nMore.\n`);
+    await watcher.enqueue(() => watcher.checkPath(file));
+    expect(edits).toEqual([
+      { meetingId: 'm1', notePath: 'a/note.md', content: `${summaryNote('m1')}\nMore.\n` },
+    ]);
+  });
+
+  it('follows a moved note by its meeting_id, not its transcript', async () => {
+    fs.rmSync(path.join(vaultRoot, 'a'), { recursive: true });
+    write('b/moved-transcript.md', transcriptNote('m1'));
+    write('b/moved.md', summaryNote('m1'));
+    await watcher.checkAll();
+    expect(moves).toEqual([{ meetingId: 'm1', notePath: 'b/moved.md' }]);
+    expect(edits).toEqual([]);
+  });
+
+  it('does not take a changed transcript for a moved note', async () => {
+    const transcript = write('a/note-transcript.md', transcriptNote('m1'));
+    await watcher.enqueue(() => watcher.checkPath(transcript));
+    expect(moves).toEqual([]);
+    expect(edits).toEqual([]);
+  });
+});
+
+describe('VaultStructure.readSummaryNoteId', () => {
+  const vault = new VaultStructure(os.tmpdir());
+
+  it('reads the meeting_id of summary notes only', () => {
+    expect(vault.readSummaryNoteId('---\ntype: meeting\nmeeting_id: "m1"\n---\n')).toBe('m1');
+    expect(vault.readSummaryNoteId('---\nmeeting_id: "m1"\n---\n')).toBeNull();
+    expect(vault.readSummaryNoteId('# No frontmatter')).toBeNull();
+  });
+});
+
+describe('VaultStructure.findFilesByMeetingIds', () => {
+  it('finds summary and transcript notes anywhere outside the Trash', () => {
+    const vaultRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-vaultfind-'));
+    const write = (relative, id) => {
+      fs.mkdirSync(path.dirname(path.join(vaultRoot, relative)), { recursive: true });
+      fs.writeFileSync(path.join(vaultRoot, relative), `---\nmeeting_id: "${id}"\n---\n`);
+    };
+    try {
+      write('clients/acme/kickoff.md', 'm1');
+      write('moved/kickoff-transcript.md', 'm1');
+      write('clients/acme/other.md', 'm2');
+      write('.trash/m1/notes/old.md', 'm1');
+
+      const found = new VaultStructure(vaultRoot).findFilesByMeetingIds(['m1', 'm3']);
+
+      expect([...found.keys()]).toEqual(['m1']);
+      expect(found.get('m1').map(f => f.relativePath).sort()).toEqual([
+        'clients/acme/kickoff.md',
+        'moved/kickoff-transcript.md',
+      ]);
+    } finally {
+      fs.rmSync(vaultRoot, { recursive: true, force: true });
+    }
+  });
+});